@@ -13,6 +13,7 @@ import Workers from './components/Workers';
 import OngoingProjects from './components/OngoingProjects';
 import AgentEnvironment from './components/AgentEnvironment';
 import AIProject from './components/AIProject';
+import Webhooks from './components/Webhooks';
 
 function App() {
   const [activeTab, setActiveTab] = useState('ai-project');
@@ -78,6 +79,7 @@ function App() {
             <button className={`nav-tab ${activeTab === 'workers' ? 'active' : ''}`} onClick={() => setActiveTab('workers')}>⚙️ Workers</button>
             <button className={`nav-tab ${activeTab === 'projects' ? 'active' : ''}`} onClick={() => setActiveTab('projects')}>📂 Ongoing Projects</button>
             <button className={`nav-tab ${activeTab === 'ai-project' ? 'active' : ''}`} onClick={() => setActiveTab('ai-project')}>🤖 AI Project</button>
+            <button className={`nav-tab ${activeTab === 'webhooks' ? 'active' : ''}`} onClick={() => setActiveTab('webhooks')}>🔔 Webhooks</button>
           </>}
         </div>
         {dashboardMode === 'advanced' && (
@@ -121,6 +123,7 @@ function App() {
             {activeTab === 'workers' && <Workers />}
             {activeTab === 'projects' && <OngoingProjects />}
             {activeTab === 'ai-project' && <AIProject />}
+            {activeTab === 'webhooks' && <Webhooks />}
             {activeTab === 'agent-environment' && selectedAgent && (
               <AgentEnvironment agentName={selectedAgent.name} onClose={() => setActiveTab('workers')} />
             )}
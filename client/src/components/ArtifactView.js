@@ -1,10 +1,71 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import './ArtifactView.css';
+
+const API = 'http://localhost:3001/api/autonomous/artifacts';
 
 const ArtifactView = ({ artifactId, onBack }) => {
   const [artifact, setArtifact] = useState(null);
   const [lineage, setLineage] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [compare, setCompare] = useState({ from: null, to: null });
+  const [diff, setDiff] = useState(null);
+  const [versionError, setVersionError] = useState(null);
+  const [restoring, setRestoring] = useState(null);
+
+  const loadVersions = useCallback(async () => {
+    try {
+      const r = await fetch(`${API}/${artifactId}/versions`, { credentials: 'include' });
+      const body = await r.json();
+      if (!r.ok) throw new Error(body.error || `HTTP ${r.status}`);
+      const list = body.versions || [];
+      setVersions(list);
+      setVersionError(null);
+      // Default comparison: latest against the one before it
+      if (list.length > 1) setCompare({ from: list[1].version, to: list[0].version });
+    } catch (e) {
+      setVersions([]);
+      setVersionError(e.message || 'Failed to load versions');
+    }
+  }, [artifactId]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  useEffect(() => {
+    if (!compare.from || !compare.to || compare.from === compare.to) {
+      setDiff(null);
+      return;
+    }
+    const loadDiff = async () => {
+      try {
+        const r = await fetch(`${API}/${artifactId}/diff?from=${compare.from}&to=${compare.to}`, { credentials: 'include' });
+        const body = await r.json();
+        if (!r.ok) throw new Error(body.error || `HTTP ${r.status}`);
+        setDiff(body);
+      } catch (e) {
+        setDiff({ error: e.message || 'Failed to load diff' });
+      }
+    };
+    loadDiff();
+  }, [artifactId, compare]);
+
+  const restore = async (version) => {
+    if (!window.confirm(`Restore version ${version}? The current content stays in the history.`)) return;
+    try {
+      setRestoring(version);
+      const r = await fetch(`${API}/${artifactId}/versions/${version}/restore`, { method: 'POST', credentials: 'include' });
+      const body = await r.json();
+      if (!r.ok) throw new Error(body.error || `HTTP ${r.status}`);
+      await loadVersions();
+    } catch (e) {
+      setVersionError(e.message || 'Failed to restore version');
+    } finally {
+      setRestoring(null);
+    }
+  };
 
   useEffect(() => {
     const load = async () => {
@@ -74,6 +135,60 @@ const ArtifactView = ({ artifactId, onBack }) => {
       ) : (
         <p>No lineage information available.</p>
       )}
+
+      <h4>Versions</h4>
+      {versionError && <p className="version-error">{versionError}</p>}
+      {versions.length === 0 && !versionError ? (
+        <p>No stored versions.</p>
+      ) : (
+        <ol className="version-timeline">
+          {versions.map((v, index) => (
+            <li key={v.version} className={`version-entry ${v.action}`}>
+              <div className="version-heading">
+                <strong>v{v.version}</strong>
+                <span className="version-action">{v.action}{v.restoredFrom ? ` from v${v.restoredFrom}` : ''}</span>
+                <span>{v.agent || 'unknown'}</span>
+                <span>{new Date(v.createdAt).toLocaleString()}</span>
+                <span>{v.bytes} bytes</span>
+              </div>
+              {v.details && <div className="version-details">{v.details}</div>}
+              <div className="version-actions">
+                <label><input type="radio" name="from" checked={compare.from === v.version} onChange={() => setCompare(c => ({ ...c, from: v.version }))} /> from</label>
+                <label><input type="radio" name="to" checked={compare.to === v.version} onChange={() => setCompare(c => ({ ...c, to: v.version }))} /> to</label>
+                {index > 0 && (
+                  <button disabled={restoring !== null} onClick={() => restore(v.version)}>
+                    {restoring === v.version ? 'Restoring…' : 'Restore'}
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {diff && (
+        diff.error ? (
+          <p className="version-error">{diff.error}</p>
+        ) : (
+          <div className="version-diff">
+            <div className="diff-summary">
+              v{diff.from.version} → v{diff.to.version}: <span className="diff-added">+{diff.stats.added}</span> <span className="diff-removed">-{diff.stats.removed}</span>
+            </div>
+            <table className="diff-table">
+              <tbody>
+                {diff.rows.map((row, i) => (
+                  <tr key={i} className={`diff-row ${row.type}`}>
+                    <td className="diff-line-number">{row.left ? row.left.line : ''}</td>
+                    <td className="diff-left"><pre>{row.left ? row.left.text : ''}</pre></td>
+                    <td className="diff-line-number">{row.right ? row.right.line : ''}</td>
+                    <td className="diff-right"><pre>{row.right ? row.right.text : ''}</pre></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )
+      )}
     </div>
   );
 };
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import io from 'socket.io-client';
 import './BoardRoom.css';
+import TraceWaterfall from './TraceWaterfall';
 
 const BoardRoom = ({ state, setState }) => {
   const [inputValue, setInputValue] = useState('');
@@ -13,6 +14,8 @@ const BoardRoom = ({ state, setState }) => {
   const [workflowTasks, setWorkflowTasks] = useState([]);
   const [pendingClarifier, setPendingClarifier] = useState(null);
   const [clarifierAnswer, setClarifierAnswer] = useState('Assign requested agent');
+  // Agent replies still being generated, keyed by provider streamId
+  const [liveReplies, setLiveReplies] = useState({});
 
   const messages = state.messages;
   const projectBrief = state.projectBrief;
@@ -136,6 +139,30 @@ const BoardRoom = ({ state, setState }) => {
       }));
     });
 
+    // Partial model output; the bubble is dropped once the reply completes
+    // because the finished result arrives through the workflow events
+    newSocket.on('provider_stream', (evt) => {
+      if (!evt || !evt.streamId || !evt.agent) return;
+      setLiveReplies(prev => {
+        if (evt.type === 'end' || evt.type === 'error') {
+          const { [evt.streamId]: _done, ...rest } = prev;
+          return rest;
+        }
+        const existing = prev[evt.streamId] || {
+          id: evt.streamId,
+          agent: evt.agent,
+          workflowId: evt.workflowId,
+          model: evt.model,
+          startedAt: evt.timestamp,
+          text: ''
+        };
+        return {
+          ...prev,
+          [evt.streamId]: evt.type === 'delta' ? { ...existing, text: existing.text + evt.text } : existing
+        };
+      });
+    });
+
     // Listen for system status updates
     newSocket.on('system-status', (status) => {
       console.log('System status:', status);
@@ -150,7 +177,7 @@ const BoardRoom = ({ state, setState }) => {
 
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [messages, liveReplies]);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -827,12 +854,14 @@ const BoardRoom = ({ state, setState }) => {
                   )}
                 </div>
               )}
+
+              <TraceWaterfall workflowId={currentWorkflow.workflowId} />
             </div>
           )}
 
           <div className="messages">
             {messages.map(message => (
-              <div key={message.id} className={`message ${message.sender.toLowerCase()}`}>
+              <div key={message.id} className={`message ${message.sender.toLowerCase()}${message.type ? ` ${message.type}` : ''}`}>
                 <div className="message-header">
                   <span className="message-sender">{message.sender}</span>
                   <span className="message-role">{message.senderRole}</span>
@@ -850,6 +879,23 @@ const BoardRoom = ({ state, setState }) => {
                 )}
               </div>
             ))}
+            {Object.values(liveReplies)
+              .filter(reply => !reply.workflowId || !currentWorkflow || [currentWorkflow.workflowId, currentWorkflow.id].includes(reply.workflowId))
+              .map(reply => (
+                <div key={reply.id} className={`message ${reply.agent.toLowerCase()} streaming`}>
+                  <div className="message-header">
+                    <span className="message-sender">{reply.agent}</span>
+                    <span className="message-role">{reply.model || 'typing'}</span>
+                    <span className="message-time">
+                      {new Date(reply.startedAt).toLocaleTimeString()}
+                    </span>
+                  </div>
+                  <div className="message-content">
+                    {reply.text}
+                    <span className="stream-cursor">▍</span>
+                  </div>
+                </div>
+              ))}
             <div ref={messagesEndRef} />
           </div>
 
@@ -1,35 +1,88 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import io from 'socket.io-client';
 import './Console.css';
 
+// Streams shown in the live output panel
+const MAX_STREAMS = 5;
+// Only the tail of a long generation is rendered
+const STREAM_TAIL_CHARS = 2000;
+// Entries fetched per page of history
+const PAGE_SIZE = 500;
+// Level filter -> levels requested from the server
+const LEVEL_FILTERS = { all: '', errors: 'error', warnings: 'warn,error', info: 'info', debug: 'debug' };
+// Time range filter -> window in milliseconds
+const TIME_RANGES = { all: 0, '15m': 15 * 60 * 1000, '1h': 60 * 60 * 1000, '24h': 24 * 60 * 60 * 1000, '7d': 7 * 24 * 60 * 60 * 1000 };
+
+// Client-side twin of the server filters, applied to entries streamed live
+const matchesLiveFilters = (log, filters) => {
+  if (filters.level && !filters.level.split(',').includes(log.level)) return false;
+  if (filters.agent && log.agent !== filters.agent) return false;
+  if (filters.workflowId && log.workflowId !== filters.workflowId) return false;
+  if (filters.q && !String(log.message).toLowerCase().includes(filters.q.toLowerCase())) return false;
+  return true;
+};
+
 const Console = ({ logs, setLogs, isConnected, setIsConnected }) => {
   const [autoScroll, setAutoScroll] = useState(true);
   const [filter, setFilter] = useState('all');
   const [agentFilter, setAgentFilter] = useState('all');
   const [departmentFilter, setDepartmentFilter] = useState('all');
+  const [workflowFilter, setWorkflowFilter] = useState('');
+  const [search, setSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [timeRange, setTimeRange] = useState('all');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [queryError, setQueryError] = useState(null);
   const [agents, setAgents] = useState([]);
+  // Provider token streams, newest last; finished ones stay until pushed out
+  const [streams, setStreams] = useState([]);
   const logsEndRef = useRef(null);
   const consoleRef = useRef(null);
 
+  // Filters sent to /api/console/logs (the time window is resolved per request)
+  const serverFilters = useMemo(() => {
+    const filters = {};
+    if (LEVEL_FILTERS[filter]) filters.level = LEVEL_FILTERS[filter];
+    if (agentFilter !== 'all') filters.agent = agentFilter;
+    if (workflowFilter.trim()) filters.workflowId = workflowFilter.trim();
+    if (debouncedSearch.trim()) filters.q = debouncedSearch.trim();
+    return filters;
+  }, [filter, agentFilter, workflowFilter, debouncedSearch]);
+
+  // The live socket handler reads the current filters without reconnecting
+  const liveFiltersRef = useRef(serverFilters);
+  liveFiltersRef.current = serverFilters;
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const fetchLogPage = useCallback(async (cursor) => {
+    const params = new URLSearchParams({ ...serverFilters, limit: String(PAGE_SIZE) });
+    if (TIME_RANGES[timeRange]) params.set('since', new Date(Date.now() - TIME_RANGES[timeRange]).toISOString());
+    if (cursor) params.set('cursor', cursor);
+    const response = await fetch(`http://localhost:3001/api/console/logs?${params}`);
+    const data = await response.json();
+    if (!response.ok) throw Object.assign(new Error(data.error || `HTTP ${response.status}`), { rejected: true });
+    const validLogs = (Array.isArray(data.logs) ? data.logs : []).filter(log => log && log.timestamp && log.message);
+    return { logs: validLogs, nextCursor: data.nextCursor || null };
+  }, [serverFilters, timeRange]);
+
   const fetchLogHistory = useCallback(async () => {
     try {
-      const response = await fetch('http://localhost:3001/api/console/logs');
-      const data = await response.json();
-      console.log('Console logs API response:', data); // Debug log
-      
-      // Handle different response formats
-      let logData = [];
-      if (data.logs && Array.isArray(data.logs)) {
-        logData = data.logs;
-      } else if (Array.isArray(data)) {
-        logData = data;
-      }
-      
-      // Ensure logs have required properties
-      const validLogs = logData.filter(log => log && log.timestamp && log.message);
-      setLogs(validLogs);
+      const page = await fetchLogPage(null);
+      setQueryError(null);
+      setLogs(page.logs);
+      setNextCursor(page.nextCursor);
     } catch (error) {
+      if (error.rejected) {
+        setQueryError(error.message);
+        return;
+      }
       console.error('Failed to fetch log history:', error);
+      setNextCursor(null);
       // Add some test logs to verify the UI works
       setLogs([
         {
@@ -42,13 +95,33 @@ const Console = ({ logs, setLogs, isConnected, setIsConnected }) => {
         {
           id: 'test2', 
           timestamp: new Date().toISOString(),
-          level: 'log',
+          level: 'info',
           message: 'Waiting for server logs...',
           source: 'system'
         }
       ]);
     }
-  }, [setLogs]);
+  }, [fetchLogPage, setLogs]);
+
+  const loadOlderLogs = async () => {
+    if (!nextCursor || loadingOlder) return;
+    setLoadingOlder(true);
+    setAutoScroll(false);
+    try {
+      const page = await fetchLogPage(nextCursor);
+      setLogs(prevLogs => [...page.logs, ...prevLogs]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      setQueryError(error.message);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  // Refetch history whenever the server-side filters change
+  useEffect(() => {
+    fetchLogHistory().catch(() => {});
+  }, [fetchLogHistory]);
 
   // Fetch agents for filtering
   useEffect(() => {
@@ -89,10 +162,8 @@ const Console = ({ logs, setLogs, isConnected, setIsConnected }) => {
 
     // Listen for console logs
     newSocket.on('console_log', (data) => {
-      console.log('Received console_log via Socket.IO:', data); // Debug
-      
       const logEntry = data.data || data;
-      if (logEntry && logEntry.timestamp && logEntry.message) {
+      if (logEntry && logEntry.timestamp && logEntry.message && matchesLiveFilters(logEntry, liveFiltersRef.current)) {
         setLogs(prevLogs => {
           const newLogs = [...prevLogs, logEntry];
           // Keep only last 1000 logs
@@ -104,13 +175,28 @@ const Console = ({ logs, setLogs, isConnected, setIsConnected }) => {
       }
     });
 
-    // Fetch initial log history
-    fetchLogHistory().catch(() => {});
+    // Partial model output while a provider response is being generated
+    newSocket.on('provider_stream', (evt) => {
+      if (!evt || !evt.streamId) return;
+      setStreams(prev => {
+        const index = prev.findIndex(s => s.streamId === evt.streamId);
+        if (index === -1) {
+          if (evt.type !== 'start' && evt.type !== 'delta') return prev;
+          const entry = { ...evt, text: evt.text || '', status: 'streaming' };
+          return [...prev, entry].slice(-MAX_STREAMS);
+        }
+        const current = prev[index];
+        const updated = evt.type === 'delta'
+          ? { ...current, text: current.text + evt.text }
+          : { ...current, status: evt.type === 'error' ? 'error' : 'done', error: evt.error, usage: evt.usage };
+        return prev.map((s, i) => (i === index ? updated : s));
+      });
+    });
 
     return () => {
       newSocket.close();
     };
-  }, [fetchLogHistory, setIsConnected, setLogs]);
+  }, [setIsConnected, setLogs]);
 
   // Auto-scroll to bottom when new logs arrive
   useEffect(() => {
@@ -132,6 +218,7 @@ const Console = ({ logs, setLogs, isConnected, setIsConnected }) => {
 
   const clearLogs = () => {
     setLogs([]);
+    setNextCursor(null);
   };
 
   const exportLogs = () => {
@@ -155,40 +242,24 @@ const Console = ({ logs, setLogs, isConnected, setIsConnected }) => {
       case 'error': return '#ff6b6b';
       case 'warn': return '#feca57';
       case 'info': return '#48dbfb';
-      case 'log': return '#ddd';
-      case 'stdout': return '#54a0ff';
-      case 'stderr': return '#ff6b6b';
+      case 'debug': return '#999';
       default: return '#ddd';
     }
   };
 
+  // Level, agent, workflow, text and time filters are applied by the server
   const filteredLogs = logs.filter(log => {
-    // Level filter
-    let levelMatch = true;
-    if (filter !== 'all') {
-      if (filter === 'errors') {
-        levelMatch = log.level === 'error' || log.level === 'stderr';
-      } else if (filter === 'warnings') {
-        levelMatch = log.level === 'warn';
-      } else {
-        levelMatch = log.level === filter;
-      }
-    }
-
-    // Agent filter
-    let agentMatch = true;
-    if (agentFilter !== 'all') {
-      agentMatch = log.agent === agentFilter || log.source === agentFilter;
-    }
+    if (departmentFilter === 'all') return true;
+    const agent = agents.find(a => a.name === (log.agent || log.source));
+    return agent?.department === departmentFilter;
+  });
 
-    // Department filter
-    let departmentMatch = true;
+  const visibleStreams = streams.filter(stream => {
+    if (agentFilter !== 'all' && stream.agent !== agentFilter) return false;
     if (departmentFilter !== 'all') {
-      const agent = agents.find(a => a.name === (log.agent || log.source));
-      departmentMatch = agent?.department === departmentFilter;
+      return agents.find(a => a.name === stream.agent)?.department === departmentFilter;
     }
-
-    return levelMatch && agentMatch && departmentMatch;
+    return true;
   });
 
   const formatTimestamp = (timestamp) => {
@@ -233,14 +304,40 @@ const Console = ({ logs, setLogs, isConnected, setIsConnected }) => {
             className="filter-select"
           >
             <option value="all">All Levels</option>
-            <option value="log">Console Logs</option>
+            <option value="debug">Debug</option>
             <option value="info">Info</option>
-            <option value="warn">Warnings</option>
+            <option value="warnings">Warnings &amp; Errors</option>
             <option value="errors">Errors</option>
-            <option value="stdout">Stdout</option>
-            <option value="stderr">Stderr</option>
           </select>
 
+          <select
+            value={timeRange}
+            onChange={(e) => setTimeRange(e.target.value)}
+            className="filter-select"
+          >
+            <option value="all">All Time</option>
+            <option value="15m">Last 15 minutes</option>
+            <option value="1h">Last hour</option>
+            <option value="24h">Last 24 hours</option>
+            <option value="7d">Last 7 days</option>
+          </select>
+
+          <input
+            type="search"
+            value={workflowFilter}
+            onChange={(e) => setWorkflowFilter(e.target.value)}
+            placeholder="Workflow ID"
+            className="filter-input workflow-filter"
+          />
+
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search messages"
+            className="filter-input"
+          />
+
           <select
             value={agentFilter}
             onChange={(e) => setAgentFilter(e.target.value)}
@@ -286,11 +383,50 @@ const Console = ({ logs, setLogs, isConnected, setIsConnected }) => {
         </div>
       </div>
 
+      {visibleStreams.length > 0 && (
+        <div className="console-streams">
+          {visibleStreams.map(stream => (
+            <div key={stream.streamId} className={`console-stream ${stream.status}`}>
+              <div className="console-stream-header">
+                <span className="console-stream-status">
+                  {stream.status === 'streaming' ? '●' : stream.status === 'error' ? '✖' : '✔'}
+                </span>
+                <span className="console-stream-agent">{stream.agent || 'system'}</span>
+                <span className="console-source">{stream.provider}{stream.model ? ` / ${stream.model}` : ''}</span>
+                {stream.taskId && <span className="console-source">task {stream.taskId}</span>}
+                <span className="console-timestamp">{formatTimestamp(stream.timestamp)}</span>
+                {stream.status !== 'streaming' && (
+                  <button
+                    className="console-stream-dismiss"
+                    onClick={() => setStreams(prev => prev.filter(s => s.streamId !== stream.streamId))}
+                  >
+                    ×
+                  </button>
+                )}
+              </div>
+              <pre className="console-stream-text">
+                {stream.text.length > STREAM_TAIL_CHARS ? `…${stream.text.slice(-STREAM_TAIL_CHARS)}` : stream.text}
+                {stream.error && `\n[${stream.error}]`}
+              </pre>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {queryError && (
+        <div className="console-query-error">Log query failed: {queryError}</div>
+      )}
+
       <div 
         className="console-output" 
         ref={consoleRef}
         onScroll={handleScroll}
       >
+        {nextCursor && (
+          <button onClick={loadOlderLogs} className="load-older-btn" disabled={loadingOlder}>
+            {loadingOlder ? 'Loading…' : 'Load older logs'}
+          </button>
+        )}
         {filteredLogs.length === 0 ? (
           <div className="console-empty">
             <p>No logs available</p>
@@ -302,7 +438,7 @@ const Console = ({ logs, setLogs, isConnected, setIsConnected }) => {
               <div>🔍 Troubleshooting:</div>
               <div>• WebSocket Status: {isConnected ? '✅ Connected' : '❌ Disconnected'}</div>
               <div>• Log Buffer Size: {logs.length}</div>
-              <div>• Active Filter: {filter}</div>
+              <div>• Active Filters: {Object.keys(serverFilters).length ? Object.entries(serverFilters).map(([key, value]) => `${key}=${value}`).join(', ') : 'none'}{timeRange !== 'all' ? ` (last ${timeRange})` : ''}</div>
             </div>
           </div>
         ) : (
@@ -338,8 +474,25 @@ const Console = ({ logs, setLogs, isConnected, setIsConnected }) => {
                 <span className="console-source">
                   {log.source}
                 </span>
+                {log.workflowId && (
+                  <button
+                    className="console-workflow-tag"
+                    title="Show only this workflow"
+                    onClick={() => setWorkflowFilter(log.workflowId)}
+                  >
+                    {log.workflowId.slice(0, 8)}
+                  </button>
+                )}
                 <span className="console-message">
                   {log.message}
+                  {log.fields && Object.keys(log.fields).length > 0 && (
+                    <span className="console-fields">
+                      {Object.entries(log.fields)
+                        .filter(([key]) => key !== 'stack')
+                        .map(([key, value]) => ` ${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+                        .join('')}
+                    </span>
+                  )}
                 </span>
               </div>
             );
@@ -350,8 +503,8 @@ const Console = ({ logs, setLogs, isConnected, setIsConnected }) => {
 
       <div className="console-info">
         <p>
-          This console shows real-time server logs including console.log(), stdout, stderr, 
-          and all command executions. Every action performed by agents is logged here.
+          This console shows structured server logs, streamed live and stored for search. Level, agent,
+          workflow, text and time filters run on the server; use "Load older logs" to page back in time.
         </p>
       </div>
     </div>
@@ -19,7 +19,7 @@ const INTEGRATION_NOTES = {
   claude: 'Used for planning/reasoning; typical models: claude-sonnet-4-20250514, claude-3-5-haiku-20241022.',
   gemini: 'Used for research/fast drafts; typical models: models/gemini-1.5-pro-latest, models/gemini-1.5-flash.',
   xai: 'xAI Grok integration; typical models: grok-4, grok-3, grok-3-mini.',
-  ollama: 'Ollama (cloud/local) is the widest, cheapest, and most flexible provider. Used for agents requiring broad model access and cost efficiency. Models: llama3, phi3, mistral, etc. Integrated live via agent-engine and orchestrator.'
+  ollama: 'Local Ollama server (OLLAMA_HOST, default http://localhost:11434); models are the ones pulled on this machine. Runs the orchestrator planner and artifact generation offline and is the last-resort fallback when cloud providers fail. No token cost.'
 };
 
 const formatAgo = (ts) => {
@@ -86,6 +86,7 @@ const ProviderCard = ({
         <div className="provider-name">
           <div className="status-dot" style={{ backgroundColor: getStatusColor(provider.status) }} />
           <span>{provider.name}</span>
+          {provider.local && <span className="provider-local-badge" title="Runs on this machine; no API key or token cost">Local · free</span>}
         </div>
         <div className="provider-model" title="Current model being used by this provider">
           {provider.currentModel || 'unknown'}
@@ -173,18 +174,25 @@ const ProviderCard = ({
           </select>
         </div>
 
-        <div className="provider-costmode-select" title="Select cost mode (affects automatic model selection in agents)">
-          <label style={{ marginRight: 6 }}>Cost:</label>
-          <select
-            value={costMode}
-            onClick={(e) => e.stopPropagation()}
-            onChange={(e) => { e.stopPropagation(); onChangeCostMode && onChangeCostMode(provider.key, e.target.value); }}
-          >
-            <option value="economy">Economy</option>
-            <option value="balanced">Balanced</option>
-            <option value="premium">Premium</option>
-          </select>
-        </div>
+        {provider.local ? (
+          <div className="provider-costmode-select" title="Local models have no per-token cost, so cost modes do not apply">
+            <label style={{ marginRight: 6 }}>Cost:</label>
+            <span>free (local)</span>
+          </div>
+        ) : (
+          <div className="provider-costmode-select" title="Select cost mode (affects automatic model selection in agents)">
+            <label style={{ marginRight: 6 }}>Cost:</label>
+            <select
+              value={costMode}
+              onClick={(e) => e.stopPropagation()}
+              onChange={(e) => { e.stopPropagation(); onChangeCostMode && onChangeCostMode(provider.key, e.target.value); }}
+            >
+              <option value="economy">Economy</option>
+              <option value="balanced">Balanced</option>
+              <option value="premium">Premium</option>
+            </select>
+          </div>
+        )}
 
         <div className="integration-note" title="How this provider is wired into the orchestrator and agent-engine">
           {INTEGRATION_NOTES[provider.key] || 'Integrated via agent-engine routing and orchestrator model selection.'}
@@ -194,7 +202,11 @@ const ProviderCard = ({
         {(provider.lastError || provider.lastStatusCode || provider.status === 'offline') && (
           <div className="provider-error" title="Most recent error observed for this provider" style={{ color: '#ef4444', fontWeight: 'bold', marginTop: 8 }}>
             ⚠️ {provider.lastStatusCode ? `HTTP ${provider.lastStatusCode} — ` : ''}{provider.lastError || (provider.status === 'offline' ? 'Provider is offline or unreachable.' : 'Error')}
-            {provider.status === 'offline' && <div style={{ fontSize: '0.95em', marginTop: 4 }}>Check API key, endpoint, or network connectivity.</div>}
+            {provider.status === 'offline' && (
+              <div style={{ fontSize: '0.95em', marginTop: 4 }}>
+                {provider.local ? 'Start the server with `ollama serve` or set OLLAMA_HOST.' : 'Check API key, endpoint, or network connectivity.'}
+              </div>
+            )}
           </div>
         )}
         {provider.lastHint ? (
@@ -0,0 +1,152 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import './TraceWaterfall.css';
+
+const API = 'http://localhost:3001/api/autonomous/workflows';
+const REFRESH_MS = 5000;
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return 'running';
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  return `${(ms / 1000).toFixed(ms < 10000 ? 2 : 1)}s`;
+};
+
+// Parents before children, siblings by start time; spans whose parent is outside the trace are roots
+const orderSpans = (spans) => {
+  const ids = new Set(spans.map(span => span.spanId));
+  const children = new Map();
+  for (const span of spans) {
+    const parent = span.parentSpanId && ids.has(span.parentSpanId) ? span.parentSpanId : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(span);
+  }
+  const ordered = [];
+  const visit = (parent, depth) => {
+    for (const span of (children.get(parent) || []).sort((a, b) => a.startTime.localeCompare(b.startTime))) {
+      ordered.push({ span, depth });
+      visit(span.spanId, depth + 1);
+    }
+  };
+  visit(null, 0);
+  return ordered;
+};
+
+const spanLabel = (span) => {
+  const a = span.attributes || {};
+  if (span.name === 'task.execute') return `${a.agent || 'task'}: ${a['task.title'] || a['task.id']}`;
+  if (span.name === 'provider.request') return `${a['gen_ai.system']}${a['gen_ai.response.model'] ? ` · ${a['gen_ai.response.model']}` : ''}`;
+  if (span.name === 'command.exec') return a['process.command'];
+  if (span.name === 'planner.plan') return `planner: ${a['planner.name']}`;
+  return span.name;
+};
+
+const spanCategory = (name) => name.split('.')[0].replace(/[^a-z_]/gi, '').toLowerCase() || 'other';
+
+const TraceWaterfall = ({ workflowId }) => {
+  const [trace, setTrace] = useState(null);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(true);
+  const [selected, setSelected] = useState(null);
+
+  const loadTrace = useCallback(async () => {
+    try {
+      const r = await fetch(`${API}/${workflowId}/trace`, { credentials: 'include' });
+      const body = await r.json();
+      if (r.status === 404) {
+        setTrace(null);
+        setError(null);
+        return;
+      }
+      if (!r.ok) throw new Error(body.error || `HTTP ${r.status}`);
+      setTrace(body);
+      setError(null);
+    } catch (e) {
+      setError(e.message || 'Failed to load trace');
+    }
+  }, [workflowId]);
+
+  // Keep refreshing while any span is still open
+  const running = !trace || trace.spans.some(span => !span.endTime);
+  useEffect(() => {
+    if (!workflowId) return undefined;
+    loadTrace();
+    if (!running) return undefined;
+    const interval = setInterval(loadTrace, REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [workflowId, loadTrace, running]);
+
+  if (!workflowId || (!trace && !error)) return null;
+
+  const spans = trace ? trace.spans : [];
+  const now = Date.now();
+  const startOf = (span) => Date.parse(span.startTime);
+  const endOf = (span) => (span.endTime ? Date.parse(span.endTime) : now);
+  const traceStart = spans.length > 0 ? Math.min(...spans.map(startOf)) : now;
+  const traceEnd = spans.length > 0 ? Math.max(...spans.map(endOf)) : now;
+  const total = Math.max(traceEnd - traceStart, 1);
+  const rows = orderSpans(spans);
+
+  return (
+    <div className="trace-waterfall">
+      <div className="trace-header">
+        <h5 onClick={() => setExpanded(!expanded)}>
+          {expanded ? '▾' : '▸'} 🧭 Trace
+          {trace && <code className="trace-id" title="OTLP trace id">{trace.traceId}</code>}
+        </h5>
+        <span className="trace-summary">
+          {spans.length} spans · {formatDuration(traceEnd - traceStart)}{running ? ' · live' : ''}
+        </span>
+      </div>
+      {error && <div className="trace-error">{error}</div>}
+
+      {expanded && (
+        <div className="trace-rows">
+          {rows.map(({ span, depth }) => {
+            const left = ((startOf(span) - traceStart) / total) * 100;
+            const width = Math.max(((endOf(span) - startOf(span)) / total) * 100, 0.5);
+            const failed = span.status && span.status.code === 'error';
+            return (
+              <React.Fragment key={span.spanId}>
+                <div
+                  className={`trace-row ${selected === span.spanId ? 'selected' : ''}`}
+                  onClick={() => setSelected(selected === span.spanId ? null : span.spanId)}
+                >
+                  <div className="trace-name" style={{ paddingLeft: depth * 14 }} title={span.name}>
+                    {spanLabel(span)}
+                  </div>
+                  <div className="trace-track">
+                    <div
+                      className={`trace-bar cat-${spanCategory(span.name)}${failed ? ' failed' : ''}${span.endTime ? '' : ' open'}`}
+                      style={{ left: `${left}%`, width: `${width}%` }}
+                    />
+                  </div>
+                  <div className="trace-duration">{formatDuration(span.durationMs)}</div>
+                </div>
+                {selected === span.spanId && (
+                  <div className="trace-details">
+                    <div><strong>{span.name}</strong> · {span.kind} · {new Date(span.startTime).toLocaleTimeString()}</div>
+                    {span.status && span.status.message && <div className="trace-error">{span.status.message}</div>}
+                    <table>
+                      <tbody>
+                        {Object.entries(span.attributes || {}).map(([key, value]) => (
+                          <tr key={key}><td>{key}</td><td>{String(value)}</td></tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {(span.events || []).map((event, idx) => (
+                      <div key={idx} className="trace-event">
+                        {new Date(event.time).toLocaleTimeString()} {event.name}
+                        {Object.keys(event.attributes || {}).length > 0 && ` ${JSON.stringify(event.attributes)}`}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TraceWaterfall;
@@ -0,0 +1,181 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import './Webhooks.css';
+
+const API = 'http://localhost:3001/api/webhooks';
+const PROVIDERS = ['github', 'vercel', 'netlify', 'render', 'aws'];
+const STATUSES = ['processed', 'ignored', 'failed', 'rejected', 'processing'];
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const Webhooks = () => {
+  const [provider, setProvider] = useState('');
+  const [status, setStatus] = useState('');
+  const [deliveries, setDeliveries] = useState([]);
+  const [summary, setSummary] = useState({});
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState(null);
+  const [replaying, setReplaying] = useState(null);
+
+  const loadDeliveries = useCallback(async () => {
+    try {
+      const params = new URLSearchParams({ limit: '100' });
+      if (provider) params.set('provider', provider);
+      if (status) params.set('status', status);
+      const r = await fetch(`${API}/deliveries?${params}`, { credentials: 'include' });
+      const body = await r.json();
+      if (!r.ok) throw new Error(body.error || `HTTP ${r.status}`);
+      setDeliveries(body.deliveries || []);
+      setSummary(body.summary || {});
+      setError(null);
+    } catch (e) {
+      setError(e.message || 'Failed to load webhook deliveries');
+    }
+  }, [provider, status]);
+
+  useEffect(() => {
+    loadDeliveries();
+    const interval = setInterval(loadDeliveries, 10000);
+    return () => clearInterval(interval);
+  }, [loadDeliveries]);
+
+  const openDelivery = async (id) => {
+    if (selected && selected.id === id) {
+      setSelected(null);
+      return;
+    }
+    try {
+      const r = await fetch(`${API}/deliveries/${id}`, { credentials: 'include' });
+      const body = await r.json();
+      if (!r.ok) throw new Error(body.error || `HTTP ${r.status}`);
+      setSelected(body.delivery);
+    } catch (e) {
+      setError(e.message || 'Failed to load delivery');
+    }
+  };
+
+  const replay = async (id) => {
+    try {
+      setReplaying(id);
+      const r = await fetch(`${API}/deliveries/${id}/replay`, { method: 'POST', credentials: 'include' });
+      const body = await r.json();
+      if (body.delivery && selected && selected.id === id) setSelected(body.delivery);
+      if (!r.ok) setError(`Replay failed: ${body.error || `HTTP ${r.status}`}`);
+      await loadDeliveries();
+    } catch (e) {
+      setError(e.message || 'Failed to replay delivery');
+    } finally {
+      setReplaying(null);
+    }
+  };
+
+  const total = (counts = {}) => Object.values(counts).reduce((sum, n) => sum + n, 0);
+
+  return (
+    <div className="webhooks-panel">
+      <div className="webhooks-header">
+        <h2>🔔 Webhook Deliveries</h2>
+        <button onClick={loadDeliveries}>Refresh</button>
+      </div>
+
+      <div className="webhook-providers">
+        <button className={provider === '' ? 'active' : ''} onClick={() => setProvider('')}>
+          All <span className="count">{Object.values(summary).reduce((sum, counts) => sum + total(counts), 0)}</span>
+        </button>
+        {PROVIDERS.map(p => (
+          <button key={p} className={provider === p ? 'active' : ''} onClick={() => setProvider(p)}>
+            {p} <span className="count">{total(summary[p])}</span>
+            {summary[p] && summary[p].failed ? <span className="count failed">{summary[p].failed} failed</span> : null}
+          </button>
+        ))}
+      </div>
+
+      <div className="webhook-filters">
+        <label>
+          Status{' '}
+          <select value={status} onChange={e => setStatus(e.target.value)}>
+            <option value="">Any</option>
+            {STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {error && <div className="webhook-error">{error}</div>}
+
+      {deliveries.length === 0 ? (
+        <div className="webhook-empty">No deliveries yet.</div>
+      ) : (
+        <table className="webhook-table">
+          <thead>
+            <tr>
+              <th>Received</th>
+              <th>Provider</th>
+              <th>Event</th>
+              <th>Status</th>
+              <th>Signature</th>
+              <th>Duration</th>
+              <th>Attempts</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {deliveries.map(d => (
+              <React.Fragment key={d.id}>
+                <tr className={`webhook-row ${selected && selected.id === d.id ? 'selected' : ''}`} onClick={() => openDelivery(d.id)}>
+                  <td>{formatTime(d.receivedAt)}</td>
+                  <td>{d.provider}</td>
+                  <td className="mono">{d.eventType}</td>
+                  <td><span className={`webhook-status ${d.status}`}>{d.status}</span></td>
+                  <td>{d.signatureValid === null ? '—' : d.signatureValid ? 'valid' : 'invalid'}</td>
+                  <td>{d.durationMs !== null ? `${d.durationMs} ms` : '—'}</td>
+                  <td>{d.attempts}{d.duplicates > 0 ? ` (+${d.duplicates} dup)` : ''}</td>
+                  <td>
+                    {d.status === 'failed' && (
+                      <button
+                        disabled={replaying === d.id}
+                        onClick={(e) => { e.stopPropagation(); replay(d.id); }}
+                      >
+                        {replaying === d.id ? 'Replaying…' : 'Replay'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+                {selected && selected.id === d.id && (
+                  <tr className="webhook-detail">
+                    <td colSpan={8}>
+                      <div className="webhook-detail-meta">
+                        <span>Delivery <code>{selected.deliveryId}</code></span>
+                        <span>Last attempt {formatTime(selected.lastAttemptAt)}</span>
+                      </div>
+                      {selected.error && <div className="webhook-error">{selected.error}</div>}
+                      {selected.actionsTaken.length > 0 && (
+                        <ul className="webhook-actions">
+                          {selected.actionsTaken.map((action, i) => <li key={i}>{action}</li>)}
+                        </ul>
+                      )}
+                      <div className="webhook-detail-grid">
+                        <div>
+                          <h4>Headers</h4>
+                          <pre>{JSON.stringify(selected.headers, null, 2)}</pre>
+                        </div>
+                        <div>
+                          <h4>Payload</h4>
+                          <pre>{JSON.stringify(selected.payload, null, 2)}</pre>
+                        </div>
+                        <div>
+                          <h4>Result</h4>
+                          <pre>{JSON.stringify(selected.result, null, 2)}</pre>
+                        </div>
+                      </div>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default Webhooks;
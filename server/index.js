@@ -9,14 +9,25 @@ const path = require('path');
 const providerMonitor = require('./services/provider-monitor');
 const agentEngine = require('./services/agent-engine');
 
-// Import console logger FIRST to capture all logs
+// Route console output through the structured logger FIRST so all logs are captured
 const consoleLogger = require('./services/console-logger');
+consoleLogger.captureConsole();
+// Persist logs to rotating JSONL files and the log store (kept in memory only under test)
+if (process.env.NODE_ENV !== 'test') require('./services/logger').start();
+if (process.env.NODE_ENV !== 'test') require('./services/tracing').start();
+// Scheduled vault key rotation and resumption of interrupted rewraps
+if (process.env.NODE_ENV !== 'test') require('./services/secrets-vault').start();
+// Resume following deployments that were running when the server stopped
+if (process.env.NODE_ENV !== 'test') require('./services/deployment-pipeline').start();
+// Re-queue leased tasks whose worker stopped renewing the lease
+if (process.env.NODE_ENV !== 'test') require('./services/task-leases').start();
 
 // Import AI workers service
 const aiWorkers = require('./services/ai-workers');
 
 // Import health monitoring
 const healthMonitor = require('./services/health-monitor');
+const metrics = require('./services/metrics');
 
 // Import workspace manager
 const workspaceManager = require('./services/workspace-manager');
@@ -44,7 +55,11 @@ app.use(cors({
   origin: ['http://localhost:3000', 'http://localhost:5173', 'http://localhost:5174', 'http://localhost:3002'],
   credentials: true
 }));
-app.use(express.json());
+// Task leases for worker processes, which the router authenticates by their worker token;
+// mounted before the JSON parser as results need a larger body limit
+app.use('/api/workers/:id/leases', require('./routes/worker-leases-api'));
+// Webhook receivers also keep the raw body their signature covers
+app.use(express.json({ verify: require('./routes/webhooks-api').keepRawBody }));
 app.use('/api/agents/*/files/*', express.text({ type: '*/*' }));
 app.use('/api/projects/*/files/*', express.text({ type: '*/*' }));
 
@@ -75,10 +90,13 @@ app.get('/health', (req, res) => {
   res.status(health.status === 'critical' ? 503 : 200).json(health);
 });
 
-app.get('/metrics', (req, res) => {
+app.get('/health/metrics', (req, res) => {
   res.json(healthMonitor.getDetailedMetrics());
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', metrics.handler());
+
 // Simple root handlers
 app.get('/', (req, res) => res.send('ShellCompany API (simple server)'));
 app.get('/api', (req, res) => res.send('ShellCompany API root'));
@@ -866,6 +884,23 @@ app.put('/api/autonomous/workflows/:workflowId/project', async (req, res) => {
 // Add autonomous agent routes
 app.use('/api/autonomous', autonomousRouter);
 
+// Durable task queue: queued tasks and recurring schedules
+app.use('/api/tasks', require('./routes/tasks-api'));
+
+// Workflow/agent/project budgets
+app.use('/api/budgets', require('./routes/budgets-api'));
+
+// Secrets vault key management is served only by server-auth.js, behind
+// requireAuth and the owner/admin role; this server has no authentication
+
+// Project deployments through the provider services
+app.use('/api/projects', require('./routes/deployments-api'));
+
+// Provider webhooks and their delivery log
+const { receiver: webhookReceiver, router: webhooksRouter } = require('./routes/webhooks-api');
+app.use('/webhooks', webhookReceiver);
+app.use('/api/webhooks', webhooksRouter);
+
 // Mount MVP API routes (includes Ollama endpoints and simple MVP routes)
 try {
   const mvpApi = require('./routes/mvp-api');
@@ -2090,10 +2125,15 @@ async function executeRealWorkflow(workflowId, orchestrator) {
 
       console.log(`[REAL-EXECUTION] Executing task: ${task.description}`);
 
-      // Execute real commands
+      // Execute real commands, with any vault secrets the task declares
       if (task.commands) {
-        for (const command of task.commands) {
-          await executeRealCommand(command, task.assignedAgent);
+        const secrets = await orchestrator.grantTaskSecrets(task, { config: { name: task.assignedAgent } }, workflow);
+        try {
+          for (const command of task.commands) {
+            await executeRealCommand(orchestrator, command, task.assignedAgent, secrets ? secrets.env : {});
+          }
+        } finally {
+          if (secrets) secrets.release();
         }
       }
 
@@ -2142,37 +2182,15 @@ async function executeRealWorkflow(workflowId, orchestrator) {
   }
 }
 
-async function executeRealCommand(command, agentName) {
-  const { spawn } = require('child_process');
-  const path = require('path');
-
-  const agentWorkspace = path.join(__dirname, 'agent-workspaces', `${agentName.toLowerCase()}-workspace`);
-
-  return new Promise((resolve, reject) => {
-    const child = spawn('bash', ['-c', command], {
-      cwd: agentWorkspace,
-      stdio: 'pipe'
-    });
-
-    let output = '';
-    child.stdout.on('data', (data) => {
-      output += data.toString();
-    });
-
-    child.stderr.on('data', (data) => {
-      output += data.toString();
-    });
-
-    child.on('close', (code) => {
-      if (code === 0) {
-        resolve(output);
-      } else {
-        reject(new Error(`Command failed with code ${code}: ${output}`));
-      }
-    });
-
-    child.on('error', reject);
-  });
+// Runs in the orchestrator's execution sandbox: the agent's policy, a scrubbed
+// environment plus `env`, a timeout, capped output and agent-workspaces as root
+async function executeRealCommand(orchestrator, command, agentName, env = {}) {
+  const result = await orchestrator.executeRealCommand(command, agentName, env);
+  const output = result.stdout + result.stderr;
+  if (result.exitCode !== 0) {
+    throw new Error(`Command failed with code ${result.exitCode}: ${output}`);
+  }
+  return output;
 }
 
 async function generateRealArtifact(artifactName, agentName, directive) {
@@ -2553,6 +2571,7 @@ app.get('/api/autonomous/workflows/:workflowId/artifacts', async (req, res) => {
         const files = fs.readdirSync(agentWorkspace, { withFileTypes: true });
         
         for (const file of files) {
+          if (file.name === '.git') continue;
           const filePath = path.join(agentWorkspace, file.name);
           const stats = fs.statSync(filePath);
           
@@ -2590,6 +2609,17 @@ app.get('/api/autonomous/workflows/:workflowId/artifacts/:artifactId/download',
       return res.status(404).json({ error: 'Workflow not found' });
     }
 
+    // Tracked artifacts are served from the content-addressed blob store
+    const tracked = orchestrator.getArtifactLineage(artifactId);
+    const checksum = tracked && tracked.lineage.workflowId === workflowId ? tracked.metadata.checksum : null;
+    const blobStore = require('./services/blob-store');
+    const blob = checksum ? await blobStore.stat(checksum).catch(() => null) : null;
+    if (blob) {
+      return blobStore.send(res, blob.sha256, { filename: tracked.name, download: true }, (err) => {
+        if (err && !res.headersSent) res.status(err.status || 404).json({ error: 'Artifact not found' });
+      });
+    }
+
     // Find artifact file
     const fs = require('fs');
     const path = require('path');
@@ -3057,9 +3087,7 @@ app.get('/api/events', (req, res) => {
 });
 
 // Console logs API for real-time console tab
-app.get('/api/console/logs', (req, res) => {
-  res.json({ logs: consoleLogger.getLogBuffer() });
-});
+app.use('/api/console', require('./routes/console-api'));
 
 // Test endpoint to trigger console logs for debugging
 app.post('/api/test-log', (req, res) => {
@@ -3087,6 +3115,11 @@ app.post('/api/test-log', (req, res) => {
 });
 
 // Workers and System Monitoring APIs
+// Tasks waiting for or leased to out-of-process workers
+app.get('/api/task-leases', (req, res) => {
+  res.json(require('./services/task-leases').status());
+});
+
 app.get('/api/workers', async (req, res) => {
   try {
     const { Worker } = require('./models');
@@ -3339,6 +3372,19 @@ if (require.main === module) {
     });
   });
 
+  // Relay partial provider output (start/delta/end) to the Console and BoardRoom
+  require('./services/bus').on('provider_stream', (evt) => {
+    io.emit('provider_stream', evt);
+  });
+
+  // Deploy pipeline build logs and status changes
+  require('./services/bus').on('deployment_log', (evt) => {
+    io.emit('deployment_log', evt);
+  });
+  require('./services/bus').on('deployment_status', (evt) => {
+    io.emit('deployment_status', evt);
+  });
+
   // Initialize REAL autonomous agent execution platform
   // NOTE: orchestrator initialization can perform synchronous, expensive setup
   // which can block the Node event loop and prevent the HTTP server from
@@ -3383,6 +3429,13 @@ if (require.main === module) {
       });
 
       app.locals.orchestrator = orchestrator;
+      require('./services/company-run').setOrchestrator(orchestrator);
+
+      // Webhook rules start their workflows through this orchestrator
+      require('./services/webhook-rules').setOrchestrator(orchestrator);
+      // Gated deployment promotions appear among the CEO's pending approvals
+      require('./services/deployment-pipeline').setApprovalManager(ceoApprovalManager);
+      metrics.setOrchestrator(orchestrator);
       app.locals.ceoApprovalManager = ceoApprovalManager;
       app.locals.liveAgentInfrastructure = liveAgentInfra;
       app.locals.realProviderEngine = realProviderEngine;
@@ -3423,6 +3476,14 @@ if (require.main === module) {
 
       console.log('✅ Console logger connected to Socket.IO broadcasting');
 
+      // Restore persisted queue tasks and catch up recurring schedules missed while down
+      if (process.env.NODE_ENV !== 'test') {
+        require('./services/task-queue').recover()
+          .catch(err => console.warn('[TASK-QUEUE] Recovery failed:', err && err.message));
+        // Delete artifact blobs no artifact has referenced for the retention window
+        require('./services/blob-store').startGarbageCollector();
+      }
+
       // Kick off background provider pings to keep status fresh
       if (process.env.NODE_ENV !== 'test') {
         setTimeout(() => {
@@ -3444,6 +3505,9 @@ if (require.main === module) {
         if (app.locals && app.locals._heartbeatInterval) clearInterval(app.locals._heartbeatInterval);
       } catch (e) {}
 
+      // stop a company run before its orchestrator goes away
+      try { await require('./services/company-run').stop('Server shutting down'); } catch (e) {}
+
       // shutdown orchestrator if present
       try {
         if (app.locals && app.locals.orchestrator && typeof app.locals.orchestrator.shutdown === 'function') {
@@ -3463,6 +3527,22 @@ if (require.main === module) {
   // shutdown server-auth helpers (clears any companyRuns timers)
   try { const serverAuth = require('./server-auth'); if (serverAuth && typeof serverAuth.shutdown === 'function') await serverAuth.shutdown(); } catch (e) {}
 
+      // flush buffered log entries
+      try { await require('./services/logger').stop(); } catch (e) {}
+
+      // export finished spans still waiting for the next batch
+      try { await require('./services/tracing').stop(); } catch (e) {}
+
+      // stop the vault key rotation schedule
+      try { require('./services/secrets-vault').stop(); } catch (e) {}
+
+      // stop polling providers for running deployments
+      try { require('./services/deployment-pipeline').stop(); } catch (e) {}
+
+      // stop serving local preview deployments
+      try { await require('./services/local-deploy').stop(); } catch (e) {}
+      try { require('./services/task-leases').stop(); } catch (e) {}
+
       // provider monitor shutdown if implemented
       try { const providerMonitor = require('./services/provider-monitor'); if (providerMonitor && typeof providerMonitor.shutdown === 'function') await providerMonitor.shutdown(); } catch (e) {}
 
@@ -0,0 +1,43 @@
+/**
+ * Adds the columns the WorkflowOrchestrator needs to mirror its tasks into the
+ * `tasks` table (definition fields plus retry bookkeeping) and the workflow
+ * statuses the orchestrator already uses for approval gating.
+ */
+const { DataTypes } = require('sequelize');
+
+const TASK_COLUMNS = {
+  title: { type: DataTypes.STRING, allowNull: true },
+  type: { type: DataTypes.STRING, allowNull: true },
+  dependencies: { type: DataTypes.JSON, allowNull: true },
+  attempts: { type: DataTypes.INTEGER, defaultValue: 0 },
+  retryable: { type: DataTypes.BOOLEAN, defaultValue: false }
+};
+
+module.exports = {
+  async up({ context: { queryInterface } }) {
+    const table = await queryInterface.describeTable('tasks');
+    for (const [column, definition] of Object.entries(TASK_COLUMNS)) {
+      if (!table[column]) {
+        await queryInterface.addColumn('tasks', column, definition);
+      }
+    }
+
+    // SQLite stores the status enum as TEXT without a CHECK constraint, so only
+    // PostgreSQL needs the new values added to the enum type.
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_workflows_status" ADD VALUE IF NOT EXISTS 'waiting_for_manager_review';
+        ALTER TYPE "enum_workflows_status" ADD VALUE IF NOT EXISTS 'blocked_pending_ceo_approval';
+      `);
+    }
+  },
+
+  async down({ context: { queryInterface } }) {
+    const table = await queryInterface.describeTable('tasks');
+    for (const column of Object.keys(TASK_COLUMNS)) {
+      if (table[column]) {
+        await queryInterface.removeColumn('tasks', column);
+      }
+    }
+  }
+};
@@ -0,0 +1,79 @@
+/**
+ * Tables backing the durable TaskQueue: `queued_tasks` holds queued, scheduled
+ * and finished queue tasks, `task_schedules` holds recurring cron/interval
+ * schedules with their next run and missed-run catch-up policy.
+ */
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: { queryInterface } }) {
+    const tables = await queryInterface.showAllTables();
+
+    if (!tables.includes('queued_tasks')) {
+      await queryInterface.createTable('queued_tasks', {
+        id: { type: DataTypes.STRING, primaryKey: true },
+        user_id: { type: DataTypes.UUID, allowNull: false },
+        project_id: { type: DataTypes.STRING, allowNull: false },
+        schedule_id: { type: DataTypes.STRING, allowNull: true },
+        parent_task_id: { type: DataTypes.STRING, allowNull: true },
+        type: { type: DataTypes.STRING, defaultValue: 'general' },
+        priority: { type: DataTypes.STRING, defaultValue: 'normal' },
+        status: { type: DataTypes.STRING, defaultValue: 'queued' },
+        prompt: { type: DataTypes.TEXT, allowNull: false },
+        tools: { type: DataTypes.JSON, defaultValue: [] },
+        constraints: { type: DataTypes.JSON, defaultValue: {} },
+        metadata: { type: DataTypes.JSON, defaultValue: {} },
+        dependencies: { type: DataTypes.JSON, defaultValue: [] },
+        tags: { type: DataTypes.JSON, defaultValue: [] },
+        callback: { type: DataTypes.STRING, allowNull: true },
+        retry_count: { type: DataTypes.INTEGER, defaultValue: 0 },
+        estimated_duration: { type: DataTypes.INTEGER, allowNull: true },
+        scheduled_for: { type: DataTypes.DATE, allowNull: true },
+        queued_at: { type: DataTypes.DATE, allowNull: true },
+        started_at: { type: DataTypes.DATE, allowNull: true },
+        completed_at: { type: DataTypes.DATE, allowNull: true },
+        failed_at: { type: DataTypes.DATE, allowNull: true },
+        cancelled_at: { type: DataTypes.DATE, allowNull: true },
+        duration: { type: DataTypes.INTEGER, allowNull: true },
+        result: { type: DataTypes.JSON, allowNull: true },
+        error: { type: DataTypes.TEXT, allowNull: true },
+        created_at: { type: DataTypes.DATE, allowNull: false },
+        updated_at: { type: DataTypes.DATE, allowNull: false }
+      });
+      await queryInterface.addIndex('queued_tasks', ['status']);
+      await queryInterface.addIndex('queued_tasks', ['user_id']);
+      await queryInterface.addIndex('queued_tasks', ['project_id']);
+      await queryInterface.addIndex('queued_tasks', ['schedule_id']);
+    }
+
+    if (!tables.includes('task_schedules')) {
+      await queryInterface.createTable('task_schedules', {
+        id: { type: DataTypes.STRING, primaryKey: true },
+        user_id: { type: DataTypes.UUID, allowNull: false },
+        project_id: { type: DataTypes.STRING, allowNull: false },
+        name: { type: DataTypes.STRING, allowNull: true },
+        cron: { type: DataTypes.STRING, allowNull: true },
+        interval_ms: { type: DataTypes.INTEGER, allowNull: true },
+        task_template: { type: DataTypes.JSON, allowNull: false },
+        status: { type: DataTypes.ENUM('active', 'paused'), defaultValue: 'active' },
+        catch_up: { type: DataTypes.ENUM('skip', 'once', 'all'), defaultValue: 'once' },
+        next_run_at: { type: DataTypes.DATE, allowNull: true },
+        last_run_at: { type: DataTypes.DATE, allowNull: true },
+        last_task_id: { type: DataTypes.STRING, allowNull: true },
+        run_count: { type: DataTypes.INTEGER, defaultValue: 0 },
+        missed_runs: { type: DataTypes.INTEGER, defaultValue: 0 },
+        paused_at: { type: DataTypes.DATE, allowNull: true },
+        created_at: { type: DataTypes.DATE, allowNull: false },
+        updated_at: { type: DataTypes.DATE, allowNull: false }
+      });
+      await queryInterface.addIndex('task_schedules', ['status', 'next_run_at']);
+      await queryInterface.addIndex('task_schedules', ['user_id']);
+      await queryInterface.addIndex('task_schedules', ['project_id']);
+    }
+  },
+
+  async down({ context: { queryInterface } }) {
+    await queryInterface.dropTable('task_schedules');
+    await queryInterface.dropTable('queued_tasks');
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * `budgets` holds spend limits attached to a workflow, an agent or a project,
+ * with the spend recorded so far from provider usage.
+ */
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: { queryInterface } }) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('budgets')) return;
+
+    await queryInterface.createTable('budgets', {
+      id: { type: DataTypes.STRING, primaryKey: true },
+      scope: { type: DataTypes.ENUM('workflow', 'agent', 'project'), allowNull: false },
+      scope_id: { type: DataTypes.STRING, allowNull: false },
+      limit_usd: { type: DataTypes.DECIMAL(10, 4), allowNull: false },
+      warn_at: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0.8 },
+      spent_usd: { type: DataTypes.DECIMAL(12, 6), allowNull: false, defaultValue: 0 },
+      approved_usd: { type: DataTypes.DECIMAL(10, 4), allowNull: false, defaultValue: 0 },
+      status: { type: DataTypes.ENUM('active', 'warning', 'exceeded'), allowNull: false, defaultValue: 'active' },
+      warned_at: { type: DataTypes.DATE, allowNull: true },
+      exceeded_at: { type: DataTypes.DATE, allowNull: true },
+      metadata: { type: DataTypes.JSON, defaultValue: {} },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: false }
+    });
+    await queryInterface.addIndex('budgets', ['scope', 'scope_id'], { unique: true });
+    await queryInterface.addIndex('budgets', ['status']);
+  },
+
+  async down({ context: { queryInterface } }) {
+    await queryInterface.dropTable('budgets');
+  }
+};
@@ -0,0 +1,130 @@
+/**
+ * Persists the artifact lineage graph: lineage columns on `artifacts`, parent/child
+ * edges in `artifact_edges` and, on SQLite, an FTS5 index over artifact names,
+ * paths and content.
+ *
+ * Lineage records are keyed by artifact rather than by content, so `sha256` is no
+ * longer unique (two tasks may legitimately produce identical files).
+ */
+const { DataTypes, literal } = require('sequelize');
+
+const ARTIFACT_COLUMNS = {
+  name: { type: DataTypes.STRING, allowNull: true },
+  workflow_id: { type: DataTypes.STRING, allowNull: true },
+  created_by: { type: DataTypes.STRING, allowNull: true },
+  requested_by: { type: DataTypes.STRING, allowNull: true },
+  file_type: { type: DataTypes.STRING, allowNull: true },
+  status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'active' },
+  lineage: { type: DataTypes.JSON, allowNull: true },
+  metadata: { type: DataTypes.JSON, allowNull: true }
+};
+
+// `artifacts` as the initial migration created it; down() restores this shape
+const ORIGINAL_ARTIFACT_TABLE = {
+  id: { type: DataTypes.UUID, primaryKey: true },
+  project_id: { type: DataTypes.STRING, allowNull: false },
+  path: { type: DataTypes.STRING, allowNull: false },
+  sha256: { type: DataTypes.STRING, allowNull: false, unique: true },
+  bytes: { type: DataTypes.INTEGER, allowNull: false },
+  produced_by_task: { type: DataTypes.UUID },
+  created_at: { type: DataTypes.DATE, allowNull: false, defaultValue: literal('CURRENT_TIMESTAMP') },
+  updated_at: { type: DataTypes.DATE, allowNull: false, defaultValue: literal('CURRENT_TIMESTAMP') }
+};
+
+const LINEAGE_ARTIFACT_TABLE = {
+  id: { type: DataTypes.UUID, primaryKey: true },
+  project_id: { type: DataTypes.STRING, allowNull: false },
+  path: { type: DataTypes.STRING, allowNull: false },
+  sha256: { type: DataTypes.STRING, allowNull: true },
+  bytes: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  produced_by_task: { type: DataTypes.STRING },
+  ...ARTIFACT_COLUMNS,
+  created_at: { type: DataTypes.DATE, allowNull: false, defaultValue: literal('CURRENT_TIMESTAMP') },
+  updated_at: { type: DataTypes.DATE, allowNull: false, defaultValue: literal('CURRENT_TIMESTAMP') }
+};
+
+// SQLite cannot change column constraints in place: copy the rows into a table with the new definition
+async function rebuildArtifacts(queryInterface, definition) {
+  const existing = await queryInterface.describeTable('artifacts');
+  const columns = Object.keys(existing).filter(column => definition[column]).map(column => `"${column}"`).join(', ');
+
+  await queryInterface.sequelize.query('CREATE TABLE artifacts_backup AS SELECT * FROM artifacts;');
+  await queryInterface.dropTable('artifacts');
+  await queryInterface.createTable('artifacts', definition);
+  await queryInterface.sequelize.query(`INSERT INTO artifacts (${columns}) SELECT ${columns} FROM artifacts_backup;`);
+  await queryInterface.sequelize.query('DROP TABLE artifacts_backup;');
+}
+
+module.exports = {
+  async up({ context: { queryInterface } }) {
+    const dialect = queryInterface.sequelize.getDialect();
+
+    if (dialect === 'sqlite') {
+      await rebuildArtifacts(queryInterface, LINEAGE_ARTIFACT_TABLE);
+    } else {
+      const table = await queryInterface.describeTable('artifacts');
+      for (const [column, definition] of Object.entries(ARTIFACT_COLUMNS)) {
+        if (!table[column]) {
+          await queryInterface.addColumn('artifacts', column, definition);
+        }
+      }
+      await queryInterface.sequelize.query('ALTER TABLE artifacts DROP CONSTRAINT IF EXISTS artifacts_sha256_key;');
+      await queryInterface.changeColumn('artifacts', 'sha256', { type: DataTypes.STRING, allowNull: true });
+    }
+    await queryInterface.addIndex('artifacts', ['sha256']);
+    await queryInterface.addIndex('artifacts', ['workflow_id']);
+
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes('artifact_edges')) {
+      await queryInterface.createTable('artifact_edges', {
+        id: { type: DataTypes.STRING, primaryKey: true },
+        parent_id: { type: DataTypes.UUID, allowNull: false },
+        child_id: { type: DataTypes.UUID, allowNull: false },
+        workflow_id: { type: DataTypes.STRING, allowNull: true },
+        relation: { type: DataTypes.STRING, allowNull: false, defaultValue: 'derived_from' },
+        created_at: { type: DataTypes.DATE, allowNull: false },
+        updated_at: { type: DataTypes.DATE, allowNull: false }
+      });
+      await queryInterface.addIndex('artifact_edges', ['parent_id', 'child_id'], { unique: true });
+      await queryInterface.addIndex('artifact_edges', ['child_id']);
+    }
+
+    if (dialect === 'sqlite') {
+      await queryInterface.sequelize.query(
+        "CREATE VIRTUAL TABLE IF NOT EXISTS artifacts_fts USING fts5(artifact_id UNINDEXED, name, path, content, tokenize = 'unicode61');"
+      );
+    }
+  },
+
+  async down({ context: { queryInterface } }) {
+    const dialect = queryInterface.sequelize.getDialect();
+
+    // sha256 becomes unique and required again; refuse before changing anything if rows break that
+    const [conflicts] = await queryInterface.sequelize.query(
+      'SELECT sha256 FROM artifacts GROUP BY sha256 HAVING COUNT(*) > 1 OR sha256 IS NULL LIMIT 1;'
+    );
+    if (conflicts.length > 0) {
+      throw new Error('Cannot restore the unique, required artifacts.sha256: some artifacts share content or have none');
+    }
+
+    await queryInterface.sequelize.query('DROP TABLE IF EXISTS artifacts_fts;');
+    await queryInterface.dropTable('artifact_edges');
+
+    if (dialect === 'sqlite') {
+      // Rebuilding drops the lineage indexes with the old table
+      await rebuildArtifacts(queryInterface, ORIGINAL_ARTIFACT_TABLE);
+      return;
+    }
+
+    await queryInterface.removeIndex('artifacts', ['sha256']);
+    await queryInterface.removeIndex('artifacts', ['workflow_id']);
+    const table = await queryInterface.describeTable('artifacts');
+    for (const column of Object.keys(ARTIFACT_COLUMNS)) {
+      if (table[column]) {
+        await queryInterface.removeColumn('artifacts', column);
+      }
+    }
+    await queryInterface.changeColumn('artifacts', 'sha256', { type: DataTypes.STRING, allowNull: false });
+    await queryInterface.sequelize.query('ALTER TABLE artifacts ADD CONSTRAINT artifacts_sha256_key UNIQUE (sha256);');
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * `blobs` tracks the content-addressed artifact store: one row per sha256 with
+ * its size and how many artifact records reference it.
+ */
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: { queryInterface } }) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('blobs')) return;
+
+    await queryInterface.createTable('blobs', {
+      sha256: { type: DataTypes.STRING(64), primaryKey: true },
+      bytes: { type: DataTypes.INTEGER, allowNull: false },
+      ref_count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      last_referenced_at: { type: DataTypes.DATE, allowNull: true },
+      orphaned_at: { type: DataTypes.DATE, allowNull: true },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: false }
+    });
+    await queryInterface.addIndex('blobs', ['ref_count', 'orphaned_at']);
+  },
+
+  async down({ context: { queryInterface } }) {
+    await queryInterface.dropTable('blobs');
+  }
+};
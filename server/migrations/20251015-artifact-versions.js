@@ -0,0 +1,30 @@
+/**
+ * `artifact_versions` keeps one immutable row per artifact update, pointing at
+ * the version's content in the blob store.
+ */
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: { queryInterface } }) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('artifact_versions')) return;
+
+    await queryInterface.createTable('artifact_versions', {
+      id: { type: DataTypes.STRING, primaryKey: true },
+      artifact_id: { type: DataTypes.UUID, allowNull: false },
+      version: { type: DataTypes.INTEGER, allowNull: false },
+      sha256: { type: DataTypes.STRING(64), allowNull: true },
+      bytes: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      action: { type: DataTypes.STRING, allowNull: false },
+      agent: { type: DataTypes.STRING, allowNull: true },
+      details: { type: DataTypes.TEXT, allowNull: true },
+      restored_from: { type: DataTypes.INTEGER, allowNull: true },
+      created_at: { type: DataTypes.DATE, allowNull: false }
+    });
+    await queryInterface.addIndex('artifact_versions', ['artifact_id', 'version'], { unique: true });
+  },
+
+  async down({ context: { queryInterface } }) {
+    await queryInterface.dropTable('artifact_versions');
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * `webhook_deliveries` logs every inbound webhook with its headers, payload,
+ * signature check and handler outcome. The (provider, delivery_id) unique index
+ * is what makes redeliveries idempotent.
+ */
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: { queryInterface } }) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('webhook_deliveries')) return;
+
+    await queryInterface.createTable('webhook_deliveries', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      provider: { type: DataTypes.STRING, allowNull: false },
+      event_type: { type: DataTypes.STRING, allowNull: false },
+      delivery_id: { type: DataTypes.STRING, allowNull: false },
+      headers: { type: DataTypes.JSON, allowNull: true },
+      payload: { type: DataTypes.JSON, allowNull: true },
+      signature_valid: { type: DataTypes.BOOLEAN, allowNull: true },
+      status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'processing' },
+      result: { type: DataTypes.JSON, allowNull: true },
+      error: { type: DataTypes.TEXT, allowNull: true },
+      duration_ms: { type: DataTypes.INTEGER, allowNull: true },
+      attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      duplicates: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      last_attempt_at: { type: DataTypes.DATE, allowNull: true },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: false }
+    });
+    await queryInterface.addIndex('webhook_deliveries', ['provider', 'delivery_id'], { unique: true });
+    await queryInterface.addIndex('webhook_deliveries', ['provider', 'created_at']);
+    await queryInterface.addIndex('webhook_deliveries', ['status']);
+  },
+
+  async down({ context: { queryInterface } }) {
+    await queryInterface.dropTable('webhook_deliveries');
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * `webhook_rules` maps repository events to orchestrator workflows per project.
+ */
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: { queryInterface } }) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('webhook_rules')) return;
+
+    await queryInterface.createTable('webhook_rules', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      project_id: { type: DataTypes.STRING, allowNull: false },
+      name: { type: DataTypes.STRING, allowNull: false },
+      provider: { type: DataTypes.STRING, allowNull: false, defaultValue: 'github' },
+      event: { type: DataTypes.STRING, allowNull: false },
+      match: { type: DataTypes.TEXT, allowNull: true },
+      directive: { type: DataTypes.TEXT, allowNull: false },
+      manager: { type: DataTypes.STRING, allowNull: true },
+      enabled: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      trigger_count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      last_triggered_at: { type: DataTypes.DATE, allowNull: true },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: false }
+    });
+    await queryInterface.addIndex('webhook_rules', ['project_id']);
+    await queryInterface.addIndex('webhook_rules', ['provider', 'event']);
+  },
+
+  async down({ context: { queryInterface } }) {
+    await queryInterface.dropTable('webhook_rules');
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * `log_entries` is the queryable store behind the structured logger.
+ */
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: { queryInterface } }) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('log_entries')) return;
+
+    await queryInterface.createTable('log_entries', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      timestamp: { type: DataTypes.DATE, allowNull: false },
+      level: { type: DataTypes.ENUM('debug', 'info', 'warn', 'error'), allowNull: false },
+      source: { type: DataTypes.STRING, allowNull: false, defaultValue: 'server' },
+      agent: { type: DataTypes.STRING, allowNull: true },
+      workflow_id: { type: DataTypes.STRING, allowNull: true },
+      task_id: { type: DataTypes.STRING, allowNull: true },
+      message: { type: DataTypes.TEXT, allowNull: false },
+      fields: { type: DataTypes.JSON, allowNull: true }
+    });
+    await queryInterface.addIndex('log_entries', ['timestamp']);
+    await queryInterface.addIndex('log_entries', ['level', 'timestamp']);
+    await queryInterface.addIndex('log_entries', ['agent', 'timestamp']);
+    await queryInterface.addIndex('log_entries', ['workflow_id', 'timestamp']);
+    await queryInterface.addIndex('log_entries', ['task_id']);
+  },
+
+  async down({ context: { queryInterface } }) {
+    await queryInterface.dropTable('log_entries');
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Deployments record the provider's own deployment id so polling and provider
+ * webhooks can find the row the deploy pipeline created.
+ */
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: { queryInterface } }) {
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes('deployments')) return;
+
+    const table = await queryInterface.describeTable('deployments');
+    if (!table.provider_deployment_id) {
+      await queryInterface.addColumn('deployments', 'provider_deployment_id', { type: DataTypes.STRING, allowNull: true });
+      await queryInterface.addIndex('deployments', ['provider', 'provider_deployment_id']);
+    }
+  },
+
+  async down({ context: { queryInterface } }) {
+    await queryInterface.removeIndex('deployments', ['provider', 'provider_deployment_id']);
+    await queryInterface.removeColumn('deployments', 'provider_deployment_id');
+  }
+};
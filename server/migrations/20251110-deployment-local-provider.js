@@ -0,0 +1,20 @@
+/**
+ * Deployments can target the local preview server as well as the cloud
+ * providers.
+ */
+module.exports = {
+  async up({ context: { queryInterface } }) {
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes('deployments')) return;
+
+    // SQLite stores the provider enum as TEXT without a CHECK constraint, so only
+    // PostgreSQL needs the new value added to the enum type.
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query(`ALTER TYPE "enum_deployments_provider" ADD VALUE IF NOT EXISTS 'local';`);
+    }
+  },
+
+  async down() {
+    // PostgreSQL cannot drop a value from an enum type; 'local' is left in place
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Workflows stopped from the dashboard end as 'cancelled'.
+ */
+module.exports = {
+  async up({ context: { queryInterface } }) {
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes('workflows')) return;
+
+    // SQLite stores the status enum as TEXT without a CHECK constraint, so only
+    // PostgreSQL needs the new value added to the enum type.
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query(`ALTER TYPE "enum_workflows_status" ADD VALUE IF NOT EXISTS 'cancelled';`);
+    }
+  },
+
+  async down() {
+    // PostgreSQL cannot drop a value from an enum type; 'cancelled' is left in place
+  }
+};
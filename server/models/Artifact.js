@@ -5,17 +5,26 @@ module.exports = (sequelize) => {
     id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
     project_id: { type: DataTypes.STRING, allowNull: false },
     path: { type: DataTypes.STRING, allowNull: false },
-    sha256: { type: DataTypes.STRING, allowNull: false, unique: true },
-    bytes: { type: DataTypes.INTEGER, allowNull: false },
-    produced_by_task: { type: DataTypes.UUID, allowNull: true },
-    workflow_id: { type: DataTypes.UUID, allowNull: true },
+    name: { type: DataTypes.STRING, allowNull: true },
+    // Not unique: identical files produced by different tasks keep separate lineage records
+    sha256: { type: DataTypes.STRING, allowNull: true },
+    bytes: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    produced_by_task: { type: DataTypes.STRING, allowNull: true },
+    workflow_id: { type: DataTypes.STRING, allowNull: true },
     created_by: { type: DataTypes.STRING, allowNull: true },
     requested_by: { type: DataTypes.STRING, allowNull: true },
+    file_type: { type: DataTypes.STRING, allowNull: true },
+    status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'active' },
+    // directive, taskTitle, creationReason, generation and modificationHistory
+    lineage: { type: DataTypes.JSON, allowNull: true },
     metadata: { type: DataTypes.JSON, allowNull: true }
   }, {
-    tableName: 'artifacts'
+    tableName: 'artifacts',
+    indexes: [
+      { fields: ['sha256'] },
+      { fields: ['workflow_id'] }
+    ]
   });
 
   return Artifact;
 };
-
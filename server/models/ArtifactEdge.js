@@ -0,0 +1,36 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Parent -> child link in the artifact lineage graph
+  const ArtifactEdge = sequelize.define('ArtifactEdge', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true
+    },
+    parent_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    child_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    workflow_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    relation: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'derived_from'
+    }
+  }, {
+    tableName: 'artifact_edges',
+    indexes: [
+      { unique: true, fields: ['parent_id', 'child_id'] },
+      { fields: ['child_id'] }
+    ]
+  });
+
+  return ArtifactEdge;
+};
@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Immutable snapshot of an artifact's content; the bytes live in the blob store under sha256
+  const ArtifactVersion = sequelize.define('ArtifactVersion', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true
+    },
+    artifact_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    sha256: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    bytes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // created, modified, manual_edit, external_modification, restored, ...
+    action: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    agent: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    details: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Version whose content a restore copied
+    restored_from: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    tableName: 'artifact_versions',
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['artifact_id', 'version'] }
+    ]
+  });
+
+  return ArtifactVersion;
+};
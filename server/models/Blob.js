@@ -0,0 +1,37 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Content-addressed file stored once under its sha256 and shared by every artifact with that content
+  const Blob = sequelize.define('Blob', {
+    sha256: {
+      type: DataTypes.STRING(64),
+      primaryKey: true
+    },
+    bytes: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // Number of artifact records pointing at this blob
+    ref_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    last_referenced_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Set when the last reference is released; garbage collection starts the retention clock here
+    orphaned_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'blobs',
+    indexes: [
+      { fields: ['ref_count', 'orphaned_at'] }
+    ]
+  });
+
+  return Blob;
+};
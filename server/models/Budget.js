@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Budget = sequelize.define('Budget', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true
+    },
+    // What the budget is attached to; scope_id is a workflow id, agent name or project id
+    scope: {
+      type: DataTypes.ENUM('workflow', 'agent', 'project'),
+      allowNull: false
+    },
+    scope_id: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    limit_usd: {
+      type: DataTypes.DECIMAL(10, 4),
+      allowNull: false
+    },
+    // Fraction of the limit at which a soft warning is broadcast
+    warn_at: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0.8
+    },
+    spent_usd: {
+      type: DataTypes.DECIMAL(12, 6),
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Extra headroom granted by CEO approvals after a hard stop
+    approved_usd: {
+      type: DataTypes.DECIMAL(10, 4),
+      allowNull: false,
+      defaultValue: 0
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'warning', 'exceeded'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    warned_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    exceeded_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'budgets',
+    indexes: [
+      { unique: true, fields: ['scope', 'scope_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  return Budget;
+};
@@ -1,5 +1,5 @@
 const { DataTypes } = require('sequelize');
-const CryptoJS = require('crypto-js');
+const { fieldContext, encryptField, decryptField } = require('../services/field-encryption');
 
 module.exports = (sequelize) => {
   const Connection = sequelize.define('Connection', {
@@ -67,19 +67,18 @@ module.exports = (sequelize) => {
     ]
   });
 
-  // Instance methods for encryption/decryption
+  // Instance methods for encryption/decryption (envelope-encrypted through the vault keyring)
+  const tokenContext = (connection, column) => fieldContext('connections', connection.id, column);
+
   Connection.prototype.setToken = function(token) {
-    const encryptionKey = process.env.ENCRYPTION_KEY;
-    this.token_encrypted = CryptoJS.AES.encrypt(token, encryptionKey).toString();
+    this.token_encrypted = encryptField(token, tokenContext(this, 'token_encrypted'));
   };
 
   Connection.prototype.getToken = function() {
-    const encryptionKey = process.env.ENCRYPTION_KEY;
     try {
-      const bytes = CryptoJS.AES.decrypt(this.token_encrypted, encryptionKey);
-      return bytes.toString(CryptoJS.enc.Utf8);
+      return decryptField(this.token_encrypted, tokenContext(this, 'token_encrypted'));
     } catch (error) {
-      console.error('Failed to decrypt token:', error);
+      console.error('Failed to decrypt token:', error.message);
       return null;
     }
   };
@@ -89,18 +88,15 @@ module.exports = (sequelize) => {
       this.refresh_token_encrypted = null;
       return;
     }
-    const encryptionKey = process.env.ENCRYPTION_KEY;
-    this.refresh_token_encrypted = CryptoJS.AES.encrypt(refreshToken, encryptionKey).toString();
+    this.refresh_token_encrypted = encryptField(refreshToken, tokenContext(this, 'refresh_token_encrypted'));
   };
 
   Connection.prototype.getRefreshToken = function() {
     if (!this.refresh_token_encrypted) return null;
-    const encryptionKey = process.env.ENCRYPTION_KEY;
     try {
-      const bytes = CryptoJS.AES.decrypt(this.refresh_token_encrypted, encryptionKey);
-      return bytes.toString(CryptoJS.enc.Utf8);
+      return decryptField(this.refresh_token_encrypted, tokenContext(this, 'refresh_token_encrypted'));
     } catch (error) {
-      console.error('Failed to decrypt refresh token:', error);
+      console.error('Failed to decrypt refresh token:', error.message);
       return null;
     }
   };
@@ -16,9 +16,14 @@ module.exports = (sequelize) => {
       allowNull: false
     },
     provider: {
-      type: DataTypes.ENUM('vercel', 'netlify', 'render', 'aws'),
+      type: DataTypes.ENUM('vercel', 'netlify', 'render', 'aws', 'local'),
       allowNull: false
     },
+    // The provider's id for this deployment (Vercel deployment, Netlify deploy, Render deploy, ECS deployment, local preview)
+    provider_deployment_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
     status: {
       type: DataTypes.ENUM('pending', 'building', 'deploying', 'success', 'failed', 'cancelled'),
       defaultValue: 'pending'
@@ -61,7 +66,8 @@ module.exports = (sequelize) => {
       { fields: ['project_id'] },
       { fields: ['environment_id'] },
       { fields: ['status'] },
-      { fields: ['started_at'] }
+      { fields: ['started_at'] },
+      { fields: ['provider', 'provider_deployment_id'] }
     ]
   });
 
@@ -1,5 +1,5 @@
 const { DataTypes } = require('sequelize');
-const CryptoJS = require('crypto-js');
+const { fieldContext, encryptField, decryptField } = require('../services/field-encryption');
 
 module.exports = (sequelize) => {
   const EnvVar = sequelize.define('EnvVar', {
@@ -40,18 +40,16 @@ module.exports = (sequelize) => {
     ]
   });
 
+  // Envelope-encrypted through the vault keyring (see services/field-encryption)
   EnvVar.prototype.setValue = function(value) {
-    const encryptionKey = process.env.ENCRYPTION_KEY;
-    this.value_encrypted = CryptoJS.AES.encrypt(value, encryptionKey).toString();
+    this.value_encrypted = encryptField(value, fieldContext('env_vars', this.id, 'value_encrypted'));
   };
 
   EnvVar.prototype.getValue = function() {
-    const encryptionKey = process.env.ENCRYPTION_KEY;
     try {
-      const bytes = CryptoJS.AES.decrypt(this.value_encrypted, encryptionKey);
-      return bytes.toString(CryptoJS.enc.Utf8);
+      return decryptField(this.value_encrypted, fieldContext('env_vars', this.id, 'value_encrypted'));
     } catch (error) {
-      console.error('Failed to decrypt env var:', error);
+      console.error('Failed to decrypt env var:', error.message);
       return null;
     }
   };
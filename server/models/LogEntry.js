@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Structured server log entries, queried by the Console
+  const LogEntry = sequelize.define('LogEntry', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true
+    },
+    timestamp: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    level: {
+      type: DataTypes.ENUM('debug', 'info', 'warn', 'error'),
+      allowNull: false
+    },
+    // Subsystem that wrote the entry, e.g. WORKFLOW, WEBHOOK or server for plain console output
+    source: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'server'
+    },
+    agent: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    workflow_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    task_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    fields: {
+      type: DataTypes.JSON,
+      allowNull: true
+    }
+  }, {
+    tableName: 'log_entries',
+    timestamps: false,
+    indexes: [
+      { fields: ['timestamp'] },
+      { fields: ['level', 'timestamp'] },
+      { fields: ['agent', 'timestamp'] },
+      { fields: ['workflow_id', 'timestamp'] },
+      { fields: ['task_id'] }
+    ]
+  });
+
+  return LogEntry;
+};
@@ -0,0 +1,120 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const QueuedTask = sequelize.define('QueuedTask', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    project_id: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    schedule_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    parent_task_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    type: {
+      type: DataTypes.STRING,
+      defaultValue: 'general'
+    },
+    priority: {
+      type: DataTypes.STRING,
+      defaultValue: 'normal'
+    },
+    status: {
+      type: DataTypes.STRING,
+      defaultValue: 'queued'
+    },
+    prompt: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    tools: {
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
+    constraints: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+    },
+    dependencies: {
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
+    tags: {
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
+    callback: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    retry_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    estimated_duration: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    scheduled_for: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    queued_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    failed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    duration: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    result: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'queued_tasks',
+    indexes: [
+      { fields: ['status'] },
+      { fields: ['user_id'] },
+      { fields: ['project_id'] },
+      { fields: ['schedule_id'] }
+    ]
+  });
+
+  return QueuedTask;
+};
@@ -52,6 +52,30 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: true,
     },
+    // Orchestrator task definition fields (mirrored from Workflow.tasks)
+    title: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    dependencies: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: [],
+    },
+    // Number of times the orchestrator has started this task
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
+    // Set when a run was interrupted (e.g. server restart) and may be retried
+    retryable: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
     started_at: {
       type: DataTypes.DATE,
       allowNull: true,
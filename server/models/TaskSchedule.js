@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TaskSchedule = sequelize.define('TaskSchedule', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    project_id: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Either a cron expression or a fixed interval
+    cron: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    interval_ms: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Task fields copied onto every run (prompt, tools, priority, ...)
+    task_template: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'paused'),
+      defaultValue: 'active'
+    },
+    // What to do with runs missed while the server was down
+    catch_up: {
+      type: DataTypes.ENUM('skip', 'once', 'all'),
+      defaultValue: 'once'
+    },
+    next_run_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_run_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_task_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    run_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    missed_runs: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    paused_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'task_schedules',
+    indexes: [
+      { fields: ['status', 'next_run_at'] },
+      { fields: ['user_id'] },
+      { fields: ['project_id'] }
+    ]
+  });
+
+  return TaskSchedule;
+};
@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // One row per inbound webhook delivery, kept for idempotency, debugging and replay
+  const WebhookDelivery = sequelize.define('WebhookDelivery', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    event_type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Provider-assigned delivery id (e.g. X-GitHub-Delivery), or a payload hash when the provider sends none
+    delivery_id: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    headers: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    signature_valid: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true
+    },
+    // processing, processed, ignored, failed, rejected
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'processing'
+    },
+    result: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    duration_ms: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Provider redeliveries of an already handled delivery
+    duplicates: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    last_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'webhook_deliveries',
+    indexes: [
+      { unique: true, fields: ['provider', 'delivery_id'] },
+      { fields: ['provider', 'created_at'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  return WebhookDelivery;
+};
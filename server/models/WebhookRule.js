@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Per-project rule turning matching webhook events into orchestrator workflows
+  const WebhookRule = sequelize.define('WebhookRule', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    project_id: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'github'
+    },
+    // Event name as delivered, e.g. issues, workflow_run, pull_request
+    event: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Match expression over payload fields (see services/webhook-match.js); null matches every event
+    match: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Directive template; {{ path }} placeholders are filled from the payload
+    directive: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    manager: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    trigger_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    last_triggered_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'webhook_rules',
+    indexes: [
+      { fields: ['project_id'] },
+      { fields: ['provider', 'event'] }
+    ]
+  });
+
+  return WebhookRule;
+};
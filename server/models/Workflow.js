@@ -18,10 +18,13 @@ module.exports = (sequelize) => {
         'in_progress',
         'executing',
         'waiting_for_ceo_approval',
+        'waiting_for_manager_review',
+        'blocked_pending_ceo_approval',
         'completed',
         'failed',
         'paused',
-        'rejected'
+        'rejected',
+        'cancelled'
       ),
       defaultValue: 'planned',
       allowNull: false
@@ -26,7 +26,16 @@ const Task = require('./Task')(sequelize);
 const Worker = require('./Worker')(sequelize);
 const Run = require('./Run')(sequelize);
 const Artifact = require('./Artifact')(sequelize);
+const ArtifactEdge = require('./ArtifactEdge')(sequelize);
+const ArtifactVersion = require('./ArtifactVersion')(sequelize);
 const Workflow = require('./Workflow')(sequelize);
+const QueuedTask = require('./QueuedTask')(sequelize);
+const TaskSchedule = require('./TaskSchedule')(sequelize);
+const Budget = require('./Budget')(sequelize);
+const Blob = require('./Blob')(sequelize);
+const WebhookDelivery = require('./WebhookDelivery')(sequelize);
+const WebhookRule = require('./WebhookRule')(sequelize);
+const LogEntry = require('./LogEntry')(sequelize);
 
 // Define associations
 User.hasMany(Project, { foreignKey: 'owner_id' });
@@ -67,6 +76,10 @@ Run.belongsTo(Project, { foreignKey: 'project_id' });
 Project.hasMany(Artifact, { foreignKey: 'project_id' });
 Artifact.belongsTo(Project, { foreignKey: 'project_id' });
 
+// TaskQueue persistence; runs created by a schedule point back at it
+TaskSchedule.hasMany(QueuedTask, { foreignKey: 'schedule_id', constraints: false });
+QueuedTask.belongsTo(TaskSchedule, { foreignKey: 'schedule_id', constraints: false });
+
 // Workflow associations - workflows are linked to projects via metadata
 // Note: This is a "soft" association since metadata is JSON and doesn't use FK constraints
 // We'll handle the relationship in application logic
@@ -119,6 +132,19 @@ async function initializeDatabase() {
       } catch (e) {
         console.warn('⚠️  Failed to ensure `project_id` column on workflows table:', e && e.message);
       }
+      // Same for the orchestrator task-persistence columns on `tasks`
+      // (see migrations/20250920-orchestrator-task-persistence.js).
+      try {
+        const taskColumns = await sequelize.getQueryInterface().describeTable('tasks');
+        for (const column of ['title', 'type', 'dependencies', 'attempts', 'retryable']) {
+          if (!taskColumns[column]) {
+            await sequelize.getQueryInterface().addColumn('tasks', column, Task.rawAttributes[column]);
+            console.log(`✅ Added \`${column}\` column to \`tasks\` table (development only).`);
+          }
+        }
+      } catch (e) {
+        console.warn('⚠️  Failed to ensure orchestrator columns on tasks table:', e && e.message);
+      }
     }
 
     // Create default user for autonomous agents
@@ -169,6 +195,15 @@ module.exports = {
   Worker,
   Run,
   Artifact,
+  ArtifactEdge,
+  ArtifactVersion,
   Workflow,
+  QueuedTask,
+  TaskSchedule,
+  Budget,
+  Blob,
+  WebhookDelivery,
+  WebhookRule,
+  LogEntry,
   initializeDatabase
 };
@@ -10,10 +10,23 @@ const os = require('os');
 const path = require('path');
 const fsp = require('fs').promises;
 const taskRunner = require('../services/task-runner');
+const budgetManager = require('../services/budget-manager');
+const blobStore = require('../services/blob-store');
+const { ArtifactLineageError } = require('../services/artifact-lineage');
+const tracer = require('../services/tracing');
 const bus = (() => { try { return require('../services/bus'); } catch { return { emit(){ } }; } })();
 
 const router = express.Router();
 
+// Run fn inside a server span for a request that starts a workflow; an incoming W3C traceparent becomes its parent
+function traceRequest(req, route, attributes, fn) {
+  return tracer.startActiveSpan(`${req.method} ${route}`, {
+    kind: 'server',
+    parent: tracer.parseTraceparent(req.headers.traceparent),
+    attributes: { 'http.method': req.method, 'http.route': route, ...attributes }
+  }, fn);
+}
+
 // =====================================================
 // REAL ENGINE STATUS API ENDPOINTS (PHASE 3)
 // =====================================================
@@ -658,15 +671,19 @@ router.post('/workflow', ensureAuth, async (req, res) => {
       broadcast({ type: 'workflow-collaboration-detected', workflowId, departments: collaborationDepartments, timestamp: new Date().toISOString() });
     }
 
-    // Kick off workflow creation in background without blocking the HTTP response
-    (async () => {
-      try {
-        await orchestrator.createWorkflow(directive, briefContext, workflowId);
-        console.log('[WORKFLOW CREATE] Background orchestration completed for', workflowId);
-      } catch (bgErr) {
-        console.error('[WORKFLOW CREATE] Background orchestration failed for', workflowId, bgErr && bgErr.message);
-      }
-    })();
+    // Kick off workflow creation in background without blocking the HTTP response;
+    // the workflow's trace hangs off this request's span
+    await traceRequest(req, '/api/autonomous/workflow', { 'workflow.id': workflowId, 'brief.id': briefContext?.id }, async (span) => {
+      (async () => {
+        try {
+          await orchestrator.createWorkflow(directive, briefContext, workflowId);
+          console.log('[WORKFLOW CREATE] Background orchestration completed for', workflowId);
+        } catch (bgErr) {
+          console.error('[WORKFLOW CREATE] Background orchestration failed for', workflowId, bgErr && bgErr.message);
+        }
+      })();
+      span.setAttribute('http.status_code', 202);
+    });
 
     // Return early with accepted status and collaboration hint
     return res.status(202).json({ success: true, workflowId, collaborationDetected: (collaborationDepartments.length > 1), collaborationDepartments, message: 'Workflow accepted and is being created in background' });
@@ -1340,10 +1357,10 @@ router.post('/brief/:briefId/create-workflow', async (req, res) => {
     }
 
     // Enhanced workflow creation with brief context
-    const result = await orchestrator.createWorkflow(
+    const result = await traceRequest(req, '/api/autonomous/brief/:briefId/create-workflow', { 'brief.id': briefId }, () => orchestrator.createWorkflow(
       brief.completedBrief.directive,
       brief.completedBrief  // Pass complete brief for context
-    );
+    ));
 
     broadcast({
       type: 'workflow_created_from_brief',
@@ -1586,17 +1603,19 @@ router.get('/artifacts/:artifactId/lineage', async (req, res) => {
   }
 });
 
-// Search artifacts with multiple criteria
+// Search artifacts: `q` runs a ranked full-text query over names, paths and content;
+// the other parameters filter. Snippets are HTML with matches wrapped in <mark>.
 router.get('/artifacts/search', async (req, res) => {
   try {
     const { 
+      q,
       workflowId, 
       agentName, 
       fileName, 
       fileType, 
       createdAfter, 
       content,
-      limit = 50 
+      limit
     } = req.query;
     
     const orchestrator = req.app.locals.orchestrator;
@@ -1604,21 +1623,27 @@ router.get('/artifacts/search', async (req, res) => {
       return res.status(500).json({ error: 'Orchestrator not available' });
     }
 
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize || limit, 10) || 20, 1), 100);
+
     const criteria = {};
+    if (q || content) criteria.query = q || content;
     if (workflowId) criteria.workflowId = workflowId;
     if (agentName) criteria.agentName = agentName;
     if (fileName) criteria.fileName = fileName;
     if (fileType) criteria.fileType = fileType;
     if (createdAfter) criteria.createdAfter = createdAfter;
-    if (content) criteria.content = content;
 
-    const results = orchestrator.searchArtifacts(criteria);
-    const limitedResults = results.slice(0, parseInt(limit));
+    const { results, total, ranked } = await orchestrator.searchArtifacts(criteria, { page, pageSize });
 
     res.json({
       success: true,
-      artifacts: limitedResults,
-      total: results.length,
+      artifacts: results,
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize),
+      ranked,
       criteria
     });
   } catch (error) {
@@ -1651,6 +1676,84 @@ router.get('/workflows/:workflowId/artifacts', async (req, res) => {
   }
 });
 
+// Spans of a workflow's trace (planning, tasks, provider requests, commands) for the waterfall view
+router.get('/workflows/:workflowId/trace', async (req, res) => {
+  try {
+    const orchestrator = req.app.locals.orchestrator;
+    if (!orchestrator) return res.status(500).json({ error: 'Orchestrator not available' });
+
+    const trace = orchestrator.getWorkflowTrace(req.params.workflowId);
+    if (!trace) return res.status(404).json({ error: 'No trace recorded for this workflow' });
+    res.json({ success: true, workflowId: req.params.workflowId, ...trace });
+  } catch (error) {
+    console.error('❌ Error fetching workflow trace:', error);
+    res.status(500).json({ error: 'Failed to fetch workflow trace' });
+  }
+});
+
+// Workspace history errors (WorkspaceGitError / orchestrator lookups) -> HTTP status
+const WORKSPACE_HISTORY_STATUS = {
+  WORKFLOW_NOT_FOUND: 404,
+  TASK_NOT_FOUND: 404,
+  NOT_A_REPOSITORY: 404,
+  OUTSIDE_WORKSPACE: 403,
+  DISABLED: 409,
+  DIRTY_WORKSPACE: 409,
+  REVERT_CONFLICT: 409
+};
+
+function sendWorkspaceHistoryError(res, error, action) {
+  const status = WORKSPACE_HISTORY_STATUS[error.code] || 500;
+  if (status === 500) console.error(`❌ Error ${action}:`, error);
+  res.status(status).json({ error: error.message, code: error.code || null });
+}
+
+// Diff of the files a task changed in its agent's workspace
+router.get('/workflows/:workflowId/tasks/:taskId/diff', async (req, res) => {
+  try {
+    const orchestrator = req.app.locals.orchestrator;
+    if (!orchestrator) return res.status(500).json({ error: 'Orchestrator not available' });
+
+    const diff = await orchestrator.getTaskDiff(req.params.workflowId, req.params.taskId);
+    res.json({ success: true, ...diff });
+  } catch (error) {
+    sendWorkspaceHistoryError(res, error, 'fetching task diff');
+  }
+});
+
+// Undo a task's workspace changes with a revert commit
+router.post('/workflows/:workflowId/tasks/:taskId/revert', ensureAuth, async (req, res) => {
+  try {
+    const orchestrator = req.app.locals.orchestrator;
+    if (!orchestrator) return res.status(500).json({ error: 'Orchestrator not available' });
+
+    const revert = await orchestrator.revertTask(req.params.workflowId, req.params.taskId, {
+      reason: req.body && req.body.reason
+    });
+    res.json({ success: true, revert });
+  } catch (error) {
+    sendWorkspaceHistoryError(res, error, 'reverting task');
+  }
+});
+
+// Commit history of one workspace file (?path=relative/file)
+router.get('/agents/:agentName/workspace/history', async (req, res) => {
+  try {
+    const orchestrator = req.app.locals.orchestrator;
+    if (!orchestrator) return res.status(500).json({ error: 'Orchestrator not available' });
+    if (!req.query.path) return res.status(400).json({ error: 'path query parameter is required' });
+
+    const agentName = req.params.agentName;
+    const canonical = Array.from(orchestrator.agents.keys()).find(name => name.toLowerCase() === agentName.toLowerCase()) || agentName;
+    const history = await orchestrator.getWorkspaceFileHistory(canonical, req.query.path, {
+      limit: Math.min(parseInt(req.query.limit) || 50, 500)
+    });
+    res.json({ success: true, agent: canonical, path: req.query.path, history });
+  } catch (error) {
+    sendWorkspaceHistoryError(res, error, 'fetching file history');
+  }
+});
+
 // Get workflow by id (includes artifacts and any dbArtifactId links)
 router.get('/workflows/:workflowId', async (req, res) => {
   try {
@@ -1744,7 +1847,37 @@ router.get('/artifacts/:id', async (req, res) => {
   }
 });
 
-// Stream/download artifact file (secure)
+// Stream/download artifact file (secure). Content comes from the blob store by hash
+// (ETag is the sha256; Range and conditional requests are honoured); `?download=1`
+// sends it as an attachment.
+// Authorization for artifact files: if the artifact references a DB project,
+// the requesting user must be the project owner or have an admin/owner role.
+// Artifacts known only by path are matched to the project whose
+// file_system_path contains them.
+async function canAccessArtifact(req, dbArtifact, candidatePath) {
+  if (!req.user) return true;
+  const allowed = (project) => !(project && project.owner_id) || req.user.role === 'owner' || req.user.role === 'admin' || req.user.id === project.owner_id;
+  const { Project } = require('../models');
+  try {
+    if (dbArtifact && dbArtifact.project_id) {
+      const proj = await Project.findByPk(dbArtifact.project_id).catch(() => null);
+      if (!allowed(proj)) return false;
+    }
+  } catch (e) {
+    console.warn('Authorization check failed, proceeding cautiously', e && e.message);
+  }
+  try {
+    if (!dbArtifact && candidatePath) {
+      const projects = await Project.findAll().catch(() => []);
+      const matching = projects.find(p => p.file_system_path && candidatePath.startsWith(p.file_system_path));
+      if (!allowed(matching)) return false;
+    }
+  } catch (e) {
+    console.warn('Project-by-path authorization check failed', e && e.message);
+  }
+  return true;
+}
+
 router.get('/artifacts/:id/file', ensureAuth, async (req, res) => {
   try {
     const { id } = req.params;
@@ -1755,40 +1888,47 @@ router.get('/artifacts/:id/file', ensureAuth, async (req, res) => {
     let dbArtifact = await models.Artifact.findByPk(id).catch(() => null);
     let lineage = orchestrator && typeof orchestrator.getArtifactWithLineage === 'function' ? orchestrator.getArtifactWithLineage(id) : null;
 
-    // Prefer absolute path from lineage, then DB path
+    const sha = (dbArtifact && dbArtifact.sha256) || (lineage && lineage.metadata && lineage.metadata.checksum) || null;
+    const blob = sha ? await blobStore.stat(sha).catch(() => null) : null;
+
+    // Without a stored blob, prefer absolute path from lineage, then DB path
     const candidatePath = (lineage && lineage.metadata && lineage.metadata.absolutePath) || (dbArtifact && dbArtifact.path) || null;
-    if (!candidatePath) {
+    if (!blob && !candidatePath) {
       return res.status(404).json({ error: 'Artifact file path not available' });
     }
 
-    // Authorization: if artifact references a DB project, ensure the requesting
-    // user is the project owner or an admin/owner role.
-    try {
-      if (dbArtifact && dbArtifact.project_id && req.user) {
-        const Project = require('../models').Project;
-        const proj = await Project.findByPk(dbArtifact.project_id).catch(() => null);
-        if (proj && proj.owner_id && !(req.user.role === 'owner' || req.user.role === 'admin' || req.user.id === proj.owner_id)) {
-          return res.status(403).json({ error: 'Insufficient permissions to access artifact file' });
-        }
-      }
-    } catch (e) {
-      console.warn('Authorization check failed, proceeding cautiously', e && e.message);
+    if (!(await canAccessArtifact(req, dbArtifact, candidatePath))) {
+      return res.status(403).json({ error: 'Insufficient permissions to access artifact file' });
     }
 
-    // If there was no DB artifact but we have a candidate path from lineage, try
-    // to infer the owning project by file_system_path and apply the same authorization.
-    try {
-      if (!dbArtifact && candidatePath && req.user) {
-        const Project = require('../models').Project;
-        // Look for a project whose file_system_path is a prefix of the candidatePath
-        const projects = await Project.findAll().catch(() => []);
-        const matching = projects.find(p => p.file_system_path && candidatePath.startsWith(p.file_system_path));
-        if (matching && matching.owner_id && !(req.user.role === 'owner' || req.user.role === 'admin' || req.user.id === matching.owner_id)) {
-          return res.status(403).json({ error: 'Insufficient permissions to access artifact file' });
-        }
+    const recordDownload = async (metadata) => {
+      if (res.statusCode === 304) return;
+      try {
+        const models = require('../models');
+        await models.Audit.create({
+          actor_id: req.user && req.user.id ? req.user.id : null,
+          action: 'artifact_download',
+          target: 'artifact',
+          target_id: id,
+          metadata,
+          ip_address: req.ip,
+          user_agent: req.get('User-Agent') || null
+        }).catch(e => console.warn('Audit create failed', e && e.message));
+      } catch (e) {
+        console.warn('Audit logging failed', e && e.message);
       }
-    } catch (e) {
-      console.warn('Project-by-path authorization check failed', e && e.message);
+    };
+
+    if (blob) {
+      const filename = (lineage && lineage.name) || (dbArtifact && (dbArtifact.name || path.basename(dbArtifact.path))) || id;
+      const download = req.query.download === '1' || req.query.download === 'true';
+      return blobStore.send(res, blob.sha256, { filename, download }, async (err) => {
+        if (err) {
+          if (!res.headersSent) res.status(err.status || 404).json({ error: err.status === 416 ? 'Range not satisfiable' : 'File not found' });
+          return;
+        }
+        await recordDownload({ sha256: blob.sha256, bytes: blob.bytes, range: req.get('Range') || null });
+      });
     }
 
     // Normalize and ensure path is within agent workspaces directory
@@ -1812,21 +1952,7 @@ router.get('/artifacts/:id/file', ensureAuth, async (req, res) => {
         }
 
         // Successful send: record audit
-        try {
-          const models = require('../models');
-          const bytes = (dbArtifact && dbArtifact.bytes) || null;
-          await models.Audit.create({
-            actor_id: req.user && req.user.id ? req.user.id : null,
-            action: 'artifact_download',
-            target: 'artifact',
-            target_id: id,
-            metadata: { path: normalized, bytes: bytes },
-            ip_address: req.ip,
-            user_agent: req.get('User-Agent') || null
-          }).catch(e => console.warn('Audit create failed', e && e.message));
-        } catch (e) {
-          console.warn('Audit logging failed', e && e.message);
-        }
+        await recordDownload({ path: normalized, bytes: (dbArtifact && dbArtifact.bytes) || null });
       });
     } catch (err) {
       console.error('❌ Failed to stream artifact file:', err);
@@ -1838,6 +1964,111 @@ router.get('/artifacts/:id/file', ensureAuth, async (req, res) => {
   }
 });
 
+function sendArtifactVersionError(res, error) {
+  let status = 500;
+  if (error.code === 'NOT_FOUND') status = 404;
+  else if (error instanceof ArtifactLineageError) status = error.code === 'VERSIONS_UNAVAILABLE' ? 503 : 409;
+  if (status === 500) console.error('❌ Artifact version request failed:', error);
+  res.status(status).json({ error: error.message, code: error.code });
+}
+
+const parseVersion = (value) => {
+  const version = parseInt(value, 10);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+// Version history of an artifact, newest first
+router.get('/artifacts/:id/versions', async (req, res) => {
+  try {
+    const orchestrator = req.app.locals.orchestrator;
+    if (!orchestrator) {
+      return res.status(500).json({ error: 'Orchestrator not available' });
+    }
+    const versions = await orchestrator.listArtifactVersions(req.params.id);
+    res.json({ success: true, artifactId: req.params.id, versions });
+  } catch (error) {
+    sendArtifactVersionError(res, error);
+  }
+});
+
+// One version with its text content
+router.get('/artifacts/:id/versions/:version', async (req, res) => {
+  try {
+    const orchestrator = req.app.locals.orchestrator;
+    if (!orchestrator) {
+      return res.status(500).json({ error: 'Orchestrator not available' });
+    }
+    const version = parseVersion(req.params.version);
+    if (!version) return res.status(400).json({ error: 'version must be a positive integer' });
+    res.json({ success: true, version: await orchestrator.readArtifactVersion(req.params.id, version) });
+  } catch (error) {
+    sendArtifactVersionError(res, error);
+  }
+});
+
+// Unified and side-by-side diff between two versions: ?from=1&to=3 (defaults to the
+// latest version against the one before it)
+router.get('/artifacts/:id/diff', async (req, res) => {
+  try {
+    const orchestrator = req.app.locals.orchestrator;
+    if (!orchestrator) {
+      return res.status(500).json({ error: 'Orchestrator not available' });
+    }
+
+    let to = req.query.to ? parseVersion(req.query.to) : null;
+    let from = req.query.from ? parseVersion(req.query.from) : null;
+    if ((req.query.to && !to) || (req.query.from && !from)) {
+      return res.status(400).json({ error: 'from and to must be positive integers' });
+    }
+    if (!to) {
+      const [latest] = await orchestrator.listArtifactVersions(req.params.id);
+      if (!latest) return res.status(404).json({ error: 'Artifact has no versions' });
+      to = latest.version;
+    }
+    if (!from) from = Math.max(to - 1, 1);
+
+    const diff = await orchestrator.diffArtifactVersions(req.params.id, from, to);
+    res.json({ success: true, artifactId: req.params.id, ...diff });
+  } catch (error) {
+    sendArtifactVersionError(res, error);
+  }
+});
+
+// Restore an older version; recorded as a new version. Body: { details? }
+router.post('/artifacts/:id/versions/:version/restore', ensureAuth, async (req, res) => {
+  try {
+    const orchestrator = req.app.locals.orchestrator;
+    if (!orchestrator) {
+      return res.status(500).json({ error: 'Orchestrator not available' });
+    }
+    const version = parseVersion(req.params.version);
+    if (!version) return res.status(400).json({ error: 'version must be a positive integer' });
+
+    // Restoring rewrites the file in the agent workspace: same ownership rule as downloads
+    const models = require('../models');
+    const dbArtifact = await models.Artifact.findByPk(req.params.id).catch(() => null);
+    const lineage = typeof orchestrator.getArtifactWithLineage === 'function' ? orchestrator.getArtifactWithLineage(req.params.id) : null;
+    const candidatePath = (lineage && lineage.metadata && lineage.metadata.absolutePath) || (dbArtifact && dbArtifact.path) || null;
+    if (!(await canAccessArtifact(req, dbArtifact, candidatePath))) {
+      return res.status(403).json({ error: 'Insufficient permissions to restore artifact' });
+    }
+
+    const artifact = await orchestrator.restoreArtifactVersion(req.params.id, version, {
+      agentName: (req.user && (req.user.name || req.user.email)) || 'user',
+      details: req.body && req.body.details
+    });
+    res.json({
+      success: true,
+      artifactId: artifact.id,
+      restoredFrom: version,
+      version: artifact.currentVersion,
+      checksum: artifact.metadata.checksum
+    });
+  } catch (error) {
+    sendArtifactVersionError(res, error);
+  }
+});
+
 // Get all artifacts for an agent with lineage  
 router.get('/agents/:agentName/artifacts', async (req, res) => {
   try {
@@ -2394,6 +2625,8 @@ async function loadDirectoryContents(dirPath) {
     const entries = await fs.readdir(dirPath, { withFileTypes: true });
     
     for (const entry of entries) {
+      // Workspace git metadata is served through the history endpoints instead
+      if (entry.name === '.git') continue;
       const fullPath = path.join(dirPath, entry.name);
       const stats = await fs.stat(fullPath);
       
@@ -2422,6 +2655,8 @@ async function loadDirectoryFiles(dirPath, basePath) {
     const entries = await fs.readdir(dirPath, { withFileTypes: true });
     
     for (const entry of entries) {
+      // Workspace git metadata is served through the history endpoints instead
+      if (entry.name === '.git') continue;
       const fullPath = path.join(dirPath, entry.name);
       const relativePath = path.relative(basePath, fullPath);
       
@@ -2618,11 +2853,14 @@ router.post('/agents/:agentName/preview', async (req, res) => {
 // Create new workflow - PRODUCTION GRADE
 router.post('/workflows', async (req, res) => {
   try {
-    const { directive, priority = 'medium', real_execution = true } = req.body;
+    const { directive, priority = 'medium', real_execution = true, budget_usd } = req.body;
 
     if (!directive) {
       return res.status(400).json({ error: 'Directive is required' });
     }
+    if (budget_usd !== undefined && !(parseFloat(budget_usd) >= 0)) {
+      return res.status(400).json({ error: 'budget_usd must be a non-negative number' });
+    }
 
     console.log(`🚀 [WORKFLOW CREATE] Starting real workflow: ${directive}`);
 
@@ -2643,6 +2881,11 @@ router.post('/workflows', async (req, res) => {
     // Step 2: Generate workflow ID for orchestrator
     const workflowId = uuidv4();
 
+    // Budget is attached before planning so the planner's spend counts too
+    if (budget_usd !== undefined) {
+      await budgetManager.setBudget('workflow', workflowId, { limitUsd: budget_usd });
+    }
+
     // Step 3: Start workflow orchestration (REAL WORKFLOW LIFECYCLE)
     const orchestrationResult = await orchestrator.startWorkflow({
       workflowId,
@@ -2667,6 +2910,7 @@ router.post('/workflows', async (req, res) => {
       estimates: orchestrationResult.estimates || {},
       progress: orchestrationResult.progress || { completed: 0, total: 0, percentage: 0 },
       artifacts: orchestrationResult.artifacts || [],
+      budget: budget_usd !== undefined ? await budgetManager.getBudget('workflow', workflowId) : null,
       real_execution: true
     };
 
@@ -2723,7 +2967,8 @@ router.get('/ceo/approvals/pending', async (req, res) => {
 router.post('/ceo/approvals/:workflowId/decision', async (req, res) => {
   try {
     const { workflowId } = req.params;
-    const { decision, comments = '', approver = 'ceo' } = req.body;
+    // `type` (completion, budget or promotion) picks the request when several are pending
+    const { decision, comments = '', approver = 'ceo', type = null } = req.body;
 
     if (!decision || !['approved', 'rejected', 'needs_revision'].includes(decision)) {
       return res.status(400).json({
@@ -2744,7 +2989,8 @@ router.post('/ceo/approvals/:workflowId/decision', async (req, res) => {
       workflowId,
       decision,
       approver,
-      comments
+      comments,
+      type
     );
 
     console.log(`[CEO-API] Approval decision processed: ${decision} for ${workflowId}`);
@@ -0,0 +1,76 @@
+// server/routes/budgets-api.js
+// Spend limits for workflows, agents and projects
+const express = require('express');
+const budgetManager = require('../services/budget-manager');
+const { BudgetError } = require('../services/budget-manager');
+const { Project } = require('../models');
+
+const router = express.Router();
+
+function sendError(res, error) {
+  let status = 500;
+  if (error.code === 'NOT_FOUND') status = 404;
+  else if (error.message === 'Access denied') status = 403;
+  else if (error instanceof BudgetError) status = 400;
+  res.status(status).json({ error: error.message, code: error.code });
+}
+
+// Project budgets may only be touched by the project's owner when the hosting app authenticated one
+async function checkProjectAccess(req) {
+  if (req.params.scope !== 'project' || !req.user || !req.user.id) return;
+  const project = await Project.findOne({ where: { id: req.params.scopeId, owner_id: req.user.id } });
+  if (!project) throw new Error('Access denied');
+}
+
+// An authenticated user sees the budgets of their own projects and those projects' workflows
+async function ownedProjectIds(req) {
+  if (!req.user || !req.user.id) return undefined;
+  const projects = await Project.findAll({ where: { owner_id: req.user.id }, attributes: ['id'] });
+  return projects.map(project => project.id);
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const { scope, status } = req.query;
+    const projectIds = await ownedProjectIds(req);
+    res.json({ budgets: await budgetManager.listBudgets({ scope, status, projectIds }) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:scope/:scopeId', async (req, res) => {
+  try {
+    await checkProjectAccess(req);
+    const budget = await budgetManager.getBudget(req.params.scope, req.params.scopeId);
+    if (!budget) return res.status(404).json({ error: 'Budget not found' });
+    res.json({ budget });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Body: { limitUsd: 5, warnAt: 0.8 }. Raising the limit above the spend lifts a hard stop.
+router.put('/:scope/:scopeId', async (req, res) => {
+  try {
+    await checkProjectAccess(req);
+    const { limitUsd, warnAt } = req.body || {};
+    if (limitUsd === undefined) return res.status(400).json({ error: 'limitUsd is required' });
+    const budget = await budgetManager.setBudget(req.params.scope, req.params.scopeId, { limitUsd, warnAt });
+    res.json({ budget });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/:scope/:scopeId', async (req, res) => {
+  try {
+    await checkProjectAccess(req);
+    const budget = await budgetManager.deleteBudget(req.params.scope, req.params.scopeId);
+    res.json({ success: true, budget });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
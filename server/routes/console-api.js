@@ -0,0 +1,23 @@
+// server/routes/console-api.js
+// Structured server logs behind the Console tab
+const express = require('express');
+const logger = require('../services/logger');
+const { LogQueryError } = require('../services/log-store');
+
+const router = express.Router();
+
+// Query: since, until (ISO or epoch ms), level and source (comma-separated),
+// agent, workflowId, taskId, q (message text), cursor, limit (max 1000).
+// Returns { logs, nextCursor }; logs are oldest-first and nextCursor pages back in time.
+router.get('/logs', async (req, res) => {
+  try {
+    const { since, until, level, source, agent, workflowId, taskId, q, cursor, limit } = req.query;
+    res.json(await logger.query({ since, until, level, source, agent, workflowId, taskId, q, cursor, limit }));
+  } catch (error) {
+    if (error instanceof LogQueryError) return res.status(400).json({ error: error.message, code: error.code });
+    logger.error('Failed to query logs', { source: 'CONSOLE', error: error.message });
+    res.status(500).json({ error: 'Failed to query logs' });
+  }
+});
+
+module.exports = router;
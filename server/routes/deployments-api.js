@@ -0,0 +1,138 @@
+// server/routes/deployments-api.js
+// Project deployments through the deploy pipeline; mounted under /api/projects
+const express = require('express');
+const pipeline = require('../services/deployment-pipeline');
+const { DeploymentError } = require('../services/deployment-pipeline');
+
+const router = express.Router();
+
+const STATUS_BY_CODE = {
+  PROJECT_NOT_FOUND: 404,
+  ENVIRONMENT_NOT_FOUND: 404,
+  DEPLOYMENT_NOT_FOUND: 404,
+  DEPLOY_IN_PROGRESS: 409,
+  NO_RELEASE: 409,
+  RELEASE_NOT_VERIFIED: 409,
+  RELEASE_ALREADY_LIVE: 409,
+  NOT_AWAITING_APPROVAL: 409,
+  PROVIDER_ERROR: 502
+};
+
+function sendError(res, error) {
+  const status = error instanceof DeploymentError ? (STATUS_BY_CODE[error.code] || 400) : 500;
+  const body = { error: error.message, code: error.code };
+  if (error.deployment) body.deployment = pipeline.serialize(error.deployment);
+  res.status(status).json(body);
+}
+
+const actorOf = (req) => (req.user && req.user.id) || null;
+
+// Body: { provider, config, ref, commitSha, commitMessage, files }; provider and
+// config default to the project's deploy settings for the environment
+router.post('/:id/deploy/:env', async (req, res) => {
+  try {
+    const { provider, config, ref, commitSha, commitMessage, files } = req.body || {};
+    const deployment = await pipeline.deploy({
+      projectId: req.params.id,
+      environment: req.params.env,
+      actorId: actorOf(req),
+      provider,
+      config,
+      ref,
+      commitSha,
+      commitMessage,
+      files
+    });
+    res.status(202).json({ deployment: pipeline.serialize(deployment) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Body: { from: 'staging', to: 'production', deploymentId, requireApproval }; without a
+// deploymentId the newest successful deployment of `from` is promoted. Only
+// `requireApproval: true` counts: a gated environment stays gated
+router.post('/:id/promote', async (req, res) => {
+  try {
+    const { from, to, deploymentId, requireApproval } = req.body || {};
+    const deployment = await pipeline.promote({ projectId: req.params.id, from, to, deploymentId, requireApproval: requireApproval === true, actorId: actorOf(req) });
+    res.status(202).json({ deployment: pipeline.serialize(deployment) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Body: { deploymentId } to pick the release; defaults to the last healthy one
+router.post('/:id/rollback/:env', async (req, res) => {
+  try {
+    const deployment = await pipeline.rollback({
+      projectId: req.params.id,
+      environment: req.params.env,
+      deploymentId: (req.body || {}).deploymentId,
+      actorId: actorOf(req)
+    });
+    res.status(202).json({ deployment: pipeline.serialize(deployment) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Query: ?environment=production&limit=20
+router.get('/:id/deployments/history', async (req, res) => {
+  try {
+    const history = await pipeline.history(req.params.id, {
+      environment: req.query.environment || undefined,
+      limit: parseInt(req.query.limit, 10) || undefined,
+      actorId: actorOf(req)
+    });
+    res.json({ history });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Query: ?environment=production&limit=20
+router.get('/:id/deployments', async (req, res) => {
+  try {
+    const deployments = await pipeline.listDeployments(req.params.id, {
+      environment: req.query.environment,
+      limit: parseInt(req.query.limit, 10) || undefined,
+      actorId: actorOf(req)
+    });
+    res.json({ deployments: deployments.map(d => pipeline.serialize(d)) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:id/deployments/:deploymentId', async (req, res) => {
+  try {
+    const deployment = await pipeline.getDeployment(req.params.id, req.params.deploymentId, { actorId: actorOf(req) });
+    res.json({ deployment: pipeline.serialize(deployment), logs: deployment.logs || '' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:id/deployments/:deploymentId/diff/:otherId', async (req, res) => {
+  try {
+    res.json(await pipeline.compare(req.params.id, req.params.deploymentId, req.params.otherId, { actorId: actorOf(req) }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Body: { decision: 'approved' | 'rejected' | 'needs_revision', comments }
+router.post('/:id/deployments/:deploymentId/approval', async (req, res) => {
+  try {
+    const { decision, comments = '' } = req.body || {};
+    const approver = (req.user && (req.user.email || req.user.id)) || 'ceo';
+    // Approvers need not own the project
+    const deployment = await pipeline.decidePromotion(req.params.id, req.params.deploymentId, { decision, approver, comments });
+    res.json({ deployment: pipeline.serialize(deployment) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+// server/routes/tasks-api.js
+// Durable TaskQueue: queued/scheduled tasks and recurring schedules
+const express = require('express');
+const taskQueue = require('../services/task-queue');
+const { CronParseError } = require('../services/cron-expression');
+
+const router = express.Router();
+
+// Desktop server has no session; fall back to the stable system user
+const SYSTEM_USER_ID = '00000000-0000-0000-0000-000000000001';
+
+function sendError(res, error) {
+  let status = 500;
+  if (/not found/i.test(error.message)) status = 404;
+  else if (error.message === 'Access denied') status = 403;
+  else if (error instanceof CronParseError || /^(Invalid|Unsupported|Schedule must|Interval schedules)/.test(error.message)) status = 400;
+  res.status(status).json({ error: error.message });
+}
+
+// Only scope to a user when the hosting app authenticated one
+const scopeUserId = (req) => (req.user && req.user.id) || null;
+
+router.get('/', async (req, res) => {
+  try {
+    const { status, projectId, type, priority, scheduleId } = req.query;
+    const result = await taskQueue.getTasks(scopeUserId(req), {
+      status,
+      projectId,
+      type,
+      priority,
+      scheduleId,
+      limit: Math.min(parseInt(req.query.limit) || 50, 500),
+      offset: parseInt(req.query.offset) || 0
+    });
+    res.json({ ...result, stats: taskQueue.getStatistics() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/schedules', async (req, res) => {
+  try {
+    const { status, projectId } = req.query;
+    const schedules = await taskQueue.listSchedules({ userId: scopeUserId(req), status, projectId });
+    res.json({ schedules });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Body: { projectId, schedule: '0 9 * * MON-FRI' | {...}, catchUp, name, task: { prompt, tools, priority, ... } }
+router.post('/schedules', async (req, res) => {
+  try {
+    const { projectId, schedule, cron, catchUp, name, task = {} } = req.body || {};
+    if (!projectId) return res.status(400).json({ error: 'projectId is required' });
+    if (!task.prompt) return res.status(400).json({ error: 'task.prompt is required' });
+
+    const created = await taskQueue.createRecurringTask({
+      ...task,
+      userId: scopeUserId(req) || req.body.userId || SYSTEM_USER_ID,
+      projectId
+    }, schedule || cron, { catchUp, name });
+    res.status(201).json({ schedule: created });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/schedules/:id', async (req, res) => {
+  try {
+    const schedule = await taskQueue.getSchedule(req.params.id, scopeUserId(req));
+    const { tasks } = await taskQueue.getTasks(scopeUserId(req), { scheduleId: schedule.id, limit: 20 });
+    res.json({ schedule, recentTasks: tasks });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/schedules/:id/pause', async (req, res) => {
+  try {
+    res.json({ schedule: await taskQueue.pauseSchedule(req.params.id, scopeUserId(req)) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/schedules/:id/resume', async (req, res) => {
+  try {
+    res.json({ schedule: await taskQueue.resumeSchedule(req.params.id, scopeUserId(req)) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/schedules/:id', async (req, res) => {
+  try {
+    const schedule = await taskQueue.deleteSchedule(req.params.id, scopeUserId(req));
+    res.json({ success: true, schedule });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:taskId', async (req, res) => {
+  try {
+    const task = await taskQueue.loadTask(req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    const userId = scopeUserId(req);
+    if (userId && task.userId !== userId) return res.status(403).json({ error: 'Access denied' });
+    res.json({ task });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+// server/routes/vault-api.js
+// Secrets vault key management: KEK versions, rewrap and verification
+const express = require('express');
+const vault = require('../services/secrets-vault');
+const { VaultError } = require('../services/secrets-vault');
+
+const router = express.Router();
+
+const STATUS_BY_CODE = {
+  KEY_NOT_FOUND: 404,
+  KEY_ACTIVE: 409,
+  KEY_RETIRED: 409,
+  KEY_IN_USE: 409,
+  REWRAP_IN_PROGRESS: 409
+};
+
+function sendError(res, error) {
+  const status = error instanceof VaultError ? (STATUS_BY_CODE[error.code] || 400) : 500;
+  res.status(status).json({ error: error.message, code: error.code });
+}
+
+const actorOf = (req) => (req.user && req.user.id) || null;
+
+router.get('/keys', (req, res) => {
+  try {
+    res.json(vault.keyStatus());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Body: { activate: false } adds the key without making it the active one
+router.post('/keys', async (req, res) => {
+  try {
+    const { activate = true } = req.body || {};
+    res.status(201).json({ key: await vault.addKey(actorOf(req), { activate: activate !== false }) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/keys/:keyId/activate', async (req, res) => {
+  try {
+    res.json({ key: await vault.activateKey(actorOf(req), req.params.keyId) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/keys/:keyId/retire', async (req, res) => {
+  try {
+    res.json({ key: await vault.retireKey(actorOf(req), req.params.keyId) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Body: { batchSize: 100 }
+router.post('/rewrap', async (req, res) => {
+  try {
+    const batchSize = parseInt((req.body || {}).batchSize, 10) || undefined;
+    res.json(await vault.rewrapSecrets(actorOf(req), { batchSize }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/verify', async (req, res) => {
+  try {
+    const report = await vault.verifySecrets(actorOf(req));
+    res.status(report.healthy ? 200 : 500).json(report);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/rotate', async (req, res) => {
+  try {
+    const dryRun = Boolean((req.body || {}).dryRun);
+    res.json(await vault.rotateKeys(actorOf(req), dryRun));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+// server/routes/webhooks-api.js
+// Inbound provider webhooks, the delivery log behind them and per-project webhook rules
+const express = require('express');
+const webhookHandler = require('../services/webhook-handler');
+const { WebhookError } = require('../services/webhook-handler');
+const webhookRules = require('../services/webhook-rules');
+const { WebhookRuleError } = require('../services/webhook-rules');
+const { Project } = require('../models');
+
+// Mounted at /webhooks without auth; deliveries are authenticated by their signature
+const receiver = express.Router();
+
+// Mounted at /api/webhooks behind the app's auth
+const router = express.Router();
+
+// `verify` hook for the app's JSON parser: providers sign the body bytes they
+// sent, which re-serialising the parsed payload does not reproduce
+function keepRawBody(req, res, buf) {
+  if (req.originalUrl.startsWith('/webhooks/')) req.rawBody = buf;
+}
+
+function sendError(res, error) {
+  let status = 500;
+  if (error.code === 'NOT_FOUND') status = 404;
+  else if (error.code === 'NOT_REPLAYABLE') status = 409;
+  else if (error.code === 'INVALID_SIGNATURE') status = 401;
+  else if (error.message === 'Access denied') status = 403;
+  else if (error instanceof WebhookRuleError) status = 400;
+  res.status(status).json({ error: error.message, code: error.code });
+}
+
+receiver.post('/:provider', async (req, res) => {
+  const { provider } = req.params;
+  if (!webhookHandler.supportsProvider(provider)) {
+    return res.status(404).json({ error: `Unknown webhook provider: ${provider}` });
+  }
+  const payload = req.body || {};
+  const eventType = req.query.event || webhookHandler.eventTypeFor(provider, payload, req.headers);
+  if (!eventType) {
+    return res.status(400).json({ error: 'Could not determine the webhook event type' });
+  }
+
+  try {
+    const signature = webhookHandler.signatureFor(provider, req.headers);
+    const result = await webhookHandler.processWebhook(provider, eventType, payload, signature, req.headers, req.rawBody || null);
+    res.status(200).json({ ok: true, ...result });
+  } catch (error) {
+    // Handler failures answer 500 so the provider retries; the delivery stays replayable
+    if (error instanceof WebhookError) return sendError(res, error);
+    res.status(500).json({ error: 'webhook failed' });
+  }
+});
+
+// Query: provider, status, limit (max 200)
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { provider, status, limit } = req.query;
+    const [deliveries, summary] = await Promise.all([
+      webhookHandler.listDeliveries({ provider, status, limit }),
+      webhookHandler.summarizeDeliveries()
+    ]);
+    res.json({ deliveries, summary });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/deliveries/:id', async (req, res) => {
+  try {
+    const delivery = await webhookHandler.getDelivery(req.params.id);
+    if (!delivery) return res.status(404).json({ error: 'Webhook delivery not found' });
+    res.json({ delivery });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/deliveries/:id/replay', async (req, res) => {
+  try {
+    const result = await webhookHandler.replayDelivery(req.params.id, { actorId: (req.user && req.user.id) || null });
+    res.json({ success: true, result, delivery: await webhookHandler.getDelivery(req.params.id) });
+  } catch (error) {
+    if (error instanceof WebhookError) return sendError(res, error);
+    // The handler failed again; the delivery records the new attempt
+    res.status(502).json({ success: false, error: error.message, delivery: await webhookHandler.getDelivery(req.params.id) });
+  }
+});
+
+// Rules may only be touched by the project's owner when the hosting app authenticated one
+async function checkProjectAccess(req, projectId) {
+  const where = { id: projectId };
+  if (req.user && req.user.id) where.owner_id = req.user.id;
+  const project = await Project.findOne({ where });
+  if (!project) {
+    throw req.user && req.user.id ? new Error('Access denied') : new WebhookRuleError(`Project ${projectId} not found`, 'NOT_FOUND');
+  }
+}
+
+async function loadRule(req) {
+  const rule = await webhookRules.getRule(req.params.id);
+  await checkProjectAccess(req, rule.projectId);
+  return rule;
+}
+
+router.get('/projects/:projectId/rules', async (req, res) => {
+  try {
+    await checkProjectAccess(req, req.params.projectId);
+    res.json({ rules: await webhookRules.listRules(req.params.projectId) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Body: { name, event, directive, provider = 'github', match, manager, enabled }
+router.post('/projects/:projectId/rules', async (req, res) => {
+  try {
+    await checkProjectAccess(req, req.params.projectId);
+    const rule = await webhookRules.createRule(req.params.projectId, req.body || {});
+    res.status(201).json({ rule });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/rules/:id', async (req, res) => {
+  try {
+    res.json({ rule: await loadRule(req) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.put('/rules/:id', async (req, res) => {
+  try {
+    await loadRule(req);
+    res.json({ rule: await webhookRules.updateRule(req.params.id, req.body || {}) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    await loadRule(req);
+    res.json({ success: true, rule: await webhookRules.deleteRule(req.params.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Dry run against a sample payload or a logged delivery. Body: { payload } or { deliveryId }
+router.post('/rules/:id/test', async (req, res) => {
+  try {
+    await loadRule(req);
+    const { payload, deliveryId } = req.body || {};
+    let sample = payload;
+    if (deliveryId) {
+      const delivery = await webhookHandler.getDelivery(deliveryId);
+      if (!delivery) return res.status(404).json({ error: 'Webhook delivery not found' });
+      sample = delivery.payload;
+    }
+    if (!sample || typeof sample !== 'object') return res.status(400).json({ error: 'payload or deliveryId is required' });
+    res.json(await webhookRules.testRule(req.params.id, sample));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = { receiver, router, keepRawBody };
@@ -0,0 +1,83 @@
+// server/routes/worker-leases-api.js
+// Task leases for out-of-process workers; mounted under /api/workers/:id/leases
+const express = require('express');
+const leases = require('../services/task-leases');
+const { TaskLeaseError } = require('../services/task-leases');
+const companyRun = require('../services/company-run');
+
+const router = express.Router({ mergeParams: true });
+
+// Leases carry task commands and secrets, so only workers hold them. A runner's
+// own token (WORKER_TOKENS) or a company run worker's token fixes the agents it
+// claims for, including their secret-bearing tasks; the shared WORKER_AUTH_TOKEN
+// only gets tasks without secrets. User sessions are not accepted.
+router.use((req, res, next) => {
+  const auth = req.headers.authorization || '';
+  const token = /^Bearer\s+/i.test(auth) ? auth.replace(/^Bearer\s+/i, '').trim() : null;
+  const bound = leases.agentsForToken(req.params.id, token);
+  const agent = bound ? null : companyRun.agentForToken(req.params.id, token);
+  if (bound || agent) {
+    req.workerAgents = bound || [agent];
+    return next();
+  }
+  if (leases.verifyRunnerToken(token) && !leases.hasWorkerCredential(req.params.id)) return next();
+  res.status(401).json({ error: 'A worker token is required', code: 'WORKER_TOKEN_REQUIRED' });
+});
+
+// Results carry command output and the files a task wrote
+router.use(express.json({ limit: '16mb' }));
+
+const STATUS_BY_CODE = {
+  LEASE_LOST: 409,
+  NOT_LEASE_OWNER: 403
+};
+
+function sendError(res, error) {
+  const status = error instanceof TaskLeaseError ? (STATUS_BY_CODE[error.code] || 400) : 500;
+  res.status(status).json({ error: error.message, code: error.code });
+}
+
+// Body: { agents: ['Nova'], pid, lease_ms }; 204 when no task is waiting.
+// A worker with its own token claims for its bound agents, whatever it sends.
+router.post('/claim', async (req, res) => {
+  try {
+    const { agents, pid, lease_ms: leaseMs } = req.body || {};
+    const bound = Boolean(req.workerAgents);
+    const lease = await leases.claim(req.params.id, { agents: bound ? req.workerAgents : agents, allowSecrets: bound, pid, leaseMs });
+    if (!lease) return res.status(204).end();
+    res.json({ lease });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Body: { progress: { step, of, command }, pid }
+router.post('/:leaseId/heartbeat', async (req, res) => {
+  try {
+    const { progress, pid } = req.body || {};
+    res.json(await leases.heartbeat(req.params.id, req.params.leaseId, { progress, pid }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Body: { status: 'completed' | 'failed', steps, artifacts, error }
+router.post('/:leaseId/complete', async (req, res) => {
+  try {
+    res.json(await leases.complete(req.params.id, req.params.leaseId, req.body || {}));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Body: { error, retryable }
+router.post('/:leaseId/fail', async (req, res) => {
+  try {
+    const { error, retryable } = req.body || {};
+    res.json(await leases.fail(req.params.id, req.params.leaseId, { error, retryable: retryable === true }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
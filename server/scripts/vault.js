@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+// Vault key management.
+//
+//   node scripts/vault.js status
+//   node scripts/vault.js add-key [--no-activate]
+//   node scripts/vault.js activate <keyId>
+//   node scripts/vault.js retire <keyId>
+//   node scripts/vault.js rewrap [--batch-size N]
+//   node scripts/vault.js verify
+//   node scripts/vault.js rotate
+//
+// verify exits with status 1 when any stored secret fails to decrypt.
+
+require('dotenv').config();
+
+const vault = require('../services/secrets-vault');
+
+const USAGE = 'Usage: vault.js <status|add-key [--no-activate]|activate <keyId>|retire <keyId>|rewrap [--batch-size N]|verify|rotate>';
+
+function option(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+async function run(command, args) {
+  switch (command) {
+    case 'status':
+      return { result: vault.keyStatus() };
+    case 'add-key':
+      return { result: await vault.addKey(null, { activate: !args.includes('--no-activate') }) };
+    case 'activate':
+      if (!args[0]) throw new Error(USAGE);
+      return { result: await vault.activateKey(null, args[0]) };
+    case 'retire':
+      if (!args[0]) throw new Error(USAGE);
+      return { result: await vault.retireKey(null, args[0]) };
+    case 'rewrap': {
+      const batchSize = parseInt(option(args, '--batch-size'), 10) || undefined;
+      const result = await vault.rewrapSecrets(null, { batchSize });
+      return { result, failed: result.failed.length > 0 };
+    }
+    case 'verify': {
+      const result = await vault.verifySecrets(null);
+      return { result, failed: !result.healthy };
+    }
+    case 'rotate': {
+      const result = await vault.rotateKeys(null);
+      return { result, failed: !result.success };
+    }
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  run(command, args)
+    .then(({ result, failed }) => {
+      console.log(JSON.stringify(result, null, 2));
+      process.exitCode = failed ? 1 : 0;
+    })
+    .catch(error => {
+      console.error(error.code ? `${error.code}: ${error.message}` : error.message);
+      process.exitCode = 1;
+    })
+    .finally(async () => {
+      // Only close the database if a command opened it
+      if (require.cache[require.resolve('../models')]) await require('../models').sequelize.close();
+    });
+}
+
+module.exports = { run };
@@ -20,8 +20,18 @@ const AutonomousWorkflowSystem = require('./services/autonomous-workflow');
 const { IntegrationService } = require('./services/integrations');
 const os = require('os');
 
-// Initialize console logger to start capturing logs immediately
+// Route console output through the structured logger immediately
 const consoleLogger = require('./services/console-logger');
+consoleLogger.captureConsole();
+// Persist logs to rotating JSONL files and the log store (kept in memory only under test)
+if (process.env.NODE_ENV !== 'test') require('./services/logger').start();
+if (process.env.NODE_ENV !== 'test') require('./services/tracing').start();
+// Scheduled vault key rotation and resumption of interrupted rewraps
+if (process.env.NODE_ENV !== 'test') require('./services/secrets-vault').start();
+// Resume following deployments that were running when the server stopped
+if (process.env.NODE_ENV !== 'test') require('./services/deployment-pipeline').start();
+// Re-queue leased tasks whose worker stopped renewing the lease
+if (process.env.NODE_ENV !== 'test') require('./services/task-leases').start();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -58,8 +68,8 @@ if (process.env.NODE_ENV !== 'test') {
   app.use(morgan('combined'));
 }
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Body parsing; webhook receivers also keep the raw body their signature covers
+app.use(express.json({ limit: '10mb', verify: require('./routes/webhooks-api').keepRawBody }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Include autonomous agent API routes
@@ -114,21 +124,13 @@ app.get('/api/engine/status', (req, res) => {
 });
 
 // Console logs API for real-time console tab
-app.get('/api/console/logs', (req, res) => {
-  // Import console logger to get actual logs
-  const consoleLogger = require('./services/console-logger');
-  res.json({ logs: consoleLogger.getLogBuffer() });
-});
+app.use('/api/console', require('./routes/console-api'));
 
-// Expose a shutdown helper for tests to clear any running companyRuns timer
+// Expose a shutdown helper that stops any company run and its worker processes
 if (typeof module.exports.shutdown !== 'function') {
   module.exports.shutdown = async function shutdownServerAuth() {
     try {
-      if (companyRuns && companyRuns.timer) {
-        try { clearInterval(companyRuns.timer); } catch (e) {}
-        companyRuns.timer = null;
-        companyRuns.active = false;
-      }
+      await require('./services/company-run').shutdown();
     } catch (e) {
       // ignore
     }
@@ -488,15 +490,6 @@ const auditLog = async (req, res, next) => {
 
 app.use(auditLog);
 
-// In-memory autonomous run state
-const companyRuns = {
-  active: false,
-  projectSlug: null,
-  objective: '',
-  timer: null,
-  tick: 0
-};
-
 // In-memory event bus for the Console panel
 const EVENT_LIMIT = 500;
 const eventBuffer = [];
@@ -821,8 +814,8 @@ app.post('/api/integrations/:provider/token', requireAuth, requireOwnerOrDev, as
 
     let conn = await Connection.findOne({ where: { user_id: req.user.id, provider } });
     if (!conn) {
-      // build first to control required fields
-      conn = Connection.build({ user_id: req.user.id, provider, token_encrypted: 'placeholder', status: 'active', last_checked_at: new Date() });
+      // build first so the encrypted token is set before the row is inserted
+      conn = Connection.build({ user_id: req.user.id, provider, status: 'active', last_checked_at: new Date() });
       conn.setToken(token);
       if (refresh_token) conn.setRefreshToken(refresh_token);
       try {
@@ -1045,7 +1038,7 @@ app.get('/api/integrations/:provider/info', requireAuth, async (req, res) => {
   }
 });
 
-// Engine status: checks availability of OpenAI, Gemini, and Claude with timing and error details
+// Engine status: checks availability of OpenAI, Gemini, Claude and local Ollama with timing and error details
 app.get('/api/engine/status', requireAuth, async (req, res) => {
   try {
     const fetch = (await import('node-fetch')).default;
@@ -1075,6 +1068,14 @@ app.get('/api/engine/status', requireAuth, async (req, res) => {
         const ok = r.ok; const status = r.status; let error;
         if (!ok) { try { error = await r.json(); } catch { error = { statusText: r.statusText }; } }
         return { ok, status, error };
+      }],
+      ['ollama', async () => {
+        const ollama = require('./services/ollama-provider');
+        if (!ollama.isEnabled()) throw new Error('Ollama disabled (OLLAMA_ENABLED=false)');
+        const r = await fetch(`${ollama.getBaseUrl()}/api/tags`);
+        const ok = r.ok; const status = r.status; let error;
+        if (!ok) { try { error = await r.json(); } catch { error = { statusText: r.statusText }; } }
+        return { ok, status, error };
       }]
     ];
 
@@ -1643,17 +1644,10 @@ app.post('/api/projects/:id/workers/:workerId/files/:fileName', async (req, res)
   res.json({ success: true, message: 'File updated successfully' });
 });
 
-app.post('/api/projects/:id/deploy/:env', async (req, res) => {
-  const deployment = {
-    id: `deploy_${Date.now()}`,
-    environment: req.params.env,
-    status: 'success',
-    url: `https://${req.params.env}.shellcompany.ai`,
-    startTime: new Date(),
-    endTime: new Date()
-  };
-  res.json(deployment);
-});
+// Deploy a project environment through its provider, and the deployment history
+// Only owners and admins decide on gated promotions
+app.use('/api/projects/:id/deployments/:deploymentId/approval', requireAuth, requireRole(['owner','admin']));
+app.use('/api/projects', requireAuth, require('./routes/deployments-api'));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -1665,12 +1659,23 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', require('./services/metrics').handler());
+
 // ==============================
 // Autonomous Company controls
 // ==============================
 
+const companyRun = require('./services/company-run');
+const { CompanyRunError } = companyRun;
+const COMPANY_STATUS_BY_CODE = {
+  OBJECTIVE_REQUIRED: 400,
+  RUN_ACTIVE: 409,
+  TEAM_UNAVAILABLE: 500
+};
+
 app.get('/api/company/status', async (req, res) => {
-  res.json({ active: companyRuns.active, projectSlug: companyRuns.projectSlug, tick: companyRuns.tick });
+  res.json(companyRun.status());
 });
 
 // --- Task runtime (desktop) ---
@@ -1696,6 +1701,19 @@ app.get('/api/tasks/:taskId/logs', requireAuth, async (req, res) => {
   }
 });
 
+// Durable task queue: queued tasks and recurring schedules
+app.use('/api/tasks', requireAuth, require('./routes/tasks-api'));
+
+// Workflow/agent/project budgets
+app.use('/api/budgets', requireAuth, require('./routes/budgets-api'));
+
+// Secrets vault key management
+app.use('/api/vault', requireAuth, requireRole(['owner','admin']), require('./routes/vault-api'));
+
+// Webhook delivery log and replay (receivers are mounted under /webhooks)
+const { receiver: webhookReceiver, router: webhooksRouter } = require('./routes/webhooks-api');
+app.use('/api/webhooks', requireAuth, webhooksRouter);
+
 // --- PTY endpoints ---
 app.post('/api/pty/start', requireAuth, async (req, res) => {
   try {
@@ -1830,7 +1848,16 @@ app.get('/api/workers/:id', requireAuth, async (req, res) => {
   } catch (e) { res.status(500).json({ error: 'worker_fetch_failed', detail: e.message }); }
 });
 
-app.post('/api/workers/:id/register', requireAuth, async (req, res) => {
+// Worker processes authenticate with the token of their company run, their own runner token or the shared one
+const requireWorkerAuth = (req, res, next) => {
+  const token = parseTokenFromRequest(req);
+  const leases = require('./services/task-leases');
+  if (token && (companyRun.verifyWorkerToken(req.params.id, token) || leases.agentsForToken(req.params.id, token) ||
+    (leases.verifyRunnerToken(token) && !leases.hasWorkerCredential(req.params.id)))) return next();
+  return requireAuth(req, res, next);
+};
+
+app.post('/api/workers/:id/register', requireWorkerAuth, async (req, res) => {
   try {
     const { name, role, pid = null, cwd = process.cwd(), tools = [], env_masked = {} } = req.body || {};
     const w = await Worker.upsert({ id: req.params.id, name: name || req.params.id, role: role || 'worker', pid, cwd, status: 'idle', tools, env_masked, last_heartbeat: new Date(), last_heartbeat_seq: 1 });
@@ -1838,7 +1865,7 @@ app.post('/api/workers/:id/register', requireAuth, async (req, res) => {
   } catch (e) { res.status(500).json({ error: 'worker_register_failed', detail: e.message }); }
 });
 
-app.post('/api/workers/:id/heartbeat', requireAuth, async (req, res) => {
+app.post('/api/workers/:id/heartbeat', requireWorkerAuth, async (req, res) => {
   try {
     const w = await Worker.findByPk(req.params.id);
     if (!w) return res.status(404).json({ error: 'worker_not_found' });
@@ -1846,12 +1873,20 @@ app.post('/api/workers/:id/heartbeat', requireAuth, async (req, res) => {
     w.last_heartbeat_seq = (w.last_heartbeat_seq || 0) + 1;
     if (req.body && typeof req.body.pid === 'number') w.pid = req.body.pid;
     if (req.body && typeof req.body.queue_depth === 'number') w.queue_depth = req.body.queue_depth;
-    if (req.body && req.body.current_command) w.current_command = req.body.current_command;
+    // An explicit null clears the command once the worker goes idle
+    if (req.body && 'current_command' in req.body) w.current_command = req.body.current_command || null;
     await w.save();
     res.json({ ok: true, computed_status: computeWorkerStatus(w), seq: w.last_heartbeat_seq });
   } catch (e) { res.status(500).json({ error: 'worker_heartbeat_failed', detail: e.message }); }
 });
 
+// Tasks leased to out-of-process workers (workers/runner.js); the router only accepts worker tokens
+app.use('/api/workers/:id/leases', require('./routes/worker-leases-api'));
+
+app.get('/api/task-leases', requireAuth, async (req, res) => {
+  res.json(require('./services/task-leases').status());
+});
+
 app.post('/api/workers/:id/stop', requireAuth, async (req, res) => {
   try {
     const w = await Worker.findByPk(req.params.id);
@@ -1868,63 +1903,35 @@ app.post('/api/company/launch', requireAuth, requireRole(['owner','admin']), asy
   try {
     const { objective = '', project = 'ShellCompany' } = req.body || {};
     const slug = slugify(project);
-    // resolve project id for broadcasts
+    // The run's workflow and artifacts belong to the project of that name, when there is one
     let dbProject = await Project.findOne({ where: { owner_id: req.user.id, status: 'active' } });
     if (!dbProject || slugify(dbProject.name) !== slug) {
       const all = await Project.findAll({ where: { owner_id: req.user.id, status: 'active' } });
-      dbProject = all.find(p => slugify(p.name) === slug) || all[0] || null;
+      dbProject = all.find(p => slugify(p.name) === slug) || null;
     }
-    await ensureWorkersConfig(slug);
-    // seed basic tasks
-    await writeTasks(slug, [
-      { id: 1001, title: 'Plan epics and tasks', assignee_id: 'alex', status: 'in_progress', priority: 'high' },
-      { id: 2001, title: 'Scaffold React + TS app', assignee_id: 'nova', status: 'todo', priority: 'high' },
-      { id: 2020, title: 'Scaffold Node + Express API', assignee_id: 'zephyr', status: 'todo', priority: 'high' }
-    ]);
-
-    // start in-memory loop to simulate progress and update JSON files
-    if (companyRuns.timer) clearInterval(companyRuns.timer);
-    companyRuns.active = true;
-    companyRuns.projectSlug = slug;
-    companyRuns.projectId = dbProject ? dbProject.id : slug;
-    companyRuns.objective = objective;
-    companyRuns.tick = 0;
-    companyRuns.timer = setInterval(async () => {
-      try {
-        companyRuns.tick++;
-        const { dataDir, configDir } = await ensureCompanyDir(slug);
-        // flip a worker status to active
-        const cfg = JSON.parse(await fsp.readFile(path.join(configDir, 'workers.json'), 'utf-8'));
-        const list = cfg.workers || [];
-        const w = list[companyRuns.tick % list.length];
-        const sPath = path.join(dataDir, `worker-${w.id}.json`);
-        const s = JSON.parse(fs.existsSync(sPath) ? await fsp.readFile(sPath, 'utf-8') : '{}');
-        s.status = 'active';
-        s.current_focus = `Working on tick ${companyRuns.tick}`;
-        s.last_update = new Date().toISOString();
-        await fsp.writeFile(sPath, JSON.stringify(s, null, 2));
-        // broadcast
-        broadcast({ type: 'WORKERS_UPDATED', projectId: companyRuns.projectId, workerId: w.id, worker: s, tick: companyRuns.tick });
-        pushEvent({ source: 'agent', kind: 'worker_tick', project: companyRuns.projectId, worker: w.id, focus: s.current_focus, tick: companyRuns.tick });
-      } catch (e) {
-        // ignore
-      }
-      if (companyRuns.tick > 50) {
-        clearInterval(companyRuns.timer);
-        companyRuns.active = false;
-      }
-    }, 1000);
-
-    res.json({ ok: true, project: slug, active: true });
+    const configPath = await ensureWorkersConfig(slug);
+    const { dataDir } = await ensureCompanyDir(slug);
+    const run = await companyRun.launch({
+      objective,
+      project: { slug, id: dbProject ? dbProject.id : null, name: dbProject ? dbProject.name : project },
+      configPath,
+      dataDir,
+      actorId: req.user.id
+    });
+    res.json({ ok: true, project: slug, active: run.active, run });
   } catch (e) {
-    res.status(500).json({ error: 'Failed to launch company' });
+    if (e instanceof CompanyRunError) return res.status(COMPANY_STATUS_BY_CODE[e.code] || 400).json({ error: e.message, code: e.code });
+    res.status(500).json({ error: 'Failed to launch company', detail: e.message });
   }
 });
 
 app.post('/api/company/stop', requireAuth, requireRole(['owner','admin']), async (req, res) => {
-  if (companyRuns.timer) clearInterval(companyRuns.timer);
-  companyRuns.active = false;
-  res.json({ ok: true });
+  try {
+    const run = await companyRun.stop((req.body && req.body.reason) || 'Stopped from the dashboard');
+    res.json({ ok: true, active: false, stopped: !!run, run });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to stop company', detail: e.message });
+  }
 });
 
 // Events API for Console panel
@@ -1932,17 +1939,8 @@ app.get('/api/events', requireAuth, async (req, res) => {
   res.json({ events: eventBuffer });
 });
 
-// GitHub webhook receiver (optional: no signature verification in dev)
-app.post('/webhooks/github', async (req, res) => {
-  try {
-    const event = req.headers['x-github-event'] || 'unknown';
-    const delivery = req.headers['x-github-delivery'] || crypto.randomUUID();
-    pushEvent({ source: 'github', event, delivery, payload: req.body });
-    res.status(200).json({ ok: true });
-  } catch (e) {
-    res.status(500).json({ error: 'webhook failed' });
-  }
-});
+// Provider webhook receivers; each delivery is logged, de-duplicated and reaches the Console via the bus
+app.use('/webhooks', webhookReceiver);
 
 // WebSocket server for real-time updates
 const server = require('http').createServer(app);
@@ -2011,6 +2009,17 @@ try {
     // Reuse existing console event buffer + broadcast
     try { pushEvent(evt); } catch { /* ignore */ }
   });
+  // Partial provider output goes to the Socket.IO clients (Console, BoardRoom)
+  bus.on('provider_stream', (evt) => {
+    io.emit('provider_stream', evt);
+  });
+  // Deploy pipeline build logs and status changes
+  bus.on('deployment_log', (evt) => {
+    io.emit('deployment_log', evt);
+  });
+  bus.on('deployment_status', (evt) => {
+    io.emit('deployment_status', evt);
+  });
 } catch (e) { console.warn('Event bus not available:', e.message); }
 
 // Database initialization and server start
@@ -2065,7 +2074,7 @@ const initializeServer = async () => {
           if (admin) {
             let conn = await Connection.findOne({ where: { user_id: admin.id, provider: 'github' } });
             if (!conn) {
-              conn = await Connection.create({ user_id: admin.id, provider: 'github', token_encrypted: 'placeholder', scopes: ['repo','workflow','read:org','project','admin:repo_hook'], status: 'active', last_checked_at: new Date() });
+              conn = Connection.build({ user_id: admin.id, provider: 'github', scopes: ['repo','workflow','read:org','project','admin:repo_hook'], status: 'active', last_checked_at: new Date() });
             }
             conn.setToken(process.env.GITHUB_PAT);
             await conn.save();
@@ -2082,7 +2091,7 @@ const initializeServer = async () => {
           const admin = await User.findOne({ where: { email: 'admin@shellcompany.ai' } });
           if (admin) {
             let conn = await Connection.findOne({ where: { user_id: admin.id, provider: 'vercel' } });
-            if (!conn) conn = await Connection.create({ user_id: admin.id, provider: 'vercel', token_encrypted: 'placeholder', status: 'active', last_checked_at: new Date() });
+            if (!conn) conn = Connection.build({ user_id: admin.id, provider: 'vercel', status: 'active', last_checked_at: new Date() });
             conn.setToken(process.env.VERCEL_TOKEN);
             await conn.save();
             console.log('🔐 Seeded Vercel token from .env into Connections');
@@ -2134,6 +2143,19 @@ const initializeServer = async () => {
       }
     }
 
+    // Restore persisted queue tasks and catch up recurring schedules missed while down
+    try {
+      await require('./services/task-queue').recover();
+    } catch (e) {
+      console.warn('⚠️  Task queue recovery failed:', e.message);
+    }
+
+    // Webhook rules start their workflows on the orchestrator company runs use
+    require('./services/webhook-rules').setOrchestrator(companyRun.orchestrator);
+
+    // Delete artifact blobs no artifact has referenced for the retention window
+    require('./services/blob-store').startGarbageCollector();
+
     // Start FS watcher on default project root so file writes show in Console immediately
     try {
       const watcher = require('./services/fs-watcher');
@@ -2174,6 +2196,14 @@ process.on('SIGINT', async () => {
     console.error('⚠️ Error shutting down autonomous services:', error);
   }
 
+  // Flush buffered log entries before the database closes
+  await require('./services/logger').stop();
+  await require('./services/tracing').stop();
+  require('./services/secrets-vault').stop();
+  require('./services/deployment-pipeline').stop();
+  await require('./services/local-deploy').stop();
+  require('./services/task-leases').stop();
+  await require('./services/company-run').shutdown();
   await sequelize.close();
   process.exit(0);
 });
@@ -1,9 +1,16 @@
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
-const { spawn, exec } = require('child_process');
+const { exec } = require('child_process');
 const { User, Project, Connection, EnvVar, Audit } = require('../models');
 const providerMonitor = require('./provider-monitor');
+const ExecutionSandbox = require('./execution-sandbox');
+const TaskSecrets = require('./task-secrets');
+const { redact, redactDeep } = require('./secret-redaction');
+const DatabaseTool = require('./database-tool');
+const { collectStream, isStreamingEnabled } = require('./provider-stream');
+const budgetManager = require('./budget-manager');
+const bus = require('./bus');
 
 // Import agent roster for specialized agent handling
 let agentRoster;
@@ -57,6 +64,11 @@ class AgentEngine {
     this.jobQueue = [];
     this.usageStats = new Map();
     this.isProcessing = false;
+    this.sandbox = new ExecutionSandbox();
+    this.taskSecrets = new TaskSecrets({ sandbox: this.sandbox });
+    // jobId -> secret grant; kept off the job so values never appear in job status
+    this.jobSecrets = new Map();
+    this.databaseTool = new DatabaseTool();
   }
 
   // Model selection and fallback logic with intent-aware provider routing (and key-aware)
@@ -133,6 +145,7 @@ class AgentEngine {
       const job = {
         id: jobId,
         taskId: id,
+        workflowId: taskData.workflowId || constraints.workflowId || null,
         userId,
         projectId,
         status: 'running',
@@ -142,7 +155,9 @@ class AgentEngine {
         tokens: { input: 0, output: 0 },
         logs: [],
         artifacts: [],
-        checkpoint: null
+        checkpoint: null,
+        // Tools read task-level permissions (e.g. allowMigrations) from here
+        constraints
       };
 
       this.activeJobs.set(jobId, job);
@@ -188,6 +203,21 @@ class AgentEngine {
         systemPrompt = this.buildSystemPrompt(tools, constraints, context);
       }
 
+      // Vault secrets the task declares are only handed to its command tool calls
+      const secrets = await this.taskSecrets.grant({
+        keys: taskData.secrets,
+        agentName: job.agentName || assignedAgent,
+        projectId,
+        environment: taskData.secretsEnvironment || 'development',
+        workflowId: job.workflowId,
+        taskId: id,
+        actorId: userId
+      });
+      if (secrets) {
+        this.jobSecrets.set(jobId, secrets);
+        job.secretKeys = secrets.keys;
+      }
+
       // Execute with selected model
       // temporarily attach per-agent creds on job for provider key lookup
       job.agentCredentials = agentCreds;
@@ -239,11 +269,23 @@ class AgentEngine {
         this.log(job, 'error', `Task failed: ${error.message}`);
       }
       throw error;
+    } finally {
+      const secrets = this.jobSecrets.get(jobId);
+      if (secrets) {
+        secrets.release();
+        this.jobSecrets.delete(jobId);
+      }
     }
   }
 
   async callModel(modelKey, systemPrompt, userPrompt, tools, job) {
     const model = this.models[modelKey];
+    // Injected secret values are never sent to a provider
+    systemPrompt = redact(systemPrompt);
+    userPrompt = redact(userPrompt);
+
+    // Hard stop before spending past an exhausted workflow/agent/project budget
+    await budgetManager.assertWithinBudget({ workflowId: job.workflowId, agent: job.agentName, projectId: job.projectId });
 
     try {
       let response;
@@ -269,6 +311,16 @@ class AgentEngine {
       job.cost += response.cost || 0;
       job.tokens.input += response.usage?.input || 0;
       job.tokens.output += response.usage?.output || 0;
+      bus.emit('provider_usage', {
+        provider: modelKey,
+        model: job.modelVariant || null,
+        cost: response.cost || 0,
+        tokens: response.usage,
+        workflowId: job.workflowId,
+        taskId: job.taskId,
+        agent: job.agentName || null,
+        projectId: job.projectId || null
+      });
 
       return response;
 
@@ -303,6 +355,26 @@ class AgentEngine {
     }
   }
 
+  /**
+   * Parse a provider response body. Streamed (SSE) bodies are published as
+   * `provider_stream` bus events for the current job while they arrive.
+   */
+  async readResponse(response, provider, model) {
+    const contentType = response.headers?.get?.('content-type') || '';
+    if (!contentType.includes('text/event-stream')) {
+      return response.json();
+    }
+    return collectStream(response, {
+      provider,
+      model,
+      context: {
+        workflowId: this.currentJob?.workflowId,
+        taskId: this.currentJob?.taskId,
+        agent: this.currentJob?.agentName
+      }
+    });
+  }
+
   async callClaude(systemPrompt, userPrompt, tools, variant) {
     const t0 = Date.now();
     let token = null;
@@ -348,7 +420,8 @@ class AgentEngine {
           max_tokens: 4000,
           system: systemPrompt,
           messages: [{ role: 'user', content: userPrompt }],
-          tools: this.mapToolsForClaude(tools)
+          tools: this.mapToolsForClaude(tools),
+          stream: isStreamingEnabled()
         })
       });
 
@@ -359,7 +432,7 @@ class AgentEngine {
         throw new Error(`Claude API error: ${response.status}`);
       }
 
-      const data = await response.json();
+      const data = await this.readResponse(response, 'claude', variant);
       const out = {
         content: data.content?.[0]?.text || '',
         toolCalls: data.content?.filter(c => c.type === 'tool_use') || [],
@@ -436,7 +509,8 @@ class AgentEngine {
             { role: 'user', content: userPrompt }
           ],
           tools: this.mapToolsForOpenAI(tools),
-          tool_choice: 'auto'
+          tool_choice: 'auto',
+          ...(isStreamingEnabled() ? { stream: true, stream_options: { include_usage: true } } : {})
         })
       });
 
@@ -447,7 +521,7 @@ class AgentEngine {
         throw new Error(`${nameMap[providerKey] || 'Provider'} API error: ${response.status}`);
       }
 
-      const data = await response.json();
+      const data = await this.readResponse(response, providerKey, variant);
       const out = {
         content: data.choices?.[0]?.message?.content || '',
         toolCalls: data.choices?.[0]?.message?.tool_calls || [],
@@ -500,7 +574,9 @@ class AgentEngine {
       }
       release = limits.acquire('gemini', token);
       const modelId = (variant && !String(variant).startsWith('models/')) ? `models/${variant}` : (variant || providerMonitor.getPreferredModel('gemini') || 'models/gemini-1.5-pro-latest');
-      const url = `https://generativelanguage.googleapis.com/v1beta/${modelId}:generateContent?key=${token}`;
+      const url = isStreamingEnabled()
+        ? `https://generativelanguage.googleapis.com/v1beta/${modelId}:streamGenerateContent?alt=sse&key=${token}`
+        : `https://generativelanguage.googleapis.com/v1beta/${modelId}:generateContent?key=${token}`;
       const response = await fetch(url, {
         method: 'POST',
         headers: {
@@ -521,7 +597,7 @@ class AgentEngine {
         throw new Error(`Gemini API error: ${response.status}`);
       }
 
-      const data = await response.json();
+      const data = await this.readResponse(response, 'gemini', modelId);
       const out = {
         content: data.candidates?.[0]?.content?.parts?.[0]?.text || '',
         toolCalls: data.candidates?.[0]?.content?.parts?.filter(p => p.functionCall) || [],
@@ -558,7 +634,7 @@ class AgentEngine {
 
     for (const toolCall of toolCalls) {
       try {
-        const toolResult = await this.executeTool(toolCall, allowedTools, context, job);
+        const toolResult = redactDeep(await this.executeTool(toolCall, allowedTools, context, job));
         executionResults.push(toolResult);
         job.artifacts.push(toolResult);
       } catch (error) {
@@ -570,6 +646,8 @@ class AgentEngine {
     return {
       response: result.content,
       toolResults: executionResults,
+      // Results in the calling provider's tool-result message format
+      toolResultMessages: toolCalls.map((toolCall, i) => this.formatToolResult(job.model, toolCall, executionResults[i])),
       artifacts: job.artifacts
     };
   }
@@ -679,52 +757,39 @@ class AgentEngine {
   async executeCommandTool(input, context, job) {
     const { command, args = [], timeout = 30000 } = input;
 
-    // Security whitelist
-    const allowedCommands = ['npm', 'yarn', 'node', 'python', 'pip', 'docker', 'make', 'echo', 'ls', 'cat', 'grep'];
-    if (!allowedCommands.includes(command)) {
-      throw new Error(`Command ${command} not allowed`);
-    }
-
-    return new Promise((resolve, reject) => {
-      const proc = spawn(command, args, {
-        cwd: context.projectPath,
-        timeout,
-        stdio: ['ignore', 'pipe', 'pipe']
-      });
-
-      let stdout = '';
-      let stderr = '';
-
-      proc.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-
-      proc.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
+    // Allowed binaries, limits and env scrubbing come from the agent's sandbox policy
+    const secrets = job && this.jobSecrets.get(job.id);
+    const result = await this.sandbox.run({
+      file: command,
+      args,
+      cwd: context.projectPath,
+      root: context.projectPath,
+      agentName: job && job.agentName,
+      env: secrets ? secrets.env : {},
+      timeoutMs: timeout
+    });
 
-      proc.on('close', (code) => {
-        resolve({
-          tool: 'command',
-          command,
-          args,
-          exitCode: code,
-          stdout,
-          stderr,
-          success: code === 0
-        });
-      });
+    if (result.timedOut) {
+      throw new Error(`Command timed out after ${timeout}ms`);
+    }
 
-      proc.on('error', (error) => {
-        reject(new Error(`Command execution failed: ${error.message}`));
-      });
+    return {
+      tool: 'command',
+      command,
+      args,
+      exitCode: result.exitCode,
+      stdout: result.stdout,
+      stderr: result.stderr,
+      truncated: result.stdoutTruncated || result.stderrTruncated,
+      success: result.exitCode === 0
+    };
+  }
 
-      // Timeout handling
-      setTimeout(() => {
-        proc.kill('SIGTERM');
-        reject(new Error(`Command timed out after ${timeout}ms`));
-      }, timeout);
-    });
+  async executeDatabaseTool(input, context, job) {
+    if ((input.operation || 'query') === 'migrate') {
+      this.log(job, 'warning', `Applying database migration to ${input.connection || input.database || 'project database'}`);
+    }
+    return this.databaseTool.execute(input, context, job);
   }
 
   async executeHttpTool(input, context, job) {
@@ -889,6 +954,22 @@ As ${agent.name}, use your specialized knowledge in ${agent.specialization} to c
             branch: { type: 'string', description: 'Branch name' }
           }
         }
+      },
+      database: {
+        name: 'database',
+        description: 'Query the project database. query runs one read-only statement; migrate applies schema/data changes when the task allows migrations',
+        input_schema: {
+          type: 'object',
+          properties: {
+            operation: { type: 'string', enum: ['query', 'schema', 'migrate'] },
+            sql: { type: 'string', description: 'SQL to run (one statement for query)' },
+            database: { type: 'string', description: 'SQLite file relative to the project (default .shellcompany/project.db)' },
+            connection: { type: 'string', description: 'Project environment variable holding a connection URL, e.g. DATABASE_URL' },
+            environment: { type: 'string', enum: ['development', 'staging', 'production'] },
+            limit: { type: 'integer', description: 'Maximum rows to return (default 100, max 1000)' }
+          },
+          required: ['operation']
+        }
       }
     };
 
@@ -918,6 +999,36 @@ As ${agent.name}, use your specialized knowledge in ${agent.specialization} to c
     }];
   }
 
+  /**
+   * Wrap a tool result as the tool-result message each provider expects
+   * in the follow-up turn for the given tool call.
+   */
+  formatToolResult(modelKey, toolCall, result) {
+    const name = toolCall.name || (toolCall.function && toolCall.function.name) || (toolCall.functionCall && toolCall.functionCall.name);
+    const isError = !result || !!result.error;
+    const payload = result || { error: 'No result' };
+
+    if (modelKey === 'claude') {
+      return {
+        type: 'tool_result',
+        tool_use_id: toolCall.id,
+        content: JSON.stringify(payload),
+        is_error: isError
+      };
+    }
+    if (modelKey === 'gemini') {
+      return {
+        functionResponse: { name, response: payload }
+      };
+    }
+    // OpenAI-compatible providers (openai, openai_project, xai)
+    return {
+      role: 'tool',
+      tool_call_id: toolCall.id,
+      content: JSON.stringify(payload)
+    };
+  }
+
   // Cost calculation methods
   calculateClaudeCost(usage) {
     if (!usage) return 0;
@@ -963,7 +1074,7 @@ As ${agent.name}, use your specialized knowledge in ${agent.specialization} to c
     const logEntry = {
       timestamp: new Date(),
       level,
-      message,
+      message: redact(message),
       jobId: job.id
     };
     job.logs.push(logEntry);
@@ -1,12 +1,16 @@
-const { spawn, exec } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const ExecutionSandbox = require('./execution-sandbox');
+const { redact } = require('./secret-redaction');
 
 class AgentExecutor {
-  constructor(agentName, workspaceDir, socketio) {
+  // options.sandbox: shared ExecutionSandbox; options.root: directory commands may not leave (default the workspace)
+  constructor(agentName, workspaceDir, socketio, options = {}) {
     this.agentName = agentName;
     this.workspaceDir = workspaceDir;
+    this.root = options.root || workspaceDir;
+    this.sandbox = options.sandbox || new ExecutionSandbox();
     this.socketio = socketio;
     this.status = 'idle';
     this.currentTask = null;
@@ -15,7 +19,8 @@ class AgentExecutor {
     this.startTime = null;
   }
 
-  async executeTask(taskId, taskDescription, commands) {
+  // options.env: extra variables for every command (e.g. granted task secrets)
+  async executeTask(taskId, taskDescription, commands, options = {}) {
     this.status = 'busy';
     this.currentTask = { id: taskId, description: taskDescription, startTime: Date.now() };
     this.startTime = Date.now();
@@ -35,7 +40,7 @@ class AgentExecutor {
     try {
       for (let i = 0; i < commands.length; i++) {
         const command = commands[i];
-        const stepResult = await this.executeCommand(command, i + 1, commands.length);
+        const stepResult = await this.executeCommand(command, i + 1, commands.length, options.env);
         executionResults.steps.push(stepResult);
         
         if (!stepResult.success) {
@@ -71,83 +76,61 @@ class AgentExecutor {
     }
   }
 
-  async executeCommand(command, stepNumber, totalSteps) {
+  async executeCommand(command, stepNumber, totalSteps, env = {}) {
     const commandId = uuidv4();
     const stepStart = Date.now();
 
     this.streamToConsole(`[${this.agentName}] Step ${stepNumber}/${totalSteps}: ${command}`);
 
-    return new Promise((resolve) => {
-      const process = spawn('sh', ['-c', command], {
-        cwd: this.workspaceDir,
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-
-      let stdout = '';
-      let stderr = '';
-
-      process.stdout.on('data', (data) => {
-        const output = data.toString();
-        stdout += output;
-        this.streamToConsole(output, 'stdout');
-      });
-
-      process.stderr.on('data', (data) => {
-        const output = data.toString();
-        stderr += output;
-        this.streamToConsole(output, 'stderr');
-      });
-
-      process.on('close', (code) => {
-        const stepEnd = Date.now();
-        const stepDuration = stepEnd - stepStart;
-
-        const stepResult = {
-          commandId,
-          step: stepNumber,
-          command,
-          exitCode: code,
-          success: code === 0,
-          stdout,
-          stderr,
-          startTime: stepStart,
-          endTime: stepEnd,
-          duration: stepDuration
-        };
-
-        if (code !== 0) {
-          stepResult.error = `Command exited with code ${code}`;
-        }
-
-        this.processHistory.push(stepResult);
-        this.streamToConsole(`[${this.agentName}] Step ${stepNumber} ${code === 0 ? 'completed' : 'failed'} (${Math.round(stepDuration / 1000)}s)`);
+    let result;
+    try {
+      // The sandbox gives the command a scrubbed environment plus `env` only, and
+      // traces it as a command.exec span with the command redacted
+      result = await this.sandbox.run({ command, cwd: this.workspaceDir, root: this.root, agentName: this.agentName, env });
+    } catch (error) {
+      const stepResult = {
+        commandId,
+        step: stepNumber,
+        command,
+        success: false,
+        error: error.message,
+        startTime: stepStart,
+        endTime: Date.now(),
+        duration: Date.now() - stepStart
+      };
+      this.processHistory.push(stepResult);
+      this.streamToConsole(`[${this.agentName}] Step ${stepNumber} error: ${error.message}`);
+      return stepResult;
+    }
 
-        resolve(stepResult);
-      });
+    if (result.stdout) this.streamToConsole(result.stdout, 'stdout');
+    if (result.stderr) this.streamToConsole(result.stderr, 'stderr');
+
+    const stepResult = {
+      commandId,
+      step: stepNumber,
+      command,
+      exitCode: result.exitCode,
+      success: result.exitCode === 0,
+      stdout: result.stdout,
+      stderr: result.stderr,
+      startTime: result.startTime,
+      endTime: result.endTime,
+      duration: result.duration
+    };
+    if (result.exitCode !== 0) {
+      stepResult.error = result.timedOut ? `Command timed out after ${result.duration}ms` : `Command exited with code ${result.exitCode}`;
+    }
 
-      process.on('error', (error) => {
-        const stepResult = {
-          commandId,
-          step: stepNumber,
-          command,
-          success: false,
-          error: error.message,
-          startTime: stepStart,
-          endTime: Date.now(),
-          duration: Date.now() - stepStart
-        };
-
-        this.processHistory.push(stepResult);
-        this.streamToConsole(`[${this.agentName}] Step ${stepNumber} error: ${error.message}`);
-
-        resolve(stepResult);
-      });
-    });
+    this.processHistory.push(stepResult);
+    this.streamToConsole(`[${this.agentName}] Step ${stepNumber} ${result.exitCode === 0 ? 'completed' : 'failed'} (${Math.round(result.duration / 1000)}s)`);
+    return stepResult;
   }
 
   async createFile(filePath, content) {
     const fullPath = path.join(this.workspaceDir, filePath);
     const dirPath = path.dirname(fullPath);
+    content = redact(content);
 
     try {
       await fs.mkdir(dirPath, { recursive: true });
@@ -198,7 +181,8 @@ class AgentExecutor {
       timestamp: new Date().toISOString(),
       agent: this.agentName,
       type,
-      message: message.toString().trim(),
+      // Injected secret values never reach the Console
+      message: redact(message.toString().trim()),
       taskId: this.currentTask?.id || null
     };
 
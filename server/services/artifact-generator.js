@@ -0,0 +1,174 @@
+const { redact } = require('./secret-redaction');
+const logger = require('./logger');
+const log = logger.child({ source: 'ARTIFACT-GEN' });
+
+// Agent preferred_model values (see agent-roster.js) -> RealProviderEngine provider ids
+const PROVIDER_ALIASES = {
+  claude: 'anthropic',
+  anthropic: 'anthropic',
+  openai: 'openai',
+  gpt: 'openai',
+  gemini: 'google',
+  google: 'google',
+  ollama: 'ollama',
+  local: 'ollama'
+};
+const DEFAULT_PROVIDER_ORDER = ['anthropic', 'openai', 'google', 'ollama'];
+
+// Context limits so a large upstream artifact cannot blow up the prompt
+const MAX_UPSTREAM_CHARS_PER_ARTIFACT = 6000;
+const MAX_UPSTREAM_CHARS_TOTAL = 24000;
+const MAX_RECORDED_PROMPT = 20000;
+
+/**
+ * Model-backed artifact content generation.
+ *
+ * Content is produced by the agent's configured provider (its `provider`
+ * config, else the preferred_model of its agents row), falling back to any
+ * other configured provider, local Ollama last. generate() resolves to null
+ * when no provider is configured so the caller can use its offline templates;
+ * provider errors are thrown rather than masked with template output.
+ */
+class ArtifactGenerator {
+  constructor({ providerEngine, models = null, maxTokens = 4000 } = {}) {
+    this.providerEngine = providerEngine;
+    this.models = models;
+    this.maxTokens = maxTokens;
+    // agent name -> preferred_model from the agents table
+    this.preferredModels = new Map();
+  }
+
+  isProviderConfigured(providerId) {
+    const engine = this.providerEngine;
+    if (!engine || !engine.providers || typeof engine.makeRequest !== 'function') return false;
+    const config = engine.providers[providerId];
+    if (!config) return false;
+    if (typeof engine.isProviderConfigured === 'function') {
+      if (!engine.isProviderConfigured(providerId)) return false;
+    } else if (!process.env[config.keyEnv]) {
+      return false;
+    }
+    return typeof engine.isProviderHealthy === 'function' ? engine.isProviderHealthy(providerId) : true;
+  }
+
+  async lookupPreferredModel(agentName) {
+    if (this.preferredModels.has(agentName)) return this.preferredModels.get(agentName);
+    let preferred = null;
+    try {
+      const { Agent } = this.models || require('../models');
+      const row = await Agent.findOne({ where: { name: agentName }, attributes: ['preferred_model'] });
+      preferred = row ? row.preferred_model : null;
+    } catch (error) {
+      log.warn(`Could not look up preferred model for ${agentName}`, { error: error && error.message });
+    }
+    this.preferredModels.set(agentName, preferred);
+    return preferred;
+  }
+
+  async resolveProvider(agentName, agentConfig = {}) {
+    const preferred = agentConfig.provider || await this.lookupPreferredModel(agentName);
+    const preferredId = PROVIDER_ALIASES[String(preferred || '').toLowerCase()];
+    const candidates = preferredId
+      ? [preferredId, ...DEFAULT_PROVIDER_ORDER.filter(p => p !== preferredId)]
+      : DEFAULT_PROVIDER_ORDER;
+    return candidates.find(providerId => this.isProviderConfigured(providerId)) || null;
+  }
+
+  buildPrompt({ artifactName, agentConfig = {}, task = {}, directive, upstreamArtifacts = [] }) {
+    const name = agentConfig.name || task.assignedAgent || 'an agent';
+    const lines = [
+      `You are ${name}${agentConfig.role ? `, ${agentConfig.role}` : ''} at ShellCompany.`
+    ];
+    if (agentConfig.specializations && agentConfig.specializations.length > 0) {
+      lines.push(`Your specializations: ${agentConfig.specializations.join(', ')}.`);
+    }
+    lines.push(
+      '',
+      `Company directive: ${directive}`,
+      `Your task: ${task.title || 'Produce the requested file'}`
+    );
+    if (task.description && task.description !== task.title) {
+      lines.push(`Task details: ${task.description}`);
+    }
+
+    let budget = MAX_UPSTREAM_CHARS_TOTAL;
+    const context = [];
+    for (const upstream of upstreamArtifacts) {
+      if (budget <= 0) break;
+      const content = String(upstream.content || '');
+      const limit = Math.min(MAX_UPSTREAM_CHARS_PER_ARTIFACT, budget);
+      const excerpt = content.length > limit ? `${content.slice(0, limit)}\n... (truncated)` : content;
+      budget -= excerpt.length;
+      context.push(`--- ${upstream.name}${upstream.agent ? ` (by ${upstream.agent})` : ''} ---\n${excerpt}`);
+    }
+    if (context.length > 0) {
+      lines.push('', 'Artifacts produced earlier in this workflow, for reference:', ...context);
+    }
+
+    lines.push(
+      '',
+      `Write the complete contents of the file "${artifactName}".`,
+      'Respond with the file contents only: no explanations and no markdown code fences around the file.'
+    );
+    return lines.join('\n');
+  }
+
+  /**
+   * Models often wrap a whole file in a code fence despite instructions;
+   * unwrap it when the fence spans the entire response.
+   */
+  extractContent(text) {
+    const trimmed = String(text || '').trim();
+    const fenced = trimmed.match(/^```[\w.+-]*\n([\s\S]*?)\n?```$/);
+    const content = fenced ? fenced[1] : trimmed;
+    return content.endsWith('\n') ? content : `${content}\n`;
+  }
+
+  /**
+   * Generate one artifact. Resolves to `{ content, generation }` where
+   * generation is the lineage record (prompt, provider, model, tokens, cost),
+   * or null when no provider is configured.
+   */
+  async generate({ artifactName, agentName, agentConfig = {}, task = {}, workflowId = null, directive, upstreamArtifacts = [] }) {
+    const providerId = await this.resolveProvider(agentName, agentConfig);
+    if (!providerId) return null;
+
+    // Redacted here too so the prompt recorded in lineage never holds an injected secret
+    const prompt = redact(this.buildPrompt({ artifactName, agentConfig: { name: agentName, ...agentConfig }, task, directive, upstreamArtifacts }));
+    const response = await this.providerEngine.makeRequest(providerId, prompt, {
+      maxTokens: this.maxTokens,
+      temperature: 0.4,
+      // Tags the streamed tokens so the BoardRoom can show them under the agent
+      context: { workflowId, taskId: task.id || null, agent: agentName }
+    });
+    const content = this.extractContent(response.content);
+    if (!content.trim()) {
+      throw new Error(`${providerId} returned empty content for ${artifactName}`);
+    }
+
+    const usage = response.usage || { input: 0, output: 0 };
+    return {
+      content,
+      generation: {
+        source: 'model',
+        provider: response.provider || providerId,
+        model: response.model || null,
+        prompt: prompt.length > MAX_RECORDED_PROMPT ? `${prompt.slice(0, MAX_RECORDED_PROMPT)}\n... (truncated)` : prompt,
+        tokens: {
+          input: usage.input || 0,
+          output: usage.output || 0,
+          total: (usage.input || 0) + (usage.output || 0)
+        },
+        cost: response.cost || 0,
+        latency: response.latency || null,
+        requestId: response.id || null,
+        upstreamArtifacts: upstreamArtifacts.map(a => a.name),
+        generatedAt: new Date().toISOString()
+      }
+    };
+  }
+}
+
+ArtifactGenerator.PROVIDER_ALIASES = PROVIDER_ALIASES;
+
+module.exports = ArtifactGenerator;
@@ -0,0 +1,423 @@
+const { Op } = require('sequelize');
+const fs = require('fs').promises;
+const { BlobStore } = require('./blob-store');
+const logger = require('./logger');
+const log = logger.child({ source: 'LINEAGE-STORE' });
+
+// Files larger than this are indexed by name and path only
+const MAX_INDEXED_BYTES = 256 * 1024;
+
+// Column weights for bm25(): artifact_id, name, path, content
+const RANK_WEIGHTS = '0.0, 10.0, 5.0, 1.0';
+
+// Control characters fence matches inside snippets so they survive HTML escaping
+const MARK_OPEN = '\u0002';
+const MARK_CLOSE = '\u0003';
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function markupMatches(text) {
+  if (text === null || text === undefined) return null;
+  return escapeHtml(text).split(MARK_OPEN).join('<mark>').split(MARK_CLOSE).join('</mark>');
+}
+
+/**
+ * Turn free text into an FTS5 query: every word becomes a quoted prefix term so
+ * user input can never inject FTS operators. Returns null when nothing is searchable.
+ */
+function buildMatchQuery(text) {
+  const tokens = String(text || '').match(/[\p{L}\p{N}_]+/gu) || [];
+  if (tokens.length === 0) return null;
+  return tokens.slice(0, 12).map(token => `"${token}"*`).join(' ');
+}
+
+// SQLite rows store dates the way Sequelize writes them, so filters must match that format
+function toStoredDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().replace('T', ' ').replace('Z', ' +00:00');
+}
+
+/**
+ * Write-through persistence for the ArtifactLineage graph.
+ *
+ * Each lineage record is an Artifact row keyed by the lineage id, parent links
+ * are ArtifactEdge rows and, on SQLite, names, paths and text content are kept
+ * in the `artifacts_fts` FTS5 table for ranked search. Every creation and
+ * update also adds an immutable ArtifactVersion row whose content is held in
+ * the blob store.
+ *
+ * Like WorkflowStore, writes are best-effort: failures are logged and reported
+ * as `false` so callers can fall back to their in-memory state.
+ */
+class ArtifactLineageStore {
+  /**
+   * @param {object} [models]
+   * @param {object} [options]
+   * @param {BlobStore} [options.blobStore] reference-counted when an artifact's sha256 changes
+   */
+  constructor(models = null, options = {}) {
+    this.models = models || require('../models');
+    this.blobStore = options.blobStore || null;
+    this.searchIndex = null;
+  }
+
+  get sequelize() {
+    return this.models.sequelize;
+  }
+
+  /**
+   * Create the FTS5 table when missing (dev databases are built by sync(), which
+   * knows nothing about virtual tables). Resolves to false when FTS is unavailable.
+   */
+  ensureSearchIndex() {
+    if (!this.searchIndex) {
+      this.searchIndex = (async () => {
+        if (this.sequelize.getDialect() !== 'sqlite') return false;
+        try {
+          await this.sequelize.query(
+            "CREATE VIRTUAL TABLE IF NOT EXISTS artifacts_fts USING fts5(artifact_id UNINDEXED, name, path, content, tokenize = 'unicode61')"
+          );
+          return true;
+        } catch (error) {
+          log.warn('Full-text index unavailable', { error: error && error.message });
+          return false;
+        }
+      })();
+    }
+    return this.searchIndex;
+  }
+
+  toRow(artifact) {
+    const { lineage = {}, metadata = {} } = artifact;
+    return {
+      id: artifact.id,
+      project_id: artifact.projectId,
+      path: metadata.relativePath || metadata.absolutePath || artifact.name,
+      name: artifact.name || null,
+      sha256: metadata.checksum || null,
+      bytes: metadata.fileSize || 0,
+      produced_by_task: lineage.taskId || null,
+      workflow_id: lineage.workflowId || null,
+      created_by: lineage.agentName || null,
+      requested_by: artifact.lineageMetadata ? artifact.lineageMetadata.requestedBy : null,
+      file_type: metadata.fileType || null,
+      status: artifact.status || 'active',
+      lineage: {
+        directive: lineage.directive,
+        taskTitle: lineage.taskTitle,
+        creationReason: lineage.creationReason,
+        generation: lineage.generation,
+        modificationHistory: lineage.modificationHistory || []
+      },
+      metadata: {
+        encoding: metadata.encoding,
+        absolutePath: metadata.absolutePath,
+        relativePath: metadata.relativePath,
+        lineageMetadata: artifact.lineageMetadata || null,
+        createdAt: artifact.createdAt,
+        lastModified: artifact.lastModified || null
+      }
+    };
+  }
+
+  /**
+   * Upsert the artifact row, its parent edges and its search index entry. With a
+   * `modification` the current content is also recorded as a new version.
+   * Artifacts without a project are kept in memory only.
+   */
+  async saveArtifact(artifact, { modification = null } = {}) {
+    if (!artifact.projectId) return false;
+    try {
+      if (modification) {
+        await this.moveContentToBlob(artifact);
+        await this.saveVersion(artifact, modification);
+      }
+      const row = this.toRow(artifact);
+      const previous = await this.models.Artifact.findByPk(artifact.id, { attributes: ['sha256'] });
+      await this.models.Artifact.upsert(row);
+      await this.updateBlobReferences(previous ? previous.sha256 : null, row.sha256);
+      await this.saveEdges(artifact);
+      await this.indexArtifact(artifact);
+      return true;
+    } catch (error) {
+      log.warn(`Failed to persist artifact ${artifact.id}`, { error: error && error.message });
+      return false;
+    }
+  }
+
+  // Move the artifact's blob reference when its content hash changes
+  async updateBlobReferences(previousSha, nextSha) {
+    if (!this.blobStore || previousSha === nextSha) return;
+    if (BlobStore.isHash(nextSha)) {
+      await this.blobStore.addReference(nextSha).catch(error => {
+        if (error.code !== 'NOT_FOUND') throw error;
+      });
+    }
+    if (BlobStore.isHash(previousSha)) {
+      await this.blobStore.releaseReference(previousSha);
+    }
+  }
+
+  // In-memory content is written to the blob store and referenced by its checksum from then on
+  async moveContentToBlob(artifact) {
+    if (!this.blobStore || artifact.content === null || artifact.content === undefined) return;
+    const blob = await this.blobStore.putContent(artifact.content, (artifact.metadata && artifact.metadata.encoding) || 'utf8');
+    artifact.metadata = Object.assign(artifact.metadata || {}, { checksum: blob.sha256, fileSize: blob.bytes });
+    artifact.content = null;
+  }
+
+  async saveVersion(artifact, modification) {
+    const { ArtifactVersion } = this.models;
+    const latest = await ArtifactVersion.max('version', { where: { artifact_id: artifact.id } });
+    const version = (Number(latest) || 0) + 1;
+    const checksum = artifact.metadata && artifact.metadata.checksum;
+    const sha256 = BlobStore.isHash(checksum) ? checksum : null;
+
+    await ArtifactVersion.create({
+      id: `${artifact.id}:v${version}`,
+      artifact_id: artifact.id,
+      version,
+      sha256,
+      bytes: (artifact.metadata && artifact.metadata.fileSize) || 0,
+      action: modification.action || 'modified',
+      agent: modification.agent || null,
+      details: modification.details || null,
+      restored_from: modification.restoredFrom || null
+    });
+    // Each version keeps its content alive through garbage collection
+    if (sha256 && this.blobStore) {
+      await this.blobStore.addReference(sha256).catch(error => {
+        if (error.code !== 'NOT_FOUND') throw error;
+      });
+    }
+
+    modification.version = version;
+    artifact.currentVersion = version;
+    return version;
+  }
+
+  toVersion(row) {
+    return {
+      version: row.version,
+      sha256: row.sha256,
+      bytes: row.bytes,
+      action: row.action,
+      agent: row.agent,
+      details: row.details,
+      restoredFrom: row.restored_from,
+      createdAt: row.created_at
+    };
+  }
+
+  async listVersions(artifactId) {
+    const rows = await this.models.ArtifactVersion.findAll({
+      where: { artifact_id: artifactId },
+      order: [['version', 'DESC']]
+    });
+    return rows.map(row => this.toVersion(row));
+  }
+
+  async getVersion(artifactId, version) {
+    const row = await this.models.ArtifactVersion.findOne({ where: { artifact_id: artifactId, version } });
+    return row ? this.toVersion(row) : null;
+  }
+
+  /**
+   * Raw bytes of a version, or null when its content was never stored.
+   */
+  async readVersionContent(version) {
+    if (!this.blobStore || !version.sha256) return null;
+    return this.blobStore.readContent(version.sha256, null);
+  }
+
+  async saveEdges(artifact) {
+    const parents = (artifact.lineage && artifact.lineage.parentArtifacts) || [];
+    if (parents.length === 0) return 0;
+    await this.models.ArtifactEdge.bulkCreate(parents.map(parentId => ({
+      id: `${parentId}:${artifact.id}`,
+      parent_id: parentId,
+      child_id: artifact.id,
+      workflow_id: artifact.lineage.workflowId || null
+    })), { ignoreDuplicates: true });
+    return parents.length;
+  }
+
+  /**
+   * Text used for the content column: the in-memory content when present,
+   * otherwise the stored blob or the file on disk if it is small and not binary.
+   */
+  async readIndexableContent(artifact) {
+    if (artifact.content) return String(artifact.content).slice(0, MAX_INDEXED_BYTES);
+    const metadata = artifact.metadata || {};
+    const candidates = [];
+    if (this.blobStore && BlobStore.isHash(metadata.checksum)) candidates.push(this.blobStore.pathFor(metadata.checksum));
+    if (metadata.absolutePath) candidates.push(metadata.absolutePath);
+
+    for (const file of candidates) {
+      try {
+        const stats = await fs.stat(file);
+        if (!stats.isFile() || stats.size > MAX_INDEXED_BYTES) return '';
+        const buffer = await fs.readFile(file);
+        if (buffer.includes(0)) return '';
+        return buffer.toString('utf8');
+      } catch (error) {
+        // try the next location
+      }
+    }
+    return '';
+  }
+
+  async indexArtifact(artifact) {
+    if (!(await this.ensureSearchIndex())) return false;
+    const content = await this.readIndexableContent(artifact);
+    await this.sequelize.query('DELETE FROM artifacts_fts WHERE artifact_id = :id', { replacements: { id: artifact.id } });
+    await this.sequelize.query(
+      'INSERT INTO artifacts_fts (artifact_id, name, path, content) VALUES (:id, :name, :path, :content)',
+      {
+        replacements: {
+          id: artifact.id,
+          name: artifact.name || '',
+          path: (artifact.metadata && artifact.metadata.relativePath) || '',
+          content
+        }
+      }
+    );
+    return true;
+  }
+
+  /**
+   * Load every persisted artifact and edge so the in-memory graph can be rebuilt.
+   */
+  async loadGraph() {
+    try {
+      const [artifacts, edges] = await Promise.all([
+        this.models.Artifact.findAll({ where: { workflow_id: { [Op.ne]: null } }, order: [['created_at', 'ASC']] }),
+        this.models.ArtifactEdge.findAll()
+      ]);
+      return {
+        artifacts: artifacts.map(row => (row.get ? row.get({ plain: true }) : row)),
+        edges: edges.map(row => (row.get ? row.get({ plain: true }) : row))
+      };
+    } catch (error) {
+      log.warn('Failed to load artifact lineage', { error: error && error.message });
+      return { artifacts: [], edges: [] };
+    }
+  }
+
+  buildFilters(criteria, replacements) {
+    const clauses = [];
+    if (criteria.workflowId) {
+      clauses.push('a.workflow_id = :workflowId');
+      replacements.workflowId = criteria.workflowId;
+    }
+    if (criteria.agentName) {
+      clauses.push('a.created_by = :agentName');
+      replacements.agentName = criteria.agentName;
+    }
+    if (criteria.fileType) {
+      clauses.push('a.file_type = :fileType');
+      replacements.fileType = criteria.fileType;
+    }
+    if (criteria.fileName) {
+      clauses.push('LOWER(a.name) LIKE :fileName');
+      replacements.fileName = `%${String(criteria.fileName).toLowerCase()}%`;
+    }
+    const createdAfter = criteria.createdAfter && toStoredDate(criteria.createdAfter);
+    if (createdAfter) {
+      clauses.push('a.created_at >= :createdAfter');
+      replacements.createdAfter = createdAfter;
+    }
+    return clauses;
+  }
+
+  toResult(row) {
+    const lineage = typeof row.lineage === 'string' ? JSON.parse(row.lineage) : (row.lineage || {});
+    return {
+      id: row.id,
+      name: row.name,
+      path: row.path,
+      workflowId: row.workflow_id,
+      taskId: row.produced_by_task,
+      agentName: row.created_by,
+      fileType: row.file_type,
+      bytes: row.bytes,
+      status: row.status,
+      createdAt: row.created_at,
+      lineage: {
+        directive: lineage.directive,
+        taskTitle: lineage.taskTitle,
+        creationReason: lineage.creationReason
+      }
+    };
+  }
+
+  /**
+   * Ranked full-text search. `criteria.query` is matched against names, paths and
+   * content; the remaining criteria filter the results. Snippets and highlighted
+   * names are HTML-escaped with matches wrapped in <mark>.
+   * Resolves to null when the query needs the full-text index and it is unavailable.
+   */
+  async search(criteria = {}, { page = 1, pageSize = 20 } = {}) {
+    const replacements = { limit: pageSize, offset: (page - 1) * pageSize };
+    const filters = this.buildFilters(criteria, replacements);
+    const match = buildMatchQuery(criteria.query);
+
+    if (criteria.query && !match) return { results: [], total: 0, ranked: true };
+    if (match && !(await this.ensureSearchIndex())) return null;
+
+    try {
+      if (!match) {
+        const where = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+        const [rows] = await this.sequelize.query(
+          `SELECT a.* FROM artifacts a ${where} ORDER BY a.created_at DESC LIMIT :limit OFFSET :offset`,
+          { replacements }
+        );
+        const [[{ total }]] = await this.sequelize.query(`SELECT COUNT(*) AS total FROM artifacts a ${where}`, { replacements });
+        return { results: rows.map(row => this.toResult(row)), total: Number(total), ranked: false };
+      }
+
+      replacements.match = match;
+      const where = ['artifacts_fts MATCH :match', ...filters].join(' AND ');
+      const [rows] = await this.sequelize.query(
+        `SELECT a.*,
+                bm25(artifacts_fts, ${RANK_WEIGHTS}) AS rank,
+                snippet(artifacts_fts, -1, '${MARK_OPEN}', '${MARK_CLOSE}', '…', 16) AS snippet,
+                highlight(artifacts_fts, 1, '${MARK_OPEN}', '${MARK_CLOSE}') AS highlighted_name
+         FROM artifacts_fts JOIN artifacts a ON a.id = artifacts_fts.artifact_id
+         WHERE ${where}
+         ORDER BY rank
+         LIMIT :limit OFFSET :offset`,
+        { replacements }
+      );
+      const [[{ total }]] = await this.sequelize.query(
+        `SELECT COUNT(*) AS total FROM artifacts_fts JOIN artifacts a ON a.id = artifacts_fts.artifact_id WHERE ${where}`,
+        { replacements }
+      );
+
+      return {
+        results: rows.map(row => ({
+          ...this.toResult(row),
+          // bm25 is lower-is-better; flip it so higher scores rank first
+          score: Number((-row.rank).toFixed(4)),
+          snippet: markupMatches(row.snippet),
+          highlightedName: markupMatches(row.highlighted_name)
+        })),
+        total: Number(total),
+        ranked: true
+      };
+    } catch (error) {
+      log.warn('Artifact search failed', { error: error && error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = ArtifactLineageStore;
+module.exports.buildMatchQuery = buildMatchQuery;
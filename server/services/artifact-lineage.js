@@ -1,13 +1,114 @@
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs').promises;
+const { diffLines, unifiedDiff, sideBySide } = require('./text-diff');
+
+class ArtifactLineageError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ArtifactLineageError';
+    this.code = code;
+  }
+}
 
 class ArtifactLineage {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {ArtifactLineageStore} [options.store] write-through persistence and full-text search
+   */
+  constructor(options = {}) {
     this.artifacts = new Map();
     this.lineageGraph = new Map(); // artifact -> creation context
     this.workflowArtifacts = new Map(); // workflow -> artifacts[]
     this.agentArtifacts = new Map(); // agent -> artifacts[]
+    this.store = options.store || null;
+  }
+
+  // Register an artifact in the lineage graph and the workflow/agent indexes
+  linkArtifact(artifact) {
+    const { workflowId, agentName, parentArtifacts } = artifact.lineage;
+    this.lineageGraph.set(artifact.id, {
+      workflow: workflowId,
+      task: artifact.lineage.taskId,
+      agent: agentName,
+      parents: [...(parentArtifacts || [])],
+      children: []
+    });
+
+    if (!this.workflowArtifacts.has(workflowId)) {
+      this.workflowArtifacts.set(workflowId, []);
+    }
+    this.workflowArtifacts.get(workflowId).push(artifact.id);
+
+    if (!this.agentArtifacts.has(agentName)) {
+      this.agentArtifacts.set(agentName, []);
+    }
+    this.agentArtifacts.get(agentName).push(artifact.id);
+  }
+
+  /**
+   * Rebuild the in-memory graph from the store after a restart. Content is not
+   * loaded; it stays on disk and in the search index.
+   */
+  async hydrate() {
+    if (!this.store) return 0;
+    const { artifacts, edges } = await this.store.loadGraph();
+    let loaded = 0;
+
+    for (const row of artifacts) {
+      if (this.artifacts.has(row.id)) continue;
+      const lineage = row.lineage || {};
+      const metadata = row.metadata || {};
+      const artifact = {
+        id: row.id,
+        name: row.name,
+        projectId: row.project_id,
+        workflowId: row.workflow_id,
+        taskId: row.produced_by_task,
+        agentName: row.created_by,
+        createdAt: metadata.createdAt || new Date(row.created_at).toISOString(),
+        lastModified: metadata.lastModified || undefined,
+        lineageMetadata: metadata.lineageMetadata || undefined,
+        lineage: {
+          workflowId: row.workflow_id,
+          taskId: row.produced_by_task,
+          agentName: row.created_by,
+          directive: lineage.directive,
+          taskTitle: lineage.taskTitle,
+          creationReason: lineage.creationReason,
+          parentArtifacts: [],
+          generation: lineage.generation || null,
+          modificationHistory: lineage.modificationHistory || []
+        },
+        metadata: {
+          fileSize: row.bytes,
+          fileType: row.file_type,
+          encoding: metadata.encoding || 'utf8',
+          checksum: row.sha256,
+          relativePath: metadata.relativePath,
+          absolutePath: metadata.absolutePath
+        },
+        content: null,
+        status: row.status || 'active',
+        persisted: true
+      };
+      this.artifacts.set(artifact.id, artifact);
+      this.linkArtifact(artifact);
+      loaded++;
+    }
+
+    for (const edge of edges) {
+      const child = this.lineageGraph.get(edge.child_id);
+      const parent = this.lineageGraph.get(edge.parent_id);
+      if (child && !child.parents.includes(edge.parent_id)) {
+        child.parents.push(edge.parent_id);
+        this.artifacts.get(edge.child_id).lineage.parentArtifacts.push(edge.parent_id);
+      }
+      if (parent && !parent.children.includes(edge.child_id)) parent.children.push(edge.child_id);
+    }
+
+    if (loaded > 0) console.log(`[LINEAGE] Restored ${loaded} artifacts and ${edges.length} lineage edges`);
+    return loaded;
   }
 
   /**
@@ -29,6 +130,7 @@ class ArtifactLineage {
         taskTitle: artifactData.taskTitle,
         creationReason: artifactData.creationReason || 'Task execution',
         parentArtifacts: artifactData.parentArtifacts || [],
+        generation: artifactData.generation || null,
         modificationHistory: [{
           timestamp,
           action: 'created',
@@ -48,29 +150,9 @@ class ArtifactLineage {
       status: 'active'
     };
 
-    // Store artifact
+    // Store artifact and update lineage, workflow and agent mappings
     this.artifacts.set(artifactId, artifact);
-
-    // Update lineage mappings
-    this.lineageGraph.set(artifactId, {
-      workflow: artifactData.workflowId,
-      task: artifactData.taskId,
-      agent: artifactData.agentName,
-      parents: artifactData.parentArtifacts || [],
-      children: []
-    });
-
-    // Update workflow artifacts
-    if (!this.workflowArtifacts.has(artifactData.workflowId)) {
-      this.workflowArtifacts.set(artifactData.workflowId, []);
-    }
-    this.workflowArtifacts.get(artifactData.workflowId).push(artifactId);
-
-    // Update agent artifacts
-    if (!this.agentArtifacts.has(artifactData.agentName)) {
-      this.agentArtifacts.set(artifactData.agentName, []);
-    }
-    this.agentArtifacts.get(artifactData.agentName).push(artifactId);
+    this.linkArtifact(artifact);
 
     // Update parent-child relationships
     if (artifactData.parentArtifacts) {
@@ -82,6 +164,10 @@ class ArtifactLineage {
       }
     }
 
+    artifact.persisted = this.store
+      ? await this.store.saveArtifact(artifact, { modification: artifact.lineage.modificationHistory[0] })
+      : false;
+
     console.log(`[LINEAGE] Recorded artifact ${artifactId}: ${artifact.name} by ${artifactData.agentName}`);
     
     return artifact;
@@ -91,10 +177,7 @@ class ArtifactLineage {
    * Update existing artifact (for edits, saves, etc.)
    */
   async updateArtifact(artifactId, updates, modificationContext) {
-    const artifact = this.artifacts.get(artifactId);
-    if (!artifact) {
-      throw new Error(`Artifact ${artifactId} not found`);
-    }
+    const artifact = this.requireArtifact(artifactId);
 
     // Record modification
     const modification = {
@@ -104,6 +187,9 @@ class ArtifactLineage {
       details: modificationContext.details || 'File updated',
       changes: modificationContext.changes
     };
+    if (modificationContext.restoredFrom) {
+      modification.restoredFrom = modificationContext.restoredFrom;
+    }
 
     artifact.lineage.modificationHistory.push(modification);
 
@@ -111,6 +197,9 @@ class ArtifactLineage {
     if (updates.content !== undefined) {
       artifact.content = updates.content;
       artifact.metadata.fileSize = Buffer.byteLength(updates.content, 'utf8');
+    } else if (updates.metadata && updates.metadata.checksum) {
+      // The new content lives in the blob store under the new checksum
+      artifact.content = null;
     }
 
     // Update metadata
@@ -120,11 +209,109 @@ class ArtifactLineage {
 
     artifact.lastModified = modification.timestamp;
 
+    if (this.store && artifact.persisted) {
+      await this.store.saveArtifact(artifact, { modification });
+    }
+
     console.log(`[LINEAGE] Updated artifact ${artifactId} by ${modification.agent}: ${modification.action}`);
     
     return artifact;
   }
 
+  requireArtifact(artifactId) {
+    const artifact = this.artifacts.get(artifactId);
+    if (!artifact) {
+      throw new ArtifactLineageError(`Artifact ${artifactId} not found`, 'NOT_FOUND');
+    }
+    return artifact;
+  }
+
+  requireStore() {
+    if (!this.store) {
+      throw new ArtifactLineageError('Artifact versions are not persisted', 'VERSIONS_UNAVAILABLE');
+    }
+    return this.store;
+  }
+
+  /**
+   * Versions of an artifact, newest first
+   */
+  async listVersions(artifactId) {
+    this.requireArtifact(artifactId);
+    return this.requireStore().listVersions(artifactId);
+  }
+
+  /**
+   * A version with its content as text
+   */
+  async readVersion(artifactId, versionNumber) {
+    this.requireArtifact(artifactId);
+    const store = this.requireStore();
+    const version = await store.getVersion(artifactId, versionNumber);
+    if (!version) {
+      throw new ArtifactLineageError(`Artifact ${artifactId} has no version ${versionNumber}`, 'NOT_FOUND');
+    }
+
+    const content = await store.readVersionContent(version).catch(() => null);
+    if (content === null) {
+      throw new ArtifactLineageError(`Content of version ${versionNumber} is not available`, 'CONTENT_UNAVAILABLE');
+    }
+    if (content.includes(0)) {
+      return { ...version, binary: true, content: null };
+    }
+    return { ...version, binary: false, content: content.toString('utf8') };
+  }
+
+  /**
+   * Line diff between two versions as a unified diff plus side-by-side rows
+   */
+  async diffVersions(artifactId, fromVersion, toVersion) {
+    const from = await this.readVersion(artifactId, fromVersion);
+    const to = await this.readVersion(artifactId, toVersion);
+    if (from.binary || to.binary) {
+      throw new ArtifactLineageError('Binary versions cannot be diffed', 'BINARY_CONTENT');
+    }
+
+    const artifact = this.artifacts.get(artifactId);
+    const lines = diffLines(from.content, to.content);
+    return {
+      from: { ...from, content: undefined },
+      to: { ...to, content: undefined },
+      unified: unifiedDiff(lines, {
+        fromLabel: `${artifact.name}@v${fromVersion}`,
+        toLabel: `${artifact.name}@v${toVersion}`
+      }),
+      rows: sideBySide(lines),
+      stats: {
+        added: lines.filter(line => line.type === 'add').length,
+        removed: lines.filter(line => line.type === 'remove').length
+      }
+    };
+  }
+
+  /**
+   * Make an older version current again. The restore is recorded as a new
+   * modification (and so a new version); history is never rewritten.
+   */
+  async restoreVersion(artifactId, versionNumber, context = {}) {
+    const artifact = this.requireArtifact(artifactId);
+    const version = await this.requireStore().getVersion(artifactId, versionNumber);
+    if (!version) {
+      throw new ArtifactLineageError(`Artifact ${artifactId} has no version ${versionNumber}`, 'NOT_FOUND');
+    }
+    if (!version.sha256) {
+      throw new ArtifactLineageError(`Content of version ${versionNumber} is not available`, 'CONTENT_UNAVAILABLE');
+    }
+
+    await this.updateArtifact(artifactId, { metadata: { checksum: version.sha256, fileSize: version.bytes } }, {
+      action: 'restored',
+      agentName: context.agentName || 'user',
+      details: context.details || `Restored version ${versionNumber}`,
+      restoredFrom: versionNumber
+    });
+    return artifact;
+  }
+
   /**
    * Get artifact with full lineage information
    */
@@ -210,7 +397,8 @@ class ArtifactLineage {
         matches = false;
       }
 
-      if (criteria.content && !artifact.content.toLowerCase().includes(criteria.content.toLowerCase())) {
+      const contentQuery = criteria.content || criteria.query;
+      if (contentQuery && !(artifact.content || '').toLowerCase().includes(contentQuery.toLowerCase())) {
         matches = false;
       }
 
@@ -222,6 +410,21 @@ class ArtifactLineage {
     return results.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
   }
 
+  /**
+   * Paginated search. Uses the store's ranked full-text index when available and
+   * falls back to scanning the in-memory graph otherwise.
+   */
+  async search(criteria = {}, { page = 1, pageSize = 20 } = {}) {
+    if (this.store) {
+      const found = await this.store.search(criteria, { page, pageSize });
+      if (found) return found;
+    }
+
+    const matches = this.searchArtifacts(criteria);
+    const start = (page - 1) * pageSize;
+    return { results: matches.slice(start, start + pageSize), total: matches.length, ranked: false };
+  }
+
   /**
    * Generate clickable lineage links for console logs
    */
@@ -381,3 +584,4 @@ class ArtifactLineage {
 }
 
 module.exports = ArtifactLineage;
+module.exports.ArtifactLineageError = ArtifactLineageError;
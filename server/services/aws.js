@@ -1,4 +1,5 @@
-const { Connection, Deployment, Audit } = require('../models');
+const { Connection, Audit } = require('../models');
+const deploymentPipeline = require('./deployment-pipeline');
 
 class AWSService {
   constructor() {
@@ -247,24 +248,6 @@ class AWSService {
       forceNewDeployment: true
     }, credentials);
 
-    // Store deployment in database
-    const dbDeployment = await Deployment.create({
-      user_id: userId,
-      repository_id: deploymentData.repository || '',
-      deployment_id: deployment.deploymentId || `ecs-${Date.now()}`,
-      environment: deploymentData.environment || 'production',
-      ref: deploymentData.ref || '',
-      sha: deploymentData.sha || '',
-      status: 'pending',
-      provider: 'aws-ecs',
-      metadata: {
-        aws_deployment: deployment,
-        cluster_name: deploymentData.clusterName,
-        service_name: deploymentData.serviceName,
-        task_definition: deploymentData.taskDefinition
-      }
-    });
-
     await Audit.create({
       actor_id: userId,
       action: 'DEPLOY_ECS_SERVICE',
@@ -279,7 +262,21 @@ class AWSService {
       ip_address: '127.0.0.1'
     });
 
-    return { aws: deployment, database: dbDeployment };
+    // The Deployment row belongs to the deploy pipeline (services/deployment-pipeline)
+    return { aws: deployment };
+  }
+
+  // The ECS deployment with this id, including its rolloutState (IN_PROGRESS, COMPLETED, FAILED)
+  async describeECSDeployment(userId, clusterName, serviceName, deploymentId) {
+    const { credentials } = await this.getConnection(userId);
+
+    const result = await this.makeRequest('ecs', 'describeServices', {
+      cluster: clusterName,
+      services: [serviceName]
+    }, credentials);
+
+    const service = (result.services || [])[0];
+    return service ? (service.deployments || []).find(d => d.id === deploymentId) || null : null;
   }
 
   // RDS (Relational Database Service)
@@ -707,27 +704,9 @@ class AWSService {
   }
 
   // Helper methods for deployment status updates
-  async updateDeploymentStatus(deploymentId, status) {
-    await Deployment.update(
-      {
-        status,
-        deployed_at: status === 'running' ? new Date() : null
-      },
-      { where: { deployment_id: deploymentId, provider: 'aws-ecs' } }
-    );
-  }
-
-  mapAWSStatus(awsStatus) {
-    const statusMap = {
-      'PENDING': 'pending',
-      'RUNNING': 'running',
-      'STOPPED': 'stopped',
-      'PROVISIONING': 'building',
-      'DEPROVISIONING': 'stopping',
-      'ACTIVE': 'running',
-      'FAILED': 'failed'
-    };
-    return statusMap[awsStatus] || 'unknown';
+  // ECS rollout states are mapped by the deploy pipeline
+  async updateDeploymentStatus(deploymentId, rolloutState, details = {}) {
+    return deploymentPipeline.applyProviderState('aws', deploymentId, rolloutState, details);
   }
 }
 
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Op, literal } = require('sequelize');
+const logger = require('./logger');
+const log = logger.child({ source: 'BLOB-STORE' });
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+const DEFAULT_RETENTION_HOURS = 24 * 7;
+const DEFAULT_GC_INTERVAL_MINUTES = 60;
+
+// sha256 -> tail of the work queued on that blob in this process
+const blobLocks = new Map();
+
+class BlobError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'BlobError';
+    this.code = code;
+  }
+}
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Content-addressed artifact storage. Each distinct file is written once under
+ * `<root>/<aa>/<bb>/<sha256>` and tracked by a `blobs` row whose `ref_count`
+ * counts the artifact records and versions pointing at it.
+ *
+ * Releasing the last reference marks the blob orphaned; `collectGarbage`
+ * deletes orphans once they are older than the retention window
+ * (BLOB_RETENTION_HOURS, default one week), and the collector runs every
+ * BLOB_GC_INTERVAL_MINUTES while started.
+ */
+class BlobStore {
+  constructor(options = {}) {
+    this.options = options;
+    this.root = options.root || process.env.BLOB_STORE_DIR || path.join(__dirname, '..', 'blob-store');
+    this.retentionMs = options.retentionMs !== undefined
+      ? options.retentionMs
+      : envNumber('BLOB_RETENTION_HOURS', DEFAULT_RETENTION_HOURS) * 3600 * 1000;
+    this.gcIntervalMs = options.gcIntervalMs !== undefined
+      ? options.gcIntervalMs
+      : envNumber('BLOB_GC_INTERVAL_MINUTES', DEFAULT_GC_INTERVAL_MINUTES) * 60 * 1000;
+    this.gcTimer = null;
+  }
+
+  // Models are resolved lazily so requiring the store never opens the database
+  get models() {
+    if (!this.options.models) this.options.models = require('../models');
+    return this.options.models;
+  }
+
+  static isHash(value) {
+    return typeof value === 'string' && SHA256_PATTERN.test(value);
+  }
+
+  pathFor(sha256) {
+    if (!BlobStore.isHash(sha256)) {
+      throw new BlobError(`Invalid blob hash: ${sha256}`, 'INVALID_HASH');
+    }
+    return path.join(this.root, sha256.slice(0, 2), sha256.slice(2, 4), sha256);
+  }
+
+  tempPath() {
+    return path.join(this.root, 'tmp', `${process.pid}-${crypto.randomBytes(8).toString('hex')}`);
+  }
+
+  /**
+   * Make sure the blob has a row, then move a fully written temp file into
+   * place (or drop it when the content is already stored). Runs under the
+   * blob's lock so the collector cannot delete the file between the two.
+   */
+  async commit(tempFile, sha256, bytes) {
+    const target = this.pathFor(sha256);
+    const { Blob } = this.models;
+    return this.withBlobLock(sha256, async () => {
+      const [row, created] = await Blob.findOrCreate({
+        where: { sha256 },
+        defaults: { sha256, bytes, ref_count: 0, orphaned_at: new Date() }
+      });
+      // An unreferenced blob that is stored again restarts its retention clock
+      if (!created && row.ref_count <= 0) {
+        await Blob.update({ orphaned_at: new Date() }, { where: { sha256 } });
+      }
+
+      let deduplicated = false;
+      try {
+        await fs.promises.access(target);
+        deduplicated = true;
+        await fs.promises.unlink(tempFile);
+      } catch (error) {
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.rename(tempFile, target);
+      }
+      return { sha256, bytes, path: target, deduplicated };
+    });
+  }
+
+  // Serialize commits and collection of one blob
+  withBlobLock(sha256, fn) {
+    const previous = blobLocks.get(sha256) || Promise.resolve();
+    const run = previous.catch(() => {}).then(fn);
+    const tail = run.catch(() => {});
+    blobLocks.set(sha256, tail);
+    tail.then(() => {
+      if (blobLocks.get(sha256) === tail) blobLocks.delete(sha256);
+    });
+    return run;
+  }
+
+  /**
+   * Copy a file into the store, hashing it on the way. Resolves to
+   * { sha256, bytes, path, deduplicated }.
+   */
+  async putFile(filePath) {
+    const tempFile = this.tempPath();
+    await fs.promises.mkdir(path.dirname(tempFile), { recursive: true });
+
+    const hash = crypto.createHash('sha256');
+    let bytes = 0;
+    const source = fs.createReadStream(filePath);
+    source.on('data', chunk => {
+      hash.update(chunk);
+      bytes += chunk.length;
+    });
+    try {
+      await pipeline(source, fs.createWriteStream(tempFile));
+    } catch (error) {
+      await fs.promises.unlink(tempFile).catch(() => {});
+      throw error;
+    }
+    return this.commit(tempFile, hash.digest('hex'), bytes);
+  }
+
+  async putContent(content, encoding = 'utf8') {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content), encoding);
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const tempFile = this.tempPath();
+    await fs.promises.mkdir(path.dirname(tempFile), { recursive: true });
+    await fs.promises.writeFile(tempFile, buffer);
+    return this.commit(tempFile, sha256, buffer.length);
+  }
+
+  async addReference(sha256) {
+    const [updated] = await this.models.Blob.update({
+      ref_count: literal('ref_count + 1'),
+      last_referenced_at: new Date(),
+      orphaned_at: null
+    }, { where: { sha256 } });
+    if (updated === 0) {
+      throw new BlobError(`Blob ${sha256} not found`, 'NOT_FOUND');
+    }
+  }
+
+  async releaseReference(sha256) {
+    const { Blob } = this.models;
+    await Blob.update({
+      ref_count: literal('CASE WHEN ref_count > 0 THEN ref_count - 1 ELSE 0 END')
+    }, { where: { sha256 } });
+    await Blob.update({ orphaned_at: new Date() }, { where: { sha256, ref_count: 0, orphaned_at: null } });
+  }
+
+  /**
+   * Blob row plus its on-disk path, or null when either is missing.
+   */
+  async stat(sha256) {
+    if (!BlobStore.isHash(sha256)) return null;
+    const row = await this.models.Blob.findByPk(sha256);
+    if (!row) return null;
+    const blobPath = this.pathFor(sha256);
+    try {
+      await fs.promises.access(blobPath);
+    } catch (error) {
+      return null;
+    }
+    return { sha256, bytes: row.bytes, refCount: row.ref_count, path: blobPath };
+  }
+
+  async readContent(sha256, encoding = 'utf8') {
+    return fs.promises.readFile(this.pathFor(sha256), encoding);
+  }
+
+  /**
+   * Serve a blob over HTTP. The hash is the strong ETag, so conditional GETs
+   * answer 304 and Range/If-Range requests are handled by res.sendFile.
+   */
+  send(res, sha256, { filename, download = false } = {}, callback) {
+    if (download) {
+      res.attachment(filename || sha256);
+    } else {
+      res.type((filename && path.extname(filename)) || 'application/octet-stream');
+    }
+    res.sendFile(this.pathFor(sha256), {
+      etag: false,
+      lastModified: false,
+      cacheControl: false,
+      headers: {
+        ETag: `"${sha256}"`,
+        'Cache-Control': 'private, no-cache'
+      }
+    }, callback);
+  }
+
+  /**
+   * Delete orphaned blobs older than the retention window.
+   */
+  async collectGarbage({ retentionMs = this.retentionMs, now = Date.now() } = {}) {
+    const { Blob } = this.models;
+    const cutoff = new Date(now - retentionMs);
+    const orphans = await Blob.findAll({
+      where: { ref_count: { [Op.lte]: 0 }, orphaned_at: { [Op.lte]: cutoff } }
+    });
+
+    const summary = { deleted: 0, bytesFreed: 0 };
+    for (const orphan of orphans) {
+      const removed = await this.withBlobLock(orphan.sha256, async () => {
+        // Re-check the row so a blob referenced or stored again since the scan is kept
+        const count = await Blob.destroy({
+          where: { sha256: orphan.sha256, ref_count: { [Op.lte]: 0 }, orphaned_at: { [Op.lte]: cutoff } }
+        });
+        if (count === 0) return false;
+        await fs.promises.unlink(this.pathFor(orphan.sha256)).catch(error => {
+          if (error.code !== 'ENOENT') log.warn(`Failed to delete blob ${orphan.sha256}`, { error: error.message });
+        });
+        return true;
+      });
+      if (!removed) continue;
+      summary.deleted++;
+      summary.bytesFreed += orphan.bytes;
+    }
+
+    if (summary.deleted > 0) {
+      log.info(`Garbage collected ${summary.deleted} blobs (${summary.bytesFreed} bytes)`);
+    }
+    return summary;
+  }
+
+  startGarbageCollector() {
+    if (this.gcTimer || this.gcIntervalMs <= 0) return;
+    this.gcTimer = setInterval(() => {
+      this.collectGarbage().catch(error => log.warn('Garbage collection failed', { error: error && error.message }));
+    }, this.gcIntervalMs);
+    if (this.gcTimer.unref) this.gcTimer.unref();
+  }
+
+  stopGarbageCollector() {
+    if (this.gcTimer) clearInterval(this.gcTimer);
+    this.gcTimer = null;
+  }
+}
+
+module.exports = new BlobStore();
+module.exports.BlobStore = BlobStore;
+module.exports.BlobError = BlobError;
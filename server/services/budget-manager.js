@@ -0,0 +1,373 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const bus = require('./bus');
+const logger = require('./logger');
+const log = logger.child({ source: 'BUDGET' });
+
+const SCOPES = ['workflow', 'agent', 'project'];
+
+const DEFAULT_WARN_AT = 0.8;
+
+class BudgetExceededError extends Error {
+  constructor(budgets) {
+    const first = budgets[0];
+    super(`${first.scope} budget for ${first.scopeId} exhausted ($${first.spentUsd.toFixed(4)} of $${first.effectiveLimitUsd.toFixed(4)}); CEO approval is required to spend more`);
+    this.name = 'BudgetExceededError';
+    this.code = 'BUDGET_EXCEEDED';
+    this.budgets = budgets;
+  }
+}
+
+class BudgetError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'BudgetError';
+    this.code = code;
+  }
+}
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+/**
+ * Spend limits attached to a workflow, an agent or a project, backed by the
+ * `budgets` table and charged from actual provider usage: both provider
+ * engines publish a `provider_usage` event on the bus for every billed call.
+ *
+ * Crossing `warn_at` of a limit emits `budgetWarning`; reaching the limit
+ * marks the budget exceeded and emits `budgetExceeded`. Exceeded budgets are
+ * a hard stop: `assertWithinBudget` refuses further provider calls in that
+ * scope until `approveOverage` (the CEO's approval) or a higher limit grants
+ * more headroom.
+ */
+class BudgetManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.budgets = new Map(); // `${scope}:${scopeId}` -> budget
+    this.workflowProjects = new Map(); // workflowId -> projectId, once known
+    this.loadPromise = null;
+
+    const emitter = options.emitter === undefined ? bus : options.emitter;
+    if (emitter) {
+      emitter.on('provider_usage', (usage) => {
+        this.recordUsage(usage).catch(error => {
+          log.warn('Failed to record provider usage', { error: error && error.message });
+        });
+      });
+    }
+  }
+
+  // Models are resolved lazily so requiring the manager never opens the database
+  get models() {
+    if (!this.options.models) this.options.models = require('../models');
+    return this.options.models;
+  }
+
+  key(scope, scopeId) {
+    return `${scope}:${scopeId}`;
+  }
+
+  serialize(row) {
+    const limitUsd = toNumber(row.limit_usd);
+    const approvedUsd = toNumber(row.approved_usd);
+    return {
+      id: row.id,
+      scope: row.scope,
+      scopeId: row.scope_id,
+      limitUsd,
+      approvedUsd,
+      effectiveLimitUsd: limitUsd + approvedUsd,
+      warnAt: row.warn_at === undefined || row.warn_at === null ? DEFAULT_WARN_AT : row.warn_at,
+      spentUsd: toNumber(row.spent_usd),
+      status: row.status || 'active',
+      warnedAt: row.warned_at || null,
+      exceededAt: row.exceeded_at || null,
+      metadata: row.metadata || {}
+    };
+  }
+
+  /**
+   * Load every budget into memory once; spend checks run against this cache.
+   */
+  ready() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          const rows = await this.models.Budget.findAll();
+          for (const row of rows) {
+            const budget = this.serialize(row);
+            this.budgets.set(this.key(budget.scope, budget.scopeId), budget);
+          }
+          if (rows.length > 0) log.info(`Loaded ${rows.length} budget(s)`);
+        } catch (error) {
+          log.warn('Could not load budgets', { error: error && error.message });
+        }
+      })();
+    }
+    return this.loadPromise;
+  }
+
+  async persist(budget) {
+    await this.models.Budget.update({
+      limit_usd: budget.limitUsd,
+      warn_at: budget.warnAt,
+      spent_usd: budget.spentUsd,
+      approved_usd: budget.approvedUsd,
+      status: budget.status,
+      warned_at: budget.warnedAt,
+      exceeded_at: budget.exceededAt,
+      metadata: budget.metadata
+    }, { where: { id: budget.id } });
+  }
+
+  validateScope(scope, scopeId) {
+    if (!SCOPES.includes(scope)) {
+      throw new BudgetError(`Invalid budget scope '${scope}' (expected ${SCOPES.join(', ')})`, 'INVALID_SCOPE');
+    }
+    if (!scopeId) {
+      throw new BudgetError('Budget scope id is required', 'INVALID_SCOPE');
+    }
+  }
+
+  // Re-derive status after the spend or the limit changed
+  refreshStatus(budget) {
+    budget.effectiveLimitUsd = budget.limitUsd + budget.approvedUsd;
+    if (budget.spentUsd >= budget.effectiveLimitUsd) {
+      budget.status = 'exceeded';
+    } else if (budget.spentUsd >= budget.effectiveLimitUsd * budget.warnAt) {
+      budget.status = 'warning';
+    } else {
+      budget.status = 'active';
+    }
+  }
+
+  /**
+   * Create or replace the limit for a scope. Spend recorded so far is kept,
+   * so raising the limit above it lifts a hard stop.
+   */
+  async setBudget(scope, scopeId, { limitUsd, warnAt = DEFAULT_WARN_AT, metadata } = {}) {
+    this.validateScope(scope, scopeId);
+    const limit = parseFloat(limitUsd);
+    if (!Number.isFinite(limit) || limit < 0) {
+      throw new BudgetError('limitUsd must be a non-negative number', 'INVALID_LIMIT');
+    }
+    const warn = parseFloat(warnAt);
+    if (!Number.isFinite(warn) || warn <= 0 || warn > 1) {
+      throw new BudgetError('warnAt must be a fraction between 0 and 1', 'INVALID_LIMIT');
+    }
+
+    await this.ready();
+    const existing = this.budgets.get(this.key(scope, scopeId));
+    const budget = existing || {
+      id: crypto.randomUUID(),
+      scope,
+      scopeId,
+      spentUsd: 0,
+      approvedUsd: 0,
+      warnedAt: null,
+      exceededAt: null,
+      metadata: {}
+    };
+    budget.limitUsd = limit;
+    budget.warnAt = warn;
+    if (metadata) budget.metadata = { ...budget.metadata, ...metadata };
+    this.refreshStatus(budget);
+
+    if (existing) {
+      await this.persist(budget);
+    } else {
+      await this.models.Budget.create({
+        id: budget.id,
+        scope,
+        scope_id: scopeId,
+        limit_usd: budget.limitUsd,
+        warn_at: budget.warnAt,
+        spent_usd: 0,
+        approved_usd: 0,
+        status: budget.status,
+        metadata: budget.metadata
+      });
+    }
+    this.budgets.set(this.key(scope, scopeId), budget);
+    log.info(`${scope} ${scopeId}: limit $${limit.toFixed(4)} (warn at ${Math.round(warn * 100)}%)`);
+    this.emit('budgetUpdated', { ...budget });
+    return { ...budget };
+  }
+
+  async getBudget(scope, scopeId) {
+    await this.ready();
+    const budget = this.budgets.get(this.key(scope, scopeId));
+    return budget ? { ...budget } : null;
+  }
+
+  // `projectIds` limits the list to those projects' budgets and the budgets of their workflows
+  async listBudgets({ scope, status, projectIds } = {}) {
+    await this.ready();
+    const matching = Array.from(this.budgets.values())
+      .filter(b => (!scope || b.scope === scope) && (!status || b.status === status));
+    if (!projectIds) return matching.map(b => ({ ...b }));
+
+    const allowed = new Set(projectIds.map(String));
+    const visible = [];
+    for (const budget of matching) {
+      const projectId = budget.scope === 'project' ? budget.scopeId
+        : budget.scope === 'workflow' ? await this.resolveProjectId(budget.scopeId)
+          : null;
+      if (projectId && allowed.has(String(projectId))) visible.push({ ...budget });
+    }
+    return visible;
+  }
+
+  async deleteBudget(scope, scopeId) {
+    await this.ready();
+    const budget = this.budgets.get(this.key(scope, scopeId));
+    if (!budget) throw new BudgetError(`No ${scope} budget found for ${scopeId}`, 'NOT_FOUND');
+    await this.models.Budget.destroy({ where: { id: budget.id } });
+    this.budgets.delete(this.key(scope, scopeId));
+    this.emit('budgetUpdated', { ...budget, status: 'deleted' });
+    return { ...budget };
+  }
+
+  // Workflow rows carry their project in metadata.project_id
+  async resolveProjectId(workflowId) {
+    if (!workflowId) return null;
+    if (this.workflowProjects.has(workflowId)) return this.workflowProjects.get(workflowId);
+    try {
+      const row = await this.models.Workflow.findByPk(workflowId);
+      const projectId = row?.metadata?.project_id || row?.project_id || null;
+      // Not cached while unknown: the row may not be persisted yet
+      if (projectId) this.workflowProjects.set(workflowId, projectId);
+      return projectId;
+    } catch (error) {
+      // Unknown project; workflow and agent budgets still apply
+      return null;
+    }
+  }
+
+  setWorkflowProject(workflowId, projectId) {
+    if (workflowId && projectId) this.workflowProjects.set(workflowId, projectId);
+  }
+
+  /**
+   * Budgets that apply to a unit of work: its workflow, its agent and the
+   * workflow's project.
+   */
+  budgetsFor({ workflowId, agent, projectId } = {}) {
+    const keys = [];
+    if (workflowId) keys.push(this.key('workflow', workflowId));
+    if (agent) keys.push(this.key('agent', agent));
+    const project = projectId || (workflowId ? this.workflowProjects.get(workflowId) : null);
+    if (project) keys.push(this.key('project', project));
+    return keys.map(k => this.budgets.get(k)).filter(Boolean);
+  }
+
+  hasProjectBudgets() {
+    for (const budget of this.budgets.values()) {
+      if (budget.scope === 'project') return true;
+    }
+    return false;
+  }
+
+  async getBlockingBudgets(context = {}) {
+    await this.ready();
+    if (context.workflowId && !context.projectId && this.hasProjectBudgets()) {
+      await this.resolveProjectId(context.workflowId);
+    }
+    return this.budgetsFor(context).filter(b => b.status === 'exceeded').map(b => ({ ...b }));
+  }
+
+  /**
+   * Hard stop: throws BudgetExceededError when any budget covering the
+   * context is exhausted.
+   */
+  async assertWithinBudget(context = {}) {
+    const blocking = await this.getBlockingBudgets(context);
+    if (blocking.length > 0) throw new BudgetExceededError(blocking);
+  }
+
+  /**
+   * Charge one provider call to every budget covering it.
+   */
+  async recordUsage(usage = {}) {
+    const cost = toNumber(usage.cost);
+    if (cost <= 0) return [];
+
+    await this.ready();
+    if (this.budgets.size === 0) return [];
+
+    const context = { workflowId: usage.workflowId, agent: usage.agent, projectId: usage.projectId };
+    if (context.workflowId && !context.projectId && this.hasProjectBudgets()) {
+      context.projectId = await this.resolveProjectId(context.workflowId);
+    }
+
+    const charged = [];
+    for (const budget of this.budgetsFor(context)) {
+      const previous = budget.status;
+      budget.spentUsd += cost;
+      this.refreshStatus(budget);
+
+      const event = {
+        budget: { ...budget },
+        cost,
+        provider: usage.provider || null,
+        model: usage.model || null,
+        workflowId: usage.workflowId || null,
+        taskId: usage.taskId || null,
+        agent: usage.agent || null
+      };
+
+      if (budget.status === 'exceeded' && previous !== 'exceeded') {
+        budget.exceededAt = new Date();
+        event.budget = { ...budget };
+        log.warn(`${budget.scope} budget ${budget.scopeId} exceeded: $${budget.spentUsd.toFixed(4)} of $${budget.effectiveLimitUsd.toFixed(4)}`);
+        this.emit('budgetExceeded', event);
+      } else if (budget.status === 'warning' && previous === 'active') {
+        budget.warnedAt = new Date();
+        event.budget = { ...budget };
+        log.warn(`${budget.scope} budget ${budget.scopeId} at ${Math.round((budget.spentUsd / budget.effectiveLimitUsd) * 100)}%`);
+        this.emit('budgetWarning', event);
+      }
+
+      try {
+        await this.persist(budget);
+      } catch (error) {
+        log.warn(`Failed to persist budget ${budget.id}`, { error: error && error.message });
+      }
+      charged.push({ ...budget });
+    }
+    return charged;
+  }
+
+  /**
+   * Grant headroom past an exhausted budget (by default one more limit's
+   * worth). Called when the CEO approves further spend; the budget stays
+   * exceeded if the grant does not cover what was already overspent.
+   */
+  async approveOverage(scope, scopeId, { amountUsd, approver = 'ceo' } = {}) {
+    await this.ready();
+    const budget = this.budgets.get(this.key(scope, scopeId));
+    if (!budget) throw new BudgetError(`No ${scope} budget found for ${scopeId}`, 'NOT_FOUND');
+
+    const amount = amountUsd !== undefined ? parseFloat(amountUsd) : budget.limitUsd;
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new BudgetError('amountUsd must be a positive number', 'INVALID_LIMIT');
+    }
+    budget.approvedUsd += amount;
+    this.refreshStatus(budget);
+    budget.metadata = {
+      ...budget.metadata,
+      approvals: [...(budget.metadata.approvals || []), { approver, amountUsd: amount, approvedAt: new Date().toISOString() }]
+    };
+    await this.persist(budget);
+
+    log.info(`${approver} approved $${amount.toFixed(4)} more for ${scope} ${scopeId}`);
+    return { ...budget };
+  }
+}
+
+const budgetManager = new BudgetManager();
+
+module.exports = budgetManager;
+module.exports.BudgetManager = BudgetManager;
+module.exports.BudgetExceededError = BudgetExceededError;
+module.exports.BudgetError = BudgetError;
@@ -1,6 +1,11 @@
 const { EventEmitter } = require('events');
 const crypto = require('crypto');
 
+const APPROVAL_TYPES = ['completion', 'budget', 'promotion'];
+
+// A workflow can wait on a budget and a completion approval at once
+const approvalKey = (type, workflowId) => `${type || 'completion'}:${workflowId}`;
+
 /**
  * CEO Approval Manager - Enforces explicit CEO approval before workflow completion
  * No workflow can reach 100% completion without recorded CEO approval
@@ -12,7 +17,7 @@ class CeoApprovalManager extends EventEmitter {
     this.database = database;
     
     // In-memory approval state tracking
-    this.pendingApprovals = new Map(); // workflowId -> approval request
+    this.pendingApprovals = new Map(); // `${type}:${workflowId}` -> approval request
     this.approvalHistory = new Map();  // workflowId -> approval record
     this.blockedWorkflows = new Set(); // workflowIds awaiting approval
     
@@ -31,12 +36,18 @@ class CeoApprovalManager extends EventEmitter {
   }
 
   /**
-   * Submit workflow for CEO approval - BLOCKS completion until approved
+   * Submit workflow for CEO approval - BLOCKS completion until approved.
+   * `workflowData.approvalType: 'budget'` asks to keep spending after a
+   * budget hard stop instead; approving it resumes the workflow.
+   * `'promotion'` gates a deployment promotion, keyed by the Deployment id
+   * (see deployment-pipeline); no Workflow row is touched for it.
    */
   async submitForApproval(workflowId, workflowData, submittedBy = 'system') {
     try {
+      const type = ['budget', 'promotion'].includes(workflowData.approvalType) ? workflowData.approvalType : 'completion';
       const approvalRequest = {
         id: crypto.randomUUID(),
+        type,
         workflowId,
         submittedBy,
         submittedAt: new Date().toISOString(),
@@ -50,7 +61,9 @@ class CeoApprovalManager extends EventEmitter {
           estimatedValue: this.calculateWorkflowValue(workflowData),
           riskLevel: this.assessRiskLevel(workflowData),
           duration: workflowData.totalDuration || 0,
-          cost: workflowData.metadata?.estimatedCost || 0
+          cost: workflowData.metadata?.estimatedCost || 0,
+          budget: workflowData.budget || undefined,
+          promotion: workflowData.promotion || undefined
         },
         reviewData: {
           managerReview: workflowData.tasks?.find(t => t.type === 'manager_review'),
@@ -61,27 +74,23 @@ class CeoApprovalManager extends EventEmitter {
       };
 
       // Store in pending approvals
-      this.pendingApprovals.set(workflowId, approvalRequest);
+      this.pendingApprovals.set(approvalKey(type, workflowId), approvalRequest);
       this.blockedWorkflows.add(workflowId);
 
       // Persist to database
       await this.persistApprovalRequest(approvalRequest);
 
       // Mark workflow as blocked in database
-      if (this.database?.Workflow) {
-        await this.database.Workflow.update({
-          status: 'waiting_for_ceo_approval',
-          metadata: {
-            ...workflowData.metadata,
-            ceoApprovalRequested: true,
-            ceoApprovalRequestId: approvalRequest.id,
-            ceoApprovalSubmittedAt: approvalRequest.submittedAt,
-            ceoApprovalSubmittedBy: submittedBy
-          }
-        }, { where: { id: workflowId } });
+      if (this.database?.Workflow && type !== 'promotion') {
+        await this.updateWorkflowRecord(workflowId, type === 'budget' ? 'paused' : 'waiting_for_ceo_approval', {
+          ceoApprovalRequested: true,
+          ceoApprovalRequestId: approvalRequest.id,
+          ceoApprovalSubmittedAt: approvalRequest.submittedAt,
+          ceoApprovalSubmittedBy: submittedBy
+        });
       }
 
-      console.log(`[CEO-APPROVAL] 🔒 Workflow ${workflowId} submitted for CEO approval (${approvalRequest.id})`);
+      console.log(`[CEO-APPROVAL] 🔒 Workflow ${workflowId} submitted for CEO ${type} approval (${approvalRequest.id})`);
       console.log(`[CEO-APPROVAL] 📊 Quality: ${approvalRequest.reviewData.qualityScore}%, Risk: ${approvalRequest.workflowData.riskLevel}, Value: $${approvalRequest.workflowData.estimatedValue}`);
 
       // Notify CEO if configured
@@ -90,6 +99,7 @@ class CeoApprovalManager extends EventEmitter {
       // Emit event for real-time UI updates
       this.emit('approvalRequested', {
         workflowId,
+        type,
         approvalRequestId: approvalRequest.id,
         workflowData: approvalRequest.workflowData,
         reviewData: approvalRequest.reviewData
@@ -109,15 +119,17 @@ class CeoApprovalManager extends EventEmitter {
   }
 
   /**
-   * Process CEO approval decision - ONLY this unblocks workflow completion
+   * Process CEO approval decision - ONLY this unblocks workflow completion.
+   * `type` picks the request when the workflow waits on more than one.
    */
-  async processApprovalDecision(workflowId, decision, approver = 'ceo', comments = '') {
+  async processApprovalDecision(workflowId, decision, approver = 'ceo', comments = '', type = null) {
     try {
-      const approvalRequest = this.pendingApprovals.get(workflowId);
+      const approvalRequest = this.getPendingApproval(workflowId, type);
       
       if (!approvalRequest) {
-        throw new Error(`No pending approval request found for workflow ${workflowId}`);
+        throw new Error(`No pending ${type ? `${type} ` : ''}approval request found for workflow ${workflowId}`);
       }
+      const key = approvalKey(approvalRequest.type, workflowId);
 
       if (!['approved', 'rejected', 'needs_revision'].includes(decision)) {
         throw new Error('Decision must be approved, rejected, or needs_revision');
@@ -125,6 +137,7 @@ class CeoApprovalManager extends EventEmitter {
 
       const approvalRecord = {
         id: crypto.randomUUID(),
+        type: approvalRequest.type,
         workflowId,
         approvalRequestId: approvalRequest.id,
         decision,
@@ -147,63 +160,63 @@ class CeoApprovalManager extends EventEmitter {
 
       // Store approval history
       this.approvalHistory.set(workflowId, approvalRecord);
+      const updatesWorkflow = Boolean(this.database?.Workflow) && approvalRequest.type !== 'promotion';
 
       if (decision === 'approved') {
         // UNBLOCK workflow - allow completion
-        this.blockedWorkflows.delete(workflowId);
-        this.pendingApprovals.delete(workflowId);
+        this.pendingApprovals.delete(key);
+        this.releaseWorkflow(workflowId);
 
         // Update workflow in database to mark as CEO approved
-        if (this.database?.Workflow) {
-          await this.database.Workflow.update({
-            status: 'completed', // Allow completion now
-            metadata: {
-              ...approvalRequest.workflowData,
-              ceoApproved: true,
-              ceoApprovedBy: approver,
-              ceoApprovedAt: approvalRecord.approvedAt,
-              ceoComments: comments,
-              approvalRecordId: approvalRecord.id
-            }
-          }, { where: { id: workflowId } });
+        if (updatesWorkflow && approvalRequest.type === 'budget') {
+          // Budget approvals let the workflow carry on; ceoApproved would mark it finished
+          await this.updateWorkflowRecord(workflowId, 'in_progress', {
+            budgetApprovedBy: approver,
+            budgetApprovedAt: approvalRecord.approvedAt,
+            budgetApprovalComments: comments,
+            approvalRecordId: approvalRecord.id
+          });
+        } else if (updatesWorkflow) {
+          await this.updateWorkflowRecord(workflowId, 'completed', {
+            ...approvalRequest.workflowData,
+            ceoApproved: true,
+            ceoApprovedBy: approver,
+            ceoApprovedAt: approvalRecord.approvedAt,
+            ceoComments: comments,
+            approvalRecordId: approvalRecord.id
+          });
         }
 
         console.log(`[CEO-APPROVAL] ✅ Workflow ${workflowId} APPROVED by ${approver} - UNBLOCKED for completion`);
         
       } else if (decision === 'rejected') {
         // Keep blocked, mark as rejected
-        this.pendingApprovals.delete(workflowId);
-
-        if (this.database?.Workflow) {
-          await this.database.Workflow.update({
-            status: 'rejected',
-            metadata: {
-              ...approvalRequest.workflowData,
-              ceoApproved: false,
-              ceoRejectedBy: approver,
-              ceoRejectedAt: approvalRecord.approvedAt,
-              ceoRejectionReason: comments,
-              approvalRecordId: approvalRecord.id
-            }
-          }, { where: { id: workflowId } });
+        this.pendingApprovals.delete(key);
+
+        if (updatesWorkflow) {
+          await this.updateWorkflowRecord(workflowId, 'rejected', {
+            ...approvalRequest.workflowData,
+            ceoApproved: false,
+            ceoRejectedBy: approver,
+            ceoRejectedAt: approvalRecord.approvedAt,
+            ceoRejectionReason: comments,
+            approvalRecordId: approvalRecord.id
+          });
         }
 
         console.log(`[CEO-APPROVAL] ❌ Workflow ${workflowId} REJECTED by ${approver}: ${comments}`);
         
       } else if (decision === 'needs_revision') {
         // Keep in pending, request changes
-        if (this.database?.Workflow) {
-          await this.database.Workflow.update({
-            status: 'needs_revision',
-            metadata: {
-              ...approvalRequest.workflowData,
-              ceoRequestedRevision: true,
-              ceoRevisionRequestedBy: approver,
-              ceoRevisionRequestedAt: approvalRecord.approvedAt,
-              ceoRevisionComments: comments,
-              approvalRecordId: approvalRecord.id
-            }
-          }, { where: { id: workflowId } });
+        if (updatesWorkflow) {
+          await this.updateWorkflowRecord(workflowId, 'needs_revision', {
+            ...approvalRequest.workflowData,
+            ceoRequestedRevision: true,
+            ceoRevisionRequestedBy: approver,
+            ceoRevisionRequestedAt: approvalRecord.approvedAt,
+            ceoRevisionComments: comments,
+            approvalRecordId: approvalRecord.id
+          });
         }
 
         console.log(`[CEO-APPROVAL] 🔄 Workflow ${workflowId} needs revision per ${approver}: ${comments}`);
@@ -215,6 +228,7 @@ class CeoApprovalManager extends EventEmitter {
       // Emit events for real-time updates
       this.emit('approvalDecision', {
         workflowId,
+        type: approvalRequest.type || 'completion',
         decision,
         approver,
         comments,
@@ -240,6 +254,50 @@ class CeoApprovalManager extends EventEmitter {
     }
   }
 
+  /**
+   * Drop a pending request that no longer needs a decision (e.g. a budget
+   * hold lifted by raising the limit). Returns false if nothing was pending.
+   */
+  withdrawApproval(workflowId, reason = '', type = null) {
+    const approvalRequest = this.getPendingApproval(workflowId, type);
+    if (!approvalRequest) return false;
+
+    this.pendingApprovals.delete(approvalKey(approvalRequest.type, workflowId));
+    this.releaseWorkflow(workflowId);
+    console.log(`[CEO-APPROVAL] ↩️  Approval request ${approvalRequest.id} for workflow ${workflowId} withdrawn${reason ? `: ${reason}` : ''}`);
+    this.emit('approvalWithdrawn', { workflowId, type: approvalRequest.type, approvalRequestId: approvalRequest.id, reason });
+    return true;
+  }
+
+  /**
+   * The request waiting for a decision on `workflowId`: of the given type, or
+   * the only one there is. Throws when several are pending and no type is given.
+   */
+  getPendingApproval(workflowId, type = null) {
+    if (type) {
+      if (!APPROVAL_TYPES.includes(type)) throw new Error(`Unknown approval type '${type}'`);
+      return this.pendingApprovals.get(approvalKey(type, workflowId)) || null;
+    }
+    const requests = Array.from(this.pendingApprovals.values()).filter(req => req.workflowId === workflowId);
+    if (requests.length > 1) {
+      throw new Error(`Workflow ${workflowId} has ${requests.map(req => req.type).join(' and ')} approvals pending; specify the type`);
+    }
+    return requests[0] || null;
+  }
+
+  // The workflow stays blocked while any of its requests is still pending
+  releaseWorkflow(workflowId) {
+    const stillPending = Array.from(this.pendingApprovals.values()).some(req => req.workflowId === workflowId);
+    if (!stillPending) this.blockedWorkflows.delete(workflowId);
+  }
+
+  // Merge into the Workflow row's metadata rather than replacing what the orchestrator keeps there
+  async updateWorkflowRecord(workflowId, status, metadata) {
+    const row = await this.database.Workflow.findByPk(workflowId);
+    if (!row) return;
+    await row.update({ status, metadata: { ...(row.metadata || {}), ...metadata } });
+  }
+
   /**
    * Check if workflow is blocked by CEO approval requirement
    */
@@ -257,6 +315,7 @@ class CeoApprovalManager extends EventEmitter {
 
     return pending.map(req => ({
       id: req.id,
+      type: req.type || 'completion',
       workflowId: req.workflowId,
       submittedAt: req.submittedAt,
       submittedBy: req.submittedBy,
@@ -268,7 +327,9 @@ class CeoApprovalManager extends EventEmitter {
       artifactCount: req.workflowData.artifacts,
       duration: req.workflowData.duration,
       completionRate: req.reviewData.completionRate,
-      complianceIssues: req.reviewData.complianceChecks.filter(c => !c.passed).length
+      complianceIssues: req.reviewData.complianceChecks.filter(c => !c.passed).length,
+      budget: req.workflowData.budget,
+      promotion: req.workflowData.promotion
     }));
   }
 
@@ -456,7 +517,7 @@ class CeoApprovalManager extends EventEmitter {
     const avgApprovalTime = approved.length > 0 
       ? approved.reduce((sum, r) => {
           const requestTime = new Date(r.approvedAt);
-          const submitTime = new Date(this.pendingApprovals.get(r.workflowId)?.submittedAt || r.approvedAt);
+          const submitTime = new Date(this.pendingApprovals.get(approvalKey(r.type, r.workflowId))?.submittedAt || r.approvedAt);
           return sum + (requestTime - submitTime);
         }, 0) / approved.length
       : 0;
@@ -472,25 +533,25 @@ class CeoApprovalManager extends EventEmitter {
       },
       riskDistribution: {
         high: [...allHistory, ...pending].filter(r => 
-          (r.workflowData || this.pendingApprovals.get(r.workflowId)?.workflowData)?.riskLevel === 'high'
+          (r.workflowData || this.pendingApprovals.get(approvalKey(r.type, r.workflowId))?.workflowData)?.riskLevel === 'high'
         ).length,
         medium: [...allHistory, ...pending].filter(r => 
-          (r.workflowData || this.pendingApprovals.get(r.workflowId)?.workflowData)?.riskLevel === 'medium'
+          (r.workflowData || this.pendingApprovals.get(approvalKey(r.type, r.workflowId))?.workflowData)?.riskLevel === 'medium'
         ).length,
         low: [...allHistory, ...pending].filter(r => 
-          (r.workflowData || this.pendingApprovals.get(r.workflowId)?.workflowData)?.riskLevel === 'low'
+          (r.workflowData || this.pendingApprovals.get(approvalKey(r.type, r.workflowId))?.workflowData)?.riskLevel === 'low'
         ).length
       },
       qualityDistribution: {
         excellent: [...allHistory, ...pending].filter(r => 
-          (r.reviewData || this.pendingApprovals.get(r.workflowId)?.reviewData)?.qualityScore >= 90
+          (r.reviewData || this.pendingApprovals.get(approvalKey(r.type, r.workflowId))?.reviewData)?.qualityScore >= 90
         ).length,
         good: [...allHistory, ...pending].filter(r => {
-          const score = (r.reviewData || this.pendingApprovals.get(r.workflowId)?.reviewData)?.qualityScore || 0;
+          const score = (r.reviewData || this.pendingApprovals.get(approvalKey(r.type, r.workflowId))?.reviewData)?.qualityScore || 0;
           return score >= 80 && score < 90;
         }).length,
         needs_improvement: [...allHistory, ...pending].filter(r => 
-          (r.reviewData || this.pendingApprovals.get(r.workflowId)?.reviewData)?.qualityScore < 80
+          (r.reviewData || this.pendingApprovals.get(approvalKey(r.type, r.workflowId))?.reviewData)?.qualityScore < 80
         ).length
       }
     };
@@ -538,20 +599,17 @@ class CeoApprovalManager extends EventEmitter {
     };
     
     this.blockedWorkflows.delete(workflowId);
-    this.pendingApprovals.delete(workflowId);
+    for (const type of APPROVAL_TYPES) this.pendingApprovals.delete(approvalKey(type, workflowId));
     this.approvalHistory.set(workflowId, emergencyApproval);
     
     // Update database
     if (this.database?.Workflow) {
-      await this.database.Workflow.update({
-        status: 'completed',
-        metadata: {
-          emergencyUnblock: true,
-          emergencyApprovedBy: approver,
-          emergencyReason: reason,
-          emergencyApprovedAt: emergencyApproval.approvedAt
-        }
-      }, { where: { id: workflowId } });
+      await this.updateWorkflowRecord(workflowId, 'completed', {
+        emergencyUnblock: true,
+        emergencyApprovedBy: approver,
+        emergencyReason: reason,
+        emergencyApprovedAt: emergencyApproval.approvedAt
+      });
     }
     
     this.emit('emergencyUnblock', { workflowId, approver, reason });
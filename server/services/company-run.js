@@ -0,0 +1,439 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { fork } = require('child_process');
+const bus = require('./bus');
+const logger = require('./logger');
+const log = logger.child({ source: 'COMPANY' });
+
+const WORKER_SCRIPT = path.join(__dirname, '..', 'workers', 'agent-worker.js');
+const SYNC_INTERVAL_MS = 1000;
+const HEARTBEAT_MS = 3000;
+// How long a worker may take to exit after being asked before it is killed
+const STOP_GRACE_MS = 3000;
+const FINISHED_WORKFLOW_STATUSES = ['completed', 'failed', 'rejected', 'cancelled'];
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const workerIdFor = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+class CompanyRunError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'CompanyRunError';
+    this.code = code;
+  }
+}
+
+// tasks.json status of an orchestrator task
+function taskFileStatus(task) {
+  if (task.cancelled) return 'cancelled';
+  if (task.status === 'completed') return 'done';
+  if (task.status === 'running') return 'in_progress';
+  if (task.status === 'failed') return 'failed';
+  return 'todo';
+}
+
+/**
+ * An autonomous company run for one project at a time.
+ *
+ * Launching turns the objective into an orchestrator workflow and forks a
+ * worker process (workers/agent-worker.js) for every agent the plan assigns
+ * work to; each registers and heartbeats through /api/workers/:id with its
+ * own bearer token. While the run lasts the workflow's real task states are
+ * mirrored into the project's `.company/data` files (tasks.json and
+ * worker-<id>.json) and onto the dashboard. Stopping cancels the workflow,
+ * which kills the commands its tasks are running, and ends the workers.
+ */
+class CompanyRun {
+  constructor(options = {}) {
+    this.options = options;
+    this.syncIntervalMs = options.syncIntervalMs || envNumber('COMPANY_SYNC_INTERVAL_MS', SYNC_INTERVAL_MS);
+    this.heartbeatMs = options.heartbeatMs || envNumber('COMPANY_WORKER_HEARTBEAT_MS', HEARTBEAT_MS);
+    this.stopGraceMs = options.stopGraceMs || STOP_GRACE_MS;
+    this.workerScript = options.workerScript || WORKER_SCRIPT;
+    this.fork = options.fork || fork;
+    this.bus = options.bus || bus;
+    this.run = null;
+    this.launching = null;
+    this.timer = null;
+  }
+
+  // Resolved lazily so requiring the service never opens the database or plans anything
+  get models() {
+    if (!this.options.models) this.options.models = require('../models');
+    return this.options.models;
+  }
+
+  get orchestrator() {
+    if (!this.options.orchestrator) {
+      const WorkflowOrchestrator = require('./workflow-orchestrator');
+      this.options.orchestrator = new WorkflowOrchestrator(path.join(__dirname, '..', 'agent-workspaces'), null);
+      this.ownsOrchestrator = true;
+    }
+    return this.options.orchestrator;
+  }
+
+  // Share the server's orchestrator instead of starting a second task processor
+  setOrchestrator(orchestrator) {
+    this.options.orchestrator = orchestrator;
+    this.ownsOrchestrator = false;
+  }
+
+  // Base URL the workers call back on
+  get apiUrl() {
+    return this.options.apiUrl || process.env.WORKER_API_URL || `http://127.0.0.1:${process.env.PORT || 3001}`;
+  }
+
+  /**
+   * Start a run. `project` is `{ slug, id, name }`; `configPath` is the
+   * project's workers.json and `dataDir` receives the status files. Agents
+   * the plan assigns work to that are not configured are added to
+   * workers.json.
+   */
+  async launch({ objective, project, configPath, dataDir, actorId = null }) {
+    // `launching` holds the slug of a run still being planned, before `run` is set
+    const activeSlug = this.launching || (this.run && this.run.active ? this.run.projectSlug : null);
+    if (activeSlug) {
+      throw new CompanyRunError(`A company run for ${activeSlug} is already active`, 'RUN_ACTIVE');
+    }
+    const directive = String(objective || '').trim();
+    if (!directive) throw new CompanyRunError('An objective is required to launch the company', 'OBJECTIVE_REQUIRED');
+
+    this.launching = project.slug;
+    try {
+      return await this.begin({ directive, project, configPath, dataDir, actorId });
+    } finally {
+      this.launching = null;
+    }
+  }
+
+  async begin({ directive, project, configPath, dataDir, actorId }) {
+    const briefContext = project.id ? { projectId: project.id, projectName: project.name } : null;
+    const { workflowId, workflow } = await this.orchestrator.createWorkflow(directive, briefContext);
+    let team;
+    try {
+      team = await this.loadTeam(configPath, this.planTasks(workflow));
+    } catch (error) {
+      await this.orchestrator.cancelWorkflow(workflowId, 'Company launch failed');
+      throw new CompanyRunError(`Could not load the team from ${configPath}: ${error.message}`, 'TEAM_UNAVAILABLE');
+    }
+
+    const run = {
+      active: true,
+      status: 'running',
+      projectSlug: project.slug,
+      projectId: project.id || project.slug,
+      objective: directive,
+      workflowId,
+      actorId,
+      dataDir,
+      team,
+      workers: new Map(), // worker id -> { member, child, token, exited, exitCode }
+      taskStatuses: new Map(),
+      workerDocs: new Map(),
+      signature: null,
+      stopped: false,
+      syncing: null,
+      startedAt: new Date(),
+      finishedAt: null
+    };
+    this.run = run;
+
+    const assignees = new Set(this.planTasks(workflow).map(task => workerIdFor(task.assignedAgent)));
+    for (const member of run.team.filter(member => assignees.has(member.id))) {
+      this.spawnWorker(run, member);
+    }
+
+    this.timer = setInterval(() => {
+      this.sync().catch(error => log.error('Sync failed', { error: error.message }));
+    }, this.syncIntervalMs);
+    this.timer.unref();
+
+    log.info(`Run for ${run.projectSlug} started workflow ${workflowId} with ${run.workers.size} worker(s)`, { workflowId });
+    this.bus.emit('event', { source: 'company', kind: 'run_started', project: run.projectId, workflowId, objective: directive });
+    await this.sync();
+    return this.status();
+  }
+
+  /**
+   * Stop the active run: the workflow is cancelled and the workers end.
+   * Returns the final status, or null when nothing was running.
+   */
+  async stop(reason = 'Stopped from the dashboard') {
+    const run = this.run;
+    if (!run || !run.active) return null;
+    // Let a sync in flight land first so it cannot overwrite the final files
+    if (run.syncing) await run.syncing.catch(() => {});
+    if (!run.active) return this.status();
+    run.stopped = true;
+    await this.orchestrator.cancelWorkflow(run.workflowId, reason);
+    await this.finish('cancelled');
+    return this.status();
+  }
+
+  status() {
+    const run = this.run;
+    if (!run) return { active: false, projectSlug: null, workflowId: null, workers: [] };
+    const workflow = this.options.orchestrator && this.options.orchestrator.getWorkflowStatus(run.workflowId);
+    return {
+      active: run.active,
+      status: run.status,
+      projectSlug: run.projectSlug,
+      projectId: run.projectId,
+      objective: run.objective,
+      workflowId: run.workflowId,
+      progress: workflow ? workflow.progress : null,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      workers: [...run.workers.values()].map(entry => ({
+        id: entry.member.id,
+        name: entry.member.name,
+        pid: entry.child.pid,
+        alive: !entry.exited
+      }))
+    };
+  }
+
+  // Whether `token` is the one handed to this run's worker process
+  verifyWorkerToken(workerId, token) {
+    const entry = this.run && this.run.active && this.run.workers.get(workerId);
+    if (!entry || entry.exited || !token) return false;
+    const expected = Buffer.from(entry.token);
+    const given = Buffer.from(String(token));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  // Name of the agent whose worker process holds `token`, or null
+  agentForToken(workerId, token) {
+    return this.verifyWorkerToken(workerId, token) ? this.run.workers.get(workerId).member.name : null;
+  }
+
+  // Tasks of the workflow, including specialist tasks held until the manager brief is approved
+  planTasks(workflow) {
+    return (workflow.tasks || []).concat(workflow._pendingAfterApproval || []);
+  }
+
+  async loadTeam(configPath, tasks) {
+    const config = JSON.parse(await fs.promises.readFile(configPath, 'utf8'));
+    config.workers = config.workers || [];
+    let added = false;
+    for (const agentName of new Set(tasks.map(task => task.assignedAgent).filter(Boolean))) {
+      const id = workerIdFor(agentName);
+      if (config.workers.some(worker => worker.id === id)) continue;
+      const agent = this.orchestrator.agents && this.orchestrator.agents.get(agentName);
+      config.workers.push({
+        id,
+        name: agentName,
+        role: agent ? agent.config.role : 'Specialist',
+        avatar: agent ? agent.config.icon : '🤖',
+        specialization: agent ? (agent.config.specializations || []).join(', ') : '',
+        color: '#64748b'
+      });
+      added = true;
+    }
+    if (added) await fs.promises.writeFile(configPath, JSON.stringify(config, null, 2));
+    return config.workers.map(worker => ({ id: worker.id, name: worker.name, role: worker.role }));
+  }
+
+  spawnWorker(run, member) {
+    const token = crypto.randomBytes(24).toString('hex');
+    const agent = this.orchestrator.agents && this.orchestrator.agents.get(member.name);
+    const cwd = agent && agent.config.workspaceDir && fs.existsSync(agent.config.workspaceDir) ? agent.config.workspaceDir : process.cwd();
+    // Workers only talk to the API, so they get none of the server's secrets
+    const child = this.fork(this.workerScript, [], {
+      cwd,
+      env: {
+        PATH: process.env.PATH,
+        NODE_ENV: process.env.NODE_ENV,
+        WORKER_API_URL: this.apiUrl,
+        WORKER_ID: member.id,
+        WORKER_NAME: member.name,
+        WORKER_ROLE: member.role || 'worker',
+        WORKER_TOKEN: token,
+        WORKER_HEARTBEAT_MS: String(this.heartbeatMs)
+      },
+      stdio: ['ignore', 'inherit', 'inherit', 'ipc']
+    });
+    const entry = { member, child, token, exited: false, exitCode: null };
+    const exited = (code) => {
+      if (entry.exited) return;
+      entry.exited = true;
+      entry.exitCode = code;
+      if (run.active && !run.stopped) {
+        log.warn(`Worker ${member.id} exited with code ${code}`);
+        run.signature = null;
+      }
+    };
+    child.on('exit', (code, signal) => exited(code === null ? signal : code));
+    child.on('error', (error) => {
+      log.error(`Worker ${member.id} failed: ${error.message}`);
+      exited(1);
+    });
+    run.workers.set(member.id, entry);
+  }
+
+  /**
+   * Mirror the workflow into the status files when any task or worker
+   * changed, and finish the run once the workflow has.
+   */
+  sync() {
+    const run = this.run;
+    if (!run || !run.active) return Promise.resolve();
+    if (!run.syncing) run.syncing = this.syncRun(run).finally(() => { run.syncing = null; });
+    return run.syncing;
+  }
+
+  async syncRun(run) {
+    const workflow = this.orchestrator.getWorkflowStatus(run.workflowId);
+    if (!workflow) {
+      await this.finish('failed');
+      return;
+    }
+    const signature = JSON.stringify([
+      workflow.status,
+      this.planTasks(workflow).map(task => [task.id, task.status]),
+      [...run.workers.values()].map(entry => entry.exited)
+    ]);
+    if (signature !== run.signature) {
+      run.signature = signature;
+      await this.writeProgress(run, workflow);
+    }
+    if (FINISHED_WORKFLOW_STATUSES.includes(workflow.status)) await this.finish(workflow.status);
+  }
+
+  async finish(status) {
+    const run = this.run;
+    if (!run || !run.active) return;
+    run.active = false;
+    run.status = status;
+    run.finishedAt = new Date();
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+
+    await Promise.all([...run.workers.values()].map(entry => this.stopWorker(entry)));
+    const workflow = this.orchestrator.getWorkflowStatus(run.workflowId);
+    await this.writeProgress(run, workflow || { status, tasks: [] });
+    try {
+      await this.models.Worker.update(
+        { status: 'offline', pid: null, current_command: null, queue_depth: 0 },
+        { where: { id: [...run.workers.keys()] } }
+      );
+    } catch (error) {
+      log.warn(`Could not mark workers offline: ${error.message}`);
+    }
+
+    log.info(`Run for ${run.projectSlug} ${status}`);
+    this.bus.emit('event', { source: 'company', kind: 'run_finished', project: run.projectId, workflowId: run.workflowId, status });
+  }
+
+  stopWorker(entry) {
+    if (entry.exited) return Promise.resolve();
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => entry.child.kill('SIGKILL'), this.stopGraceMs);
+      entry.child.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      if (entry.child.connected) entry.child.send({ type: 'stop' }, () => {});
+      else entry.child.kill('SIGTERM');
+    });
+  }
+
+  async writeProgress(run, workflow) {
+    const tasks = this.planTasks(workflow).map(task => ({
+      id: task.id,
+      title: task.title,
+      assignee_id: workerIdFor(task.assignedAgent || ''),
+      status: taskFileStatus(task),
+      priority: task.priority || 'medium',
+      error: task.status === 'failed' && !task.cancelled ? task.error || null : undefined
+    }));
+    const now = new Date().toISOString();
+
+    await fs.promises.writeFile(path.join(run.dataDir, 'tasks.json'), JSON.stringify({
+      tasks,
+      workflow_id: run.workflowId,
+      workflow_status: workflow.status,
+      objective: run.objective,
+      last_updated: now
+    }, null, 2));
+
+    for (const task of tasks) {
+      if (run.taskStatuses.get(task.id) === task.status) continue;
+      run.taskStatuses.set(task.id, task.status);
+      this.bus.emit('event', { source: 'agent', kind: 'task_status', project: run.projectId, worker: task.assignee_id, task: task.title, status: task.status, workflowId: run.workflowId });
+    }
+
+    for (const member of run.team) {
+      const own = tasks.filter(task => task.assignee_id === member.id);
+      const update = this.describeWorker(run, member, own);
+      const key = JSON.stringify(update);
+      if (run.workerDocs.get(member.id) === key) continue;
+      run.workerDocs.set(member.id, key);
+
+      const file = path.join(run.dataDir, `worker-${member.id}.json`);
+      let doc = {};
+      try { doc = JSON.parse(await fs.promises.readFile(file, 'utf8')); } catch (error) { /* first write */ }
+      doc = { ...doc, ...update, worker_id: member.id, last_update: now, metrics: { ...(doc.metrics || {}), ...update.metrics } };
+      await fs.promises.writeFile(file, JSON.stringify(doc, null, 2));
+
+      const entry = run.workers.get(member.id);
+      if (entry && !entry.exited && entry.child.connected) {
+        entry.child.send({ type: 'progress', current_command: update.today.in_progress[0] || null, queue_depth: update.today.planned.length }, () => {});
+      }
+      this.bus.emit('broadcast', { type: 'WORKERS_UPDATED', projectId: run.projectId, workerId: member.id, worker: doc });
+    }
+  }
+
+  // The parts of a worker-<id>.json file the run owns
+  describeWorker(run, member, own) {
+    const titles = (status) => own.filter(task => task.status === status).map(task => task.title);
+    const today = { completed: titles('done'), in_progress: titles('in_progress'), planned: titles('todo') };
+    const failed = own.filter(task => task.status === 'failed');
+    const entry = run.workers.get(member.id);
+
+    let status;
+    let focus;
+    if (run.stopped) {
+      status = 'stopped';
+      focus = 'Run stopped';
+    } else if (entry && entry.exited && run.active) {
+      status = 'offline';
+      focus = `Worker process exited with code ${entry.exitCode}`;
+    } else if (today.in_progress.length > 0) {
+      status = 'active';
+      focus = today.in_progress[0];
+    } else if (failed.length > 0) {
+      status = 'blocked';
+      focus = `${failed[0].title} failed`;
+    } else if (today.planned.length > 0) {
+      status = 'waiting';
+      focus = `Waiting to start ${today.planned[0]}`;
+    } else {
+      status = 'ready';
+      focus = own.length > 0 ? 'All assigned tasks done' : 'No tasks in this run';
+    }
+
+    return {
+      status,
+      current_focus: focus,
+      workflow_id: run.workflowId,
+      today,
+      blockers: failed.map(task => `${task.title}: ${task.error || 'failed'}`),
+      metrics: { tasks_completed: today.completed.length }
+    };
+  }
+
+  async shutdown() {
+    await this.stop('Server shutting down');
+    if (this.ownsOrchestrator) await this.options.orchestrator.shutdown();
+  }
+}
+
+module.exports = new CompanyRun();
+module.exports.CompanyRun = CompanyRun;
+module.exports.CompanyRunError = CompanyRunError;
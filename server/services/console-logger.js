@@ -1,148 +1,75 @@
-// WebSocket broadcast function - will be set during initialization
-let broadcastFunction = null;
-
-// Set broadcast function from server initialization
-function setBroadcastFunction(broadcastFn) {
-  broadcastFunction = broadcastFn;
+// Fallback that bridges plain console output into the structured logger, so
+// console output from the older routes, the models and third-party libraries
+// still reaches the Console, the log files and the log store. Services log
+// through services/logger directly; do not add new console call sites.
+//
+// `captureConsole()` wraps console.log/info/warn/error/debug once at server
+// start; the original methods still print, and a leading `[SOURCE]` or
+// `[WORKFLOW:<id>]` tag becomes the entry's source (and workflow id).
+
+const util = require('util');
+const logger = require('./logger');
+const redaction = require('./secret-redaction');
+
+const CONSOLE_LEVELS = { log: 'info', info: 'info', warn: 'warn', error: 'error', debug: 'debug' };
+const TAG = /^\[([A-Z][A-Z0-9_-]*)(?::([^\]\s]+))?\]/;
+
+const originalConsole = {};
+let capturing = false;
+
+/**
+ * Source and workflow id from a legacy tagged message, e.g.
+ * `[WORKFLOW:abc] Task done` -> { source: 'WORKFLOW', workflowId: 'abc' }.
+ */
+function parseTag(message) {
+  const match = TAG.exec(message);
+  if (!match) return {};
+  const context = { source: match[1] };
+  if (match[2] && match[1] === 'WORKFLOW') context.workflowId = match[2];
+  return context;
 }
 
-// Console log buffer for history
-const LOG_BUFFER_SIZE = 1000;
-const logBuffer = [];
-
-// Store original console methods
-const originalConsole = {
-  log: console.log,
-  error: console.error,
-  warn: console.warn,
-  info: console.info
-};
-
-// Enhanced log function that captures and broadcasts
-function captureAndBroadcast(level, args) {
-  const timestamp = new Date().toISOString();
-  const message = args.map(arg => 
-    typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-  ).join(' ');
-
-  const logEntry = {
-    id: Math.random().toString(36).substr(2, 9),
-    timestamp,
-    level,
-    message,
-    source: 'server'
-  };
-
-  // Add to buffer
-  logBuffer.push(logEntry);
-  if (logBuffer.length > LOG_BUFFER_SIZE) {
-    logBuffer.shift();
-  }
-
-  // Broadcast to WebSocket clients
-  try {
-    if (broadcastFunction) {
-      broadcastFunction({
-        type: 'console_log',
-        data: logEntry
-      });
-    }
-  } catch (error) {
-    // Fail silently to avoid recursion
-  }
-
-  // Call original console method
-  originalConsole[level].apply(console, args);
-}
-
-// Override console methods
-console.log = (...args) => captureAndBroadcast('log', args);
-console.error = (...args) => captureAndBroadcast('error', args);
-console.warn = (...args) => captureAndBroadcast('warn', args);
-console.info = (...args) => captureAndBroadcast('info', args);
-
-// Capture stdout and stderr
-const originalStdoutWrite = process.stdout.write;
-const originalStderrWrite = process.stderr.write;
-
-process.stdout.write = function(chunk, encoding, fd) {
-  if (typeof chunk === 'string' && chunk.trim()) {
-    const logEntry = {
-      id: Math.random().toString(36).substr(2, 9),
-      timestamp: new Date().toISOString(),
-      level: 'stdout',
-      message: chunk.toString().trim(),
-      source: 'stdout'
-    };
-
-    logBuffer.push(logEntry);
-    if (logBuffer.length > LOG_BUFFER_SIZE) {
-      logBuffer.shift();
-    }
-
-    try {
-      if (broadcastFunction) {
-        broadcastFunction({
-          type: 'console_log',
-          data: logEntry
-        });
+function captureConsole() {
+  if (capturing) return;
+  capturing = true;
+  for (const [method, level] of Object.entries(CONSOLE_LEVELS)) {
+    originalConsole[method] = console[method];
+    console[method] = (...args) => {
+      let message = null;
+      try {
+        message = util.format(...args);
+      } catch (error) {
+        // Logging must never throw into the caller
       }
-    } catch (error) {
-      // Fail silently
-    }
-  }
-
-  return originalStdoutWrite.apply(process.stdout, arguments);
-};
-
-process.stderr.write = function(chunk, encoding, fd) {
-  if (typeof chunk === 'string' && chunk.trim()) {
-    const logEntry = {
-      id: Math.random().toString(36).substr(2, 9),
-      timestamp: new Date().toISOString(),
-      level: 'stderr',
-      message: chunk.toString().trim(),
-      source: 'stderr'
-    };
-
-    logBuffer.push(logEntry);
-    if (logBuffer.length > LOG_BUFFER_SIZE) {
-      logBuffer.shift();
-    }
-
-    try {
-      if (broadcastFunction) {
-        broadcastFunction({
-          type: 'console_log',
-          data: logEntry
-        });
+      // Print formatted and redacted only while task secrets are injected
+      const redacted = message !== null && redaction.isActive() ? redaction.redact(message) : message;
+      if (redacted !== message) originalConsole[method].call(console, redacted);
+      else originalConsole[method].apply(console, args);
+      if (message === null) return;
+      try {
+        logger.write(logger.createEntry(level, redacted, parseTag(redacted)), { echo: false });
+      } catch (error) {
+        // Logging must never throw into the caller
       }
-    } catch (error) {
-      // Fail silently
-    }
+    };
   }
+}
 
-  return originalStderrWrite.apply(process.stderr, arguments);
-};
+function releaseConsole() {
+  if (!capturing) return;
+  Object.assign(console, originalConsole);
+  capturing = false;
+}
 
-// Export functions
 module.exports = {
-  getLogBuffer: () => [...logBuffer],
-  addLogEntry: (entry) => {
-    logBuffer.push(entry);
-    if (logBuffer.length > LOG_BUFFER_SIZE) {
-      logBuffer.shift();
-    }
-    try {
-      if (broadcastFunction) {
-        broadcastFunction({
-          type: 'console_log',
-          data: entry
-        });
-      }
-    } catch (error) {
-      // Fail silently
-    }
+  captureConsole,
+  releaseConsole,
+  parseTag,
+  getLogBuffer: () => logger.recentEntries(),
+  // Entries in the legacy { level, message, source } shape
+  addLogEntry: (entry = {}) => {
+    const level = entry.level === 'log' ? 'info' : entry.level;
+    logger.write(logger.createEntry(level, entry.message || '', { source: entry.source, agent: entry.agent }));
   },
-  setBroadcastFunction
+  setBroadcastFunction: (fn) => logger.setBroadcast(fn)
 };
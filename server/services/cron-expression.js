@@ -0,0 +1,212 @@
+// Standard five-field cron expressions: minute hour day-of-month month day-of-week
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Upper bound on calendar steps when searching for the next occurrence; enough
+// to cover expressions that only match on leap days
+const MAX_SEARCH_STEPS = 200000;
+
+class CronParseError extends Error {
+  constructor(message, expression) {
+    super(message);
+    this.name = 'CronParseError';
+    this.expression = expression;
+  }
+}
+
+function parseValue(token, field, expression) {
+  const lower = token.toLowerCase();
+  if (field.names) {
+    const index = field.names.indexOf(lower);
+    if (index !== -1) return index + (field.name === 'month' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(token)) {
+    throw new CronParseError(`Invalid ${field.name} value '${token}'`, expression);
+  }
+  const value = parseInt(token, 10);
+  if (value < field.min || value > field.max) {
+    throw new CronParseError(`${field.name} value ${value} out of range ${field.min}-${field.max}`, expression);
+  }
+  return value;
+}
+
+function parseField(source, field, expression) {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [rangePart, stepPart, extra] = part.split('/');
+    if (extra !== undefined || rangePart === '') {
+      throw new CronParseError(`Invalid ${field.name} field '${source}'`, expression);
+    }
+
+    let step = 1;
+    if (stepPart !== undefined) {
+      if (!/^\d+$/.test(stepPart) || parseInt(stepPart, 10) === 0) {
+        throw new CronParseError(`Invalid ${field.name} step '${stepPart}'`, expression);
+      }
+      step = parseInt(stepPart, 10);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*' || rangePart === '?') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      const [from, to] = rangePart.split('-');
+      start = parseValue(from, field, expression);
+      end = parseValue(to, field, expression);
+      if (end < start) {
+        throw new CronParseError(`Invalid ${field.name} range '${rangePart}'`, expression);
+      }
+    } else {
+      start = parseValue(rangePart, field, expression);
+      // "5/15" means every 15 starting at 5
+      end = stepPart !== undefined ? field.max : start;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  // Both 0 and 7 mean Sunday
+  if (field.name === 'dayOfWeek' && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+
+  return values;
+}
+
+/**
+ * A parsed cron expression. Supports lists, ranges, steps, month and weekday
+ * names and the @daily-style macros. Day-of-month and day-of-week follow the
+ * usual cron rule: when both are restricted a date matching either one fires.
+ * Times are evaluated in server local time unless `utc` is set.
+ */
+class CronExpression {
+  constructor(expression, options = {}) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw new CronParseError('Cron expression must be a non-empty string', expression);
+    }
+
+    this.source = expression.trim();
+    this.utc = Boolean(options.utc);
+
+    const normalized = MACROS[this.source.toLowerCase()] || this.source;
+    if (normalized.startsWith('@')) {
+      throw new CronParseError(`Unknown cron macro '${this.source}'`, expression);
+    }
+
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+      throw new CronParseError(`Expected ${FIELDS.length} fields but got ${parts.length}`, expression);
+    }
+
+    FIELDS.forEach((field, index) => {
+      this[field.name] = parseField(parts[index], field, expression);
+    });
+
+    this.dayOfMonthRestricted = !parts[2].startsWith('*') && !parts[2].startsWith('?');
+    this.dayOfWeekRestricted = !parts[4].startsWith('*') && !parts[4].startsWith('?');
+  }
+
+  static isValid(expression) {
+    try {
+      new CronExpression(expression);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  parts(date) {
+    return this.utc
+      ? { minute: date.getUTCMinutes(), hour: date.getUTCHours(), day: date.getUTCDate(), month: date.getUTCMonth() + 1, weekday: date.getUTCDay() }
+      : { minute: date.getMinutes(), hour: date.getHours(), day: date.getDate(), month: date.getMonth() + 1, weekday: date.getDay() };
+  }
+
+  matchesDay({ day, weekday }) {
+    const domMatch = this.dayOfMonth.has(day);
+    const dowMatch = this.dayOfWeek.has(weekday);
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) return domMatch || dowMatch;
+    return domMatch && dowMatch;
+  }
+
+  matches(date) {
+    const parts = this.parts(date);
+    return this.minute.has(parts.minute) &&
+      this.hour.has(parts.hour) &&
+      this.month.has(parts.month) &&
+      this.matchesDay(parts);
+  }
+
+  /**
+   * First occurrence strictly after `from`.
+   */
+  next(from = new Date()) {
+    const date = new Date(from.getTime());
+    const set = this.utc
+      ? { seconds: (...a) => date.setUTCSeconds(...a), minutes: (...a) => date.setUTCMinutes(...a), hours: (...a) => date.setUTCHours(...a), date: (...a) => date.setUTCDate(...a), month: (...a) => date.setUTCMonth(...a) }
+      : { seconds: (...a) => date.setSeconds(...a), minutes: (...a) => date.setMinutes(...a), hours: (...a) => date.setHours(...a), date: (...a) => date.setDate(...a), month: (...a) => date.setMonth(...a) };
+
+    set.seconds(0, 0);
+    set.minutes(this.parts(date).minute + 1);
+
+    for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+      const parts = this.parts(date);
+      if (!this.month.has(parts.month)) {
+        set.date(1);
+        set.hours(0, 0, 0, 0);
+        set.month(parts.month); // zero-based setter, so this is the following month
+      } else if (!this.matchesDay(parts)) {
+        set.date(parts.day + 1);
+        set.hours(0, 0, 0, 0);
+      } else if (!this.hour.has(parts.hour)) {
+        set.hours(parts.hour + 1, 0, 0, 0);
+      } else if (!this.minute.has(parts.minute)) {
+        set.minutes(parts.minute + 1, 0, 0);
+      } else {
+        return date;
+      }
+    }
+
+    throw new CronParseError(`No upcoming occurrence for '${this.source}'`, this.source);
+  }
+
+  /**
+   * Occurrences in the half-open window (from, to], capped at `limit`.
+   */
+  between(from, to, limit = Infinity) {
+    const occurrences = [];
+    let cursor = from;
+    while (occurrences.length < limit) {
+      const next = this.next(cursor);
+      if (next.getTime() > to.getTime()) break;
+      occurrences.push(next);
+      cursor = next;
+    }
+    return occurrences;
+  }
+}
+
+CronExpression.CronParseError = CronParseError;
+CronExpression.MACROS = MACROS;
+
+module.exports = CronExpression;
@@ -0,0 +1,441 @@
+const fs = require('fs').promises;
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+// Project-scoped SQLite file used when the tool call names no database
+const DEFAULT_DATABASE_FILE = path.join('.shellcompany', 'project.db');
+const DEFAULT_ROW_LIMIT = 100;
+const MAX_ROW_LIMIT = 1000;
+const DEFAULT_QUERY_TIMEOUT = 15000;
+
+// Connection URL schemes the tool can reach, by Sequelize dialect; their
+// drivers (pg, mysql2) are server dependencies
+const CONNECTION_DIALECTS = {
+  postgres: 'postgres',
+  postgresql: 'postgres',
+  mysql: 'mysql'
+};
+
+const STATEMENT_TYPES = {
+  SELECT: 'read',
+  VALUES: 'read',
+  EXPLAIN: 'read',
+  INSERT: 'write',
+  UPDATE: 'write',
+  DELETE: 'write',
+  REPLACE: 'write',
+  CREATE: 'ddl',
+  ALTER: 'ddl',
+  DROP: 'ddl',
+  REINDEX: 'ddl',
+  ANALYZE: 'ddl',
+  VACUUM: 'ddl',
+  BEGIN: 'transaction',
+  COMMIT: 'transaction',
+  END: 'transaction',
+  ROLLBACK: 'transaction',
+  SAVEPOINT: 'transaction',
+  RELEASE: 'transaction',
+  // ATTACH would let a query reach files outside the project scope
+  ATTACH: 'attach',
+  DETACH: 'attach'
+};
+
+// PRAGMAs that only report on the schema, even when given an argument
+const INTROSPECTION_PRAGMAS = new Set([
+  'TABLE_INFO', 'TABLE_XINFO', 'TABLE_LIST', 'INDEX_LIST', 'INDEX_INFO', 'INDEX_XINFO',
+  'FOREIGN_KEY_LIST', 'FOREIGN_KEY_CHECK', 'INTEGRITY_CHECK', 'QUICK_CHECK'
+]);
+
+// Statement types a migration may contain
+const MIGRATION_TYPES = new Set(['read', 'write', 'ddl']);
+
+/**
+ * Remove comments and the contents of string/identifier literals so keyword
+ * scanning cannot be fooled by text such as `SELECT 'DROP TABLE x'`.
+ */
+function stripSqlLiterals(sql) {
+  let out = '';
+  for (let i = 0; i < sql.length; i++) {
+    const ch = sql[i];
+    if (ch === '-' && sql[i + 1] === '-') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end - 1;
+      out += ' ';
+    } else if (ch === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 1;
+      out += ' ';
+    } else if (ch === '\'' || ch === '"' || ch === '`' || ch === '[') {
+      const close = ch === '[' ? ']' : ch;
+      let j = i + 1;
+      while (j < sql.length) {
+        if (sql[j] === close) {
+          if (close !== ']' && sql[j + 1] === close) { j += 2; continue; }
+          break;
+        }
+        j++;
+      }
+      out += ch === '\'' ? "''" : '""';
+      i = j;
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
+
+/**
+ * Split SQL into individual statements on top-level semicolons, dropping
+ * comments but keeping literals exactly as written.
+ */
+function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < sql.length; i++) {
+    const ch = sql[i];
+    if (quote) {
+      current += ch;
+      if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '-' && sql[i + 1] === '-') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+      current += '\n';
+      continue;
+    }
+    if (ch === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 1;
+      current += ' ';
+      continue;
+    }
+    if (ch === ';' && depth === 0) {
+      if (current.trim()) statements.push(current.trim());
+      current = '';
+      continue;
+    }
+    if (ch === '\'' || ch === '"' || ch === '`') quote = ch;
+    else if (ch === '[') quote = ']';
+    else if (ch === '(') depth++;
+    else if (ch === ')') depth--;
+    current += ch;
+  }
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
+
+/**
+ * Classify a single SQL statement as read, write, ddl, transaction, attach
+ * or unknown. CTEs are classified by the statement that follows the WITH
+ * clause (SQLite allows `WITH ... DELETE`); PRAGMAs are reads unless they
+ * assign a value or take an argument outside the introspection set.
+ */
+function classifyStatement(sql) {
+  const stripped = stripSqlLiterals(sql).trim();
+  const words = [];
+  let depth = 0;
+  const pattern = /[()]|[A-Za-z_]+/g;
+  let match;
+  while ((match = pattern.exec(stripped)) !== null) {
+    if (match[0] === '(') depth++;
+    else if (match[0] === ')') depth--;
+    else if (depth === 0) words.push(match[0].toUpperCase());
+  }
+  const first = words[0];
+  if (!first) return 'unknown';
+  if (first === 'PRAGMA') {
+    if (stripped.includes('=')) return 'write';
+    const hasArgument = /\(\s*[^)\s]/.test(stripped);
+    return !hasArgument || INTROSPECTION_PRAGMAS.has(words[1]) ? 'read' : 'write';
+  }
+  if (first === 'WITH') {
+    const main = words.slice(1).find(w => ['SELECT', 'VALUES', 'INSERT', 'UPDATE', 'DELETE', 'REPLACE'].includes(w));
+    return main ? STATEMENT_TYPES[main] : 'unknown';
+  }
+  if (first === 'EXPLAIN') return 'read';
+  return STATEMENT_TYPES[first] || 'unknown';
+}
+
+class DatabaseToolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'DatabaseToolError';
+    this.code = code;
+  }
+}
+
+/**
+ * Agent `database` tool.
+ *
+ * Operations:
+ *   - query:   one read-only statement, rows capped at `limit`
+ *   - schema:  tables and their columns
+ *   - migrate: write/DDL statements in a transaction; needs the task
+ *              constraint `allowMigrations: true`
+ *
+ * Targets are either a SQLite file inside the project directory
+ * (`database`, default .shellcompany/project.db) or a connection URL stored
+ * as a project environment variable (`connection`, e.g. DATABASE_URL; Postgres
+ * or MySQL).
+ */
+class DatabaseTool {
+  constructor({ models = null } = {}) {
+    this.models = models;
+  }
+
+  getModels() {
+    return this.models || require('../models');
+  }
+
+  async execute(input = {}, context = {}, job = {}) {
+    const operation = input.operation || 'query';
+    const constraints = job.constraints || {};
+    const limit = Math.max(1, Math.min(parseInt(input.limit, 10) || DEFAULT_ROW_LIMIT, MAX_ROW_LIMIT));
+
+    let statements = [];
+    if (operation === 'query' || operation === 'migrate') {
+      const sql = Array.isArray(input.statements) ? input.statements.join(';\n') : input.sql;
+      if (!sql || !String(sql).trim()) {
+        throw new DatabaseToolError('MISSING_SQL', `database ${operation} requires sql`);
+      }
+      statements = splitStatements(String(sql)).map(text => ({ text, type: classifyStatement(text) }));
+      if (statements.length === 0) {
+        throw new DatabaseToolError('MISSING_SQL', `database ${operation} requires sql`);
+      }
+    }
+
+    if (operation === 'query') {
+      if (statements.length !== 1) {
+        throw new DatabaseToolError('MULTIPLE_STATEMENTS', 'database query accepts exactly one statement');
+      }
+      if (statements[0].type !== 'read') {
+        throw new DatabaseToolError('READ_ONLY', `database query is read-only; ${statements[0].type} statements need the migrate operation`);
+      }
+    } else if (operation === 'migrate') {
+      if (!constraints.allowMigrations) {
+        throw new DatabaseToolError('MIGRATIONS_NOT_ALLOWED', 'Migrations are not allowed for this task (constraint allowMigrations is not set)');
+      }
+      const refused = statements.find(s => !MIGRATION_TYPES.has(s.type));
+      if (refused) {
+        throw new DatabaseToolError('STATEMENT_NOT_ALLOWED', `${refused.type} statements are not allowed in migrations: ${refused.text.slice(0, 60)}`);
+      }
+    } else if (operation !== 'schema') {
+      throw new DatabaseToolError('UNKNOWN_OPERATION', `Unknown database operation: ${operation}`);
+    }
+
+    const target = await this.resolveTarget(input, context);
+    const startTime = Date.now();
+    const result = target.kind === 'sqlite'
+      ? await this.runSqlite(target, operation, statements, limit, input.timeout)
+      : await this.runConnection(target, operation, statements, limit, input.timeout);
+
+    return {
+      tool: 'database',
+      operation,
+      target: target.label,
+      statementTypes: statements.map(s => s.type),
+      ...result,
+      duration: Date.now() - startTime,
+      success: true
+    };
+  }
+
+  async resolveTarget(input, context) {
+    if (input.connection) {
+      const url = await this.lookupConnectionUrl(input.connection, input.environment, context);
+      const scheme = String(url).split(':')[0].toLowerCase();
+      const dialect = CONNECTION_DIALECTS[scheme];
+      if (!dialect) {
+        throw new DatabaseToolError('UNSUPPORTED_DIALECT', `${input.connection} uses ${scheme}:, which the database tool cannot connect to (supported: postgres, mysql)`);
+      }
+      return { kind: 'connection', url, dialect, label: `${input.connection} (${input.environment || 'development'})` };
+    }
+
+    const projectPath = path.resolve(context.projectPath || process.cwd());
+    const file = path.resolve(projectPath, input.database || DEFAULT_DATABASE_FILE);
+    const relative = path.relative(projectPath, file);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new DatabaseToolError('OUTSIDE_PROJECT', 'Database file must be inside the project directory');
+    }
+    return { kind: 'sqlite', file, label: relative };
+  }
+
+  /**
+   * Read a connection URL from the project's environment variables.
+   */
+  async lookupConnectionUrl(key, environmentName = 'development', context = {}) {
+    if (!context.projectId) {
+      throw new DatabaseToolError('NO_PROJECT', 'Configured connections require a project');
+    }
+    const { Environment, EnvVar } = this.getModels();
+    const environment = await Environment.findOne({ where: { project_id: context.projectId, name: environmentName || 'development' } });
+    const envVar = environment && await EnvVar.findOne({ where: { environment_id: environment.id, key } });
+    const url = envVar && envVar.getValue();
+    if (!url) {
+      throw new DatabaseToolError('NO_CONNECTION', `No ${key} configured for the project's ${environmentName || 'development'} environment`);
+    }
+    return url;
+  }
+
+  openSqlite(file, mode) {
+    return new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(file, mode, (error) => (error ? reject(error) : resolve(db)));
+    });
+  }
+
+  async runSqlite(target, operation, statements, limit, timeout = DEFAULT_QUERY_TIMEOUT) {
+    const readOnly = operation !== 'migrate';
+    if (readOnly) {
+      try {
+        await fs.access(target.file);
+      } catch (error) {
+        throw new DatabaseToolError('NO_DATABASE', `Database ${target.label} does not exist`);
+      }
+    } else {
+      await fs.mkdir(path.dirname(target.file), { recursive: true });
+    }
+
+    // Read operations open the file read-only so SQLite itself refuses writes
+    const db = await this.openSqlite(target.file, readOnly ? sqlite3.OPEN_READONLY : (sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE));
+    const timer = setTimeout(() => db.interrupt(), timeout);
+    const all = (text, params = []) => new Promise((resolve, reject) => db.all(text, params, (e, rows) => (e ? reject(e) : resolve(rows))));
+    const run = (text) => new Promise((resolve, reject) => db.run(text, function (e) { return e ? reject(e) : resolve(this.changes || 0); }));
+
+    try {
+      if (operation === 'schema') {
+        const tables = await all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+        const schema = [];
+        for (const { name } of tables) {
+          const columns = await all(`PRAGMA table_info("${name.replace(/"/g, '""')}")`);
+          schema.push({ table: name, columns: columns.map(c => ({ name: c.name, type: c.type, nullable: !c.notnull, primaryKey: !!c.pk })) });
+        }
+        return { tables: schema };
+      }
+
+      if (operation === 'query') {
+        const rows = await this.fetchSqliteRows(db, statements[0].text, limit + 1);
+        return this.formatRows(rows, limit);
+      }
+
+      // migrate: all statements or none
+      let changes = 0;
+      await run('BEGIN');
+      try {
+        for (const statement of statements) {
+          changes += await run(statement.text);
+        }
+        await run('COMMIT');
+      } catch (error) {
+        await run('ROLLBACK').catch(() => {});
+        throw error;
+      }
+      return { statementsApplied: statements.length, changes };
+    } finally {
+      clearTimeout(timer);
+      await new Promise(resolve => db.close(() => resolve()));
+    }
+  }
+
+  /**
+   * Step through a prepared statement so no more than `max` rows are read.
+   */
+  fetchSqliteRows(db, sql, max) {
+    return new Promise((resolve, reject) => {
+      const rows = [];
+      const statement = db.prepare(sql, (error) => {
+        if (error) return reject(error);
+        const next = () => statement.get((err, row) => {
+          if (err) return statement.finalize(() => reject(err));
+          if (row === undefined || rows.length >= max) return statement.finalize(() => resolve(rows));
+          rows.push(row);
+          if (rows.length >= max) return statement.finalize(() => resolve(rows));
+          next();
+        });
+        next();
+      });
+    });
+  }
+
+  /**
+   * Run against a configured Postgres or MySQL connection. Every session gets
+   * a statement timeout, and sessions for query/schema are read-only at the
+   * server, not just by statement classification.
+   */
+  async runConnection(target, operation, statements, limit, timeout = DEFAULT_QUERY_TIMEOUT) {
+    const { Sequelize, QueryTypes } = require('sequelize');
+    const readOnly = operation !== 'migrate';
+    const timeoutMs = Math.max(1, parseInt(timeout, 10) || DEFAULT_QUERY_TIMEOUT);
+    const dialectOptions = target.dialect === 'postgres'
+      ? { statement_timeout: timeoutMs, ...(readOnly ? { options: '-c default_transaction_read_only=on' } : {}) }
+      : {};
+    const sequelize = new Sequelize(target.url, { logging: false, pool: { max: 1, min: 0 }, dialectOptions });
+    if (target.dialect === 'mysql') {
+      // Session settings apply to every transaction on the connection, including Sequelize's START TRANSACTION
+      sequelize.addHook('afterConnect', async (connection) => {
+        const session = connection.promise();
+        await session.query(`SET SESSION max_execution_time = ${timeoutMs}`);
+        if (readOnly) await session.query('SET SESSION TRANSACTION READ ONLY');
+      });
+    }
+    try {
+      if (operation === 'schema') {
+        const queryInterface = sequelize.getQueryInterface();
+        const tableNames = await queryInterface.showAllTables();
+        const tables = [];
+        for (const entry of tableNames) {
+          const name = typeof entry === 'string' ? entry : entry.tableName;
+          const columns = await queryInterface.describeTable(name);
+          tables.push({
+            table: name,
+            columns: Object.entries(columns).map(([column, info]) => ({ name: column, type: info.type, nullable: info.allowNull, primaryKey: !!info.primaryKey }))
+          });
+        }
+        return { tables };
+      }
+
+      if (operation === 'query') {
+        const text = statements[0].text;
+        // Only plain queries can be wrapped in a subquery; EXPLAIN and PRAGMA are sliced client-side
+        const limited = /^(select|with|values)\b/i.test(text) ? `SELECT * FROM (${text}) AS agent_query LIMIT ${limit + 1}` : text;
+        return await sequelize.transaction(async (transaction) => {
+          if (target.dialect === 'postgres') {
+            await sequelize.query('SET TRANSACTION READ ONLY', { transaction });
+          }
+          const rows = await sequelize.query(limited, { type: QueryTypes.SELECT, transaction });
+          return this.formatRows(rows, limit);
+        });
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        for (const statement of statements) {
+          await sequelize.query(statement.text, { transaction });
+        }
+      });
+      return { statementsApplied: statements.length };
+    } finally {
+      await sequelize.close().catch(() => {});
+    }
+  }
+
+  formatRows(rows, limit) {
+    const truncated = rows.length > limit;
+    const limitedRows = truncated ? rows.slice(0, limit) : rows;
+    return {
+      columns: limitedRows.length > 0 ? Object.keys(limitedRows[0]) : [],
+      rows: limitedRows,
+      rowCount: limitedRows.length,
+      truncated,
+      limit
+    };
+  }
+}
+
+DatabaseTool.DatabaseToolError = DatabaseToolError;
+DatabaseTool.classifyStatement = classifyStatement;
+DatabaseTool.splitStatements = splitStatements;
+
+module.exports = DatabaseTool;
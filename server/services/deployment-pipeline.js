@@ -0,0 +1,954 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const bus = require('./bus');
+const { redact } = require('./secret-redaction');
+const logger = require('./logger');
+const log = logger.child({ source: 'DEPLOY' });
+
+// Deployments started by the API act as the system user when there is no signed-in user
+const SYSTEM_ACTOR = '00000000-0000-0000-0000-000000000001';
+const ACTIVE_STATUSES = ['pending', 'building', 'deploying'];
+const TERMINAL_STATUSES = ['success', 'failed', 'cancelled'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Only the tail of very long build logs is kept on the row
+const MAX_LOG_CHARS = 256 * 1024;
+
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const slugify = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+const withScheme = (url) => (url && !/^https?:\/\//.test(url) ? `https://${url}` : url || null);
+
+const describeRelease = (deployment) => `deployment ${deployment.id}${deployment.commit_sha ? ` (${deployment.commit_sha.slice(0, 7)})` : ''}`;
+
+// Keys added, removed and changed between two env snapshots (key -> fingerprint)
+function diffSnapshots(before = {}, after = {}) {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  return {
+    added: keys.filter(key => !(key in before)),
+    removed: keys.filter(key => !(key in after)),
+    changed: keys.filter(key => key in before && key in after && before[key] !== after[key])
+  };
+}
+
+class DeploymentError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'DeploymentError';
+    this.code = code;
+  }
+}
+
+/**
+ * How each provider service is driven. `start` asks the provider for a
+ * deployment, `status` reads its current state and `logs` returns every build
+ * log line so far. Provider states are mapped onto the Deployment statuses
+ * (pending, building, deploying, success, failed, cancelled).
+ *
+ * For promotions and rollbacks, `restore` puts an earlier deployment live
+ * again without a new build (returning null when it cannot), and
+ * `releaseConfig` gives the settings needed to rebuild it instead.
+ */
+const PROVIDERS = {
+  vercel: {
+    required: ['projectId'],
+    states: {
+      QUEUED: 'pending', INITIALIZING: 'building', BUILDING: 'building',
+      READY: 'success', ERROR: 'failed', CANCELED: 'cancelled'
+    },
+    async start(service, userId, config, request) {
+      const gitSource = config.gitSource
+        ? { ...config.gitSource, ref: request.ref || config.gitSource.ref, sha: request.commitSha || config.gitSource.sha }
+        : undefined;
+      const { vercel } = await service.createDeployment(userId, {
+        name: config.name || slugify(request.projectName),
+        projectId: config.projectId,
+        // Anything but production is a preview deployment
+        target: config.target !== undefined ? config.target : (request.environment === 'production' ? 'production' : null),
+        gitSource,
+        meta: { shellcompanyDeploymentId: request.deploymentId }
+      });
+      return { id: vercel.id, state: vercel.readyState, url: withScheme(vercel.url) };
+    },
+    // Promoting makes an existing build of the same Vercel project the production one
+    async restore(service, userId, source, config) {
+      if ((source.metadata.config || {}).projectId !== config.projectId) return null;
+      await service.promoteDeployment(userId, config.projectId, source.provider_deployment_id);
+      return { id: source.provider_deployment_id, state: 'READY', url: config.url || source.url, restored: true };
+    },
+    async status(service, userId, id) {
+      const deployment = await service.getDeployment(userId, id);
+      const meta = deployment.meta || {};
+      return {
+        state: deployment.readyState,
+        url: withScheme(deployment.url),
+        commitSha: meta.githubCommitSha,
+        commitMessage: meta.githubCommitMessage,
+        error: deployment.errorMessage
+      };
+    },
+    async logs(service, userId, id) {
+      const events = await service.getDeploymentLogs(userId, id);
+      return (Array.isArray(events) ? events : [])
+        .map(event => (event.payload && event.payload.text) || event.text)
+        .filter(Boolean);
+    }
+  },
+
+  netlify: {
+    required: ['siteId'],
+    states: {
+      new: 'pending', enqueued: 'pending', uploading: 'pending', uploaded: 'pending',
+      preparing: 'building', prepared: 'building', building: 'building', processing: 'deploying',
+      processed: 'deploying', ready: 'success', error: 'failed', cancelled: 'cancelled', canceled: 'cancelled'
+    },
+    async start(service, userId, config, request) {
+      // A file map is uploaded as-is; otherwise Netlify builds the branch
+      const deploy = request.files
+        ? await service.uploadFiles(userId, config.siteId, request.files)
+        : (await service.createDeployment(userId, config.siteId, {
+          branch: request.ref || config.branch,
+          title: request.commitMessage || `ShellCompany ${request.environment} deploy`,
+          clearCache: config.clearCache
+        })).netlify;
+      return { id: deploy.id, state: deploy.state, url: deploy.deploy_ssl_url || deploy.ssl_url, commitSha: deploy.commit_ref };
+    },
+    // A site can republish any of its own earlier deploys
+    async restore(service, userId, source, config) {
+      if ((source.metadata.config || {}).siteId !== config.siteId) return null;
+      const deploy = await service.restoreDeployment(userId, source.provider_deployment_id);
+      return { id: source.provider_deployment_id, state: deploy.state || 'ready', url: deploy.ssl_url || source.url, restored: true };
+    },
+    async status(service, userId, id) {
+      const deploy = await service.getDeployment(userId, id);
+      return {
+        state: deploy.state,
+        url: deploy.ssl_url || deploy.deploy_ssl_url || deploy.url,
+        commitSha: deploy.commit_ref,
+        commitMessage: deploy.title,
+        error: deploy.error_message
+      };
+    },
+    async logs(service, userId, id) {
+      const text = await service.getBuildLog(userId, id);
+      return String(text || '').split('\n').filter(line => line.trim());
+    }
+  },
+
+  render: {
+    required: ['serviceId'],
+    states: {
+      created: 'pending', queued: 'pending', build_in_progress: 'building', update_in_progress: 'deploying',
+      pre_deploy_in_progress: 'deploying', live: 'success', deactivated: 'success',
+      build_failed: 'failed', update_failed: 'failed', pre_deploy_failed: 'failed', canceled: 'cancelled', cancelled: 'cancelled'
+    },
+    async start(service, userId, config, request) {
+      const { render } = await service.createDeployment(userId, config.serviceId, {
+        clearCache: config.clearCache,
+        ref: request.ref,
+        sha: request.commitSha
+      });
+      const deploy = render.deploy || render;
+      return { id: deploy.id, state: deploy.status, url: config.url, commitSha: deploy.commit && deploy.commit.id };
+    },
+    async status(service, userId, id, config) {
+      const deploy = await service.getDeployment(userId, id);
+      const status = { state: deploy.status, commitSha: deploy.commit && deploy.commit.id, commitMessage: deploy.commit && deploy.commit.message };
+      if (deploy.status === 'live' && !config.url) {
+        const details = await service.getService(userId, config.serviceId).catch(() => null);
+        status.url = details && details.serviceDetails && details.serviceDetails.url;
+      }
+      return status;
+    },
+    async logs(service, userId, id) {
+      const result = await service.getDeploymentLogs(userId, id);
+      const entries = Array.isArray(result) ? result : (result && (result.logs || result.items)) || [];
+      return entries.map(entry => (typeof entry === 'string' ? entry : entry.message || entry.text)).filter(Boolean);
+    }
+  },
+
+  aws: {
+    required: ['clusterName', 'serviceName', 'taskDefinition'],
+    states: { PENDING: 'pending', IN_PROGRESS: 'deploying', COMPLETED: 'success', FAILED: 'failed' },
+    async start(service, userId, config) {
+      const { aws } = await service.deployECSService(userId, {
+        clusterName: config.clusterName,
+        serviceName: config.serviceName,
+        taskDefinition: config.taskDefinition
+      });
+      return { id: aws.deploymentId || `ecs-${Date.now()}`, state: 'IN_PROGRESS', url: config.url };
+    },
+    // Roll the service back onto the source's task definition
+    releaseConfig(source) {
+      return { taskDefinition: (source.metadata.config || {}).taskDefinition };
+    },
+    async status(service, userId, id, config) {
+      const deployment = await service.describeECSDeployment(userId, config.clusterName, config.serviceName, id);
+      return { state: deployment && deployment.rolloutState, error: deployment && deployment.rolloutStateReason };
+    },
+    // ECS has no build log
+    async logs() {
+      return [];
+    }
+  },
+
+  // Served from this machine; the site comes from a workspace, a workflow's artifacts or uploaded files
+  local: {
+    required: [],
+    states: { building: 'building', ready: 'success', error: 'failed', expired: 'failed', cancelled: 'cancelled' },
+    async start(service, userId, config, request) {
+      const { local } = await service.createDeployment(userId, {
+        name: config.name || slugify(request.projectName),
+        agent: config.agent,
+        directory: config.directory,
+        workflowId: config.workflowId,
+        files: request.files,
+        ttlMinutes: config.ttlMinutes
+      });
+      return { id: local.id, state: local.state, url: local.url };
+    },
+    // A preview that is still running can be put back as it is
+    async restore(service, userId, source) {
+      const preview = await service.restoreDeployment(userId, source.provider_deployment_id);
+      return preview && { id: preview.id, state: preview.state, url: preview.url, restored: true };
+    },
+    releaseConfig(source) {
+      const { agent, directory, workflowId } = source.metadata.config || {};
+      return { agent, directory, workflowId };
+    },
+    async status(service, userId, id) {
+      const preview = await service.getDeployment(userId, id);
+      return { state: preview.state, url: preview.url, error: preview.error };
+    },
+    async logs(service, userId, id) {
+      const text = await service.getBuildLog(userId, id);
+      return String(text || '').split('\n').filter(line => line.trim());
+    }
+  }
+};
+
+// Provider services that are not named after their provider
+const SERVICE_MODULES = { local: './local-deploy' };
+
+/**
+ * Runs project deployments against the provider services.
+ *
+ * `deploy` resolves the project's Environment and provider configuration
+ * (`project.settings.deploy`, with per-environment overrides under
+ * `environments`), records a Deployment and asks the provider to start it.
+ * From then on the deployment is polled until it finishes, and provider
+ * webhooks report through `applyProviderState`. Build log lines are appended
+ * to the row and emitted on the bus as `deployment_log`; status changes as
+ * `deployment_status`.
+ *
+ * `promote` releases a successful deployment of one environment into
+ * another (optionally after CEO approval) and `rollback` returns an
+ * environment to its last healthy release. Every deployment records a
+ * fingerprint of the environment's variables so `history` can show what
+ * changed between releases.
+ */
+class DeploymentPipeline {
+  constructor(options = {}) {
+    this.options = options;
+    this.pollIntervalMs = options.pollIntervalMs || envNumber('DEPLOY_POLL_INTERVAL_MS', 5000);
+    this.timeoutMs = options.timeoutMs || envNumber('DEPLOY_TIMEOUT_MS', 30 * 60 * 1000);
+    this.bus = options.bus || bus;
+    this.tracked = new Map(); // deployment id -> { timer }
+    this.decisions = new Map(); // deployment id -> handling of its approval decision
+  }
+
+  get models() {
+    if (!this.options.models) this.options.models = require('../models');
+    return this.options.models;
+  }
+
+  providerService(name) {
+    const injected = this.options.providers && this.options.providers[name];
+    return injected || require(SERVICE_MODULES[name] || `./${name}`);
+  }
+
+  async resolveProject(idOrSlug, ownerId = null) {
+    const { Project } = this.models;
+    // Projects are addressed by id or, as in the project list, by the slug of their name
+    const where = { status: 'active' };
+    if (ownerId) where.owner_id = ownerId;
+    let project = UUID_PATTERN.test(idOrSlug) ? await Project.findOne({ where: { ...where, id: idOrSlug } }) : null;
+    if (!project) project = (await Project.findAll({ where })).find(p => slugify(p.name) === idOrSlug);
+    if (!project) throw new DeploymentError(`Project ${idOrSlug} not found`, 'PROJECT_NOT_FOUND');
+    return project;
+  }
+
+  /**
+   * Provider and provider settings for one environment. The request may pick
+   * the provider and add settings; project settings supply the rest.
+   * `requireApproval` gates promotions into the environment.
+   */
+  resolveTarget(project, environment, overrides = {}) {
+    const { environments = {}, ...defaults } = (project.settings && project.settings.deploy) || {};
+    const { provider: configured, requireApproval = false, ...config } = {
+      ...defaults, ...(environments[environment] || {}), ...(overrides.config || {})
+    };
+    const provider = overrides.provider || configured;
+
+    if (!provider) {
+      throw new DeploymentError(`No deploy provider configured for ${environment}`, 'PROVIDER_NOT_CONFIGURED');
+    }
+    const adapter = PROVIDERS[provider];
+    if (!adapter) throw new DeploymentError(`Unknown deploy provider ${provider}`, 'UNKNOWN_PROVIDER');
+    const missing = adapter.required.filter(key => !config[key]);
+    if (missing.length > 0) {
+      throw new DeploymentError(`${provider} deployments need ${missing.join(', ')} in the project's deploy settings`, 'CONFIG_MISSING');
+    }
+    return { provider, config, requireApproval: Boolean(requireApproval) };
+  }
+
+  async resolveEnvironment(project, environment) {
+    const { Environment } = this.models;
+    const environments = Environment.rawAttributes.name.values;
+    if (!environments.includes(environment)) {
+      throw new DeploymentError(`Environment must be one of ${environments.join(', ')}`, 'INVALID_ENVIRONMENT');
+    }
+    const env = await Environment.findOne({ where: { project_id: project.id, name: environment } });
+    if (!env) throw new DeploymentError(`Project ${project.name} has no ${environment} environment`, 'ENVIRONMENT_NOT_FOUND');
+    return env;
+  }
+
+  /**
+   * Start deploying a project to one of its environments. Resolves with the
+   * Deployment once the provider has accepted it; the rest happens in the
+   * background.
+   */
+  async deploy({ projectId, environment, actorId = null, provider, config, ref, commitSha, commitMessage, files } = {}) {
+    const project = await this.resolveProject(projectId, actorId);
+    const env = await this.resolveEnvironment(project, environment);
+    const target = this.resolveTarget(project, environment, { provider, config });
+
+    const deployment = await this.record(project, env, target, { kind: 'deploy', actorId, ref, commitSha, commitMessage });
+    return this.launch(deployment, { projectName: project.name, ref, commitSha, commitMessage, files });
+  }
+
+  /**
+   * Create the Deployment row for a release. Only one deployment per
+   * environment may be unfinished (including one waiting for approval).
+   */
+  async record(project, env, target, { kind, actorId, ref, commitSha, commitMessage, metadata = {} }) {
+    const { Deployment } = this.models;
+    const running = await Deployment.findOne({ where: { environment_id: env.id, status: ACTIVE_STATUSES } });
+    if (running) {
+      throw new DeploymentError(`Deployment ${running.id} to ${env.name} is still ${running.status}`, 'DEPLOY_IN_PROGRESS');
+    }
+
+    const deployment = await Deployment.create({
+      project_id: project.id,
+      environment_id: env.id,
+      provider: target.provider,
+      status: 'pending',
+      commit_sha: commitSha || null,
+      commit_message: commitMessage || null,
+      actor: actorId || SYSTEM_ACTOR,
+      started_at: new Date(),
+      logs: '',
+      metadata: {
+        ...metadata,
+        kind,
+        environment: env.name,
+        ref: ref || null,
+        config: target.config,
+        env_snapshot: await this.snapshotEnvironment(project, env)
+      }
+    });
+    this.emitStatus(deployment);
+    return deployment;
+  }
+
+  /**
+   * Hand a recorded deployment to its provider. With `source` (an earlier
+   * successful Deployment) the provider restores that release where it can;
+   * otherwise the source's commit is deployed again.
+   */
+  async launch(deployment, request, source = null) {
+    const { Environment } = this.models;
+    const { provider, actor } = deployment;
+    const adapter = PROVIDERS[provider];
+    const service = this.providerService(provider);
+    const config = deployment.metadata.config || {};
+
+    const env = await Environment.findByPk(deployment.environment_id);
+    await deployment.update({ metadata: { ...deployment.metadata, previous_environment_status: env ? env.status : null } });
+    if (env) await env.update({ status: 'deploying' });
+    log.info(`${request.projectName} -> ${deployment.metadata.environment} via ${provider} (${deployment.metadata.kind} ${deployment.id})`);
+    const { kind, environment } = deployment.metadata;
+    await this.appendLogs(deployment, [
+      kind === 'promotion' ? `Promoting ${describeRelease(source)} of ${request.projectName} to ${environment} with ${provider}`
+        : kind === 'rollback' ? `Rolling back ${request.projectName} ${environment} to ${describeRelease(source)} with ${provider}`
+          : `Deploying ${request.projectName} to ${environment} with ${provider}`
+    ]);
+
+    let started = null;
+    try {
+      if (source && source.provider === provider && source.provider_deployment_id && adapter.restore) {
+        started = await adapter.restore(service, actor, source, config);
+      }
+      if (!started) {
+        started = await adapter.start(service, actor, source && adapter.releaseConfig ? { ...config, ...adapter.releaseConfig(source) } : config, {
+          deploymentId: deployment.id,
+          environment: deployment.metadata.environment,
+          ...request
+        });
+      }
+    } catch (error) {
+      await this.finish(deployment, 'failed', { error: `${provider} rejected the deployment: ${error.message}` });
+      const failure = new DeploymentError(`${provider} rejected the deployment: ${error.message}`, 'PROVIDER_ERROR');
+      failure.deployment = deployment;
+      throw failure;
+    }
+
+    await deployment.update({
+      provider_deployment_id: String(started.id),
+      url: started.url || null,
+      commit_sha: started.commitSha || deployment.commit_sha,
+      // A restored release has no build log of its own
+      metadata: started.restored ? { ...deployment.metadata, restored: true } : deployment.metadata
+    });
+    await this.appendLogs(deployment, [`${provider} accepted deployment ${started.id}`]);
+    await this.applyState(deployment, started.state);
+    if (!TERMINAL_STATUSES.includes(deployment.status)) this.track(deployment);
+    return deployment;
+  }
+
+  mapState(provider, state) {
+    const adapter = PROVIDERS[provider];
+    return (adapter && state && adapter.states[state]) || null;
+  }
+
+  /**
+   * Move a deployment to the status a provider state maps to. Unknown states
+   * leave it as it is; terminal ones finish it.
+   */
+  async applyState(deployment, state, details = {}) {
+    const status = this.mapState(deployment.provider, state);
+    if (!status) return deployment;
+    if (TERMINAL_STATUSES.includes(status)) return this.finish(deployment, status, details);
+
+    const changes = {};
+    if (status !== deployment.status) changes.status = status;
+    if (details.url && details.url !== deployment.url) changes.url = details.url;
+    if (details.commitSha && !deployment.commit_sha) changes.commit_sha = details.commitSha;
+    if (Object.keys(changes).length === 0) return deployment;
+    await deployment.update(changes);
+    if (changes.status) this.emitStatus(deployment);
+    return deployment;
+  }
+
+  /**
+   * Record a state reported by a provider webhook. Returns null for
+   * deployments this pipeline did not start.
+   */
+  async applyProviderState(provider, providerDeploymentId, state, details = {}) {
+    const { Deployment } = this.models;
+    // Promotions and rollbacks may restore a provider deployment an older row also points at
+    const deployment = await Deployment.findOne({
+      where: { provider, provider_deployment_id: String(providerDeploymentId) },
+      order: [['started_at', 'DESC']]
+    });
+    if (!deployment) return null;
+    if (TERMINAL_STATUSES.includes(deployment.status)) return deployment;
+    return this.applyState(deployment, state, details);
+  }
+
+  /**
+   * Finish a deployment once. The final log lines are collected first; the
+   * status change is a compare-and-set so a poll and a webhook racing to
+   * finish the same deployment only record it once.
+   */
+  async finish(deployment, status, details = {}) {
+    const { Deployment, Environment } = this.models;
+    this.untrack(deployment.id);
+    if (deployment.provider_deployment_id) await this.collectLogs(deployment);
+
+    const metadata = { ...deployment.metadata };
+    if (details.error) metadata.error = details.error;
+    const changes = {
+      status,
+      finished_at: new Date(),
+      url: details.url || deployment.url,
+      commit_sha: deployment.commit_sha || details.commitSha || null,
+      commit_message: deployment.commit_message || details.commitMessage || null,
+      metadata
+    };
+    const [updated] = await Deployment.update(changes, {
+      where: { id: deployment.id, status: { [Op.notIn]: TERMINAL_STATUSES } }
+    });
+    if (updated === 0) return deployment.reload();
+    Object.assign(deployment, changes);
+
+    // Deployments that never reached the provider (e.g. a rejected promotion) leave the environment alone
+    const env = 'previous_environment_status' in metadata ? await Environment.findByPk(deployment.environment_id) : null;
+    if (env) {
+      if (status === 'success') await env.update({ status: 'healthy', url: deployment.url || env.url });
+      else if (status === 'failed') await env.update({ status: 'error' });
+      else await env.update({ status: metadata.previous_environment_status || 'stopped' });
+    }
+
+    const summary = status === 'success'
+      ? `Deployment succeeded${deployment.url ? `: ${deployment.url}` : ''}`
+      : `Deployment ${status}${details.error ? `: ${details.error}` : ''}`;
+    await this.appendLogs(deployment, [summary]);
+    log.info(`Deployment ${deployment.id} ${status}`);
+    this.emitStatus(deployment);
+    return deployment;
+  }
+
+  /**
+   * Append log lines (secrets redacted) to the deployment and stream them.
+   */
+  async appendLogs(deployment, lines) {
+    if (lines.length === 0) return;
+    const text = lines.map(line => redact(String(line))).join('\n');
+    let logs = deployment.logs ? `${deployment.logs}\n${text}` : text;
+    if (logs.length > MAX_LOG_CHARS) logs = logs.slice(logs.length - MAX_LOG_CHARS);
+    await deployment.update({ logs });
+    this.bus.emit('deployment_log', {
+      deploymentId: deployment.id,
+      projectId: deployment.project_id,
+      environment: deployment.metadata && deployment.metadata.environment,
+      provider: deployment.provider,
+      lines: text.split('\n'),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Fetch the provider's build log and append the lines not seen yet
+  async collectLogs(deployment) {
+    if (deployment.metadata.restored) return;
+    const adapter = PROVIDERS[deployment.provider];
+    let lines;
+    try {
+      lines = await adapter.logs(this.providerService(deployment.provider), deployment.actor, deployment.provider_deployment_id, deployment.metadata.config || {});
+    } catch (error) {
+      log.warn(`Could not read ${deployment.provider} logs for ${deployment.id}: ${error.message}`);
+      return;
+    }
+    const cursor = deployment.metadata.log_cursor || 0;
+    if (lines.length <= cursor) return;
+    await deployment.update({ metadata: { ...deployment.metadata, log_cursor: lines.length } });
+    await this.appendLogs(deployment, lines.slice(cursor));
+  }
+
+  /**
+   * One status check: stream new log lines, then apply the provider's state.
+   * Deployments still running after DEPLOY_TIMEOUT_MS are failed.
+   */
+  async poll(deploymentId) {
+    const { Deployment } = this.models;
+    const deployment = await Deployment.findByPk(deploymentId);
+    if (!deployment || TERMINAL_STATUSES.includes(deployment.status)) {
+      this.untrack(deploymentId);
+      return deployment;
+    }
+
+    const adapter = PROVIDERS[deployment.provider];
+    const config = deployment.metadata.config || {};
+    let status = null;
+    try {
+      status = await adapter.status(this.providerService(deployment.provider), deployment.actor, deployment.provider_deployment_id, config);
+    } catch (error) {
+      log.warn(`Status check for ${deployment.id} failed: ${error.message}`);
+    }
+    if (status && !TERMINAL_STATUSES.includes(this.mapState(deployment.provider, status.state))) {
+      await this.collectLogs(deployment);
+    }
+    if (status) await this.applyState(deployment, status.state, status);
+
+    if (!TERMINAL_STATUSES.includes(deployment.status) && Date.now() - new Date(deployment.started_at).getTime() > this.timeoutMs) {
+      await this.finish(deployment, 'failed', { error: `No result from ${deployment.provider} after ${Math.round(this.timeoutMs / 60000)} minutes` });
+    }
+    return deployment;
+  }
+
+  track(deployment) {
+    if (this.tracked.has(deployment.id)) return;
+    const entry = { timer: null };
+    const schedule = () => {
+      entry.timer = setTimeout(async () => {
+        try {
+          const current = await this.poll(deployment.id);
+          if (current && !TERMINAL_STATUSES.includes(current.status) && this.tracked.has(deployment.id)) schedule();
+        } catch (error) {
+          log.error(`Polling ${deployment.id} failed: ${error.message}`);
+          if (this.tracked.has(deployment.id)) schedule();
+        }
+      }, this.pollIntervalMs);
+      entry.timer.unref();
+    };
+    this.tracked.set(deployment.id, entry);
+    schedule();
+  }
+
+  untrack(deploymentId) {
+    const entry = this.tracked.get(deploymentId);
+    if (entry) clearTimeout(entry.timer);
+    this.tracked.delete(deploymentId);
+  }
+
+  emitStatus(deployment) {
+    this.bus.emit('deployment_status', this.serialize(deployment));
+  }
+
+  serialize(deployment) {
+    const metadata = deployment.metadata || {};
+    return {
+      id: deployment.id,
+      projectId: deployment.project_id,
+      environment: metadata.environment || null,
+      provider: deployment.provider,
+      providerDeploymentId: deployment.provider_deployment_id || null,
+      status: deployment.status,
+      url: deployment.url,
+      commitSha: deployment.commit_sha,
+      commitMessage: deployment.commit_message,
+      actor: deployment.actor,
+      startedAt: deployment.started_at,
+      finishedAt: deployment.finished_at,
+      kind: metadata.kind || 'deploy',
+      sourceDeploymentId: metadata.source_deployment_id || null,
+      rollbackOf: metadata.rollback_of || null,
+      approval: metadata.approval || null,
+      error: metadata.error || null
+    };
+  }
+
+  async listDeployments(projectId, { environment, limit = 20, actorId = null } = {}) {
+    const { Environment, Deployment } = this.models;
+    const project = await this.resolveProject(projectId, actorId);
+    const where = { project_id: project.id };
+    if (environment) {
+      const env = await Environment.findOne({ where: { project_id: project.id, name: environment } });
+      if (!env) return [];
+      where.environment_id = env.id;
+    }
+    return Deployment.findAll({ where, order: [['started_at', 'DESC']], limit: Math.min(Math.max(limit, 1), 100) });
+  }
+
+  async getDeployment(projectId, deploymentId, { actorId = null } = {}) {
+    const project = await this.resolveProject(projectId, actorId);
+    const deployment = await this.models.Deployment.findOne({ where: { id: deploymentId, project_id: project.id } });
+    if (!deployment) throw new DeploymentError(`Deployment ${deploymentId} not found`, 'DEPLOYMENT_NOT_FOUND');
+    return deployment;
+  }
+
+  /**
+   * Resume polling deployments that were running when the server stopped.
+   * Ones the provider never accepted cannot be followed and are failed.
+   */
+  async resume() {
+    const { Deployment } = this.models;
+    const running = await Deployment.findAll({ where: { status: ACTIVE_STATUSES } });
+    for (const deployment of running) {
+      if (deployment.provider_deployment_id) this.track(deployment);
+      // Pending approvals are held in memory; ask again
+      else if (this.awaitingApproval(deployment)) await this.requestApproval(deployment);
+      else await this.finish(deployment, 'failed', { error: 'Interrupted before the provider accepted the deployment' });
+    }
+    if (running.length > 0) log.info(`Resumed ${running.length} deployment(s)`);
+  }
+
+  // Key -> short keyed hash of each value in the environment; enough to tell that a value changed
+  async snapshotEnvironment(project, env) {
+    const { EnvVar } = this.models;
+    if (!EnvVar) return {};
+    const snapshot = {};
+    for (const envVar of await EnvVar.findAll({ where: { environment_id: env.id } })) {
+      const value = envVar.getValue();
+      snapshot[envVar.key] = value === null
+        ? 'unreadable'
+        : crypto.createHmac('sha256', project.id).update(value).digest('hex').slice(0, 16);
+    }
+    return snapshot;
+  }
+
+  async audit(actorId, action, deployment, metadata = {}) {
+    const { Audit } = this.models;
+    if (!Audit) return;
+    try {
+      await Audit.create({
+        actor_id: actorId || SYSTEM_ACTOR,
+        action,
+        target: 'deployment',
+        target_id: deployment.id,
+        metadata: { project_id: deployment.project_id, environment: deployment.metadata.environment, ...metadata },
+        ip_address: '127.0.0.1'
+      });
+    } catch (error) {
+      log.warn(`Failed to record ${action} audit entry`, { error: error.message });
+    }
+  }
+
+  /**
+   * Successful deployments of an environment, newest first. The first is the
+   * one that is live.
+   */
+  async releases(env) {
+    return this.models.Deployment.findAll({
+      where: { environment_id: env.id, status: 'success' },
+      order: [['finished_at', 'DESC'], ['started_at', 'DESC']]
+    });
+  }
+
+  /**
+   * The release a rollback returns to: the newest successful deployment
+   * before the live one that has not itself been rolled back. Rollbacks count
+   * as the release they restored.
+   */
+  async lastHealthyRelease(env) {
+    const releases = await this.releases(env);
+    if (releases.length === 0) return null;
+    const byId = new Map(releases.map(release => [release.id, release]));
+    const origin = (release) => (release.metadata.kind === 'rollback' && release.metadata.source_deployment_id) || release.id;
+
+    const skip = new Set([origin(releases[0])]);
+    for (const release of releases) {
+      if (release.metadata.kind !== 'rollback' || !release.metadata.rollback_of) continue;
+      const replaced = byId.get(release.metadata.rollback_of);
+      skip.add(replaced ? origin(replaced) : release.metadata.rollback_of);
+    }
+    return releases.find(release => release.metadata.kind !== 'rollback' && !skip.has(release.id)) || null;
+  }
+
+  /**
+   * Promote a verified (successful) release of one environment to another,
+   * by default the newest staging release to production. When the target
+   * environment's settings have `requireApproval` (or the request asks for
+   * it) the deployment waits for a CEO decision before it starts. A request
+   * can add the gate but never lift the environment's.
+   */
+  async promote({ projectId, from = 'staging', to = 'production', deploymentId = null, requireApproval, actorId = null } = {}) {
+    if (from === to) throw new DeploymentError('Promotion needs two different environments', 'INVALID_ENVIRONMENT');
+    const { Deployment } = this.models;
+    const project = await this.resolveProject(projectId, actorId);
+    const fromEnv = await this.resolveEnvironment(project, from);
+    const toEnv = await this.resolveEnvironment(project, to);
+
+    const source = deploymentId
+      ? await Deployment.findOne({ where: { id: deploymentId, project_id: project.id, environment_id: fromEnv.id } })
+      : (await this.releases(fromEnv))[0];
+    if (!source) {
+      throw new DeploymentError(deploymentId ? `Deployment ${deploymentId} not found in ${from}` : `${from} has no successful deployment to promote`,
+        deploymentId ? 'DEPLOYMENT_NOT_FOUND' : 'NO_RELEASE');
+    }
+    if (source.status !== 'success') {
+      throw new DeploymentError(`Only successful deployments can be promoted; ${source.id} is ${source.status}`, 'RELEASE_NOT_VERIFIED');
+    }
+
+    const target = this.resolveTarget(project, to);
+    const gated = target.requireApproval || requireApproval === true;
+    const deployment = await this.record(project, toEnv, target, {
+      kind: 'promotion',
+      actorId,
+      ref: source.metadata.ref,
+      commitSha: source.commit_sha,
+      commitMessage: source.commit_message,
+      metadata: { source_deployment_id: source.id, source_environment: from }
+    });
+    await this.audit(actorId, 'PROMOTE_DEPLOYMENT', deployment, { source_deployment_id: source.id, from, to, commit_sha: source.commit_sha, approval_required: gated });
+
+    if (gated) {
+      await deployment.update({ metadata: { ...deployment.metadata, approval: { status: 'pending', requested_at: new Date().toISOString() } } });
+      await this.appendLogs(deployment, [`Promotion of ${describeRelease(source)} from ${from} is waiting for CEO approval`]);
+      await this.requestApproval(deployment, project, source);
+      return deployment;
+    }
+    return this.launch(deployment, this.releaseRequest(project, source), source);
+  }
+
+  /**
+   * Put an environment back on its last healthy release, or on a given
+   * earlier successful deployment of it.
+   */
+  async rollback({ projectId, environment, deploymentId = null, actorId = null } = {}) {
+    const { Deployment } = this.models;
+    const project = await this.resolveProject(projectId, actorId);
+    const env = await this.resolveEnvironment(project, environment);
+
+    const [live] = await this.releases(env);
+    const source = deploymentId
+      ? await Deployment.findOne({ where: { id: deploymentId, project_id: project.id, environment_id: env.id, status: 'success' } })
+      : await this.lastHealthyRelease(env);
+    if (!source) {
+      throw new DeploymentError(deploymentId ? `No successful deployment ${deploymentId} in ${environment}` : `${environment} has no earlier healthy deployment to roll back to`,
+        deploymentId ? 'DEPLOYMENT_NOT_FOUND' : 'NO_RELEASE');
+    }
+    if (live && live.id === source.id) throw new DeploymentError(`Deployment ${source.id} is already live`, 'RELEASE_ALREADY_LIVE');
+
+    const target = this.resolveTarget(project, environment);
+    const deployment = await this.record(project, env, target, {
+      kind: 'rollback',
+      actorId,
+      ref: source.metadata.ref,
+      commitSha: source.commit_sha,
+      commitMessage: source.commit_message,
+      metadata: { source_deployment_id: source.id, rollback_of: live ? live.id : null }
+    });
+    await this.audit(actorId, 'ROLLBACK_DEPLOYMENT', deployment, { source_deployment_id: source.id, rollback_of: live ? live.id : null, commit_sha: source.commit_sha });
+    return this.launch(deployment, this.releaseRequest(project, source), source);
+  }
+
+  releaseRequest(project, source) {
+    return { projectName: project.name, ref: source.metadata.ref, commitSha: source.commit_sha, commitMessage: source.commit_message };
+  }
+
+  // Promotions wait for the CEO through the same approval manager as workflows
+  setApprovalManager(manager) {
+    if (this.approvalManager) this.approvalManager.off('approvalDecision', this.approvalListener);
+    this.approvalManager = manager;
+    this.approvalListener = (decision) => {
+      if (decision.type !== 'promotion') return;
+      const handling = this.handleApprovalDecision(decision).catch(error => {
+        log.error(`Failed to apply approval decision for ${decision.workflowId}`, { workflowId: decision.workflowId, error: error.message });
+      });
+      this.decisions.set(decision.workflowId, handling);
+    };
+    manager.on('approvalDecision', this.approvalListener);
+  }
+
+  get approvals() {
+    if (!this.approvalManager) {
+      const CeoApprovalManager = require('./ceo-approval-manager');
+      this.setApprovalManager(this.options.approvalManager || new CeoApprovalManager(this.options.approvalDatabase || null));
+    }
+    return this.approvalManager;
+  }
+
+  awaitingApproval(deployment) {
+    return deployment.status === 'pending' && !deployment.provider_deployment_id &&
+      Boolean(deployment.metadata.approval) && deployment.metadata.approval.status === 'pending';
+  }
+
+  async requestApproval(deployment, project = null, source = null) {
+    const { Project, Deployment } = this.models;
+    project = project || await Project.findByPk(deployment.project_id);
+    source = source || await Deployment.findByPk(deployment.metadata.source_deployment_id);
+    const request = await this.approvals.submitForApproval(deployment.id, {
+      approvalType: 'promotion',
+      directive: `Promote ${project ? project.name : deployment.project_id} ${source ? describeRelease(source) : ''} from ${deployment.metadata.source_environment} to ${deployment.metadata.environment}`,
+      manager: 'Deploy pipeline',
+      promotion: {
+        deploymentId: deployment.id,
+        projectId: deployment.project_id,
+        from: deployment.metadata.source_environment,
+        to: deployment.metadata.environment,
+        sourceDeploymentId: deployment.metadata.source_deployment_id,
+        commitSha: deployment.commit_sha
+      }
+    }, deployment.actor);
+    await deployment.update({ metadata: { ...deployment.metadata, approval: { ...deployment.metadata.approval, request_id: request.approvalRequestId } } });
+    return request;
+  }
+
+  async handleApprovalDecision({ workflowId, decision, approver, comments }) {
+    const { Project, Deployment } = this.models;
+    const deployment = await Deployment.findByPk(workflowId);
+    if (!deployment || !this.awaitingApproval(deployment)) return deployment;
+
+    const approval = { ...deployment.metadata.approval, decided_by: approver, decided_at: new Date().toISOString(), comments: comments || null };
+    if (decision === 'needs_revision') {
+      // Still waiting; the CEO can approve or reject it later
+      await this.appendLogs(deployment, [`CEO ${approver} asked for changes${comments ? `: ${comments}` : ''}`]);
+      return deployment;
+    }
+
+    approval.status = decision;
+    await deployment.update({ metadata: { ...deployment.metadata, approval } });
+    await this.audit(deployment.actor, decision === 'approved' ? 'APPROVE_PROMOTION' : 'REJECT_PROMOTION', deployment, { approver, comments: comments || null });
+    if (decision !== 'approved') {
+      return this.finish(deployment, 'cancelled', { error: `Promotion rejected by ${approver}${comments ? `: ${comments}` : ''}` });
+    }
+
+    await this.appendLogs(deployment, [`Promotion approved by ${approver}`]);
+    const project = await Project.findByPk(deployment.project_id);
+    const source = await Deployment.findByPk(deployment.metadata.source_deployment_id);
+    return this.launch(deployment, this.releaseRequest(project, source), source);
+  }
+
+  /**
+   * Record the CEO's decision on a promotion waiting for approval and wait
+   * for its effect (the deployment starting, or being cancelled).
+   */
+  async decidePromotion(projectId, deploymentId, { decision, approver = 'ceo', comments = '', actorId = null } = {}) {
+    const deployment = await this.getDeployment(projectId, deploymentId, { actorId });
+    if (!this.awaitingApproval(deployment)) {
+      throw new DeploymentError(`Deployment ${deploymentId} is not waiting for approval`, 'NOT_AWAITING_APPROVAL');
+    }
+    if (!['approved', 'rejected', 'needs_revision'].includes(decision)) {
+      throw new DeploymentError('Decision must be approved, rejected, or needs_revision', 'INVALID_DECISION');
+    }
+    if (!this.approvals.getPendingApproval(deployment.id, 'promotion')) await this.requestApproval(deployment);
+    await this.approvals.processApprovalDecision(deployment.id, decision, approver, comments, 'promotion');
+    await this.decisions.get(deployment.id);
+    this.decisions.delete(deployment.id);
+    return deployment.reload();
+  }
+
+  /**
+   * What changed between two deployments: the commit and the environment
+   * variables (by key; values are never compared in the clear).
+   */
+  compareReleases(before, after) {
+    return {
+      from: before ? { id: before.id, commitSha: before.commit_sha } : null,
+      to: { id: after.id, commitSha: after.commit_sha },
+      commitChanged: !before || before.commit_sha !== after.commit_sha,
+      env: diffSnapshots(before ? before.metadata.env_snapshot : {}, after.metadata.env_snapshot)
+    };
+  }
+
+  async compare(projectId, fromId, toId, { actorId = null } = {}) {
+    const before = await this.getDeployment(projectId, fromId, { actorId });
+    const after = await this.getDeployment(projectId, toId, { actorId });
+    return this.compareReleases(before, after);
+  }
+
+  /**
+   * Deployment history of one environment, newest first. Each entry carries
+   * its changes against the release that was live when it started.
+   */
+  async history(projectId, { environment = 'production', limit = 20, actorId = null } = {}) {
+    const { Deployment } = this.models;
+    const project = await this.resolveProject(projectId, actorId);
+    const env = await this.resolveEnvironment(project, environment);
+    const deployments = await Deployment.findAll({ where: { environment_id: env.id }, order: [['started_at', 'ASC']] });
+
+    let live = null;
+    const entries = [];
+    for (const deployment of deployments) {
+      entries.push({ ...this.serialize(deployment), live: false, changes: this.compareReleases(live, deployment) });
+      if (deployment.status === 'success') live = deployment;
+    }
+    // Releases become live when they finish, not in the order they started
+    const [current] = await this.releases(env);
+    for (const entry of entries) entry.live = Boolean(current) && entry.id === current.id;
+    return entries.reverse().slice(0, Math.min(Math.max(limit, 1), 100));
+  }
+
+  start() {
+    if (this.resumeTimer) return;
+    // Once migrations have run
+    this.resumeTimer = setTimeout(() => {
+      this.resume().catch(error => log.error('Resume failed', { error: error.message }));
+    }, 5000);
+    this.resumeTimer.unref();
+  }
+
+  stop() {
+    if (this.resumeTimer) clearTimeout(this.resumeTimer);
+    this.resumeTimer = null;
+    for (const id of [...this.tracked.keys()]) this.untrack(id);
+  }
+}
+
+module.exports = new DeploymentPipeline();
+module.exports.DeploymentPipeline = DeploymentPipeline;
+module.exports.DeploymentError = DeploymentError;
+module.exports.PROVIDERS = PROVIDERS;
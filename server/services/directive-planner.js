@@ -0,0 +1,359 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const log = logger.child({ source: 'PLANNER' });
+
+// Upper bound on tasks accepted from a model so a runaway plan cannot flood the queue
+const MAX_PLAN_TASKS = 20;
+const DEFAULT_TASK_DURATION = 30000;
+// Keep enough of the raw model response on the workflow to debug a rejected plan
+const MAX_RAW_OUTPUT = 20000;
+
+/**
+ * JSON schema for the task DAG a planning model must return. It is embedded in
+ * the planning prompt and enforced by validateTaskPlan().
+ */
+const TASK_PLAN_SCHEMA = {
+  type: 'object',
+  required: ['tasks'],
+  properties: {
+    summary: { type: 'string' },
+    tasks: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_PLAN_TASKS,
+      items: {
+        type: 'object',
+        required: ['id', 'title', 'assignedAgent', 'dependencies', 'expectedArtifacts'],
+        properties: {
+          id: { type: 'string', description: 'Short unique key, referenced by dependencies' },
+          title: { type: 'string' },
+          description: { type: 'string' },
+          assignedAgent: { type: 'string', description: 'Name of an available agent' },
+          dependencies: { type: 'array', items: { type: 'string' }, description: 'ids of tasks that must finish first' },
+          expectedArtifacts: { type: 'array', items: { type: 'string' }, description: 'Relative file names the task produces' },
+          estimatedDuration: { type: 'number', description: 'Milliseconds' }
+        }
+      }
+    }
+  }
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Validate a parsed plan against TASK_PLAN_SCHEMA plus the checks a schema
+ * cannot express: known assignees, resolvable dependencies and no cycles.
+ * Returns a list of error strings; an empty list means the plan is valid.
+ */
+function validateTaskPlan(plan, agentNames = []) {
+  const errors = [];
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+    return ['plan: must be an object'];
+  }
+  if (!Array.isArray(plan.tasks)) {
+    return ['plan.tasks: must be an array'];
+  }
+  if (plan.tasks.length === 0) errors.push('plan.tasks: must contain at least one task');
+  if (plan.tasks.length > MAX_PLAN_TASKS) errors.push(`plan.tasks: must contain at most ${MAX_PLAN_TASKS} tasks`);
+
+  const known = new Set(agentNames.map(name => name.toLowerCase()));
+  const ids = new Set();
+
+  plan.tasks.forEach((task, index) => {
+    const at = `tasks[${index}]`;
+    if (!task || typeof task !== 'object') {
+      errors.push(`${at}: must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(task.id)) {
+      errors.push(`${at}.id: required string`);
+    } else if (ids.has(task.id)) {
+      errors.push(`${at}.id: duplicate id "${task.id}"`);
+    } else {
+      ids.add(task.id);
+    }
+    if (!isNonEmptyString(task.title)) errors.push(`${at}.title: required string`);
+    if (task.description !== undefined && typeof task.description !== 'string') errors.push(`${at}.description: must be a string`);
+    if (!isNonEmptyString(task.assignedAgent)) {
+      errors.push(`${at}.assignedAgent: required string`);
+    } else if (known.size > 0 && !known.has(task.assignedAgent.toLowerCase())) {
+      errors.push(`${at}.assignedAgent: unknown agent "${task.assignedAgent}"`);
+    }
+    if (!Array.isArray(task.dependencies) || !task.dependencies.every(isNonEmptyString)) {
+      errors.push(`${at}.dependencies: must be an array of task ids`);
+    }
+    if (!Array.isArray(task.expectedArtifacts) || !task.expectedArtifacts.every(isNonEmptyString)) {
+      errors.push(`${at}.expectedArtifacts: must be an array of file names`);
+    } else {
+      for (const artifact of task.expectedArtifacts) {
+        if (artifact.startsWith('/') || artifact.split(/[\\/]/).includes('..')) {
+          errors.push(`${at}.expectedArtifacts: "${artifact}" must be a relative path inside the workspace`);
+        }
+      }
+    }
+    if (task.estimatedDuration !== undefined && !(typeof task.estimatedDuration === 'number' && task.estimatedDuration > 0)) {
+      errors.push(`${at}.estimatedDuration: must be a positive number`);
+    }
+  });
+
+  if (errors.length > 0) return errors;
+
+  for (const task of plan.tasks) {
+    for (const dep of task.dependencies) {
+      if (dep === task.id) errors.push(`tasks.${task.id}.dependencies: task depends on itself`);
+      else if (!ids.has(dep)) errors.push(`tasks.${task.id}.dependencies: unknown task "${dep}"`);
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  // Kahn's algorithm: anything left unvisited sits on a cycle
+  const remaining = new Map(plan.tasks.map(t => [t.id, new Set(t.dependencies)]));
+  let progressed = true;
+  while (remaining.size > 0 && progressed) {
+    progressed = false;
+    for (const [id, deps] of remaining) {
+      if ([...deps].every(dep => !remaining.has(dep))) {
+        remaining.delete(id);
+        progressed = true;
+      }
+    }
+  }
+  if (remaining.size > 0) {
+    errors.push(`plan.tasks: dependency cycle between ${[...remaining.keys()].join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Extract the JSON plan from a model response, tolerating markdown code
+ * fences and prose around the object.
+ */
+function parsePlanResponse(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Planner returned an empty response');
+  }
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = fenced ? fenced[1] : text;
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Planner response did not contain a JSON object');
+  }
+  try {
+    return JSON.parse(body.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`Planner response is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Compact, planner-independent view of a task list recorded on workflow
+ * metadata so plans from different planners can be compared.
+ */
+function summarizePlan(tasks) {
+  return (tasks || []).map(task => ({
+    id: task.id,
+    title: task.title,
+    assignedAgent: task.assignedAgent,
+    type: task.type || null,
+    dependencies: task.dependencies || [],
+    expectedArtifacts: task.artifacts || (task.fileName ? [task.fileName] : [])
+  }));
+}
+
+class PlanValidationError extends Error {
+  constructor(errors) {
+    super(`Planner returned an invalid task plan: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`);
+    this.name = 'PlanValidationError';
+    this.validationErrors = errors;
+  }
+}
+
+/**
+ * Planner interface: `name`, `isAvailable()` and
+ * `plan(directive, briefContext, { agents })` resolving to `{ tasks, ... }`
+ * where tasks use the orchestrator task shape. Planners signal failure by
+ * throwing so the orchestrator can fall through to the next planner.
+ */
+
+/**
+ * Offline planner built on the orchestrator's keyword templates
+ * (collaboration phases, md-create briefs, website/dashboard/fullstack).
+ */
+class KeywordPlanner {
+  constructor(orchestrator) {
+    this.name = 'keyword';
+    this.orchestrator = orchestrator;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async plan(directive, briefContext = null) {
+    const departments = this.orchestrator.detectCollaborationNeeds(directive);
+    if (departments.length > 1) {
+      log.info(`Multi-department workflow detected: ${departments.join(', ')}`);
+      return {
+        tasks: this.orchestrator.createCollaborationWorkflow(directive, departments, briefContext),
+        strategy: 'collaboration'
+      };
+    }
+    return {
+      tasks: await this.orchestrator.decomposeDirective(directive, briefContext),
+      strategy: 'templates'
+    };
+  }
+}
+
+/**
+ * Planner that asks a RealProviderEngine provider for a JSON task DAG.
+ * Providers are tried in the configured order; the first one that is
+ * configured (an API key, or a reachable local Ollama) and healthy is used.
+ */
+class LLMPlanner {
+  constructor({ providerEngine, providers = ['anthropic', 'openai', 'google', 'ollama'], maxTokens = 2000 } = {}) {
+    this.name = 'llm';
+    this.providerEngine = providerEngine;
+    this.providers = providers;
+    this.maxTokens = maxTokens;
+  }
+
+  selectProvider() {
+    const engine = this.providerEngine;
+    if (!engine || !engine.providers || typeof engine.makeRequest !== 'function') return null;
+    return this.providers.find(providerId => {
+      const config = engine.providers[providerId];
+      if (!config) return false;
+      if (typeof engine.isProviderConfigured === 'function') {
+        if (!engine.isProviderConfigured(providerId)) return false;
+      } else if (!process.env[config.keyEnv]) {
+        return false;
+      }
+      return typeof engine.isProviderHealthy === 'function' ? engine.isProviderHealthy(providerId) : true;
+    }) || null;
+  }
+
+  isAvailable() {
+    return this.selectProvider() !== null;
+  }
+
+  buildPrompt(directive, briefContext, agents) {
+    const roster = [...agents.values()]
+      .map(({ config }) => `- ${config.name} (${config.department}, ${config.role}${config.canManage ? ', manager' : ''}): ${(config.specializations || []).join(', ')}`)
+      .join('\n');
+
+    const lines = [
+      'You are the planning lead of an autonomous software company.',
+      'Break the directive below into a small dependency graph of concrete tasks for the available agents.',
+      '',
+      `Directive: ${directive}`
+    ];
+    if (briefContext) {
+      const brief = ['projectType', 'scope', 'timeline', 'targetUsers']
+        .filter(key => briefContext[key])
+        .map(key => `${key}: ${briefContext[key]}`);
+      if (Array.isArray(briefContext.keyFeatures) && briefContext.keyFeatures.length > 0) {
+        brief.push(`keyFeatures: ${briefContext.keyFeatures.join(', ')}`);
+      }
+      if (brief.length > 0) lines.push(`Project brief: ${brief.join('; ')}`);
+      if (briefContext.agentExplicit && briefContext.requestedAgent) {
+        lines.push(`The CEO explicitly requested ${briefContext.requestedAgent}; assign every artifact-producing task to ${briefContext.requestedAgent}.`);
+      }
+    }
+    lines.push(
+      '',
+      'Available agents:',
+      roster,
+      '',
+      'Rules:',
+      '- Only assign tasks to the agents listed above, using their exact names.',
+      '- dependencies reference the ids of other tasks in the plan; the graph must be acyclic.',
+      '- expectedArtifacts lists relative file names each task writes to its workspace (may be empty).',
+      `- Use at most ${MAX_PLAN_TASKS} tasks.`,
+      '',
+      'Respond with a single JSON object matching this JSON schema and nothing else:',
+      JSON.stringify(TASK_PLAN_SCHEMA)
+    );
+    return lines.join('\n');
+  }
+
+  async plan(directive, briefContext = null, { agents, workflowId } = {}) {
+    const providerId = this.selectProvider();
+    if (!providerId) throw new Error('No configured provider available for planning');
+
+    const prompt = this.buildPrompt(directive, briefContext, agents);
+    const response = await this.providerEngine.makeRequest(providerId, prompt, {
+      maxTokens: this.maxTokens,
+      temperature: 0.2,
+      context: { workflowId, agent: 'planner' }
+    });
+    const rawOutput = String(response.content || '').slice(0, MAX_RAW_OUTPUT);
+
+    const plan = parsePlanResponse(response.content);
+    const errors = validateTaskPlan(plan, [...agents.keys()]);
+    if (errors.length > 0) {
+      const error = new PlanValidationError(errors);
+      error.rawOutput = rawOutput;
+      throw error;
+    }
+
+    return {
+      tasks: this.toTasks(plan, agents),
+      provider: response.provider || providerId,
+      model: response.model || null,
+      usage: response.usage || null,
+      cost: response.cost || 0,
+      latency: response.latency || null,
+      summary: typeof plan.summary === 'string' ? plan.summary : null,
+      rawOutput
+    };
+  }
+
+  /**
+   * Convert a validated plan into orchestrator tasks. Plan keys are replaced
+   * with task ids; expected artifacts become the task's generated artifacts.
+   */
+  toTasks(plan, agents) {
+    const canonicalNames = new Map([...agents.keys()].map(name => [name.toLowerCase(), name]));
+    const idsByKey = new Map(plan.tasks.map(t => [t.id, uuidv4()]));
+
+    return plan.tasks.map(t => ({
+      id: idsByKey.get(t.id),
+      planKey: t.id,
+      title: t.title.trim(),
+      description: (t.description || t.title).trim(),
+      assignedAgent: canonicalNames.get(t.assignedAgent.toLowerCase()),
+      prompt: (t.description || t.title).trim(),
+      commands: [],
+      artifacts: t.expectedArtifacts.slice(),
+      dependencies: t.dependencies.map(dep => idsByKey.get(dep)),
+      status: 'pending',
+      estimatedDuration: t.estimatedDuration || DEFAULT_TASK_DURATION
+    }));
+  }
+}
+
+/**
+ * Default planner chain. WORKFLOW_PLANNER=keyword forces the offline
+ * templates; tests default to them so no provider is ever called.
+ */
+function createDefaultPlanners(orchestrator, { providerEngine } = {}) {
+  const mode = process.env.WORKFLOW_PLANNER || (process.env.NODE_ENV === 'test' ? 'keyword' : 'llm');
+  const keyword = new KeywordPlanner(orchestrator);
+  if (mode === 'keyword') return [keyword];
+  return [new LLMPlanner({ providerEngine }), keyword];
+}
+
+module.exports = {
+  TASK_PLAN_SCHEMA,
+  MAX_PLAN_TASKS,
+  KeywordPlanner,
+  LLMPlanner,
+  PlanValidationError,
+  createDefaultPlanners,
+  parsePlanResponse,
+  summarizePlan,
+  validateTaskPlan
+};
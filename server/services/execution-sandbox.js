@@ -0,0 +1,429 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const tracer = require('./tracing');
+const { redact } = require('./secret-redaction');
+const logger = require('./logger');
+const log = logger.child({ source: 'SANDBOX' });
+
+const DEFAULT_POLICY_DIR = path.join(__dirname, '../config/agent-policies');
+
+// Used when the policy directory has no default.json
+const BUILTIN_POLICY = {
+  allowedBinaries: ['echo', 'cat', 'ls', 'mkdir'],
+  timeoutMs: 120000,
+  maxOutputBytes: 1024 * 1024,
+  env: { passthrough: ['PATH', 'LANG', 'LC_ALL', 'TERM', 'TZ'], set: {} },
+  limits: {},
+  namespaces: { enabled: false, network: true },
+  // Vault keys (exact, PREFIX_* or *) a task may have injected; see services/task-secrets
+  secrets: { allow: [] }
+};
+
+// Shell builtins and keywords that never resolve to a binary on disk
+const SHELL_BUILTINS = new Set([
+  'cd', 'pwd', 'export', 'unset', 'set', 'test', '[', '[[', 'true', 'false', 'exit', 'return',
+  'read', 'echo', 'printf', 'if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'until', 'do', 'done',
+  'case', 'esac', 'in', 'function', '{', '}', '!', 'local', 'shift', 'wait', ':'
+]);
+
+// Passthrough never leaks variables that look like credentials, even if a policy lists them
+const SECRET_ENV_PATTERN = /(KEY|TOKEN|SECRET|PASSWORD|PASSWD|CREDENTIAL|SESSION|COOKIE|PRIVATE)/i;
+
+// Exit code reported for a timed-out command, matching coreutils `timeout`
+const TIMEOUT_EXIT_CODE = 124;
+const KILL_GRACE_MS = 2000;
+
+class SandboxError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SandboxError';
+    this.code = code;
+  }
+}
+
+const isInside = (root, target) => {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+/**
+ * Drop heredoc bodies so their text is not mistaken for commands.
+ */
+function stripHeredocs(script) {
+  const lines = script.split('\n');
+  const kept = [];
+  let terminator = null;
+  for (const line of lines) {
+    if (terminator) {
+      if (line.trim() === terminator) terminator = null;
+      continue;
+    }
+    kept.push(line);
+    const heredoc = line.match(/<<-?\s*(['"]?)([A-Za-z_][A-Za-z0-9_]*)\1/);
+    if (heredoc) terminator = heredoc[2];
+  }
+  return kept.join('\n');
+}
+
+/**
+ * Split a shell script into simple commands on ;, &&, ||, |, & and newlines,
+ * respecting quotes. Command substitutions are returned as nested scripts.
+ */
+function splitShellCommands(script) {
+  const segments = [];
+  const nested = [];
+  let current = '';
+  let quote = null;
+  for (let i = 0; i < script.length; i++) {
+    const ch = script[i];
+    if (quote) {
+      current += ch;
+      if (ch === '\\' && quote === '"' && i + 1 < script.length) {
+        current += script[++i];
+      } else if (ch === quote) {
+        quote = null;
+      }
+      if (quote === '"' && ch === '$' && script[i + 1] === '(') {
+        const end = findClosingParen(script, i + 1);
+        nested.push(script.slice(i + 2, end));
+      }
+      continue;
+    }
+    if (ch === '\\' && i + 1 < script.length) {
+      current += ch + script[++i];
+    } else if (ch === '\'' || ch === '"') {
+      quote = ch;
+      current += ch;
+    } else if (ch === '$' && script[i + 1] === '(') {
+      const end = findClosingParen(script, i + 1);
+      nested.push(script.slice(i + 2, end));
+      current += script.slice(i, end + 1);
+      i = end;
+    } else if (ch === '`') {
+      const end = script.indexOf('`', i + 1);
+      const close = end === -1 ? script.length : end;
+      nested.push(script.slice(i + 1, close));
+      current += script.slice(i, close + 1);
+      i = close;
+    } else if (ch === ';' || ch === '\n' || ch === '|' || ch === '&' || ch === '(' || ch === ')') {
+      segments.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  segments.push(current);
+  return {
+    commands: segments.map(s => s.trim()).filter(Boolean),
+    nested
+  };
+}
+
+function findClosingParen(script, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < script.length; i++) {
+    if (script[i] === '(') depth++;
+    else if (script[i] === ')' && --depth === 0) return i;
+  }
+  return script.length;
+}
+
+function shellWords(command) {
+  const words = [];
+  const pattern = /"((?:\\.|[^"\\])*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(command)) !== null) {
+    words.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+  }
+  return words;
+}
+
+/**
+ * Shared execution sandbox for agent commands.
+ *
+ * Every command runs with a per-agent policy (config/agent-policies/<agent>.json
+ * over default.json): allowed binaries, timeout, stdout/stderr byte caps,
+ * a scrubbed environment, working directory confined to a root, ulimit-based
+ * CPU/memory/file-size limits and optional Linux namespaces.
+ *
+ * The binary allowlist is not a security control. It is a static check of
+ * the command text that catches an agent reaching for the wrong tool, but any
+ * allowed interpreter or build tool (node, python, npm scripts, make) can
+ * start other programs. What bounds a command is the scrubbed environment,
+ * the confined working directory, the limits and the namespaces.
+ */
+class ExecutionSandbox {
+  constructor(options = {}) {
+    this.policyDir = options.policyDir || DEFAULT_POLICY_DIR;
+    this.policyCache = new Map(); // file -> { mtimeMs, policy }
+    this.unshareAvailable = null;
+  }
+
+  readPolicyFile(fileName) {
+    const filePath = path.join(this.policyDir, fileName);
+    let stats;
+    try {
+      stats = fs.statSync(filePath);
+    } catch (error) {
+      return null;
+    }
+    const cached = this.policyCache.get(filePath);
+    if (cached && cached.mtimeMs === stats.mtimeMs) return cached.policy;
+
+    let policy;
+    try {
+      policy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new SandboxError('INVALID_POLICY', `Invalid sandbox policy ${fileName}: ${error.message}`);
+    }
+    this.policyCache.set(filePath, { mtimeMs: stats.mtimeMs, policy });
+    return policy;
+  }
+
+  /**
+   * Resolve the effective policy for an agent: its own file layered over
+   * default.json (fields replaced, limits/env/namespaces/secrets merged key by key).
+   */
+  getPolicy(agentName = null) {
+    const base = this.readPolicyFile('default.json') || BUILTIN_POLICY;
+    const slug = agentName ? String(agentName).toLowerCase().replace(/[^a-z0-9_-]+/g, '-') : null;
+    const override = slug && slug !== 'default' ? this.readPolicyFile(`${slug}.json`) : null;
+    const merged = Object.assign({}, BUILTIN_POLICY, base, override || {});
+    merged.limits = Object.assign({}, base.limits, override && override.limits);
+    merged.env = Object.assign({}, BUILTIN_POLICY.env, base.env, override && override.env);
+    merged.namespaces = Object.assign({}, BUILTIN_POLICY.namespaces, base.namespaces, override && override.namespaces);
+    merged.secrets = Object.assign({}, BUILTIN_POLICY.secrets, base.secrets, override && override.secrets);
+    merged.name = override ? slug : 'default';
+    return merged;
+  }
+
+  /**
+   * Binaries a shell script would invoke, tracking `cd` targets so they can
+   * be checked against the confinement root.
+   */
+  inspectScript(script, cwd) {
+    const binaries = [];
+    const directories = [];
+    let currentDir = cwd;
+    const pending = [stripHeredocs(script)];
+    while (pending.length > 0) {
+      const { commands, nested } = splitShellCommands(pending.shift());
+      pending.push(...nested);
+      for (const command of commands) {
+        const words = shellWords(command).filter(w => !/^[A-Za-z_][A-Za-z0-9_]*=/.test(w));
+        // Skip redirection-only fragments such as `> file`
+        const first = words.find(w => !/^\d*[<>]/.test(w));
+        if (!first) continue;
+        if (first === 'cd') {
+          const target = words[words.indexOf(first) + 1];
+          if (target && target !== '-' && !target.includes('$')) {
+            currentDir = path.resolve(currentDir, target.replace(/^~(?=$|\/)/, cwd));
+            directories.push(currentDir);
+          }
+          continue;
+        }
+        if (!SHELL_BUILTINS.has(first)) binaries.push(path.basename(first));
+      }
+    }
+    return { binaries, directories };
+  }
+
+  buildEnv(policy, cwd, extraEnv = {}) {
+    const env = {};
+    for (const key of policy.env.passthrough || []) {
+      if (process.env[key] !== undefined && !SECRET_ENV_PATTERN.test(key)) env[key] = process.env[key];
+    }
+    Object.assign(env, policy.env.set || {});
+    env.HOME = cwd;
+    env.PWD = cwd;
+    // Explicitly injected variables (e.g. task secrets) are the caller's decision
+    return Object.assign(env, extraEnv);
+  }
+
+  // No process-count limit: `ulimit -u` counts every process of the server's user, not just the command's
+  buildUlimitPrefix(limits = {}) {
+    const parts = [];
+    if (limits.cpuSeconds) parts.push(`ulimit -t ${Math.ceil(limits.cpuSeconds)}`);
+    if (limits.memoryMb) parts.push(`ulimit -v ${Math.ceil(limits.memoryMb * 1024)}`);
+    if (limits.fileSizeMb) parts.push(`ulimit -f ${Math.ceil(limits.fileSizeMb * 1024)}`);
+    return parts.length > 0 ? `${parts.join(' && ')} && ` : '';
+  }
+
+  canUseNamespaces() {
+    if (process.platform !== 'linux') return false;
+    if (this.unshareAvailable === null) {
+      const probe = spawnSync('unshare', ['--user', '--map-root-user', 'true'], { stdio: 'ignore', timeout: 5000 });
+      this.unshareAvailable = probe.status === 0;
+    }
+    return this.unshareAvailable;
+  }
+
+  /**
+   * Run a command inside the sandbox.
+   *
+   * Either `command` (a shell script run with bash -c) or `file` + `args`
+   * (exec without a shell) must be given. `root` bounds the working
+   * directory and any `cd` in the script. Resolves with the process result;
+   * rejects with a SandboxError when the policy refuses to run it.
+   *
+   * Each run is a `command.exec` span; the command sees it as TRACEPARENT.
+   * Injected secret values are redacted from the returned output.
+   * Aborting `signal` kills the command's process group like a timeout.
+   */
+  async run(options = {}) {
+    const attributes = {
+      'process.command': redact(options.command !== undefined ? String(options.command).slice(0, 500) : String(options.file)),
+      agent: options.agentName
+    };
+    return tracer.startActiveSpan('command.exec', { attributes }, async (span) => {
+      const result = await this.execute({ ...options, env: { TRACEPARENT: span.traceparent(), ...options.env } });
+      result.stdout = redact(result.stdout);
+      result.stderr = redact(result.stderr);
+      span.setAttributes({
+        'process.exit_code': result.exitCode,
+        'sandbox.policy': result.policy,
+        'sandbox.isolation': result.isolation,
+        'process.timed_out': result.timedOut
+      });
+      if (result.exitCode !== 0) span.setStatus('error', `Exited with code ${result.exitCode}`);
+      return result;
+    });
+  }
+
+  async execute({ command, file, args = [], cwd, root = cwd, agentName = null, env = {}, timeoutMs, maxOutputBytes, signal: abortSignal = null } = {}) {
+    const policy = this.getPolicy(agentName);
+    const resolvedRoot = path.resolve(root || process.cwd());
+    const resolvedCwd = path.resolve(resolvedRoot, cwd || '.');
+    if (!isInside(resolvedRoot, resolvedCwd)) {
+      throw new SandboxError('CWD_OUTSIDE_ROOT', `Working directory ${resolvedCwd} is outside ${resolvedRoot}`);
+    }
+    await fs.promises.mkdir(resolvedCwd, { recursive: true });
+
+    const allowed = new Set(policy.allowedBinaries || []);
+    const inspected = command !== undefined
+      ? this.inspectScript(String(command), resolvedCwd)
+      : { binaries: [path.basename(String(file))], directories: [] };
+    const denied = inspected.binaries.filter(binary => !allowed.has(binary));
+    if (denied.length > 0) {
+      throw new SandboxError('BINARY_NOT_ALLOWED', `Command ${[...new Set(denied)].join(', ')} not allowed by ${policy.name} policy`);
+    }
+    const escaped = inspected.directories.find(dir => !isInside(resolvedRoot, dir));
+    if (escaped) {
+      throw new SandboxError('CWD_OUTSIDE_ROOT', `cd to ${escaped} leaves ${resolvedRoot}`);
+    }
+
+    // bash applies the ulimits, then execs the real command so limits are inherited
+    const argv = command !== undefined ? ['bash', '-c', String(command)] : [String(file), ...args.map(String)];
+    let spawnArgs = ['-c', `${this.buildUlimitPrefix(policy.limits)}exec "$@"`, 'sandbox', ...argv];
+    let spawnFile = 'bash';
+    let isolation = 'none';
+    if (policy.namespaces.enabled) {
+      if (this.canUseNamespaces()) {
+        const unshareArgs = ['--user', '--map-root-user', '--fork', '--pid', '--mount-proc'];
+        if (policy.namespaces.network === false) unshareArgs.push('--net');
+        spawnArgs = [...unshareArgs, spawnFile, ...spawnArgs];
+        spawnFile = 'unshare';
+        isolation = policy.namespaces.network === false ? 'namespaces+nonet' : 'namespaces';
+      } else if (policy.namespaces.required) {
+        throw new SandboxError('NAMESPACES_UNAVAILABLE', `${policy.name} policy requires Linux namespaces, which are not available on this host`);
+      } else {
+        log.warn(`Namespaces requested by ${policy.name} policy are not available; running with ulimits only`);
+      }
+    }
+
+    const limitTimeout = timeoutMs || policy.timeoutMs;
+    const outputCap = maxOutputBytes || policy.maxOutputBytes;
+    const startTime = Date.now();
+
+    return new Promise((resolve) => {
+      const child = spawn(spawnFile, spawnArgs, {
+        cwd: resolvedCwd,
+        env: this.buildEnv(policy, resolvedCwd, env),
+        stdio: ['ignore', 'pipe', 'pipe'],
+        // Own process group so a timeout kills everything the command started
+        detached: true
+      });
+
+      const streams = {
+        stdout: { chunks: [], bytes: 0, truncated: false },
+        stderr: { chunks: [], bytes: 0, truncated: false }
+      };
+      const collect = (name) => (data) => {
+        const stream = streams[name];
+        const room = outputCap - stream.bytes;
+        if (room <= 0) {
+          stream.truncated = true;
+          return;
+        }
+        const chunk = data.length > room ? data.subarray(0, room) : data;
+        if (data.length > room) stream.truncated = true;
+        stream.chunks.push(chunk);
+        stream.bytes += chunk.length;
+      };
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+
+      let timedOut = false;
+      let cancelled = false;
+      let killTimer = null;
+      const killGroup = (signal) => {
+        try { process.kill(-child.pid, signal); } catch (e) { /* already exited */ }
+      };
+      const terminate = () => {
+        killGroup('SIGTERM');
+        killTimer = setTimeout(() => killGroup('SIGKILL'), KILL_GRACE_MS);
+      };
+      const timer = setTimeout(() => {
+        timedOut = true;
+        terminate();
+      }, limitTimeout);
+      const onAbort = () => {
+        if (timedOut || cancelled) return;
+        cancelled = true;
+        terminate();
+      };
+      if (abortSignal) {
+        if (abortSignal.aborted) onAbort();
+        else abortSignal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      let settled = false;
+      const finish = (exitCode, signal, spawnError = null) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (killTimer) clearTimeout(killTimer);
+        if (abortSignal) abortSignal.removeEventListener('abort', onAbort);
+        const endTime = Date.now();
+        let stderr = Buffer.concat(streams.stderr.chunks).toString('utf8');
+        if (spawnError) stderr += spawnError.message;
+        if (timedOut) stderr += `${stderr && !stderr.endsWith('\n') ? '\n' : ''}Command timed out after ${limitTimeout}ms`;
+        if (cancelled) stderr += `${stderr && !stderr.endsWith('\n') ? '\n' : ''}Command cancelled`;
+        resolve({
+          exitCode: timedOut ? TIMEOUT_EXIT_CODE : (exitCode === null ? 1 : exitCode),
+          signal: signal || null,
+          stdout: Buffer.concat(streams.stdout.chunks).toString('utf8'),
+          stderr,
+          stdoutTruncated: streams.stdout.truncated,
+          stderrTruncated: streams.stderr.truncated,
+          timedOut,
+          cancelled,
+          policy: policy.name,
+          isolation,
+          startTime,
+          endTime,
+          duration: endTime - startTime
+        });
+      };
+
+      child.on('close', (exitCode, signal) => finish(exitCode, signal));
+      child.on('error', (error) => finish(1, null, error));
+    });
+  }
+}
+
+ExecutionSandbox.SandboxError = SandboxError;
+ExecutionSandbox.TIMEOUT_EXIT_CODE = TIMEOUT_EXIT_CODE;
+
+module.exports = ExecutionSandbox;
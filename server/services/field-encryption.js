@@ -0,0 +1,51 @@
+// Encryption of secret model columns (EnvVar values, Connection tokens).
+//
+// New values are vault envelopes bound to their row and column, so a value
+// copied into another record fails to decrypt. Values written before the
+// vault used envelopes are CryptoJS AES strings under ENCRYPTION_KEY; they
+// still decrypt and are converted by the next rewrap pass.
+
+const CryptoJS = require('crypto-js');
+const keyring = require('./vault-keyring');
+const { VaultError, isEnvelope } = keyring;
+
+const fieldContext = (table, id, column) => `${table}:${id}:${column}`;
+
+function encryptField(value, context) {
+  return keyring.encrypt(String(value), context);
+}
+
+function decryptLegacy(stored) {
+  let value = '';
+  try {
+    value = CryptoJS.AES.decrypt(stored, process.env.ENCRYPTION_KEY || '').toString(CryptoJS.enc.Utf8);
+  } catch (error) {
+    // Malformed ciphertext or wrong key; reported below
+  }
+  if (!value) throw new VaultError('Legacy value cannot be decrypted with ENCRYPTION_KEY', 'DECRYPT_FAILED');
+  return value;
+}
+
+/** Plaintext of a stored column value; empty columns are null. Throws VaultError when it cannot be decrypted. */
+function decryptField(stored, context) {
+  if (stored === null || stored === undefined || stored === '') return null;
+  return isEnvelope(stored) ? keyring.decrypt(stored, context) : decryptLegacy(stored);
+}
+
+/**
+ * The stored value wrapped by the active key: envelopes are re-wrapped,
+ * legacy values re-encrypted. Returns null when nothing needs to change.
+ */
+function rewrapField(stored, context) {
+  if (stored === null || stored === undefined || stored === '') return null;
+  if (!isEnvelope(stored)) return encryptField(decryptLegacy(stored), context);
+  const rewrapped = keyring.rewrap(stored);
+  return rewrapped === stored ? null : rewrapped;
+}
+
+// KEK id an envelope is wrapped with, or 'legacy'
+function keyIdOf(stored) {
+  return isEnvelope(stored) ? keyring.keyIdOf(stored) : 'legacy';
+}
+
+module.exports = { fieldContext, encryptField, decryptField, rewrapField, keyIdOf };
@@ -1,6 +1,7 @@
 const os = require('os');
 const fs = require('fs');
 const path = require('path');
+const metrics = require('./metrics');
 
 class HealthMonitor {
   constructor() {
@@ -53,23 +54,13 @@ class HealthMonitor {
     }
   }
 
+  // Counted from the orchestrator's workflows; zero until one is attached to the metrics service
   getTotalWorkflowsCount() {
-    try {
-      // Check database for total workflows
-      const dbPath = path.join(__dirname, '../shellcompany.db');
-      if (fs.existsSync(dbPath)) {
-        // This would ideally query the database, but for now return estimated
-        return this.requestCount > 0 ? Math.floor(this.requestCount / 10) : 0;
-      }
-      return 0;
-    } catch (error) {
-      return 0;
-    }
+    return metrics.workflowCounts().total;
   }
 
   getActiveWorkflowsCount() {
-    // In a production system, this would query active workflows from orchestrator
-    return Math.floor(this.getActiveAgentsCount() / 2);
+    return metrics.workflowCounts().active;
   }
 
   getSystemResources() {
@@ -2,6 +2,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const workspaceManager = require('./workspace-manager');
+const WorkspaceGit = require('./workspace-git');
 
 class LiveAgentInfrastructure {
   constructor(options = {}) {
@@ -17,6 +18,9 @@ class LiveAgentInfrastructure {
 
     // Use singleton workspace manager instance for real file operations
     this.workspaceManager = workspaceManager;
+
+    // Local git history for each workspace (see WorkspaceGit)
+    this.workspaceGit = options.workspaceGit || new WorkspaceGit();
     
     console.log('✅ Live Agent Infrastructure initialized');
   }
@@ -63,6 +67,13 @@ class LiveAgentInfrastructure {
       const workspaceInfoPath = path.join(workspacePath, 'WORKSPACE_INFO.json');
       await fs.writeFile(workspaceInfoPath, JSON.stringify(workspaceMetadata, null, 2));
       
+      try {
+        workspaceMetadata.git = await this.workspaceGit.ensureRepo(workspacePath, agentName);
+      } catch (error) {
+        console.warn(`[AGENT-WORKSPACE] Could not initialize git history for ${agentName}:`, error.message);
+        workspaceMetadata.git = false;
+      }
+
       // Store in memory
       this.agentWorkspaces.set(agentName, workspaceMetadata);
       
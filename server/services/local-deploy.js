@@ -0,0 +1,400 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const deploymentPipeline = require('./deployment-pipeline');
+const logger = require('./logger');
+const log = logger.child({ source: 'LOCAL-DEPLOY' });
+
+const DEFAULT_TTL_MINUTES = 120;
+const DEFAULT_MAX_PREVIEWS = 20;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// Never copied into a preview
+const SKIPPED_ENTRIES = new Set(['.git', 'node_modules']);
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.wasm': 'application/wasm'
+};
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// A relative path that stays inside the directory it is joined to, or null
+function safeRelative(file) {
+  const normalized = path.posix.normalize(String(file).replace(/\\/g, '/')).replace(/^\/+/, '');
+  if (!normalized || normalized === '.' || normalized.startsWith('../') || normalized === '..') return null;
+  return normalized;
+}
+
+const within = (root, target) => target === root || target.startsWith(root + path.sep);
+
+/**
+ * Deploy target for machines without network access: each deployment copies
+ * a built site into its own release directory and serves it from a static
+ * file server on its own port, e.g. http://127.0.0.1:43121/.
+ *
+ * A site comes from an agent workspace (`agent`, optionally with a
+ * `directory` inside it), a `directory` under the workspaces root, the
+ * artifacts of a workflow (`workflowId`, read from the blob store) or an
+ * uploaded `files` map. Previews are kept for LOCAL_DEPLOY_TTL_MINUTES
+ * (default two hours) and at most LOCAL_DEPLOY_MAX_PREVIEWS run at once; the
+ * oldest is stopped to make room. State changes are reported to the deploy
+ * pipeline the way provider webhooks are.
+ */
+class LocalDeployService {
+  constructor(options = {}) {
+    this.options = options;
+    this.root = options.root || process.env.LOCAL_DEPLOY_DIR || path.join(__dirname, '..', 'local-deploys');
+    this.workspacesRoot = path.resolve(options.workspacesRoot || path.join(__dirname, '..', 'agent-workspaces'));
+    this.host = options.host || process.env.LOCAL_DEPLOY_HOST || '127.0.0.1';
+    this.ttlMs = options.ttlMs || envNumber('LOCAL_DEPLOY_TTL_MINUTES', DEFAULT_TTL_MINUTES) * 60 * 1000;
+    this.maxPreviews = options.maxPreviews || envNumber('LOCAL_DEPLOY_MAX_PREVIEWS', DEFAULT_MAX_PREVIEWS);
+    this.previews = new Map(); // preview id -> { id, name, dir, server, url, state, log, expiresAt }
+    this.sweepTimer = null;
+    this.ready = null;
+  }
+
+  // Models and the blob store are resolved lazily so requiring the service never opens the database
+  get models() {
+    if (!this.options.models) this.options.models = require('../models');
+    return this.options.models;
+  }
+
+  get blobStore() {
+    if (!this.options.blobStore) this.options.blobStore = require('./blob-store');
+    return this.options.blobStore;
+  }
+
+  // Release directories left by an earlier run have no server any more
+  async prepare() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await fs.promises.rm(this.root, { recursive: true, force: true });
+        await fs.promises.mkdir(this.root, { recursive: true });
+      })();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Copy the site into a new release directory and start serving it.
+   * Resolves with { local: preview } once the preview answers requests.
+   */
+  async createDeployment(userId, deploymentData = {}) {
+    await this.prepare();
+    this.start();
+
+    const id = `local-${crypto.randomBytes(6).toString('hex')}`;
+    const preview = {
+      id,
+      name: deploymentData.name || id,
+      dir: path.join(this.root, id),
+      server: null,
+      url: null,
+      state: 'building',
+      error: null,
+      log: [],
+      createdAt: new Date(),
+      expiresAt: null
+    };
+    this.previews.set(id, preview);
+
+    try {
+      const count = await this.copySource(preview, deploymentData);
+      if (count === 0) throw new Error('Nothing to serve: the source has no files');
+      while (this.running().length >= this.maxPreviews) {
+        const [oldest] = this.running().sort((a, b) => a.expiresAt - b.expiresAt);
+        await this.expire(oldest, `Stopped to make room for preview ${id}`);
+      }
+      await this.listen(preview);
+    } catch (error) {
+      // The provider never accepted it, so the error is all there is to report
+      this.previews.delete(id);
+      await fs.promises.rm(preview.dir, { recursive: true, force: true });
+      throw error;
+    }
+
+    const ttlMs = deploymentData.ttlMinutes > 0 ? deploymentData.ttlMinutes * 60 * 1000 : this.ttlMs;
+    preview.expiresAt = new Date(Date.now() + ttlMs);
+    preview.state = 'ready';
+    preview.log.push(`Serving ${preview.name} at ${preview.url} until ${preview.expiresAt.toISOString()}`);
+    log.info(`${preview.name} is live at ${preview.url} (${id})`);
+    await this.audit(userId, 'CREATE_LOCAL_DEPLOYMENT', id, { name: preview.name, url: preview.url });
+
+    return { local: this.describe(preview) };
+  }
+
+  /**
+   * Write the files of the requested source into the release directory and
+   * return how many were written.
+   */
+  async copySource(preview, { agent, directory, workflowId, files } = {}) {
+    await fs.promises.mkdir(preview.dir, { recursive: true });
+
+    if (files && typeof files === 'object') {
+      let count = 0;
+      for (const [file, content] of Object.entries(files)) {
+        const relative = safeRelative(file);
+        if (!relative) throw new Error(`Invalid file path in bundle: ${file}`);
+        await this.writeFile(preview.dir, relative, content);
+        count++;
+      }
+      preview.log.push(`Unpacked ${count} uploaded file(s)`);
+      return count;
+    }
+
+    if (workflowId) return this.copyArtifacts(preview, workflowId);
+
+    if (agent || directory) {
+      const base = agent ? path.join(this.workspacesRoot, `${agent}-workspace`) : this.workspacesRoot;
+      const source = path.resolve(base, directory || '.');
+      // Only built workspaces can be served, never arbitrary server paths
+      if (!within(this.workspacesRoot, source)) throw new Error(`${directory} is outside the agent workspaces`);
+      const stat = await fs.promises.stat(source).catch(() => null);
+      if (!stat || !stat.isDirectory()) throw new Error(`${path.relative(this.workspacesRoot, source) || 'workspace'} is not a directory`);
+      const count = await this.copyDirectory(source, preview.dir);
+      preview.log.push(`Copied ${count} file(s) from ${path.relative(path.dirname(this.workspacesRoot), source)}`);
+      return count;
+    }
+
+    throw new Error('Local deployments need an agent, directory, workflowId or files to serve');
+  }
+
+  async copyDirectory(source, target) {
+    let count = 0;
+    for (const entry of await fs.promises.readdir(source, { withFileTypes: true })) {
+      if (SKIPPED_ENTRIES.has(entry.name)) continue;
+      const from = path.join(source, entry.name);
+      const to = path.join(target, entry.name);
+      if (entry.isDirectory()) {
+        await fs.promises.mkdir(to, { recursive: true });
+        count += await this.copyDirectory(from, to);
+      } else if (entry.isFile()) {
+        await fs.promises.copyFile(from, to);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  // A workflow's active artifacts, laid out by their workspace-relative paths
+  async copyArtifacts(preview, workflowId) {
+    const { Artifact } = this.models;
+    const artifacts = await Artifact.findAll({ where: { workflow_id: workflowId, status: 'active' }, order: [['created_at', 'ASC']] });
+    let count = 0;
+    for (const artifact of artifacts) {
+      const relative = safeRelative(path.isAbsolute(artifact.path) ? path.basename(artifact.path) : artifact.path);
+      if (!relative || !artifact.sha256) {
+        preview.log.push(`Skipped artifact ${artifact.path}: no stored content`);
+        continue;
+      }
+      const content = await this.blobStore.readContent(artifact.sha256, null).catch(() => null);
+      if (content === null) {
+        preview.log.push(`Skipped artifact ${artifact.path}: blob ${artifact.sha256.slice(0, 12)} is missing`);
+        continue;
+      }
+      await this.writeFile(preview.dir, relative, content);
+      count++;
+    }
+    preview.log.push(`Unpacked ${count} artifact(s) of workflow ${workflowId}`);
+    return count;
+  }
+
+  async writeFile(root, relative, content) {
+    const target = path.join(root, relative);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, content);
+  }
+
+  // Each preview gets its own server on a free port
+  listen(preview) {
+    return new Promise((resolve, reject) => {
+      const server = http.createServer((req, res) => this.serve(preview, req, res));
+      server.once('error', reject);
+      server.listen(0, this.host, () => {
+        server.removeListener('error', reject);
+        preview.server = server;
+        preview.url = `http://${this.host}:${server.address().port}/`;
+        resolve(preview);
+      });
+    });
+  }
+
+  async serve(preview, req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      return res.end();
+    }
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, 'http://preview').pathname);
+    } catch (error) {
+      res.writeHead(400);
+      return res.end('Bad request');
+    }
+    let file = path.join(preview.dir, path.normalize(pathname));
+    if (!within(preview.dir, file)) {
+      res.writeHead(404);
+      return res.end('Not found');
+    }
+
+    let stat = await fs.promises.stat(file).catch(() => null);
+    if (stat && stat.isDirectory()) {
+      file = path.join(file, 'index.html');
+      stat = await fs.promises.stat(file).catch(() => null);
+    }
+    if (!stat || !stat.isFile()) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      return res.end('Not found');
+    }
+
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': stat.size,
+      'Cache-Control': 'no-cache'
+    });
+    if (req.method === 'HEAD') return res.end();
+    fs.createReadStream(file).on('error', () => res.destroy()).pipe(res);
+  }
+
+  describe(preview) {
+    return {
+      id: preview.id,
+      name: preview.name,
+      state: preview.state,
+      url: preview.url,
+      error: preview.error,
+      created_at: preview.createdAt,
+      expires_at: preview.expiresAt
+    };
+  }
+
+  running() {
+    return [...this.previews.values()].filter(preview => preview.state === 'ready');
+  }
+
+  listDeployments() {
+    return [...this.previews.values()].map(preview => this.describe(preview));
+  }
+
+  // Previews live in memory, so ones from before a restart read as expired
+  async getDeployment(userId, deploymentId) {
+    const preview = this.previews.get(deploymentId);
+    return preview ? this.describe(preview) : { id: deploymentId, state: 'expired', url: null, error: 'Preview no longer exists' };
+  }
+
+  async getBuildLog(userId, deploymentId) {
+    const preview = this.previews.get(deploymentId);
+    return preview ? preview.log.join('\n') : '';
+  }
+
+  /**
+   * Put a running preview back in service for a promotion or rollback and
+   * give it a fresh TTL. Null when it has already expired.
+   */
+  async restoreDeployment(userId, deploymentId) {
+    const preview = this.previews.get(deploymentId);
+    if (!preview || preview.state !== 'ready') return null;
+    preview.expiresAt = new Date(Date.now() + this.ttlMs);
+    return this.describe(preview);
+  }
+
+  async cancelDeployment(userId, deploymentId) {
+    const preview = this.previews.get(deploymentId);
+    if (!preview) throw new Error(`Local deployment ${deploymentId} not found`);
+    await this.stopPreview(preview, 'cancelled');
+    await this.updateDeploymentStatus(deploymentId, 'cancelled');
+    await this.audit(userId, 'CANCEL_LOCAL_DEPLOYMENT', deploymentId, { name: preview.name });
+    return this.describe(preview);
+  }
+
+  async stopPreview(preview, state) {
+    this.previews.delete(preview.id);
+    preview.state = state;
+    if (preview.server) {
+      const server = preview.server;
+      preview.server = null;
+      await new Promise(resolve => {
+        server.close(() => resolve());
+        if (server.closeAllConnections) server.closeAllConnections();
+      });
+    }
+    await fs.promises.rm(preview.dir, { recursive: true, force: true });
+  }
+
+  async expire(preview, reason) {
+    await this.stopPreview(preview, 'expired');
+    log.info(`${preview.name} (${preview.id}) stopped: ${reason}`);
+    await this.updateDeploymentStatus(preview.id, 'expired', { error: reason });
+  }
+
+  /**
+   * Stop previews whose TTL has passed.
+   */
+  async sweep(now = Date.now()) {
+    const expired = this.running().filter(preview => preview.expiresAt && preview.expiresAt.getTime() <= now);
+    for (const preview of expired) {
+      await this.expire(preview, 'TTL expired');
+    }
+    return expired.length;
+  }
+
+  // Same path the cloud providers' webhooks take into the deploy pipeline
+  async updateDeploymentStatus(deploymentId, state, details = {}) {
+    try {
+      return await (this.options.pipeline || deploymentPipeline).applyProviderState('local', deploymentId, state, details);
+    } catch (error) {
+      log.warn(`Could not report ${state} for ${deploymentId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async audit(userId, action, deploymentId, metadata) {
+    try {
+      await this.models.Audit.create({ actor_id: userId, action, target: 'deployment', target_id: deploymentId, metadata });
+    } catch (error) {
+      log.warn(`Could not audit ${action}: ${error.message}`);
+    }
+  }
+
+  start() {
+    if (this.sweepTimer) return;
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => log.error('Sweep failed', { error: error.message }));
+    }, this.options.sweepIntervalMs || SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  async stop() {
+    if (this.sweepTimer) clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+    for (const preview of [...this.previews.values()]) {
+      await this.stopPreview(preview, 'expired');
+    }
+  }
+}
+
+module.exports = new LocalDeployService();
+module.exports.LocalDeployService = LocalDeployService;
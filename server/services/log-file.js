@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 14;
+
+/**
+ * Append-only JSONL log files, one per UTC day: `<prefix>-YYYY-MM-DD.jsonl`.
+ * A day that outgrows `maxBytes` continues in `<prefix>-YYYY-MM-DD.1.jsonl`,
+ * `.2.jsonl`, ...; only the newest `maxFiles` files are kept.
+ */
+class RotatingLogFile {
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.prefix = options.prefix || 'shellcompany';
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    this.maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+    this.stream = null;
+    this.day = null;
+    this.index = 0;
+    this.bytes = 0;
+  }
+
+  fileName(day, index) {
+    return index > 0 ? `${this.prefix}-${day}.${index}.jsonl` : `${this.prefix}-${day}.jsonl`;
+  }
+
+  pathFor(day, index) {
+    return path.join(this.dir, this.fileName(day, index));
+  }
+
+  // Resume the newest file of the day after a restart
+  latestIndex(day) {
+    let index = 0;
+    while (fs.existsSync(this.pathFor(day, index + 1))) index++;
+    return index;
+  }
+
+  open(day, index) {
+    this.close();
+    fs.mkdirSync(this.dir, { recursive: true });
+    const file = this.pathFor(day, index);
+    this.bytes = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    // Opened synchronously so the file exists (for rotation and pruning) before the first write lands
+    this.stream = fs.createWriteStream(file, { fd: fs.openSync(file, 'a') });
+    this.stream.on('error', (error) => {
+      process.stderr.write(`[LOGGER] Log file write failed: ${error.message}\n`);
+    });
+    this.day = day;
+    this.index = index;
+  }
+
+  write(line, now = new Date()) {
+    const day = now.toISOString().slice(0, 10);
+    const size = Buffer.byteLength(line);
+    if (day !== this.day) {
+      this.open(day, this.latestIndex(day));
+      this.prune();
+    }
+    if (this.bytes > 0 && this.bytes + size > this.maxBytes) {
+      this.open(day, this.index + 1);
+      this.prune();
+    }
+    this.stream.write(line);
+    this.bytes += size;
+  }
+
+  // Oldest first, ordered by day and then rotation index
+  files() {
+    if (!fs.existsSync(this.dir)) return [];
+    const pattern = new RegExp(`^${this.prefix}-(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?\\.jsonl$`);
+    return fs.readdirSync(this.dir)
+      .map(name => ({ name, match: pattern.exec(name) }))
+      .filter(file => file.match)
+      .sort((a, b) => a.match[1].localeCompare(b.match[1]) || Number(a.match[2] || 0) - Number(b.match[2] || 0))
+      .map(file => file.name);
+  }
+
+  prune() {
+    const current = this.stream ? this.fileName(this.day, this.index) : null;
+    const stale = this.files().filter(name => name !== current);
+    const excess = stale.length + (current ? 1 : 0) - this.maxFiles;
+    for (const name of stale.slice(0, Math.max(0, excess))) {
+      try {
+        fs.unlinkSync(path.join(this.dir, name));
+      } catch (error) {
+        process.stderr.write(`[LOGGER] Failed to remove old log file ${name}: ${error.message}\n`);
+      }
+    }
+  }
+
+  close() {
+    if (!this.stream) return Promise.resolve();
+    const stream = this.stream;
+    this.stream = null;
+    this.day = null;
+    return new Promise(resolve => stream.end(resolve));
+  }
+}
+
+module.exports = RotatingLogFile;
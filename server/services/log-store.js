@@ -0,0 +1,251 @@
+const { Op, fn, col, where: whereFn } = require('sequelize');
+
+const DEFAULT_BATCH_SIZE = 200;
+const DEFAULT_FLUSH_INTERVAL_MS = 1000;
+const DEFAULT_MAX_PENDING = 5000;
+const DEFAULT_RETENTION_DAYS = 14;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_PAGE_SIZE = 1000;
+
+class LogQueryError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'LogQueryError';
+    this.code = code;
+  }
+}
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Cursors point at the oldest entry of the previous page
+function encodeCursor(entry) {
+  return Buffer.from(JSON.stringify([new Date(entry.timestamp).toISOString(), entry.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [timestamp, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime()) || typeof id !== 'string') throw new Error('malformed');
+    return { timestamp: date, id };
+  } catch (error) {
+    throw new LogQueryError('Invalid cursor', 'INVALID_QUERY');
+  }
+}
+
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+  if (Number.isNaN(date.getTime())) throw new LogQueryError(`Invalid ${name} time`, 'INVALID_QUERY');
+  return date;
+}
+
+/**
+ * Normalize query-string style filters:
+ * { since, until, level, agent, workflowId, taskId, source, q, cursor, limit }.
+ * `level` and `source` accept comma-separated lists.
+ */
+function normalizeFilters(filters = {}) {
+  const list = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+  const limit = filters.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(filters.limit, 10);
+  return {
+    since: parseTime(filters.since, 'since'),
+    until: parseTime(filters.until, 'until'),
+    levels: list(filters.level),
+    sources: list(filters.source),
+    agent: filters.agent || null,
+    workflowId: filters.workflowId || null,
+    taskId: filters.taskId || null,
+    text: filters.q ? String(filters.q) : null,
+    cursor: filters.cursor ? decodeCursor(filters.cursor) : null,
+    limit: Number.isFinite(limit) && limit > 0 ? Math.min(limit, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE
+  };
+}
+
+// Same predicate as the SQL query, for entries that are only held in memory
+function matchesFilters(entry, filters) {
+  const time = new Date(entry.timestamp);
+  if (filters.since && time < filters.since) return false;
+  if (filters.until && time > filters.until) return false;
+  if (filters.levels.length && !filters.levels.includes(entry.level)) return false;
+  if (filters.sources.length && !filters.sources.includes(entry.source)) return false;
+  if (filters.agent && entry.agent !== filters.agent) return false;
+  if (filters.workflowId && entry.workflowId !== filters.workflowId) return false;
+  if (filters.taskId && entry.taskId !== filters.taskId) return false;
+  if (filters.text && !String(entry.message).toLowerCase().includes(filters.text.toLowerCase())) return false;
+  if (filters.cursor) {
+    const { timestamp, id } = filters.cursor;
+    if (time > timestamp || (time.getTime() === timestamp.getTime() && entry.id >= id)) return false;
+  }
+  return true;
+}
+
+/**
+ * Page through entries newest-first with filters applied; each page is
+ * returned oldest-first. `nextCursor` fetches the page before it.
+ */
+function pageOf(sortedNewestFirst, limit) {
+  const hasMore = sortedNewestFirst.length > limit;
+  const page = sortedNewestFirst.slice(0, limit);
+  return {
+    logs: page.reverse(),
+    nextCursor: hasMore && page.length ? encodeCursor(page[0]) : null
+  };
+}
+
+/**
+ * Database store for structured log entries. Writes are buffered and inserted
+ * in batches so logging never waits on SQLite; entries older than
+ * LOG_RETENTION_DAYS (default 14) are pruned hourly while started.
+ */
+class LogStore {
+  constructor(options = {}) {
+    this.options = options;
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.maxPending = options.maxPending || DEFAULT_MAX_PENDING;
+    this.flushIntervalMs = options.flushIntervalMs || DEFAULT_FLUSH_INTERVAL_MS;
+    this.retentionMs = options.retentionMs !== undefined
+      ? options.retentionMs
+      : envNumber('LOG_RETENTION_DAYS', DEFAULT_RETENTION_DAYS) * 24 * 3600 * 1000;
+    this.pending = [];
+    this.flushing = null;
+    this.failing = false;
+    this.timers = [];
+  }
+
+  // Models are resolved lazily so requiring the store never opens the database
+  get models() {
+    if (!this.options.models) this.options.models = require('../models');
+    return this.options.models;
+  }
+
+  toRow(entry) {
+    return {
+      id: entry.id,
+      timestamp: new Date(entry.timestamp),
+      level: entry.level,
+      source: entry.source,
+      agent: entry.agent || null,
+      workflow_id: entry.workflowId || null,
+      task_id: entry.taskId || null,
+      message: entry.message,
+      fields: entry.fields && Object.keys(entry.fields).length ? entry.fields : null
+    };
+  }
+
+  toEntry(row) {
+    return {
+      id: row.id,
+      timestamp: new Date(row.timestamp).toISOString(),
+      level: row.level,
+      source: row.source,
+      agent: row.agent,
+      workflowId: row.workflow_id,
+      taskId: row.task_id,
+      message: row.message,
+      fields: row.fields || {}
+    };
+  }
+
+  add(entry) {
+    this.pending.push(entry);
+    // Under sustained failure keep memory bounded by dropping the oldest entries
+    if (this.pending.length > this.maxPending) this.pending.splice(0, this.pending.length - this.maxPending);
+    if (!this.flushing && this.pending.length >= this.batchSize) this.flush();
+  }
+
+  flush() {
+    // Entries added while a batch is in flight go out in the next one
+    if (this.flushing) return this.flushing.then(() => this.flush());
+    if (this.pending.length === 0) return Promise.resolve();
+    const batch = this.pending.splice(0, this.pending.length);
+    // Statement logging is off here: logged SQL would be written back into the store
+    this.flushing = this.models.LogEntry.bulkCreate(batch.map(entry => this.toRow(entry)), { logging: false })
+      .then(() => {
+        this.failing = false;
+      })
+      .catch((error) => {
+        // Report once per outage, straight to stderr so the warning is not itself stored
+        if (!this.failing) process.stderr.write(`[LOGGER] Failed to store log entries: ${error.message}\n`);
+        this.failing = true;
+      })
+      .finally(() => {
+        this.flushing = null;
+      });
+    return this.flushing;
+  }
+
+  async query(filters = {}) {
+    const f = normalizeFilters(filters);
+    await this.flush();
+
+    const where = {};
+    const and = [];
+    if (f.since || f.until) {
+      where.timestamp = {};
+      if (f.since) where.timestamp[Op.gte] = f.since;
+      if (f.until) where.timestamp[Op.lte] = f.until;
+    }
+    if (f.levels.length) where.level = { [Op.in]: f.levels };
+    if (f.sources.length) where.source = { [Op.in]: f.sources };
+    if (f.agent) where.agent = f.agent;
+    if (f.workflowId) where.workflow_id = f.workflowId;
+    if (f.taskId) where.task_id = f.taskId;
+    if (f.text) {
+      // Case-insensitive substring match without LIKE wildcard escaping
+      and.push(whereFn(fn('instr', fn('lower', col('message')), f.text.toLowerCase()), { [Op.gt]: 0 }));
+    }
+    if (f.cursor) {
+      and.push({
+        [Op.or]: [
+          { timestamp: { [Op.lt]: f.cursor.timestamp } },
+          { timestamp: f.cursor.timestamp, id: { [Op.lt]: f.cursor.id } }
+        ]
+      });
+    }
+    if (and.length) where[Op.and] = and;
+
+    const rows = await this.models.LogEntry.findAll({
+      where,
+      order: [['timestamp', 'DESC'], ['id', 'DESC']],
+      limit: f.limit + 1,
+      logging: false
+    });
+    return pageOf(rows.map(row => this.toEntry(row)), f.limit);
+  }
+
+  async prune(now = Date.now()) {
+    const deleted = await this.models.LogEntry.destroy({
+      where: { timestamp: { [Op.lt]: new Date(now - this.retentionMs) } },
+      logging: false
+    });
+    return { deleted };
+  }
+
+  start() {
+    if (this.timers.length) return;
+    const flushTimer = setInterval(() => this.flush(), this.flushIntervalMs);
+    const pruneTimer = setInterval(() => {
+      this.prune().catch(error => process.stderr.write(`[LOGGER] Log retention failed: ${error.message}\n`));
+    }, PRUNE_INTERVAL_MS);
+    flushTimer.unref();
+    pruneTimer.unref();
+    this.timers = [flushTimer, pruneTimer];
+  }
+
+  async stop() {
+    for (const timer of this.timers) clearInterval(timer);
+    this.timers = [];
+    await this.flush();
+  }
+}
+
+module.exports = LogStore;
+module.exports.LogQueryError = LogQueryError;
+module.exports.normalizeFilters = normalizeFilters;
+module.exports.matchesFilters = matchesFilters;
+module.exports.pageOf = pageOf;
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const path = require('path');
+const RotatingLogFile = require('./log-file');
+const LogStore = require('./log-store');
+const redaction = require('./secret-redaction');
+const { normalizeFilters, matchesFilters, pageOf } = LogStore;
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const CONTEXT_KEYS = ['source', 'agent', 'workflowId', 'taskId'];
+const RECENT_LIMIT = 1000;
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * A logger bound to context fields, e.g.
+ *
+ *   const log = logger.child({ source: 'WORKFLOW', workflowId });
+ *   log.info('Task finished', { taskId, agent: 'Nova', durationMs });
+ */
+class ChildLogger {
+  constructor(root, context) {
+    this.root = root;
+    this.context = context;
+  }
+
+  child(context = {}) {
+    return new ChildLogger(this.root, { ...this.context, ...context });
+  }
+
+  log(level, message, fields = {}) {
+    return this.root.log(level, message, { ...this.context, ...fields });
+  }
+}
+
+for (const level of LEVELS) {
+  ChildLogger.prototype[level] = function logAtLevel(message, fields) {
+    return this.log(level, message, fields);
+  };
+}
+
+/**
+ * Structured server logger. Every entry carries a level, source and optional
+ * agent, workflowId and taskId alongside free-form fields, and is
+ *   - echoed to stdout/stderr,
+ *   - broadcast to connected Console clients,
+ *   - appended to rotating JSONL files under LOG_DIR (default server/logs),
+ *   - stored in `log_entries` for filtered queries.
+ *
+ * Files and the database store are only written once `start()` has been
+ * called; until then (and in tests) queries are answered from the most recent
+ * entries held in memory. Entries below LOG_LEVEL (default info) are dropped.
+ */
+class Logger {
+  constructor(options = {}) {
+    this.options = options;
+    this.minLevel = LEVELS.indexOf(options.level || process.env.LOG_LEVEL || 'info');
+    if (this.minLevel === -1) this.minLevel = LEVELS.indexOf('info');
+    this.recent = [];
+    this.broadcast = null;
+    this.file = null;
+    this.store = options.store || new LogStore({ models: options.models });
+    this.started = false;
+  }
+
+  setBroadcast(fn) {
+    this.broadcast = fn;
+  }
+
+  child(context = {}) {
+    return new ChildLogger(this, context);
+  }
+
+  createEntry(level, message, fields = {}) {
+    const context = {};
+    const extra = {};
+    for (const [key, value] of Object.entries(fields || {})) {
+      if (CONTEXT_KEYS.includes(key)) context[key] = value === undefined || value === null ? null : String(value);
+      else if (value !== undefined) extra[key] = value;
+    }
+    if (message instanceof Error) {
+      extra.stack = message.stack;
+      message = message.message;
+    }
+    return {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      level: LEVELS.includes(level) ? level : 'info',
+      source: context.source || 'server',
+      agent: context.agent || null,
+      workflowId: context.workflowId || null,
+      taskId: context.taskId || null,
+      message: String(message),
+      fields: extra
+    };
+  }
+
+  log(level, message, fields) {
+    const entry = this.createEntry(level, message, fields);
+    this.write(entry);
+    return entry;
+  }
+
+  // Human-readable line for the terminal: `[SOURCE:workflowId] message key=value`
+  format(entry) {
+    const tag = entry.workflowId ? `${entry.source}:${entry.workflowId}` : entry.source;
+    const details = Object.entries({ agent: entry.agent, taskId: entry.taskId, ...entry.fields })
+      .filter(([key, value]) => value !== null && value !== undefined && key !== 'stack')
+      .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`);
+    const line = [`[${tag}]`, entry.message, ...details].join(' ');
+    return entry.fields.stack ? `${line}\n${entry.fields.stack}` : line;
+  }
+
+  /**
+   * Record an entry in every sink. `echo: false` skips the terminal, for
+   * console output that has already been printed.
+   */
+  write(entry, { echo = true } = {}) {
+    if (LEVELS.indexOf(entry.level) < this.minLevel) return;
+    // Values of secrets injected into running tasks never reach a sink
+    if (redaction.isActive()) {
+      entry.message = redaction.redact(entry.message);
+      entry.fields = redaction.redactDeep(entry.fields);
+    }
+
+    if (echo) {
+      const stream = entry.level === 'error' || entry.level === 'warn' ? process.stderr : process.stdout;
+      stream.write(`${this.format(entry)}\n`);
+    }
+
+    this.recent.push(entry);
+    if (this.recent.length > RECENT_LIMIT) this.recent.shift();
+
+    try {
+      if (this.broadcast) this.broadcast({ type: 'console_log', data: entry });
+    } catch (error) {
+      // A broken client connection must never break logging
+    }
+
+    if (!this.started) return;
+    try {
+      this.file.write(`${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      process.stderr.write(`[LOGGER] Log file write failed: ${error.message}\n`);
+    }
+    this.store.add(entry);
+  }
+
+  recentEntries() {
+    return [...this.recent];
+  }
+
+  /**
+   * Filtered, cursor-paginated entries: { logs, nextCursor }. See
+   * normalizeFilters in log-store for the accepted filters.
+   */
+  async query(filters = {}) {
+    const normalized = normalizeFilters(filters);
+    if (this.started) {
+      try {
+        return await this.store.query(filters);
+      } catch (error) {
+        // Fall back to recent entries while the store is unavailable (e.g. before migrations)
+        process.stderr.write(`[LOGGER] Log store query failed: ${error.message}\n`);
+      }
+    }
+    const matching = this.recent.filter(entry => matchesFilters(entry, normalized)).reverse();
+    return pageOf(matching, normalized.limit);
+  }
+
+  start() {
+    if (this.started) return;
+    this.file = new RotatingLogFile({
+      dir: this.options.dir || process.env.LOG_DIR || path.join(__dirname, '..', 'logs'),
+      maxBytes: envNumber('LOG_FILE_MAX_MB', 10) * 1024 * 1024,
+      maxFiles: envNumber('LOG_FILE_MAX_FILES', 14)
+    });
+    this.store.start();
+    this.started = true;
+  }
+
+  async stop() {
+    if (!this.started) return;
+    this.started = false;
+    await this.store.stop();
+    await this.file.close();
+  }
+}
+
+for (const level of LEVELS) {
+  Logger.prototype[level] = function logAtLevel(message, fields) {
+    return this.log(level, message, fields);
+  };
+}
+
+module.exports = new Logger();
+module.exports.Logger = Logger;
+module.exports.LEVELS = LEVELS;
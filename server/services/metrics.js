@@ -0,0 +1,189 @@
+const { Registry, CONTENT_TYPE } = require('./prometheus');
+const logger = require('./logger');
+const log = logger.child({ source: 'METRICS' });
+
+const TERMINAL_WORKFLOW_STATUSES = ['completed', 'failed', 'rejected'];
+const TASK_DURATION_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600];
+const PROVIDER_LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 4, 8, 15, 30, 60, 120];
+
+/**
+ * ShellCompany's Prometheus metrics, served from `/metrics`.
+ *
+ * Provider requests and agent task durations are recorded as they happen by
+ * RealProviderEngine, ProviderMonitor and the orchestrator. Workflow states,
+ * agent queues, provider capacity and task queue statistics are read from the
+ * live services at scrape time.
+ */
+class Metrics {
+  constructor(options = {}) {
+    this.options = options;
+    this.registry = new Registry();
+    const r = this.registry;
+
+    this.workflows = r.gauge('shellcompany_workflows', 'Workflows known to the orchestrator by status', ['status']);
+    this.orchestratorQueuedTasks = r.gauge('shellcompany_orchestrator_queued_tasks', 'Workflow tasks waiting for an agent');
+    this.agentQueueDepth = r.gauge('shellcompany_agent_queue_depth', 'Tasks queued for each agent', ['agent', 'role']);
+    this.agentBusy = r.gauge('shellcompany_agent_busy', 'Whether the agent is currently executing a task', ['agent']);
+    this.taskDuration = r.histogram('shellcompany_agent_task_duration_seconds', 'Duration of workflow tasks by agent and outcome', ['agent', 'status'], TASK_DURATION_BUCKETS);
+
+    this.providerRequests = r.counter('shellcompany_provider_requests_total', 'Provider API requests by outcome', ['provider', 'outcome']);
+    this.providerLatency = r.histogram('shellcompany_provider_request_duration_seconds', 'Provider API request latency', ['provider'], PROVIDER_LATENCY_BUCKETS);
+    this.providerTokens = r.counter('shellcompany_provider_tokens_total', 'Tokens exchanged with providers', ['provider', 'direction']);
+    this.providerCost = r.counter('shellcompany_provider_cost_usd_total', 'Estimated provider spend in USD', ['provider']);
+
+    this.providerInFlight = r.gauge('shellcompany_provider_in_flight_requests', 'Provider requests currently in flight', ['provider']);
+    this.providerMaxConcurrent = r.gauge('shellcompany_provider_max_concurrent_requests', 'Concurrent request limit per provider key', ['provider']);
+    this.providerRecentRequests = r.gauge('shellcompany_provider_requests_last_minute', 'Provider requests started in the last minute', ['provider']);
+    this.providerRpmLimit = r.gauge('shellcompany_provider_rpm_limit', 'Requests-per-minute limit per provider key', ['provider']);
+
+    this.taskQueueTasks = r.gauge('shellcompany_task_queue_tasks', 'Task queue entries by state', ['state']);
+    this.taskQueueCompletedByPriority = r.gauge('shellcompany_task_queue_completed_tasks', 'Retained finished task queue entries by priority', ['priority']);
+    this.taskQueueAverageDuration = r.gauge('shellcompany_task_queue_average_duration_seconds', 'Average duration of retained finished task queue entries');
+    this.taskQueueCost = r.gauge('shellcompany_task_queue_cost_usd', 'Cost of retained finished task queue entries in USD');
+
+    this.uptime = r.gauge('shellcompany_process_uptime_seconds', 'Seconds since the server process started');
+    this.memory = r.gauge('shellcompany_process_memory_bytes', 'Process memory usage', ['type']);
+
+    r.collect(() => this.collectWorkflows());
+    r.collect(() => this.collectProviderLimits());
+    r.collect(() => this.collectTaskQueue());
+    r.collect(() => this.collectProcess());
+  }
+
+  // The orchestrator is created at server start, after the routes are loaded
+  setOrchestrator(orchestrator) {
+    this.options.orchestrator = orchestrator;
+  }
+
+  get orchestrator() {
+    return this.options.orchestrator || null;
+  }
+
+  // Resolved lazily: the task queue starts its processing loop when required
+  get taskQueue() {
+    if (this.options.taskQueue === undefined) this.options.taskQueue = require('./task-queue');
+    return this.options.taskQueue;
+  }
+
+  get providerLimits() {
+    if (!this.options.providerLimits) this.options.providerLimits = require('./provider-limits');
+    return this.options.providerLimits;
+  }
+
+  /**
+   * Record one provider API call. `tokens` is `{ input, output }`; cost is in
+   * USD and optional since not every caller prices its requests.
+   */
+  recordProviderRequest({ provider, success, latencyMs, tokens, cost }) {
+    if (!provider) return;
+    this.providerRequests.inc({ provider, outcome: success ? 'success' : 'error' });
+    if (Number.isFinite(latencyMs)) this.providerLatency.observe({ provider }, latencyMs / 1000);
+    if (tokens) {
+      if (tokens.input > 0) this.providerTokens.inc({ provider, direction: 'input' }, tokens.input);
+      if (tokens.output > 0) this.providerTokens.inc({ provider, direction: 'output' }, tokens.output);
+    }
+    if (cost > 0) this.providerCost.inc({ provider }, cost);
+  }
+
+  recordTask({ agent, status, durationMs }) {
+    if (!Number.isFinite(durationMs)) return;
+    this.taskDuration.observe({ agent, status }, durationMs / 1000);
+  }
+
+  /**
+   * Workflow counts from the orchestrator: { total, active, byStatus }.
+   */
+  workflowCounts() {
+    const counts = { total: 0, active: 0, byStatus: {} };
+    const orchestrator = this.orchestrator;
+    if (!orchestrator || !orchestrator.workflows) return counts;
+    for (const workflow of orchestrator.workflows.values()) {
+      const status = workflow.status || 'unknown';
+      counts.byStatus[status] = (counts.byStatus[status] || 0) + 1;
+      counts.total++;
+      if (!TERMINAL_WORKFLOW_STATUSES.includes(status)) counts.active++;
+    }
+    return counts;
+  }
+
+  collectWorkflows() {
+    this.workflows.reset();
+    this.agentQueueDepth.reset();
+    this.agentBusy.reset();
+    const orchestrator = this.orchestrator;
+    if (!orchestrator) return;
+
+    for (const [status, count] of Object.entries(this.workflowCounts().byStatus)) {
+      this.workflows.set({ status }, count);
+    }
+    this.orchestratorQueuedTasks.set({}, (orchestrator.taskQueue || []).length);
+    for (const agent of orchestrator.getAgentStatus()) {
+      this.agentQueueDepth.set({ agent: agent.name, role: agent.role }, agent.queueDepth || 0);
+      this.agentBusy.set({ agent: agent.name }, agent.status === 'busy' ? 1 : 0);
+    }
+  }
+
+  // Limits are tracked per API key; keys are aggregated so no key material is exported
+  collectProviderLimits() {
+    for (const gauge of [this.providerInFlight, this.providerMaxConcurrent, this.providerRecentRequests, this.providerRpmLimit]) {
+      gauge.reset();
+    }
+    const snapshot = this.providerLimits.snapshot();
+    for (const [key, state] of Object.entries(snapshot)) {
+      const provider = key.split(':')[0];
+      this.providerInFlight.inc({ provider }, state.inFlight || 0);
+      this.providerRecentRequests.inc({ provider }, state.recent || 0);
+      this.providerMaxConcurrent.set({ provider }, Math.max(this.providerMaxConcurrent.get({ provider }), state.maxConcurrent || 0));
+      this.providerRpmLimit.set({ provider }, Math.max(this.providerRpmLimit.get({ provider }), state.rpm || 0));
+    }
+  }
+
+  collectTaskQueue() {
+    const taskQueue = this.taskQueue;
+    if (!taskQueue) return;
+    const stats = taskQueue.getStatistics();
+    for (const state of ['queued', 'running', 'scheduled', 'completed', 'failed']) {
+      this.taskQueueTasks.set({ state }, stats[state] || 0);
+    }
+    this.taskQueueCompletedByPriority.reset();
+    for (const [priority, count] of Object.entries(stats.byPriority || {})) {
+      this.taskQueueCompletedByPriority.set({ priority }, count);
+    }
+    this.taskQueueAverageDuration.set({}, (stats.averageDuration || 0) / 1000);
+    this.taskQueueCost.set({}, stats.totalCost || 0);
+  }
+
+  collectProcess() {
+    this.uptime.set({}, Math.floor(process.uptime()));
+    const usage = process.memoryUsage();
+    for (const type of ['rss', 'heapUsed', 'heapTotal', 'external']) {
+      this.memory.set({ type }, usage[type] || 0);
+    }
+  }
+
+  render() {
+    return this.registry.render();
+  }
+
+  /**
+   * Express handler for Prometheus scrapes. When METRICS_TOKEN is set, scrapes
+   * must send it as a bearer token.
+   */
+  handler() {
+    return async (req, res) => {
+      const token = process.env.METRICS_TOKEN;
+      if (token && req.get('authorization') !== `Bearer ${token}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      try {
+        res.set('Content-Type', CONTENT_TYPE).send(await this.render());
+      } catch (error) {
+        log.error('Failed to render metrics', { error: error && error.message, stack: error && error.stack });
+        res.status(500).json({ error: 'Failed to render metrics' });
+      }
+    };
+  }
+}
+
+module.exports = new Metrics();
+module.exports.Metrics = Metrics;
@@ -1,4 +1,5 @@
-const { Connection, Deployment, Audit } = require('../models');
+const { Connection, Audit } = require('../models');
+const deploymentPipeline = require('./deployment-pipeline');
 
 class NetlifyService {
   constructor() {
@@ -154,22 +155,6 @@ class NetlifyService {
       })
     });
 
-    // Store deployment in database
-    const dbDeployment = await Deployment.create({
-      user_id: userId,
-      repository_id: deploymentData.repository || '',
-      deployment_id: deployment.id,
-      environment: deploymentData.environment || 'production',
-      ref: deploymentData.branch || 'main',
-      sha: deployment.commit_ref || '',
-      status: 'building',
-      provider: 'netlify',
-      metadata: {
-        netlify_deployment: deployment,
-        site_id: siteId
-      }
-    });
-
     await Audit.create({
       actor_id: userId,
       action: 'CREATE_NETLIFY_DEPLOYMENT',
@@ -183,7 +168,8 @@ class NetlifyService {
       ip_address: '127.0.0.1'
     });
 
-    return { netlify: deployment, database: dbDeployment };
+    // The Deployment row belongs to the deploy pipeline (services/deployment-pipeline)
+    return { netlify: deployment };
   }
 
   async cancelDeployment(userId, deployId) {
@@ -193,11 +179,7 @@ class NetlifyService {
       method: 'POST'
     });
 
-    // Update database
-    await Deployment.update(
-      { status: 'cancelled' },
-      { where: { deployment_id: deployId } }
-    );
+    await this.updateDeploymentStatus(deployId, 'cancelled');
 
     await Audit.create({
       actor_id: userId,
@@ -433,35 +415,24 @@ class NetlifyService {
 
   // Webhook helper for processing Netlify webhooks
   async processWebhook(payload, signature) {
-    const { state, context, deploy_id } = payload;
-
-    if (deploy_id) {
-      await this.updateDeploymentStatus(deploy_id, this.mapNetlifyStatus(state));
+    // Deploy notifications carry the deploy itself
+    const { state, context } = payload;
+    const deployId = payload.id || payload.deploy_id;
+
+    if (deployId) {
+      await this.updateDeploymentStatus(deployId, state, {
+        url: payload.ssl_url || payload.deploy_ssl_url,
+        commitSha: payload.commit_ref,
+        error: payload.error_message
+      });
     }
 
     return { processed: true, state, context };
   }
 
-  async updateDeploymentStatus(deploymentId, status) {
-    await Deployment.update(
-      {
-        status,
-        deployed_at: status === 'ready' ? new Date() : null
-      },
-      { where: { deployment_id: deploymentId, provider: 'netlify' } }
-    );
-  }
-
-  mapNetlifyStatus(state) {
-    const statusMap = {
-      'building': 'building',
-      'ready': 'ready',
-      'error': 'error',
-      'cancelled': 'cancelled',
-      'preparing': 'building',
-      'enqueued': 'queued'
-    };
-    return statusMap[state] || 'unknown';
+  // Netlify deploy states are mapped by the deploy pipeline
+  async updateDeploymentStatus(deploymentId, state, details = {}) {
+    return deploymentPipeline.applyProviderState('netlify', deploymentId, state, details);
   }
 
   // File upload for manual deploys
@@ -6,6 +6,33 @@ const axios = require('axios');
 // Example config: update endpoint for local/cloud
 const OLLAMA_ENDPOINT = process.env.OLLAMA_ENDPOINT || 'http://localhost:11434/api/generate';
 const OLLAMA_TAGS_ENDPOINT = process.env.OLLAMA_TAGS_ENDPOINT || 'http://localhost:11434/api/tags';
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+
+/**
+ * Root URL of the Ollama server: OLLAMA_HOST when set (Ollama's own
+ * variable, scheme optional), else the origin of OLLAMA_ENDPOINT.
+ * @returns {string}
+ */
+function getBaseUrl() {
+  const host = process.env.OLLAMA_HOST;
+  if (host) {
+    return (/^https?:\/\//.test(host) ? host : `http://${host}`).replace(/\/+$/, '');
+  }
+  try {
+    return new URL(OLLAMA_ENDPOINT).origin;
+  } catch (err) {
+    return DEFAULT_BASE_URL;
+  }
+}
+
+/**
+ * Ollama needs no API key, so it is on unless OLLAMA_ENABLED=false.
+ * @returns {boolean}
+ */
+function isEnabled() {
+  return process.env.OLLAMA_ENABLED !== 'false';
+}
+
 /**
  * Get available models from Ollama
  * @returns {Promise<string[]>} Array of model names
@@ -48,4 +75,6 @@ async function execute(agentId, directive, modelName, options = {}) {
 module.exports = {
   execute,
   getModels,
+  getBaseUrl,
+  isEnabled,
 };
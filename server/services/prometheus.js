@@ -0,0 +1,205 @@
+// Minimal Prometheus client: counters, gauges and histograms with labels,
+// rendered in the text exposition format (version 0.0.4).
+//
+//   const registry = new Registry();
+//   const requests = registry.counter('app_requests_total', 'Requests served', ['route']);
+//   requests.inc({ route: '/health' });
+//   res.type(Registry.CONTENT_TYPE).send(await registry.render());
+
+const logger = require('./logger');
+const log = logger.child({ source: 'METRICS' });
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(name, help, labelNames = []) {
+    if (!METRIC_NAME.test(name)) throw new Error(`Invalid metric name: ${name}`);
+    for (const label of labelNames) {
+      if (!LABEL_NAME.test(label) || label === 'le') throw new Error(`Invalid label name for ${name}: ${label}`);
+    }
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Series are keyed by their label values in declaration order
+  seriesFor(labels = {}) {
+    const values = this.labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+    const key = JSON.stringify(values);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: values, ...this.initialState() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  labelPairs(series) {
+    return this.labelNames.map((name, i) => [name, series.labels[i]]);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines.join('\n');
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(this.labelPairs(series))} ${formatValue(series.value)}`];
+  }
+}
+
+class Counter extends Metric {
+  get type() { return 'counter'; }
+
+  initialState() {
+    return { value: 0 };
+  }
+
+  inc(labels, amount = 1) {
+    if (!(amount >= 0)) throw new Error(`Counter ${this.name} can only increase`);
+    this.seriesFor(labels).value += amount;
+  }
+
+  get(labels) {
+    return this.seriesFor(labels).value;
+  }
+}
+
+class Gauge extends Metric {
+  get type() { return 'gauge'; }
+
+  initialState() {
+    return { value: 0 };
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels).value = Number(value) || 0;
+  }
+
+  inc(labels, amount = 1) {
+    this.seriesFor(labels).value += amount;
+  }
+
+  get(labels) {
+    return this.seriesFor(labels).value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() { return 'histogram'; }
+
+  initialState() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return;
+    const series = this.seriesFor(labels);
+    this.buckets.forEach((bound, i) => {
+      if (number <= bound) series.counts[i]++;
+    });
+    series.sum += number;
+    series.count++;
+  }
+
+  renderSeries(series) {
+    const pairs = this.labelPairs(series);
+    const lines = this.buckets.map((bound, i) =>
+      `${this.name}_bucket${formatLabels([...pairs, ['le', formatValue(bound)]])} ${series.counts[i]}`);
+    lines.push(`${this.name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(pairs)} ${formatValue(series.sum)}`);
+    lines.push(`${this.name}_count${formatLabels(pairs)} ${series.count}`);
+    return lines;
+  }
+}
+
+/**
+ * A set of metrics plus collectors that refresh gauges from live state right
+ * before each render. A failing collector is logged and skipped so one broken
+ * source never takes down the whole scrape.
+ */
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  get(name) {
+    return this.metrics.get(name);
+  }
+
+  collect(fn) {
+    this.collectors.push(fn);
+  }
+
+  async render() {
+    for (const collector of this.collectors) {
+      try {
+        await collector();
+      } catch (error) {
+        log.warn('Collector failed', { error: error.message });
+      }
+    }
+    return Array.from(this.metrics.values()).map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+Registry.CONTENT_TYPE = CONTENT_TYPE;
+Registry.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+
+module.exports = { Registry, Counter, Gauge, Histogram, CONTENT_TYPE, escapeLabelValue };
@@ -1,6 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const providerLimits = require('./provider-limits');
+const ollama = require('./ollama-provider');
+const metrics = require('./metrics');
 
 class ProviderMonitor {
   constructor() {
@@ -79,12 +81,14 @@ class ProviderMonitor {
         rank: (id = '') => (id.startsWith('grok-4') ? 100 : id.startsWith('grok-3') ? 90 : id.startsWith('grok-3-fast') ? 80 : id.startsWith('grok-3-mini') ? 70 : 0)
       },
       ollama: {
-        displayName: 'Ollama',
+        displayName: 'Ollama (local)',
         envVar: 'OLLAMA_ENDPOINT',
-        defaultModel: 'llama3',
+        // Keyless: enabled unless OLLAMA_ENABLED=false
+        local: true,
+        defaultModel: process.env.OLLAMA_MODEL || 'llama3',
         endpoints: {
-          models: process.env.OLLAMA_ENDPOINT || 'http://localhost:11434/api/tags',
-          chat: process.env.OLLAMA_ENDPOINT || 'http://localhost:11434/api/generate'
+          models: `${ollama.getBaseUrl()}/api/tags`,
+          chat: `${ollama.getBaseUrl()}/api/generate`
         },
         curated: ['llama3', 'phi3', 'mistral', 'codellama', 'llama2', 'gemma', 'dolphin-mixtral', 'llava', 'llama3-8b', 'llama3-70b'],
         rank: (id = '') => (id.includes('llama3-70b') ? 100 : id.includes('llama3-8b') ? 90 : id.includes('llama3') ? 80 : id.includes('phi3') ? 70 : id.includes('mistral') ? 60 : 50)
@@ -177,6 +181,9 @@ class ProviderMonitor {
         if (id.includes('opus') || id.includes('sonnet-4')) return 'premium';
         if (id.includes('haiku')) return 'economy';
         return 'balanced';
+      case 'ollama':
+        // Local inference has no per-token cost
+        return 'free';
       default:
         return 'balanced';
     }
@@ -226,6 +233,7 @@ class ProviderMonitor {
   hasKey(provider) {
     const meta = this.providerMeta[provider];
     if (!meta) return false;
+    if (meta.local) return ollama.isEnabled();
     const token = process.env[meta.envVar];
     return !!(token && token.trim());
   }
@@ -369,6 +377,18 @@ class ProviderMonitor {
         return { candidates: curated, discoveredAt: new Date().toISOString() };
       }
 
+      if (provider === 'ollama') {
+        // Only models actually pulled on this machine can be selected
+        const r = await fetch(meta.endpoints.models, { method: 'GET' });
+        const text = await r.text();
+        if (!r.ok) throw new Error(`HTTP ${r.status} ${text.slice(0, 128)}`);
+        let data = {};
+        try { data = JSON.parse(text); } catch {}
+        const names = Array.from(new Set((Array.isArray(data.models) ? data.models : []).map(m => m.name).filter(Boolean)));
+        const ranked = names.sort((a, b) => meta.rank(b) - meta.rank(a));
+        return { candidates: ranked.length ? ranked : [meta.defaultModel], discoveredAt: new Date().toISOString() };
+      }
+
       return { candidates: meta.defaultModel ? [meta.defaultModel] : [], discoveredAt: new Date().toISOString() };
     } catch (err) {
       // On discovery error, return curated/default rather than failing
@@ -459,8 +479,9 @@ class ProviderMonitor {
     const meta = this.providerMeta[provider];
     if (!meta) throw new Error(`Unknown provider: ${provider}`);
     if (!this.hasKey(provider)) {
-      const res = this.updateState(provider, { reachable: false, lastError: 'Missing API key', lastCallTs: Date.now() });
-      this.record(provider, { action: 'ping', success: false, latencyMs: 0, error: 'Missing API key' });
+      const reason = meta.local ? 'Disabled (OLLAMA_ENABLED=false)' : 'Missing API key';
+      const res = this.updateState(provider, { reachable: false, lastError: reason, lastCallTs: Date.now() });
+      this.record(provider, { action: 'ping', success: false, latencyMs: 0, error: reason });
       return res;
     }
 
@@ -741,8 +762,7 @@ class ProviderMonitor {
           if (!r.ok || !data) return throwNormalized(r.status, text);
           const content = data.response || '';
           const snippet = (content || '').slice(0, 140);
-          // Ollama does not return token usage, so set as n/a
-          const tokens = { input: 0, output: 0 };
+          const tokens = { input: data.prompt_eval_count || 0, output: data.eval_count || 0 };
           return { success: true, statusCode: r.status, latencyMs, snippet, tokens };
         }
 
@@ -864,6 +884,7 @@ class ProviderMonitor {
   // Called by agent-engine per real model call to track live usage
   recordCall({ provider, model, latencyMs, tokens = { input: 0, output: 0 }, success, error, statusCode, agentName, workflowId }) {
     this.record(provider, { action: 'call', success, latencyMs, model, tokens, statusCode, error, agentName, workflowId });
+    metrics.recordProviderRequest({ provider, success, latencyMs, tokens });
     const patch = {
       lastModel: model || (this.state.get(provider)?.lastModel),
       lastLatencyMs: latencyMs,
@@ -911,6 +932,7 @@ class ProviderMonitor {
       providers.push({
         key: provider,
         name: meta.displayName,
+        local: !!meta.local,
         status: st.reachable === false ? 'offline' : st.lastSuccessTs ? 'online' : 'limited',
         tokensUsed,
         tokensLimit,
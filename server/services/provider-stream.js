@@ -0,0 +1,391 @@
+const crypto = require('crypto');
+const bus = require('./bus');
+
+// Partial tokens are batched so a fast model does not flood the sockets
+const DEFAULT_FLUSH_MS = 50;
+const DEFAULT_FLUSH_CHARS = 200;
+
+// fetch bodies are web ReadableStreams; tests may pass any async iterable
+function iterateChunks(body) {
+  if (typeof body[Symbol.asyncIterator] === 'function') return body;
+  return (async function* () {
+    const reader = body.getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        yield value;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  })();
+}
+
+/**
+ * Parse a Server-Sent Events body into `{ event, data }` records. Accepts a
+ * web ReadableStream (fetch `response.body`) or any async iterable of chunks.
+ */
+async function* readSSE(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = null;
+  let data = [];
+  const chunks = iterateChunks(body);
+
+  function* drain(final) {
+    const lines = buffer.split(/\r\n|\r|\n/);
+    buffer = final ? '' : lines.pop();
+    for (const line of lines) {
+      if (line === '') {
+        if (data.length > 0) yield { event: event || 'message', data: data.join('\n') };
+        event = null;
+        data = [];
+      } else if (line.startsWith(':')) {
+        continue;
+      } else {
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'event') event = value;
+        else if (field === 'data') data.push(value);
+      }
+    }
+  }
+
+  for await (const chunk of chunks) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    yield* drain(false);
+  }
+  buffer += decoder.decode();
+  if (buffer) buffer += '\n';
+  yield* drain(true);
+  if (data.length > 0) yield { event: event || 'message', data: data.join('\n') };
+}
+
+/**
+ * Parse a newline-delimited JSON body (Ollama) into the same `{ event, data }`
+ * records readSSE produces.
+ */
+async function* readNDJSON(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of iterateChunks(body)) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield { event: 'message', data: line.trim() };
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer.trim()) yield { event: 'message', data: buffer.trim() };
+}
+
+/**
+ * Anthropic Messages stream -> the non-streamed `{ content, usage }` body.
+ */
+class AnthropicAccumulator {
+  constructor() {
+    this.blocks = [];
+    this.partialJson = new Map();
+    this.usage = { input_tokens: 0, output_tokens: 0 };
+    this.stopReason = null;
+  }
+
+  push(payload) {
+    switch (payload.type) {
+      case 'message_start':
+        Object.assign(this.usage, payload.message?.usage || {});
+        return '';
+      case 'content_block_start':
+        this.blocks[payload.index] = { ...payload.content_block };
+        if (payload.content_block?.type === 'tool_use') this.partialJson.set(payload.index, '');
+        return payload.content_block?.text || '';
+      case 'content_block_delta': {
+        const block = this.blocks[payload.index] || (this.blocks[payload.index] = { type: 'text', text: '' });
+        if (payload.delta?.type === 'text_delta') {
+          block.text = (block.text || '') + payload.delta.text;
+          return payload.delta.text;
+        }
+        if (payload.delta?.type === 'input_json_delta') {
+          this.partialJson.set(payload.index, (this.partialJson.get(payload.index) || '') + payload.delta.partial_json);
+        }
+        return '';
+      }
+      case 'content_block_stop': {
+        const json = this.partialJson.get(payload.index);
+        if (json !== undefined) {
+          this.blocks[payload.index].input = json ? JSON.parse(json) : {};
+          this.partialJson.delete(payload.index);
+        }
+        return '';
+      }
+      case 'message_delta':
+        Object.assign(this.usage, payload.usage || {});
+        this.stopReason = payload.delta?.stop_reason || this.stopReason;
+        return '';
+      case 'error':
+        throw new Error(payload.error?.message || 'Anthropic stream error');
+      default:
+        return '';
+    }
+  }
+
+  result() {
+    return { content: this.blocks.filter(Boolean), usage: this.usage, stop_reason: this.stopReason };
+  }
+}
+
+/**
+ * OpenAI-compatible chat completion chunks -> `{ choices: [{ message }], usage }`.
+ */
+class OpenAIAccumulator {
+  constructor() {
+    this.content = '';
+    this.toolCalls = [];
+    this.usage = null;
+    this.finishReason = null;
+  }
+
+  push(payload) {
+    if (payload.error) throw new Error(payload.error.message || 'Provider stream error');
+    if (payload.usage) this.usage = payload.usage;
+
+    const choice = payload.choices?.[0];
+    if (!choice) return '';
+    this.finishReason = choice.finish_reason || this.finishReason;
+
+    for (const call of choice.delta?.tool_calls || []) {
+      const index = call.index ?? this.toolCalls.length;
+      const existing = this.toolCalls[index] || (this.toolCalls[index] = { id: call.id, type: 'function', function: { name: '', arguments: '' } });
+      if (call.id) existing.id = call.id;
+      if (call.function?.name) existing.function.name += call.function.name;
+      if (call.function?.arguments) existing.function.arguments += call.function.arguments;
+    }
+
+    const text = choice.delta?.content || '';
+    this.content += text;
+    return text;
+  }
+
+  result() {
+    const message = { role: 'assistant', content: this.content };
+    if (this.toolCalls.length > 0) message.tool_calls = this.toolCalls.filter(Boolean);
+    return { choices: [{ message, finish_reason: this.finishReason }], usage: this.usage || undefined };
+  }
+}
+
+/**
+ * Gemini streamGenerateContent (alt=sse) -> `{ candidates, usageMetadata }`.
+ */
+class GeminiAccumulator {
+  constructor() {
+    this.parts = [];
+    this.usageMetadata = undefined;
+  }
+
+  push(payload) {
+    if (payload.error) throw new Error(payload.error.message || 'Gemini stream error');
+    if (payload.usageMetadata) this.usageMetadata = payload.usageMetadata;
+
+    let text = '';
+    for (const part of payload.candidates?.[0]?.content?.parts || []) {
+      const last = this.parts[this.parts.length - 1];
+      if (typeof part.text === 'string' && last && typeof last.text === 'string') {
+        last.text += part.text;
+      } else {
+        this.parts.push({ ...part });
+      }
+      if (typeof part.text === 'string') text += part.text;
+    }
+    return text;
+  }
+
+  result() {
+    return { candidates: [{ content: { role: 'model', parts: this.parts } }], usageMetadata: this.usageMetadata };
+  }
+}
+
+/**
+ * Ollama /api/chat stream -> the non-streamed `{ message, prompt_eval_count, eval_count }` body.
+ */
+class OllamaAccumulator {
+  constructor() {
+    this.content = '';
+    this.toolCalls = [];
+    this.final = {};
+  }
+
+  push(payload) {
+    if (payload.error) throw new Error(payload.error);
+    this.toolCalls.push(...(payload.message?.tool_calls || []));
+    if (payload.done) {
+      const { message, ...rest } = payload;
+      this.final = rest;
+    }
+    const text = payload.message?.content || payload.response || '';
+    this.content += text;
+    return text;
+  }
+
+  result() {
+    const message = { role: 'assistant', content: this.content };
+    if (this.toolCalls.length > 0) message.tool_calls = this.toolCalls;
+    return { ...this.final, message, done: true };
+  }
+}
+
+const ACCUMULATORS = {
+  anthropic: AnthropicAccumulator,
+  claude: AnthropicAccumulator,
+  openai: OpenAIAccumulator,
+  openai_project: OpenAIAccumulator,
+  xai: OpenAIAccumulator,
+  google: GeminiAccumulator,
+  gemini: GeminiAccumulator,
+  ollama: OllamaAccumulator
+};
+
+// Providers that stream newline-delimited JSON instead of SSE
+const NDJSON_PROVIDERS = new Set(['ollama']);
+
+function createAccumulator(provider) {
+  const Accumulator = ACCUMULATORS[provider];
+  if (!Accumulator) throw new Error(`Streaming is not supported for provider: ${provider}`);
+  return new Accumulator();
+}
+
+/**
+ * Publishes one provider response as `provider_stream` events on the bus:
+ * a `start`, batched `delta`s carrying the new text, then `end` (or `error`).
+ * Every event carries the workflow/task/agent context so clients can route it.
+ */
+class TokenStream {
+  constructor({ provider, model, context = {}, emitter = bus, flushMs = DEFAULT_FLUSH_MS, flushChars = DEFAULT_FLUSH_CHARS } = {}) {
+    this.streamId = crypto.randomUUID();
+    this.provider = provider;
+    this.model = model || null;
+    this.context = {
+      workflowId: context.workflowId || null,
+      taskId: context.taskId || null,
+      agent: context.agent || null
+    };
+    this.emitter = emitter;
+    this.flushMs = flushMs;
+    this.flushChars = flushChars;
+    this.pending = '';
+    this.seq = 0;
+    this.length = 0;
+    this.timer = null;
+    this.closed = false;
+  }
+
+  emit(type, extra = {}) {
+    try {
+      this.emitter.emit('provider_stream', {
+        type,
+        streamId: this.streamId,
+        provider: this.provider,
+        model: this.model,
+        ...this.context,
+        seq: this.seq++,
+        timestamp: new Date().toISOString(),
+        ...extra
+      });
+    } catch (error) {
+      // Listeners must never break the provider call
+    }
+  }
+
+  start() {
+    this.emit('start');
+  }
+
+  write(text) {
+    if (!text || this.closed) return;
+    this.pending += text;
+    this.length += text.length;
+    if (this.pending.length >= this.flushChars) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushMs);
+    }
+  }
+
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (!this.pending) return;
+    const text = this.pending;
+    this.pending = '';
+    this.emit('delta', { text });
+  }
+
+  end(extra = {}) {
+    if (this.closed) return;
+    this.flush();
+    this.closed = true;
+    this.emit('end', { length: this.length, ...extra });
+  }
+
+  fail(error) {
+    if (this.closed) return;
+    this.flush();
+    this.closed = true;
+    this.emit('error', { error: error.message });
+  }
+}
+
+/**
+ * Read a streamed provider response to completion, publishing text as it
+ * arrives. Resolves to the same JSON shape the non-streamed endpoint returns,
+ * so callers keep their existing parsing.
+ */
+async function collectStream(response, { provider, model, context, emitter, flushMs } = {}) {
+  const accumulator = createAccumulator(provider);
+  const stream = new TokenStream({ provider, model, context, emitter, flushMs });
+  stream.start();
+
+  try {
+    const records = NDJSON_PROVIDERS.has(provider) ? readNDJSON(response.body) : readSSE(response.body);
+    for await (const { data } of records) {
+      if (data === '[DONE]') break;
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch (error) {
+        continue;
+      }
+      stream.write(accumulator.push(payload));
+    }
+    const result = accumulator.result();
+    const usage = result.usage || result.usageMetadata ||
+      (result.eval_count !== undefined ? { prompt_eval_count: result.prompt_eval_count, eval_count: result.eval_count } : null);
+    stream.end({ usage });
+    return result;
+  } catch (error) {
+    stream.fail(error);
+    throw error;
+  }
+}
+
+// Streaming is on unless PROVIDER_STREAMING=false
+function isStreamingEnabled() {
+  return process.env.PROVIDER_STREAMING !== 'false';
+}
+
+module.exports = {
+  readSSE,
+  readNDJSON,
+  createAccumulator,
+  collectStream,
+  isStreamingEnabled,
+  TokenStream,
+  AnthropicAccumulator,
+  OpenAIAccumulator,
+  GeminiAccumulator,
+  OllamaAccumulator
+};
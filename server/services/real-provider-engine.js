@@ -1,5 +1,16 @@
 const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const { collectStream, isStreamingEnabled } = require('./provider-stream');
+const ollama = require('./ollama-provider');
+const providerMonitor = require('./provider-monitor');
+const budgetManager = require('./budget-manager');
+const bus = require('./bus');
+const metrics = require('./metrics');
+const tracer = require('./tracing');
+const { redact } = require('./secret-redaction');
+
+// Liveness probes of the local Ollama server must not stall startup
+const LOCAL_PROBE_TIMEOUT_MS = 3000;
 
 /**
  * Real Provider Engine - No mocks, no placeholders
@@ -39,6 +50,22 @@ class RealProviderEngine extends EventEmitter {
         costTiers: { economy: 'gemini-1.5-flash', balanced: 'gemini-1.5-pro', premium: 'gemini-1.5-pro' },
         maxTokens: { 'gemini-1.5-pro': 2000000, 'gemini-1.5-flash': 1000000 },
         pricing: { 'gemini-1.5-pro': { input: 0.00125, output: 0.005 } }
+      },
+      ollama: {
+        name: 'Ollama (local)',
+        baseUrl: ollama.getBaseUrl(),
+        keyEnv: null,
+        // No API key: usable whenever the server answers /api/tags
+        local: true,
+        reachable: null,
+        models: [process.env.OLLAMA_MODEL || 'llama3.1'],
+        // Every tier maps to OLLAMA_MODEL when set; otherwise the first pulled model
+        costTiers: process.env.OLLAMA_MODEL
+          ? { economy: process.env.OLLAMA_MODEL, balanced: process.env.OLLAMA_MODEL, premium: process.env.OLLAMA_MODEL }
+          : {},
+        maxTokens: {},
+        // Local inference has no per-token cost
+        pricing: {}
       }
     };
 
@@ -92,10 +119,12 @@ class RealProviderEngine extends EventEmitter {
     const validProviders = [];
     
     for (const [providerId, config] of Object.entries(this.providers)) {
-      const apiKey = process.env[config.keyEnv];
+      const apiKey = this.getApiKey(providerId);
       
-      if (!apiKey) {
-        console.warn(`[REAL-ENGINE] ⚠️  No API key found for ${config.name} (${config.keyEnv})`);
+      if (!this.isProviderEnabled(providerId)) {
+        if (!config.local) {
+          console.warn(`[REAL-ENGINE] ⚠️  No API key found for ${config.name} (${config.keyEnv})`);
+        }
         continue;
       }
 
@@ -120,6 +149,33 @@ class RealProviderEngine extends EventEmitter {
     console.log(`[REAL-ENGINE] Validated ${validProviders.length} providers: ${validProviders.join(', ')}`);
   }
 
+  getApiKey(providerId) {
+    const config = this.providers[providerId];
+    return config && config.keyEnv ? process.env[config.keyEnv] : null;
+  }
+
+  /**
+   * Whether a provider should be probed at all: cloud providers need their
+   * API key, local ones only need to be switched on.
+   */
+  isProviderEnabled(providerId) {
+    const config = this.providers[providerId];
+    if (!config) return false;
+    if (config.local) return ollama.isEnabled();
+    return !!this.getApiKey(providerId);
+  }
+
+  /**
+   * Whether requests can be routed to a provider. Local providers also have
+   * to have answered their last probe, so a laptop without Ollama running is
+   * never picked as a fallback.
+   */
+  isProviderConfigured(providerId) {
+    if (!this.isProviderEnabled(providerId)) return false;
+    const config = this.providers[providerId];
+    return !config.local || config.reachable === true;
+  }
+
   async testProviderConnection(providerId, apiKey) {
     const config = this.providers[providerId];
     const startTime = Date.now();
@@ -150,33 +206,43 @@ class RealProviderEngine extends EventEmitter {
         });
       } else if (providerId === 'google') {
         response = await fetch(`${config.baseUrl}/models?key=${apiKey}`);
+      } else if (providerId === 'ollama') {
+        response = await fetch(`${config.baseUrl}/api/tags`, { signal: AbortSignal.timeout(LOCAL_PROBE_TIMEOUT_MS) });
       }
 
       const latency = Date.now() - startTime;
       this.recordLatency(providerId, latency);
 
       if (response.ok || response.status === 400) { // 400 for Anthropic minimal test
+        if (config.local) config.reachable = true;
         this.updateAvailability(providerId, true);
         return true;
       } else {
         const error = await response.text();
         console.error(`[REAL-ENGINE] Provider ${providerId} returned ${response.status}: ${error}`);
+        if (config.local) config.reachable = false;
         this.updateAvailability(providerId, false);
         return false;
       }
     } catch (error) {
+      if (config.local) {
+        // An offline local server is expected, not an error worth recording
+        config.reachable = false;
+        this.updateAvailability(providerId, false);
+        return false;
+      }
       this.recordError(providerId, error);
       this.updateAvailability(providerId, false);
       return false;
     }
   }
 
-  async discoverModels() {
+  async discoverModels(providerIds = Object.keys(this.providers)) {
     console.log('[REAL-ENGINE] Discovering available models from providers...');
     
     for (const [providerId, config] of Object.entries(this.providers)) {
-      const apiKey = process.env[config.keyEnv];
-      if (!apiKey) continue;
+      const apiKey = this.getApiKey(providerId);
+      if (!providerIds.includes(providerId) || !this.isProviderConfigured(providerId)) continue;
 
       try {
         let availableModels = [];
@@ -197,6 +263,15 @@ class RealProviderEngine extends EventEmitter {
             .filter(m => m.name.includes('gemini'))
             .map(m => m.name.replace('models/', ''))
             .filter(name => config.models.some(model => name.includes(model)));
+        } else if (providerId === 'ollama') {
+          // Whatever models have been pulled locally
+          const response = await fetch(`${config.baseUrl}/api/tags`, { signal: AbortSignal.timeout(LOCAL_PROBE_TIMEOUT_MS) });
+          const data = await response.json();
+          availableModels = (data.models || []).map(m => m.name).filter(Boolean);
+          if (availableModels.length === 0) {
+            console.warn('[REAL-ENGINE] Ollama is running but has no models; pull one with `ollama pull <model>`');
+            availableModels = config.models;
+          }
         } else {
           // For providers without model discovery APIs, use configured models
           availableModels = config.models;
@@ -218,6 +293,20 @@ class RealProviderEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Model used for the next request. Local models are whatever the user has
+   * pulled, so for Ollama the model picked on the Engine Status page (stored
+   * by ProviderMonitor) wins when it is installed.
+   */
+  getActiveModel(providerId) {
+    const config = this.providers[providerId];
+    const available = config?.availableModels || config?.models || [];
+    const preferred = this.preferredModels[providerId] ||
+      (config?.local ? providerMonitor.preferences?.[providerId] : null);
+    if (preferred && available.includes(preferred)) return preferred;
+    return this.activeModels.get(providerId) || available[0];
+  }
+
   selectModelByCostMode(providerId, costMode) {
     const config = this.providers[providerId];
     const preferredModel = config.costTiers[costMode];
@@ -230,25 +319,67 @@ class RealProviderEngine extends EventEmitter {
     return config.availableModels?.[0] || config.models[0];
   }
 
+  /**
+   * Send a prompt inside a `provider.request` span; fallback attempts are
+   * traced as child spans of the request that failed.
+   */
   async makeRequest(providerId, prompt, options = {}) {
+    const context = options.context || {};
+    const attributes = {
+      'gen_ai.system': providerId,
+      'workflow.id': context.workflowId,
+      'task.id': context.taskId,
+      agent: context.agent
+    };
+    return tracer.startActiveSpan('provider.request', { kind: 'client', attributes }, async (span) => {
+      const result = await this.sendRequest(providerId, prompt, options);
+      if (result) {
+        span.setAttributes({
+          'provider.served_by': result.provider,
+          'gen_ai.response.model': result.model,
+          'gen_ai.usage.input_tokens': result.usage?.input,
+          'gen_ai.usage.output_tokens': result.usage?.output,
+          'cost.usd': result.cost
+        });
+      }
+      return result;
+    });
+  }
+
+  async sendRequest(providerId, prompt, options = {}) {
     const startTime = Date.now();
     const requestId = crypto.randomUUID();
+    // Secrets injected into a running task are never sent to a provider
+    prompt = redact(prompt);
+
+    // Workflow/agent/project budgets; outside the try so a hard stop never falls back to another provider
+    if (options.context) {
+      await budgetManager.assertWithinBudget(options.context);
+    }
     
     try {
       const config = this.providers[providerId];
-      const apiKey = process.env[config.keyEnv];
+      const apiKey = this.getApiKey(providerId);
       
-      if (!apiKey) {
+      if (!apiKey && !config.local) {
         throw new Error(`No API key configured for ${config.name}`);
       }
+      if (config.local && !this.isProviderEnabled(providerId)) {
+        throw new Error(`${config.name} is disabled (OLLAMA_ENABLED=false)`);
+      }
 
       // Check budget constraints
       if (await this.isOverBudget(providerId)) {
         throw new Error(`Daily budget exceeded for ${config.name}`);
       }
 
-      const currentModel = this.activeModels.get(providerId);
+      const currentModel = this.getActiveModel(providerId);
       const maxTokens = options.maxTokens || 1000;
+      const stream = options.stream !== undefined ? Boolean(options.stream) : isStreamingEnabled();
+      // Error bodies are always plain JSON; only successful streams are SSE
+      const readBody = (res) => (stream && res.ok)
+        ? collectStream(res, { provider: providerId, model: currentModel, context: options.context })
+        : res.json();
 
       let response;
       let usage = { input: 0, output: 0 };
@@ -264,11 +395,12 @@ class RealProviderEngine extends EventEmitter {
             model: currentModel,
             messages: [{ role: 'user', content: prompt }],
             max_tokens: maxTokens,
-            temperature: options.temperature || 0.7
+            temperature: options.temperature || 0.7,
+            ...(stream ? { stream: true, stream_options: { include_usage: true } } : {})
           })
         });
 
-        const data = await response.json();
+        const data = await readBody(response);
         
         if (!response.ok) {
           await this.handleProviderError(providerId, data.error);
@@ -290,7 +422,7 @@ class RealProviderEngine extends EventEmitter {
           cost: this.calculateCost(providerId, currentModel, usage)
         };
 
-        this.recordSuccess(providerId, result);
+        this.recordSuccess(providerId, result, options.context);
         return result;
 
       } else if (providerId === 'anthropic') {
@@ -304,11 +436,12 @@ class RealProviderEngine extends EventEmitter {
           body: JSON.stringify({
             model: currentModel,
             max_tokens: maxTokens,
-            messages: [{ role: 'user', content: prompt }]
+            messages: [{ role: 'user', content: prompt }],
+            stream
           })
         });
 
-        const data = await response.json();
+        const data = await readBody(response);
         
         if (!response.ok) {
           await this.handleProviderError(providerId, data.error);
@@ -330,12 +463,13 @@ class RealProviderEngine extends EventEmitter {
           cost: this.calculateCost(providerId, currentModel, usage)
         };
 
-        this.recordSuccess(providerId, result);
+        this.recordSuccess(providerId, result, options.context);
         return result;
 
       } else if (providerId === 'google') {
         const modelPath = currentModel.includes('models/') ? currentModel : `models/${currentModel}`;
-        response = await fetch(`${config.baseUrl}/${modelPath}:generateContent?key=${apiKey}`, {
+        const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+        response = await fetch(`${config.baseUrl}/${modelPath}:${method}key=${apiKey}`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
@@ -347,7 +481,7 @@ class RealProviderEngine extends EventEmitter {
           })
         });
 
-        const data = await response.json();
+        const data = await readBody(response);
         
         if (!response.ok) {
           await this.handleProviderError(providerId, data.error);
@@ -369,7 +503,49 @@ class RealProviderEngine extends EventEmitter {
           cost: this.calculateCost(providerId, currentModel, usage)
         };
 
-        this.recordSuccess(providerId, result);
+        this.recordSuccess(providerId, result, options.context);
+        return result;
+
+      } else if (providerId === 'ollama') {
+        response = await fetch(`${config.baseUrl}/api/chat`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            model: currentModel,
+            messages: [{ role: 'user', content: prompt }],
+            stream,
+            options: {
+              num_predict: maxTokens,
+              temperature: options.temperature || 0.7
+            }
+          })
+        });
+
+        const data = await readBody(response);
+
+        if (!response.ok) {
+          // Ollama errors are plain strings, e.g. "model 'x' not found"
+          const message = data.error || `Ollama returned HTTP ${response.status}`;
+          await this.handleProviderError(providerId, { code: /not found/i.test(message) ? 'model_not_found' : undefined, message });
+          throw new Error(message);
+        }
+
+        usage = {
+          input: data.prompt_eval_count || 0,
+          output: data.eval_count || 0
+        };
+
+        const result = {
+          id: requestId,
+          content: data.message?.content || '',
+          model: currentModel,
+          provider: providerId,
+          usage,
+          latency: Date.now() - startTime,
+          cost: 0
+        };
+
+        this.recordSuccess(providerId, result, options.context);
         return result;
       }
 
@@ -378,13 +554,15 @@ class RealProviderEngine extends EventEmitter {
     } catch (error) {
       const errorInfo = {
         provider: providerId,
-        model: this.activeModels.get(providerId),
+        model: this.getActiveModel(providerId),
         error: error.message,
         latency: Date.now() - startTime,
         requestId
       };
 
       this.recordError(providerId, errorInfo);
+      metrics.recordProviderRequest({ provider: providerId, success: false, latencyMs: errorInfo.latency });
+      tracer.activeSpan()?.recordException(error);
       
       // Try automatic fallback
       const fallbackResult = await this.attemptFallback(providerId, prompt, options, error);
@@ -456,9 +634,10 @@ class RealProviderEngine extends EventEmitter {
 
   async switchToFallbackProvider(originalProviderId, prompt, options) {
     const allProviders = Object.keys(this.providers);
+    // Declaration order, so the local provider is the last resort
     const fallbackProviders = allProviders.filter(p => 
       p !== originalProviderId && 
-      process.env[this.providers[p].keyEnv] &&
+      this.isProviderConfigured(p) &&
       this.isProviderHealthy(p)
     );
 
@@ -494,12 +673,13 @@ class RealProviderEngine extends EventEmitter {
     return inputCost + outputCost;
   }
 
-  recordSuccess(providerId, result) {
+  recordSuccess(providerId, result, context = {}) {
     // Update metrics
     this.incrementMetric('requests', providerId);
     this.addTokenUsage(providerId, result.usage);
     this.addCost(providerId, result.cost);
     this.recordLatency(providerId, result.latency);
+    metrics.recordProviderRequest({ provider: providerId, success: true, latencyMs: result.latency, tokens: result.usage, cost: result.cost });
     
     // Update availability
     this.updateAvailability(providerId, true);
@@ -511,7 +691,22 @@ class RealProviderEngine extends EventEmitter {
       success: true,
       latency: result.latency,
       tokens: result.usage,
-      cost: result.cost
+      cost: result.cost,
+      workflowId: context?.workflowId || null,
+      taskId: context?.taskId || null,
+      agent: context?.agent || null
+    });
+
+    // Charged against workflow/agent/project budgets
+    bus.emit('provider_usage', {
+      provider: providerId,
+      model: result.model,
+      cost: result.cost,
+      tokens: result.usage,
+      workflowId: context?.workflowId || null,
+      taskId: context?.taskId || null,
+      agent: context?.agent || null,
+      projectId: context?.projectId || null
     });
   }
 
@@ -578,6 +773,9 @@ class RealProviderEngine extends EventEmitter {
   }
 
   isProviderHealthy(providerId) {
+    // Local servers come and go with the developer's machine; trust the last probe
+    if (this.providers[providerId]?.local) return this.providers[providerId].reachable === true;
+
     const availability = this.metrics.availability.get(providerId);
     if (!availability || availability.total === 0) return true; // Assume healthy if no data
     
@@ -649,7 +847,7 @@ class RealProviderEngine extends EventEmitter {
     const status = {};
     
     for (const [providerId, config] of Object.entries(this.providers)) {
-      const hasKey = !!process.env[config.keyEnv];
+      const hasKey = this.isProviderEnabled(providerId);
       const requests = this.metrics.requests.get(providerId) || 0;
       const tokens = this.metrics.tokens.get(providerId) || { input: 0, output: 0 };
       const costs = this.metrics.costs.get(providerId) || 0;
@@ -670,9 +868,10 @@ class RealProviderEngine extends EventEmitter {
       status[providerId] = {
         name: config.name,
         hasApiKey: hasKey,
-        currentModel: this.activeModels.get(providerId),
+        local: !!config.local,
+        currentModel: this.getActiveModel(providerId),
         availableModels: config.availableModels || config.models,
-        status: hasKey && this.isProviderHealthy(providerId) ? 'healthy' : 'unavailable',
+        status: this.isProviderConfigured(providerId) && this.isProviderHealthy(providerId) ? 'healthy' : 'unavailable',
         metrics: {
           requests,
           tokens,
@@ -714,9 +913,14 @@ class RealProviderEngine extends EventEmitter {
     // Run health checks every 5 minutes
     setInterval(async () => {
       for (const providerId of Object.keys(this.providers)) {
-        if (process.env[this.providers[providerId].keyEnv]) {
+        if (this.isProviderEnabled(providerId)) {
+          const wasReachable = this.providers[providerId].reachable;
           try {
-            await this.testProviderConnection(providerId, process.env[this.providers[providerId].keyEnv]);
+            await this.testProviderConnection(providerId, this.getApiKey(providerId));
+            // Pick up models pulled while the local server was down
+            if (this.providers[providerId].local && !wasReachable && this.providers[providerId].reachable) {
+              await this.discoverModels([providerId]);
+            }
           } catch (error) {
             console.error(`[REAL-ENGINE] Health check failed for ${providerId}:`, error.message);
           }
@@ -767,8 +971,9 @@ class RealProviderEngine extends EventEmitter {
       providers.push({
         key,
         name: config.name,
-        status: status.status || 'offline',
-        currentModel: this.preferredModels[key] || config.models[0],
+        local: !!config.local,
+        status: status.status || (config.local ? (config.reachable ? 'online' : 'offline') : 'offline'),
+        currentModel: this.getActiveModel(key),
         preferredModel: this.preferredModels[key],
         tokensUsed: metrics.tokensUsed || 0,
         tokensLimit: null, // Most APIs don't provide this
@@ -837,13 +1042,18 @@ class RealProviderEngine extends EventEmitter {
     const models = {};
     
     for (const [key, config] of Object.entries(this.providers)) {
+      const candidates = config.local ? (config.availableModels || config.models) : config.models;
       models[key] = {
-        candidates: config.models,
+        candidates,
         meta: {}
       };
       
       // Add cost tier information if available
-      config.models.forEach(model => {
+      candidates.forEach(model => {
+        if (config.local) {
+          models[key].meta[model] = { costTier: 'free', local: true };
+          return;
+        }
         let costTier = 'balanced';
         if (model.includes('mini') || model.includes('flash') || model.includes('haiku')) {
           costTier = 'economy';
@@ -925,7 +1135,9 @@ class RealProviderEngine extends EventEmitter {
       return { success: false, error: 'Provider not found' };
     }
 
-    if (!this.providers[providerKey].models.includes(model)) {
+    const config = this.providers[providerKey];
+    const supported = config.local ? (config.availableModels || config.models) : config.models;
+    if (!supported.includes(model)) {
       return { success: false, error: 'Model not supported by this provider' };
     }
 
@@ -967,9 +1179,9 @@ class RealProviderEngine extends EventEmitter {
   // Helper methods
 
   async pingAllProviders() {
-    const promises = Object.keys(this.providers).map(async (key) => {
+    const promises = Object.keys(this.providers).filter(key => this.isProviderEnabled(key)).map(async (key) => {
       try {
-        await this.testProviderConnection(key, process.env[this.providers[key].keyEnv]);
+        await this.testProviderConnection(key, this.getApiKey(key));
       } catch (error) {
         console.warn(`⚠️ Ping failed for ${key}:`, error.message);
       }
@@ -1,4 +1,5 @@
-const { Connection, Deployment, Audit } = require('../models');
+const { Connection, Audit } = require('../models');
+const deploymentPipeline = require('./deployment-pipeline');
 
 class RenderService {
   constructor() {
@@ -162,31 +163,17 @@ class RenderService {
     const deployment = await this.makeRequest(token, `/services/${serviceId}/deploys`, {
       method: 'POST',
       body: JSON.stringify({
-        clearCache: deploymentData.clearCache || 'do_not_clear'
+        clearCache: deploymentData.clearCache || 'do_not_clear',
+        commitId: deploymentData.sha || undefined
       })
     });
-
-    // Store deployment in database
-    const dbDeployment = await Deployment.create({
-      user_id: userId,
-      repository_id: deploymentData.repository || '',
-      deployment_id: deployment.deploy.id,
-      environment: 'production',
-      ref: deploymentData.ref || '',
-      sha: deploymentData.sha || '',
-      status: 'build_in_progress',
-      provider: 'render',
-      metadata: {
-        render_deployment: deployment,
-        service_id: serviceId
-      }
-    });
+    const deploy = deployment.deploy || deployment;
 
     await Audit.create({
       actor_id: userId,
       action: 'CREATE_RENDER_DEPLOYMENT',
       target: 'deployment',
-      target_id: deployment.deploy.id,
+      target_id: deploy.id,
       metadata: {
         service_id: serviceId,
         clear_cache: deploymentData.clearCache
@@ -194,7 +181,8 @@ class RenderService {
       ip_address: '127.0.0.1'
     });
 
-    return { render: deployment, database: dbDeployment };
+    // The Deployment row belongs to the deploy pipeline (services/deployment-pipeline)
+    return { render: deployment };
   }
 
   async cancelDeployment(userId, deployId) {
@@ -204,11 +192,7 @@ class RenderService {
       method: 'POST'
     });
 
-    // Update database
-    await Deployment.update(
-      { status: 'cancelled' },
-      { where: { deployment_id: deployId } }
-    );
+    await this.updateDeploymentStatus(deployId, 'canceled');
 
     await Audit.create({
       actor_id: userId,
@@ -511,7 +495,7 @@ class RenderService {
 
     switch (resource) {
       case 'deploy':
-        await this.updateDeploymentStatus(data.deploy.id, this.mapRenderStatus(data.deploy.status));
+        await this.updateDeploymentStatus(data.deploy.id, data.deploy.status);
         break;
 
       case 'service':
@@ -526,28 +510,9 @@ class RenderService {
     return { processed: true, resource };
   }
 
-  async updateDeploymentStatus(deploymentId, status) {
-    await Deployment.update(
-      {
-        status,
-        deployed_at: status === 'live' ? new Date() : null
-      },
-      { where: { deployment_id: deploymentId, provider: 'render' } }
-    );
-  }
-
-  mapRenderStatus(renderStatus) {
-    const statusMap = {
-      'build_in_progress': 'building',
-      'update_in_progress': 'building',
-      'live': 'live',
-      'build_failed': 'failed',
-      'update_failed': 'failed',
-      'cancelled': 'cancelled',
-      'pre_deploy_in_progress': 'building',
-      'pre_deploy_failed': 'failed'
-    };
-    return statusMap[renderStatus] || 'unknown';
+  // Render deploy statuses are mapped by the deploy pipeline
+  async updateDeploymentStatus(deploymentId, status, details = {}) {
+    return deploymentPipeline.applyProviderState('render', deploymentId, status, details);
   }
 
   // Health checks
@@ -0,0 +1,78 @@
+// Values of vault secrets currently injected into a task's processes.
+//
+// While a value is registered, redact() replaces it -- and its base64 and
+// URL-encoded forms -- with `[REDACTED:<KEY>]`. Command output, console and
+// log entries, artifacts and provider prompts all pass through it, so a secret
+// handed to a command never leaves the server by those routes.
+
+// Shorter values would match ordinary text; task-secrets refuses to inject them
+const MIN_LENGTH = 4;
+
+const active = new Map(); // text -> { label, refs }
+let pattern = null;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function variants(value) {
+  const forms = new Set([value, Buffer.from(value, 'utf8').toString('base64'), encodeURIComponent(value)]);
+  return [...forms].filter(form => form.length >= MIN_LENGTH);
+}
+
+/**
+ * Start redacting `{ LABEL: value }` entries. Returns a function that stops
+ * again; a value registered by several tasks stays redacted until all release.
+ */
+function register(entries) {
+  const forms = [];
+  for (const [label, value] of Object.entries(entries || {})) {
+    if (typeof value !== 'string' || value.length < MIN_LENGTH) continue;
+    for (const form of variants(value)) {
+      const current = active.get(form);
+      if (current) current.refs++;
+      else active.set(form, { label, refs: 1 });
+      forms.push(form);
+    }
+  }
+  pattern = null;
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    for (const form of forms) {
+      const current = active.get(form);
+      if (current && --current.refs === 0) active.delete(form);
+    }
+    pattern = null;
+  };
+}
+
+function redact(text) {
+  if (active.size === 0 || typeof text !== 'string' || text.length < MIN_LENGTH) return text;
+  if (!pattern) {
+    // Longest first so a value containing another is replaced whole
+    const forms = [...active.keys()].sort((a, b) => b.length - a.length);
+    pattern = new RegExp(forms.map(escapeRegExp).join('|'), 'g');
+  }
+  return text.replace(pattern, (match) => `[REDACTED:${active.get(match).label}]`);
+}
+
+// Redact every string inside plain objects and arrays (e.g. log fields, tool results)
+function redactDeep(value, depth = 0) {
+  if (active.size === 0) return value;
+  if (typeof value === 'string') return redact(value);
+  if (!value || typeof value !== 'object' || depth > 8) return value;
+  if (Array.isArray(value)) return value.map(item => redactDeep(item, depth + 1));
+  if (Object.getPrototypeOf(value) !== Object.prototype) return value;
+  const result = {};
+  for (const [key, item] of Object.entries(value)) result[key] = redactDeep(item, depth + 1);
+  return result;
+}
+
+module.exports = {
+  MIN_LENGTH,
+  register,
+  redact,
+  redactDeep,
+  isActive: () => active.size > 0
+};
@@ -1,138 +1,112 @@
-const crypto = require('crypto');
-const { EnvVar, Connection, Audit } = require('../models');
-
+const { Op } = require('sequelize');
+const keyring = require('./vault-keyring');
+const { VaultError } = keyring;
+const { fieldContext, decryptField, rewrapField, keyIdOf } = require('./field-encryption');
+const logger = require('./logger');
+const log = logger.child({ source: 'VAULT' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ROTATION_CHECK_MS = 60 * 60 * 1000;
+// Audit rows need an actor; CLI and scheduled runs act as the system user (see models/index.js)
+const SYSTEM_ACTOR = '00000000-0000-0000-0000-000000000001';
+
+// Model columns holding secrets, all encrypted through services/field-encryption
+const ENCRYPTED_FIELDS = [
+  { model: 'EnvVar', table: 'env_vars', columns: ['value_encrypted'] },
+  { model: 'Connection', table: 'connections', columns: ['token_encrypted', 'refresh_token_encrypted'] }
+];
+
+// Older server-auth versions inserted Connections with this literal before
+// setting the token; it holds no secret, so it is neither rewrapped nor verified
+const PLACEHOLDER_VALUE = 'placeholder';
+const isStoredSecret = value => Boolean(value) && value !== PLACEHOLDER_VALUE;
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Secret storage on top of envelope encryption (see vault-keyring): every
+ * EnvVar value and Connection token has its own data key wrapped by a
+ * versioned key-encryption key.
+ *
+ * Key management: `addKey`, `activateKey` and `retireKey` manage the
+ * keyring, `rewrapSecrets` re-wraps every stored secret with the active key
+ * in batches, and `verifySecrets` checks that all of them still decrypt. Once
+ * started, the active key is rotated every VAULT_KEY_ROTATION_DAYS (default
+ * 90, 0 disables) and an interrupted rewrap is resumed.
+ */
 class SecretsVault {
-  constructor() {
+  constructor(options = {}) {
+    this.options = options;
     this.algorithm = 'aes-256-gcm';
-    this.keyLength = 32; // 256 bits
-    this.ivLength = 16;  // 128 bits
-    this.tagLength = 16; // 128 bits
-    this.saltLength = 32; // 256 bits
-
-    // Master key derivation settings
-    this.iterations = 100000; // PBKDF2 iterations
-    this.keyRotationInterval = 90 * 24 * 60 * 60 * 1000; // 90 days in ms
-
-    // In production, this would be stored in AWS KMS, HashiCorp Vault, etc.
-    this.masterKey = process.env.VAULT_MASTER_KEY || this.generateKey();
-
-    // Key cache for performance
-    this.derivedKeys = new Map();
+    this.keyring = options.keyring || keyring;
+    this.keyRotationInterval = options.rotationIntervalMs !== undefined
+      ? options.rotationIntervalMs
+      : envNumber('VAULT_KEY_ROTATION_DAYS', 90) * DAY_MS;
+    this.batchSize = options.batchSize || envNumber('VAULT_REWRAP_BATCH_SIZE', 100) || 100;
+    this.rewrapping = false;
+    this.timer = null;
   }
 
-  generateKey() {
-    return crypto.randomBytes(this.keyLength).toString('hex');
-  }
-
-  generateSalt() {
-    return crypto.randomBytes(this.saltLength);
-  }
-
-  // Key derivation using PBKDF2
-  deriveKey(masterKey, salt, purpose = 'encryption') {
-    const cacheKey = `${salt.toString('hex')}-${purpose}`;
-
-    if (this.derivedKeys.has(cacheKey)) {
-      return this.derivedKeys.get(cacheKey);
-    }
-
-    const derivedKey = crypto.pbkdf2Sync(
-      Buffer.from(masterKey, 'hex'),
-      salt,
-      this.iterations,
-      this.keyLength,
-      'sha256'
-    );
-
-    // Cache the derived key (in production, implement proper cache eviction)
-    this.derivedKeys.set(cacheKey, derivedKey);
-
-    return derivedKey;
+  // Models are resolved lazily so requiring the vault never opens the database
+  get models() {
+    if (!this.options.models) this.options.models = require('../models');
+    return this.options.models;
   }
 
-  // Encrypt data using AES-256-GCM
+  // Encrypt data under the active key; `context` is authenticated but not stored
   encrypt(plaintext, context = {}) {
     try {
-      const salt = this.generateSalt();
-      const iv = crypto.randomBytes(this.ivLength);
-      const key = this.deriveKey(this.masterKey, salt);
-
-      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
-      cipher.setAAD(Buffer.from(JSON.stringify(context))); // Additional authenticated data
-
-      let encrypted = cipher.update(plaintext, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-
-      const tag = cipher.getAuthTag();
-
-      // Combine salt + iv + tag + encrypted data
-      const result = Buffer.concat([
-        salt,
-        iv,
-        tag,
-        Buffer.from(encrypted, 'hex')
-      ]).toString('base64');
-
-      return result;
+      return this.keyring.encrypt(plaintext, JSON.stringify(context));
     } catch (error) {
       throw new Error(`Encryption failed: ${error.message}`);
     }
   }
 
-  // Decrypt data using AES-256-GCM
   decrypt(encryptedData, context = {}) {
     try {
-      const data = Buffer.from(encryptedData, 'base64');
-
-      // Extract components
-      const salt = data.slice(0, this.saltLength);
-      const iv = data.slice(this.saltLength, this.saltLength + this.ivLength);
-      const tag = data.slice(this.saltLength + this.ivLength, this.saltLength + this.ivLength + this.tagLength);
-      const encrypted = data.slice(this.saltLength + this.ivLength + this.tagLength);
-
-      const key = this.deriveKey(this.masterKey, salt);
-
-      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
-      decipher.setAuthTag(tag);
-      decipher.setAAD(Buffer.from(JSON.stringify(context)));
-
-      let decrypted = decipher.update(encrypted, null, 'utf8');
-      decrypted += decipher.final('utf8');
-
-      return decrypted;
+      return this.keyring.decrypt(encryptedData, JSON.stringify(context));
     } catch (error) {
       throw new Error(`Decryption failed: ${error.message}`);
     }
   }
 
+  async audit(actorId, action, targetId, metadata = {}, target = 'vault') {
+    try {
+      await this.models.Audit.create({
+        actor_id: actorId || SYSTEM_ACTOR,
+        action,
+        target,
+        target_id: targetId,
+        metadata,
+        ip_address: '127.0.0.1'
+      });
+    } catch (error) {
+      log.warn(`Failed to record ${action} audit entry`, { error: error.message });
+    }
+  }
+
   // Store encrypted environment variable
   async storeSecret(userId, projectId, environmentId, key, value, metadata = {}) {
     try {
-      const context = {
-        userId,
-        projectId,
-        environmentId,
-        key,
-        timestamp: Date.now()
-      };
-
-      const encryptedValue = this.encrypt(value, context);
-
-      const envVar = await EnvVar.create({
+      const { EnvVar, Audit } = this.models;
+      const envVar = EnvVar.build({
         user_id: userId,
         project_id: projectId,
         environment_id: environmentId,
         key: key,
-        value_encrypted: encryptedValue,
-        encryption_version: '1',
+        encryption_version: '2',
         created_at: new Date(),
         updated_at: new Date(),
         metadata: {
           ...metadata,
-          encryption_algorithm: this.algorithm,
-          context_hash: crypto.createHash('sha256').update(JSON.stringify(context)).digest('hex')
+          encryption_algorithm: this.algorithm
         }
       });
+      envVar.setValue(value);
+      await envVar.save();
 
       await Audit.create({
         actor_id: userId,
@@ -163,6 +137,7 @@ class SecretsVault {
   // Retrieve and decrypt environment variable
   async getSecret(userId, envVarId, includeValue = false) {
     try {
+      const { EnvVar, Audit } = this.models;
       const envVar = await EnvVar.findOne({
         where: { id: envVarId, user_id: userId }
       });
@@ -181,15 +156,7 @@ class SecretsVault {
       };
 
       if (includeValue) {
-        const context = {
-          userId: envVar.user_id,
-          projectId: envVar.project_id,
-          environmentId: envVar.environment_id,
-          key: envVar.key,
-          timestamp: envVar.created_at.getTime()
-        };
-
-        result.value = this.decrypt(envVar.value_encrypted, context);
+        result.value = decryptField(envVar.value_encrypted, fieldContext('env_vars', envVar.id, 'value_encrypted'));
 
         // Log access
         await Audit.create({
@@ -215,6 +182,7 @@ class SecretsVault {
   // Update secret value
   async updateSecret(userId, envVarId, newValue, metadata = {}) {
     try {
+      const { EnvVar, Audit } = this.models;
       const envVar = await EnvVar.findOne({
         where: { id: envVarId, user_id: userId }
       });
@@ -223,24 +191,14 @@ class SecretsVault {
         throw new Error('Secret not found or access denied');
       }
 
-      const context = {
-        userId: envVar.user_id,
-        projectId: envVar.project_id,
-        environmentId: envVar.environment_id,
-        key: envVar.key,
-        timestamp: Date.now()
-      };
-
-      const encryptedValue = this.encrypt(newValue, context);
-
+      envVar.setValue(newValue);
       await envVar.update({
-        value_encrypted: encryptedValue,
+        value_encrypted: envVar.value_encrypted,
         updated_at: new Date(),
         metadata: {
           ...envVar.metadata,
           ...metadata,
-          last_updated_by: userId,
-          context_hash: crypto.createHash('sha256').update(JSON.stringify(context)).digest('hex')
+          last_updated_by: userId
         }
       });
 
@@ -271,6 +229,7 @@ class SecretsVault {
   // Delete secret
   async deleteSecret(userId, envVarId) {
     try {
+      const { EnvVar, Audit } = this.models;
       const envVar = await EnvVar.findOne({
         where: { id: envVarId, user_id: userId }
       });
@@ -303,6 +262,7 @@ class SecretsVault {
   // Get all secrets for a project/environment (without values)
   async listSecrets(userId, projectId, environmentId = null) {
     try {
+      const { EnvVar } = this.models;
       const whereClause = {
         user_id: userId,
         project_id: projectId
@@ -332,102 +292,215 @@ class SecretsVault {
     }
   }
 
-  // Rotate encryption keys (for scheduled maintenance)
-  async rotateKeys(userId, dryRun = false) {
-    try {
-      const oldMasterKey = this.masterKey;
-      const newMasterKey = this.generateKey();
+  /** Keyring status: key versions (never their material) and rotation state. */
+  keyStatus() {
+    return {
+      ...this.keyring.status(),
+      rotationIntervalDays: this.keyRotationInterval / DAY_MS,
+      rewrapping: this.rewrapping
+    };
+  }
 
-      if (dryRun) {
-        return {
-          action: 'key_rotation',
-          dry_run: true,
-          affected_secrets: await EnvVar.count(),
-          new_key_generated: true
-        };
+  async addKey(actorId, { activate = true } = {}) {
+    const key = this.keyring.addKey({ activate });
+    await this.audit(actorId, 'VAULT_ADD_KEY', key.id, { activated: key.status === 'active' });
+    log.info(`Added key ${key.id}${key.status === 'active' ? ' (active)' : ''}`);
+    return key;
+  }
+
+  async activateKey(actorId, keyId) {
+    const key = this.keyring.activateKey(keyId);
+    await this.audit(actorId, 'VAULT_ACTIVATE_KEY', keyId);
+    return key;
+  }
+
+  /** Retire a key once no stored secret is wrapped by it any more; its material is destroyed. */
+  async retireKey(actorId, keyId) {
+    this.keyring.findKey(keyId);
+    const usage = await this.keyUsage();
+    if (usage[keyId]) {
+      throw new VaultError(`${usage[keyId]} secrets are still wrapped by ${keyId}; rewrap them first`, 'KEY_IN_USE');
+    }
+    const key = this.keyring.retireKey(keyId);
+    await this.audit(actorId, 'VAULT_RETIRE_KEY', keyId);
+    log.info(`Retired key ${keyId}`);
+    return key;
+  }
+
+  // Call visit(row, field) for every row with encrypted columns, `batchSize` rows at a time
+  async forEachEncryptedRow(visit, { batchSize = this.batchSize, onBatch } = {}) {
+    for (const field of ENCRYPTED_FIELDS) {
+      const Model = this.models[field.model];
+      let lastId = null;
+      for (;;) {
+        const rows = await Model.findAll({
+          where: lastId === null ? {} : { id: { [Op.gt]: lastId } },
+          attributes: ['id', ...field.columns],
+          order: [['id', 'ASC']],
+          limit: batchSize
+        });
+        for (const row of rows) await visit(row, field);
+        if (onBatch && rows.length > 0) onBatch(field, rows.length);
+        if (rows.length < batchSize) break;
+        lastId = rows[rows.length - 1].id;
+        // Let requests through between batches
+        await new Promise(resolve => setImmediate(resolve));
       }
+    }
+  }
 
-      // Get all encrypted environment variables
-      const envVars = await EnvVar.findAll({
-        attributes: ['id', 'user_id', 'project_id', 'environment_id', 'key', 'value_encrypted', 'metadata']
-      });
+  /** Number of stored secrets per KEK id ('legacy' for values not yet in envelopes). */
+  async keyUsage() {
+    const usage = {};
+    await this.forEachEncryptedRow((row, { columns }) => {
+      for (const column of columns) {
+        if (!isStoredSecret(row[column])) continue;
+        const keyId = keyIdOf(row[column]);
+        usage[keyId] = (usage[keyId] || 0) + 1;
+      }
+    });
+    return usage;
+  }
 
-      let rotatedCount = 0;
-      const errors = [];
+  /**
+   * Re-wrap every stored secret with the active key (legacy values are
+   * re-encrypted). Rows changed concurrently are left for the next pass.
+   */
+  async rewrapSecrets(actorId = null, { batchSize } = {}) {
+    if (this.rewrapping) throw new VaultError('A rewrap is already running', 'REWRAP_IN_PROGRESS');
+    this.rewrapping = true;
+    const report = { activeKeyId: this.keyring.status().activeKeyId, scanned: 0, rewrapped: 0, migrated: 0, skipped: 0, batches: 0, failed: [] };
+    try {
+      await this.forEachEncryptedRow(async (row, { model, table, columns }) => {
+        const changes = {};
+        const expected = { id: row.id };
+        for (const column of columns) {
+          if (!isStoredSecret(row[column])) continue;
+          report.scanned++;
+          try {
+            const rewrapped = rewrapField(row[column], fieldContext(table, row.id, column));
+            if (!rewrapped) continue;
+            report[keyIdOf(row[column]) === 'legacy' ? 'migrated' : 'rewrapped']++;
+            changes[column] = rewrapped;
+            expected[column] = row[column];
+          } catch (error) {
+            report.failed.push({ table, id: row.id, column, error: error.message });
+          }
+        }
+        if (Object.keys(changes).length === 0) return;
+        // Compare-and-set: never overwrite a value written since this batch was read
+        const [updated] = await this.models[model].update(changes, { where: expected, silent: true });
+        if (updated === 0) report.skipped += Object.keys(changes).length;
+      }, { batchSize, onBatch: () => { report.batches++; } });
+
+      if (report.failed.length === 0 && report.skipped === 0) {
+        this.keyring.setRotationState({ rewrapPending: false, lastRewrapAt: new Date().toISOString() });
+      }
+    } finally {
+      this.rewrapping = false;
+    }
+
+    const { failed, ...counts } = report;
+    await this.audit(actorId, 'VAULT_REWRAP', report.activeKeyId, { ...counts, failed: failed.length });
+    if (failed.length > 0) log.warn(`Rewrap left ${failed.length} secrets that cannot be decrypted`);
+    return report;
+  }
 
-      for (const envVar of envVars) {
+  /** Check that every EnvVar value and Connection token can be decrypted. */
+  async verifySecrets(actorId = null) {
+    const report = { checked: 0, ok: 0, failed: [], keys: {} };
+    await this.forEachEncryptedRow((row, { table, columns }) => {
+      for (const column of columns) {
+        if (!isStoredSecret(row[column])) continue;
+        report.checked++;
+        const keyId = keyIdOf(row[column]);
+        report.keys[keyId] = (report.keys[keyId] || 0) + 1;
         try {
-          // Decrypt with old key
-          const context = {
-            userId: envVar.user_id,
-            projectId: envVar.project_id,
-            environmentId: envVar.environment_id,
-            key: envVar.key,
-            timestamp: envVar.created_at?.getTime() || Date.now()
-          };
-
-          const plaintext = this.decrypt(envVar.value_encrypted, context);
-
-          // Re-encrypt with new key
-          this.masterKey = newMasterKey;
-          const newEncryptedValue = this.encrypt(plaintext, context);
-
-          // Update database
-          await envVar.update({
-            value_encrypted: newEncryptedValue,
-            encryption_version: '2',
-            updated_at: new Date(),
-            metadata: {
-              ...envVar.metadata,
-              key_rotation_date: new Date(),
-              rotated_by: userId
-            }
-          });
-
-          rotatedCount++;
+          decryptField(row[column], fieldContext(table, row.id, column));
+          report.ok++;
         } catch (error) {
-          errors.push({
-            env_var_id: envVar.id,
-            key: envVar.key,
-            error: error.message
-          });
-
-          // Restore old key for next iteration
-          this.masterKey = oldMasterKey;
+          report.failed.push({ table, id: row.id, column, keyId, error: error.message });
         }
       }
+    });
+    report.healthy = report.failed.length === 0;
+    await this.audit(actorId, 'VAULT_VERIFY', 'secrets', { checked: report.checked, failed: report.failed.length, keys: report.keys });
+    return report;
+  }
+
+  // Rotate encryption keys: a new active KEK, then every secret re-wrapped with it
+  async rotateKeys(userId, dryRun = false) {
+    try {
+      if (dryRun) {
+        const usage = await this.keyUsage();
+        return {
+          action: 'key_rotation',
+          dry_run: true,
+          active_key: this.keyring.status().activeKeyId,
+          affected_secrets: Object.values(usage).reduce((sum, n) => sum + n, 0),
+          keys: usage
+        };
+      }
 
-      // Clear derived key cache
-      this.derivedKeys.clear();
+      const key = await this.addKey(userId);
+      const report = await this.rewrapSecrets(userId);
 
-      await Audit.create({
-        actor_id: userId,
-        action: 'ROTATE_ENCRYPTION_KEYS',
-        target: 'vault',
-        target_id: 'master_key',
-        metadata: {
-          rotated_count: rotatedCount,
-          error_count: errors.length,
-          total_secrets: envVars.length
-        },
-        ip_address: '127.0.0.1'
+      await this.audit(userId, 'ROTATE_ENCRYPTION_KEYS', key.id, {
+        rotated_count: report.rewrapped + report.migrated,
+        error_count: report.failed.length,
+        total_secrets: report.scanned
       });
 
       return {
         action: 'key_rotation',
-        success: true,
-        rotated_count: rotatedCount,
-        error_count: errors.length,
-        errors: errors.slice(0, 10) // Limit error details
+        success: report.failed.length === 0,
+        key_id: key.id,
+        rotated_count: report.rewrapped + report.migrated,
+        error_count: report.failed.length,
+        errors: report.failed.slice(0, 10) // Limit error details
       };
     } catch (error) {
       throw new Error(`Key rotation failed: ${error.message}`);
     }
   }
 
+  /**
+   * Rotate when the active key is older than the rotation interval, or
+   * finish a rewrap that did not complete (e.g. interrupted by a restart).
+   */
+  async runScheduledRotation(now = Date.now()) {
+    if (this.rewrapping) return null;
+    try {
+      if (this.keyRotationInterval > 0 && this.keyring.needsRotation(this.keyRotationInterval, now)) {
+        log.info(`Active key is older than ${this.keyRotationInterval / DAY_MS} days; rotating`);
+        return await this.rotateKeys(null);
+      }
+      if (this.keyring.status().rotation.rewrapPending) {
+        return await this.rewrapSecrets(null);
+      }
+    } catch (error) {
+      log.warn('Scheduled key rotation failed', { error: error.message });
+    }
+    return null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.runScheduledRotation(), ROTATION_CHECK_MS);
+    this.timer.unref();
+    // First check shortly after startup, once migrations have run
+    setTimeout(() => this.runScheduledRotation(), 30000).unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
   // Backup encrypted secrets
   async backupSecrets(userId, projectId, includeValues = false) {
     try {
+      const { Audit } = this.models;
       const secrets = await this.listSecrets(userId, projectId);
       const backup = {
         timestamp: new Date(),
@@ -478,6 +551,7 @@ class SecretsVault {
   // Push secrets to deployment providers
   async pushSecretsToProvider(userId, projectId, environmentId, provider) {
     try {
+      const { Audit } = this.models;
       const secrets = await this.listSecrets(userId, projectId, environmentId);
       const secretValues = {};
 
@@ -545,6 +619,7 @@ class SecretsVault {
   // Health check for vault operations
   async healthCheck() {
     try {
+      const { EnvVar } = this.models;
       const testData = 'health-check-' + Date.now();
       const context = { purpose: 'health_check', timestamp: Date.now() };
 
@@ -578,6 +653,7 @@ class SecretsVault {
   // Get vault statistics
   async getStatistics(userId) {
     try {
+      const { EnvVar } = this.models;
       const stats = await EnvVar.findAll({
         where: { user_id: userId },
         attributes: [
@@ -602,4 +678,6 @@ class SecretsVault {
   }
 }
 
-module.exports = new SecretsVault();
\ No newline at end of file
+module.exports = new SecretsVault();
+module.exports.SecretsVault = SecretsVault;
+module.exports.VaultError = VaultError;
\ No newline at end of file
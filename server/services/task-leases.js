@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const bus = require('./bus');
+const logger = require('./logger');
+const log = logger.child({ source: 'LEASES' });
+
+const LEASE_MS = 30 * 1000;
+const MAX_LEASE_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const SWEEP_INTERVAL_MS = 5 * 1000;
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Tasks with injected secrets in their environment
+const carriesSecrets = (task) => Object.keys(task.env || {}).length > 0;
+
+const tokensMatch = (expected, given) => {
+  if (!expected || !given) return false;
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+class TaskLeaseError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TaskLeaseError';
+    this.code = code;
+  }
+}
+
+/**
+ * Hands task command runs to out-of-process workers (workers/runner.js).
+ *
+ * The orchestrator offers a task and awaits its result; a worker claims it
+ * over the API and holds a lease for TASK_LEASE_MS, renewing it with each
+ * heartbeat until it completes or fails the task. A lease that is not
+ * renewed in time (the worker crashed or lost the network) is re-queued for
+ * another worker, up to TASK_LEASE_MAX_ATTEMPTS claims. Offers always
+ * resolve, with status completed, failed or cancelled.
+ *
+ * Claims and heartbeats also keep the worker's row in the workers table
+ * current, so runners show up on the dashboard without registering.
+ *
+ * A task whose environment carries secrets (granted for its agent by
+ * services/task-secrets) is only leased to a worker whose own credential
+ * (WORKER_TOKENS) is bound to that agent; the agents a worker declares in
+ * its claim only narrow which tasks it takes.
+ */
+class TaskLeaseManager {
+  constructor(options = {}) {
+    this.options = options;
+    this.leaseMs = options.leaseMs || envNumber('TASK_LEASE_MS', LEASE_MS);
+    this.maxLeaseMs = options.maxLeaseMs || MAX_LEASE_MS;
+    this.maxAttempts = options.maxAttempts || envNumber('TASK_LEASE_MAX_ATTEMPTS', MAX_ATTEMPTS);
+    this.bus = options.bus || bus;
+    this.queue = []; // jobs waiting for a worker, oldest first
+    this.leases = new Map(); // lease id -> job
+    this.sweepTimer = null;
+  }
+
+  // Resolved lazily so requiring the service never opens the database
+  get models() {
+    if (!this.options.models) this.options.models = require('../models');
+    return this.options.models;
+  }
+
+  /**
+   * Queue a task for the workers. `task` is the payload a worker receives:
+   * { workflowId, taskId, title, agent, commands, cwd, root, env }.
+   * Aborting `signal` cancels it, telling a worker that holds it to stop.
+   */
+  offer(task, { signal = null } = {}) {
+    return new Promise((resolve) => {
+      const job = { id: crypto.randomUUID(), task, attempts: 0, lease: null, cancelled: false, settled: false, resolve, offeredAt: new Date() };
+      this.queue.push(job);
+      if (signal) {
+        if (signal.aborted) this.cancel(job, 'Workflow cancelled');
+        else signal.addEventListener('abort', () => this.cancel(job, 'Workflow cancelled'), { once: true });
+      }
+    });
+  }
+
+  /**
+   * Lease the oldest queued task to `workerId`. `agents` limits the claim
+   * to tasks assigned to those agents. Tasks that carry secrets are only
+   * claimed with `allowSecrets`, for agents bound to the worker's
+   * credential. Null when nothing is waiting.
+   */
+  async claim(workerId, { agents = null, allowSecrets = false, pid = null, leaseMs = null } = {}) {
+    this.sweep();
+    const wanted = Array.isArray(agents) && agents.length > 0 ? agents.map(agent => String(agent).toLowerCase()) : null;
+    const index = this.queue.findIndex(job => (
+      (!wanted || wanted.includes(String(job.task.agent).toLowerCase())) &&
+      (!carriesSecrets(job.task) || (allowSecrets && wanted !== null))
+    ));
+    if (index === -1) {
+      await this.touchWorker(workerId, { pid, status: 'idle', current_command: null });
+      return null;
+    }
+
+    const [job] = this.queue.splice(index, 1);
+    job.attempts++;
+    const duration = Math.min(Number(leaseMs) || this.leaseMs, this.maxLeaseMs);
+    job.lease = { id: crypto.randomUUID(), workerId, duration, claimedAt: new Date(), expiresAt: new Date(Date.now() + duration), progress: null };
+    this.leases.set(job.lease.id, job);
+
+    log.info(`${workerId} claimed "${job.task.title}" (attempt ${job.attempts}/${this.maxAttempts})`, { workflowId: job.task.workflowId, taskId: job.task.taskId, agent: job.task.agent });
+    this.bus.emit('event', { source: 'worker', kind: 'lease_claimed', worker: workerId, task: job.task.title, workflowId: job.task.workflowId, attempt: job.attempts });
+    await this.touchWorker(workerId, { pid, status: 'busy', current_command: job.task.title });
+    return this.describe(job);
+  }
+
+  /**
+   * Renew a lease and record the worker's progress. `cancelled` in the
+   * answer tells the worker to stop; its lease is released.
+   */
+  async heartbeat(workerId, leaseId, { progress = null, pid = null } = {}) {
+    const job = this.held(workerId, leaseId);
+    if (job.cancelled) {
+      this.leases.delete(leaseId);
+      return { leaseId, cancelled: true };
+    }
+    job.lease.expiresAt = new Date(Date.now() + job.lease.duration);
+    job.lease.progress = progress;
+    const command = progress && progress.command ? String(progress.command) : job.task.title;
+    await this.touchWorker(workerId, { pid, status: 'busy', current_command: command });
+    return { leaseId, cancelled: false, expiresAt: job.lease.expiresAt };
+  }
+
+  /**
+   * Hand back a task's result: { status, steps, artifacts, error }. A
+   * result for a task cancelled meanwhile is dropped.
+   */
+  async complete(workerId, leaseId, result = {}) {
+    const job = this.held(workerId, leaseId);
+    this.leases.delete(leaseId);
+    await this.touchWorker(workerId, { status: 'idle', current_command: null });
+    if (job.cancelled) return { accepted: false };
+
+    const status = result.status === 'failed' ? 'failed' : 'completed';
+    log.info(`${workerId} ${status} "${job.task.title}"`, { workflowId: job.task.workflowId, taskId: job.task.taskId, agent: job.task.agent });
+    this.settle(job, {
+      status,
+      steps: Array.isArray(result.steps) ? result.steps : [],
+      artifacts: Array.isArray(result.artifacts) ? result.artifacts : [],
+      error: result.error || null,
+      workerId
+    });
+    return { accepted: true };
+  }
+
+  /**
+   * A worker gives up a task it could not run. Retryable failures go back
+   * in the queue while claims remain; the rest fail the task.
+   */
+  async fail(workerId, leaseId, { error = 'Worker failed', retryable = false } = {}) {
+    const job = this.held(workerId, leaseId);
+    this.leases.delete(leaseId);
+    await this.touchWorker(workerId, { status: 'idle', current_command: null });
+    if (job.cancelled) return { requeued: false };
+    return { requeued: this.release(job, `${workerId}: ${error}`, retryable) };
+  }
+
+  /**
+   * Re-queue tasks whose lease ran out, or fail them once they have used
+   * every claim. Returns the number of leases that expired.
+   */
+  sweep(now = Date.now()) {
+    let expired = 0;
+    for (const [leaseId, job] of this.leases) {
+      if (job.lease.expiresAt.getTime() > now) continue;
+      this.leases.delete(leaseId);
+      expired++;
+      if (job.cancelled) continue;
+      const { workerId } = job.lease;
+      log.warn(`Lease of ${workerId} on "${job.task.title}" expired`, { workflowId: job.task.workflowId, taskId: job.task.taskId, agent: job.task.agent });
+      this.bus.emit('event', { source: 'worker', kind: 'lease_expired', worker: workerId, task: job.task.title, workflowId: job.task.workflowId, attempt: job.attempts });
+      this.release(job, `Lease held by ${workerId} expired`, true);
+      this.touchWorker(workerId, { status: 'offline', current_command: null });
+    }
+    return expired;
+  }
+
+  cancel(job, reason) {
+    if (job.settled) return;
+    job.cancelled = true;
+    this.queue = this.queue.filter(queued => queued !== job);
+    this.settle(job, { status: 'cancelled', steps: [], artifacts: [], error: reason });
+  }
+
+  // Whether `token` is the shared WORKER_AUTH_TOKEN standalone runners are configured with
+  verifyRunnerToken(token) {
+    return tokensMatch(this.options.runnerToken || process.env.WORKER_AUTH_TOKEN, token);
+  }
+
+  /**
+   * Per-worker credentials: options.workerTokens or WORKER_TOKENS, a JSON
+   * object of worker id -> { token, agents }.
+   */
+  workerCredentials() {
+    if (this.options.workerTokens) return this.options.workerTokens;
+    const raw = process.env.WORKER_TOKENS || '';
+    if (!this.parsedCredentials || this.parsedCredentials.raw !== raw) {
+      let credentials = {};
+      try {
+        credentials = raw ? JSON.parse(raw) : {};
+      } catch (error) {
+        log.warn('WORKER_TOKENS is not valid JSON; no per-worker tokens are accepted', { error: error.message });
+      }
+      this.parsedCredentials = { raw, credentials };
+    }
+    return this.parsedCredentials.credentials;
+  }
+
+  // Agents bound to `workerId` when `token` is that worker's own credential, or null
+  agentsForToken(workerId, token) {
+    const credentials = this.workerCredentials();
+    if (!Object.prototype.hasOwnProperty.call(credentials, workerId)) return null;
+    const credential = credentials[workerId] || {};
+    if (!tokensMatch(credential.token, token)) return null;
+    return Array.isArray(credential.agents) ? credential.agents.map(String) : [];
+  }
+
+  // Whether `workerId` has its own credential; the shared token cannot act for it
+  hasWorkerCredential(workerId) {
+    return Object.prototype.hasOwnProperty.call(this.workerCredentials(), workerId);
+  }
+
+  // What a worker receives for a claim
+  describe(job) {
+    return { leaseId: job.lease.id, expiresAt: job.lease.expiresAt, attempt: job.attempts, task: job.task };
+  }
+
+  // Queued and leased tasks, for the dashboard
+  status() {
+    return {
+      queued: this.queue.map(job => ({ id: job.id, title: job.task.title, agent: job.task.agent, workflowId: job.task.workflowId, attempts: job.attempts, offeredAt: job.offeredAt })),
+      leased: [...this.leases.values()].filter(job => !job.cancelled).map(job => ({
+        id: job.id,
+        title: job.task.title,
+        agent: job.task.agent,
+        workflowId: job.task.workflowId,
+        attempts: job.attempts,
+        workerId: job.lease.workerId,
+        expiresAt: job.lease.expiresAt,
+        progress: job.lease.progress
+      }))
+    };
+  }
+
+  held(workerId, leaseId) {
+    const job = this.leases.get(leaseId);
+    if (!job) throw new TaskLeaseError(`Lease ${leaseId} is not held; it expired or was already returned`, 'LEASE_LOST');
+    if (job.lease.workerId !== workerId) throw new TaskLeaseError(`Lease ${leaseId} belongs to another worker`, 'NOT_LEASE_OWNER');
+    return job;
+  }
+
+  // Put a job back in the queue, or fail it; true when it was re-queued
+  release(job, reason, retryable) {
+    job.lease = null;
+    if (retryable && job.attempts < this.maxAttempts) {
+      this.queue.unshift(job);
+      return true;
+    }
+    this.settle(job, { status: 'failed', steps: [], artifacts: [], error: `${reason} (after ${job.attempts} attempt(s))` });
+    return false;
+  }
+
+  settle(job, result) {
+    if (job.settled) return;
+    job.settled = true;
+    job.resolve({ ...result, attempts: job.attempts });
+  }
+
+  async touchWorker(workerId, { pid = null, status, current_command = null }) {
+    try {
+      const { Worker } = this.models;
+      const worker = await Worker.findByPk(workerId);
+      const queueDepth = this.queue.length;
+      current_command = current_command ? String(current_command).slice(0, 255) : null;
+      if (!worker) {
+        await Worker.create({ id: workerId, name: workerId, role: 'runner', pid, status, current_command, queue_depth: queueDepth, last_heartbeat: new Date(), last_heartbeat_seq: 1 });
+        return;
+      }
+      worker.status = status;
+      worker.current_command = current_command;
+      worker.queue_depth = queueDepth;
+      if (status === 'offline') {
+        worker.pid = null;
+      } else {
+        if (pid) worker.pid = pid;
+        worker.last_heartbeat = new Date();
+        worker.last_heartbeat_seq = (worker.last_heartbeat_seq || 0) + 1;
+      }
+      await worker.save();
+    } catch (error) {
+      log.warn(`Could not update worker ${workerId}: ${error.message}`);
+    }
+  }
+
+  start() {
+    if (this.sweepTimer) return;
+    this.sweepTimer = setInterval(() => this.sweep(), this.options.sweepIntervalMs || SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  stop() {
+    if (this.sweepTimer) clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+}
+
+module.exports = new TaskLeaseManager();
+module.exports.TaskLeaseManager = TaskLeaseManager;
+module.exports.TaskLeaseError = TaskLeaseError;
@@ -1,9 +1,29 @@
 const crypto = require('crypto');
-const { User, Project, Audit } = require('../models');
+const { Op } = require('sequelize');
 const agentEngine = require('./agent-engine');
+const CronExpression = require('./cron-expression');
 
+// Task statuses the queue still has to act on after a restart
+const ACTIVE_TASK_STATUSES = ['queued', 'scheduled', 'running'];
+
+const CATCH_UP_POLICIES = ['skip', 'once', 'all'];
+
+// setTimeout overflows above ~24.8 days; longer waits are re-armed in steps
+const MAX_TIMER_DELAY = 2147483647;
+
+// Re-check schedules at least this often so rows edited elsewhere are picked up
+const SCHEDULE_POLL_MS = 60000;
+
+/**
+ * Priority task queue for the agent engine, backed by the `queued_tasks` and
+ * `task_schedules` tables. Queued, scheduled and recurring work is written
+ * through to the database and restored by `recover()` on startup, including
+ * recurring runs missed while the server was down (per-schedule catch-up
+ * policy: skip, once or all).
+ */
 class TaskQueue {
-  constructor() {
+  constructor(options = {}) {
+    this.models = options.models || require('../models');
     this.queues = new Map(); // Priority queues by project
     this.runningTasks = new Map();
     this.completedTasks = new Map();
@@ -13,8 +33,9 @@ class TaskQueue {
     this.taskTimeout = parseInt(process.env.TASK_TIMEOUT) || 300000; // 5 minutes
     this.retryAttempts = 3;
 
-    // Task persistence (in production, use Redis or database)
-    this.persistentStorage = new Map();
+    // Upper bound on runs enqueued for one schedule by the 'all' catch-up policy
+    this.maxCatchUpRuns = options.maxCatchUpRuns || parseInt(process.env.TASK_SCHEDULE_MAX_CATCH_UP) || 10;
+    this.scheduleTimer = null;
 
     // Start processing
     // Auto-start processing and periodic cleanup unless running in test environment.
@@ -27,8 +48,11 @@ class TaskQueue {
     }
   }
 
-  // Add task to queue
+  // Add task to queue (or hold it until `scheduledFor` when status is 'scheduled')
   async addTask(taskData) {
+    const scheduled = taskData.status === 'scheduled' && taskData.scheduledFor &&
+      new Date(taskData.scheduledFor).getTime() > Date.now();
+
     const task = {
       id: crypto.randomUUID(),
       userId: taskData.userId,
@@ -40,9 +64,11 @@ class TaskQueue {
       constraints: taskData.constraints || {},
       metadata: taskData.metadata || {},
       retryCount: 0,
-      status: 'queued',
+      status: scheduled ? 'scheduled' : 'queued',
       createdAt: new Date(),
-      queuedAt: new Date(),
+      queuedAt: scheduled ? null : new Date(),
+      scheduledFor: taskData.scheduledFor ? new Date(taskData.scheduledFor) : null,
+      scheduleId: taskData.scheduleId || null,
       estimatedDuration: taskData.estimatedDuration || 60000, // 1 minute default
       dependencies: taskData.dependencies || [], // Task IDs this task depends on
       tags: taskData.tags || [],
@@ -53,20 +79,17 @@ class TaskQueue {
     // Validate task
     await this.validateTask(task);
 
-    // Add to appropriate queue
-    const queueKey = `${task.projectId}-${task.priority}`;
-    if (!this.queues.has(queueKey)) {
-      this.queues.set(queueKey, []);
-    }
-
-    this.queues.get(queueKey).push(task);
-    this.sortQueue(queueKey);
+    // Persist before the task becomes visible to the processor
+    await this.saveTask(task);
 
-    // Persist task
-    this.persistentStorage.set(task.id, task);
+    if (task.status === 'scheduled') {
+      this.armScheduledTask(task);
+    } else {
+      this.enqueue(task);
+    }
 
     // Log task creation
-    await Audit.create({
+    await this.models.Audit.create({
       actor_id: task.userId,
       action: 'CREATE_TASK',
       target: 'task',
@@ -76,7 +99,8 @@ class TaskQueue {
         type: task.type,
         priority: task.priority,
         tools: task.tools,
-        estimated_duration: task.estimatedDuration
+        estimated_duration: task.estimatedDuration,
+        schedule_id: task.scheduleId || undefined
       },
       ip_address: '127.0.0.1'
     });
@@ -85,79 +109,529 @@ class TaskQueue {
     return task;
   }
 
+  enqueue(task) {
+    const queueKey = `${task.projectId}-${task.priority}`;
+    if (!this.queues.has(queueKey)) {
+      this.queues.set(queueKey, []);
+    }
+
+    this.queues.get(queueKey).push(task);
+    this.sortQueue(queueKey);
+  }
+
   // Schedule task for future execution
   async scheduleTask(taskData, executeAt) {
-    const task = await this.addTask({ ...taskData, status: 'scheduled' });
-
-    const delay = new Date(executeAt).getTime() - Date.now();
-    if (delay > 0) {
-      const timeoutId = setTimeout(async () => {
-        task.status = 'queued';
-        task.queuedAt = new Date();
-        this.scheduledTasks.delete(task.id);
-        await this.processQueue();
-      }, delay);
+    return this.addTask({ ...taskData, status: 'scheduled', scheduledFor: executeAt });
+  }
 
-      this.scheduledTasks.set(task.id, { task, timeoutId });
-    } else {
-      // Execute immediately if scheduled time has passed
-      task.status = 'queued';
+  armScheduledTask(task) {
+    const delay = new Date(task.scheduledFor).getTime() - Date.now();
+    if (delay <= 0) {
+      return this.releaseScheduledTask(task);
     }
 
-    return task;
+    const existing = this.scheduledTasks.get(task.id);
+    if (existing) clearTimeout(existing.timeoutId);
+
+    const timeoutId = setTimeout(() => {
+      if (delay > MAX_TIMER_DELAY) {
+        this.armScheduledTask(task);
+      } else {
+        this.releaseScheduledTask(task).catch(error =>
+          console.error(`Failed to release scheduled task ${task.id}:`, error.message));
+      }
+    }, Math.min(delay, MAX_TIMER_DELAY));
+
+    this.scheduledTasks.set(task.id, { task, timeoutId });
   }
 
-  // Create recurring task
-  async createRecurringTask(taskData, schedule) {
-    const baseTask = await this.addTask({
-      ...taskData,
-      type: 'recurring',
-      metadata: {
-        ...taskData.metadata,
-        schedule,
-        isRecurring: true
+  async releaseScheduledTask(task) {
+    this.scheduledTasks.delete(task.id);
+    if (task.status !== 'scheduled') return;
+
+    task.status = 'queued';
+    task.queuedAt = new Date();
+    this.enqueue(task);
+    await this.saveTask(task);
+  }
+
+  /**
+   * Create a recurring schedule. `schedule` is a cron expression
+   * ('0 9 * * MON-FRI', '@daily'), `{ cron }`, or one of the legacy shapes
+   * `{ type: 'interval', milliseconds }`, `{ type: 'daily', hour, minute }`
+   * and `{ type: 'weekly', dayOfWeek, hour, minute }`.
+   * Options: `name`, `catchUp` ('skip' | 'once' | 'all').
+   */
+  async createRecurringTask(taskData, schedule, options = {}) {
+    const { cron, intervalMs } = this.normalizeSchedule(schedule);
+    const catchUp = options.catchUp || (schedule && schedule.catchUp) || 'once';
+    if (!CATCH_UP_POLICIES.includes(catchUp)) {
+      throw new Error(`Invalid catch-up policy '${catchUp}' (expected ${CATCH_UP_POLICIES.join(', ')})`);
+    }
+
+    const template = {
+      type: taskData.type || 'recurring',
+      priority: taskData.priority || 'normal',
+      prompt: taskData.prompt,
+      tools: taskData.tools || ['filesystem', 'git', 'command'],
+      constraints: taskData.constraints || {},
+      metadata: taskData.metadata || {},
+      estimatedDuration: taskData.estimatedDuration,
+      tags: taskData.tags || [],
+      callback: taskData.callback
+    };
+    await this.validateTask({ ...template, userId: taskData.userId, projectId: taskData.projectId });
+
+    const row = await this.models.TaskSchedule.create({
+      id: crypto.randomUUID(),
+      user_id: taskData.userId,
+      project_id: taskData.projectId,
+      name: options.name || (schedule && schedule.name) || null,
+      cron,
+      interval_ms: intervalMs,
+      task_template: template,
+      status: 'active',
+      catch_up: catchUp,
+      next_run_at: this.computeNextRun({ cron, interval_ms: intervalMs }, new Date())
+    });
+
+    await this.models.Audit.create({
+      actor_id: taskData.userId,
+      action: 'CREATE_SCHEDULE',
+      target: 'task_schedule',
+      target_id: row.id,
+      metadata: { project_id: taskData.projectId, cron, interval_ms: intervalMs, catch_up: catchUp },
+      ip_address: '127.0.0.1'
+    });
+
+    console.log(`Schedule ${row.id} created (${cron || `every ${intervalMs}ms`}), next run ${row.next_run_at.toISOString()}`);
+    this.armScheduleTimer();
+    return this.serializeSchedule(row);
+  }
+
+  normalizeSchedule(schedule) {
+    if (typeof schedule === 'string') {
+      new CronExpression(schedule);
+      return { cron: schedule.trim(), intervalMs: null };
+    }
+    if (!schedule || typeof schedule !== 'object') {
+      throw new Error('Schedule must be a cron expression or schedule object');
+    }
+    if (schedule.cron || schedule.type === 'cron') {
+      return this.normalizeSchedule(schedule.cron || schedule.expression);
+    }
+
+    const minute = schedule.minute || 0;
+    const hour = schedule.hour || 0;
+    switch (schedule.type) {
+      case 'interval': {
+        const intervalMs = parseInt(schedule.milliseconds);
+        if (!intervalMs || intervalMs < 1000) {
+          throw new Error('Interval schedules need milliseconds >= 1000');
+        }
+        return { cron: null, intervalMs };
       }
+      case 'daily':
+        return this.normalizeSchedule(`${minute} ${hour} * * *`);
+      case 'weekly':
+        return this.normalizeSchedule(`${minute} ${hour} * * ${schedule.dayOfWeek || 0}`);
+      default:
+        throw new Error(`Unsupported schedule type '${schedule.type}'`);
+    }
+  }
+
+  // First run strictly after `from` for a schedule row
+  computeNextRun(schedule, from) {
+    if (schedule.cron) {
+      return new CronExpression(schedule.cron).next(from);
+    }
+    return new Date(from.getTime() + schedule.interval_ms);
+  }
+
+  // Runs due in (after, until], oldest first, capped at `limit`
+  dueRuns(schedule, after, until, limit) {
+    if (schedule.cron) {
+      return new CronExpression(schedule.cron).between(after, until, limit);
+    }
+    const runs = [];
+    for (let t = after.getTime() + schedule.interval_ms; t <= until.getTime() && runs.length < limit; t += schedule.interval_ms) {
+      runs.push(new Date(t));
+    }
+    return runs;
+  }
+
+  // Number of runs due in (after, until] without materializing them
+  countDueRuns(schedule, after, until) {
+    if (!schedule.cron) {
+      return Math.max(0, Math.floor((until.getTime() - after.getTime()) / schedule.interval_ms));
+    }
+    return this.dueRuns(schedule, after, until, Infinity).length;
+  }
+
+  // Enqueue one run of a schedule
+  async fireSchedule(schedule, dueAt, extraMetadata = {}) {
+    const template = schedule.task_template || {};
+    try {
+      const task = await this.addTask({
+        ...template,
+        userId: schedule.user_id,
+        projectId: schedule.project_id,
+        scheduleId: schedule.id,
+        metadata: {
+          ...template.metadata,
+          scheduleId: schedule.id,
+          scheduledFor: dueAt.toISOString(),
+          ...extraMetadata
+        }
+      });
+      schedule.last_task_id = task.id;
+      schedule.run_count = (schedule.run_count || 0) + 1;
+      return task;
+    } catch (error) {
+      console.warn(`[TASK-QUEUE] Schedule ${schedule.id} run at ${dueAt.toISOString()} not queued:`, error.message);
+      return null;
+    } finally {
+      schedule.last_run_at = dueAt;
+    }
+  }
+
+  // Fire every active schedule whose next run is due, then advance it
+  async runDueSchedules(now = new Date()) {
+    const due = await this.models.TaskSchedule.findAll({
+      where: { status: 'active', next_run_at: { [Op.lte]: now } },
+      order: [['next_run_at', 'ASC']]
+    });
+
+    let fired = 0;
+    for (const schedule of due) {
+      if (await this.fireSchedule(schedule, schedule.next_run_at)) fired++;
+      schedule.next_run_at = this.computeNextRun(schedule, now);
+      await schedule.save();
+    }
+    return fired;
+  }
+
+  /**
+   * Apply each schedule's catch-up policy to runs missed while the server
+   * was down, then move its next run past `now`.
+   */
+  async catchUpSchedules(now = new Date()) {
+    const summary = { schedules: 0, catchUpRuns: 0, missedRuns: 0 };
+    const overdue = await this.models.TaskSchedule.findAll({
+      where: { status: 'active', next_run_at: { [Op.lte]: now } },
+      order: [['next_run_at', 'ASC']]
     });
 
-    // Schedule next execution based on cron-like schedule
-    this.scheduleNextRecurrence(baseTask, schedule);
-    return baseTask;
+    for (const schedule of overdue) {
+      const first = schedule.next_run_at;
+      const missed = 1 + this.countDueRuns(schedule, first, now);
+
+      let runs = [];
+      if (schedule.catch_up === 'all') {
+        runs = [first, ...this.dueRuns(schedule, first, now, this.maxCatchUpRuns - 1)];
+      } else if (schedule.catch_up === 'once') {
+        runs = [first];
+      }
+
+      let fired = 0;
+      for (const dueAt of runs) {
+        const task = await this.fireSchedule(schedule, dueAt, { catchUp: true, missedRuns: missed });
+        if (task) fired++;
+      }
+
+      schedule.missed_runs = (schedule.missed_runs || 0) + (missed - fired);
+      schedule.next_run_at = this.computeNextRun(schedule, now);
+      await schedule.save();
+
+      summary.schedules++;
+      summary.catchUpRuns += fired;
+      summary.missedRuns += missed - fired;
+      console.log(`[TASK-QUEUE] Schedule ${schedule.id} missed ${missed} run(s) while offline; catch-up '${schedule.catch_up}' queued ${fired}`);
+    }
+
+    return summary;
   }
 
-  scheduleNextRecurrence(task, schedule) {
-    // Simple schedule parsing (in production, use a proper cron library)
-    let nextExecution;
+  // Wake up for the earliest active schedule (or after SCHEDULE_POLL_MS)
+  async armScheduleTimer() {
+    if (this.scheduleTimer) clearTimeout(this.scheduleTimer);
+    this.scheduleTimer = null;
+    if (this.isShutDown) return;
 
-    if (schedule.type === 'interval') {
-      nextExecution = new Date(Date.now() + schedule.milliseconds);
-    } else if (schedule.type === 'daily') {
-      nextExecution = new Date();
-      nextExecution.setDate(nextExecution.getDate() + 1);
-      nextExecution.setHours(schedule.hour || 0, schedule.minute || 0, 0, 0);
-    } else if (schedule.type === 'weekly') {
-      nextExecution = new Date();
-      nextExecution.setDate(nextExecution.getDate() + 7);
+    let delay = SCHEDULE_POLL_MS;
+    try {
+      const next = await this.models.TaskSchedule.findOne({
+        where: { status: 'active', next_run_at: { [Op.ne]: null } },
+        order: [['next_run_at', 'ASC']]
+      });
+      if (next) {
+        delay = Math.max(0, Math.min(delay, next.next_run_at.getTime() - Date.now()));
+      }
+    } catch (error) {
+      console.warn('[TASK-QUEUE] Could not read task schedules:', error.message);
     }
+    if (this.isShutDown) return;
+
+    if (this.scheduleTimer) clearTimeout(this.scheduleTimer);
+    this.scheduleTimer = setTimeout(async () => {
+      try {
+        await this.runDueSchedules();
+      } catch (error) {
+        console.error('[TASK-QUEUE] Failed to run due schedules:', error.message);
+      }
+      this.armScheduleTimer();
+    }, delay);
+  }
+
+  /**
+   * Restore persisted queue state on startup: queued tasks are re-queued,
+   * scheduled tasks re-armed, tasks that were running are retried (or failed
+   * once out of retries), and overdue schedules are caught up.
+   */
+  async recover({ now = new Date(), armTimers = true } = {}) {
+    const summary = { requeued: 0, scheduled: 0, interrupted: 0, schedules: 0, catchUpRuns: 0, missedRuns: 0 };
+
+    let rows;
+    try {
+      rows = await this.models.QueuedTask.findAll({
+        where: { status: { [Op.in]: ACTIVE_TASK_STATUSES } },
+        order: [['created_at', 'ASC']]
+      });
+    } catch (error) {
+      console.warn('[TASK-QUEUE] Could not load persisted tasks:', error.message);
+      return summary;
+    }
+
+    const known = new Set([...this.runningTasks.keys(), ...this.scheduledTasks.keys()]);
+    for (const queue of this.queues.values()) queue.forEach(task => known.add(task.id));
+
+    for (const row of rows) {
+      if (known.has(row.id)) continue;
+      const task = this.fromRow(row);
+
+      if (task.status === 'running') {
+        summary.interrupted++;
+        task.startedAt = null;
+        if (task.retryCount < this.retryAttempts) {
+          task.retryCount++;
+          task.status = 'queued';
+          task.queuedAt = now;
+          task.metadata = { ...task.metadata, interruptedAt: now.toISOString() };
+        } else {
+          task.status = 'failed';
+          task.error = `Interrupted by server restart after ${task.retryCount} retries`;
+          task.failedAt = now;
+          this.completedTasks.set(task.id, task);
+          await this.saveTask(task);
+          continue;
+        }
+        await this.saveTask(task);
+      }
+
+      if (task.status === 'scheduled' && task.scheduledFor && task.scheduledFor > now) {
+        if (armTimers) this.armScheduledTask(task);
+        summary.scheduled++;
+      } else {
+        if (task.status === 'scheduled') {
+          task.status = 'queued';
+          task.queuedAt = now;
+          await this.saveTask(task);
+        }
+        this.enqueue(task);
+        summary.requeued++;
+      }
+    }
+
+    try {
+      Object.assign(summary, await this.catchUpSchedules(now));
+    } catch (error) {
+      console.warn('[TASK-QUEUE] Schedule catch-up failed:', error.message);
+    }
+
+    if (armTimers) this.armScheduleTimer();
+
+    console.log(`[TASK-QUEUE] Recovered ${summary.requeued} queued and ${summary.scheduled} scheduled task(s), ${summary.interrupted} interrupted; ${summary.catchUpRuns} catch-up run(s) for ${summary.schedules} overdue schedule(s)`);
+    return summary;
+  }
+
+  // Schedule management
+  async listSchedules(filters = {}) {
+    const where = {};
+    if (filters.userId) where.user_id = filters.userId;
+    if (filters.projectId) where.project_id = filters.projectId;
+    if (filters.status) where.status = filters.status;
+
+    const rows = await this.models.TaskSchedule.findAll({ where, order: [['created_at', 'DESC']] });
+    return rows.map(row => this.serializeSchedule(row));
+  }
+
+  async findSchedule(scheduleId, userId) {
+    const schedule = await this.models.TaskSchedule.findByPk(scheduleId);
+    if (!schedule) {
+      throw new Error('Schedule not found');
+    }
+    if (userId && schedule.user_id !== userId) {
+      throw new Error('Access denied');
+    }
+    return schedule;
+  }
+
+  async getSchedule(scheduleId, userId) {
+    return this.serializeSchedule(await this.findSchedule(scheduleId, userId));
+  }
+
+  async pauseSchedule(scheduleId, userId) {
+    const schedule = await this.findSchedule(scheduleId, userId);
+    if (schedule.status !== 'paused') {
+      schedule.status = 'paused';
+      schedule.paused_at = new Date();
+      await schedule.save();
+      await this.auditSchedule('PAUSE_SCHEDULE', schedule, userId);
+      this.armScheduleTimer();
+    }
+    return this.serializeSchedule(schedule);
+  }
 
-    if (nextExecution) {
-      this.scheduleTask({
-        ...task,
-        id: undefined // Create new task
-      }, nextExecution);
+  // Runs that fell inside the pause are dropped; the schedule continues from now
+  async resumeSchedule(scheduleId, userId, now = new Date()) {
+    const schedule = await this.findSchedule(scheduleId, userId);
+    if (schedule.status !== 'active') {
+      schedule.status = 'active';
+      schedule.paused_at = null;
+      schedule.next_run_at = this.computeNextRun(schedule, now);
+      await schedule.save();
+      await this.auditSchedule('RESUME_SCHEDULE', schedule, userId);
+      this.armScheduleTimer();
+    }
+    return this.serializeSchedule(schedule);
+  }
+
+  // Removes the schedule; runs it already queued are left to finish
+  async deleteSchedule(scheduleId, userId) {
+    const schedule = await this.findSchedule(scheduleId, userId);
+    await schedule.destroy();
+    await this.auditSchedule('DELETE_SCHEDULE', schedule, userId);
+    this.armScheduleTimer();
+    return this.serializeSchedule(schedule);
+  }
+
+  async auditSchedule(action, schedule, userId) {
+    await this.models.Audit.create({
+      actor_id: userId || schedule.user_id,
+      action,
+      target: 'task_schedule',
+      target_id: schedule.id,
+      metadata: { project_id: schedule.project_id },
+      ip_address: '127.0.0.1'
+    });
+  }
+
+  serializeSchedule(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      userId: row.user_id,
+      projectId: row.project_id,
+      cron: row.cron,
+      intervalMs: row.interval_ms,
+      task: row.task_template,
+      status: row.status,
+      catchUp: row.catch_up,
+      nextRunAt: row.status === 'active' ? row.next_run_at : null,
+      lastRunAt: row.last_run_at,
+      lastTaskId: row.last_task_id,
+      runCount: row.run_count || 0,
+      missedRuns: row.missed_runs || 0,
+      pausedAt: row.paused_at,
+      createdAt: row.created_at
+    };
+  }
+
+  // Persistence helpers (write-through; failures are logged, never thrown)
+  toRow(task) {
+    return {
+      id: task.id,
+      user_id: task.userId,
+      project_id: task.projectId,
+      schedule_id: task.scheduleId || null,
+      parent_task_id: task.parentTaskId || null,
+      type: task.type,
+      priority: task.priority,
+      status: task.status,
+      prompt: task.prompt,
+      tools: task.tools,
+      constraints: task.constraints,
+      metadata: task.metadata,
+      dependencies: task.dependencies,
+      tags: task.tags,
+      callback: task.callback || null,
+      retry_count: task.retryCount,
+      estimated_duration: task.estimatedDuration,
+      scheduled_for: task.scheduledFor || null,
+      queued_at: task.queuedAt || null,
+      started_at: task.startedAt || null,
+      completed_at: task.completedAt || null,
+      failed_at: task.failedAt || null,
+      cancelled_at: task.cancelledAt || null,
+      duration: task.duration || null,
+      result: task.result === undefined ? null : task.result,
+      error: task.error || null
+    };
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      projectId: row.project_id,
+      scheduleId: row.schedule_id,
+      parentTaskId: row.parent_task_id,
+      type: row.type,
+      priority: row.priority,
+      status: row.status,
+      prompt: row.prompt,
+      tools: row.tools || [],
+      constraints: row.constraints || {},
+      metadata: row.metadata || {},
+      dependencies: row.dependencies || [],
+      tags: row.tags || [],
+      callback: row.callback,
+      retryCount: row.retry_count || 0,
+      estimatedDuration: row.estimated_duration,
+      createdAt: row.created_at,
+      scheduledFor: row.scheduled_for,
+      queuedAt: row.queued_at,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      failedAt: row.failed_at,
+      cancelledAt: row.cancelled_at,
+      duration: row.duration,
+      result: row.result,
+      error: row.error
+    };
+  }
+
+  async saveTask(task) {
+    try {
+      await this.models.QueuedTask.upsert(this.toRow(task));
+      return true;
+    } catch (error) {
+      console.warn(`[TASK-QUEUE] Failed to persist task ${task.id}:`, error.message);
+      return false;
     }
   }
 
   // Validate task before queuing
   async validateTask(task) {
     // Check user exists and has permission
-    const user = await User.findByPk(task.userId);
+    const user = await this.models.User.findByPk(task.userId);
     if (!user) {
       throw new Error('User not found');
     }
 
     // Check project exists and user has access
-    const project = await Project.findOne({
-      where: { id: task.projectId, user_id: task.userId }
+    const project = await this.models.Project.findOne({
+      where: { id: task.projectId, owner_id: task.userId }
     });
     if (!project) {
       throw new Error('Project not found or access denied');
@@ -266,6 +740,7 @@ class TaskQueue {
       task.status = 'running';
       task.startedAt = new Date();
       this.runningTasks.set(task.id, task);
+      await this.saveTask(task);
 
       // Set timeout
       const timeoutId = setTimeout(() => {
@@ -293,6 +768,7 @@ class TaskQueue {
 
       this.runningTasks.delete(task.id);
       this.completedTasks.set(task.id, task);
+      await this.saveTask(task);
 
       // Send completion notification
       await this.notifyTaskCompletion(task);
@@ -301,7 +777,7 @@ class TaskQueue {
       await this.processSubtasks(task, result);
 
       // Log completion
-      await Audit.create({
+      await this.models.Audit.create({
         actor_id: task.userId,
         action: 'COMPLETE_TASK',
         target: 'task',
@@ -337,23 +813,20 @@ class TaskQueue {
       task.status = 'queued';
       task.queuedAt = new Date();
 
+      await this.saveTask(task);
+
       // Add back to queue with exponential backoff
       const delay = Math.pow(2, task.retryCount) * 1000; // 2s, 4s, 8s
-      setTimeout(() => {
-        const queueKey = `${task.projectId}-${task.priority}`;
-        if (!this.queues.has(queueKey)) {
-          this.queues.set(queueKey, []);
-        }
-        this.queues.get(queueKey).push(task);
-      }, delay);
+      setTimeout(() => this.enqueue(task), delay);
 
       console.log(`Task ${task.id} scheduled for retry ${task.retryCount}/${this.retryAttempts} in ${delay}ms`);
     } else {
       // Max retries exceeded or non-retryable error
       this.completedTasks.set(task.id, task);
+      await this.saveTask(task);
       await this.notifyTaskFailure(task);
 
-      await Audit.create({
+      await this.models.Audit.create({
         actor_id: task.userId,
         action: 'FAIL_TASK',
         target: 'task',
@@ -445,8 +918,26 @@ class TaskQueue {
   }
 
   // Task management operations
+  findLiveTask(taskId) {
+    if (this.runningTasks.has(taskId)) return this.runningTasks.get(taskId);
+    if (this.scheduledTasks.has(taskId)) return this.scheduledTasks.get(taskId).task;
+    for (const queue of this.queues.values()) {
+      const task = queue.find(t => t.id === taskId);
+      if (task) return task;
+    }
+    return this.completedTasks.get(taskId) || null;
+  }
+
+  // In-memory task if the queue still holds it, otherwise the persisted row
+  async loadTask(taskId) {
+    const task = this.findLiveTask(taskId);
+    if (task) return task;
+    const row = await this.models.QueuedTask.findByPk(taskId);
+    return row ? this.fromRow(row) : null;
+  }
+
   async cancelTask(taskId, userId) {
-    const task = this.persistentStorage.get(taskId);
+    const task = await this.loadTask(taskId);
     if (!task) {
       throw new Error('Task not found');
     }
@@ -481,8 +972,9 @@ class TaskQueue {
 
     task.cancelledAt = new Date();
     this.completedTasks.set(taskId, task);
+    await this.saveTask(task);
 
-    await Audit.create({
+    await this.models.Audit.create({
       actor_id: userId,
       action: 'CANCEL_TASK',
       target: 'task',
@@ -495,7 +987,7 @@ class TaskQueue {
   }
 
   async getTask(taskId, userId) {
-    const task = this.persistentStorage.get(taskId);
+    const task = await this.loadTask(taskId);
     if (!task) {
       throw new Error('Task not found');
     }
@@ -507,37 +999,26 @@ class TaskQueue {
     return task;
   }
 
+  // Lists persisted tasks; `userId` may be null for an unscoped listing
   async getTasks(userId, filters = {}) {
-    const tasks = Array.from(this.persistentStorage.values())
-      .filter(task => task.userId === userId);
-
-    let filteredTasks = tasks;
-
-    if (filters.projectId) {
-      filteredTasks = filteredTasks.filter(task => task.projectId === filters.projectId);
-    }
-
-    if (filters.status) {
-      filteredTasks = filteredTasks.filter(task => task.status === filters.status);
-    }
-
-    if (filters.type) {
-      filteredTasks = filteredTasks.filter(task => task.type === filters.type);
-    }
-
-    if (filters.priority) {
-      filteredTasks = filteredTasks.filter(task => task.priority === filters.priority);
-    }
-
+    const where = {};
+    if (userId) where.user_id = userId;
+    if (filters.projectId) where.project_id = filters.projectId;
+    if (filters.status) where.status = filters.status;
+    if (filters.type) where.type = filters.type;
+    if (filters.priority) where.priority = filters.priority;
+    if (filters.scheduleId) where.schedule_id = filters.scheduleId;
+
+    let filteredTasks = (await this.models.QueuedTask.findAll({ where, order: [['created_at', 'DESC']] }))
+      .map(row => this.fromRow(row));
+
+    // Tags are a JSON column, so that filter runs in memory
     if (filters.tags) {
       filteredTasks = filteredTasks.filter(task =>
         filters.tags.some(tag => task.tags.includes(tag))
       );
     }
 
-    // Sort by creation time (newest first)
-    filteredTasks.sort((a, b) => b.createdAt - a.createdAt);
-
     // Pagination
     const limit = filters.limit || 50;
     const offset = filters.offset || 0;
@@ -600,17 +1081,20 @@ class TaskQueue {
     for (const [taskId, task] of this.completedTasks.entries()) {
       if (task.completedAt && task.completedAt.getTime() < cutoff) {
         this.completedTasks.delete(taskId);
-        this.persistentStorage.delete(taskId);
       }
     }
 
-    console.log(`Cleanup completed. Removed old completed tasks.`);
+    console.log(`Cleanup completed. Removed old completed tasks from memory.`);
   }
 
   // Graceful shutdown
   async shutdown() {
     console.log('Shutting down task queue...');
     this.isProcessing = false;
+    this.isShutDown = true;
+
+    if (this.scheduleTimer) clearTimeout(this.scheduleTimer);
+    this.scheduleTimer = null;
 
     // clear periodic cleanup interval if present
     try {
@@ -633,11 +1117,9 @@ class TaskQueue {
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
 
-    // Force cancel remaining tasks
-    for (const [taskId, task] of this.runningTasks.entries()) {
-      task.status = 'cancelled';
-      task.cancelledAt = new Date();
-      this.completedTasks.set(taskId, task);
+    // Tasks still running stay 'running' in the database so recover() retries them
+    for (const taskId of this.runningTasks.keys()) {
+      console.log(`Task ${taskId} still running at shutdown; it will be retried on restart`);
     }
 
     this.runningTasks.clear();
@@ -645,4 +1127,5 @@ class TaskQueue {
   }
 }
 
-module.exports = new TaskQueue();
\ No newline at end of file
+module.exports = new TaskQueue();
+module.exports.TaskQueue = TaskQueue;
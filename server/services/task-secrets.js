@@ -0,0 +1,114 @@
+const ExecutionSandbox = require('./execution-sandbox');
+const redaction = require('./secret-redaction');
+const logger = require('./logger');
+const log = logger.child({ source: 'SECRETS' });
+
+const KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// Variables that change how the sandboxed process itself runs
+const RESERVED_KEYS = new Set([
+  'PATH', 'HOME', 'PWD', 'SHELL', 'USER', 'IFS', 'ENV', 'BASH_ENV', 'TRACEPARENT',
+  'LD_PRELOAD', 'LD_LIBRARY_PATH', 'NODE_OPTIONS', 'PYTHONPATH'
+]);
+
+class SecretAccessError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SecretAccessError';
+    this.code = code;
+  }
+}
+
+/**
+ * Hands vault secrets to a task's processes.
+ *
+ * A task declares the keys it needs (`task.secrets = ['STRIPE_KEY']`). Before
+ * anything is decrypted the request is checked: valid, non-reserved variable
+ * names, allowed by the agent's sandbox policy (`secrets.allow`), and present
+ * in the project's environment. A grant holds the values as env variables and
+ * keeps them registered with secret-redaction until it is released. Every
+ * injection and every refusal is recorded in Audit.
+ */
+class TaskSecrets {
+  constructor(options = {}) {
+    this.options = options;
+    this.sandbox = options.sandbox || new ExecutionSandbox();
+  }
+
+  get vault() {
+    if (!this.options.vault) this.options.vault = require('./secrets-vault');
+    return this.options.vault;
+  }
+
+  get models() {
+    return this.options.models || this.vault.models;
+  }
+
+  isAllowed(key, patterns = []) {
+    return patterns.some(pattern =>
+      pattern === '*' || pattern === key || (pattern.endsWith('*') && key.startsWith(pattern.slice(0, -1))));
+  }
+
+  async deny(request, key, code, message) {
+    await this.vault.audit(request.actorId, 'SECRET_ACCESS_DENIED', key, { ...this.auditContext(request), key, reason: code }, 'env_var');
+    throw new SecretAccessError(message, code);
+  }
+
+  auditContext({ agentName, projectId, environment, workflowId, taskId }) {
+    return { agent: agentName || null, project_id: projectId || null, environment, workflow_id: workflowId || null, task_id: taskId || null };
+  }
+
+  /**
+   * Decrypt the requested keys for one task run. Resolves with
+   * `{ keys, env, release }`, or null when no keys were requested; rejects with
+   * a SecretAccessError when any key is refused (nothing is injected then).
+   */
+  async grant({ keys = [], agentName = null, projectId = null, environment = 'development', workflowId = null, taskId = null, actorId = null } = {}) {
+    const requested = [...new Set((keys || []).map(String))];
+    if (requested.length === 0) return null;
+    const request = { agentName, projectId, environment, workflowId, taskId, actorId };
+
+    const policy = this.sandbox.getPolicy(agentName);
+    for (const key of requested) {
+      if (!KEY_PATTERN.test(key) || RESERVED_KEYS.has(key.toUpperCase())) {
+        await this.deny(request, key, 'SECRET_INVALID_KEY', `${key} cannot be injected as an environment variable`);
+      }
+      if (!this.isAllowed(key, policy.secrets && policy.secrets.allow)) {
+        await this.deny(request, key, 'SECRET_NOT_ALLOWED', `${policy.name} policy does not allow ${agentName || 'this agent'} to use secret ${key}`);
+      }
+    }
+    if (!projectId) {
+      await this.deny(request, requested.join(','), 'SECRET_NO_PROJECT', 'Task secrets need a project to resolve them from');
+    }
+
+    const { Environment, EnvVar } = this.models;
+    const env = await Environment.findOne({ where: { project_id: projectId, name: environment } });
+    const rows = env ? await EnvVar.findAll({ where: { environment_id: env.id, key: requested } }) : [];
+    const byKey = new Map(rows.map(row => [row.key, row]));
+
+    const values = {};
+    for (const key of requested) {
+      const row = byKey.get(key);
+      if (!row) {
+        await this.deny(request, key, 'SECRET_NOT_FOUND', `Secret ${key} is not set for the project's ${environment} environment`);
+      }
+      const value = row.getValue();
+      if (value === null) {
+        await this.deny(request, key, 'SECRET_UNREADABLE', `Secret ${key} cannot be decrypted`);
+      }
+      if (value.length < redaction.MIN_LENGTH) {
+        await this.deny(request, key, 'SECRET_TOO_SHORT', `Secret ${key} is too short to be redacted reliably`);
+      }
+      values[key] = value;
+    }
+
+    for (const key of requested) {
+      await this.vault.audit(actorId, 'INJECT_SECRET', byKey.get(key).id, { ...this.auditContext(request), key }, 'env_var');
+    }
+    log.info(`Injecting ${requested.join(', ')} for ${agentName || 'task'}${taskId ? ` (task ${taskId})` : ''}`, { agent: agentName, workflowId, taskId });
+
+    return { keys: requested, env: values, release: redaction.register(values) };
+  }
+}
+
+module.exports = TaskSecrets;
+module.exports.SecretAccessError = SecretAccessError;
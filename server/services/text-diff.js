@@ -0,0 +1,189 @@
+// Above this many differing lines the edit script is not minimised; the
+// differing block is reported as removed and re-added instead
+const MAX_DIFF_LINES = 4000;
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = String(text).split(/\r?\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Myers' O(ND) shortest edit script over two line arrays.
+ * Returns [{ type: 'equal'|'remove'|'add', aIndex, bIndex }].
+ */
+function shortestEdit(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  outer:
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        trace.push(v.slice(offset - d, offset + d + 1));
+        break outer;
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d - 1];
+    const at = (k) => previous[k + d - 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', aIndex: --x, bIndex: --y });
+    }
+    if (x === prevX) ops.push({ type: 'add', bIndex: --y });
+    else ops.push({ type: 'remove', aIndex: --x });
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ type: 'equal', aIndex: --x, bIndex: --y });
+  }
+  return ops.reverse();
+}
+
+/**
+ * Line diff of two texts. Each entry carries the 1-based line numbers it has
+ * on either side: { type, text, oldLine, newLine }.
+ */
+function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const middle = midA.length + midB.length > MAX_DIFF_LINES
+    ? [...midA.map((_, i) => ({ type: 'remove', aIndex: i })), ...midB.map((_, i) => ({ type: 'add', bIndex: i }))]
+    : shortestEdit(midA, midB);
+
+  const result = [];
+  for (let i = 0; i < start; i++) {
+    result.push({ type: 'equal', text: a[i], oldLine: i + 1, newLine: i + 1 });
+  }
+  for (const op of middle) {
+    if (op.type === 'equal') {
+      result.push({ type: 'equal', text: midA[op.aIndex], oldLine: start + op.aIndex + 1, newLine: start + op.bIndex + 1 });
+    } else if (op.type === 'remove') {
+      result.push({ type: 'remove', text: midA[op.aIndex], oldLine: start + op.aIndex + 1, newLine: null });
+    } else {
+      result.push({ type: 'add', text: midB[op.bIndex], oldLine: null, newLine: start + op.bIndex + 1 });
+    }
+  }
+  for (let i = 0; i < a.length - endA; i++) {
+    result.push({ type: 'equal', text: a[endA + i], oldLine: endA + i + 1, newLine: endB + i + 1 });
+  }
+  return result;
+}
+
+/**
+ * Render a line diff in unified format with `context` lines around each change.
+ */
+function unifiedDiff(lines, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+  const changed = lines.map((line, index) => (line.type === 'equal' ? -1 : index)).filter(index => index >= 0);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context windows touch into hunks
+  const ranges = [];
+  for (const index of changed) {
+    const from = Math.max(0, index - context);
+    const to = Math.min(lines.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+    if (last && from <= last.to + 1) last.to = Math.max(last.to, to);
+    else ranges.push({ from, to });
+  }
+
+  const output = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const { from, to } of ranges) {
+    const hunk = lines.slice(from, to + 1);
+    const oldLines = hunk.filter(line => line.type !== 'add');
+    const newLines = hunk.filter(line => line.type !== 'remove');
+    const oldStart = oldLines.length > 0 ? oldLines[0].oldLine : lastLineBefore(lines, from, 'oldLine');
+    const newStart = newLines.length > 0 ? newLines[0].newLine : lastLineBefore(lines, from, 'newLine');
+    output.push(`@@ -${oldStart},${oldLines.length} +${newStart},${newLines.length} @@`);
+    for (const line of hunk) {
+      const prefix = line.type === 'add' ? '+' : line.type === 'remove' ? '-' : ' ';
+      output.push(`${prefix}${line.text}`);
+    }
+  }
+  return `${output.join('\n')}\n`;
+}
+
+// For an empty side of a hunk, unified diff reports the line just before it
+function lastLineBefore(lines, index, key) {
+  for (let i = index - 1; i >= 0; i--) {
+    if (lines[i][key]) return lines[i][key];
+  }
+  return 0;
+}
+
+/**
+ * Pair removed and added runs into rows for a two-column view:
+ * [{ type: 'equal'|'change'|'remove'|'add', left: { line, text }|null, right: { line, text }|null }].
+ */
+function sideBySide(lines) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const count = Math.max(removed.length, added.length);
+    for (let i = 0; i < count; i++) {
+      const left = removed[i] ? { line: removed[i].oldLine, text: removed[i].text } : null;
+      const right = added[i] ? { line: added[i].newLine, text: added[i].text } : null;
+      rows.push({ type: left && right ? 'change' : left ? 'remove' : 'add', left, right });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const line of lines) {
+    if (line.type === 'remove') removed.push(line);
+    else if (line.type === 'add') added.push(line);
+    else {
+      flush();
+      rows.push({
+        type: 'equal',
+        left: { line: line.oldLine, text: line.text },
+        right: { line: line.newLine, text: line.text }
+      });
+    }
+  }
+  flush();
+  return rows;
+}
+
+module.exports = {
+  diffLines,
+  unifiedDiff,
+  sideBySide
+};
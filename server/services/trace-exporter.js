@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const log = logger.child({ source: 'TRACING' });
+
+const DEFAULT_FLUSH_INTERVAL_MS = 5000;
+const DEFAULT_MAX_BATCH = 512;
+const MAX_QUEUE = 10000;
+const EXPORT_TIMEOUT_MS = 10000;
+
+// OTLP enum values (opentelemetry/proto/trace/v1/trace.proto)
+const OTLP_SPAN_KIND = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+const OTLP_STATUS_CODE = { unset: 0, ok: 1, error: 2 };
+
+const toUnixNano = (ms) => (BigInt(Math.round(ms * 1000)) * 1000n).toString();
+
+function toAnyValue(value) {
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    // int64 is a string in the protobuf JSON mapping
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (value !== null && typeof value === 'object') return { stringValue: JSON.stringify(value) };
+  return { stringValue: String(value) };
+}
+
+function toAttributes(attributes = {}) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+function toOtlpSpan(span) {
+  const otlp = {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    name: span.name,
+    kind: OTLP_SPAN_KIND[span.kind] || OTLP_SPAN_KIND.internal,
+    startTimeUnixNano: toUnixNano(span.startTime),
+    endTimeUnixNano: toUnixNano(span.endTime === null ? span.startTime : span.endTime),
+    attributes: toAttributes(span.attributes),
+    events: span.events.map(event => ({
+      timeUnixNano: toUnixNano(event.time),
+      name: event.name,
+      attributes: toAttributes(event.attributes)
+    })),
+    status: { code: OTLP_STATUS_CODE[span.status.code] || 0 }
+  };
+  if (span.parentSpanId) otlp.parentSpanId = span.parentSpanId;
+  if (span.status.message) otlp.status.message = span.status.message;
+  return otlp;
+}
+
+/** An OTLP/JSON `ExportTraceServiceRequest` for the given finished spans. */
+function toOtlpRequest(spans, { serviceName = 'shellcompany', serviceVersion } = {}) {
+  const resource = { 'service.name': serviceName, 'telemetry.sdk.name': 'shellcompany', 'telemetry.sdk.language': 'nodejs' };
+  if (serviceVersion) resource['service.version'] = serviceVersion;
+  return {
+    resourceSpans: [{
+      resource: { attributes: toAttributes(resource) },
+      scopeSpans: [{
+        scope: { name: 'shellcompany.tracing' },
+        spans: spans.map(toOtlpSpan)
+      }]
+    }]
+  };
+}
+
+/**
+ * Batches finished spans and writes them as OTLP/JSON export requests to a
+ * JSONL file (one request per line) and/or POSTs them to an OTLP/HTTP
+ * collector (`<endpoint>/v1/traces`).
+ */
+class TraceExporter {
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.endpoint = options.endpoint || null;
+    this.headers = options.headers || {};
+    this.serviceName = options.serviceName || 'shellcompany';
+    this.serviceVersion = options.serviceVersion || null;
+    this.flushIntervalMs = options.flushIntervalMs || DEFAULT_FLUSH_INTERVAL_MS;
+    this.maxBatch = options.maxBatch || DEFAULT_MAX_BATCH;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.queue = [];
+    this.dropped = 0;
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * Exporter configured from the environment, or null when tracing export is
+   * disabled (TRACE_EXPORT=false).
+   */
+  static fromEnv(env = process.env) {
+    if (String(env.TRACE_EXPORT || '').toLowerCase() === 'false') return null;
+    const base = env.OTEL_EXPORTER_OTLP_ENDPOINT ? `${env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/+$/, '')}/v1/traces` : null;
+    const endpoint = env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || base;
+    const logDir = env.LOG_DIR || path.join(__dirname, '..', 'logs');
+    return new TraceExporter({
+      // Without a collector, spans still land in a local file
+      file: env.TRACE_EXPORT_FILE || (endpoint ? null : path.join(logDir, 'traces.jsonl')),
+      endpoint,
+      headers: parseHeaders(env.OTEL_EXPORTER_OTLP_HEADERS),
+      serviceName: env.OTEL_SERVICE_NAME || 'shellcompany',
+      serviceVersion: require('../package.json').version
+    });
+  }
+
+  add(span) {
+    if (this.queue.length >= MAX_QUEUE) {
+      this.dropped++;
+      return;
+    }
+    this.queue.push(span);
+    if (this.queue.length >= this.maxBatch && this.timer) this.flush();
+  }
+
+  async flush() {
+    if (this.flushing) {
+      await this.flushing;
+      if (this.queue.length === 0) return;
+    }
+    this.flushing = this.exportQueued().finally(() => { this.flushing = null; });
+    return this.flushing;
+  }
+
+  async exportQueued() {
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.maxBatch);
+      const body = JSON.stringify(toOtlpRequest(batch, { serviceName: this.serviceName, serviceVersion: this.serviceVersion }));
+      if (this.file) {
+        try {
+          await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+          await fs.promises.appendFile(this.file, `${body}\n`);
+        } catch (error) {
+          log.warn(`Failed to write ${batch.length} spans to ${this.file}: ${error.message}`);
+        }
+      }
+      if (this.endpoint) {
+        try {
+          const response = await this.fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body,
+            signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS)
+          });
+          if (!response.ok) throw new Error(`collector answered ${response.status}`);
+        } catch (error) {
+          log.warn(`Failed to export ${batch.length} spans to ${this.endpoint}: ${error.message}`);
+        }
+      }
+    }
+    if (this.dropped > 0) {
+      log.warn(`Dropped ${this.dropped} spans while the export queue was full`);
+      this.dropped = 0;
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.flush(), this.flushIntervalMs);
+    this.timer.unref();
+    log.info(`Exporting spans to ${[this.file, this.endpoint].filter(Boolean).join(' and ')}`);
+  }
+
+  async stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    await this.flush();
+  }
+}
+
+// `key1=value1,key2=value2`, as in the OpenTelemetry SDK environment spec
+function parseHeaders(value) {
+  const headers = {};
+  for (const pair of String(value || '').split(',')) {
+    const index = pair.indexOf('=');
+    if (index > 0) headers[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+  }
+  return headers;
+}
+
+module.exports = TraceExporter;
+module.exports.toOtlpRequest = toOtlpRequest;
+module.exports.toOtlpSpan = toOtlpSpan;
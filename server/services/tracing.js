@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const logger = require('./logger');
+const log = logger.child({ source: 'TRACING' });
+
+const DEFAULT_MAX_TRACES = 200;
+const MAX_SPANS_PER_TRACE = 2000;
+const SPAN_KINDS = ['internal', 'server', 'client', 'producer', 'consumer'];
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/;
+
+// Wall-clock milliseconds with sub-millisecond precision
+const nowMs = () => performance.timeOrigin + performance.now();
+
+/**
+ * `{ traceId, spanId }` from a W3C traceparent header
+ * (`00-<trace-id>-<span-id>-<flags>`), or null when it is malformed.
+ */
+function parseTraceparent(header) {
+  const match = TRACEPARENT.exec(String(header || '').trim().toLowerCase());
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) return null;
+  return { traceId: match[1], spanId: match[2] };
+}
+
+function formatTraceparent({ traceId, spanId }) {
+  return `00-${traceId}-${spanId}-01`;
+}
+
+class Span {
+  constructor(tracer, { name, kind, traceId, parentSpanId, attributes }) {
+    this.tracer = tracer;
+    this.traceId = traceId;
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = parentSpanId || null;
+    this.name = name;
+    this.kind = SPAN_KINDS.includes(kind) ? kind : 'internal';
+    this.startTime = nowMs();
+    this.endTime = null;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: 'unset' };
+    this.setAttributes(attributes);
+  }
+
+  context() {
+    return { traceId: this.traceId, spanId: this.spanId };
+  }
+
+  traceparent() {
+    return formatTraceparent(this);
+  }
+
+  get ended() {
+    return this.endTime !== null;
+  }
+
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes = {}) {
+    for (const [key, value] of Object.entries(attributes || {})) this.setAttribute(key, value);
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: nowMs(), attributes });
+    return this;
+  }
+
+  setStatus(code, message) {
+    this.status = message ? { code, message } : { code };
+    return this;
+  }
+
+  recordException(error) {
+    this.addEvent('exception', {
+      'exception.type': error && error.name ? error.name : 'Error',
+      'exception.message': error && error.message ? error.message : String(error)
+    });
+    return this.setStatus('error', error && error.message ? error.message : String(error));
+  }
+
+  end() {
+    if (this.ended) return;
+    this.endTime = nowMs();
+    this.tracer.spanEnded(this);
+  }
+
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      startTime: new Date(this.startTime).toISOString(),
+      endTime: this.ended ? new Date(this.endTime).toISOString() : null,
+      durationMs: this.ended ? Math.round((this.endTime - this.startTime) * 1000) / 1000 : null,
+      attributes: { ...this.attributes },
+      events: this.events.map(event => ({ ...event, time: new Date(event.time).toISOString() })),
+      status: { ...this.status }
+    };
+  }
+}
+
+/**
+ * Minimal OpenTelemetry-style tracer. Spans started inside `withSpan` or
+ * `startActiveSpan` callbacks inherit the active span as parent through
+ * AsyncLocalStorage, so context follows awaits and timers without being
+ * passed around explicitly:
+ *
+ *   await tracer.startActiveSpan('provider.request', { kind: 'client' }, async (span) => {
+ *     span.setAttribute('provider', 'openai');
+ *     return callProvider();
+ *   });
+ *
+ * The spans of the most recent traces are kept in memory for the trace API;
+ * finished spans are handed to the exporter (OTLP JSON, see trace-exporter).
+ */
+class Tracer {
+  constructor(options = {}) {
+    this.storage = new AsyncLocalStorage();
+    this.traces = new Map();
+    this.maxTraces = options.maxTraces || DEFAULT_MAX_TRACES;
+    this.exporter = options.exporter || null;
+  }
+
+  activeSpan() {
+    return this.storage.getStore() || null;
+  }
+
+  /**
+   * Start a span. `parent` defaults to the active span; pass a span, a
+   * `{ traceId, spanId }` context (e.g. from parseTraceparent) or null to
+   * start a new trace.
+   */
+  startSpan(name, { parent, kind = 'internal', attributes = {} } = {}) {
+    const parentContext = parent === undefined ? this.activeSpan() : parent;
+    const span = new Span(this, {
+      name,
+      kind,
+      attributes,
+      traceId: parentContext ? parentContext.traceId : crypto.randomBytes(16).toString('hex'),
+      parentSpanId: parentContext ? parentContext.spanId : null
+    });
+    this.remember(span);
+    return span;
+  }
+
+  withSpan(span, fn) {
+    return this.storage.run(span, fn);
+  }
+
+  /**
+   * Run `fn(span)` with a new active span that ends when it settles; a
+   * thrown error is recorded on the span and rethrown.
+   */
+  async startActiveSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+    try {
+      return await this.withSpan(span, () => fn(span));
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  remember(span) {
+    let spans = this.traces.get(span.traceId);
+    if (spans) {
+      // Most recently touched trace moves to the back of the eviction order
+      this.traces.delete(span.traceId);
+    } else {
+      spans = [];
+    }
+    if (spans.length < MAX_SPANS_PER_TRACE) spans.push(span);
+    this.traces.set(span.traceId, spans);
+    while (this.traces.size > this.maxTraces) {
+      this.traces.delete(this.traces.keys().next().value);
+    }
+  }
+
+  spanEnded(span) {
+    if (!this.exporter) return;
+    try {
+      this.exporter.add(span);
+    } catch (error) {
+      log.warn(`Failed to queue span for export: ${error.message}`);
+    }
+  }
+
+  /** Spans of a trace ordered by start time, or null once it has been evicted. */
+  getTrace(traceId) {
+    const spans = this.traces.get(traceId);
+    if (!spans) return null;
+    return spans.slice().sort((a, b) => a.startTime - b.startTime).map(span => span.toJSON());
+  }
+
+  setExporter(exporter) {
+    this.exporter = exporter;
+  }
+
+  start() {
+    if (!this.exporter) {
+      const TraceExporter = require('./trace-exporter');
+      this.exporter = TraceExporter.fromEnv();
+    }
+    if (this.exporter) this.exporter.start();
+  }
+
+  async stop() {
+    if (this.exporter) await this.exporter.stop();
+  }
+}
+
+module.exports = new Tracer();
+module.exports.Tracer = Tracer;
+module.exports.Span = Span;
+module.exports.parseTraceparent = parseTraceparent;
+module.exports.formatTraceparent = formatTraceparent;
+module.exports.SPAN_KINDS = SPAN_KINDS;
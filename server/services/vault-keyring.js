@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const log = logger.child({ source: 'VAULT' });
+
+const ENVELOPE_PREFIX = 'sv2';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+class VaultError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'VaultError';
+    this.code = code;
+  }
+}
+
+// AES-256-GCM; the result is iv | tag | ciphertext
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+}
+
+function unseal(key, blob, aad) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, blob.subarray(0, IV_BYTES));
+  decipher.setAuthTag(blob.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  return Buffer.concat([decipher.update(blob.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+function isEnvelope(value) {
+  return typeof value === 'string' && value.startsWith(`${ENVELOPE_PREFIX}:`);
+}
+
+function parseEnvelope(value) {
+  const parts = String(value).split(':');
+  if (parts.length !== 4 || parts[0] !== ENVELOPE_PREFIX) {
+    throw new VaultError('Not a vault envelope', 'INVALID_ENVELOPE');
+  }
+  return { keyId: parts[1], wrappedKey: Buffer.from(parts[2], 'base64'), payload: Buffer.from(parts[3], 'base64') };
+}
+
+/**
+ * Versioned key-encryption keys (KEKs) for envelope encryption.
+ *
+ * Every secret is encrypted with its own random data key, and that data key
+ * is wrapped by the active KEK:
+ *
+ *   sv2:<kekId>:<wrapped data key>:<encrypted value>
+ *
+ * Rotating only re-wraps data keys, so values are never re-encrypted. The
+ * keyring lives in a JSON file (VAULT_KEYRING_FILE, default server/.vault/
+ * keyring.json, mode 0600); with VAULT_MASTER_KEY set the KEKs in it are
+ * themselves wrapped by a key derived from the master key. The file is
+ * re-read when it changes, so keys added from the CLI are picked up by a
+ * running server.
+ */
+class VaultKeyring {
+  constructor(options = {}) {
+    this.options = options;
+    this.state = null;
+    this.fileVersion = null;
+    this.materials = new Map();
+  }
+
+  get file() {
+    return this.options.file || process.env.VAULT_KEYRING_FILE || path.join(__dirname, '..', '.vault', 'keyring.json');
+  }
+
+  get masterKey() {
+    return this.options.masterKey !== undefined ? this.options.masterKey : (process.env.VAULT_MASTER_KEY || null);
+  }
+
+  rootKey(state) {
+    return Buffer.from(crypto.hkdfSync('sha256', String(this.masterKey), Buffer.from(state.salt, 'base64'), 'shellcompany-vault-keyring', KEY_BYTES));
+  }
+
+  load() {
+    let stat = null;
+    try {
+      stat = fs.statSync(this.file);
+    } catch (error) {
+      // No keyring yet (or it was removed): write the one in memory, or start a new one
+      if (!this.state) {
+        this.state = { format: 1, salt: crypto.randomBytes(16).toString('base64'), activeKeyId: null, keys: [], rotation: {} };
+        this.materials = new Map();
+        this.createKey(true);
+        log.info(`Created keyring ${this.file} with key ${this.state.activeKeyId}`);
+      }
+      this.save();
+      return this.state;
+    }
+
+    const version = `${stat.mtimeMs}:${stat.size}`;
+    if (this.state && version === this.fileVersion) return this.state;
+
+    const state = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    const materials = new Map();
+    for (const key of state.keys) {
+      if (key.material) materials.set(key.id, this.unwrapMaterial(state, key));
+    }
+    this.state = state;
+    this.materials = materials;
+    this.fileVersion = version;
+    return state;
+  }
+
+  save() {
+    const state = {
+      ...this.state,
+      keys: this.state.keys.map(key => {
+        const material = this.materials.get(key.id);
+        return material ? { ...key, ...this.wrapMaterial(this.state, key.id, material) } : { ...key, material: null, wrapped: false };
+      })
+    };
+    fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+    // Write then rename so a concurrent reader never sees a partial file
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, `${JSON.stringify(state, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(temp, this.file);
+    const stat = fs.statSync(this.file);
+    this.fileVersion = `${stat.mtimeMs}:${stat.size}`;
+  }
+
+  wrapMaterial(state, keyId, material) {
+    if (!this.masterKey) return { material: material.toString('base64'), wrapped: false };
+    return { material: seal(this.rootKey(state), material, `kek:${keyId}`).toString('base64'), wrapped: true };
+  }
+
+  unwrapMaterial(state, key) {
+    if (!key.wrapped) return Buffer.from(key.material, 'base64');
+    if (!this.masterKey) {
+      throw new VaultError(`Keyring ${this.file} is protected by a master key; set VAULT_MASTER_KEY`, 'MASTER_KEY_REQUIRED');
+    }
+    try {
+      return unseal(this.rootKey(state), Buffer.from(key.material, 'base64'), `kek:${key.id}`);
+    } catch (error) {
+      throw new VaultError(`VAULT_MASTER_KEY does not unlock key ${key.id}`, 'MASTER_KEY_MISMATCH');
+    }
+  }
+
+  createKey(activate) {
+    const now = new Date().toISOString();
+    const version = this.state.keys.reduce((max, key) => Math.max(max, key.version), 0) + 1;
+    const key = { id: `kek-${version}`, version, status: 'decrypt_only', createdAt: now, activatedAt: null, retiredAt: null };
+    this.state.keys.push(key);
+    this.materials.set(key.id, crypto.randomBytes(KEY_BYTES));
+    if (activate) this.markActive(key);
+    return key;
+  }
+
+  markActive(key) {
+    const now = new Date().toISOString();
+    for (const other of this.state.keys) {
+      if (other.status === 'active') other.status = 'decrypt_only';
+    }
+    key.status = 'active';
+    key.activatedAt = now;
+    this.state.activeKeyId = key.id;
+    // Secrets wrapped by older keys are re-wrapped by the next rewrap pass
+    this.state.rotation = { ...this.state.rotation, lastRotatedAt: now, rewrapPending: true };
+  }
+
+  findKey(keyId) {
+    const key = this.load().keys.find(k => k.id === keyId);
+    if (!key) throw new VaultError(`Key ${keyId} not found`, 'KEY_NOT_FOUND');
+    return key;
+  }
+
+  describe(key) {
+    const { material, wrapped, ...meta } = key;
+    return meta;
+  }
+
+  status() {
+    const state = this.load();
+    return {
+      file: this.file,
+      masterKeyProtected: state.keys.some(key => key.wrapped) || Boolean(this.masterKey),
+      activeKeyId: state.activeKeyId,
+      keys: state.keys.map(key => this.describe(key)),
+      rotation: { ...state.rotation }
+    };
+  }
+
+  /** Add a new KEK; by default it becomes the key new secrets are wrapped with. */
+  addKey({ activate = true } = {}) {
+    this.load();
+    const key = this.createKey(activate);
+    this.save();
+    return this.describe(key);
+  }
+
+  activateKey(keyId) {
+    const key = this.findKey(keyId);
+    if (key.status === 'retired') throw new VaultError(`Key ${keyId} is retired`, 'KEY_RETIRED');
+    if (key.status !== 'active') {
+      this.markActive(key);
+      this.save();
+    }
+    return this.describe(key);
+  }
+
+  /**
+   * Destroy a KEK's material. Callers must first make sure no secret is
+   * still wrapped by it (see SecretsVault#retireKey).
+   */
+  retireKey(keyId) {
+    const key = this.findKey(keyId);
+    if (key.status === 'active') throw new VaultError(`Key ${keyId} is active; activate another key first`, 'KEY_ACTIVE');
+    if (key.status === 'retired') return this.describe(key);
+    key.status = 'retired';
+    key.retiredAt = new Date().toISOString();
+    this.materials.delete(keyId);
+    this.save();
+    return this.describe(key);
+  }
+
+  setRotationState(changes) {
+    this.load();
+    this.state.rotation = { ...this.state.rotation, ...changes };
+    this.save();
+  }
+
+  /** True when the active key is older than `intervalMs`. */
+  needsRotation(intervalMs, now = Date.now()) {
+    const state = this.load();
+    const active = state.keys.find(key => key.id === state.activeKeyId);
+    return !active || Date.parse(active.activatedAt || active.createdAt) + intervalMs <= now;
+  }
+
+  material(keyId) {
+    this.load();
+    const material = this.materials.get(keyId);
+    if (!material) throw new VaultError(`Key ${keyId} is not available in the keyring`, 'KEY_UNAVAILABLE');
+    return material;
+  }
+
+  /** Encrypt `plaintext` under a fresh data key; `aad` binds it to its owner (e.g. a table row). */
+  encrypt(plaintext, aad = '') {
+    const keyId = this.load().activeKeyId;
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    const wrappedKey = seal(this.material(keyId), dataKey, keyId);
+    const payload = seal(dataKey, Buffer.from(String(plaintext), 'utf8'), aad);
+    return [ENVELOPE_PREFIX, keyId, wrappedKey.toString('base64'), payload.toString('base64')].join(':');
+  }
+
+  decrypt(envelope, aad = '') {
+    const { keyId, wrappedKey, payload } = parseEnvelope(envelope);
+    const material = this.material(keyId);
+    try {
+      const dataKey = unseal(material, wrappedKey, keyId);
+      return unseal(dataKey, payload, aad).toString('utf8');
+    } catch (error) {
+      throw new VaultError(`Decryption failed (${keyId}): ${error.message}`, 'DECRYPT_FAILED');
+    }
+  }
+
+  /** Re-wrap an envelope's data key with the active KEK; the encrypted value is unchanged. */
+  rewrap(envelope) {
+    const { keyId, wrappedKey, payload } = parseEnvelope(envelope);
+    const activeKeyId = this.load().activeKeyId;
+    if (keyId === activeKeyId) return envelope;
+    let dataKey;
+    try {
+      dataKey = unseal(this.material(keyId), wrappedKey, keyId);
+    } catch (error) {
+      if (error instanceof VaultError) throw error;
+      throw new VaultError(`Cannot unwrap data key (${keyId}): ${error.message}`, 'DECRYPT_FAILED');
+    }
+    const rewrapped = seal(this.material(activeKeyId), dataKey, activeKeyId);
+    return [ENVELOPE_PREFIX, activeKeyId, rewrapped.toString('base64'), payload.toString('base64')].join(':');
+  }
+
+  keyIdOf(envelope) {
+    return isEnvelope(envelope) ? parseEnvelope(envelope).keyId : null;
+  }
+}
+
+module.exports = new VaultKeyring();
+module.exports.VaultKeyring = VaultKeyring;
+module.exports.VaultError = VaultError;
+module.exports.isEnvelope = isEnvelope;
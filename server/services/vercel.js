@@ -1,4 +1,5 @@
-const { Connection, Deployment, Audit } = require('../models');
+const { Connection, Audit } = require('../models');
+const deploymentPipeline = require('./deployment-pipeline');
 
 class VercelService {
   constructor() {
@@ -39,7 +40,9 @@ class VercelService {
       throw new Error(`Vercel API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
     }
 
-    return response.json();
+    // Some endpoints (e.g. promote) answer without a body
+    const text = await response.text();
+    return text ? JSON.parse(text) : {};
   }
 
   // Project operations
@@ -144,28 +147,13 @@ class VercelService {
       body: JSON.stringify({
         name: deploymentData.name,
         project: deploymentData.projectId,
-        target: deploymentData.target || 'production',
+        // null makes a preview deployment
+        target: deploymentData.target !== undefined ? deploymentData.target : 'production',
         gitSource: deploymentData.gitSource,
         meta: deploymentData.meta || {}
       })
     });
 
-    // Store deployment in database
-    const dbDeployment = await Deployment.create({
-      user_id: userId,
-      repository_id: deploymentData.repository || '',
-      deployment_id: deployment.id,
-      environment: deploymentData.target || 'production',
-      ref: deploymentData.gitSource?.ref || '',
-      sha: deploymentData.gitSource?.sha || '',
-      status: 'building',
-      provider: 'vercel',
-      metadata: {
-        vercel_deployment: deployment,
-        project_id: deploymentData.projectId
-      }
-    });
-
     await Audit.create({
       actor_id: userId,
       action: 'CREATE_VERCEL_DEPLOYMENT',
@@ -179,7 +167,28 @@ class VercelService {
       ip_address: '127.0.0.1'
     });
 
-    return { vercel: deployment, database: dbDeployment };
+    // The Deployment row belongs to the deploy pipeline (services/deployment-pipeline)
+    return { vercel: deployment };
+  }
+
+  // Point the project's production domains at an existing deployment (promotion and rollback)
+  async promoteDeployment(userId, projectId, deploymentId) {
+    const { token } = await this.getConnection(userId);
+
+    const result = await this.makeRequest(token, `/v10/projects/${projectId}/promote/${deploymentId}`, {
+      method: 'POST'
+    });
+
+    await Audit.create({
+      actor_id: userId,
+      action: 'PROMOTE_VERCEL_DEPLOYMENT',
+      target: 'deployment',
+      target_id: deploymentId,
+      metadata: { project_id: projectId },
+      ip_address: '127.0.0.1'
+    });
+
+    return result;
   }
 
   async cancelDeployment(userId, deploymentId) {
@@ -189,11 +198,7 @@ class VercelService {
       method: 'PATCH'
     });
 
-    // Update database
-    await Deployment.update(
-      { status: 'cancelled' },
-      { where: { deployment_id: deploymentId } }
-    );
+    await this.updateDeploymentStatus(deploymentId, 'CANCELED');
 
     await Audit.create({
       actor_id: userId,
@@ -354,7 +359,7 @@ class VercelService {
       case 'deployment.ready':
       case 'deployment.error':
       case 'deployment.canceled':
-        await this.updateDeploymentStatus(data.deployment.id, this.mapVercelStatus(type));
+        await this.updateDeploymentStatus(data.deployment.id, this.mapVercelStatus(type), { url: data.deployment.url && `https://${data.deployment.url}` });
         break;
 
       default:
@@ -364,24 +369,19 @@ class VercelService {
     return { processed: true, type };
   }
 
-  async updateDeploymentStatus(deploymentId, status) {
-    await Deployment.update(
-      {
-        status,
-        deployed_at: status === 'ready' ? new Date() : null
-      },
-      { where: { deployment_id: deploymentId, provider: 'vercel' } }
-    );
+  async updateDeploymentStatus(deploymentId, readyState, details = {}) {
+    return deploymentPipeline.applyProviderState('vercel', deploymentId, readyState, details);
   }
 
+  // Webhook event -> the deployment readyState it reports
   mapVercelStatus(webhookType) {
     const statusMap = {
-      'deployment.created': 'building',
-      'deployment.ready': 'ready',
-      'deployment.error': 'error',
-      'deployment.canceled': 'cancelled'
+      'deployment.created': 'BUILDING',
+      'deployment.ready': 'READY',
+      'deployment.error': 'ERROR',
+      'deployment.canceled': 'CANCELED'
     };
-    return statusMap[webhookType] || 'unknown';
+    return statusMap[webhookType] || null;
   }
 }
 
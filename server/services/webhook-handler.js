@@ -1,17 +1,70 @@
 const crypto = require('crypto');
-const { Audit, Deployment } = require('../models');
+const bus = require('./bus');
 const githubService = require('./github');
 const vercelService = require('./vercel');
 const netlifyService = require('./netlify');
 const renderService = require('./render');
 const taskQueue = require('./task-queue');
 
+// Headers the provider uses to sign a delivery and to identify it
+const SIGNATURE_HEADERS = {
+  github: 'x-hub-signature-256',
+  vercel: 'x-vercel-signature',
+  netlify: 'x-webhook-signature',
+  render: 'webhook-signature'
+};
+// Environment variables holding each provider's signing secret
+const SIGNING_SECRETS = {
+  github: 'GITHUB_WEBHOOK_SECRET',
+  vercel: 'VERCEL_WEBHOOK_SECRET',
+  netlify: 'NETLIFY_WEBHOOK_SECRET',
+  render: 'RENDER_WEBHOOK_SECRET'
+};
+const DELIVERY_ID_HEADERS = {
+  github: 'x-github-delivery',
+  render: 'webhook-id'
+};
+const AWS_DETAIL_TYPES = {
+  'ECS Task State Change': 'ecs.task-state-change',
+  'CodeDeploy Deployment State-change Notification': 'codedeploy.state-change'
+};
+const REDACTED_HEADERS = new Set(['authorization', 'cookie', 'proxy-authorization']);
+
+// Deliveries a provider may redeliver and have processed again
+const RETRYABLE_STATUSES = ['failed', 'rejected'];
+// Rejected deliveries kept per provider; unsigned senders cannot grow the log past this
+const MAX_REJECTED_DELIVERIES = 100;
+
+class WebhookError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'WebhookError';
+    this.code = code;
+  }
+}
+
+const describeRuleRun = (run) => (run.workflowId
+  ? `Started workflow ${run.workflowId} (rule "${run.ruleName}")`
+  : `Rule "${run.ruleName}" did not start a workflow: ${run.error}`);
+
 class WebhookHandler {
-  constructor() {
+  constructor(options = {}) {
+    this.options = options;
     this.handlers = new Map();
     this.setupHandlers();
   }
 
+  // Models are resolved lazily so requiring the handler never opens the database
+  get models() {
+    if (!this.options.models) this.options.models = require('../models');
+    return this.options.models;
+  }
+
+  get rules() {
+    if (!this.options.rules) this.options.rules = require('./webhook-rules');
+    return this.options.rules;
+  }
+
   setupHandlers() {
     // GitHub webhook handlers
     this.handlers.set('github.push', this.handleGitHubPush.bind(this));
@@ -43,28 +96,199 @@ class WebhookHandler {
     this.handlers.set('aws.codedeploy.state-change', this.handleAWSCodeDeployStateChange.bind(this));
   }
 
-  // Main webhook processing method
-  async processWebhook(provider, eventType, payload, signature, headers = {}) {
+  supportsProvider(provider) {
+    return ['github', 'vercel', 'netlify', 'render', 'aws'].includes(provider);
+  }
+
+  // Event name as used in handler keys, e.g. 'push' for github.push
+  eventTypeFor(provider, payload = {}, headers = {}) {
+    switch (provider) {
+      case 'github':
+        return headers['x-github-event'] || null;
+      case 'netlify':
+        return headers['x-netlify-event'] || null;
+      case 'vercel':
+      case 'render':
+        return payload.type || null;
+      case 'aws':
+        return AWS_DETAIL_TYPES[payload['detail-type']] || null;
+      default:
+        return null;
+    }
+  }
+
+  signatureFor(provider, headers = {}) {
+    const header = SIGNATURE_HEADERS[provider];
+    return header ? headers[header] : undefined;
+  }
+
+  /**
+   * The provider's id for a delivery. Providers that send none get a hash of
+   * the event and payload, so an identical redelivery is still recognised.
+   */
+  deliveryIdFor(provider, eventType, payload, headers = {}) {
+    let id = DELIVERY_ID_HEADERS[provider] && headers[DELIVERY_ID_HEADERS[provider]];
+    if (!id && (provider === 'vercel' || provider === 'aws')) id = payload && payload.id;
+    if (id) return String(id);
+    return 'sha256:' + crypto
+      .createHash('sha256')
+      .update(`${eventType}\n${JSON.stringify(payload)}`)
+      .digest('hex');
+  }
+
+  sanitizeHeaders(headers = {}) {
+    const sanitized = {};
+    for (const [name, value] of Object.entries(headers)) {
+      sanitized[name] = REDACTED_HEADERS.has(name.toLowerCase()) ? '[redacted]' : value;
+    }
+    return sanitized;
+  }
+
+  /**
+   * Verify, log and dispatch an inbound delivery. `rawBody` is the request
+   * body as received, which providers sign; without it the payload is
+   * re-serialised. A delivery id that was already handled is acknowledged
+   * without running its handler again.
+   */
+  async processWebhook(provider, eventType, payload, signature, headers = {}, rawBody = null) {
+    const { WebhookDelivery } = this.models;
+    const deliveryId = this.deliveryIdFor(provider, eventType, payload, headers);
+
+    let delivery = await WebhookDelivery.findOne({ where: { provider, delivery_id: deliveryId } });
+    if (delivery && !RETRYABLE_STATUSES.includes(delivery.status)) {
+      return this.acknowledgeDuplicate(delivery);
+    }
+
+    let signatureValid;
     try {
-      // Verify webhook signature
-      if (!await this.verifySignature(provider, payload, signature, headers)) {
-        throw new Error('Invalid webhook signature');
-      }
+      signatureValid = await this.verifySignature(provider, rawBody !== null ? rawBody : JSON.stringify(payload), signature, headers);
+    } catch (error) {
+      // e.g. timingSafeEqual on a signature of the wrong length
+      signatureValid = false;
+    }
 
-      const handlerKey = `${provider}.${eventType}`;
-      const handler = this.handlers.get(handlerKey);
+    if (!signatureValid) {
+      return this.reject(delivery, { provider, eventType, deliveryId, payload, headers });
+    }
 
-      if (!handler) {
-        console.log(`No handler found for ${handlerKey}`);
-        return { processed: false, reason: 'No handler found' };
+    // What runs is always the delivery that was just verified, never a body stored with an earlier attempt
+    const received = { event_type: eventType, headers: this.sanitizeHeaders(headers), payload, signature_valid: true };
+    if (delivery) {
+      await delivery.update(received);
+    } else {
+      try {
+        delivery = await WebhookDelivery.create({ provider, delivery_id: deliveryId, ...received });
+      } catch (error) {
+        // A concurrent redelivery won the insert
+        if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+        delivery = await WebhookDelivery.findOne({ where: { provider, delivery_id: deliveryId } });
+        return this.acknowledgeDuplicate(delivery);
       }
+    }
+    return this.runDelivery(delivery, headers);
+  }
+
+  /**
+   * Record a delivery whose signature did not verify and throw. An earlier
+   * attempt's row is left as it was; otherwise a rejected row is logged, up
+   * to MAX_REJECTED_DELIVERIES per provider.
+   */
+  async reject(delivery, { provider, eventType, deliveryId, payload, headers }) {
+    const { WebhookDelivery } = this.models;
+    const error = new WebhookError('Invalid webhook signature', 'INVALID_SIGNATURE');
+    console.error(`Webhook processing failed for ${provider}.${eventType}:`, error.message);
+    if (!delivery) {
+      try {
+        delivery = await WebhookDelivery.create({
+          provider,
+          event_type: eventType,
+          delivery_id: deliveryId,
+          headers: this.sanitizeHeaders(headers),
+          payload,
+          signature_valid: false,
+          status: 'rejected',
+          error: error.message,
+          attempts: 1,
+          last_attempt_at: new Date()
+        });
+        await this.pruneRejected(provider);
+      } catch (createError) {
+        // A concurrent delivery with the same id was logged first
+        if (createError.name !== 'SequelizeUniqueConstraintError') throw createError;
+        delivery = null;
+      }
+    }
+    await this.auditFailure(delivery || { provider, event_type: eventType, delivery_id: deliveryId }, error, headers);
+    if (delivery) this.announce(delivery);
+    throw error;
+  }
+
+  // Drop the oldest rejected deliveries of a provider beyond MAX_REJECTED_DELIVERIES
+  async pruneRejected(provider) {
+    const { WebhookDelivery } = this.models;
+    const stale = await WebhookDelivery.findAll({
+      where: { provider, status: 'rejected' },
+      attributes: ['id'],
+      order: [['created_at', 'DESC']],
+      offset: MAX_REJECTED_DELIVERIES
+    });
+    if (stale.length > 0) {
+      await WebhookDelivery.destroy({ where: { id: stale.map(row => row.id) } });
+    }
+  }
+
+  async acknowledgeDuplicate(delivery) {
+    await delivery.increment('duplicates');
+    console.log(`[WEBHOOK] Ignoring duplicate ${delivery.provider} delivery ${delivery.delivery_id} (${delivery.status})`);
+    return {
+      processed: false,
+      duplicate: true,
+      reason: 'Duplicate delivery',
+      deliveryId: delivery.id,
+      status: delivery.status
+    };
+  }
+
+  // Run the handler for a logged delivery and record its outcome
+  async runDelivery(delivery, headers = delivery.headers || {}) {
+    const { provider, event_type: eventType } = delivery;
+    const handlerKey = `${provider}.${eventType}`;
+    const handler = this.handlers.get(handlerKey);
+    const startedAt = Date.now();
 
-      console.log(`Processing webhook: ${handlerKey}`);
+    await delivery.update({
+      status: 'processing',
+      error: null,
+      attempts: delivery.attempts + 1,
+      last_attempt_at: new Date(startedAt)
+    });
 
-      const result = await handler(payload, headers);
+    try {
+      let result = null;
+      if (handler) {
+        console.log(`Processing webhook: ${handlerKey}`);
+        result = await handler(delivery.payload, headers);
+      }
+
+      const workflows = await this.triggerRules(delivery);
+      if (!result && workflows.length === 0) {
+        console.log(`No handler found for ${handlerKey}`);
+        result = { processed: false, reason: 'No handler found' };
+        await delivery.update({ status: 'ignored', result, duration_ms: Date.now() - startedAt });
+        this.announce(delivery);
+        return { ...result, deliveryId: delivery.id };
+      }
+      if (workflows.length > 0) {
+        result = {
+          ...(result || { processed: true }),
+          actionsTaken: [...((result && result.actionsTaken) || []), ...workflows.map(describeRuleRun)],
+          workflows
+        };
+      }
+      await delivery.update({ status: 'processed', result, duration_ms: Date.now() - startedAt });
 
       // Log successful webhook processing
-      await Audit.create({
+      await this.audit({
         actor_id: null,
         action: 'PROCESS_WEBHOOK',
         target: 'webhook',
@@ -72,58 +296,192 @@ class WebhookHandler {
         metadata: {
           provider,
           event_type: eventType,
+          delivery_id: delivery.delivery_id,
           processed: result.processed,
           actions_taken: result.actionsTaken || []
         },
         ip_address: headers['x-forwarded-for'] || '127.0.0.1'
       });
 
-      return result;
+      this.announce(delivery);
+      return { ...result, deliveryId: delivery.id };
 
     } catch (error) {
-      console.error(`Webhook processing failed for ${provider}.${eventType}:`, error);
+      console.error(`Webhook processing failed for ${handlerKey}:`, error);
 
-      await Audit.create({
-        actor_id: null,
-        action: 'WEBHOOK_ERROR',
-        target: 'webhook',
-        target_id: `${provider}.${eventType}`,
-        metadata: {
-          provider,
-          event_type: eventType,
-          error: error.message
-        },
-        ip_address: headers['x-forwarded-for'] || '127.0.0.1'
-      });
+      await delivery.update({ status: 'failed', error: error.message, duration_ms: Date.now() - startedAt });
+      await this.auditFailure(delivery, error, headers);
+      this.announce(delivery);
 
       throw error;
     }
   }
 
-  // Signature verification for different providers
-  async verifySignature(provider, payload, signature, headers) {
+  // Project webhook rules run after the built-in handler; a failing rule is
+  // reported in the result and never fails the delivery
+  async triggerRules(delivery) {
+    try {
+      // Rules turn payload text into directives, so they only run for deliveries
+      // whose signature was checked against a configured secret
+      const authenticated = delivery.signature_valid === true && Boolean(this.signingSecret(delivery.provider));
+      return await this.rules.trigger(delivery, { authenticated });
+    } catch (error) {
+      console.warn('[WEBHOOK] Evaluating webhook rules failed:', error.message);
+      return [];
+    }
+  }
+
+  // Audit rows are best effort; failing to write one must not fail the delivery
+  async audit(entry) {
+    try {
+      await this.models.Audit.create(entry);
+    } catch (error) {
+      console.warn('[WEBHOOK] Failed to write audit entry:', error.message);
+    }
+  }
+
+  async auditFailure(delivery, error, headers = {}) {
+    await this.audit({
+      actor_id: null,
+      action: 'WEBHOOK_ERROR',
+      target: 'webhook',
+      target_id: `${delivery.provider}.${delivery.event_type}`,
+      metadata: {
+        provider: delivery.provider,
+        event_type: delivery.event_type,
+        delivery_id: delivery.delivery_id,
+        error: error.message
+      },
+      ip_address: headers['x-forwarded-for'] || '127.0.0.1'
+    });
+  }
+
+  // Surface the delivery in the Console event stream
+  announce(delivery) {
+    bus.emit('event', {
+      source: delivery.provider,
+      kind: 'webhook_delivery',
+      payload: {
+        id: delivery.id,
+        event: delivery.event_type,
+        delivery: delivery.delivery_id,
+        status: delivery.status
+      }
+    });
+  }
+
+  /**
+   * Run a failed delivery's handler again with its stored payload. Its
+   * signature was verified when it arrived, so it is not checked again.
+   */
+  async replayDelivery(id, { actorId = null } = {}) {
+    const delivery = await this.models.WebhookDelivery.findByPk(id);
+    if (!delivery) {
+      throw new WebhookError(`Webhook delivery ${id} not found`, 'NOT_FOUND');
+    }
+    if (delivery.status !== 'failed') {
+      throw new WebhookError(`Only failed deliveries can be replayed; ${id} is ${delivery.status}`, 'NOT_REPLAYABLE');
+    }
+
+    console.log(`[WEBHOOK] Replaying ${delivery.provider}.${delivery.event_type} delivery ${delivery.delivery_id}`);
+    await this.audit({
+      actor_id: actorId,
+      action: 'REPLAY_WEBHOOK',
+      target: 'webhook',
+      target_id: delivery.id,
+      metadata: { provider: delivery.provider, event_type: delivery.event_type, attempt: delivery.attempts + 1 }
+    });
+    return this.runDelivery(delivery);
+  }
+
+  toDelivery(row, { detailed = false } = {}) {
+    const delivery = {
+      id: row.id,
+      provider: row.provider,
+      eventType: row.event_type,
+      deliveryId: row.delivery_id,
+      status: row.status,
+      signatureValid: row.signature_valid,
+      error: row.error,
+      durationMs: row.duration_ms,
+      attempts: row.attempts,
+      duplicates: row.duplicates,
+      actionsTaken: (row.result && row.result.actionsTaken) || [],
+      receivedAt: row.created_at,
+      lastAttemptAt: row.last_attempt_at
+    };
+    if (detailed) {
+      delivery.headers = row.headers;
+      delivery.payload = row.payload;
+      delivery.result = row.result;
+    }
+    return delivery;
+  }
+
+  // Most recent deliveries first, without headers and payloads
+  async listDeliveries({ provider, status, limit = 50 } = {}) {
+    const where = {};
+    if (provider) where.provider = provider;
+    if (status) where.status = status;
+    const rows = await this.models.WebhookDelivery.findAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200)
+    });
+    return rows.map(row => this.toDelivery(row));
+  }
+
+  async getDelivery(id) {
+    const row = await this.models.WebhookDelivery.findByPk(id);
+    return row ? this.toDelivery(row, { detailed: true }) : null;
+  }
+
+  // Delivery counts per provider and status: { github: { processed: 3, failed: 1 }, ... }
+  async summarizeDeliveries() {
+    const { WebhookDelivery, sequelize } = this.models;
+    const rows = await WebhookDelivery.findAll({
+      attributes: ['provider', 'status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['provider', 'status'],
+      raw: true
+    });
+    const summary = {};
+    for (const row of rows) {
+      summary[row.provider] = summary[row.provider] || {};
+      summary[row.provider][row.status] = Number(row.count);
+    }
+    return summary;
+  }
+
+  // The secret a provider signs its deliveries with; null when none is configured
+  signingSecret(provider) {
+    const name = SIGNING_SECRETS[provider];
+    return (name && process.env[name]) || null;
+  }
+
+  // Signature verification for different providers, over the body as it was sent
+  async verifySignature(provider, body, signature, headers) {
     switch (provider) {
       case 'github':
-        return this.verifyGitHubSignature(payload, signature);
+        return this.verifyGitHubSignature(body, signature);
       case 'vercel':
-        return this.verifyVercelSignature(payload, signature, headers);
+        return this.verifyVercelSignature(body, signature, headers);
       case 'netlify':
-        return this.verifyNetlifySignature(payload, signature);
+        return this.verifyNetlifySignature(body, signature);
       case 'render':
-        return this.verifyRenderSignature(payload, signature);
+        return this.verifyRenderSignature(body, signature);
       default:
         console.log(`No signature verification for provider: ${provider}`);
         return true; // Allow for testing/development
     }
   }
 
-  verifyGitHubSignature(payload, signature) {
+  verifyGitHubSignature(body, signature) {
     const secret = process.env.GITHUB_WEBHOOK_SECRET;
     if (!secret) return true; // Allow if no secret configured
 
     const expectedSignature = 'sha256=' + crypto
       .createHmac('sha256', secret)
-      .update(JSON.stringify(payload))
+      .update(body)
       .digest('hex');
 
     return crypto.timingSafeEqual(
@@ -132,37 +490,38 @@ class WebhookHandler {
     );
   }
 
-  verifyVercelSignature(payload, signature, headers) {
+  verifyVercelSignature(body, signature, headers) {
     const secret = process.env.VERCEL_WEBHOOK_SECRET;
     if (!secret) return true;
 
     const bodySignature = crypto
       .createHmac('sha1', secret)
-      .update(JSON.stringify(payload))
+      .update(body)
       .digest('hex');
 
     return signature === bodySignature;
   }
 
-  verifyNetlifySignature(payload, signature) {
+  verifyNetlifySignature(body, signature) {
     const secret = process.env.NETLIFY_WEBHOOK_SECRET;
     if (!secret) return true;
 
     const expectedSignature = crypto
       .createHash('sha256')
-      .update(JSON.stringify(payload) + secret)
+      .update(body)
+      .update(secret)
       .digest('hex');
 
     return signature === expectedSignature;
   }
 
-  verifyRenderSignature(payload, signature) {
+  verifyRenderSignature(body, signature) {
     const secret = process.env.RENDER_WEBHOOK_SECRET;
     if (!secret) return true;
 
     const expectedSignature = crypto
       .createHmac('sha256', secret)
-      .update(JSON.stringify(payload))
+      .update(body)
       .digest('hex');
 
     return signature === expectedSignature;
@@ -378,7 +737,7 @@ class WebhookHandler {
     const { deployment, repository } = payload;
 
     // Update deployment tracking
-    await Deployment.update(
+    await this.models.Deployment.update(
       {
         status: 'pending',
         metadata: { github_deployment: deployment }
@@ -393,7 +752,7 @@ class WebhookHandler {
     const { deployment_status, deployment } = payload;
 
     // Update deployment status
-    await Deployment.update(
+    await this.models.Deployment.update(
       {
         status: deployment_status.state,
         deployed_at: deployment_status.state === 'success' ? new Date() : null
@@ -615,4 +974,6 @@ class WebhookHandler {
   }
 }
 
-module.exports = new WebhookHandler();
\ No newline at end of file
+module.exports = new WebhookHandler();
+module.exports.WebhookHandler = WebhookHandler;
+module.exports.WebhookError = WebhookError;
@@ -0,0 +1,339 @@
+// Filter expressions over webhook payload fields, e.g.
+//
+//   action == "labeled" && label.name == "agent"
+//   workflow_run.conclusion in ["failure", "timed_out"]
+//   issue.labels[].name contains "agent" && !issue.pull_request
+//   pull_request.title matches "^feat(\\(.+\\))?:"
+//
+// Paths walk the payload with `.field`, `[0]` and `[]` (every element of an
+// array). A comparison against a path that yields several values holds when
+// any of them satisfies it. Operators: == != < <= > >= contains matches in,
+// combined with && || ! and parentheses. `and`, `or` and `not` are accepted
+// as spellings of && || !.
+
+const COMPARISONS = ['==', '!=', '<=', '>=', '<', '>', 'contains', 'matches', 'in'];
+const KEYWORDS = { and: '&&', or: '||', not: '!' };
+
+class MatchParseError extends Error {
+  constructor(message, expression, position) {
+    super(position === undefined ? message : `${message} at position ${position + 1}`);
+    this.name = 'MatchParseError';
+    this.expression = expression;
+    this.position = position;
+  }
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    const start = i;
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) throw new MatchParseError('Unterminated string', source, start);
+      i++;
+      tokens.push({ type: 'literal', value, position: start });
+      continue;
+    }
+
+    const operator = ['&&', '||', '==', '!=', '<=', '>='].find(op => source.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'op', value: operator, position: start });
+      i += 2;
+      continue;
+    }
+    if ('!<>()[],.'.includes(char)) {
+      tokens.push({ type: 'op', value: char, position: start });
+      i++;
+      continue;
+    }
+
+    const number = /^-?\d+(\.\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: 'literal', value: Number(number[0]), position: start });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = /^[A-Za-z_$][\w$-]*/.exec(source.slice(i));
+    if (!word) throw new MatchParseError(`Unexpected character '${char}'`, source, start);
+    i += word[0].length;
+    const lower = word[0].toLowerCase();
+    if (KEYWORDS[lower]) tokens.push({ type: 'op', value: KEYWORDS[lower], position: start });
+    else if (COMPARISONS.includes(lower)) tokens.push({ type: 'op', value: lower, position: start });
+    else if (lower === 'true' || lower === 'false') tokens.push({ type: 'literal', value: lower === 'true', position: start });
+    else if (lower === 'null') tokens.push({ type: 'literal', value: null, position: start });
+    else tokens.push({ type: 'name', value: word[0], position: start });
+  }
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a small AST:
+ *   { type: 'or'|'and', left, right } | { type: 'not', operand }
+ *   { type: 'compare', op, left, right } | { type: 'path', segments }
+ *   { type: 'literal', value } | { type: 'list', items }
+ */
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  peek(value) {
+    const token = this.tokens[this.index];
+    return token && token.type === 'op' && (value === undefined || token.value === value) ? token : null;
+  }
+
+  expect(value) {
+    const token = this.peek(value);
+    if (!token) this.fail(`Expected '${value}'`);
+    this.index++;
+    return token;
+  }
+
+  fail(message) {
+    const token = this.tokens[this.index];
+    throw new MatchParseError(token ? message : `${message} but the expression ended`, this.source, token ? token.position : undefined);
+  }
+
+  parse() {
+    if (this.tokens.length === 0) throw new MatchParseError('Match expression is empty', this.source);
+    const node = this.parseOr();
+    if (this.index < this.tokens.length) this.fail('Unexpected token');
+    return node;
+  }
+
+  parseOr() {
+    let node = this.parseAnd();
+    while (this.peek('||')) {
+      this.index++;
+      node = { type: 'or', left: node, right: this.parseAnd() };
+    }
+    return node;
+  }
+
+  parseAnd() {
+    let node = this.parseNot();
+    while (this.peek('&&')) {
+      this.index++;
+      node = { type: 'and', left: node, right: this.parseNot() };
+    }
+    return node;
+  }
+
+  parseNot() {
+    if (this.peek('!')) {
+      this.index++;
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseOperand();
+    const token = this.tokens[this.index];
+    if (token && token.type === 'op' && COMPARISONS.includes(token.value)) {
+      this.index++;
+      const right = this.parseOperand();
+      if (token.value === 'matches') {
+        if (right.type !== 'literal' || typeof right.value !== 'string') {
+          throw new MatchParseError("'matches' needs a string pattern", this.source, token.position);
+        }
+        try {
+          right.regex = new RegExp(right.value);
+        } catch (error) {
+          throw new MatchParseError(`Invalid pattern: ${error.message}`, this.source, token.position);
+        }
+      }
+      return { type: 'compare', op: token.value, left, right };
+    }
+    return left;
+  }
+
+  parseOperand() {
+    const token = this.tokens[this.index];
+    if (!token) this.fail('Expected a value');
+
+    if (token.type === 'literal') {
+      this.index++;
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'name') return this.parsePath();
+    if (token.value === '(') {
+      this.index++;
+      const node = this.parseOr();
+      this.expect(')');
+      return node;
+    }
+    if (token.value === '[') {
+      this.index++;
+      const items = [];
+      while (!this.peek(']')) {
+        const item = this.tokens[this.index];
+        if (!item || item.type !== 'literal') this.fail('Lists may only contain literals');
+        items.push(item.value);
+        this.index++;
+        if (!this.peek(']')) this.expect(',');
+      }
+      this.index++;
+      return { type: 'list', items };
+    }
+    return this.fail('Expected a value');
+  }
+
+  parsePath() {
+    const segments = [{ field: this.tokens[this.index++].value }];
+    for (;;) {
+      if (this.peek('.')) {
+        this.index++;
+        const token = this.tokens[this.index];
+        if (!token || token.type !== 'name') this.fail('Expected a field name');
+        segments.push({ field: token.value });
+        this.index++;
+      } else if (this.peek('[')) {
+        this.index++;
+        const token = this.tokens[this.index];
+        if (token && token.type === 'literal' && Number.isInteger(token.value)) {
+          segments.push({ index: token.value });
+          this.index++;
+        } else {
+          segments.push({ each: true });
+        }
+        this.expect(']');
+      } else {
+        return { type: 'path', segments };
+      }
+    }
+  }
+}
+
+// Values at a path; `each` segments fan out over arrays
+function resolveSegments(value, segments) {
+  let values = [value];
+  let fannedOut = false;
+  for (const segment of segments) {
+    const next = [];
+    for (const current of values) {
+      if (current === null || current === undefined) continue;
+      if (segment.each) {
+        if (Array.isArray(current)) next.push(...current);
+      } else if (segment.index !== undefined) {
+        if (Array.isArray(current)) next.push(current[segment.index < 0 ? current.length + segment.index : segment.index]);
+      } else if (typeof current === 'object' && Object.prototype.hasOwnProperty.call(current, segment.field)) {
+        next.push(current[segment.field]);
+      }
+    }
+    if (segment.each) fannedOut = true;
+    values = next;
+  }
+  return fannedOut ? { many: true, values } : { many: false, values };
+}
+
+function compareOne(op, left, right, regex) {
+  switch (op) {
+    case '==':
+      return left === right || (left === undefined && right === null);
+    case '!=':
+      return !(left === right || (left === undefined && right === null));
+    case '<':
+      return typeof left === typeof right && left !== null && left < right;
+    case '<=':
+      return typeof left === typeof right && left !== null && left <= right;
+    case '>':
+      return typeof left === typeof right && left !== null && left > right;
+    case '>=':
+      return typeof left === typeof right && left !== null && left >= right;
+    case 'contains':
+      if (Array.isArray(left)) return left.includes(right);
+      return typeof left === 'string' && typeof right === 'string' && left.includes(right);
+    case 'matches':
+      return typeof left === 'string' && regex.test(left);
+    case 'in':
+      return Array.isArray(right) && right.includes(left);
+    default:
+      return false;
+  }
+}
+
+class MatchExpression {
+  constructor(source) {
+    this.source = String(source || '').trim();
+    this.ast = new Parser(this.source).parse();
+  }
+
+  // Single value of an operand; paths without [] yield their value or undefined
+  value(node, payload) {
+    if (node.type === 'literal') return node.value;
+    if (node.type === 'list') return node.items;
+    if (node.type === 'path') {
+      const { many, values } = resolveSegments(payload, node.segments);
+      return many ? values : values[0];
+    }
+    return this.evaluate(node, payload);
+  }
+
+  evaluate(node, payload) {
+    switch (node.type) {
+      case 'or':
+        return this.evaluate(node.left, payload) || this.evaluate(node.right, payload);
+      case 'and':
+        return this.evaluate(node.left, payload) && this.evaluate(node.right, payload);
+      case 'not':
+        return !this.evaluate(node.operand, payload);
+      case 'compare': {
+        const right = this.value(node.right, payload);
+        if (node.left.type === 'path') {
+          const { many, values } = resolveSegments(payload, node.left.segments);
+          if (many) {
+            // contains on a fanned-out path asks whether any element is the value
+            if (node.op === 'contains') return values.includes(right);
+            if (node.op === '!=') return values.every(value => compareOne('!=', value, right));
+            return values.some(value => compareOne(node.op, value, right, node.right.regex));
+          }
+          return compareOne(node.op, values[0], right, node.right.regex);
+        }
+        return compareOne(node.op, this.value(node.left, payload), right, node.right.regex);
+      }
+      case 'path': {
+        const value = this.value(node, payload);
+        return Array.isArray(value) ? value.length > 0 : Boolean(value);
+      }
+      default:
+        return Boolean(node.value);
+    }
+  }
+
+  test(payload) {
+    return Boolean(this.evaluate(this.ast, payload || {}));
+  }
+}
+
+/**
+ * Value at a dotted payload path such as `issue.labels[0].name`; `[]` paths
+ * resolve to arrays.
+ */
+function resolvePath(payload, path) {
+  const source = String(path || '').trim();
+  const node = new Parser(source).parse();
+  if (node.type !== 'path') throw new MatchParseError('Expected a payload path', source);
+  const { many, values } = resolveSegments(payload, node.segments);
+  return many ? values : values[0];
+}
+
+MatchExpression.MatchParseError = MatchParseError;
+MatchExpression.resolvePath = resolvePath;
+
+module.exports = MatchExpression;
@@ -0,0 +1,247 @@
+const MatchExpression = require('./webhook-match');
+const logger = require('./logger');
+const log = logger.child({ source: 'WEBHOOK-RULES' });
+const { MatchParseError } = MatchExpression;
+
+const PLACEHOLDER = /\{\{\s*([^}]+?)\s*\}\}/g;
+const MAX_DIRECTIVE_LENGTH = 4000;
+
+class WebhookRuleError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'WebhookRuleError';
+    this.code = code;
+  }
+}
+
+/**
+ * Fill `{{ path }}` placeholders from the payload. Arrays are joined with
+ * commas and objects rendered as JSON; missing values render empty.
+ */
+function renderDirective(template, payload) {
+  return String(template).replace(PLACEHOLDER, (placeholder, path) => {
+    const value = MatchExpression.resolvePath(payload, path);
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }).slice(0, MAX_DIRECTIVE_LENGTH);
+}
+
+/**
+ * Per-project rules that start orchestrator workflows from webhook events,
+ * e.g. "on an issue labelled `agent`, start a workflow with the issue body as
+ * the directive and Alex as manager".
+ *
+ * A rule fires for deliveries of its provider and event whose payload passes
+ * its match expression. When the project has linked repositories, only
+ * events from those repositories are considered.
+ */
+class WebhookRules {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  // Models are resolved lazily so requiring the service never opens the database
+  get models() {
+    if (!this.options.models) this.options.models = require('../models');
+    return this.options.models;
+  }
+
+  // The orchestrator is created at server start, after the routes are loaded
+  setOrchestrator(orchestrator) {
+    this.options.orchestrator = orchestrator;
+  }
+
+  toRule(row) {
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      name: row.name,
+      provider: row.provider,
+      event: row.event,
+      match: row.match,
+      directive: row.directive,
+      manager: row.manager,
+      enabled: row.enabled,
+      triggerCount: row.trigger_count,
+      lastTriggeredAt: row.last_triggered_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Validate user input and map it onto columns
+  toColumns(data, { partial = false } = {}) {
+    const columns = {};
+    const text = (value) => (typeof value === 'string' ? value.trim() : value);
+
+    for (const field of ['name', 'event', 'directive']) {
+      if (data[field] !== undefined) columns[field] = text(data[field]);
+      if ((!partial || data[field] !== undefined) && !columns[field]) {
+        throw new WebhookRuleError(`${field} is required`, 'INVALID_RULE');
+      }
+    }
+    if (data.provider !== undefined) columns.provider = text(data.provider) || 'github';
+    if (data.manager !== undefined) columns.manager = text(data.manager) || null;
+    if (data.enabled !== undefined) columns.enabled = Boolean(data.enabled);
+
+    if (data.match !== undefined) {
+      columns.match = text(data.match) || null;
+      if (columns.match) this.compile(columns.match);
+    }
+    if (columns.directive) {
+      try {
+        renderDirective(columns.directive, {});
+      } catch (error) {
+        throw new WebhookRuleError(`Invalid directive placeholder: ${error.message}`, 'INVALID_RULE');
+      }
+    }
+    return columns;
+  }
+
+  compile(match) {
+    try {
+      return new MatchExpression(match);
+    } catch (error) {
+      if (error instanceof MatchParseError) {
+        throw new WebhookRuleError(`Invalid match expression: ${error.message}`, 'INVALID_RULE');
+      }
+      throw error;
+    }
+  }
+
+  async listRules(projectId) {
+    const rows = await this.models.WebhookRule.findAll({
+      where: { project_id: projectId },
+      order: [['created_at', 'ASC']]
+    });
+    return rows.map(row => this.toRule(row));
+  }
+
+  async requireRule(id) {
+    const row = await this.models.WebhookRule.findByPk(id);
+    if (!row) throw new WebhookRuleError(`Webhook rule ${id} not found`, 'NOT_FOUND');
+    return row;
+  }
+
+  async getRule(id) {
+    return this.toRule(await this.requireRule(id));
+  }
+
+  async createRule(projectId, data = {}) {
+    const row = await this.models.WebhookRule.create({ ...this.toColumns(data), project_id: projectId });
+    log.info(`Created rule "${row.name}" for project ${projectId} on ${row.provider}.${row.event}`);
+    return this.toRule(row);
+  }
+
+  async updateRule(id, data = {}) {
+    const row = await this.requireRule(id);
+    await row.update(this.toColumns(data, { partial: true }));
+    return this.toRule(row);
+  }
+
+  async deleteRule(id) {
+    const row = await this.requireRule(id);
+    await row.destroy();
+    return this.toRule(row);
+  }
+
+  // Events without a repository (deploy hooks, ...) are not repository-scoped
+  async inProjectScope(projectId, payload) {
+    const fullName = payload && payload.repository && payload.repository.full_name;
+    if (!fullName) return true;
+    const repositories = await this.models.Repository.findAll({ where: { project_id: projectId } });
+    if (repositories.length === 0) return true;
+    return repositories.some(repo => `${repo.owner}/${repo.name}`.toLowerCase() === String(fullName).toLowerCase());
+  }
+
+  /**
+   * Dry run of a rule against a payload: { matched, directive }.
+   */
+  async testRule(id, payload) {
+    const rule = await this.requireRule(id);
+    const matched = (!rule.match || this.compile(rule.match).test(payload))
+      && await this.inProjectScope(rule.project_id, payload);
+    return { matched, directive: matched ? renderDirective(rule.directive, payload) : null };
+  }
+
+  async matchingRules(delivery) {
+    const rows = await this.models.WebhookRule.findAll({
+      where: { provider: delivery.provider, event: delivery.event_type, enabled: true },
+      order: [['created_at', 'ASC']]
+    });
+
+    const matched = [];
+    for (const row of rows) {
+      try {
+        if (row.match && !this.compile(row.match).test(delivery.payload)) continue;
+      } catch (error) {
+        log.warn(`Skipping rule ${row.id}: ${error.message}`);
+        continue;
+      }
+      if (await this.inProjectScope(row.project_id, delivery.payload)) matched.push(row);
+    }
+    return matched;
+  }
+
+  /**
+   * Start a workflow for every rule matching a delivery. Returns one entry per
+   * matched rule: { ruleId, ruleName, projectId, workflowId } or { ..., error }.
+   * Unless `authenticated` (signed with a configured secret), matched rules
+   * are refused rather than run.
+   */
+  async trigger(delivery, { authenticated = false } = {}) {
+    const rules = await this.matchingRules(delivery);
+    const runs = [];
+    for (const rule of rules) {
+      if (!authenticated) {
+        log.warn(`Rule "${rule.name}" not run: ${delivery.provider} delivery ${delivery.delivery_id} is not signed with a configured secret`);
+        runs.push({ ruleId: rule.id, ruleName: rule.name, projectId: rule.project_id, error: `Unverified ${delivery.provider} delivery; rules only run for deliveries signed with a configured webhook secret` });
+        continue;
+      }
+      runs.push(await this.run(rule, delivery));
+    }
+    return runs;
+  }
+
+  async run(rule, delivery) {
+    const run = { ruleId: rule.id, ruleName: rule.name, projectId: rule.project_id };
+    const orchestrator = this.options.orchestrator;
+    if (!orchestrator) {
+      return { ...run, error: 'Workflow orchestrator is not available' };
+    }
+    const directive = renderDirective(rule.directive, delivery.payload).trim();
+    if (!directive) {
+      return { ...run, error: 'Directive rendered empty for this event' };
+    }
+
+    try {
+      const { workflowId } = await orchestrator.startTriggeredWorkflow({
+        directive,
+        projectId: rule.project_id,
+        manager: rule.manager,
+        trigger: {
+          type: 'webhook',
+          provider: delivery.provider,
+          event: delivery.event_type,
+          webhookDeliveryId: delivery.id,
+          providerDeliveryId: delivery.delivery_id,
+          ruleId: rule.id,
+          ruleName: rule.name
+        }
+      });
+      await rule.update({ trigger_count: rule.trigger_count + 1, last_triggered_at: new Date() });
+      log.info(`Rule "${rule.name}" started workflow ${workflowId} from ${delivery.provider}.${delivery.event_type}`, { workflowId });
+      return { ...run, workflowId };
+    } catch (error) {
+      log.error(`Rule "${rule.name}" failed to start a workflow`, { error: error.message });
+      return { ...run, error: error.message };
+    }
+  }
+}
+
+module.exports = new WebhookRules();
+module.exports.WebhookRules = WebhookRules;
+module.exports.WebhookRuleError = WebhookRuleError;
+module.exports.renderDirective = renderDirective;
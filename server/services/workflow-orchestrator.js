@@ -1,8 +1,22 @@
 const AgentExecutor = require('./agent-executor');
 const ArtifactLineage = require('./artifact-lineage');
+const ArtifactLineageStore = require('./artifact-lineage-store');
 const CEOApprovalManager = require('./ceo-approval-manager');
 const RealProviderEngine = require('./real-provider-engine');
 const { ManagerSelectionEngine } = require('./manager-selection-engine');
+const WorkflowStore = require('./workflow-store');
+const { createDefaultPlanners, summarizePlan } = require('./directive-planner');
+const ArtifactGenerator = require('./artifact-generator');
+const ExecutionSandbox = require('./execution-sandbox');
+const TaskSecrets = require('./task-secrets');
+const { redact } = require('./secret-redaction');
+const WorkspaceGit = require('./workspace-git');
+const budgetManager = require('./budget-manager');
+const blobStore = require('./blob-store');
+const metrics = require('./metrics');
+const logger = require('./logger');
+const log = logger.child({ source: 'WORKFLOW' });
+const tracer = require('./tracing');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 // Import models properly
@@ -21,6 +35,10 @@ class WorkflowOrchestrator {
     this.workflows = new Map();
     this.taskQueue = [];
     this.completedWorkflows = [];
+    // Open root span of each running workflow; tasks and planning are traced under it
+    this.workflowSpans = new Map();
+    // Aborted when a workflow is cancelled, killing the commands its tasks started
+    this.workflowAborts = new Map();
   // Pending artifacts waiting for checksum or DB FK resolution
   this.pendingArtifactPersist = [];
 
@@ -28,11 +46,16 @@ class WorkflowOrchestrator {
     this.socketSafetyEnabled = this.options.socketSafety !== false; // default true
     this.isHeadless = !socketio || this.options.isHeadless === true;
 
-    // Initialize artifact lineage system
-    this.artifactLineage = new ArtifactLineage();
+    // Artifact bytes live once per sha256 in the content-addressed blob store
+    this.blobStore = this.options.blobStore || blobStore;
 
-    // Initialize CEO approval manager for workflow blocking
-    this.ceoApprovalManager = new CEOApprovalManager({
+    // Initialize artifact lineage system, persisted to the artifacts tables and search index
+    this.artifactLineage = this.options.artifactLineage || new ArtifactLineage({
+      store: new ArtifactLineageStore(null, { blobStore: this.blobStore })
+    });
+
+    // Initialize CEO approval manager for workflow blocking (shared with the approval API when provided)
+    this.ceoApprovalManager = this.options.ceoApprovalManager || new CEOApprovalManager({
       socketio: this.socketio,
       isHeadless: this.isHeadless
     });
@@ -46,17 +69,51 @@ class WorkflowOrchestrator {
     // Initialize intelligent manager selection engine
     this.managerSelectionEngine = new ManagerSelectionEngine();
 
+    // Write-through persistence of workflows and tasks so they survive a restart
+    this.workflowStore = this.options.workflowStore || new WorkflowStore();
+    this.maxTaskAttempts = this.options.maxTaskAttempts || 3;
+
+    // Directive planners, tried in order; the keyword templates are the offline fallback
+    this.planners = this.options.planners || createDefaultPlanners(this, { providerEngine: this.realProviderEngine });
+
+    // Model-backed artifact content; the template generators are only used without a provider
+    this.artifactGenerator = this.options.artifactGenerator || new ArtifactGenerator({ providerEngine: this.realProviderEngine });
+
+    // Shared sandbox (timeouts, output caps, scrubbed env, per-agent policy) for task commands
+    this.sandbox = this.options.sandbox || new ExecutionSandbox();
+
+    // With TASK_EXECUTION=workers, task commands are leased to worker processes (workers/runner.js) instead
+    this.taskLeases = this.options.taskLeases || (process.env.TASK_EXECUTION === 'workers' ? require('./task-leases') : null);
+
+    // Vault secrets a task declares (task.secrets), injected into its commands after policy checks
+    this.taskSecrets = this.options.taskSecrets || new TaskSecrets({ sandbox: this.sandbox });
+
+    // Per-workspace git history: one commit per task, used for task diffs and reverts
+    this.workspaceGit = this.options.workspaceGit || new WorkspaceGit();
+
+    // Workflow/agent/project spend limits: warnings go to the BoardRoom, hard stops pause for CEO approval
+    this.budgetManager = this.options.budgetManager || budgetManager;
+    this.attachBudgetListeners();
+
     // Initialize autonomous agents with specialized capabilities
     this.initializeAgents();
 
     // Start workflow processor and artifact reconciler if autoStart enabled
     if (this.autoStart) {
-      this.startWorkflowProcessor();
+      // Rehydrate persisted workflows before the processor starts pulling from the queue
+      this.recoveryPromise = this.recoverWorkflows()
+        .catch(err => log.warn('Workflow recovery failed', { source: 'RECOVERY', error: err && err.message }))
+        .finally(() => {
+          if (!this.isShutDown) this.startWorkflowProcessor();
+        });
+      // Restore the persisted artifact lineage graph
+      this.lineageRecovery = this.artifactLineage.hydrate()
+        .catch(err => log.warn('Lineage recovery failed', { source: 'LINEAGE', error: err && err.message }));
       // Start artifact reconciliation loop for deferred DB persists
       this.startArtifactReconciler();
     }
 
-    console.log('✅ Workflow Orchestrator initialized with artifact lineage tracking', this.isHeadless ? '(headless mode)' : '(with socket support)');
+    log.info(`Workflow Orchestrator initialized with artifact lineage tracking ${this.isHeadless ? '(headless mode)' : '(with socket support)'}`);
   }
 
   /**
@@ -73,6 +130,51 @@ class WorkflowOrchestrator {
     }
   }
 
+  /**
+   * Open the root span of a workflow's trace. It is parented to the active
+   * span (e.g. the API request that created the workflow) when there is one.
+   */
+  startWorkflowSpan(workflowId, directive, briefContext = null) {
+    const span = tracer.startSpan('workflow', {
+      attributes: {
+        'workflow.id': workflowId,
+        'workflow.directive': directive.length > 200 ? `${directive.slice(0, 197)}...` : directive,
+        'project.id': briefContext?.projectId,
+        'brief.id': briefContext?.id,
+        'brief.project_type': briefContext?.projectType,
+        'brief.requested_agent': briefContext?.requestedAgent
+      }
+    });
+    this.workflowSpans.set(workflowId, span);
+    return span;
+  }
+
+  // Close the workflow's root span once it reaches a final status
+  endWorkflowSpan(workflow) {
+    const span = this.workflowSpans.get(workflow.id);
+    if (!span) return;
+    this.workflowSpans.delete(workflow.id);
+    span.setAttributes({
+      'workflow.status': workflow.status,
+      'workflow.tasks.completed': workflow.progress?.completed,
+      'workflow.tasks.failed': workflow.progress?.failed
+    });
+    span.setStatus(workflow.status === 'completed' ? 'ok' : 'error', workflow.status === 'completed' ? undefined : `Workflow ${workflow.status}`);
+    span.end();
+  }
+
+  /**
+   * Spans of a workflow's trace, oldest first, or null when the trace is no
+   * longer held in memory (the exported OTLP file still has it).
+   */
+  getWorkflowTrace(workflowId) {
+    const workflow = this.workflows.get(workflowId);
+    const traceId = workflow?.metadata?.trace?.traceId;
+    if (!traceId) return null;
+    const spans = tracer.getTrace(traceId);
+    return spans ? { traceId, spans } : null;
+  }
+
   // Allow external callers (e.g., API) to pre-generate workflow IDs
   generateWorkflowId() {
     return uuidv4();
@@ -83,7 +185,7 @@ class WorkflowOrchestrator {
    */
   async startWorkflow({ workflowId, directive, managerId, priority = 'medium', realExecution = true }) {
     try {
-      console.log(`[WORKFLOW-START] Starting workflow ${workflowId}: ${directive}`);
+      log.info(`Starting workflow ${workflowId}: ${directive}`, { source: 'WORKFLOW-START', workflowId });
 
       // Create the workflow using existing createWorkflow method
       const workflow = await this.createWorkflow(directive, null, workflowId);
@@ -99,7 +201,7 @@ class WorkflowOrchestrator {
 
       // Start the workflow processor to begin task execution
       if (this.autoStart) {
-        console.log(`[WORKFLOW-START] Workflow ${workflowId} queued for execution`);
+        log.info(`Workflow ${workflowId} queued for execution`, { source: 'WORKFLOW-START', workflowId });
       }
 
       return {
@@ -111,11 +213,28 @@ class WorkflowOrchestrator {
       };
 
     } catch (error) {
-      console.error(`[WORKFLOW-START] Failed to start workflow ${workflowId}:`, error);
+      log.error(`Failed to start workflow ${workflowId}`, { source: 'WORKFLOW-START', workflowId, error: error && error.message, stack: error && error.stack });
       throw new Error(`Failed to start workflow: ${error.message}`);
     }
   }
 
+  /**
+   * Start a workflow for an external event such as a webhook rule. Planning
+   * runs in the background so the caller gets the workflow id straight away;
+   * `trigger` is stored in the workflow metadata to link it to its event.
+   */
+  async startTriggeredWorkflow({ directive, projectId = null, manager = null, trigger = null }) {
+    const workflowId = this.generateWorkflowId();
+    const project = projectId ? await Project.findByPk(projectId).catch(() => null) : null;
+    const context = { projectId, projectName: project ? project.name : null, manager, trigger };
+
+    this.createWorkflow(directive, context, workflowId).catch(error => {
+      log.error(`Triggered workflow ${workflowId} failed to start`, { source: 'WORKFLOW-START', workflowId, error: error.message });
+    });
+
+    return { workflowId };
+  }
+
   /**
    * Unblock workflow after CEO approval
    */
@@ -123,11 +242,11 @@ class WorkflowOrchestrator {
     try {
       const workflow = this.workflows.get(workflowId);
       if (!workflow) {
-        console.error(`[WORKFLOW-UNBLOCK] Workflow ${workflowId} not found`);
+        log.error(`Workflow ${workflowId} not found`, { source: 'WORKFLOW-UNBLOCK', workflowId });
         return;
       }
 
-      console.log(`[WORKFLOW-UNBLOCK] CEO approved workflow ${workflowId} - unblocking completion`);
+      log.info(`CEO approved workflow ${workflowId} - unblocking completion`, { source: 'WORKFLOW-UNBLOCK', workflowId });
 
       // Mark as completed
       workflow.status = 'completed';
@@ -139,6 +258,7 @@ class WorkflowOrchestrator {
       workflow.metadata.approvalRecordId = approvalDecision.approvalRecord.id;
 
       this.completedWorkflows.push(workflow);
+      this.endWorkflowSpan(workflow);
 
       // Update database
       await Workflow.update({
@@ -156,10 +276,10 @@ class WorkflowOrchestrator {
         ceoApproved: true
       });
 
-      console.log(`[WORKFLOW-UNBLOCK] Workflow ${workflowId} completed after CEO approval in ${Math.round(workflow.totalDuration / 1000)}s`);
+      log.info(`Workflow ${workflowId} completed after CEO approval in ${Math.round(workflow.totalDuration / 1000)}s`, { source: 'WORKFLOW-UNBLOCK', workflowId });
 
     } catch (error) {
-      console.error(`[WORKFLOW-UNBLOCK] Failed to unblock workflow ${workflowId}:`, error);
+      log.error(`Failed to unblock workflow ${workflowId}`, { source: 'WORKFLOW-UNBLOCK', workflowId, error: error && error.message, stack: error && error.stack });
     }
   }
 
@@ -188,7 +308,7 @@ class WorkflowOrchestrator {
             const sha = entry.lineageData.checksum || '';
             let persisted = false;
             if (!sha || sha.length === 0) {
-              console.warn('[DB] Reconcile: missing checksum, skipping create for now', entry.lineageData.relativePath || entry.lineageData.absolutePath || entry.lineageData.name);
+              log.warn('Reconcile: missing checksum, skipping create for now', { source: 'DB', workflowId: entry.workflowId, artifact: entry.lineageData.relativePath || entry.lineageData.absolutePath || entry.lineageData.name });
             } else {
               try {
                 await Artifact.create({
@@ -199,39 +319,40 @@ class WorkflowOrchestrator {
                   produced_by_task: entry.lineageData.taskId || null
                 });
                 persisted = true;
-                console.log('[DB] Reconcile: persisted artifact for', entry.workflowId);
+                await this.referenceArtifactBlob(sha);
+                log.info('Reconcile: persisted artifact', { source: 'DB', workflowId: entry.workflowId });
               } catch (err) {
                 const parentMsg = err && err.parent && err.parent.message && err.parent.message.toLowerCase ? err.parent.message.toLowerCase() : '';
                 const isUnique = (err && err.name === 'SequelizeUniqueConstraintError') || (err && err.message && err.message.toLowerCase && err.message.toLowerCase().includes('unique')) || parentMsg.includes('unique');
                 if (isUnique && sha) {
                   const existing = await Artifact.findOne({ where: { sha256: sha } }).catch(() => null);
                   if (existing) {
-                    console.log('[DB] Reconcile: artifact exists with same sha, linking existing', existing.id);
+                    log.info('Reconcile: artifact exists with same sha, linking existing', { source: 'DB', workflowId: entry.workflowId, artifactId: existing.id });
                     persisted = true; // treat as persisted for reconciliation purposes
                   } else {
-                    console.warn('[DB] Reconcile: unique constraint but no existing artifact found; will retry later', err && err.message);
+                    log.warn('Reconcile: unique constraint but no existing artifact found; will retry later', { source: 'DB', error: err && err.message });
                   }
                 } else if (err && err.name === 'SequelizeForeignKeyConstraintError' || (err && err.message && err.message.toLowerCase && err.message.toLowerCase().includes('foreign key'))) {
-                  console.warn('[DB] Reconcile: FK constraint encountered, will retry later', err && err.message);
+                  log.warn('Reconcile: FK constraint encountered, will retry later', { source: 'DB', error: err && err.message });
                 } else {
-                  console.warn('[DB] Reconciliation attempt failed:', err && err.message);
+                  log.warn('Reconciliation attempt failed', { source: 'DB', error: err && err.message });
                 }
               }
             }
           } catch (e) {
-            console.warn('[DB] Could not resolve project for artifact persist, will attempt with fallback later:', e && e.message);
+            log.warn('Could not resolve project for artifact persist, will attempt with fallback later', { source: 'DB', error: e && e.message });
           }
 
           // remove from pending list only if persisted/linked
           if (typeof persisted !== 'undefined' && persisted) {
             this.pendingArtifactPersist = this.pendingArtifactPersist.filter(p => p !== entry);
-            console.log('[DB] Reconciled and persisted deferred artifact for workflow', entry.workflowId);
+            log.info('Reconciled and persisted deferred artifact', { source: 'DB', workflowId: entry.workflowId });
           } else {
-            console.log('[DB] Reconcile left pending artifact for workflow', entry.workflowId);
+            log.info('Reconcile left pending artifact', { source: 'DB', workflowId: entry.workflowId });
           }
         } catch (e) {
           // ignore and keep for next attempt
-          console.warn('[DB] Reconciliation attempt failed:', e && e.message);
+          log.warn('Reconciliation attempt failed', { source: 'DB', error: e && e.message });
         }
       }
     }, 20 * 1000);
@@ -261,7 +382,7 @@ class WorkflowOrchestrator {
 
         const sha = lineageData.checksum || '';
         if (!sha || sha.length === 0) {
-          console.warn('[DB] Reconcile once: missing checksum, skipping', lineageData.relativePath || lineageData.absolutePath || lineageData.name);
+          log.warn('Reconcile once: missing checksum, skipping', { source: 'DB', artifact: lineageData.relativePath || lineageData.absolutePath || lineageData.name });
           continue;
         }
 
@@ -274,7 +395,8 @@ class WorkflowOrchestrator {
             produced_by_task: lineageData.taskId || null
           });
 
-          console.log('[Reconciler] Persisted pending artifact to DB:', created.id);
+          log.info('Persisted pending artifact to DB', { source: 'RECONCILER', artifactId: created.id });
+          await this.referenceArtifactBlob(sha);
 
           // attach DB id back into tracked artifact and update workflow.artifacts
           if (trackedArtifactId) {
@@ -291,7 +413,7 @@ class WorkflowOrchestrator {
                 }
                 await Workflow.update({ artifacts: wfArtifacts }, { where: { id: wf.id } }).catch(() => null);
               } catch (uerr) {
-                console.warn('[Reconciler] Failed to update workflow.artifacts with db id:', uerr && uerr.message);
+                log.warn('Failed to update workflow.artifacts with db id', { source: 'RECONCILER', error: uerr && uerr.message });
               }
             }
           }
@@ -305,7 +427,7 @@ class WorkflowOrchestrator {
           if (isUnique && sha) {
             const existing = await Artifact.findOne({ where: { sha256: sha } }).catch(() => null);
             if (existing) {
-              console.log('[Reconciler] Pending artifact matches existing DB artifact, linking id', existing.id);
+              log.info('Pending artifact matches existing DB artifact, linking it', { source: 'RECONCILER', artifactId: existing.id });
               if (trackedArtifactId) {
                 const tracked = this.artifactLineage.getArtifactWithLineage(trackedArtifactId);
                 if (tracked) {
@@ -319,7 +441,7 @@ class WorkflowOrchestrator {
                 if (!found) wfArtifacts.push({ id: existing.id, dbArtifactId: existing.id, lineageId: trackedArtifactId });
                 await Workflow.update({ artifacts: wfArtifacts }, { where: { id: wf.id } }).catch(() => null);
               } catch (uerr) {
-                console.warn('[Reconciler] Failed to update workflow.artifacts after linking existing artifact:', uerr && uerr.message);
+                log.warn('Failed to update workflow.artifacts after linking existing artifact', { source: 'RECONCILER', error: uerr && uerr.message });
               }
               // remove pending entry
               this.pendingArtifactPersist = this.pendingArtifactPersist.filter(p => p !== entry);
@@ -328,10 +450,10 @@ class WorkflowOrchestrator {
             }
           }
 
-          console.warn('[Reconciler] Failed to persist pending artifact, will retry later:', err && err.message);
+          log.warn('Failed to persist pending artifact, will retry later', { source: 'RECONCILER', error: err && err.message });
         }
       } catch (e) {
-        console.error('[Reconciler] Unexpected error while reconciling pending artifacts:', e && e.stack);
+        log.error('Unexpected error while reconciling pending artifacts', { source: 'RECONCILER', error: e && e.message, stack: e && e.stack });
       }
     }
     return persistedCount;
@@ -666,7 +788,7 @@ class WorkflowOrchestrator {
       }
     ];
 
-    console.log(`🚀 Initializing ${agentConfigs.length} autonomous agents...`);
+    log.info(`🚀 Initializing ${agentConfigs.length} autonomous agents...`);
 
     for (const config of agentConfigs) {
       const agent = {
@@ -678,7 +800,7 @@ class WorkflowOrchestrator {
         messagesExchanged: 0,
         currentTask: null,
         lastActivity: null,
-        executor: new AgentExecutor(config.name, config.workspaceDir, this.socketio)
+        executor: new AgentExecutor(config.name, config.workspaceDir, this.socketio, { sandbox: this.sandbox, root: this.workspaceRoot })
       };
 
       this.agents.set(config.name, agent);
@@ -686,11 +808,11 @@ class WorkflowOrchestrator {
       // Ensure workspace directory exists
       if (!fsSync.existsSync(config.workspaceDir)) {
         fsSync.mkdirSync(config.workspaceDir, { recursive: true });
-        console.log(`📁 Created workspace for ${config.name}: ${config.workspaceDir}`);
+        log.info(`📁 Created workspace for ${config.name}: ${config.workspaceDir}`);
       }
     }
 
-    console.log(`✅ Initialized ${this.agents.size} autonomous agents across ${this.getDepartmentCount()} departments`);
+    log.info(`✅ Initialized ${this.agents.size} autonomous agents across ${this.getDepartmentCount()} departments`);
   }
 
   getDepartmentCount() {
@@ -724,6 +846,14 @@ class WorkflowOrchestrator {
   }
 
   async selectManagerForDirective(directive, briefContext = null) {
+    return tracer.startActiveSpan('manager.select', {}, async (span) => {
+      const manager = await this.resolveManagerForDirective(directive, briefContext);
+      span.setAttribute('manager', manager);
+      return manager;
+    });
+  }
+
+  async resolveManagerForDirective(directive, briefContext = null) {
     // Prefer explicit requested agent from briefContext
     if (briefContext && briefContext.requestedAgent && briefContext.requestedAgent !== '') {
       return briefContext.requestedAgent;
@@ -737,11 +867,15 @@ class WorkflowOrchestrator {
 
     // Use AI-powered manager selection engine for intelligent assignment
     try {
-      const selectedManager = await this.managerSelectionEngine.selectManager(directive);
-      console.log(`[MANAGER-SELECTION] AI selected: ${selectedManager.name} (confidence: ${selectedManager.confidence})`);
+      const selectedManager = await tracer.startActiveSpan('manager_selection_engine.select', {}, async (span) => {
+        const selection = await this.managerSelectionEngine.selectManager(directive);
+        span.setAttributes({ manager: selection.name, 'manager.confidence': selection.confidence });
+        return selection;
+      });
+      log.info(`AI selected: ${selectedManager.name} (confidence: ${selectedManager.confidence})`, { source: 'MANAGER-SELECTION' });
       return selectedManager.name;
     } catch (error) {
-      console.error('[MANAGER-SELECTION] AI selection failed, falling back to heuristics:', error);
+      log.error('AI selection failed, falling back to heuristics', { source: 'MANAGER-SELECTION', error: error && error.message, stack: error && error.stack });
     }
 
     // Fallback to pattern-based heuristics
@@ -873,7 +1007,7 @@ class WorkflowOrchestrator {
   createCollaborationWorkflow(directive, departments, briefContext = null) {
     const tasks = [];
 
-    console.log(`[COLLABORATION] Creating cross-department workflow for: ${departments.join(' + ')}`);
+    log.info(`Creating cross-department workflow for: ${departments.join(' + ')}`, { source: 'COLLABORATION' });
 
     // Phase 1: Department-specific planning
     departments.forEach((department) => {
@@ -1007,31 +1141,35 @@ class WorkflowOrchestrator {
     const workflowId = providedWorkflowId || uuidv4();
     const startTime = Date.now();
 
-    console.log(`[WORKFLOW:${workflowId}] Creating workflow for directive: "${userDirective}"`);
+    log.info(`Creating workflow for directive: "${userDirective}"`, { workflowId });
 
     if (briefContext) {
       if (briefContext.projectId) {
-        console.log(`[WORKFLOW:${workflowId}] Associating with project ${briefContext.projectName} (${briefContext.projectId})`);
+        log.info(`Associating with project ${briefContext.projectName} (${briefContext.projectId})`, { workflowId });
       }
       if (briefContext.projectType) {
-        console.log(`[WORKFLOW:${workflowId}] Using brief context: ${briefContext.projectType} - ${briefContext.scope} - ${briefContext.timeline}`);
+        log.info(`Using brief context: ${briefContext.projectType} - ${briefContext.scope} - ${briefContext.timeline}`, { workflowId });
       }
     }
 
-  // Enhanced task decomposition with brief context
-  // If a completed brief object is passed in (from BriefManager), prefer its suggested manager
+  // Planner spend is charged to the project's budget as well
+  if (briefContext?.projectId) this.budgetManager.setWorkflowProject(workflowId, briefContext.projectId);
 
-  // Check if this requires cross-department collaboration
-  const requiredDepartments = this.detectCollaborationNeeds(userDirective);
+  // Task decomposition runs through the planner chain (model-backed DAG first,
+  // keyword templates as the offline fallback)
+  const workflowSpan = this.startWorkflowSpan(workflowId, userDirective, briefContext);
   let tasks;
-
-  if (requiredDepartments.length > 1) {
-    console.log(`[COLLABORATION] Multi-department workflow detected: ${requiredDepartments.join(', ')}`);
-    tasks = this.createCollaborationWorkflow(userDirective, requiredDepartments, briefContext);
-  } else {
-    // Standard single-department workflow
-    tasks = await this.decomposeDirective(userDirective, briefContext);
+  let planning;
+  try {
+    ({ tasks, planning } = await tracer.withSpan(workflowSpan, () => this.planDirective(userDirective, briefContext, { workflowId })));
+  } catch (error) {
+    this.workflowSpans.delete(workflowId);
+    workflowSpan.recordException(error);
+    workflowSpan.end();
+    throw error;
   }
+  workflowSpan.setAttribute('workflow.tasks', tasks.length);
+  log.info(`Planned ${tasks.length} tasks with ${planning.planner} planner`, { workflowId });
     
     // Calculate realistic time estimates
     const estimates = this.calculateTimeEstimates(tasks);
@@ -1057,10 +1195,20 @@ class WorkflowOrchestrator {
         project_id: briefContext?.projectId || null,
         project_name: briefContext?.projectName || null,
         interaction_mode: 'autonomous_with_oversight',
-        real_execution: true // Ensure all workflows use real execution by default
+        real_execution: true, // Ensure all workflows use real execution by default
+        planning,
+        // Lets tasks resumed after a restart continue the same trace
+        trace: workflowSpan.context()
       }
     };
 
+  // Workflows started by an external event keep a link back to it
+  if (briefContext?.trigger) workflow.metadata.trigger = briefContext.trigger;
+  if (briefContext?.manager) {
+    workflow.manager = briefContext.manager;
+    workflow.metadata.manager = briefContext.manager;
+  }
+
   // Save to both memory and database
   this.workflows.set(workflowId, workflow);
 
@@ -1085,7 +1233,7 @@ class WorkflowOrchestrator {
           workflow.metadata.project_id = projectId;
           workflow.metadata.project_name = project.name;
         } catch (e) {
-          console.warn('[WORKFLOW] Could not create project for workflow:', e && e.message);
+          log.warn('Could not create project for workflow', { error: e && e.message });
           // fallback: find any existing project
           const p = await Project.findOne().catch(() => null);
           if (p) {
@@ -1108,9 +1256,10 @@ class WorkflowOrchestrator {
         metadata: workflow.metadata
       });
 
-      console.log(`[WORKFLOW:${workflowId}] Persisted to database with project ${projectId}`);
+      this.budgetManager.setWorkflowProject(workflowId, projectId);
+      log.info(`Persisted to database with project ${projectId}`, { workflowId });
     } catch (error) {
-      console.error(`[WORKFLOW:${workflowId}] Failed to persist to database:`, error);
+      log.error('Failed to persist to database', { workflowId, error: error && error.message, stack: error && error.stack });
     }
     
     // Emit workflow creation to Board Room with socket safety
@@ -1143,46 +1292,158 @@ class WorkflowOrchestrator {
       workflow.metadata.awaitingClarification = workflow.metadata.requiresClarification;
       workflow.status = workflow.metadata.requiresClarification ? 'awaiting_clarification' : 'in_progress';
 
-      // Persist the brief tasks and pending tasks to DB so APIs can inspect/approve them
-      try {
-        const pending = tasks.filter(t => t.type !== 'manager_brief');
-        // Store pending tasks in the workflow DB row for visibility
-        await Workflow.update({
-          tasks: workflow.tasks,
-          progress: workflow.progress,
-          status: workflow.status,
-          metadata: Object.assign({}, workflow.metadata, { pendingAfterApproval: pending })
-        }, { where: { id: workflowId } }).catch(() => null);
-        // Also store pending tasks in-memory for runtime scheduling
-        workflow._pendingAfterApproval = pending;
-      } catch (e) {
-        console.warn(`[WORKFLOW:${workflowId}] Failed to persist manager brief/pending tasks:`, e && e.message);
-        // still keep them in-memory
-        workflow._pendingAfterApproval = tasks.filter(t => t.type !== 'manager_brief');
-      }
+      // Hold specialist tasks in-memory until the brief is approved; the store
+      // persists them as metadata.pendingAfterApproval so APIs can inspect/approve them
+      workflow._pendingAfterApproval = tasks.filter(t => t.type !== 'manager_brief');
+      await this.persistWorkflowState(workflow, workflow.tasks);
 
       // Only queue manager brief tasks if no clarification needed, otherwise hold until answered
       if (!workflow.metadata.requiresClarification) {
         this.queueTasks(managerBriefTasks, workflowId);
-        console.log(`[WORKFLOW:${workflowId}] Queued manager brief tasks, ${workflow._pendingAfterApproval.length} specialist tasks pending approval`);
+        log.info(`Queued manager brief tasks, ${workflow._pendingAfterApproval.length} specialist tasks pending approval`, { workflowId });
       } else {
-        console.log(`[WORKFLOW:${workflowId}] Holding all tasks until clarifying questions are answered (${workflow.metadata.clarifyingQuestions.length} questions)`);
+        log.info(`Holding all tasks until clarifying questions are answered (${workflow.metadata.clarifyingQuestions.length} questions)`, { workflowId });
       }
     } else {
       workflow.tasks = tasks;
       workflow.progress.total = workflow.tasks.length;
-      try {
-        await Workflow.update({ tasks: workflow.tasks, progress: workflow.progress }, { where: { id: workflowId } }).catch(() => null);
-      } catch (e) {
-        // ignore
-      }
+      await this.persistWorkflowState(workflow, workflow.tasks);
       this.queueTasks(tasks, workflowId);
     }
 
     return { workflowId, workflow };
   }
 
+  /**
+   * Run the configured planners in order and return the first plan produced,
+   * together with a planning record (planner used, provider/model/cost,
+   * failed attempts and a summary of the plan) for workflow metadata.
+   */
+  async planDirective(directive, briefContext = null, { workflowId } = {}) {
+    const attempts = [];
+    for (const planner of this.planners) {
+      if (typeof planner.isAvailable === 'function' && !planner.isAvailable()) {
+        attempts.push({ planner: planner.name, status: 'unavailable' });
+        continue;
+      }
+      try {
+        const result = await tracer.startActiveSpan('planner.plan', { attributes: { 'planner.name': planner.name } }, async (span) => {
+          const plan = await planner.plan(directive, briefContext, { agents: this.agents, workflowId });
+          span.setAttribute('plan.tasks', plan && Array.isArray(plan.tasks) ? plan.tasks.length : 0);
+          return plan;
+        });
+        if (!result || !Array.isArray(result.tasks) || result.tasks.length === 0) {
+          throw new Error('Planner returned no tasks');
+        }
+        attempts.push({ planner: planner.name, status: 'succeeded' });
+        const { tasks: planned, ...details } = result;
+        // Whatever planned the tasks, gated directives keep the manager brief approval step
+        const tasks = await this.applyManagerBriefGate(planned, directive, briefContext);
+        return {
+          tasks,
+          planning: {
+            ...details,
+            planner: planner.name,
+            plannedAt: new Date().toISOString(),
+            attempts,
+            plan: summarizePlan(tasks)
+          }
+        };
+      } catch (error) {
+        log.warn(`${planner.name} planner failed, trying next planner`, { source: 'PLANNER', error: error && error.message });
+        attempts.push({
+          planner: planner.name,
+          status: 'failed',
+          error: error && error.message,
+          validationErrors: error && error.validationErrors,
+          rawOutput: error && error.rawOutput
+        });
+      }
+    }
+    throw new Error(`No planner produced a task plan (${attempts.map(a => `${a.planner}: ${a.status}`).join(', ')})`);
+  }
+
+  /**
+   * The manager brief task gating a directive, or null when it needs none.
+   * Directives asking an explicitly named agent to create a markdown document
+   * are gated: specialist tasks wait until the brief is approved.
+   */
+  async buildManagerBriefGate(directive, briefContext = null) {
+    const lower = directive.toLowerCase();
+    const mentionsCreate = lower.includes('create') || lower.includes('put it in') || lower.includes('make');
+    // Consider variations: ".md", "markdown", "md document", or standalone " md "
+    const mentionsMd = lower.includes('.md') || lower.includes('markdown') || lower.includes('md document') || (/\bmd\b/.test(lower)) || (briefContext && briefContext.filename && briefContext.filename.toLowerCase().endsWith('.md'));
+
+    // Detect explicit agent mention in directive text (e.g., "have Sage create ...")
+    let explicitAgentFromDirective = null;
+    try {
+      for (const agentName of this.agents.keys()) {
+        if (!agentName) continue;
+        if (lower.includes(agentName.toLowerCase())) {
+          explicitAgentFromDirective = agentName;
+          break;
+        }
+      }
+    } catch (e) {
+      // ignore detection errors
+    }
+
+    const requested = (briefContext && briefContext.agentExplicit && briefContext.requestedAgent) ? briefContext.requestedAgent : explicitAgentFromDirective;
+    if (!requested || !mentionsCreate || !mentionsMd) return null;
+
+    // Determine manager (prefer requested if makes sense)
+    const manager = await this.selectManagerForDirective(directive, briefContext) || requested || 'Alex';
+    const filename = (briefContext && briefContext.filename) ? briefContext.filename : 'ABOUT_ME.md';
+
+    // Manager brief task that must be approved before specialists proceed
+    const managerBriefTask = {
+      id: uuidv4(),
+      title: 'Manager Brief: Summary, Assumptions, Risks, Plan',
+      description: `Manager (${manager}) will author a comprehensive brief for: ${directive}`,
+      assignedAgent: manager,
+      // Use a distinct task type so the orchestrator can detect manager briefs
+      type: 'manager_brief',
+      // Keep create-file style fields so the executor can create the file when run
+      fileName: 'MANAGER_BRIEF.md',
+      content: this.generateManagerBriefContent(directive, manager, filename, briefContext),
+      briefMeta: {
+        directive,
+        filename: filename,
+        requiresClarification: this.requiresClarification(directive, briefContext),
+        clarifyingQuestions: this.generateClarifyingQuestions(directive, briefContext)
+      },
+      dependencies: [],
+      status: 'pending',
+      estimatedDuration: 15000 // Increased time for comprehensive brief
+    };
+
+    return { managerBriefTask, requested, manager, filename };
+  }
+
+  /**
+   * Put the manager brief gate in front of a plan that lacks one (model
+   * plans never emit it): its root tasks come to depend on the brief.
+   */
+  async applyManagerBriefGate(tasks, directive, briefContext = null) {
+    if (tasks.some(t => t.type === 'manager_brief')) return tasks;
+    const gate = await this.buildManagerBriefGate(directive, briefContext);
+    if (!gate) return tasks;
+    const briefId = gate.managerBriefTask.id;
+    return [
+      gate.managerBriefTask,
+      ...tasks.map(t => ((t.dependencies || []).length > 0 ? t : { ...t, dependencies: [briefId] }))
+    ];
+  }
+
   async decomposeDirective(directive, briefContext = null) {
+    return tracer.startActiveSpan('directive.decompose', {}, async (span) => {
+      const tasks = await this.buildDirectiveTasks(directive, briefContext);
+      span.setAttribute('plan.tasks', Array.isArray(tasks) ? tasks.length : 0);
+      return tasks;
+    });
+  }
+
+  async buildDirectiveTasks(directive, briefContext = null) {
     const tasks = [];
     
     // Enhanced AI-driven task decomposition with brief context
@@ -1201,72 +1462,21 @@ class WorkflowOrchestrator {
       targetUsers = briefContext.targetUsers || 'general';
       suggestedAgents = briefContext.suggestedAgents || ['Alex', 'Nova'];
       
-      console.log(`[WORKFLOW] Brief context applied: ${projectType}, ${scope}, ${timeline}`);
-      console.log(`[WORKFLOW] Key features: ${keyFeatures.join(', ')}`);
-      console.log(`[WORKFLOW] Suggested agents: ${suggestedAgents.join(', ')}`);
+      log.info(`Brief context applied: ${projectType}, ${scope}, ${timeline}`);
+      log.info(`Key features: ${keyFeatures.join(', ')}`);
+      log.info(`Suggested agents: ${suggestedAgents.join(', ')}`);
     }
 
     // If directive requests creation of an .md document and a specific agent
     // was requested explicitly, build a compact plan that ensures the
     // requested agent is the creator of the artifact (no silent substitution).
     try {
-      const lower = directive.toLowerCase();
-      const mentionsCreate = lower.includes('create') || lower.includes('put it in') || lower.includes('make');
-      // Consider variations: ".md", "markdown", "md document", or standalone " md "
-      const mentionsMd = lower.includes('.md') || lower.includes('markdown') || lower.includes('md document') || (/\bmd\b/.test(lower)) || (briefContext && briefContext.filename && briefContext.filename.toLowerCase().endsWith('.md'));
-
-      // Detect explicit agent mention in directive text (e.g., "have Sage create ...")
-      let explicitAgentFromDirective = null;
-      try {
-        for (const agentName of this.agents.keys()) {
-          if (!agentName) continue;
-          if (lower.includes(agentName.toLowerCase())) {
-            explicitAgentFromDirective = agentName;
-            break;
-          }
-        }
-      } catch (e) {
-        // ignore detection errors
-      }
-
-      const explicitRequestedAgent = (briefContext && briefContext.agentExplicit && briefContext.requestedAgent) ? briefContext.requestedAgent : explicitAgentFromDirective;
-
-      if (explicitRequestedAgent && mentionsCreate && mentionsMd) {
-        const requested = explicitRequestedAgent;
-
-        // Determine manager (prefer requested if makes sense)
-        const manager = await this.selectManagerForDirective(directive, briefContext) || requested || 'Alex';
-
-        // Choose specialist for file creation (markdown -> Nova by default)
-        const filename = (briefContext && briefContext.filename) ? briefContext.filename : (lower.includes('about-me') || lower.includes('about me') ? 'ABOUT_ME.md' : 'ABOUT_ME.md');
+      const gate = await this.buildManagerBriefGate(directive, briefContext);
+      if (gate) {
+        const { managerBriefTask, requested, manager, filename } = gate;
         const specialistForMd = 'Nova';
         const createAssignee = (manager === requested && requested === 'Sage') ? specialistForMd : requested;
 
-        // Manager brief task that must be approved before specialists proceed
-        const managerBriefFilename = `MANAGER_BRIEF.md`;
-        const managerBriefContent = this.generateManagerBriefContent(directive, manager, filename, briefContext);
-
-        const managerBriefTask = {
-          id: uuidv4(),
-          title: 'Manager Brief: Summary, Assumptions, Risks, Plan',
-          description: `Manager (${manager}) will author a comprehensive brief for: ${directive}`,
-          assignedAgent: manager,
-          // Use a distinct task type so the orchestrator can detect manager briefs
-          type: 'manager_brief',
-          // Keep create-file style fields so the executor can create the file when run
-          fileName: managerBriefFilename,
-          content: managerBriefContent,
-          briefMeta: {
-            directive,
-            filename: filename,
-            requiresClarification: this.requiresClarification(directive, briefContext),
-            clarifyingQuestions: this.generateClarifyingQuestions(directive, briefContext)
-          },
-          dependencies: [],
-          status: 'pending',
-          estimatedDuration: 15000 // Increased time for comprehensive brief
-        };
-
         // File creation task - assigned to specialist (e.g., Nova) and depends on manager brief approval
         const createTask = {
           id: uuidv4(),
@@ -1299,7 +1509,7 @@ class WorkflowOrchestrator {
         return tasks;
       }
     } catch (err) {
-      console.warn('Error building explicit create-file plan:', err && err.message);
+      log.warn('Error building explicit create-file plan', { error: err && err.message });
     }
     
     // Intelligent task decomposition based on project type and brief context
@@ -1405,10 +1615,10 @@ class WorkflowOrchestrator {
   // Special-case: brainstorm / idea generation directives
   const lowerDir = directive.toLowerCase();
   // Debug log - detect directive content
-  console.log('[WORKFLOW] decomposeDirective received directive:', directive);
+  log.debug('decomposeDirective received directive', { directive });
   // Match patterns like "bring me 3 ideas", "bring me ideas", or "brainstorm"
   const isBrainstorm = (/bring\s+me/i.test(directive) && /idea/i.test(directive)) || /\bbrainstorm\b/i.test(directive);
-  if (isBrainstorm) console.log('[WORKFLOW] Brainstorm intent detected for directive');
+  if (isBrainstorm) log.info('Brainstorm intent detected for directive');
   if (isBrainstorm) {
         // Create a short plan where Alex coordinates and each agent provides N unique ideas
         const countMatch = directive.match(/(\d+)\s*(ideas|idea)/i);
@@ -1469,7 +1679,7 @@ class WorkflowOrchestrator {
 
         return tasks;
       }
-      console.log('[WORKFLOW] Brainstorm branch not taken, proceeding to generic fallback');
+      log.info('Brainstorm branch not taken, proceeding to generic fallback');
       const task1 = {
         id: uuidv4(),
         title: 'Analyze and plan directive',
@@ -1528,7 +1738,7 @@ class WorkflowOrchestrator {
         }
       }
     } catch (err) {
-      console.warn('Failed to enforce explicit agent assignment in decomposeDirective:', err.message);
+      log.warn('Failed to enforce explicit agent assignment in decomposeDirective', { error: err.message });
     }
 
     return tasks;
@@ -1541,7 +1751,7 @@ class WorkflowOrchestrator {
     const keyFeatures = briefContext?.keyFeatures || [];
     const targetUsers = briefContext?.targetUsers || 'General public';
     
-    console.log(`[WORKFLOW] Creating website workflow - Scope: ${scope}, Features: ${keyFeatures.join(', ')}`);
+    log.info(`Creating website workflow - Scope: ${scope}, Features: ${keyFeatures.join(', ')}`);
 
     // Planning task
     const planningTask = {
@@ -1610,7 +1820,7 @@ class WorkflowOrchestrator {
     const tasks = [];
     const scope = briefContext?.scope || 'Basic prototype/MVP';
     
-    console.log(`[WORKFLOW] Creating dashboard workflow - Scope: ${scope}`);
+    log.info(`Creating dashboard workflow - Scope: ${scope}`);
 
     // Planning
     const planningTask = {
@@ -1662,7 +1872,7 @@ class WorkflowOrchestrator {
     const scope = briefContext?.scope || 'Basic prototype/MVP';
     const keyFeatures = briefContext?.keyFeatures || [];
     
-    console.log(`[WORKFLOW] Creating fullstack workflow - Scope: ${scope}`);
+    log.info(`Creating fullstack workflow - Scope: ${scope}`);
 
     // All agents needed for fullstack
     const planningTask = {
@@ -1787,7 +1997,7 @@ class WorkflowOrchestrator {
       }
     }
 
-    console.log(`[WORKFLOW:${workflowId}] Queued ${tasks.length} tasks for execution`);
+    log.info(`Queued ${tasks.length} tasks for execution`, { workflowId });
   }
 
   startWorkflowProcessor() {
@@ -1796,7 +2006,139 @@ class WorkflowOrchestrator {
       await this.processNextTask();
     }, 1000); // Check every second
 
-    console.log('✅ Workflow processor started');
+    log.info('✅ Workflow processor started');
+  }
+
+  /**
+   * Write the workflow snapshot (and optionally some of its tasks) through to the database
+   */
+  async persistWorkflowState(workflow, tasks = null) {
+    if (!workflow) return;
+    await this.workflowStore.saveWorkflow(workflow);
+    if (tasks && tasks.length > 0) {
+      await this.workflowStore.saveTasks(workflow, tasks, this.agents);
+    }
+  }
+
+  /**
+   * Rehydrate workflows that were still active when the server stopped.
+   * Tasks that were running at shutdown are marked retryable and re-queued
+   * (until maxTaskAttempts is reached); pending tasks are queued again unless
+   * the workflow is still waiting on clarifying answers.
+   */
+  async recoverWorkflows() {
+    const summary = { workflows: 0, requeued: 0, interrupted: 0 };
+
+    let records;
+    try {
+      records = await this.workflowStore.loadActiveWorkflows();
+    } catch (error) {
+      log.warn('Could not load persisted workflows', { source: 'RECOVERY', error: error && error.message });
+      return summary;
+    }
+
+    for (const { row, taskRows } of records) {
+      if (this.workflows.has(row.id)) continue;
+
+      const workflow = this.rehydrateWorkflow(row, taskRows);
+      const interrupted = [];
+
+      for (const task of workflow.tasks) {
+        if (task.status !== 'running') continue;
+        task.attempts = task.attempts || 1;
+        task.interruptedAt = new Date().toISOString();
+        if (task.attempts >= this.maxTaskAttempts) {
+          task.status = 'failed';
+          task.retryable = false;
+          task.error = `Interrupted by server restart after ${task.attempts} attempt(s)`;
+          task.endTime = Date.now();
+        } else {
+          task.status = 'pending';
+          task.retryable = true;
+          delete task.startTime;
+        }
+        interrupted.push(task);
+      }
+
+      this.workflows.set(workflow.id, workflow);
+
+      // Pending approvals live in memory, so a budget hold has to ask again
+      if (workflow.status === 'paused' && workflow.metadata.budgetHold) {
+        await this.requestBudgetApproval(workflow).catch(error => {
+          log.warn(`Could not re-request budget approval for ${workflow.id}`, { source: 'RECOVERY', workflowId: workflow.id, error: error && error.message });
+        });
+      }
+
+      const ready = workflow.status === 'awaiting_clarification'
+        ? []
+        : workflow.tasks.filter(t => t.status === 'pending');
+      if (ready.length > 0) this.queueTasks(ready, workflow.id);
+
+      await this.workflowStore.saveTasks(workflow, interrupted, this.agents);
+      if (workflow.tasks.length > 0) {
+        // Recomputes progress and re-submits CEO approval for workflows that finished while blocked
+        await this.updateWorkflowProgress(workflow.id);
+      }
+
+      summary.workflows++;
+      summary.requeued += ready.length;
+      summary.interrupted += interrupted.length;
+      log.info(`Rehydrated workflow ${workflow.id} (${workflow.status}): ${ready.length} task(s) re-queued, ${interrupted.length} interrupted`, { source: 'RECOVERY', workflowId: workflow.id });
+    }
+
+    if (summary.workflows > 0) {
+      this.safeSocketEmit('workflows-recovered', summary);
+    }
+    log.info(`Recovered ${summary.workflows} workflow(s), re-queued ${summary.requeued} task(s)`, { source: 'RECOVERY' });
+    return summary;
+  }
+
+  /**
+   * Build an in-memory workflow from its Workflow row, overlaying the per-task
+   * state recorded in the Task table (whichever is further along wins).
+   */
+  rehydrateWorkflow(row, taskRows = []) {
+    const metadata = Object.assign({}, row.metadata || {});
+    const pendingAfterApproval = metadata.pendingAfterApproval;
+    delete metadata.pendingAfterApproval;
+
+    const workflow = {
+      id: row.id,
+      directive: row.directive,
+      status: row.status,
+      tasks: Array.isArray(row.tasks) ? row.tasks : [],
+      estimates: row.estimates || {},
+      startTime: row.start_time ? new Date(row.start_time).getTime() : Date.now(),
+      endTime: row.end_time ? new Date(row.end_time).getTime() : undefined,
+      totalDuration: row.total_duration || undefined,
+      progress: row.progress || { completed: 0, failed: 0, total: 0, percentage: 0 },
+      artifacts: Array.isArray(row.artifacts) ? row.artifacts : [],
+      communications: metadata.communications || [],
+      reasoning_log: [],
+      quality_gates: [],
+      metadata
+    };
+    if (metadata.manager) workflow.manager = metadata.manager;
+    if (metadata.brief) workflow.brief = metadata.brief;
+    if (Array.isArray(pendingAfterApproval) && pendingAfterApproval.length > 0) {
+      workflow._pendingAfterApproval = pendingAfterApproval;
+    }
+
+    const statusRank = { pending: 0, running: 1, completed: 2, failed: 2 };
+    const rowsById = new Map(taskRows.map(t => [t.id, t]));
+    for (const task of workflow.tasks) {
+      task.workflowId = workflow.id;
+      const taskRow = rowsById.get(task.id);
+      if (!taskRow) continue;
+      if ((statusRank[taskRow.status] || 0) > (statusRank[task.status] || 0)) {
+        task.status = taskRow.status;
+      }
+      task.attempts = Math.max(task.attempts || 0, taskRow.attempts || 0);
+      task.retryable = !!(task.retryable || taskRow.retryable);
+      if (!task.error && taskRow.error_message) task.error = taskRow.error_message;
+    }
+
+    return workflow;
   }
 
   async processNextTask() {
@@ -1807,6 +2149,10 @@ class WorkflowOrchestrator {
       const agent = this.agents.get(task.assignedAgent);
       if (!agent || agent.executor.status !== 'idle') return false;
 
+      // Paused workflows keep their tasks queued until they are resumed
+      const owner = this.workflows.get(task.workflowId);
+      if (owner && owner.status === 'paused') return false;
+
       // Check dependencies
       if (task.dependencies && task.dependencies.length > 0) {
         const workflow = this.workflows.get(task.workflowId);
@@ -1822,6 +2168,18 @@ class WorkflowOrchestrator {
 
     if (readyTaskIndex === -1) return;
 
+    // Hard stop: an exhausted budget pauses the workflow before the task spends anything
+    const candidate = this.taskQueue[readyTaskIndex];
+    const blocking = await this.budgetManager.getBlockingBudgets({
+      workflowId: candidate.workflowId,
+      agent: candidate.assignedAgent,
+      projectId: this.workflows.get(candidate.workflowId)?.metadata?.project_id
+    });
+    if (blocking.length > 0) {
+      await this.pauseWorkflowForBudget(candidate.workflowId, blocking[0]);
+      return;
+    }
+
     // Execute the ready task
     const task = this.taskQueue.splice(readyTaskIndex, 1)[0];
     const agent = this.agents.get(task.assignedAgent);
@@ -1832,19 +2190,50 @@ class WorkflowOrchestrator {
     }
   }
 
+  /**
+   * Run a task inside a `task.execute` span under its workflow's trace, so
+   * provider requests, commands and artifact tracking nest beneath it.
+   */
   async executeTask(task, agent) {
     const workflow = this.workflows.get(task.workflowId);
+    const parent = this.workflowSpans.get(task.workflowId) || workflow?.metadata?.trace || null;
+    const attributes = {
+      'workflow.id': task.workflowId,
+      'task.id': task.id,
+      'task.title': task.title,
+      'task.type': task.type,
+      agent: agent.config.name
+    };
+    return tracer.startActiveSpan('task.execute', { parent, attributes }, async (span) => {
+      await this.runTask(task, agent);
+      const workflowTask = workflow && workflow.tasks.find(t => t.id === task.id);
+      if (workflowTask) {
+        span.setAttributes({ 'task.status': workflowTask.status, 'task.attempt': workflowTask.attempts });
+        if (workflowTask.status === 'failed') span.setStatus('error', workflowTask.error || 'Task failed');
+      }
+    });
+  }
+
+  async runTask(task, agent) {
+    const workflow = this.workflows.get(task.workflowId);
+    const log = logger.child({ source: 'WORKFLOW', workflowId: task.workflowId, taskId: task.id, agent: agent.config.name });
+    if (!workflow || workflow.status === 'cancelled') return;
     
     // Update task status in workflow
     const workflowTask = workflow.tasks.find(t => t.id === task.id);
     if (workflowTask) {
       workflowTask.status = 'running';
       workflowTask.startTime = Date.now();
+      workflowTask.attempts = (workflowTask.attempts || 0) + 1;
+      await this.workflowStore.saveTasks(workflow, [workflowTask], this.agents);
     }
 
     // Update workflow progress
     this.updateWorkflowProgress(task.workflowId);
 
+    // The repository must exist before the task writes, or its changes land in the initial commit
+    await this.prepareTaskWorkspace(agent.config.name);
+
     try {
       let results;
 
@@ -1928,49 +2317,171 @@ class WorkflowOrchestrator {
           status: 'completed'
         };
       } else {
-        // Use REAL execution system instead of fake executor
-        if (workflow.metadata?.real_execution) {
-          console.log(`[REAL-EXECUTION] Executing REAL task: ${task.description} for ${agent.config.name}`);
-          results = await this.executeRealTask(task, agent, workflow);
-        } else {
-          // Fallback to old system for compatibility
-          results = await agent.executor.executeTask(
-            task.id,
-            task.description,
-            task.commands
-          );
+        // A refused secret fails the task before any command runs
+        const secrets = await this.grantTaskSecrets(task, agent, workflow);
+        try {
+          // Use REAL execution system instead of fake executor
+          if (workflow.metadata?.real_execution) {
+            log.info(`Executing REAL task: ${task.description} for ${agent.config.name}`, { source: 'REAL-EXECUTION' });
+            results = await this.executeRealTask(task, agent, workflow, secrets);
+          } else {
+            // Fallback to old system for compatibility
+            results = await agent.executor.executeTask(
+              task.id,
+              task.description,
+              task.commands,
+              { env: secrets ? secrets.env : {} }
+            );
+          }
+        } finally {
+          if (secrets) secrets.release();
         }
       }
 
-      // Update task with results
+      // Update task with results; a task cancelled while it ran stays failed
       if (workflowTask) {
-        workflowTask.status = results.status === 'completed' ? 'completed' : 'failed';
+        workflowTask.status = results.status === 'completed' && !workflowTask.cancelled ? 'completed' : 'failed';
         workflowTask.endTime = Date.now();
         workflowTask.actualDuration = workflowTask.endTime - workflowTask.startTime;
         workflowTask.results = results;
+        metrics.recordTask({ agent: agent.config.name, status: workflowTask.status, durationMs: workflowTask.actualDuration });
+      }
+
+      if (workflowTask) {
+        workflowTask.retryable = false;
+        workflowTask.commit = await this.commitTaskWorkspace(task, agent, workflowTask.status);
+        await this.workflowStore.saveTasks(workflow, [workflowTask], this.agents);
       }
 
-      // Collect and track artifacts with full lineage
-      const artifacts = agent.executor.getArtifacts();
-      await this.trackTaskArtifacts(task, artifacts, workflow);
+      // Collect and track artifacts with full lineage, including generated ones
+      const artifacts = agent.executor.getArtifacts().concat(results.realExecution ? (results.artifacts || []) : []);
+      await tracer.startActiveSpan('artifacts.track', { attributes: { 'artifacts.count': artifacts.length } }, () => this.trackTaskArtifacts(task, artifacts, workflow));
 
       // Update workflow progress
       this.updateWorkflowProgress(task.workflowId);
 
-      console.log(`[WORKFLOW:${task.workflowId}] Task ${task.title} ${results.status} by ${agent.config.name}`);
+      log.info(`Task ${task.title} ${results.status} by ${agent.config.name}`, {
+        status: results.status,
+        durationMs: workflowTask ? workflowTask.actualDuration : undefined
+      });
 
     } catch (error) {
-      console.error(`[WORKFLOW:${task.workflowId}] Task ${task.title} failed:`, error);
+      log.error(`Task ${task.title} failed: ${error.message}`, { stack: error.stack });
       
       if (workflowTask) {
         workflowTask.status = 'failed';
-        workflowTask.error = error.message;
+        workflowTask.error = workflowTask.cancelled ? workflowTask.error : error.message;
+        workflowTask.endTime = Date.now();
+        workflowTask.actualDuration = workflowTask.endTime - workflowTask.startTime;
+        metrics.recordTask({ agent: agent.config.name, status: 'failed', durationMs: workflowTask.actualDuration });
+        // Keep whatever the task wrote before failing so it can be inspected or reverted
+        workflowTask.commit = await this.commitTaskWorkspace(task, agent, 'failed');
+        await this.workflowStore.saveTasks(workflow, [workflowTask], this.agents);
       }
 
       this.updateWorkflowProgress(task.workflowId);
     }
   }
 
+  /**
+   * Decrypt the vault secrets a task declares (`task.secrets`) from its
+   * project's environment (`task.secretsEnvironment`, default development).
+   * Null when it declares none; the caller must release the grant.
+   */
+  async grantTaskSecrets(task, agent, workflow) {
+    if (!Array.isArray(task.secrets) || task.secrets.length === 0) return null;
+    return this.taskSecrets.grant({
+      keys: task.secrets,
+      agentName: agent.config.name,
+      projectId: workflow.metadata && workflow.metadata.project_id,
+      environment: task.secretsEnvironment || (workflow.metadata && workflow.metadata.environment) || 'development',
+      workflowId: workflow.id,
+      taskId: task.id
+    });
+  }
+
+  getAgentWorkspacePath(agentName) {
+    const agent = this.agents.get(agentName);
+    return (agent && agent.config.workspaceDir) ||
+      path.join(this.workspaceRoot, `${String(agentName).toLowerCase()}-workspace`);
+  }
+
+  async prepareTaskWorkspace(agentName) {
+    try {
+      return await this.workspaceGit.ensureRepo(this.getAgentWorkspacePath(agentName), agentName);
+    } catch (error) {
+      log.warn(`Failed to initialize ${agentName}'s workspace`, { source: 'WORKSPACE-GIT', error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Commit the agent's workspace after a task. Best-effort: returns the
+   * `{ sha, files }` of the commit, or null when nothing changed or git
+   * history is unavailable.
+   */
+  async commitTaskWorkspace(task, agent, status) {
+    const agentName = agent.config.name;
+    try {
+      const commit = await this.workspaceGit.commitTask(this.getAgentWorkspacePath(agentName), {
+        taskId: task.id,
+        workflowId: task.workflowId,
+        agentName,
+        title: task.title,
+        status
+      });
+      if (commit) {
+        logger.info(`Committed ${commit.files.length} file(s) for task ${task.id} in ${agentName}'s workspace`, {
+          source: 'WORKFLOW',
+          workflowId: task.workflowId,
+          taskId: task.id,
+          agent: agentName,
+          sha: commit.sha.slice(0, 8)
+        });
+      }
+      return commit;
+    } catch (error) {
+      log.warn(`Failed to commit task ${task.id} for ${agentName}`, { source: 'WORKSPACE-GIT', error: error.message });
+      return null;
+    }
+  }
+
+  findWorkflowTask(workflowId, taskId) {
+    const workflow = this.workflows.get(workflowId);
+    if (!workflow) {
+      throw Object.assign(new Error('Workflow not found'), { code: 'WORKFLOW_NOT_FOUND' });
+    }
+    const task = (workflow.tasks || []).find(t => t.id === taskId);
+    if (!task) {
+      throw Object.assign(new Error('Task not found'), { code: 'TASK_NOT_FOUND' });
+    }
+    return { workflow, task };
+  }
+
+  // Diff of everything the task committed in its agent's workspace
+  async getTaskDiff(workflowId, taskId) {
+    const { task } = this.findWorkflowTask(workflowId, taskId);
+    const diff = await this.workspaceGit.taskDiff(this.getAgentWorkspacePath(task.assignedAgent), taskId);
+    return { workflowId, agent: task.assignedAgent, ...diff };
+  }
+
+  async getWorkspaceFileHistory(agentName, filePath, options = {}) {
+    return this.workspaceGit.fileHistory(this.getAgentWorkspacePath(agentName), filePath, options);
+  }
+
+  async revertTask(workflowId, taskId, { reason } = {}) {
+    const { workflow, task } = this.findWorkflowTask(workflowId, taskId);
+    const revert = await this.workspaceGit.revertTask(this.getAgentWorkspacePath(task.assignedAgent), taskId, { reason });
+
+    task.revertedAt = new Date().toISOString();
+    task.revertCommit = revert.sha;
+    await this.workflowStore.saveWorkflow(workflow);
+
+    log.info(`Reverted task ${taskId} in ${task.assignedAgent}'s workspace (${revert.sha.slice(0, 8)})`, { workflowId });
+    this.safeSocketEmit('task-reverted', { workflowId, taskId, agent: task.assignedAgent, commit: revert.sha, files: revert.files });
+    return { workflowId, agent: task.assignedAgent, ...revert };
+  }
+
   async updateWorkflowProgress(workflowId) {
     const workflow = this.workflows.get(workflowId);
     if (!workflow) return;
@@ -1986,8 +2497,8 @@ class WorkflowOrchestrator {
       percentage: Math.round((completed / total) * 100)
     };
 
-    // Check if workflow is complete
-    if (completed + failed === total) {
+    // Check if workflow is complete; a cancelled workflow keeps its status
+    if (completed + failed === total && workflow.status !== 'cancelled') {
       // REAL CEO APPROVAL BLOCKING - Use the CEO Approval Manager
       const requiresManagerApproval = !!workflow.metadata && !!workflow.metadata.requiresManagerApproval;
       const managerReviewDone = workflow.tasks.some(t => t.type === 'manager_review' && t.status === 'completed');
@@ -2010,14 +2521,19 @@ class WorkflowOrchestrator {
         workflow.metadata.pendingApprovalId = approvalResult.approvalRequestId;
         workflow.metadata.submittedForCeoApproval = true;
         workflow.metadata.submittedForApprovalAt = new Date();
-        console.log(`[WORKFLOW:${workflowId}] BLOCKED - Submitted for CEO approval (Request ID: ${approvalResult.approvalRequestId})`);
-
-        // Register listener for approval decision to unblock workflow
-        this.ceoApprovalManager.once('approvalDecision', (decision) => {
-          if (decision.workflowId === workflowId && decision.decision === 'approved') {
+        this.workflowSpans.get(workflowId)?.addEvent('ceo_approval.requested', { 'approval.id': approvalResult.approvalRequestId });
+        log.info(`BLOCKED - Submitted for CEO approval (Request ID: ${approvalResult.approvalRequestId})`, { workflowId });
+
+        // Register listener for approval decision to unblock workflow; budget
+        // decisions for the same workflow are not the completion decision
+        const onCompletionDecision = (decision) => {
+          if (decision.workflowId !== workflowId || decision.type !== 'completion') return;
+          this.ceoApprovalManager.off('approvalDecision', onCompletionDecision);
+          if (decision.decision === 'approved') {
             this.unblockWorkflowAfterApproval(workflowId, decision);
           }
-        });
+        };
+        this.ceoApprovalManager.on('approvalDecision', onCompletionDecision);
       } else if (!requiresManagerApproval) {
         // Simple workflows without manager approval
         workflow.status = failed > 0 ? 'failed' : 'completed';
@@ -2025,29 +2541,18 @@ class WorkflowOrchestrator {
         workflow.totalDuration = workflow.endTime - workflow.startTime;
 
         this.completedWorkflows.push(workflow);
-        console.log(`[WORKFLOW:${workflowId}] Workflow ${workflow.status} in ${Math.round(workflow.totalDuration / 1000)}s`);
+        this.workflowAborts.delete(workflowId);
+        this.endWorkflowSpan(workflow);
+        log.info(`Workflow ${workflow.status} in ${Math.round(workflow.totalDuration / 1000)}s`, { workflowId });
       } else {
         workflow.status = 'waiting_for_manager_review';
-        console.log(`[WORKFLOW:${workflowId}] Waiting for manager review before CEO approval`);
+        log.info('Waiting for manager review before CEO approval', { workflowId });
       }
     }
 
     // Update database
-    try {
-      await Workflow.update({
-        status: workflow.status,
-        end_time: workflow.endTime ? new Date(workflow.endTime) : null,
-        total_duration: workflow.totalDuration,
-        tasks: workflow.tasks,
-        progress: workflow.progress,
-        artifacts: workflow.artifacts
-      }, {
-        where: { id: workflowId }
-      });
-      
-      console.log(`[WORKFLOW:${workflowId}] Database updated - Progress: ${workflow.progress.percentage}%`);
-    } catch (error) {
-      console.error(`[WORKFLOW:${workflowId}] Failed to update database:`, error);
+    if (await this.workflowStore.saveWorkflow(workflow)) {
+      log.info(`Database updated - Progress: ${workflow.progress.percentage}%`, { workflowId });
     }
 
     // Emit progress update with socket safety
@@ -2109,14 +2614,10 @@ class WorkflowOrchestrator {
     delete workflow._pendingAfterApproval;
 
     // Persist updated tasks to DB immediately
-    try {
-      await Workflow.update({ tasks: workflow.tasks, progress: workflow.progress }, { where: { id: workflowId } }).catch(() => null);
-    } catch (e) {
-      console.warn('[WORKFLOW] schedulePendingAfterApproval DB update failed:', e && e.message);
-    }
+    await this.persistWorkflowState(workflow, pending);
 
     this.queueTasks(pending, workflowId);
-    console.log(`[WORKFLOW:${workflowId}] Scheduled ${pending.length} pending tasks after manager approval`);
+    log.info(`Scheduled ${pending.length} pending tasks after manager approval`, { workflowId });
     return pending.length;
   }
 
@@ -2130,11 +2631,7 @@ class WorkflowOrchestrator {
     workflow.metadata.ceoApprover = approver;
     workflow.metadata.ceoApprovedAt = new Date();
 
-    try {
-      await Workflow.update({ metadata: workflow.metadata }, { where: { id: workflowId } }).catch(() => null);
-    } catch (e) {
-      console.warn('[WORKFLOW] recordCeoApproval DB update failed:', e && e.message);
-    }
+    await this.persistWorkflowState(workflow);
 
     // Re-evaluate workflow completion state
     await this.updateWorkflowProgress(workflowId);
@@ -2158,20 +2655,13 @@ class WorkflowOrchestrator {
     workflow.status = 'in_progress';
 
     // Update database
-    try {
-      await Workflow.update({
-        metadata: workflow.metadata,
-        status: workflow.status
-      }, { where: { id: workflowId } }).catch(() => null);
-    } catch (e) {
-      console.warn('[WORKFLOW] Failed to persist clarification responses:', e && e.message);
-    }
+    await this.persistWorkflowState(workflow);
 
     // Now queue the manager brief tasks since clarifications are answered
     const managerBriefTasks = workflow.tasks.filter(t => t.type === 'manager_brief');
     if (managerBriefTasks.length > 0) {
       this.queueTasks(managerBriefTasks, workflowId);
-      console.log(`[WORKFLOW:${workflowId}] Clarifications answered, queued ${managerBriefTasks.length} manager brief tasks`);
+      log.info(`Clarifications answered, queued ${managerBriefTasks.length} manager brief tasks`, { workflowId });
     }
 
     return { workflowId, status: 'proceeding', clarificationResponses: responses };
@@ -2188,20 +2678,13 @@ class WorkflowOrchestrator {
     workflow.status = 'in_progress';
 
     // Update database
-    try {
-      await Workflow.update({
-        metadata: workflow.metadata,
-        status: workflow.status
-      }, { where: { id: workflowId } }).catch(() => null);
-    } catch (e) {
-      console.warn('[WORKFLOW] Failed to persist proceed-without-answers decision:', e && e.message);
-    }
+    await this.persistWorkflowState(workflow);
 
     // Queue manager brief tasks
     const managerBriefTasks = workflow.tasks.filter(t => t.type === 'manager_brief');
     if (managerBriefTasks.length > 0) {
       this.queueTasks(managerBriefTasks, workflowId);
-      console.log(`[WORKFLOW:${workflowId}] Manager chose to proceed without answers, queued ${managerBriefTasks.length} brief tasks`);
+      log.info(`Manager chose to proceed without answers, queued ${managerBriefTasks.length} brief tasks`, { workflowId });
     }
 
     return { workflowId, status: 'proceeding_without_answers' };
@@ -2213,21 +2696,14 @@ class WorkflowOrchestrator {
     if (!workflow) throw new Error('Workflow not found');
 
     // Set manager based on briefCompleted.requestedAgent or select heuristically
-    const manager = briefCompleted.requestedAgent || this.selectManagerForDirective(workflow.directive, briefCompleted);
+    const manager = briefCompleted.requestedAgent || await this.selectManagerForDirective(workflow.directive, briefCompleted);
     workflow.manager = manager;
     workflow.brief = briefCompleted;
     workflow.metadata.briefApprovedAt = new Date();
     workflow.status = 'executing';
 
     // Persist manager metadata
-    try {
-      await Workflow.update({
-        metadata: Object.assign({}, workflow.metadata || {}, { manager }),
-        status: workflow.status
-      }, { where: { id: workflowId } }).catch(() => null);
-    } catch (e) {
-      console.warn('[WORKFLOW] attachBriefApproval failed to persist manager metadata:', e && e.message);
-    }
+    await this.persistWorkflowState(workflow);
 
     // Schedule pending tasks that were paused
     const scheduled = await this.schedulePendingAfterApproval(workflowId);
@@ -2250,7 +2726,222 @@ class WorkflowOrchestrator {
     return status;
   }
 
+  attachBudgetListeners() {
+    this.budgetListeners = {
+      budgetWarning: (event) => this.handleBudgetWarning(event),
+      budgetExceeded: (event) => {
+        if (event.workflowId && this.workflows.has(event.workflowId)) {
+          this.pauseWorkflowForBudget(event.workflowId, event.budget).catch(error => {
+            log.error('Failed to pause for budget', { workflowId: event.workflowId, error: error.message });
+          });
+        }
+      },
+      budgetUpdated: (budget) => this.handleBudgetUpdated(budget)
+    };
+    for (const [event, listener] of Object.entries(this.budgetListeners)) {
+      this.budgetManager.on(event, listener);
+    }
+
+    this.budgetApprovalListener = (decision) => {
+      if (decision.type === 'budget' && this.workflows.has(decision.workflowId)) {
+        this.handleBudgetApprovalDecision(decision).catch(error => {
+          log.error('Failed to apply budget decision', { workflowId: decision.workflowId, error: error.message });
+        });
+      }
+    };
+    this.ceoApprovalManager.on('approvalDecision', this.budgetApprovalListener);
+  }
+
+  describeBudget(budget) {
+    const percentage = budget.effectiveLimitUsd > 0 ? Math.round((budget.spentUsd / budget.effectiveLimitUsd) * 100) : 100;
+    return `${budget.scope} budget for ${budget.scopeId}: $${budget.spentUsd.toFixed(2)} of $${budget.effectiveLimitUsd.toFixed(2)} (${percentage}%)`;
+  }
+
+  broadcastBudgetMessage(content, extra = {}) {
+    this.safeSocketEmit('boardroom-message', {
+      id: uuidv4(),
+      sender: 'Budget',
+      senderRole: 'Spend Control',
+      content,
+      timestamp: Date.now(),
+      ...extra
+    });
+  }
+
+  handleBudgetWarning({ budget, workflowId }) {
+    log.warn(`Soft limit reached - ${this.describeBudget(budget)}`, { source: 'BUDGET' });
+    this.broadcastBudgetMessage(`Heads up: ${this.describeBudget(budget)}. Work continues until the limit is reached.`, {
+      type: 'budget-warning',
+      workflowId: workflowId || null,
+      budget
+    });
+    this.safeSocketEmit('budget-warning', { workflowId: workflowId || null, budget });
+  }
+
+  /**
+   * Hard stop: pause the workflow (queued tasks stay queued) and ask the CEO
+   * to approve further spend. Approval grants more headroom and resumes it.
+   */
+  async pauseWorkflowForBudget(workflowId, budget) {
+    const workflow = this.workflows.get(workflowId);
+    if (!workflow || workflow.status === 'paused') return false;
+    if (['completed', 'failed', 'rejected'].includes(workflow.status)) return false;
+
+    workflow.metadata = workflow.metadata || {};
+    workflow.metadata.budgetHold = {
+      previousStatus: workflow.status,
+      budgetId: budget.id,
+      scope: budget.scope,
+      scopeId: budget.scopeId,
+      spentUsd: budget.spentUsd,
+      limitUsd: budget.effectiveLimitUsd,
+      pausedAt: new Date().toISOString()
+    };
+    workflow.status = 'paused';
+    this.workflowSpans.get(workflowId)?.addEvent('budget.exceeded', { 'budget.id': budget.id, 'budget.scope': budget.scope });
+    log.warn(`PAUSED - ${this.describeBudget(budget)}`, { workflowId });
+
+    await this.requestBudgetApproval(workflow);
+    await this.persistWorkflowState(workflow);
+
+    this.broadcastBudgetMessage(`Workflow paused: ${this.describeBudget(budget)}. CEO approval is required before spending more.`, {
+      type: 'budget-exceeded',
+      workflowId,
+      budget
+    });
+    this.safeSocketEmit('workflow-paused', { workflowId, reason: 'budget_exceeded', budget });
+    return true;
+  }
+
+  async requestBudgetApproval(workflow) {
+    const hold = workflow.metadata.budgetHold;
+    const approval = await this.ceoApprovalManager.submitForApproval(workflow.id, {
+      approvalType: 'budget',
+      directive: workflow.directive,
+      manager: workflow.manager,
+      progress: workflow.progress,
+      artifacts: workflow.artifacts,
+      tasks: workflow.tasks,
+      metadata: { estimatedCost: hold.spentUsd },
+      budget: hold
+    }, 'budget-manager');
+    hold.approvalRequestId = approval.approvalRequestId;
+    return approval;
+  }
+
+  async handleBudgetApprovalDecision({ workflowId, decision, approver, comments }) {
+    const workflow = this.workflows.get(workflowId);
+    const hold = workflow?.metadata?.budgetHold;
+    if (!hold || workflow.status !== 'paused') return;
+
+    if (decision === 'approved') {
+      await this.budgetManager.approveOverage(hold.scope, hold.scopeId, { approver });
+      // Any other exhausted budget pauses it again before the next task runs
+      this.resumeWorkflowAfterBudget(workflow, `approved by ${approver}`);
+    } else if (decision === 'rejected') {
+      workflow.status = 'rejected';
+      workflow.endTime = Date.now();
+      workflow.totalDuration = workflow.endTime - workflow.startTime;
+      workflow.metadata.budgetRejected = { approver, comments, rejectedAt: new Date().toISOString() };
+      delete workflow.metadata.budgetHold;
+      this.dropQueuedTasks(workflowId);
+      this.endWorkflowSpan(workflow);
+      log.info(`Budget increase rejected by ${approver}; workflow stopped`, { workflowId });
+      this.broadcastBudgetMessage(`Budget increase rejected by ${approver}; the workflow has been stopped.`, { type: 'budget-rejected', workflowId });
+    }
+    // needs_revision leaves the workflow paused
+    await this.persistWorkflowState(workflow);
+  }
+
+  // A higher limit set through the API lifts the hard stop without an approval
+  handleBudgetUpdated(budget) {
+    if (budget.status === 'exceeded') return;
+    for (const workflow of this.workflows.values()) {
+      const hold = workflow.metadata?.budgetHold;
+      if (workflow.status !== 'paused' || !hold || hold.budgetId !== budget.id) continue;
+      this.ceoApprovalManager.withdrawApproval(workflow.id, 'Budget limit raised', 'budget');
+      this.resumeWorkflowAfterBudget(workflow, 'limit raised');
+      this.persistWorkflowState(workflow);
+    }
+  }
+
+  resumeWorkflowAfterBudget(workflow, reason) {
+    const hold = workflow.metadata.budgetHold;
+    workflow.status = hold.previousStatus || 'in_progress';
+    workflow.metadata.budgetHistory = [
+      ...(workflow.metadata.budgetHistory || []),
+      { ...hold, resumedAt: new Date().toISOString(), reason }
+    ];
+    delete workflow.metadata.budgetHold;
+    log.info(`Resumed after budget hold (${reason})`, { workflowId: workflow.id });
+    this.broadcastBudgetMessage(`Budget ${reason}; work on the workflow resumes.`, { type: 'budget-resumed', workflowId: workflow.id });
+    this.safeSocketEmit('workflow-resumed', { workflowId: workflow.id, reason });
+  }
+
+  dropQueuedTasks(workflowId) {
+    this.taskQueue = this.taskQueue.filter(task => {
+      if (task.workflowId !== workflowId) return true;
+      const agent = this.agents.get(task.assignedAgent);
+      if (agent) agent.queueDepth = Math.max(0, agent.queueDepth - 1);
+      return false;
+    });
+  }
+
+  /**
+   * Cancel a workflow: queued and held tasks never start, commands of the
+   * running ones are killed, and every unfinished task fails as cancelled.
+   * Returns the workflow, or null when it is not loaded.
+   */
+  async cancelWorkflow(workflowId, reason = 'Cancelled') {
+    const workflow = this.workflows.get(workflowId);
+    if (!workflow) return null;
+    if (WorkflowStore.TERMINAL_WORKFLOW_STATUSES.includes(workflow.status)) return workflow;
+
+    this.dropQueuedTasks(workflowId);
+    workflow._pendingAfterApproval = [];
+    const controller = this.workflowAborts.get(workflowId);
+    if (controller) controller.abort();
+    this.workflowAborts.delete(workflowId);
+
+    const now = Date.now();
+    const cancelled = workflow.tasks.filter(task => task.status !== 'completed' && task.status !== 'failed');
+    for (const task of cancelled) {
+      task.status = 'failed';
+      task.cancelled = true;
+      task.retryable = false;
+      task.error = `Cancelled: ${reason}`;
+      task.endTime = now;
+    }
+    workflow.status = 'cancelled';
+    workflow.endTime = now;
+    workflow.totalDuration = now - workflow.startTime;
+    workflow.metadata = { ...(workflow.metadata || {}), cancelReason: reason, cancelledAt: new Date(now) };
+
+    if (cancelled.length > 0) await this.workflowStore.saveTasks(workflow, cancelled, this.agents);
+    await this.updateWorkflowProgress(workflowId);
+    this.completedWorkflows.push(workflow);
+    this.endWorkflowSpan(workflow);
+    this.safeSocketEmit('workflow-cancelled', { workflowId, reason, tasks: cancelled.map(task => task.id) });
+    log.info(`Cancelled (${cancelled.length} unfinished task(s)): ${reason}`, { workflowId });
+    return workflow;
+  }
+
+  // Signal aborted when the workflow is cancelled
+  workflowAbortSignal(workflowId) {
+    if (!this.workflowAborts.has(workflowId)) this.workflowAborts.set(workflowId, new AbortController());
+    return this.workflowAborts.get(workflowId).signal;
+  }
+
   async shutdown() {
+    this.isShutDown = true;
+
+    if (this.budgetListeners) {
+      for (const [event, listener] of Object.entries(this.budgetListeners)) {
+        this.budgetManager.off(event, listener);
+      }
+      this.ceoApprovalManager.off('approvalDecision', this.budgetApprovalListener);
+    }
+
     // Clear intervals started by this orchestrator
     try {
       if (this.artifactReconcilerInterval) clearInterval(this.artifactReconcilerInterval);
@@ -2270,7 +2961,7 @@ class WorkflowOrchestrator {
       }
     }
 
-    console.log('✅ WorkflowOrchestrator shutdown complete');
+    log.info('✅ WorkflowOrchestrator shutdown complete');
   }
 
   getWorkflowStatus(workflowId) {
@@ -2284,7 +2975,7 @@ class WorkflowOrchestrator {
       throw new Error('Workflow not found');
     }
 
-    console.log(`[WORKFLOW:${workflowId}] User communication: "${userMessage}" to ${recipient}`);
+    log.info(`User communication: "${userMessage}" to ${recipient}`, { workflowId });
 
     // Log the communication
     workflow.communications.push({
@@ -2341,7 +3032,7 @@ class WorkflowOrchestrator {
         metadata: { ...workflow.metadata, communications: workflow.communications }
       }, { where: { id: workflowId } });
     } catch (e) {
-      console.warn('Failed to persist communications:', e.message);
+      log.warn('Failed to persist communications', { error: e.message });
     }
 
     // Emit real-time update
@@ -2485,21 +3176,27 @@ class WorkflowOrchestrator {
   }
 
   // REAL TASK EXECUTION - Actually does the work
-  async executeRealTask(task, agent, workflow) {
+  async executeRealTask(task, agent, workflow, secrets = null) {
     const startTime = Date.now();
     const steps = [];
     const artifacts = [];
+    const signal = this.workflowAbortSignal(workflow.id);
 
     try {
-      console.log(`[REAL-EXECUTION] Starting task: ${task.description}`);
-
-      // Execute real commands
-      if (task.commands && task.commands.length > 0) {
+      log.info(`Starting task: ${task.description}`, { source: 'REAL-EXECUTION' });
+
+      // Execute real commands, in a worker process that leases them when one is configured
+      if (task.commands && task.commands.length > 0 && this.taskLeases) {
+        const leased = await this.runLeasedCommands(task, agent, workflow, secrets, signal);
+        steps.push(...leased.steps);
+        artifacts.push(...leased.artifacts);
+      } else if (task.commands && task.commands.length > 0) {
         for (let i = 0; i < task.commands.length; i++) {
+          if (signal.aborted) throw new Error('Workflow cancelled');
           const command = task.commands[i];
-          console.log(`[REAL-EXECUTION] Running command: ${command}`);
+          log.info(`Running command: ${command}`, { source: 'REAL-EXECUTION' });
 
-          const stepResult = await this.executeRealCommand(command, agent.config.name);
+          const stepResult = await this.executeRealCommand(command, agent.config.name, secrets ? secrets.env : {}, signal);
           steps.push({
             commandId: `cmd-${task.id}-${i}`,
             step: i + 1,
@@ -2514,39 +3211,48 @@ class WorkflowOrchestrator {
           });
 
           if (stepResult.exitCode !== 0) {
-            console.error(`[REAL-EXECUTION] Command failed: ${command}`);
+            log.error(`Command failed: ${command}`, { source: 'REAL-EXECUTION' });
             break;
           }
         }
       }
+      // A command killed by a cancel must not leave the task looking completed
+      if (signal.aborted) throw new Error('Workflow cancelled');
 
       // Generate real artifacts based on task specification
       if (task.artifacts && task.artifacts.length > 0) {
+        const upstreamArtifacts = this.collectUpstreamArtifacts(task, workflow);
         for (const artifactName of task.artifacts) {
-          console.log(`[REAL-EXECUTION] Generating artifact: ${artifactName}`);
+          if (signal.aborted) throw new Error('Workflow cancelled');
+          log.info(`Generating artifact: ${artifactName}`, { source: 'REAL-EXECUTION' });
 
-          const artifactContent = await this.generateRealArtifactContent(artifactName, agent.config.name, workflow.directive);
+          const generated = await this.generateArtifact(artifactName, agent, task, workflow, upstreamArtifacts.concat(artifacts));
+          const { generation } = generated;
+          const artifactContent = redact(generated.content);
           const artifactResult = await this.saveRealArtifact(artifactName, artifactContent, agent.config.name);
 
           artifacts.push({
             id: `artifact-${task.id}-${artifacts.length}`,
             name: artifactName,
             path: artifactResult.path,
+            absolutePath: artifactResult.path,
+            relativePath: artifactResult.relativePath,
             content: artifactContent,
             size: artifactContent.length,
             created: new Date().toISOString(),
             agent: agent.config.name,
-            checksum: this.generateChecksum(artifactContent)
+            checksum: this.generateChecksum(artifactContent),
+            generation
           });
 
-          console.log(`[REAL-EXECUTION] Created artifact: ${artifactName} (${artifactContent.length} bytes)`);
+          log.info(`Created artifact: ${artifactName} (${artifactContent.length} bytes, ${generation.source === 'model' ? `${generation.provider}/${generation.model}` : 'template'})`, { source: 'REAL-EXECUTION' });
         }
       }
 
       const endTime = Date.now();
       const duration = endTime - startTime;
 
-      console.log(`[REAL-EXECUTION] Task completed: ${task.description} (${duration}ms)`);
+      log.info(`Task completed: ${task.description} (${duration}ms)`, { source: 'REAL-EXECUTION' });
 
       return {
         taskId: task.id,
@@ -2561,7 +3267,7 @@ class WorkflowOrchestrator {
       };
 
     } catch (error) {
-      console.error(`[REAL-EXECUTION] Task failed: ${task.description}`, error);
+      log.error(`Task failed: ${task.description}`, { source: 'REAL-EXECUTION', error: error && error.message, stack: error && error.stack });
 
       return {
         taskId: task.id,
@@ -2578,54 +3284,115 @@ class WorkflowOrchestrator {
     }
   }
 
-  async executeRealCommand(command, agentName) {
-    const { spawn } = require('child_process');
-    const path = require('path');
-
-    const startTime = Date.now();
-    const agentWorkspace = path.join(__dirname, '../agent-workspaces', `${agentName.toLowerCase()}-workspace`);
-
-    return new Promise((resolve) => {
-      const child = spawn('bash', ['-c', command], {
-        cwd: agentWorkspace,
-        stdio: 'pipe'
+  /**
+   * Run a task's commands in whichever worker claims them. Output is
+   * redacted here, where the injected secret values are known; artifacts are
+   * the files the commands wrote. Throws when no worker finished the task.
+   */
+  async runLeasedCommands(task, agent, workflow, secrets, signal) {
+    const workspacesRoot = path.join(__dirname, '../agent-workspaces');
+    const cwd = path.join(workspacesRoot, `${agent.config.name.toLowerCase()}-workspace`);
+    const result = await this.taskLeases.offer({
+      workflowId: workflow.id,
+      taskId: task.id,
+      title: task.title,
+      agent: agent.config.name,
+      commands: task.commands,
+      cwd,
+      root: workspacesRoot,
+      env: secrets ? secrets.env : {}
+    }, { signal });
+    if (result.status === 'cancelled') throw new Error('Workflow cancelled');
+    if (result.status === 'failed' && result.steps.length === 0) throw new Error(result.error || 'No worker finished the task');
+
+    const steps = result.steps.map((step, i) => ({
+      ...step,
+      commandId: `cmd-${task.id}-${i}`,
+      stdout: redact(step.stdout || ''),
+      stderr: redact(step.stderr || '')
+    }));
+    const artifacts = [];
+    for (const file of result.artifacts) {
+      // Workers report paths relative to the workspace; anything else is ignored
+      const relativePath = path.posix.normalize(String(file.relativePath || '')).replace(/^\/+/, '');
+      if (!relativePath || relativePath === '.' || relativePath.startsWith('..')) continue;
+      const content = redact(String(file.content || ''));
+      artifacts.push({
+        id: `artifact-${task.id}-${artifacts.length}`,
+        name: relativePath,
+        path: path.join(cwd, relativePath),
+        absolutePath: path.join(cwd, relativePath),
+        relativePath,
+        content,
+        size: Buffer.byteLength(content),
+        created: new Date().toISOString(),
+        agent: agent.config.name,
+        checksum: this.generateChecksum(content)
       });
+    }
+    log.info(`Worker ran ${steps.length} command(s) for ${task.title} (attempt ${result.attempts})`, { source: 'REAL-EXECUTION' });
+    return { steps, artifacts };
+  }
 
-      let stdout = '';
-      let stderr = '';
+  async executeRealCommand(command, agentName, env = {}, signal = null) {
+    const path = require('path');
 
-      child.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
+    const startTime = Date.now();
+    const workspacesRoot = path.join(__dirname, '../agent-workspaces');
+    const agentWorkspace = path.join(workspacesRoot, `${agentName.toLowerCase()}-workspace`);
 
-      child.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
+    try {
+      // Agents may cd into each other's workspaces but never out of agent-workspaces
+      return await this.sandbox.run({ command, cwd: agentWorkspace, root: workspacesRoot, agentName, env, signal });
+    } catch (error) {
+      // Policy refusals are reported like a failed command so the task records them
+      const endTime = Date.now();
+      log.warn(`Refused command for ${agentName}: ${error.message}`, { source: 'SANDBOX' });
+      return {
+        exitCode: 126,
+        stdout: '',
+        stderr: error.message,
+        sandboxError: error.code || null,
+        startTime,
+        endTime,
+        duration: endTime - startTime
+      };
+    }
+  }
 
-      child.on('close', (exitCode) => {
-        const endTime = Date.now();
-        resolve({
-          exitCode: exitCode || 0,
-          stdout,
-          stderr,
-          startTime,
-          endTime,
-          duration: endTime - startTime
-        });
-      });
+  /**
+   * Artifacts already produced by the tasks this task depends on, used as
+   * context when generating its own artifacts.
+   */
+  collectUpstreamArtifacts(task, workflow) {
+    const dependencyIds = new Set(task.dependencies || []);
+    return (workflow.tasks || [])
+      .filter(t => dependencyIds.has(t.id) && t.results && Array.isArray(t.results.artifacts))
+      .flatMap(t => t.results.artifacts)
+      .filter(a => a && a.name && typeof a.content === 'string');
+  }
 
-      child.on('error', (error) => {
-        const endTime = Date.now();
-        resolve({
-          exitCode: 1,
-          stdout: '',
-          stderr: error.message,
-          startTime,
-          endTime,
-          duration: endTime - startTime
-        });
-      });
+  /**
+   * Produce artifact content with the agent's provider, or with the built-in
+   * templates when no provider is configured. Returns `{ content, generation }`
+   * where generation is recorded on the artifact's lineage entry.
+   */
+  async generateArtifact(artifactName, agent, task, workflow, upstreamArtifacts = []) {
+    const generated = await this.artifactGenerator.generate({
+      artifactName,
+      agentName: agent.config.name,
+      agentConfig: agent.config,
+      task,
+      workflowId: workflow.id,
+      directive: workflow.directive,
+      upstreamArtifacts
     });
+    if (generated) return generated;
+
+    return {
+      content: await this.generateRealArtifactContent(artifactName, agent.config.name, workflow.directive),
+      generation: { source: 'template', generatedAt: new Date().toISOString() }
+    };
   }
 
   async generateRealArtifactContent(artifactName, agentName, directive) {
@@ -2983,10 +3750,10 @@ Guidelines for contributing to this project.
         artifacts: dbWorkflow.artifacts || []
       }));
 
-      console.log(`[WORKFLOWS] Loaded ${workflows.length} workflows from database`);
+      log.info(`Loaded ${workflows.length} workflows from database`, { source: 'WORKFLOWS' });
       return workflows;
     } catch (error) {
-      console.error('Failed to load workflows from database:', error);
+      log.error('Failed to load workflows from database', { error: error && error.message, stack: error && error.stack });
       return Array.from(this.workflows.values());
     }
   }
@@ -3004,6 +3771,50 @@ Guidelines for contributing to this project.
   // ARTIFACT LINEAGE TRACKING METHODS (PHASE 3)
   // =====================================================
 
+  /**
+   * Copy an artifact's file (or, without one, its generated content) into the blob store.
+   * Returns the stored blob or null when there is nothing to store.
+   */
+  async storeArtifactBlob(lineageData) {
+    try {
+      if (lineageData.absolutePath && fsSync.existsSync(lineageData.absolutePath)) {
+        const stats = await fs.stat(lineageData.absolutePath);
+        if (stats.isFile()) return await this.blobStore.putFile(lineageData.absolutePath);
+      }
+      if (lineageData.content) {
+        return await this.blobStore.putContent(lineageData.content, lineageData.encoding || 'utf8');
+      }
+    } catch (error) {
+      log.warn('Failed to store artifact blob', { source: 'BLOB-STORE', error: error && error.message });
+    }
+    return null;
+  }
+
+  // Count a plain artifact row against its blob so garbage collection keeps it
+  async referenceArtifactBlob(sha256) {
+    if (!sha256) return;
+    await this.blobStore.addReference(sha256).catch(() => {});
+  }
+
+  /**
+   * Project that owns a workflow's artifacts: the workflow's project, else the first
+   * project (created on demand). Null when the workflow has no DB record yet.
+   */
+  async resolveArtifactProjectId(workflow) {
+    try {
+      const workflowRow = await Workflow.findByPk(workflow.id);
+      if (!workflowRow) return null;
+      if (workflowRow.metadata && workflowRow.metadata.project_id) return workflowRow.metadata.project_id;
+      let project = await Project.findOne();
+      if (!project) {
+        project = await Project.create({ name: 'Autogenerated', description: 'Auto project for artifact persistence', owner_id: 1, status: 'active' });
+      }
+      return project ? project.id : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Track artifacts created by task execution with full lineage
    */
@@ -3026,6 +3837,8 @@ Guidelines for contributing to this project.
           absolutePath: artifact.absolutePath,
           content: artifact.content || '',
           parentArtifacts: artifact.parentArtifacts || [],
+          // Prompt, model, tokens and cost for model-generated content
+          generation: artifact.generation || null,
           // Enhanced lineage metadata per ASK requirements
           lineageMetadata: {
             createdBy: task.assignedAgent,
@@ -3053,7 +3866,7 @@ Guidelines for contributing to this project.
 
         } catch (e) {
           // workspace manager might not be available in some test contexts, proceed without failing
-          console.warn('[LINEAGE] workspace-manager not available for artifact path resolution:', e.message);
+          log.warn('workspace-manager not available for artifact path resolution', { source: 'LINEAGE', error: e.message });
         }
 
         // If checksum not provided, try to compute from file using helper
@@ -3069,40 +3882,41 @@ Guidelines for contributing to this project.
                 // ignore stat errors
               }
             } else {
-              console.warn('[LINEAGE] Could not compute checksum for', lineageData.absolutePath);
+              log.warn('Could not compute checksum', { source: 'LINEAGE', workflowId: workflow.id, path: lineageData.absolutePath });
             }
           }
         } catch (e) {
-          console.warn('[LINEAGE] checksum computation failed:', e.message);
+          log.warn('checksum computation failed', { source: 'LINEAGE', error: e.message });
+        }
+
+        // Keep the bytes in the blob store and reference them by hash instead of holding content in memory
+        const blob = await this.storeArtifactBlob(lineageData);
+        if (blob) {
+          lineageData.checksum = blob.sha256;
+          lineageData.fileSize = blob.bytes;
+          lineageData.content = null;
         }
 
+        lineageData.projectId = await this.resolveArtifactProjectId(workflow);
         const trackedArtifact = await this.artifactLineage.recordArtifact(lineageData);
 
-        // Persist artifact metadata to DB if model available
+        // The lineage store writes the artifact row under the lineage id; otherwise fall back to a plain row
+        if (trackedArtifact.persisted) {
+          trackedArtifact.dbArtifactId = trackedArtifact.id;
+        }
         try {
-          if (Artifact) {
-            // Ensure the workflow record exists in DB before creating a FK reference
-            const existingWorkflow = await Workflow.findByPk(workflow.id).catch(() => null);
-            if (!existingWorkflow) {
-              console.warn('[DB] Workflow record not found for artifact persist, skipping DB create for', lineageData.name || lineageData.relativePath || lineageData.absolutePath);
+          if (Artifact && !trackedArtifact.persisted) {
+            // The workflow record must exist in DB before creating a FK reference
+            if (!lineageData.projectId) {
+              log.warn('Workflow record not found for artifact persist, skipping DB create', { source: 'DB', workflowId: workflow.id, artifact: lineageData.name || lineageData.relativePath || lineageData.absolutePath });
             } else {
-              // Resolve project id (prefer workflow metadata, else fallback/create)
-              let projectId = null;
-              const workflowRow = await Workflow.findByPk(workflow.id).catch(() => null);
-              if (workflowRow && workflowRow.metadata && workflowRow.metadata.project_id) projectId = workflowRow.metadata.project_id;
-              if (!projectId) {
-                let p = await Project.findOne().catch(() => null);
-                if (!p) {
-                  p = await Project.create({ name: 'Autogenerated', description: 'Auto project for artifact persistence', owner_id: 1, status: 'active' });
-                }
-                projectId = p && p.id ? p.id : null;
-              }
+              const projectId = lineageData.projectId;
 
               const sha = lineageData.checksum || (artifact.checksum || '');
 
               if (!sha || sha.length === 0) {
                 // Defer persistence until checksum available
-                console.warn('[DB] Artifact checksum missing, deferring persist for later reconciliation:', lineageData.absolutePath || lineageData.relativePath || artifact.name);
+                log.warn('Artifact checksum missing, deferring persist for later reconciliation', { source: 'DB', workflowId: workflow.id, artifact: lineageData.absolutePath || lineageData.relativePath || artifact.name });
                 this.pendingArtifactPersist = this.pendingArtifactPersist || [];
                 this.pendingArtifactPersist.push({ workflowId: workflow.id, lineageData, trackedArtifactId: trackedArtifact.id });
               } else {
@@ -3114,6 +3928,7 @@ Guidelines for contributing to this project.
                     bytes: lineageData.fileSize || (artifact.size || 0),
                     produced_by_task: task.id
                   });
+                  await this.referenceArtifactBlob(sha);
                   // record DB artifact id on the tracked artifact entry
                   if (createdArtifact && createdArtifact.id) {
                     // attach DB id into the stored lineage record if possible
@@ -3130,7 +3945,7 @@ Guidelines for contributing to this project.
                       // Persist updated artifacts list to DB
                       await Workflow.update({ artifacts: wfArtifacts }, { where: { id: workflow.id } }).catch(() => null);
                     } catch (uerr) {
-                      console.warn('[DB] Failed to update workflow.artifacts after immediate create:', uerr && uerr.message);
+                      log.warn('Failed to update workflow.artifacts after immediate create', { source: 'DB', error: uerr && uerr.message });
                     }
                   }
                 } catch (err) {
@@ -3142,8 +3957,7 @@ Guidelines for contributing to this project.
                       return String(e);
                     }
                   };
-                  console.warn('[DB] Artifact.create threw error:', err && err.name, err && err.message);
-                  console.warn('[DB] Artifact.create error details:', dumpErr(err));
+                  log.warn('Artifact.create threw error', { source: 'DB', workflowId: workflow.id, error: err && err.message, details: dumpErr(err) });
                   const msg = err && err.message && err.message.toLowerCase ? err.message.toLowerCase() : '';
                   const parentMsg = err && err.parent && err.parent.message && err.parent.message.toLowerCase ? err.parent.message.toLowerCase() : '';
                   const isUnique = (err && err.name === 'SequelizeUniqueConstraintError') || msg.includes('unique') || parentMsg.includes('unique');
@@ -3153,18 +3967,18 @@ Guidelines for contributing to this project.
                     // Enhanced duplicate SHA reconciliation
                     const reconciliationResult = await this.reconcileDuplicateSHA(sha, trackedArtifact, workflow, lineageData);
                     if (reconciliationResult.success) {
-                      console.log(`[DB] SHA reconciliation successful: ${reconciliationResult.action} - artifact ${reconciliationResult.artifactId}`);
+                      log.info(`SHA reconciliation successful: ${reconciliationResult.action} - artifact ${reconciliationResult.artifactId}`, { source: 'DB' });
                     } else {
-                      console.warn('[DB] SHA reconciliation failed, deferring persist:', reconciliationResult.reason);
+                      log.warn('SHA reconciliation failed, deferring persist', { source: 'DB', workflowId: workflow.id, reason: reconciliationResult.reason });
                       this.pendingArtifactPersist = this.pendingArtifactPersist || [];
                       this.pendingArtifactPersist.push({ workflowId: workflow.id, lineageData, trackedArtifactId: trackedArtifact.id });
                     }
                   } else if (isFK) {
-                    console.warn('[DB] Artifact DB create failed (FK), deferring persist for later reconciliation:', err && err.message);
+                    log.warn('Artifact DB create failed (FK), deferring persist for later reconciliation', { source: 'DB', error: err && err.message });
                     this.pendingArtifactPersist = this.pendingArtifactPersist || [];
                     this.pendingArtifactPersist.push({ workflowId: workflow.id, lineageData, trackedArtifactId: trackedArtifact.id });
                   } else {
-                    console.warn('[DB] Artifact DB create failed, deferring persist for later reconciliation:', err && err.message);
+                    log.warn('Artifact DB create failed, deferring persist for later reconciliation', { source: 'DB', error: err && err.message });
                     this.pendingArtifactPersist = this.pendingArtifactPersist || [];
                     this.pendingArtifactPersist.push({ workflowId: workflow.id, lineageData, trackedArtifactId: trackedArtifact.id });
                   }
@@ -3173,12 +3987,13 @@ Guidelines for contributing to this project.
             }
           }
         } catch (e) {
-          console.warn('[DB] Failed to persist artifact to DB (outer):', e && e.message);
+          log.warn('Failed to persist artifact to DB (outer)', { source: 'DB', error: e && e.message });
         }
 
         // Add to workflow artifacts with lineage info
         workflow.artifacts.push({
           id: trackedArtifact.id,
+          dbArtifactId: trackedArtifact.dbArtifactId,
           name: artifact.name,
           path: lineageData.relativePath || lineageData.absolutePath || artifact.path || artifact.fullPath,
           agentName: task.assignedAgent,
@@ -3187,10 +4002,10 @@ Guidelines for contributing to this project.
           lineage: trackedArtifact.lineage
         });
 
-        console.log(`[LINEAGE] Tracked artifact: ${artifact.name} from ${task.assignedAgent} in workflow ${workflow.id}`);
+        log.info(`Tracked artifact: ${artifact.name} from ${task.assignedAgent} in workflow ${workflow.id}`, { source: 'LINEAGE', workflowId: workflow.id });
       }
     } catch (error) {
-      console.error('[LINEAGE] Failed to track artifacts:', error);
+      log.error('Failed to track artifacts', { source: 'LINEAGE', error: error && error.message, stack: error && error.stack });
     }
   }
 
@@ -3204,7 +4019,15 @@ Guidelines for contributing to this project.
       const artifact = agentArtifacts.find(a => a.name === fileName);
       
       if (artifact) {
-        await this.artifactLineage.updateArtifact(artifact.id, { content: newContent }, {
+        // New content becomes a new blob; the lineage store moves the reference over to it
+        const blob = await this.blobStore.putContent(newContent).catch(error => {
+          log.warn('Failed to store edited artifact', { source: 'BLOB-STORE', error: error && error.message });
+          return null;
+        });
+        const updates = blob
+          ? { metadata: { checksum: blob.sha256, fileSize: blob.bytes } }
+          : { content: newContent };
+        await this.artifactLineage.updateArtifact(artifact.id, updates, {
           action: 'manual_edit',
           agentName: 'user',
           details: `File edited via ${agentName} agent environment`,
@@ -3220,11 +4043,11 @@ Guidelines for contributing to this project.
           action: 'edited'
         });
 
-        console.log(`[LINEAGE] Updated artifact ${fileName} by user via ${agentName} environment`);
+        log.info(`Updated artifact ${fileName} by user via ${agentName} environment`, { source: 'LINEAGE' });
         return artifact.id;
       }
     } catch (error) {
-      console.error('[LINEAGE] Failed to update artifact lineage:', error);
+      log.error('Failed to update artifact lineage', { source: 'LINEAGE', error: error && error.message, stack: error && error.stack });
     }
     return null;
   }
@@ -3239,8 +4062,8 @@ Guidelines for contributing to this project.
   /**
    * Search artifacts across all workflows
    */
-  searchArtifacts(criteria) {
-    return this.artifactLineage.searchArtifacts(criteria);
+  async searchArtifacts(criteria, pagination) {
+    return this.artifactLineage.search(criteria, pagination);
   }
 
   /**
@@ -3273,6 +4096,45 @@ Guidelines for contributing to this project.
     return this.artifactLineage.getLineageReport();
   }
 
+  /**
+   * Version history, diffs and restores for a tracked artifact
+   */
+  listArtifactVersions(artifactId) {
+    return this.artifactLineage.listVersions(artifactId);
+  }
+
+  readArtifactVersion(artifactId, version) {
+    return this.artifactLineage.readVersion(artifactId, version);
+  }
+
+  diffArtifactVersions(artifactId, fromVersion, toVersion) {
+    return this.artifactLineage.diffVersions(artifactId, fromVersion, toVersion);
+  }
+
+  /**
+   * Restore an older version and write it back to the agent workspace file
+   */
+  async restoreArtifactVersion(artifactId, version, context = {}) {
+    const artifact = await this.artifactLineage.restoreVersion(artifactId, version, context);
+
+    const target = artifact.metadata.absolutePath;
+    if (target && fsSync.existsSync(target)) {
+      await fs.copyFile(this.blobStore.pathFor(artifact.metadata.checksum), target);
+    }
+
+    this.safeSocketEmit('artifact-updated', {
+      artifactId,
+      agentName: artifact.lineage.agentName,
+      fileName: artifact.name,
+      timestamp: new Date().toISOString(),
+      action: 'restored',
+      version: artifact.currentVersion,
+      restoredFrom: version
+    });
+    log.info(`Restored artifact ${artifact.name} to version ${version} as version ${artifact.currentVersion}`, { source: 'LINEAGE' });
+    return artifact;
+  }
+
   /**
    * Generate comprehensive manager brief content
    */
@@ -3635,7 +4497,7 @@ ${Object.entries(clarificationResponses).map(([question, answer], i) =>
           }
           await Workflow.update({ artifacts: wfArtifacts }, { where: { id: workflow.id } }).catch(() => null);
         } catch (uerr) {
-          console.warn('[SHA Reconciliation] Failed to update workflow artifacts:', uerr?.message);
+          log.warn('Failed to update workflow artifacts', { source: 'SHA-RECONCILIATION', error: uerr?.message });
         }
 
         return {
@@ -3646,7 +4508,8 @@ ${Object.entries(clarificationResponses).map(([question, answer], i) =>
         };
       } else {
         // Content appears different despite same SHA - this is unusual
-        console.warn('[SHA Reconciliation] SHA collision detected with different content:', {
+        log.warn('SHA collision detected with different content', {
+          source: 'SHA-RECONCILIATION',
           existingPath: existing.path,
           newPath: lineageData.relativePath || lineageData.absolutePath,
           sha
@@ -3659,7 +4522,7 @@ ${Object.entries(clarificationResponses).map(([question, answer], i) =>
         };
       }
     } catch (error) {
-      console.error('[SHA Reconciliation] Error during reconciliation:', error?.message);
+      log.error('Error during reconciliation', { source: 'SHA-RECONCILIATION', error: error?.message });
       return {
         success: false,
         reason: `Reconciliation error: ${error?.message}`,
@@ -3691,7 +4554,7 @@ ${Object.entries(clarificationResponses).map(([question, answer], i) =>
       // Additional validation could include content comparison here
       return true; // Default to assuming it's a duplicate for SHA matches
     } catch (error) {
-      console.warn('[SHA Validation] Error validating duplicate content:', error?.message);
+      log.warn('Error validating duplicate content', { source: 'SHA-VALIDATION', error: error?.message });
       return true; // Conservative approach - assume duplicate
     }
   }
@@ -3707,7 +4570,7 @@ ${Object.entries(clarificationResponses).map(([question, answer], i) =>
     try {
       if (this.isHeadless) {
         // In headless mode, log the event instead of emitting
-        console.log(`[SOCKET-HEADLESS] ${event}:`, JSON.stringify(data, null, 2));
+        log.debug(`Headless ${event}`, { source: 'SOCKET', data });
         return true;
       }
 
@@ -3715,11 +4578,11 @@ ${Object.entries(clarificationResponses).map(([question, answer], i) =>
         this.socketio.emit(event, data);
         return true;
       } else {
-        console.log(`[SOCKET-UNAVAILABLE] ${event}:`, 'socketio not available, data:', data);
+        log.debug(`socketio not available for ${event}`, { source: 'SOCKET', data });
         return false;
       }
     } catch (error) {
-      console.error(`[SOCKET-ERROR] Failed to emit ${event}:`, error.message);
+      log.error(`Failed to emit ${event}`, { source: 'SOCKET-ERROR', error: error.message });
       return false;
     }
   }
@@ -3729,7 +4592,7 @@ ${Object.entries(clarificationResponses).map(([question, answer], i) =>
    */
   setSocketSafety(enabled) {
     this.socketSafetyEnabled = enabled;
-    console.log(`[SOCKET] Socket safety ${enabled ? 'enabled' : 'disabled'}`);
+    log.info(`Socket safety ${enabled ? 'enabled' : 'disabled'}`, { source: 'SOCKET' });
   }
 
   /**
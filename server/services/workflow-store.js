@@ -0,0 +1,167 @@
+const { Op } = require('sequelize');
+const logger = require('./logger');
+const log = logger.child({ source: 'WORKFLOW-STORE' });
+
+// Workflow statuses that will never be picked up again by the orchestrator
+const TERMINAL_WORKFLOW_STATUSES = ['completed', 'failed', 'rejected', 'cancelled'];
+
+// Statuses accepted by the Task model; anything else is stored as pending
+const TASK_STATUSES = ['pending', 'running', 'completed', 'failed'];
+
+/**
+ * Write-through persistence for WorkflowOrchestrator state.
+ *
+ * The Workflow row keeps the workflow snapshot (status, task list, progress and
+ * metadata, including tasks held back until the manager brief is approved).
+ * Every orchestrator task is mirrored into the Task table so per-task status,
+ * dependencies and retry attempts survive a server restart.
+ *
+ * All writes are best-effort: a failed write is logged and never interrupts
+ * workflow execution.
+ */
+class WorkflowStore {
+  constructor(models = null) {
+    this.models = models || require('../models');
+    // agent name -> agents.id used for the tasks.agent_id foreign key
+    this.agentIds = new Map();
+  }
+
+  /**
+   * Serialize the in-memory metadata, folding in runtime-only fields
+   * (manager, approved brief, pending tasks) so recovery can restore them.
+   */
+  serializeMetadata(workflow) {
+    const metadata = Object.assign({}, workflow.metadata || {});
+    if (workflow.manager) metadata.manager = workflow.manager;
+    if (workflow.brief) metadata.brief = workflow.brief;
+    if (workflow.communications && workflow.communications.length > 0) {
+      metadata.communications = workflow.communications;
+    }
+    if (workflow._pendingAfterApproval && workflow._pendingAfterApproval.length > 0) {
+      metadata.pendingAfterApproval = workflow._pendingAfterApproval;
+    } else {
+      delete metadata.pendingAfterApproval;
+    }
+    return metadata;
+  }
+
+  async saveWorkflow(workflow) {
+    try {
+      await this.models.Workflow.update({
+        status: workflow.status,
+        end_time: workflow.endTime ? new Date(workflow.endTime) : null,
+        total_duration: workflow.totalDuration || null,
+        tasks: workflow.tasks,
+        progress: workflow.progress,
+        artifacts: workflow.artifacts,
+        metadata: this.serializeMetadata(workflow)
+      }, { where: { id: workflow.id } });
+      return true;
+    } catch (error) {
+      log.warn(`Failed to persist workflow ${workflow.id}`, { workflowId: workflow.id, error: error && error.message });
+      return false;
+    }
+  }
+
+  async saveTasks(workflow, tasks, agents = null) {
+    let saved = 0;
+    for (const task of tasks || []) {
+      try {
+        const agentId = await this.resolveAgentId(task.assignedAgent, agents && agents.get(task.assignedAgent));
+        if (!agentId) continue;
+
+        const startedAt = task.startTime ? new Date(task.startTime) : null;
+        const completedAt = task.endTime ? new Date(task.endTime) : null;
+        await this.models.Task.upsert({
+          id: task.id,
+          agent_id: agentId,
+          user_id: null,
+          project_id: workflow.metadata && workflow.metadata.project_id ? String(workflow.metadata.project_id) : null,
+          workflow_id: workflow.id,
+          title: task.title || null,
+          type: task.type || null,
+          prompt: task.prompt || task.description || task.title || 'Workflow task',
+          status: TASK_STATUSES.includes(task.status) ? task.status : 'pending',
+          dependencies: task.dependencies || [],
+          attempts: task.attempts || 0,
+          retryable: !!task.retryable,
+          error_message: task.error || (task.results && task.results.error) || null,
+          result: task.results ? JSON.stringify(task.results) : null,
+          duration: task.actualDuration || null,
+          started_at: startedAt,
+          completed_at: completedAt
+        });
+        saved++;
+      } catch (error) {
+        log.warn(`Failed to persist task ${task && task.id} for workflow ${workflow.id}`, { workflowId: workflow.id, taskId: task && task.id, error: error && error.message });
+      }
+    }
+    return saved;
+  }
+
+  /**
+   * Resolve (or register) the agents row backing an orchestrator agent so
+   * task rows satisfy the tasks.agent_id foreign key.
+   */
+  async resolveAgentId(agentName, orchestratorAgent = null) {
+    if (!agentName) return null;
+    if (this.agentIds.has(agentName)) return this.agentIds.get(agentName);
+
+    const { Agent } = this.models;
+    let row = await Agent.findOne({ where: { name: agentName } });
+    if (!row) {
+      const config = (orchestratorAgent && orchestratorAgent.config) || {};
+      const skills = config.specializations || [];
+      [row] = await Agent.findOrCreate({
+        where: { id: agentName.toLowerCase() },
+        defaults: {
+          id: agentName.toLowerCase(),
+          name: agentName,
+          title: config.role || 'Agent',
+          department: config.department || 'general',
+          avatar: config.icon || '🤖',
+          specialization: skills.join(', ') || config.role || 'General',
+          tools: [],
+          skills,
+          preferred_model: 'claude',
+          max_cost_per_task: 5.0,
+          system_prompt: `You are ${agentName}, ${config.role || 'an autonomous agent'} at ShellCompany.`
+        }
+      });
+    }
+
+    this.agentIds.set(agentName, row.id);
+    return row.id;
+  }
+
+  /**
+   * Load every workflow that has not reached a terminal state, along with
+   * the Task rows recorded for it.
+   */
+  async loadActiveWorkflows() {
+    const { Workflow, Task } = this.models;
+    const rows = await Workflow.findAll({
+      where: { status: { [Op.notIn]: TERMINAL_WORKFLOW_STATUSES } },
+      order: [['start_time', 'ASC']]
+    });
+    if (rows.length === 0) return [];
+
+    const taskRows = await Task.findAll({
+      where: { workflow_id: { [Op.in]: rows.map(r => r.id) } }
+    });
+    const tasksByWorkflow = new Map();
+    for (const taskRow of taskRows) {
+      if (!tasksByWorkflow.has(taskRow.workflow_id)) tasksByWorkflow.set(taskRow.workflow_id, []);
+      tasksByWorkflow.get(taskRow.workflow_id).push(taskRow.get({ plain: true }));
+    }
+
+    return rows.map(row => ({
+      row: row.get({ plain: true }),
+      taskRows: tasksByWorkflow.get(row.id) || []
+    }));
+  }
+}
+
+WorkflowStore.TERMINAL_WORKFLOW_STATUSES = TERMINAL_WORKFLOW_STATUSES;
+
+module.exports = WorkflowStore;
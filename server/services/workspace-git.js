@@ -0,0 +1,282 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const log = logger.child({ source: 'WORKSPACE-GIT' });
+
+// Identity used for workspace commits; never the host user's git config
+const COMMITTER = { name: 'ShellCompany Agents', email: 'agents@shellcompany.local' };
+
+// Regenerated on every workspace init/scan, so tracking them only adds noise
+const DEFAULT_IGNORES = ['WORKSPACE_INFO.json', 'node_modules/', 'logs/', '.DS_Store'];
+
+const MAX_GIT_OUTPUT = 20 * 1024 * 1024;
+
+// Per-repository queues shared by every instance so commits never interleave
+const repoLocks = new Map();
+
+class WorkspaceGitError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'WorkspaceGitError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Local git history for agent workspaces. Each workspace is its own
+ * repository; the orchestrator commits after every task with `Task-Id`,
+ * `Workflow-Id` and `Agent` trailers, which is how a task's diff, a file's
+ * history and task reverts are looked up later.
+ *
+ * Disabled by default under NODE_ENV=test (set WORKSPACE_GIT=true to enable),
+ * and with WORKSPACE_GIT=false anywhere.
+ */
+class WorkspaceGit {
+  constructor(options = {}) {
+    const envSetting = process.env.WORKSPACE_GIT;
+    this.enabled = options.enabled !== undefined
+      ? Boolean(options.enabled)
+      : (envSetting ? envSetting !== 'false' : process.env.NODE_ENV !== 'test');
+    this.gitBinary = options.gitBinary || 'git';
+    this.available = null;
+  }
+
+  git(cwd, args, { allowFailure = false } = {}) {
+    return new Promise((resolve, reject) => {
+      execFile(this.gitBinary, args, {
+        cwd,
+        maxBuffer: MAX_GIT_OUTPUT,
+        env: {
+          ...process.env,
+          GIT_TERMINAL_PROMPT: '0',
+          GIT_AUTHOR_NAME: COMMITTER.name,
+          GIT_AUTHOR_EMAIL: COMMITTER.email,
+          GIT_COMMITTER_NAME: COMMITTER.name,
+          GIT_COMMITTER_EMAIL: COMMITTER.email
+        }
+      }, (error, stdout, stderr) => {
+        if (error && !allowFailure) {
+          const message = (stderr || error.message).trim();
+          return reject(new WorkspaceGitError(`git ${args[0]} failed: ${message}`, 'GIT_FAILED', { stderr }));
+        }
+        resolve({ stdout, stderr, exitCode: error ? (typeof error.code === 'number' ? error.code : 1) : 0 });
+      });
+    });
+  }
+
+  // Serialize work on one repository
+  withLock(workspacePath, fn) {
+    const key = path.resolve(workspacePath);
+    const previous = repoLocks.get(key) || Promise.resolve();
+    const run = previous.catch(() => {}).then(fn);
+    const tail = run.catch(() => {});
+    repoLocks.set(key, tail);
+    tail.then(() => {
+      if (repoLocks.get(key) === tail) repoLocks.delete(key);
+    });
+    return run;
+  }
+
+  async isAvailable() {
+    if (!this.enabled) return false;
+    if (this.available === null) {
+      const result = await this.git(process.cwd(), ['--version'], { allowFailure: true }).catch(() => ({ exitCode: 1 }));
+      this.available = result.exitCode === 0;
+      if (!this.available) {
+        log.warn('git is not installed; workspace history is disabled');
+      }
+    }
+    return this.available;
+  }
+
+  async isRepo(workspacePath) {
+    try {
+      await fs.access(path.join(workspacePath, '.git'));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Initialise the workspace as a repository (idempotent). Files already in
+   * the workspace become the initial commit. Returns false when disabled.
+   */
+  async ensureRepo(workspacePath, agentName = path.basename(workspacePath)) {
+    if (!await this.isAvailable()) return false;
+
+    return this.withLock(workspacePath, async () => {
+      if (await this.isRepo(workspacePath)) return true;
+
+      await fs.mkdir(workspacePath, { recursive: true });
+      await this.git(workspacePath, ['init', '--quiet']);
+
+      const ignorePath = path.join(workspacePath, '.gitignore');
+      try {
+        await fs.access(ignorePath);
+      } catch (error) {
+        await fs.writeFile(ignorePath, DEFAULT_IGNORES.join('\n') + '\n');
+      }
+
+      await this.git(workspacePath, ['add', '--all']);
+      await this.git(workspacePath, ['commit', '--quiet', '--allow-empty', '-m', `Initialize ${agentName} workspace`]);
+      log.info(`Initialized repository for ${agentName}: ${workspacePath}`);
+      return true;
+    });
+  }
+
+  /**
+   * Commit everything the task changed. Returns `{ sha, files }`, or null
+   * when the task left the workspace untouched (or history is disabled).
+   */
+  async commitTask(workspacePath, { taskId, workflowId, agentName, title, status }) {
+    if (!await this.ensureRepo(workspacePath, agentName)) return null;
+
+    return this.withLock(workspacePath, async () => {
+      await this.git(workspacePath, ['add', '--all']);
+      const staged = await this.git(workspacePath, ['diff', '--cached', '--quiet'], { allowFailure: true });
+      if (staged.exitCode === 0) return null;
+
+      const subject = `${title || 'Task'} (${status || 'completed'})`;
+      const trailers = [`Task-Id: ${taskId}`];
+      if (workflowId) trailers.push(`Workflow-Id: ${workflowId}`);
+      if (agentName) trailers.push(`Agent: ${agentName}`);
+
+      await this.git(workspacePath, ['commit', '--quiet', '-m', subject, '-m', trailers.join('\n')]);
+      const { stdout } = await this.git(workspacePath, ['rev-parse', 'HEAD']);
+      const sha = stdout.trim();
+      return { sha, files: await this.commitFiles(workspacePath, sha) };
+    });
+  }
+
+  async commitFiles(workspacePath, sha) {
+    const { stdout } = await this.git(workspacePath, ['show', '--format=', '--numstat', '--no-renames', sha]);
+    const { stdout: statusOut } = await this.git(workspacePath, ['show', '--format=', '--name-status', '--no-renames', sha]);
+
+    const statuses = new Map();
+    for (const line of statusOut.split('\n').filter(Boolean)) {
+      const [status, file] = line.split('\t');
+      statuses.set(file, { A: 'added', D: 'deleted' }[status[0]] || 'modified');
+    }
+
+    return stdout.split('\n').filter(Boolean).map(line => {
+      const [additions, deletions, file] = line.split('\t');
+      return {
+        path: file,
+        status: statuses.get(file) || 'modified',
+        // Binary files report '-' for both counts
+        additions: additions === '-' ? null : parseInt(additions, 10),
+        deletions: deletions === '-' ? null : parseInt(deletions, 10)
+      };
+    });
+  }
+
+  parseLog(stdout) {
+    return stdout.split('\x1e').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const [sha, date, subject, body = ''] = entry.split('\x1f');
+      const trailer = (key) => {
+        const match = body.match(new RegExp(`^${key}: (.+)$`, 'm'));
+        return match ? match[1].trim() : null;
+      };
+      return {
+        sha,
+        date,
+        subject,
+        taskId: trailer('Task-Id'),
+        workflowId: trailer('Workflow-Id'),
+        agent: trailer('Agent'),
+        revertsTaskId: trailer('Reverts-Task-Id')
+      };
+    });
+  }
+
+  async log(workspacePath, args) {
+    const { stdout } = await this.git(workspacePath, ['log', '--format=%H%x1f%aI%x1f%s%x1f%b%x1e', ...args]);
+    return this.parseLog(stdout);
+  }
+
+  async requireRepo(workspacePath) {
+    if (!this.enabled) {
+      throw new WorkspaceGitError('Workspace history is disabled', 'DISABLED');
+    }
+    if (!await this.isRepo(workspacePath)) {
+      throw new WorkspaceGitError('Workspace has no history yet', 'NOT_A_REPOSITORY');
+    }
+  }
+
+  // Commits recorded for a task, newest first
+  async findTaskCommits(workspacePath, taskId) {
+    await this.requireRepo(workspacePath);
+    const commits = await this.log(workspacePath, ['--fixed-strings', `--grep=Task-Id: ${taskId}`]);
+    return commits.filter(commit => commit.taskId === taskId);
+  }
+
+  /**
+   * Unified diff and per-file stats for everything a task committed.
+   */
+  async taskDiff(workspacePath, taskId) {
+    const commits = await this.findTaskCommits(workspacePath, taskId);
+    if (commits.length === 0) {
+      throw new WorkspaceGitError(`No commits found for task ${taskId}`, 'TASK_NOT_FOUND');
+    }
+
+    const result = { taskId, commits: [], diff: '' };
+    for (const commit of commits.slice().reverse()) {
+      const { stdout } = await this.git(workspacePath, ['show', '--format=', '--patch', '--no-color', commit.sha]);
+      result.commits.push({ ...commit, files: await this.commitFiles(workspacePath, commit.sha) });
+      result.diff += stdout;
+    }
+    return result;
+  }
+
+  async fileHistory(workspacePath, filePath, { limit = 50 } = {}) {
+    await this.requireRepo(workspacePath);
+    const resolved = path.resolve(workspacePath, filePath);
+    if (resolved !== path.resolve(workspacePath) && !resolved.startsWith(path.resolve(workspacePath) + path.sep)) {
+      throw new WorkspaceGitError('Access denied: File outside workspace', 'OUTSIDE_WORKSPACE');
+    }
+    const relative = path.relative(workspacePath, resolved);
+    return this.log(workspacePath, [`--max-count=${limit}`, '--follow', '--', relative]);
+  }
+
+  /**
+   * Undo every commit of a task with a single revert commit. Refuses to run
+   * over uncommitted changes and leaves the workspace untouched on conflict.
+   */
+  async revertTask(workspacePath, taskId, { reason } = {}) {
+    const commits = await this.findTaskCommits(workspacePath, taskId);
+    if (commits.length === 0) {
+      throw new WorkspaceGitError(`No commits found for task ${taskId}`, 'TASK_NOT_FOUND');
+    }
+
+    return this.withLock(workspacePath, async () => {
+      const { stdout: dirty } = await this.git(workspacePath, ['status', '--porcelain']);
+      if (dirty.trim()) {
+        throw new WorkspaceGitError('Workspace has uncommitted changes; commit or discard them before reverting', 'DIRTY_WORKSPACE');
+      }
+
+      for (const commit of commits) {
+        const result = await this.git(workspacePath, ['revert', '--no-commit', commit.sha], { allowFailure: true });
+        if (result.exitCode !== 0) {
+          await this.git(workspacePath, ['revert', '--abort'], { allowFailure: true });
+          throw new WorkspaceGitError(`Reverting task ${taskId} conflicts with later changes`, 'REVERT_CONFLICT', { stderr: result.stderr });
+        }
+      }
+
+      const body = [`Reverts-Task-Id: ${taskId}`, `Reverted-Commits: ${commits.map(c => c.sha).join(' ')}`];
+      const message = ['commit', '--quiet', '--allow-empty', '-m', `Revert task ${taskId}`];
+      if (reason) message.push('-m', reason);
+      await this.git(workspacePath, [...message, '-m', body.join('\n')]);
+
+      const { stdout } = await this.git(workspacePath, ['rev-parse', 'HEAD']);
+      const sha = stdout.trim();
+      return { sha, taskId, revertedCommits: commits.map(c => c.sha), files: await this.commitFiles(workspacePath, sha) };
+    });
+  }
+}
+
+WorkspaceGit.WorkspaceGitError = WorkspaceGitError;
+
+module.exports = WorkspaceGit;
@@ -1,10 +1,12 @@
 const fs = require('fs').promises;
 const path = require('path');
 const aiWorkers = require('./ai-workers');
+const WorkspaceGit = require('./workspace-git');
 
 class WorkspaceManager {
   constructor() {
     this.workspacesRoot = path.join(__dirname, '../agent-workspaces');
+    this.workspaceGit = new WorkspaceGit();
     this.initializeWorkspaces();
   }
 
@@ -50,6 +52,13 @@ class WorkspaceManager {
         await fs.writeFile(configFile, this.getDefaultConfigContent(agentId));
       }
 
+      // Track task changes from here on; history is optional, so failures only warn
+      try {
+        await this.workspaceGit.ensureRepo(workspacePath, agentId);
+      } catch (error) {
+        console.warn(`[WORKSPACE-GIT] Could not initialize history for ${agentId}:`, error.message);
+      }
+
       return workspacePath;
     } catch (error) {
       console.error(`Failed to create workspace for ${agentId}:`, error);
@@ -117,6 +126,7 @@ Add your notes and observations here...
     const items = await fs.readdir(dirPath);
 
     for (const item of items) {
+      if (item === '.git') continue;
       const itemPath = path.join(dirPath, item);
       const stats = await fs.stat(itemPath);
       const relativeName = relativePath ? `${relativePath}/${item}` : item;
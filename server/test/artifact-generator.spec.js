@@ -0,0 +1,142 @@
+// Mock 'uuid' to avoid ESM-only uuid package parsing inside Jest runtime
+jest.mock('uuid', () => ({ v4: () => `test-uuid-${Date.now()}-${Math.random().toString(36).slice(2,8)}` }));
+// Generation uses a fake provider engine; skip the real engine's network validation on construction
+jest.mock('../services/real-provider-engine', () => jest.fn().mockImplementation(() => ({})));
+
+const path = require('path');
+const WorkflowOrchestrator = require('../services/workflow-orchestrator');
+const ArtifactGenerator = require('../services/artifact-generator');
+const ArtifactLineage = require('../services/artifact-lineage');
+
+function createFakeEngine(configured = ['openai', 'anthropic']) {
+  return {
+    providers: {
+      anthropic: { keyEnv: configured.includes('anthropic') ? 'ARTIFACT_TEST_KEY' : 'ARTIFACT_TEST_MISSING_KEY' },
+      openai: { keyEnv: configured.includes('openai') ? 'ARTIFACT_TEST_KEY' : 'ARTIFACT_TEST_MISSING_KEY' }
+    },
+    makeRequest: jest.fn(async (providerId) => ({
+      id: 'req-1',
+      content: '```css\nbody { color: teal; }\n```',
+      provider: providerId,
+      model: providerId === 'openai' ? 'gpt-4o-mini' : 'claude-3-5-sonnet-20241022',
+      usage: { input: 420, output: 35 },
+      cost: 0.0011,
+      latency: 850
+    }))
+  };
+}
+
+// Models stub so provider resolution never touches the database
+const noAgentRows = { Agent: { findOne: async () => null } };
+
+describe('ArtifactGenerator', () => {
+  beforeAll(() => { process.env.ARTIFACT_TEST_KEY = 'test-key'; });
+  afterAll(() => { delete process.env.ARTIFACT_TEST_KEY; });
+
+  test('prefers the agent configured provider and falls back to any configured one', async () => {
+    const generator = new ArtifactGenerator({ providerEngine: createFakeEngine(), models: noAgentRows });
+    expect(await generator.resolveProvider('Pixel', { provider: 'openai' })).toBe('openai');
+    expect(await generator.resolveProvider('Pixel', {})).toBe('anthropic');
+
+    const openaiOnly = new ArtifactGenerator({ providerEngine: createFakeEngine(['openai']), models: noAgentRows });
+    expect(await openaiOnly.resolveProvider('Pixel', { provider: 'claude' })).toBe('openai');
+
+    const none = new ArtifactGenerator({ providerEngine: createFakeEngine([]), models: noAgentRows });
+    expect(await none.generate({ artifactName: 'a.md', agentName: 'Pixel', directive: 'x' })).toBeNull();
+  });
+
+  test('records prompt, model, tokens and cost for generated content', async () => {
+    const engine = createFakeEngine();
+    const generator = new ArtifactGenerator({ providerEngine: engine, models: noAgentRows });
+
+    const { content, generation } = await generator.generate({
+      artifactName: 'styles.css',
+      agentName: 'Pixel',
+      agentConfig: { role: 'UI/UX Designer', provider: 'openai' },
+      task: { title: 'Style the page', description: 'Teal theme for the landing page' },
+      directive: 'Build a landing page',
+      upstreamArtifacts: [{ name: 'index.html', agent: 'Nova', content: '<h1>Hello</h1>' }]
+    });
+
+    expect(content).toBe('body { color: teal; }\n');
+    expect(generation).toMatchObject({
+      source: 'model',
+      provider: 'openai',
+      model: 'gpt-4o-mini',
+      tokens: { input: 420, output: 35, total: 455 },
+      cost: 0.0011,
+      upstreamArtifacts: ['index.html']
+    });
+    expect(generation.prompt).toContain('Teal theme for the landing page');
+    expect(generation.prompt).toContain('--- index.html (by Nova) ---\n<h1>Hello</h1>');
+  });
+
+  test('keeps generation details on the lineage entry', async () => {
+    const lineage = new ArtifactLineage();
+    const generation = { source: 'model', provider: 'openai', model: 'gpt-4o-mini', prompt: 'p', tokens: { input: 1, output: 2, total: 3 }, cost: 0.01 };
+    const artifact = await lineage.recordArtifact({ name: 'styles.css', workflowId: 'wf-1', taskId: 't-1', agentName: 'Pixel', generation });
+    expect(lineage.getArtifactWithLineage(artifact.id).lineage.generation).toEqual(generation);
+  });
+});
+
+describe('Orchestrator artifact generation', () => {
+  const workspaceRoot = path.join(__dirname, 'test-workspace-artifacts');
+  let orchestrator;
+
+  beforeAll(() => { process.env.ARTIFACT_TEST_KEY = 'test-key'; });
+  afterAll(() => { delete process.env.ARTIFACT_TEST_KEY; });
+  afterEach(async () => {
+    try { orchestrator && await orchestrator.shutdown(); } catch (e) { /* ignore */ }
+  });
+
+  function setup(engine) {
+    orchestrator = new WorkflowOrchestrator(workspaceRoot, null, {
+      autoStart: false,
+      planners: [],
+      artifactGenerator: new ArtifactGenerator({ providerEngine: engine, models: noAgentRows })
+    });
+    jest.spyOn(orchestrator, 'saveRealArtifact').mockImplementation(async (name, content) => ({ path: `/tmp/${name}`, relativePath: name, size: content.length }));
+    const workflow = {
+      id: 'wf-gen',
+      directive: 'Build a landing page',
+      tasks: [{ id: 't-markup', status: 'completed', results: { artifacts: [{ name: 'index.html', agent: 'Nova', content: '<main>Landing</main>' }] } }]
+    };
+    const task = { id: 't-style', title: 'Style the page', description: 'Style it', dependencies: ['t-markup'], artifacts: ['styles.css'] };
+    return { workflow, task, agent: orchestrator.agents.get('Pixel') };
+  }
+
+  test('generates task artifacts with the provider using upstream artifacts as context', async () => {
+    const engine = createFakeEngine();
+    const { workflow, task, agent } = setup(engine);
+
+    const results = await orchestrator.executeRealTask(task, agent, workflow);
+
+    expect(results.status).toBe('completed');
+    expect(results.artifacts[0]).toMatchObject({ name: 'styles.css', content: 'body { color: teal; }\n', relativePath: 'styles.css' });
+    expect(results.artifacts[0].generation).toMatchObject({ source: 'model', provider: 'anthropic', cost: 0.0011 });
+    expect(engine.makeRequest.mock.calls[0][1]).toContain('<main>Landing</main>');
+  });
+
+  test('uses the templates only when no provider is configured', async () => {
+    const engine = createFakeEngine([]);
+    const { workflow, task, agent } = setup(engine);
+
+    const results = await orchestrator.executeRealTask(task, agent, workflow);
+
+    expect(engine.makeRequest).not.toHaveBeenCalled();
+    expect(results.artifacts[0].generation.source).toBe('template');
+    expect(results.artifacts[0].content).toContain('Generated by Pixel');
+  });
+
+  test('fails the task instead of substituting templates when the provider errors', async () => {
+    const engine = createFakeEngine();
+    engine.makeRequest.mockRejectedValueOnce(new Error('rate limited'));
+    const { workflow, task, agent } = setup(engine);
+
+    const results = await orchestrator.executeRealTask(task, agent, workflow);
+
+    expect(results.status).toBe('failed');
+    expect(results.error).toBe('rate limited');
+    expect(orchestrator.saveRealArtifact).not.toHaveBeenCalled();
+  });
+});
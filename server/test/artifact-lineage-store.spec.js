@@ -0,0 +1,86 @@
+const { Sequelize } = require('sequelize');
+const ArtifactLineage = require('../services/artifact-lineage');
+const ArtifactLineageStore = require('../services/artifact-lineage-store');
+const { buildMatchQuery } = require('../services/artifact-lineage-store');
+
+describe('ArtifactLineageStore', () => {
+  let sequelize;
+  let models;
+
+  beforeAll(async () => {
+    sequelize = new Sequelize('sqlite::memory:', { logging: false, define: { timestamps: true, underscored: true } });
+    models = {
+      sequelize,
+      Artifact: require('../models/Artifact')(sequelize),
+      ArtifactEdge: require('../models/ArtifactEdge')(sequelize),
+      ArtifactVersion: require('../models/ArtifactVersion')(sequelize)
+    };
+    await sequelize.sync();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const record = (lineage, data) => lineage.recordArtifact({
+    projectId: 'project-1',
+    workflowId: 'wf-1',
+    taskId: 'task-1',
+    agentName: 'Nova',
+    directive: 'Build a landing page',
+    taskTitle: 'Write copy',
+    fileType: 'text/markdown',
+    ...data
+  });
+
+  test('persists lineage records, edges and modification history and restores them', async () => {
+    const lineage = new ArtifactLineage({ store: new ArtifactLineageStore(models) });
+    const spec = await record(lineage, { name: 'spec.md', relativePath: 'artifacts/spec.md', content: 'Pricing table spec' });
+    const page = await record(lineage, {
+      name: 'index.html',
+      relativePath: 'artifacts/index.html',
+      agentName: 'Pixel',
+      content: '<h1>Pricing</h1>',
+      parentArtifacts: [spec.id]
+    });
+    expect(page.persisted).toBe(true);
+    await lineage.updateArtifact(page.id, { content: '<h1>Plans and pricing</h1>' }, { action: 'manual_edit', agentName: 'ceo' });
+
+    const row = await models.Artifact.findByPk(page.id);
+    expect(row).toMatchObject({ project_id: 'project-1', workflow_id: 'wf-1', created_by: 'Pixel', name: 'index.html' });
+    expect(row.lineage.modificationHistory.map(m => m.action)).toEqual(['created', 'manual_edit']);
+    expect(await models.ArtifactEdge.count({ where: { parent_id: spec.id, child_id: page.id } })).toBe(1);
+
+    const restored = new ArtifactLineage({ store: new ArtifactLineageStore(models) });
+    expect(await restored.hydrate()).toBe(2);
+    const chain = restored.getLineageChain(page.id).map(link => [link.name, link.type]);
+    expect(chain).toEqual([['spec.md', 'parent'], ['index.html', 'current']]);
+    expect(restored.getArtifactWithLineage(spec.id).fullLineage.children).toEqual([expect.objectContaining({ id: page.id, agent: 'Pixel' })]);
+  });
+
+  test('ranks full-text matches, paginates and highlights snippets', async () => {
+    const lineage = new ArtifactLineage({ store: new ArtifactLineageStore(models) });
+    await record(lineage, { workflowId: 'wf-search', name: 'deploy-checklist.md', content: 'Rollback steps for the deploy pipeline' });
+    await record(lineage, { workflowId: 'wf-search', name: 'notes.md', content: 'We talked about <b>deployment</b> once' });
+    await record(lineage, { workflowId: 'wf-search', name: 'readme.md', content: 'Nothing relevant here' });
+
+    const first = await lineage.search({ query: 'deploy', workflowId: 'wf-search' }, { page: 1, pageSize: 1 });
+    expect(first).toMatchObject({ total: 2, ranked: true });
+    expect(first.results).toHaveLength(1);
+    expect(first.results[0].name).toBe('deploy-checklist.md');
+    expect(first.results[0].highlightedName).toBe('<mark>deploy</mark>-checklist.md');
+
+    const second = await lineage.search({ query: 'deploy', workflowId: 'wf-search' }, { page: 2, pageSize: 1 });
+    expect(second.results.map(r => r.name)).toEqual(['notes.md']);
+    // Content is HTML-escaped around the highlighted match
+    expect(second.results[0].snippet).toContain('&lt;b&gt;<mark>deployment</mark>&lt;/b&gt;');
+
+    const filtered = await lineage.search({ workflowId: 'wf-search', fileName: 'READ' });
+    expect(filtered).toMatchObject({ total: 1, ranked: false });
+  });
+
+  test('quotes user input so FTS operators cannot be injected', () => {
+    expect(buildMatchQuery('deploy OR "x" NEAR(')).toBe('"deploy"* "OR"* "x"* "NEAR"*');
+    expect(buildMatchQuery('  *** ')).toBeNull();
+  });
+});
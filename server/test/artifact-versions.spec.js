@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const { BlobStore } = require('../services/blob-store');
+const ArtifactLineage = require('../services/artifact-lineage');
+const ArtifactLineageStore = require('../services/artifact-lineage-store');
+const { diffLines, unifiedDiff, sideBySide } = require('../services/text-diff');
+
+describe('Artifact versions', () => {
+  let sequelize;
+  let models;
+  let root;
+  let lineage;
+
+  beforeAll(async () => {
+    sequelize = new Sequelize('sqlite::memory:', { logging: false, define: { timestamps: true, underscored: true } });
+    models = {
+      sequelize,
+      Blob: require('../models/Blob')(sequelize),
+      Artifact: require('../models/Artifact')(sequelize),
+      ArtifactEdge: require('../models/ArtifactEdge')(sequelize),
+      ArtifactVersion: require('../models/ArtifactVersion')(sequelize)
+    };
+    await sequelize.sync();
+  });
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'artifact-versions-'));
+    const blobStore = new BlobStore({ root, models });
+    lineage = new ArtifactLineage({ store: new ArtifactLineageStore(models, { blobStore }) });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('records a version per modification and diffs them', async () => {
+    const artifact = await lineage.recordArtifact({
+      projectId: 'project-1',
+      workflowId: 'wf-versions',
+      agentName: 'Nova',
+      name: 'plan.md',
+      content: 'intro\nstep one\nstep two\n'
+    });
+    await lineage.updateArtifact(artifact.id, { content: 'intro\nstep one\nstep 2\nstep three\n' }, { action: 'manual_edit', agentName: 'ceo' });
+
+    const versions = await lineage.listVersions(artifact.id);
+    expect(versions.map(v => [v.version, v.action, v.agent])).toEqual([[2, 'manual_edit', 'ceo'], [1, 'created', 'Nova']]);
+    expect(artifact.currentVersion).toBe(2);
+    expect((await lineage.readVersion(artifact.id, 1)).content).toBe('intro\nstep one\nstep two\n');
+
+    const diff = await lineage.diffVersions(artifact.id, 1, 2);
+    expect(diff.stats).toEqual({ added: 2, removed: 1 });
+    expect(diff.unified).toBe([
+      '--- plan.md@v1',
+      '+++ plan.md@v2',
+      '@@ -1,3 +1,4 @@',
+      ' intro',
+      ' step one',
+      '-step two',
+      '+step 2',
+      '+step three',
+      ''
+    ].join('\n'));
+    expect(diff.rows.slice(2).map(row => row.type)).toEqual(['change', 'add']);
+
+    await expect(lineage.readVersion(artifact.id, 9)).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  test('restoring a version appends a new version with its content', async () => {
+    const artifact = await lineage.recordArtifact({ projectId: 'project-1', workflowId: 'wf-versions', agentName: 'Nova', name: 'copy.txt', content: 'first draft' });
+    await lineage.updateArtifact(artifact.id, { content: 'second draft' }, { action: 'manual_edit' });
+
+    await lineage.restoreVersion(artifact.id, 1, { agentName: 'ceo' });
+
+    const [latest] = await lineage.listVersions(artifact.id);
+    expect(latest).toMatchObject({ version: 3, action: 'restored', agent: 'ceo', restoredFrom: 1 });
+    expect((await lineage.readVersion(artifact.id, 3)).content).toBe('first draft');
+    expect((await models.Artifact.findByPk(artifact.id)).sha256).toBe(latest.sha256);
+    expect(await models.ArtifactVersion.count({ where: { artifact_id: artifact.id } })).toBe(3);
+  });
+
+  test('text diff hunks keep their context and line numbers', () => {
+    const before = Array.from({ length: 12 }, (_, i) => `line ${i + 1}`).join('\n');
+    const after = before.replace('line 2', 'line two').replace('line 11\n', '');
+    const lines = diffLines(before, after);
+
+    expect(unifiedDiff(lines, { context: 1 }).split('\n').filter(line => line.startsWith('@@'))).toEqual([
+      '@@ -1,3 +1,3 @@',
+      '@@ -10,3 +10,2 @@'
+    ]);
+    expect(sideBySide(lines).find(row => row.type === 'remove').left).toEqual({ line: 11, text: 'line 11' });
+    expect(unifiedDiff(diffLines('same', 'same'))).toBe('');
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { Sequelize } = require('sequelize');
+const { BlobStore } = require('../services/blob-store');
+const ArtifactLineage = require('../services/artifact-lineage');
+const ArtifactLineageStore = require('../services/artifact-lineage-store');
+
+describe('BlobStore', () => {
+  let sequelize;
+  let models;
+  let root;
+  let store;
+
+  beforeAll(async () => {
+    sequelize = new Sequelize('sqlite::memory:', { logging: false, define: { timestamps: true, underscored: true } });
+    models = {
+      sequelize,
+      Blob: require('../models/Blob')(sequelize),
+      Artifact: require('../models/Artifact')(sequelize),
+      ArtifactEdge: require('../models/ArtifactEdge')(sequelize),
+      ArtifactVersion: require('../models/ArtifactVersion')(sequelize)
+    };
+    await sequelize.sync();
+  });
+
+  beforeEach(async () => {
+    await models.Blob.destroy({ where: {} });
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'blob-store-'));
+    store = new BlobStore({ root, models, retentionMs: 60 * 60 * 1000 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const blobRow = async (sha256) => (await models.Blob.findByPk(sha256)).get({ plain: true });
+
+  test('stores identical content once under its sha256', async () => {
+    const source = path.join(root, 'page.html');
+    fs.writeFileSync(source, '<h1>Hello</h1>');
+    const expected = crypto.createHash('sha256').update('<h1>Hello</h1>').digest('hex');
+
+    const fromFile = await store.putFile(source);
+    const fromContent = await store.putContent('<h1>Hello</h1>');
+
+    expect(fromFile).toMatchObject({ sha256: expected, bytes: 14, deduplicated: false });
+    expect(fromContent).toMatchObject({ sha256: expected, deduplicated: true, path: fromFile.path });
+    expect(fs.readFileSync(store.pathFor(expected), 'utf8')).toBe('<h1>Hello</h1>');
+    expect(await models.Blob.count()).toBe(1);
+    expect(fs.readdirSync(path.join(root, 'tmp'))).toHaveLength(0);
+    expect(() => store.pathFor('../../etc/passwd')).toThrow(/Invalid blob hash/);
+  });
+
+  test('counts references and only collects orphans past the retention window', async () => {
+    const kept = await store.putContent('kept');
+    const dropped = await store.putContent('dropped');
+    await store.addReference(kept.sha256);
+    await store.addReference(dropped.sha256);
+    await store.addReference(dropped.sha256);
+
+    await store.releaseReference(dropped.sha256);
+    expect(await blobRow(dropped.sha256)).toMatchObject({ ref_count: 1, orphaned_at: null });
+    await store.releaseReference(dropped.sha256);
+    expect((await blobRow(dropped.sha256)).orphaned_at).toBeInstanceOf(Date);
+
+    expect(await store.collectGarbage()).toEqual({ deleted: 0, bytesFreed: 0 });
+    const later = Date.now() + 2 * 60 * 60 * 1000;
+    expect(await store.collectGarbage({ now: later })).toEqual({ deleted: 1, bytesFreed: 7 });
+
+    expect(await store.stat(dropped.sha256)).toBeNull();
+    expect(fs.existsSync(store.pathFor(dropped.sha256))).toBe(false);
+    expect(await store.stat(kept.sha256)).toMatchObject({ refCount: 1, bytes: 4 });
+
+    // An expired orphan stored again while the collector runs keeps its row and its file
+    await store.releaseReference(kept.sha256);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const [, stored] = await Promise.all([
+      store.collectGarbage({ retentionMs: 0, now: Date.now() - 1 }),
+      store.putContent('kept')
+    ]);
+    expect(await store.stat(stored.sha256)).toMatchObject({ refCount: 0, bytes: 4 });
+    expect(fs.readFileSync(stored.path, 'utf8')).toBe('kept');
+  });
+
+  test('serves blobs with a strong ETag, conditional GETs and byte ranges', async () => {
+    const { sha256 } = await store.putContent('0123456789');
+    const app = express();
+    app.get('/blob', (req, res) => store.send(res, sha256, { filename: 'digits.txt', download: req.query.download === '1' }, (err) => {
+      if (err && !res.headersSent) res.status(err.status || 404).end();
+    }));
+
+    const full = await request(app).get('/blob');
+    expect(full.status).toBe(200);
+    expect(full.headers.etag).toBe(`"${sha256}"`);
+    expect(full.headers['accept-ranges']).toBe('bytes');
+    expect(full.headers['content-type']).toMatch(/^text\/plain/);
+    expect(full.text).toBe('0123456789');
+
+    const cached = await request(app).get('/blob').set('If-None-Match', `"${sha256}"`);
+    expect(cached.status).toBe(304);
+
+    const partial = await request(app).get('/blob').set('Range', 'bytes=2-5');
+    expect(partial.status).toBe(206);
+    expect(partial.headers['content-range']).toBe('bytes 2-5/10');
+    expect(partial.text).toBe('2345');
+
+    const unsatisfiable = await request(app).get('/blob').set('Range', 'bytes=50-60');
+    expect(unsatisfiable.status).toBe(416);
+
+    const download = await request(app).get('/blob?download=1');
+    expect(download.headers['content-disposition']).toBe('attachment; filename="digits.txt"');
+  });
+
+  test('artifact records and their versions each hold a reference; updates move the record\'s', async () => {
+    const lineage = new ArtifactLineage({ store: new ArtifactLineageStore(models, { blobStore: store }) });
+    const first = await store.putContent('v1');
+    const second = await store.putContent('v2');
+
+    const artifact = await lineage.recordArtifact({
+      projectId: 'project-1',
+      workflowId: 'wf-blob',
+      agentName: 'Nova',
+      name: 'notes.md',
+      checksum: first.sha256,
+      fileSize: first.bytes
+    });
+    await lineage.recordArtifact({ projectId: 'project-1', workflowId: 'wf-blob', agentName: 'Pixel', name: 'copy.md', checksum: first.sha256 });
+    // Two artifact rows plus their two first versions
+    expect((await blobRow(first.sha256)).ref_count).toBe(4);
+
+    await lineage.updateArtifact(artifact.id, { metadata: { checksum: second.sha256, fileSize: second.bytes } }, { action: 'manual_edit' });
+    expect((await blobRow(first.sha256)).ref_count).toBe(3);
+    expect((await blobRow(second.sha256)).ref_count).toBe(2);
+    expect((await models.Artifact.findByPk(artifact.id)).sha256).toBe(second.sha256);
+  });
+});
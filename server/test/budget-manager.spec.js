@@ -0,0 +1,210 @@
+// Orchestrator construction would otherwise validate every provider over the network
+jest.mock('../services/real-provider-engine', () => jest.fn().mockImplementation(() => ({})));
+
+const path = require('path');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { Sequelize } = require('sequelize');
+const { BudgetManager, BudgetExceededError } = require('../services/budget-manager');
+const WorkflowOrchestrator = require('../services/workflow-orchestrator');
+
+describe('BudgetManager', () => {
+  let sequelize;
+  let models;
+  let usageBus;
+  let manager;
+
+  beforeAll(async () => {
+    sequelize = new Sequelize('sqlite::memory:', { logging: false, define: { timestamps: true, underscored: true } });
+    models = {
+      Budget: require('../models/Budget')(sequelize),
+      Workflow: { findByPk: async (id) => (id === 'wf-project' ? { metadata: { project_id: 'project-1' } } : null) }
+    };
+    await sequelize.sync();
+  });
+
+  beforeEach(async () => {
+    await models.Budget.destroy({ where: {} });
+    usageBus = new EventEmitter();
+    manager = new BudgetManager({ models, emitter: usageBus });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('warns at the soft threshold and hard-stops at the limit', async () => {
+    await manager.setBudget('workflow', 'wf-1', { limitUsd: 1, warnAt: 0.5 });
+    const warnings = [];
+    const exceeded = [];
+    manager.on('budgetWarning', e => warnings.push(e));
+    manager.on('budgetExceeded', e => exceeded.push(e));
+
+    await manager.recordUsage({ cost: 0.3, workflowId: 'wf-1', agent: 'Nova', provider: 'openai' });
+    expect(warnings).toHaveLength(0);
+    await manager.recordUsage({ cost: 0.3, workflowId: 'wf-1', agent: 'Nova' });
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0].budget).toMatchObject({ scope: 'workflow', scopeId: 'wf-1', status: 'warning' });
+
+    await expect(manager.assertWithinBudget({ workflowId: 'wf-1' })).resolves.toBeUndefined();
+    await manager.recordUsage({ cost: 0.5, workflowId: 'wf-1', agent: 'Nova' });
+    expect(exceeded).toHaveLength(1);
+    expect(exceeded[0]).toMatchObject({ workflowId: 'wf-1', agent: 'Nova', cost: 0.5 });
+
+    await expect(manager.assertWithinBudget({ workflowId: 'wf-1' })).rejects.toBeInstanceOf(BudgetExceededError);
+    await expect(manager.assertWithinBudget({ workflowId: 'wf-2' })).resolves.toBeUndefined();
+
+    // Persisted spend survives a reload
+    const reloaded = new BudgetManager({ models, emitter: null });
+    expect(await reloaded.getBudget('workflow', 'wf-1')).toMatchObject({ spentUsd: 1.1, status: 'exceeded' });
+  });
+
+  test('charges agent and project budgets from bus usage events and lifts the stop on approval', async () => {
+    await manager.setBudget('agent', 'Zephyr', { limitUsd: 2 });
+    await manager.setBudget('project', 'project-1', { limitUsd: 0.25 });
+    const exceeded = [];
+    manager.on('budgetExceeded', e => exceeded.push(e.budget.scope));
+
+    usageBus.emit('provider_usage', { cost: 0.3, workflowId: 'wf-project', agent: 'Zephyr' });
+    usageBus.emit('provider_usage', { cost: 0, workflowId: 'wf-project', agent: 'Zephyr', provider: 'ollama' });
+    // Bus listeners record usage asynchronously
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(exceeded).toEqual(['project']);
+    expect(await manager.getBudget('agent', 'Zephyr')).toMatchObject({ spentUsd: 0.3, status: 'active' });
+    await expect(manager.assertWithinBudget({ workflowId: 'wf-project', agent: 'Pixel' })).rejects.toThrow(/project budget for project-1/);
+
+    const approved = await manager.approveOverage('project', 'project-1', { approver: 'ceo' });
+    expect(approved).toMatchObject({ approvedUsd: 0.25, effectiveLimitUsd: 0.5, status: 'active' });
+    await expect(manager.assertWithinBudget({ workflowId: 'wf-project' })).resolves.toBeUndefined();
+  });
+
+  test('lists only the budgets of the given projects and their workflows', async () => {
+    await manager.setBudget('project', 'project-1', { limitUsd: 1 });
+    await manager.setBudget('project', 'project-2', { limitUsd: 1 });
+    await manager.setBudget('workflow', 'wf-project', { limitUsd: 1 });
+    await manager.setBudget('workflow', 'wf-unknown', { limitUsd: 1 });
+    await manager.setBudget('agent', 'Nova', { limitUsd: 1 });
+
+    expect(await manager.listBudgets()).toHaveLength(5);
+    const owned = await manager.listBudgets({ projectIds: ['project-1'] });
+    expect(owned.map(b => `${b.scope}:${b.scopeId}`).sort()).toEqual(['project:project-1', 'workflow:wf-project']);
+    expect(await manager.listBudgets({ projectIds: [] })).toEqual([]);
+  });
+
+  test('rejects unknown scopes and invalid limits', async () => {
+    await expect(manager.setBudget('team', 'x', { limitUsd: 1 })).rejects.toMatchObject({ code: 'INVALID_SCOPE' });
+    await expect(manager.setBudget('agent', 'Nova', { limitUsd: -1 })).rejects.toMatchObject({ code: 'INVALID_LIMIT' });
+    await expect(manager.deleteBudget('agent', 'Nova')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+});
+
+describe('Orchestrator budget hard stop', () => {
+  let workspaceRoot;
+  let orchestrator;
+  let budgets;
+  let socket;
+
+  beforeAll(() => {
+    workspaceRoot = path.join(__dirname, 'test-workspace-budget');
+    if (!fs.existsSync(workspaceRoot)) fs.mkdirSync(workspaceRoot, { recursive: true });
+  });
+
+  beforeEach(() => {
+    // Budgets live in the manager's cache; the model only has to accept writes
+    const Budget = {
+      findAll: async () => [],
+      create: async () => ({}),
+      update: async () => [1],
+      destroy: async () => 1
+    };
+    budgets = new BudgetManager({ models: { Budget, Workflow: { findByPk: async () => null } }, emitter: null });
+    socket = { emit: jest.fn() };
+    orchestrator = new WorkflowOrchestrator(workspaceRoot, socket, {
+      autoStart: false,
+      planners: [],
+      budgetManager: budgets,
+      workflowStore: { saveWorkflow: async () => true, saveTasks: async () => 0, loadActiveWorkflows: async () => [] }
+    });
+    orchestrator.workflows.set('wf-budget', {
+      id: 'wf-budget',
+      directive: 'Build a pricing page',
+      status: 'executing',
+      startTime: Date.now(),
+      tasks: [{ id: 't1', title: 'Build', assignedAgent: 'Nova', status: 'pending', dependencies: [] }],
+      progress: { completed: 0, failed: 0, total: 1, percentage: 0 },
+      artifacts: [],
+      metadata: { project_id: null }
+    });
+    orchestrator.queueTasks([{ id: 't1', title: 'Build', assignedAgent: 'Nova', dependencies: [] }], 'wf-budget');
+  });
+
+  afterEach(async () => {
+    await orchestrator.shutdown();
+  });
+
+  const boardroomMessages = () => socket.emit.mock.calls.filter(([event]) => event === 'boardroom-message').map(([, msg]) => msg);
+
+  test('broadcasts a soft warning, pauses on the limit and resumes after CEO approval', async () => {
+    await budgets.setBudget('workflow', 'wf-budget', { limitUsd: 1, warnAt: 0.5 });
+
+    await budgets.recordUsage({ cost: 0.6, workflowId: 'wf-budget', agent: 'Alex' });
+    expect(boardroomMessages()).toEqual([expect.objectContaining({ sender: 'Budget', type: 'budget-warning', workflowId: 'wf-budget' })]);
+
+    await budgets.recordUsage({ cost: 0.6, workflowId: 'wf-budget', agent: 'Alex' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const workflow = orchestrator.getWorkflowStatus('wf-budget');
+    expect(workflow.status).toBe('paused');
+    expect(workflow.metadata.budgetHold).toMatchObject({ scope: 'workflow', scopeId: 'wf-budget', previousStatus: 'executing' });
+    expect(boardroomMessages().map(m => m.type)).toEqual(['budget-warning', 'budget-exceeded']);
+
+    const pending = orchestrator.ceoApprovalManager.getPendingApprovals();
+    expect(pending).toEqual([expect.objectContaining({ workflowId: 'wf-budget', type: 'budget' })]);
+
+    // Nothing runs while the workflow is paused
+    const execute = jest.spyOn(orchestrator, 'executeTask').mockResolvedValue();
+    await orchestrator.processNextTask();
+    expect(execute).not.toHaveBeenCalled();
+    expect(orchestrator.taskQueue).toHaveLength(1);
+
+    await orchestrator.ceoApprovalManager.processApprovalDecision('wf-budget', 'approved', 'ceo', 'Worth it');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(workflow.status).toBe('executing');
+    expect(workflow.metadata.budgetHold).toBeUndefined();
+    expect(await budgets.getBudget('workflow', 'wf-budget')).toMatchObject({ approvedUsd: 1, status: 'warning' });
+
+    await orchestrator.processNextTask();
+    expect(execute).toHaveBeenCalledTimes(1);
+  });
+
+  test('an exhausted agent budget pauses the workflow before the task runs; raising the limit resumes it', async () => {
+    await budgets.setBudget('agent', 'Nova', { limitUsd: 0.1 });
+    await budgets.recordUsage({ cost: 0.2, workflowId: 'other-workflow', agent: 'Nova' });
+
+    const execute = jest.spyOn(orchestrator, 'executeTask').mockResolvedValue();
+    await orchestrator.processNextTask();
+
+    const workflow = orchestrator.getWorkflowStatus('wf-budget');
+    expect(execute).not.toHaveBeenCalled();
+    expect(workflow.status).toBe('paused');
+    expect(workflow.metadata.budgetHold).toMatchObject({ scope: 'agent', scopeId: 'Nova' });
+
+    await budgets.setBudget('agent', 'Nova', { limitUsd: 5 });
+    expect(workflow.status).toBe('executing');
+    expect(orchestrator.ceoApprovalManager.getPendingApprovals()).toHaveLength(0);
+  });
+
+  test('a rejected budget increase stops the workflow', async () => {
+    await budgets.setBudget('workflow', 'wf-budget', { limitUsd: 0.1 });
+    await budgets.recordUsage({ cost: 0.2, workflowId: 'wf-budget', agent: 'Alex' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    await orchestrator.ceoApprovalManager.processApprovalDecision('wf-budget', 'rejected', 'ceo', 'Too expensive');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(orchestrator.getWorkflowStatus('wf-budget').status).toBe('rejected');
+    expect(orchestrator.taskQueue).toHaveLength(0);
+  });
+});
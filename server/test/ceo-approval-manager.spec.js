@@ -0,0 +1,47 @@
+const CeoApprovalManager = require('../services/ceo-approval-manager');
+
+describe('CeoApprovalManager', () => {
+  let rows;
+  let manager;
+
+  beforeEach(() => {
+    rows = new Map();
+    const Workflow = {
+      findByPk: async (id) => {
+        const row = rows.get(id);
+        return row ? { ...row, update: async (changes) => { Object.assign(row, changes); } } : null;
+      }
+    };
+    rows.set('wf-1', { status: 'executing', metadata: { project_id: 'project-1', budgetHold: { scope: 'workflow' } } });
+    manager = new CeoApprovalManager({ Workflow });
+  });
+
+  afterEach(() => manager.shutdown());
+
+  test('keeps a budget and a completion approval for the same workflow apart', async () => {
+    await manager.submitForApproval('wf-1', { approvalType: 'budget', directive: 'Build a site', budget: { limitUsd: 1 } });
+    await manager.submitForApproval('wf-1', { directive: 'Build a site' });
+
+    expect(manager.getPendingApprovals().map(req => req.type).sort()).toEqual(['budget', 'completion']);
+    await expect(manager.processApprovalDecision('wf-1', 'approved')).rejects.toThrow(/specify the type/);
+
+    await manager.processApprovalDecision('wf-1', 'approved', 'ceo', 'Keep going', 'budget');
+    expect(manager.getPendingApprovals()).toEqual([expect.objectContaining({ type: 'completion', workflowId: 'wf-1' })]);
+    expect(manager.isWorkflowBlocked('wf-1')).toBe(true);
+
+    await manager.processApprovalDecision('wf-1', 'approved');
+    expect(manager.isWorkflowBlocked('wf-1')).toBe(false);
+  });
+
+  test('merges decisions into the workflow metadata', async () => {
+    await manager.submitForApproval('wf-1', { approvalType: 'budget', directive: 'Build a site', metadata: { estimatedCost: 1.2 } });
+    expect(rows.get('wf-1')).toMatchObject({ status: 'paused', metadata: { project_id: 'project-1', ceoApprovalRequested: true } });
+
+    await manager.processApprovalDecision('wf-1', 'approved', 'ceo', 'Worth it', 'budget');
+    const { status, metadata } = rows.get('wf-1');
+    expect(status).toBe('in_progress');
+    expect(metadata).toMatchObject({ project_id: 'project-1', budgetHold: { scope: 'workflow' }, budgetApprovedBy: 'ceo' });
+    // A budget approval does not mark the workflow as finished
+    expect(metadata.ceoApproved).toBeUndefined();
+  });
+});
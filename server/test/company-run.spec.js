@@ -0,0 +1,255 @@
+// Mock 'uuid' to avoid ESM-only uuid package parsing inside Jest runtime
+jest.mock('uuid', () => ({ v4: () => `test-uuid-${Date.now()}-${Math.random().toString(36).slice(2,8)}` }));
+// No provider is called; skip the engine's network validation on construction
+jest.mock('../services/real-provider-engine', () => jest.fn().mockImplementation(() => ({})));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { Sequelize } = require('sequelize');
+const { CompanyRun } = require('../services/company-run');
+const WorkflowOrchestrator = require('../services/workflow-orchestrator');
+const ExecutionSandbox = require('../services/execution-sandbox');
+
+// Workflow planned by the fake orchestrator: Orion is not in the configured team
+function createOrchestrator() {
+  return {
+    agents: new Map([['Orion', { config: { name: 'Orion', role: 'Strategy & Operations Director', icon: '🧭', specializations: ['strategy'] } }]]),
+    workflows: new Map(),
+    async createWorkflow(directive) {
+      const workflow = {
+        id: 'wf-company',
+        directive,
+        status: 'executing',
+        progress: { completed: 0, failed: 0, total: 3, percentage: 0 },
+        tasks: [
+          { id: 't1', title: 'Plan epics', assignedAgent: 'Alex', status: 'pending', priority: 'high' },
+          { id: 't2', title: 'Build landing page', assignedAgent: 'Nova', status: 'pending' }
+        ],
+        _pendingAfterApproval: [{ id: 't3', title: 'Pick launch metrics', assignedAgent: 'Orion', status: 'pending' }]
+      };
+      this.workflows.set(workflow.id, workflow);
+      return { workflowId: workflow.id, workflow };
+    },
+    getWorkflowStatus(id) { return this.workflows.get(id); },
+    cancelWorkflow: jest.fn(async function (id, reason) {
+      const workflow = this.workflows.get(id);
+      workflow._pendingAfterApproval = [];
+      for (const task of workflow.tasks.filter(t => t.status !== 'completed' && t.status !== 'failed')) {
+        Object.assign(task, { status: 'failed', cancelled: true, error: `Cancelled: ${reason}` });
+      }
+      workflow.status = 'cancelled';
+      return workflow;
+    })
+  };
+}
+
+const waitFor = async (check, timeoutMs = 8000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+};
+
+describe('Company runs', () => {
+  let dir;
+  let sequelize;
+  let models;
+  let api;
+  let calls;
+  let service;
+
+  const readJson = (file) => JSON.parse(fs.readFileSync(path.join(dir, 'data', file), 'utf8'));
+
+  beforeAll(async () => {
+    sequelize = new Sequelize('sqlite::memory:', { logging: false, define: { timestamps: true, underscored: true } });
+    models = { Worker: require('../models/Worker')(sequelize) };
+    await sequelize.sync();
+
+    // Stand-in for the worker routes: checks each call's bearer token against the run
+    api = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', async () => {
+        const [, id, route] = req.url.match(/^\/api\/workers\/([^/]+)\/(register|heartbeat)$/) || [];
+        const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        const authorized = !!id && service.verifyWorkerToken(id, token);
+        calls.push({ id, route, authorized, body: JSON.parse(body || '{}') });
+        if (authorized && route === 'register') await models.Worker.upsert({ id, name: id, pid: JSON.parse(body).pid, status: 'idle' });
+        res.writeHead(authorized ? 200 : 401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: authorized }));
+      });
+    });
+    await new Promise(resolve => api.listen(0, '127.0.0.1', resolve));
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'company-run-'));
+    fs.mkdirSync(path.join(dir, 'data'));
+    fs.writeFileSync(path.join(dir, 'workers.json'), JSON.stringify({
+      workers: [
+        { id: 'alex', name: 'Alex', role: 'Project Manager' },
+        { id: 'nova', name: 'Nova', role: 'Frontend Specialist' },
+        { id: 'cipher', name: 'Cipher', role: 'Security Specialist' }
+      ]
+    }));
+    fs.writeFileSync(path.join(dir, 'data', 'worker-alex.json'), JSON.stringify({ worker_id: 'alex', comments: 'kept', metrics: { productivity_score: 100 } }));
+    calls = [];
+  });
+
+  afterEach(async () => {
+    if (service) await service.stop('test finished');
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => api.close(resolve));
+    await sequelize.close();
+  });
+
+  const launchParams = {
+    objective: 'Ship the launch site',
+    project: { slug: 'shell-site', id: null, name: 'Shell Site' }
+  };
+
+  const launch = (orchestrator, bus = new EventEmitter()) => {
+    service = new CompanyRun({
+      orchestrator,
+      models,
+      bus,
+      apiUrl: `http://127.0.0.1:${api.address().port}`,
+      heartbeatMs: 100,
+      syncIntervalMs: 60 * 60 * 1000
+    });
+    return service.launch({ ...launchParams, configPath: path.join(dir, 'workers.json'), dataDir: path.join(dir, 'data') });
+  };
+
+  test('forks a registered, heartbeating worker per assigned agent and mirrors task progress into the status files', async () => {
+    const orchestrator = createOrchestrator();
+    const bus = new EventEmitter();
+    const broadcasts = [];
+    bus.on('broadcast', data => broadcasts.push(data));
+    const run = await launch(orchestrator, bus);
+
+    expect(run).toMatchObject({ active: true, status: 'running', workflowId: 'wf-company', projectSlug: 'shell-site' });
+    expect(run.workers.map(worker => worker.id).sort()).toEqual(['alex', 'nova', 'orion']);
+    // Planned agents outside the configured team join it
+    const config = JSON.parse(fs.readFileSync(path.join(dir, 'workers.json'), 'utf8'));
+    expect(config.workers.find(worker => worker.id === 'orion')).toMatchObject({ name: 'Orion', role: 'Strategy & Operations Director', avatar: '🧭' });
+    await waitFor(() => ['alex', 'nova', 'orion'].every(id => calls.some(call => call.id === id && call.route === 'register' && call.authorized)));
+    expect(calls.every(call => call.authorized)).toBe(true);
+    expect(service.verifyWorkerToken('alex', 'not-the-token')).toBe(false);
+
+    expect(readJson('tasks.json')).toMatchObject({ workflow_id: 'wf-company', tasks: [{ id: 't1', assignee_id: 'alex', status: 'todo', priority: 'high' }, { id: 't2', status: 'todo' }, { id: 't3', assignee_id: 'orion', status: 'todo' }] });
+    expect(readJson('worker-cipher.json')).toMatchObject({ status: 'ready', current_focus: 'No tasks in this run' });
+
+    const workflow = orchestrator.workflows.get('wf-company');
+    workflow.tasks[0].status = 'running';
+    await service.sync();
+    expect(readJson('worker-alex.json')).toMatchObject({ status: 'active', current_focus: 'Plan epics', comments: 'kept', today: { in_progress: ['Plan epics'] } });
+    expect(readJson('worker-nova.json')).toMatchObject({ status: 'waiting', current_focus: 'Waiting to start Build landing page' });
+    await waitFor(() => calls.some(call => call.id === 'alex' && call.route === 'heartbeat' && call.body.current_command === 'Plan epics'));
+    expect(broadcasts).toContainEqual(expect.objectContaining({ type: 'WORKERS_UPDATED', workerId: 'alex', worker: expect.objectContaining({ status: 'active' }) }));
+
+    workflow.tasks[0].status = 'completed';
+    Object.assign(workflow.tasks[1], { status: 'failed', error: 'npm ci exited with 1' });
+    workflow.tasks.push(workflow._pendingAfterApproval.pop());
+    workflow.tasks[2].status = 'completed';
+    workflow.status = 'failed';
+    await service.sync();
+
+    expect(service.status()).toMatchObject({ active: false, status: 'failed' });
+    expect(service.status().workers.every(worker => !worker.alive)).toBe(true);
+    expect(readJson('worker-alex.json')).toMatchObject({ status: 'ready', metrics: { tasks_completed: 1, productivity_score: 100 }, today: { completed: ['Plan epics'] } });
+    expect(readJson('worker-nova.json')).toMatchObject({ status: 'blocked', blockers: ['Build landing page: npm ci exited with 1'] });
+    expect(readJson('tasks.json')).toMatchObject({ workflow_status: 'failed', tasks: [{ status: 'done' }, { status: 'failed', error: 'npm ci exited with 1' }, { status: 'done' }] });
+  });
+
+  test('stopping cancels the workflow, ends the workers and marks them offline', async () => {
+    const orchestrator = createOrchestrator();
+    const again = { ...launchParams, configPath: path.join(dir, 'workers.json'), dataDir: path.join(dir, 'data') };
+    const starting = launch(orchestrator);
+    // Refused while the first run is still being planned, before it has a run record
+    await expect(service.launch(again)).rejects.toMatchObject({ code: 'RUN_ACTIVE', message: 'A company run for shell-site is already active' });
+    const run = await starting;
+    await waitFor(() => calls.filter(call => call.route === 'register').length === 3);
+    orchestrator.workflows.get('wf-company').tasks[0].status = 'running';
+    await service.sync();
+
+    await expect(service.launch(again)).rejects.toMatchObject({ code: 'RUN_ACTIVE' });
+    // A worker's token names its own agent, for the lease routes, and no other worker
+    const alexToken = service.run.workers.get('alex').token;
+    expect(service.agentForToken('alex', alexToken)).toBe('Alex');
+    expect(service.agentForToken('nova', alexToken)).toBeNull();
+
+    const stopped = await service.stop('Owner stopped the run');
+    expect(orchestrator.cancelWorkflow).toHaveBeenCalledWith('wf-company', 'Owner stopped the run');
+    expect(stopped).toMatchObject({ active: false, status: 'cancelled' });
+    for (const worker of run.workers) {
+      expect(() => process.kill(worker.pid, 0)).toThrow();
+    }
+    expect(readJson('worker-alex.json')).toMatchObject({ status: 'stopped', current_focus: 'Run stopped' });
+    expect(readJson('tasks.json').tasks.map(task => task.status)).toEqual(['cancelled', 'cancelled']);
+    const rows = await models.Worker.findAll();
+    expect(rows.map(row => [row.id, row.status, row.pid])).toEqual(expect.arrayContaining([['alex', 'offline', null], ['nova', 'offline', null]]));
+    // Tokens die with the run
+    expect(service.verifyWorkerToken('alex', 'anything')).toBe(false);
+    expect(service.agentForToken('alex', alexToken)).toBeNull();
+    expect(await service.stop()).toBeNull();
+
+    await expect(service.launch({ ...again, objective: '  ' })).rejects.toMatchObject({ code: 'OBJECTIVE_REQUIRED' });
+  });
+
+  test('a cancelled workflow kills the command its running task started', async () => {
+    const policyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'company-policies-'));
+    fs.writeFileSync(path.join(policyDir, 'default.json'), JSON.stringify({ allowedBinaries: ['bash', 'sleep', 'echo'], timeoutMs: 30000 }));
+    const saved = [];
+    const workflowStore = {
+      async saveWorkflow() { return true; },
+      async saveTasks(workflow, tasks) { saved.push(...tasks.map(task => ({ id: task.id, status: task.status }))); return tasks.length; }
+    };
+    const orchestrator = new WorkflowOrchestrator(path.join(dir, 'workspaces'), null, {
+      autoStart: false,
+      workflowStore,
+      sandbox: new ExecutionSandbox({ policyDir })
+    });
+    try {
+      const tasks = [
+        { id: 'c1', workflowId: 'wf-cancel', title: 'Long build', assignedAgent: 'Nova', status: 'running', commands: ['sleep 20', 'echo never'] },
+        { id: 'c2', workflowId: 'wf-cancel', title: 'Review', assignedAgent: 'Alex', status: 'pending' }
+      ];
+      const workflow = { id: 'wf-cancel', directive: 'Build', status: 'executing', startTime: Date.now(), tasks, artifacts: [], metadata: {} };
+      orchestrator.workflows.set(workflow.id, workflow);
+      orchestrator.queueTasks([tasks[1]], workflow.id);
+
+      const started = Date.now();
+      const running = orchestrator.executeRealTask(tasks[0], orchestrator.agents.get('Nova'), workflow);
+      await new Promise(resolve => setTimeout(resolve, 300));
+      await orchestrator.cancelWorkflow('wf-cancel', 'Stopped from the dashboard');
+      const result = await running;
+
+      expect(Date.now() - started).toBeLessThan(10000);
+      expect(result.status).toBe('failed');
+      expect(result.steps).toHaveLength(1);
+      expect(result.steps[0].stderr).toContain('Command cancelled');
+      expect(orchestrator.taskQueue.filter(task => task.workflowId === 'wf-cancel')).toEqual([]);
+      expect(workflow.status).toBe('cancelled');
+      expect(tasks.map(task => [task.status, task.cancelled, task.error])).toEqual([
+        ['failed', true, 'Cancelled: Stopped from the dashboard'],
+        ['failed', true, 'Cancelled: Stopped from the dashboard']
+      ]);
+      expect(saved).toEqual([{ id: 'c1', status: 'failed' }, { id: 'c2', status: 'failed' }]);
+      // Progress updates after the cancel keep it cancelled
+      await orchestrator.updateWorkflowProgress('wf-cancel');
+      expect(workflow.status).toBe('cancelled');
+    } finally {
+      await orchestrator.shutdown();
+      fs.rmSync(policyDir, { recursive: true, force: true });
+    }
+  });
+});
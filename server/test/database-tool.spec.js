@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseTool = require('../services/database-tool');
+const agentEngine = require('../services/agent-engine');
+
+const { classifyStatement } = DatabaseTool;
+
+describe('database tool statement classification', () => {
+  test.each([
+    ['SELECT * FROM users', 'read'],
+    ['  -- latest first\n select name from users order by id desc', 'read'],
+    ["SELECT 'DROP TABLE users' AS note", 'read'],
+    ['WITH recent AS (SELECT id FROM users) SELECT * FROM recent', 'read'],
+    ['WITH stale AS (SELECT id FROM users) DELETE FROM users WHERE id IN stale', 'write'],
+    ['EXPLAIN QUERY PLAN SELECT * FROM users', 'read'],
+    ['PRAGMA table_info(users)', 'read'],
+    ['PRAGMA journal_mode = WAL', 'write'],
+    ['INSERT INTO users (name) VALUES (\'a\')', 'write'],
+    ['CREATE TABLE t (id INTEGER)', 'ddl'],
+    ["ATTACH DATABASE '/etc/passwd.db' AS x", 'attach'],
+    ['BEGIN', 'transaction'],
+    ['GRANT ALL ON x TO y', 'unknown']
+  ])('%s -> %s', (sql, type) => {
+    expect(classifyStatement(sql)).toBe(type);
+  });
+});
+
+describe('database tool execution', () => {
+  let projectPath;
+  let tool;
+  const context = () => ({ projectPath, projectId: null });
+
+  beforeAll(async () => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'db-tool-'));
+    tool = new DatabaseTool();
+    const seed = Array.from({ length: 5 }, (_, i) => `INSERT INTO users (name) VALUES ('user-${i}')`).join(';\n');
+    await tool.execute({
+      operation: 'migrate',
+      sql: `CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT NOT NULL);\n${seed};`
+    }, context(), { constraints: { allowMigrations: true } });
+  });
+
+  afterAll(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  test('runs read-only queries with a row limit', async () => {
+    const result = await tool.execute({ operation: 'query', sql: 'SELECT id, name FROM users ORDER BY id', limit: 3 }, context(), {});
+
+    expect(result).toMatchObject({
+      tool: 'database',
+      operation: 'query',
+      target: path.join('.shellcompany', 'project.db'),
+      statementTypes: ['read'],
+      columns: ['id', 'name'],
+      rowCount: 3,
+      truncated: true,
+      success: true
+    });
+    expect(result.rows[2]).toEqual({ id: 3, name: 'user-2' });
+  });
+
+  test('describes the schema', async () => {
+    const result = await tool.execute({ operation: 'schema' }, context(), {});
+    expect(result.tables).toEqual([{
+      table: 'users',
+      columns: [
+        { name: 'id', type: 'INTEGER', nullable: true, primaryKey: true },
+        { name: 'name', type: 'TEXT', nullable: false, primaryKey: false }
+      ]
+    }]);
+  });
+
+  test('refuses writes, multiple statements and ATTACH outside migrations', async () => {
+    await expect(tool.execute({ operation: 'query', sql: 'DELETE FROM users' }, context(), {}))
+      .rejects.toMatchObject({ code: 'READ_ONLY' });
+    await expect(tool.execute({ operation: 'query', sql: 'SELECT 1; DELETE FROM users' }, context(), {}))
+      .rejects.toMatchObject({ code: 'MULTIPLE_STATEMENTS' });
+    await expect(tool.execute({ operation: 'migrate', sql: 'DROP TABLE users' }, context(), {}))
+      .rejects.toMatchObject({ code: 'MIGRATIONS_NOT_ALLOWED' });
+    await expect(tool.execute({ operation: 'migrate', sql: "ATTACH DATABASE 'x.db' AS x" }, context(), { constraints: { allowMigrations: true } }))
+      .rejects.toMatchObject({ code: 'STATEMENT_NOT_ALLOWED' });
+  });
+
+  test('rolls back a migration when any statement fails', async () => {
+    await expect(tool.execute({
+      operation: 'migrate',
+      sql: "INSERT INTO users (name) VALUES ('kept?'); INSERT INTO missing_table VALUES (1)"
+    }, context(), { constraints: { allowMigrations: true } })).rejects.toThrow(/no such table/);
+
+    const result = await tool.execute({ operation: 'query', sql: "SELECT COUNT(*) AS n FROM users WHERE name = 'kept?'" }, context(), {});
+    expect(result.rows).toEqual([{ n: 0 }]);
+  });
+
+  test('keeps database files inside the project', async () => {
+    await expect(tool.execute({ operation: 'query', sql: 'SELECT 1', database: '../elsewhere.db' }, context(), {}))
+      .rejects.toMatchObject({ code: 'OUTSIDE_PROJECT' });
+  });
+
+  test('refuses connection URLs for dialects it has no driver for', async () => {
+    const models = {
+      Environment: { findOne: async () => ({ id: 'env-1' }) },
+      EnvVar: { findOne: async () => ({ getValue: () => 'mariadb://agent:pw@db.internal/app' }) }
+    };
+    const connected = new DatabaseTool({ models });
+    await expect(connected.execute({ operation: 'query', sql: 'SELECT 1', connection: 'DATABASE_URL' }, { projectId: 'p1' }, {}))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_DIALECT' });
+  });
+});
+
+describe('AgentEngine tool results', () => {
+  const result = { tool: 'database', rows: [{ n: 1 }], success: true };
+
+  test('formats tool results for each provider', () => {
+    expect(agentEngine.formatToolResult('claude', { id: 'toolu_1', name: 'database', input: {} }, result))
+      .toEqual({ type: 'tool_result', tool_use_id: 'toolu_1', content: JSON.stringify(result), is_error: false });
+    expect(agentEngine.formatToolResult('openai', { id: 'call_1', function: { name: 'database', arguments: '{}' } }, result))
+      .toEqual({ role: 'tool', tool_call_id: 'call_1', content: JSON.stringify(result) });
+    expect(agentEngine.formatToolResult('gemini', { functionCall: { name: 'database', args: {} } }, { tool: 'database', error: 'boom' }))
+      .toEqual({ functionResponse: { name: 'database', response: { tool: 'database', error: 'boom' } } });
+  });
+
+  test('declares the database tool to the providers', () => {
+    const [openaiTool] = agentEngine.mapToolsForOpenAI(['database']);
+    expect(openaiTool.function.name).toBe('database');
+    expect(openaiTool.function.parameters.properties.operation.enum).toEqual(['query', 'schema', 'migrate']);
+  });
+});
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Sequelize } = require('sequelize');
+const { DeploymentPipeline } = require('../services/deployment-pipeline');
+
+describe('Deployment pipeline', () => {
+  let sequelize;
+  let models;
+  let events;
+  let project;
+
+  beforeAll(async () => {
+    // Users are not needed here; don't enforce their foreign keys
+    sequelize = new Sequelize('sqlite::memory:', { logging: false, foreignKeys: false, define: { timestamps: true, underscored: true } });
+    models = {
+      Project: require('../models/Project')(sequelize),
+      Environment: require('../models/Environment')(sequelize),
+      Deployment: require('../models/Deployment')(sequelize)
+    };
+    await sequelize.sync();
+
+    project = await models.Project.create({
+      name: 'Shell Site',
+      owner_id: crypto.randomUUID(),
+      settings: {
+        deploy: {
+          provider: 'vercel',
+          projectId: 'prj_shell',
+          environments: { staging: { provider: 'netlify', siteId: 'site-1' } }
+        }
+      }
+    });
+    for (const name of ['development', 'staging', 'production']) {
+      await models.Environment.create({ project_id: project.id, name });
+    }
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const makePipeline = (providers, options = {}) => {
+    events = new EventEmitter();
+    events.log = [];
+    events.on('deployment_log', evt => events.log.push(...evt.lines));
+    events.statuses = [];
+    events.on('deployment_status', evt => events.statuses.push(evt.status));
+    // Polling is driven by the tests
+    return new DeploymentPipeline({ models, providers, bus: events, pollIntervalMs: 60 * 60 * 1000, ...options });
+  };
+
+  const environment = (name) => models.Environment.findOne({ where: { project_id: project.id, name } });
+
+  test('deploys through the provider, streams build logs and records the result', async () => {
+    const buildLog = [{ payload: { text: 'Installing dependencies' } }];
+    const states = ['BUILDING', 'READY'];
+    const vercel = {
+      createDeployment: jest.fn(async () => ({ vercel: { id: 'dpl_1', readyState: 'QUEUED', url: 'shell-site-abc.vercel.app' } })),
+      getDeployment: jest.fn(async () => ({
+        readyState: states.shift(),
+        url: 'shell-site-abc.vercel.app',
+        meta: { githubCommitSha: 'a1b2c3d', githubCommitMessage: 'Ship it' }
+      })),
+      getDeploymentLogs: jest.fn(async () => buildLog)
+    };
+    const pipeline = makePipeline({ vercel });
+
+    const deployment = await pipeline.deploy({ projectId: 'shell-site', environment: 'production', actorId: project.owner_id, ref: 'main' });
+    expect(deployment).toMatchObject({ provider: 'vercel', provider_deployment_id: 'dpl_1', status: 'pending' });
+    expect(vercel.createDeployment).toHaveBeenCalledWith(project.owner_id, expect.objectContaining({ projectId: 'prj_shell', target: 'production' }));
+    expect((await environment('production')).status).toBe('deploying');
+    expect(pipeline.tracked.has(deployment.id)).toBe(true);
+
+    await pipeline.poll(deployment.id);
+    buildLog.push({ payload: { text: 'Build completed' } });
+    const done = await pipeline.poll(deployment.id);
+    pipeline.stop();
+
+    expect(done).toMatchObject({ status: 'success', url: 'https://shell-site-abc.vercel.app', commit_sha: 'a1b2c3d', commit_message: 'Ship it' });
+    expect(done.finished_at).toBeInstanceOf(Date);
+    expect(done.logs.split('\n')).toEqual([
+      'Deploying Shell Site to production with vercel',
+      'vercel accepted deployment dpl_1',
+      'Installing dependencies',
+      'Build completed',
+      'Deployment succeeded: https://shell-site-abc.vercel.app'
+    ]);
+    expect(events.log).toEqual(done.logs.split('\n'));
+    expect(events.statuses).toEqual(['pending', 'building', 'success']);
+    expect(await environment('production')).toMatchObject({ status: 'healthy', url: 'https://shell-site-abc.vercel.app' });
+  });
+
+  test('provider webhooks finish a deployment once, even when a poll races them', async () => {
+    const netlify = {
+      createDeployment: jest.fn(async () => ({ netlify: { id: 'dep-9', state: 'building', commit_ref: 'feedbeef' } })),
+      getDeployment: jest.fn(async () => ({ state: 'ready', ssl_url: 'https://staging--shell.netlify.app' })),
+      getBuildLog: jest.fn(async () => 'Building site\nSite is live\n')
+    };
+    const pipeline = makePipeline({ netlify });
+
+    const deployment = await pipeline.deploy({ projectId: project.id, environment: 'staging', actorId: project.owner_id });
+    expect(deployment).toMatchObject({ provider: 'netlify', status: 'building', commit_sha: 'feedbeef' });
+    await expect(pipeline.deploy({ projectId: project.id, environment: 'staging' })).rejects.toMatchObject({ code: 'DEPLOY_IN_PROGRESS' });
+
+    await Promise.all([
+      pipeline.applyProviderState('netlify', 'dep-9', 'ready', { url: 'https://staging--shell.netlify.app' }),
+      pipeline.poll(deployment.id)
+    ]);
+    expect(await pipeline.applyProviderState('netlify', 'unknown-deploy', 'ready')).toBeNull();
+
+    const row = await models.Deployment.findByPk(deployment.id);
+    expect(row).toMatchObject({ status: 'success', url: 'https://staging--shell.netlify.app' });
+    expect(events.statuses.filter(status => status === 'success')).toHaveLength(1);
+    expect(row.logs.match(/Site is live/g)).toHaveLength(1);
+    expect(pipeline.tracked.size).toBe(0);
+  });
+
+  test('refuses deployments it cannot run and records provider failures and timeouts', async () => {
+    const aws = {
+      deployECSService: jest.fn(async () => { throw new Error('AWS connection not found or inactive'); })
+    };
+    const pipeline = makePipeline({ aws }, { timeoutMs: 1000 });
+
+    await expect(pipeline.deploy({ projectId: project.id, environment: 'qa' })).rejects.toMatchObject({ code: 'INVALID_ENVIRONMENT' });
+    await expect(pipeline.deploy({ projectId: 'no-such-project', environment: 'production' })).rejects.toMatchObject({ code: 'PROJECT_NOT_FOUND' });
+    await expect(pipeline.deploy({ projectId: project.id, environment: 'production', provider: 'heroku' })).rejects.toMatchObject({ code: 'UNKNOWN_PROVIDER' });
+    await expect(pipeline.deploy({ projectId: project.id, environment: 'development', provider: 'aws' })).rejects.toMatchObject({ code: 'CONFIG_MISSING' });
+
+    const config = { clusterName: 'shell', serviceName: 'web', taskDefinition: 'web:7' };
+    const error = await pipeline.deploy({ projectId: project.id, environment: 'development', provider: 'aws', config }).catch(e => e);
+    expect(error).toMatchObject({ code: 'PROVIDER_ERROR' });
+    expect(error.deployment.status).toBe('failed');
+    expect(error.deployment.metadata.error).toMatch(/AWS connection not found/);
+    expect((await environment('development')).status).toBe('error');
+
+    // Accepted, but the provider never reports back
+    aws.deployECSService = jest.fn(async () => ({ aws: { deploymentId: 'ecs-svc/1' } }));
+    aws.describeECSDeployment = jest.fn(async () => null);
+    const stuck = await pipeline.deploy({ projectId: project.id, environment: 'development', provider: 'aws', config });
+    expect(stuck.status).toBe('deploying');
+    await stuck.update({ started_at: new Date(Date.now() - 5000) });
+    const timedOut = await pipeline.poll(stuck.id);
+    pipeline.stop();
+    expect(timedOut.status).toBe('failed');
+    expect(timedOut.metadata.error).toMatch(/No result from aws/);
+  });
+});
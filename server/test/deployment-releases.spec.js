@@ -0,0 +1,201 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Sequelize } = require('sequelize');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deploy-releases-'));
+process.env.VAULT_KEYRING_FILE = path.join(dir, 'keyring.json');
+
+const { DeploymentPipeline } = require('../services/deployment-pipeline');
+const CeoApprovalManager = require('../services/ceo-approval-manager');
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('Deployment promotion and rollback', () => {
+  let sequelize;
+  let models;
+
+  beforeAll(async () => {
+    // Users are not needed here; don't enforce their foreign keys
+    sequelize = new Sequelize('sqlite::memory:', { logging: false, foreignKeys: false, define: { timestamps: true, underscored: true } });
+    models = {
+      Project: require('../models/Project')(sequelize),
+      Environment: require('../models/Environment')(sequelize),
+      EnvVar: require('../models/EnvVar')(sequelize),
+      Deployment: require('../models/Deployment')(sequelize),
+      Audit: require('../models/Audit')(sequelize)
+    };
+    await sequelize.sync();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createProject = async (name, deploy) => {
+    const project = await models.Project.create({ name, owner_id: crypto.randomUUID(), settings: { deploy } });
+    const envs = {};
+    for (const env of ['development', 'staging', 'production']) {
+      envs[env] = await models.Environment.create({ project_id: project.id, name: env });
+    }
+    return { project, envs };
+  };
+
+  const setVar = async (env, key, value) => {
+    const envVar = (await models.EnvVar.findOne({ where: { environment_id: env.id, key } })) || models.EnvVar.build({ environment_id: env.id, key });
+    envVar.setValue(value);
+    await envVar.save();
+  };
+
+  // Every provider deployment is ready as soon as it is created
+  const fakeVercel = () => {
+    let n = 0;
+    return {
+      createDeployment: jest.fn(async (userId, data) => ({ vercel: { id: `dpl_${++n}`, readyState: 'READY', url: `build-${n}.vercel.app` } })),
+      getDeploymentLogs: jest.fn(async () => []),
+      promoteDeployment: jest.fn(async () => ({}))
+    };
+  };
+
+  const makePipeline = (providers, options = {}) =>
+    new DeploymentPipeline({ models, providers, bus: new EventEmitter(), pollIntervalMs: 60 * 60 * 1000, ...options });
+
+  test('promotes the verified staging release to production and shows what changed', async () => {
+    const { project, envs } = await createProject('Promo Site', { provider: 'vercel', projectId: 'prj_promo', url: 'https://promo.example.com' });
+    const vercel = fakeVercel();
+    const pipeline = makePipeline({ vercel });
+
+    await setVar(envs.production, 'API_URL', 'https://api.v1.example.com');
+    await setVar(envs.production, 'LEGACY_FLAG', 'enabled');
+    const first = await pipeline.deploy({ projectId: project.id, environment: 'production', commitSha: '1111111aaaa' });
+    expect(first.status).toBe('success');
+
+    await expect(pipeline.promote({ projectId: project.id })).rejects.toMatchObject({ code: 'NO_RELEASE' });
+    const staged = await pipeline.deploy({ projectId: project.id, environment: 'staging', commitSha: '2222222bbbb', ref: 'main' });
+    expect(staged.status).toBe('success');
+
+    await setVar(envs.production, 'API_URL', 'https://api.v2.example.com');
+    await setVar(envs.production, 'NEW_FLAG', 'on');
+    await models.EnvVar.destroy({ where: { environment_id: envs.production.id, key: 'LEGACY_FLAG' } });
+    await tick();
+    const promoted = await pipeline.promote({ projectId: project.id, actorId: project.owner_id });
+
+    // Same Vercel project: the staging build is promoted rather than rebuilt
+    expect(vercel.promoteDeployment).toHaveBeenCalledWith(project.owner_id, 'prj_promo', staged.provider_deployment_id);
+    expect(vercel.createDeployment).toHaveBeenCalledTimes(2);
+    expect(promoted).toMatchObject({ status: 'success', commit_sha: '2222222bbbb', url: 'https://promo.example.com' });
+    expect(pipeline.serialize(promoted)).toMatchObject({ kind: 'promotion', sourceDeploymentId: staged.id });
+
+    const history = await pipeline.history(project.id, { environment: 'production' });
+    expect(history.map(entry => [entry.id, entry.live])).toEqual([[promoted.id, true], [first.id, false]]);
+    expect(history[0].changes).toMatchObject({
+      from: { id: first.id, commitSha: '1111111aaaa' },
+      to: { id: promoted.id, commitSha: '2222222bbbb' },
+      commitChanged: true,
+      env: { added: ['NEW_FLAG'], removed: ['LEGACY_FLAG'], changed: ['API_URL'] }
+    });
+    expect(JSON.stringify(promoted.metadata.env_snapshot)).not.toContain('api.v2');
+    const audit = await models.Audit.findOne({ where: { action: 'PROMOTE_DEPLOYMENT', target_id: promoted.id } });
+    expect(audit.metadata).toMatchObject({ source_deployment_id: staged.id, from: 'staging', to: 'production', approval_required: false });
+  });
+
+  test('gated promotions wait for the CEO and only start once approved', async () => {
+    const { project, envs } = await createProject('Gated Site', {
+      provider: 'vercel',
+      projectId: 'prj_staging',
+      environments: { production: { projectId: 'prj_production', requireApproval: true } }
+    });
+    const vercel = fakeVercel();
+    const approvals = new CeoApprovalManager();
+    const pipeline = makePipeline({ vercel }, { approvalManager: approvals });
+    await pipeline.deploy({ projectId: project.id, environment: 'staging', commitSha: '3333333cccc', ref: 'release' });
+
+    const waiting = await pipeline.promote({ projectId: project.id });
+    expect(waiting.status).toBe('pending');
+    expect(pipeline.serialize(waiting).approval).toMatchObject({ status: 'pending' });
+    expect(approvals.getPendingApprovals()).toEqual([
+      expect.objectContaining({ type: 'promotion', workflowId: waiting.id, promotion: expect.objectContaining({ from: 'staging', to: 'production' }) })
+    ]);
+    expect((await models.Environment.findByPk(envs.production.id)).status).toBe('stopped');
+    await expect(pipeline.deploy({ projectId: project.id, environment: 'production' })).rejects.toMatchObject({ code: 'DEPLOY_IN_PROGRESS' });
+
+    const rejected = await pipeline.decidePromotion(project.id, waiting.id, { decision: 'rejected', approver: 'ceo@example.com', comments: 'Not this week' });
+    expect(rejected).toMatchObject({ status: 'cancelled', provider_deployment_id: null });
+    expect(rejected.metadata.error).toBe('Promotion rejected by ceo@example.com: Not this week');
+    expect((await models.Environment.findByPk(envs.production.id)).status).toBe('stopped');
+    await expect(pipeline.decidePromotion(project.id, waiting.id, { decision: 'approved' })).rejects.toMatchObject({ code: 'NOT_AWAITING_APPROVAL' });
+
+    const again = await pipeline.promote({ projectId: project.id });
+    // A decision made on the CEO dashboard reaches the pipeline through the manager's events
+    await approvals.processApprovalDecision(again.id, 'approved', 'ceo@example.com', '', 'promotion');
+    await pipeline.decisions.get(again.id);
+    const approved = await again.reload();
+
+    // Different Vercel project: the staging commit is built for production
+    expect(vercel.promoteDeployment).not.toHaveBeenCalled();
+    expect(vercel.createDeployment).toHaveBeenLastCalledWith(expect.any(String), expect.objectContaining({ projectId: 'prj_production', target: 'production' }));
+    expect(approved).toMatchObject({ status: 'success', commit_sha: '3333333cccc' });
+    expect(approved.metadata.approval).toMatchObject({ status: 'approved', decided_by: 'ceo@example.com' });
+    expect(approved.logs).toContain('Promotion approved by ceo@example.com');
+  });
+
+  test('a promotion request cannot lift the approval gate of its environment', async () => {
+    const { project } = await createProject('Locked Site', {
+      provider: 'vercel',
+      projectId: 'prj_staging',
+      environments: { production: { projectId: 'prj_production', requireApproval: true } }
+    });
+    const vercel = fakeVercel();
+    const approvals = new CeoApprovalManager();
+    const pipeline = makePipeline({ vercel }, { approvalManager: approvals });
+    await pipeline.deploy({ projectId: project.id, environment: 'staging', commitSha: '4444444dddd' });
+
+    const waiting = await pipeline.promote({ projectId: project.id, requireApproval: false });
+    expect(waiting.status).toBe('pending');
+    expect(pipeline.serialize(waiting).approval).toMatchObject({ status: 'pending' });
+    expect(approvals.getPendingApprovals()).toEqual([expect.objectContaining({ type: 'promotion', workflowId: waiting.id })]);
+    expect(vercel.createDeployment).toHaveBeenCalledTimes(1);
+  });
+
+  test('rolls an environment back to its last healthy release', async () => {
+    const { project, envs } = await createProject('Rollback Site', { provider: 'netlify', siteId: 'site-rb' });
+    let n = 0;
+    const netlify = {
+      createDeployment: jest.fn(async () => ({ netlify: { id: `deploy-${++n}`, state: 'ready', ssl_url: 'https://rollback.netlify.app' } })),
+      getBuildLog: jest.fn(async () => ''),
+      restoreDeployment: jest.fn(async (userId, deployId) => ({ id: deployId, state: 'ready', ssl_url: 'https://rollback.netlify.app' }))
+    };
+    const pipeline = makePipeline({ netlify });
+
+    await expect(pipeline.rollback({ projectId: project.id, environment: 'production' })).rejects.toMatchObject({ code: 'NO_RELEASE' });
+    const a = await pipeline.deploy({ projectId: project.id, environment: 'production', commitSha: 'aaaaaaa1' });
+    await tick();
+    const b = await pipeline.deploy({ projectId: project.id, environment: 'production', commitSha: 'bbbbbbb2' });
+    await tick();
+    netlify.createDeployment.mockImplementationOnce(async () => ({ netlify: { id: 'deploy-broken', state: 'error' } }));
+    const broken = await pipeline.deploy({ projectId: project.id, environment: 'production', commitSha: 'ccccccc3' });
+    expect(broken.status).toBe('failed');
+    await tick();
+
+    const rolledBack = await pipeline.rollback({ projectId: project.id, environment: 'production' });
+    expect(netlify.restoreDeployment).toHaveBeenCalledWith(rolledBack.actor, a.provider_deployment_id);
+    expect(rolledBack).toMatchObject({ status: 'success', commit_sha: 'aaaaaaa1', provider_deployment_id: a.provider_deployment_id });
+    expect(pipeline.serialize(rolledBack)).toMatchObject({ kind: 'rollback', sourceDeploymentId: a.id, rollbackOf: b.id });
+    expect((await models.Environment.findByPk(envs.production.id)).status).toBe('healthy');
+
+    // b was rolled back from and a is live again, so there is nothing older to return to
+    await expect(pipeline.rollback({ projectId: project.id, environment: 'production' })).rejects.toMatchObject({ code: 'NO_RELEASE' });
+    await expect(pipeline.rollback({ projectId: project.id, environment: 'production', deploymentId: rolledBack.id })).rejects.toMatchObject({ code: 'RELEASE_ALREADY_LIVE' });
+    await expect(pipeline.rollback({ projectId: project.id, environment: 'production', deploymentId: broken.id })).rejects.toMatchObject({ code: 'DEPLOYMENT_NOT_FOUND' });
+
+    await tick();
+    const forward = await pipeline.rollback({ projectId: project.id, environment: 'production', deploymentId: b.id });
+    expect(forward).toMatchObject({ status: 'success', commit_sha: 'bbbbbbb2' });
+    const history = await pipeline.history(project.id, { environment: 'production' });
+    expect(history.map(entry => entry.kind)).toEqual(['rollback', 'rollback', 'deploy', 'deploy', 'deploy']);
+    expect(history[0]).toMatchObject({ live: true, changes: { from: { id: rolledBack.id }, commitChanged: true } });
+  });
+});
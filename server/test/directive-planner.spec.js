@@ -0,0 +1,162 @@
+// Mock 'uuid' to avoid ESM-only uuid package parsing inside Jest runtime
+jest.mock('uuid', () => ({ v4: () => `test-uuid-${Date.now()}-${Math.random().toString(36).slice(2,8)}` }));
+// Planning uses a fake provider engine; skip the real engine's network validation on construction
+jest.mock('../services/real-provider-engine', () => jest.fn().mockImplementation(() => ({})));
+
+const path = require('path');
+const WorkflowOrchestrator = require('../services/workflow-orchestrator');
+const { KeywordPlanner, LLMPlanner, validateTaskPlan, parsePlanResponse } = require('../services/directive-planner');
+
+function createFakeEngine(content) {
+  return {
+    providers: { anthropic: { keyEnv: 'PLANNER_TEST_KEY' } },
+    isProviderHealthy: () => true,
+    makeRequest: jest.fn(async () => ({
+      content,
+      provider: 'anthropic',
+      model: 'claude-3-5-sonnet-20241022',
+      usage: { input: 900, output: 300 },
+      cost: 0.0072
+    }))
+  };
+}
+
+const validPlan = {
+  summary: 'Landing page in two steps',
+  tasks: [
+    { id: 'markup', title: 'Build page markup', assignedAgent: 'nova', dependencies: [], expectedArtifacts: ['index.html'] },
+    { id: 'styles', title: 'Style the page', assignedAgent: 'Pixel', dependencies: ['markup'], expectedArtifacts: ['styles.css'], estimatedDuration: 45000 }
+  ]
+};
+
+describe('validateTaskPlan', () => {
+  const agents = ['Nova', 'Pixel'];
+
+  test('accepts a well-formed DAG', () => {
+    expect(validateTaskPlan(validPlan, agents)).toEqual([]);
+  });
+
+  test('rejects unknown assignees, dangling dependencies and unsafe artifact paths', () => {
+    const errors = validateTaskPlan({
+      tasks: [
+        { id: 'a', title: 'A', assignedAgent: 'Mallory', dependencies: ['missing'], expectedArtifacts: ['../escape.txt'] }
+      ]
+    }, agents);
+    expect(errors).toEqual(expect.arrayContaining([
+      'tasks[0].assignedAgent: unknown agent "Mallory"',
+      'tasks[0].expectedArtifacts: "../escape.txt" must be a relative path inside the workspace'
+    ]));
+
+    expect(validateTaskPlan({
+      tasks: [{ id: 'a', title: 'A', assignedAgent: 'Nova', dependencies: ['missing'], expectedArtifacts: [] }]
+    }, agents)).toEqual(['tasks.a.dependencies: unknown task "missing"']);
+  });
+
+  test('rejects dependency cycles', () => {
+    const errors = validateTaskPlan({
+      tasks: [
+        { id: 'a', title: 'A', assignedAgent: 'Nova', dependencies: ['b'], expectedArtifacts: [] },
+        { id: 'b', title: 'B', assignedAgent: 'Pixel', dependencies: ['a'], expectedArtifacts: [] }
+      ]
+    }, agents);
+    expect(errors).toEqual(['plan.tasks: dependency cycle between a, b']);
+  });
+
+  test('parses plans wrapped in markdown fences', () => {
+    expect(parsePlanResponse('Here you go:\n```json\n{"tasks": []}\n```')).toEqual({ tasks: [] });
+    expect(() => parsePlanResponse('no plan here')).toThrow('did not contain a JSON object');
+  });
+});
+
+describe('Orchestrator directive planning', () => {
+  const workspaceRoot = path.join(__dirname, 'test-workspace-planner');
+  let orchestrator;
+
+  beforeAll(() => { process.env.PLANNER_TEST_KEY = 'test-key'; });
+  afterAll(() => { delete process.env.PLANNER_TEST_KEY; });
+  afterEach(async () => {
+    try { orchestrator && await orchestrator.shutdown(); } catch (e) { /* ignore */ }
+  });
+
+  function createOrchestrator(engine) {
+    orchestrator = new WorkflowOrchestrator(workspaceRoot, null, { autoStart: false, planners: [] });
+    orchestrator.planners = [
+      new LLMPlanner({ providerEngine: engine, providers: ['anthropic'] }),
+      new KeywordPlanner(orchestrator)
+    ];
+    return orchestrator;
+  }
+
+  test('uses the model plan and records it on the planning metadata', async () => {
+    const engine = createFakeEngine('```json\n' + JSON.stringify(validPlan) + '\n```');
+    createOrchestrator(engine);
+
+    const { tasks, planning } = await orchestrator.planDirective('Build a landing page');
+
+    expect(engine.makeRequest).toHaveBeenCalledWith('anthropic', expect.stringContaining('Build a landing page'), expect.any(Object));
+    expect(tasks.map(t => [t.title, t.assignedAgent, t.artifacts])).toEqual([
+      ['Build page markup', 'Nova', ['index.html']],
+      ['Style the page', 'Pixel', ['styles.css']]
+    ]);
+    expect(tasks[1].dependencies).toEqual([tasks[0].id]);
+    expect(planning).toMatchObject({
+      planner: 'llm',
+      provider: 'anthropic',
+      model: 'claude-3-5-sonnet-20241022',
+      cost: 0.0072,
+      summary: 'Landing page in two steps',
+      attempts: [{ planner: 'llm', status: 'succeeded' }]
+    });
+    expect(planning.plan[1]).toMatchObject({ title: 'Style the page', dependencies: [tasks[0].id], expectedArtifacts: ['styles.css'] });
+  });
+
+  test('keeps the manager brief approval gate in front of a model plan', async () => {
+    const engine = createFakeEngine(JSON.stringify({
+      tasks: [
+        { id: 'draft', title: 'Draft ABOUT_ME.md', assignedAgent: 'Sage', dependencies: [], expectedArtifacts: ['ABOUT_ME.md'] },
+        { id: 'review', title: 'Review the document', assignedAgent: 'Nova', dependencies: ['draft'], expectedArtifacts: [] }
+      ]
+    }));
+    createOrchestrator(engine);
+    orchestrator.workflowStore = { async saveWorkflow() { return true; }, async saveTasks(workflow, tasks) { return tasks.length; } };
+
+    const { workflow } = await orchestrator.createWorkflow('Have Sage create an ABOUT_ME.md markdown document');
+
+    expect(workflow.metadata.planning.planner).toBe('llm');
+    expect(workflow.metadata.requiresManagerApproval).toBe(true);
+    expect(workflow.tasks).toEqual([expect.objectContaining({ type: 'manager_brief', assignedAgent: 'Sage' })]);
+    const held = workflow._pendingAfterApproval;
+    expect(held.map(t => t.title)).toEqual(['Draft ABOUT_ME.md', 'Review the document']);
+    expect(held[0].dependencies).toEqual([workflow.tasks[0].id]);
+    expect(held[1].dependencies).toEqual([held[0].id]);
+  });
+
+  test('falls back to the keyword templates when the model plan is invalid', async () => {
+    const engine = createFakeEngine(JSON.stringify({ tasks: [{ id: 'x', title: 'X', assignedAgent: 'Nobody', dependencies: [], expectedArtifacts: [] }] }));
+    createOrchestrator(engine);
+
+    const { tasks, planning } = await orchestrator.planDirective('Build a landing page');
+
+    expect(tasks.length).toBeGreaterThan(0);
+    expect(planning.planner).toBe('keyword');
+    expect(planning.strategy).toBe('templates');
+    expect(planning.attempts[0]).toMatchObject({
+      planner: 'llm',
+      status: 'failed',
+      validationErrors: ['tasks[0].assignedAgent: unknown agent "Nobody"']
+    });
+  });
+
+  test('skips the model planner when no provider key is configured', async () => {
+    delete process.env.PLANNER_TEST_KEY;
+    const engine = createFakeEngine('{}');
+    createOrchestrator(engine);
+
+    const { planning } = await orchestrator.planDirective('Write the release notes');
+
+    expect(engine.makeRequest).not.toHaveBeenCalled();
+    expect(planning.planner).toBe('keyword');
+    expect(planning.attempts[0]).toEqual({ planner: 'llm', status: 'unavailable' });
+    process.env.PLANNER_TEST_KEY = 'test-key';
+  });
+});
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExecutionSandbox = require('../services/execution-sandbox');
+
+describe('ExecutionSandbox', () => {
+  let policyDir;
+  let root;
+  let sandbox;
+
+  beforeAll(() => {
+    policyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sandbox-policies-'));
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'sandbox-root-'));
+    fs.writeFileSync(path.join(policyDir, 'default.json'), JSON.stringify({
+      allowedBinaries: ['bash', 'echo', 'cat', 'mkdir', 'sleep', 'head', 'env'],
+      timeoutMs: 10000,
+      maxOutputBytes: 1024,
+      env: { passthrough: ['PATH', 'SANDBOX_TEST_API_KEY'], set: { SANDBOX: '1' } },
+      limits: { cpuSeconds: 30, fileSizeMb: 16 }
+    }));
+    fs.writeFileSync(path.join(policyDir, 'sage.json'), JSON.stringify({
+      allowedBinaries: ['echo', 'docker'],
+      limits: { cpuSeconds: 60 }
+    }));
+    sandbox = new ExecutionSandbox({ policyDir });
+    process.env.SANDBOX_TEST_API_KEY = 'super-secret';
+  });
+
+  afterAll(() => {
+    delete process.env.SANDBOX_TEST_API_KEY;
+    fs.rmSync(policyDir, { recursive: true, force: true });
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('layers agent policies over the default policy', () => {
+    const policy = sandbox.getPolicy('Sage');
+    expect(policy.name).toBe('sage');
+    expect(policy.allowedBinaries).toEqual(['echo', 'docker']);
+    expect(policy.limits).toEqual({ cpuSeconds: 60, fileSizeMb: 16 });
+    expect(policy.timeoutMs).toBe(10000);
+    expect(sandbox.getPolicy('Nova').name).toBe('default');
+  });
+
+  test('runs shell scripts with heredocs inside the workspace with a scrubbed environment', async () => {
+    const result = await sandbox.run({
+      command: 'mkdir -p site && cd site && cat > index.html << EOF\n<h1>rm -rf /</h1>\nEOF\ncat index.html; env',
+      cwd: 'agent-workspace',
+      root
+    });
+
+    expect(result.exitCode).toBe(0);
+    expect(result.stdout).toContain('<h1>rm -rf /</h1>');
+    expect(result.stdout).toContain('SANDBOX=1');
+    expect(result.stdout).toContain(`HOME=${path.join(root, 'agent-workspace')}`);
+    expect(result.stdout).not.toContain('super-secret');
+    expect(fs.existsSync(path.join(root, 'agent-workspace', 'site', 'index.html'))).toBe(true);
+  });
+
+  test('refuses binaries outside the policy, including inside command substitutions', async () => {
+    await expect(sandbox.run({ command: 'echo ok && curl http://example.com', root }))
+      .rejects.toMatchObject({ code: 'BINARY_NOT_ALLOWED', message: 'Command curl not allowed by default policy' });
+    await expect(sandbox.run({ command: 'echo "$(python3 -c 1)"', root }))
+      .rejects.toMatchObject({ code: 'BINARY_NOT_ALLOWED' });
+    await expect(sandbox.run({ file: 'echo', args: ['hi'], root, agentName: 'Sage' }))
+      .resolves.toMatchObject({ exitCode: 0, stdout: 'hi\n', policy: 'sage' });
+  });
+
+  test('the shipped policies list no shells and set no per-user process limit', () => {
+    const shipped = new ExecutionSandbox();
+    for (const agent of ['Nova', 'Sage', 'Cipher']) {
+      const policy = shipped.getPolicy(agent);
+      expect(policy.allowedBinaries).not.toEqual(expect.arrayContaining(['bash']));
+      expect(policy.allowedBinaries).not.toEqual(expect.arrayContaining(['sh']));
+    }
+    expect(shipped.buildUlimitPrefix({ cpuSeconds: 5, maxProcesses: 512 })).toBe('ulimit -t 5 && ');
+  });
+
+  test('confines the working directory and cd targets to the root', async () => {
+    await expect(sandbox.run({ command: 'echo hi', cwd: '../elsewhere', root }))
+      .rejects.toMatchObject({ code: 'CWD_OUTSIDE_ROOT' });
+    await expect(sandbox.run({ command: 'cd a && cd ../../.. && cat etc/passwd', root }))
+      .rejects.toMatchObject({ code: 'CWD_OUTSIDE_ROOT' });
+  });
+
+  test('caps output and kills commands that exceed the timeout', async () => {
+    const noisy = await sandbox.run({ command: 'head -c 5000 /dev/zero', root });
+    expect(noisy.stdout).toHaveLength(1024);
+    expect(noisy.stdoutTruncated).toBe(true);
+
+    const slow = await sandbox.run({ command: 'sleep 5; echo late', root, timeoutMs: 200 });
+    expect(slow.timedOut).toBe(true);
+    expect(slow.exitCode).toBe(ExecutionSandbox.TIMEOUT_EXIT_CODE);
+    expect(slow.stdout).toBe('');
+    expect(slow.stderr).toContain('timed out after 200ms');
+  });
+});
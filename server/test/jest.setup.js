@@ -7,5 +7,8 @@ jest.mock('uuid', () => ({
 // Ensure tests run in test env
 process.env.NODE_ENV = process.env.NODE_ENV || 'test';
 
+// Keep artifact blobs written during tests out of the server tree
+process.env.BLOB_STORE_DIR = process.env.BLOB_STORE_DIR || require('path').join(require('os').tmpdir(), 'shellcompany-test-blobs');
+
 // Increase default timeout if needed for CI flaky machine
 jest.setTimeout(30000);
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Sequelize } = require('sequelize');
+const { DeploymentPipeline } = require('../services/deployment-pipeline');
+const { LocalDeployService } = require('../services/local-deploy');
+
+describe('Local deploy provider', () => {
+  let sequelize;
+  let models;
+  let dir;
+  let workspacesRoot;
+  let project;
+  const services = [];
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-deploy-'));
+    workspacesRoot = path.join(dir, 'agent-workspaces');
+    const site = path.join(workspacesRoot, 'Nova-workspace', 'dist');
+    fs.mkdirSync(path.join(site, 'assets'), { recursive: true });
+    fs.writeFileSync(path.join(site, 'index.html'), '<h1>Shell Site</h1>');
+    fs.writeFileSync(path.join(site, 'assets', 'site.css'), 'h1 { color: teal; }');
+    fs.writeFileSync(path.join(workspacesRoot, 'Nova-workspace', 'notes.md'), 'private notes');
+
+    // Users are not needed here; don't enforce their foreign keys
+    sequelize = new Sequelize('sqlite::memory:', { logging: false, foreignKeys: false, define: { timestamps: true, underscored: true } });
+    models = {
+      Project: require('../models/Project')(sequelize),
+      Environment: require('../models/Environment')(sequelize),
+      Deployment: require('../models/Deployment')(sequelize),
+      Artifact: require('../models/Artifact')(sequelize),
+      Audit: require('../models/Audit')(sequelize)
+    };
+    await sequelize.sync();
+
+    project = await models.Project.create({
+      name: 'Shell Site',
+      owner_id: crypto.randomUUID(),
+      settings: { deploy: { provider: 'local', agent: 'Nova', directory: 'dist' } }
+    });
+    for (const name of ['development', 'staging', 'production']) {
+      await models.Environment.create({ project_id: project.id, name });
+    }
+  });
+
+  afterEach(async () => {
+    for (const service of services.splice(0)) await service.stop();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // A pipeline and the local service reporting back into it
+  const setup = (options = {}) => {
+    const pipeline = new DeploymentPipeline({ models, bus: new EventEmitter(), pollIntervalMs: 60 * 60 * 1000 });
+    const local = new LocalDeployService({ root: path.join(dir, 'releases'), workspacesRoot, models, pipeline, ...options });
+    pipeline.options.providers = { local };
+    services.push(local);
+    return { pipeline, local };
+  };
+
+  const environment = (name) => models.Environment.findOne({ where: { project_id: project.id, name } });
+
+  test('serves a built agent workspace on its own port and records the real URL', async () => {
+    const { pipeline, local } = setup();
+
+    const deployment = await pipeline.deploy({ projectId: project.id, environment: 'production', actorId: project.owner_id });
+    expect(deployment).toMatchObject({ provider: 'local', status: 'success', url: expect.stringMatching(/^http:\/\/127\.0\.0\.1:\d+\/$/) });
+    expect(deployment.provider_deployment_id).toMatch(/^local-[0-9a-f]{12}$/);
+    expect(await environment('production')).toMatchObject({ status: 'healthy', url: deployment.url });
+    expect(deployment.logs).toContain('Copied 2 file(s) from agent-workspaces/Nova-workspace/dist');
+
+    const page = await fetch(deployment.url);
+    expect(page.status).toBe(200);
+    expect(page.headers.get('content-type')).toBe('text/html; charset=utf-8');
+    expect(await page.text()).toBe('<h1>Shell Site</h1>');
+    const css = await fetch(new URL('assets/site.css', deployment.url));
+    expect(css.headers.get('content-type')).toBe('text/css; charset=utf-8');
+    // Only the published directory is served
+    expect((await fetch(new URL('../notes.md', deployment.url))).status).toBe(404);
+    expect((await fetch(new URL('%2e%2e/notes.md', deployment.url))).status).toBe(404);
+    expect((await fetch(deployment.url, { method: 'POST' })).status).toBe(405);
+
+    await expect(pipeline.deploy({ projectId: project.id, environment: 'staging', config: { agent: null, directory: '../../etc' } }))
+      .rejects.toMatchObject({ code: 'PROVIDER_ERROR', message: expect.stringContaining('outside the agent workspaces') });
+    await expect(pipeline.deploy({ projectId: project.id, environment: 'development', config: { agent: null, directory: null } }))
+      .rejects.toMatchObject({ code: 'PROVIDER_ERROR' });
+    expect(local.previews.size).toBe(1);
+  });
+
+  test('runs previews side by side and stops them when their TTL runs out', async () => {
+    const blobs = { abc: Buffer.from('<p>from workflow</p>') };
+    const blobStore = { readContent: jest.fn(async (sha) => { if (!blobs[sha]) throw new Error('missing'); return blobs[sha]; }) };
+    const { pipeline, local } = setup({ blobStore, maxPreviews: 2 });
+    await models.Artifact.create({ project_id: project.id, path: 'index.html', sha256: 'abc', workflow_id: 'wf-7' });
+    await models.Artifact.create({ project_id: project.id, path: 'gone.html', sha256: 'def', workflow_id: 'wf-7' });
+
+    const staging = await pipeline.deploy({ projectId: project.id, environment: 'staging', config: { workflowId: 'wf-7' } });
+    const development = await pipeline.deploy({
+      projectId: project.id,
+      environment: 'development',
+      files: { 'index.html': '<p>uploaded</p>', 'docs/readme.txt': 'hello' }
+    });
+    expect(staging.url).not.toBe(development.url);
+    expect(await (await fetch(staging.url)).text()).toBe('<p>from workflow</p>');
+    expect(staging.logs).toContain('Skipped artifact gone.html: blob def is missing');
+    expect(await (await fetch(new URL('docs/readme.txt', development.url))).text()).toBe('hello');
+
+    // A third preview stops the one closest to expiry
+    const third = await local.createDeployment(project.owner_id, { files: { 'index.html': 'third' } });
+    expect(local.running().map(preview => preview.id).sort()).toEqual([development.provider_deployment_id, third.local.id].sort());
+    await expect(fetch(staging.url)).rejects.toThrow();
+    expect(await local.getDeployment(null, staging.provider_deployment_id)).toMatchObject({ state: 'expired' });
+
+    expect(await local.sweep(Date.now() + 3 * 60 * 60 * 1000)).toBe(2);
+    expect(local.previews.size).toBe(0);
+    await expect(fetch(development.url)).rejects.toThrow();
+    expect(fs.readdirSync(path.join(dir, 'releases'))).toEqual([]);
+    // A preview that is gone maps onto a failed deployment, as a provider error would
+    expect(pipeline.mapState('local', (await local.getDeployment(null, development.provider_deployment_id)).state)).toBe('failed');
+  });
+
+  test('rollbacks reuse a running preview and rebuild one that has expired', async () => {
+    const { pipeline, local } = setup();
+    const first = await pipeline.deploy({ projectId: project.id, environment: 'production', commitSha: 'aaaaaaa1' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await pipeline.deploy({ projectId: project.id, environment: 'production', commitSha: 'bbbbbbb2' });
+    expect(second.url).not.toBe(first.url);
+
+    const rolledBack = await pipeline.rollback({ projectId: project.id, environment: 'production' });
+    expect(rolledBack).toMatchObject({ status: 'success', url: first.url, provider_deployment_id: first.provider_deployment_id });
+    expect(rolledBack.metadata.restored).toBe(true);
+    expect(await environment('production')).toMatchObject({ url: first.url });
+
+    // Once its preview is gone the release is built again from the same workspace
+    await local.expire(local.previews.get(first.provider_deployment_id), 'TTL expired');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const rebuilt = await pipeline.rollback({ projectId: project.id, environment: 'production', deploymentId: first.id });
+    expect(rebuilt.status).toBe('success');
+    expect(rebuilt.provider_deployment_id).not.toBe(first.provider_deployment_id);
+    expect(await (await fetch(rebuilt.url)).text()).toBe('<h1>Shell Site</h1>');
+  });
+});
@@ -0,0 +1,112 @@
+const express = require('express');
+const request = require('supertest');
+const { Registry } = require('../services/prometheus');
+const { Metrics } = require('../services/metrics');
+
+describe('Prometheus metrics', () => {
+  afterEach(() => {
+    delete process.env.METRICS_TOKEN;
+  });
+
+  test('renders counters, gauges and histograms in the text exposition format', async () => {
+    const registry = new Registry();
+    registry.counter('jobs_total', 'Jobs run', ['queue']).inc({ queue: 'say "hi"\n' }, 2);
+    registry.gauge('workers', 'Idle workers').set({}, 3);
+    const latency = registry.histogram('job_seconds', 'Job latency', ['queue'], [0.5, 1]);
+    latency.observe({ queue: 'a' }, 0.25);
+    latency.observe({ queue: 'a' }, 0.75);
+    latency.observe({ queue: 'a' }, 4);
+
+    expect(await registry.render()).toBe([
+      '# HELP jobs_total Jobs run',
+      '# TYPE jobs_total counter',
+      'jobs_total{queue="say \\"hi\\"\\n"} 2',
+      '# HELP workers Idle workers',
+      '# TYPE workers gauge',
+      'workers 3',
+      '# HELP job_seconds Job latency',
+      '# TYPE job_seconds histogram',
+      'job_seconds_bucket{queue="a",le="0.5"} 1',
+      'job_seconds_bucket{queue="a",le="1"} 2',
+      'job_seconds_bucket{queue="a",le="+Inf"} 3',
+      'job_seconds_sum{queue="a"} 5',
+      'job_seconds_count{queue="a"} 3',
+      ''
+    ].join('\n'));
+    expect(() => registry.counter('jobs_total', 'again')).toThrow(/already registered/);
+    expect(() => registry.counter('jobs_total', 'Jobs run').inc({}, -1)).toThrow();
+  });
+
+  test('exports workflows, agents, providers and queues from the live services', async () => {
+    const orchestrator = {
+      workflows: new Map([
+        ['wf-1', { status: 'executing' }],
+        ['wf-2', { status: 'completed' }],
+        ['wf-3', { status: 'blocked_pending_ceo_approval' }]
+      ]),
+      taskQueue: [{ id: 't-1' }],
+      getAgentStatus: () => [
+        { name: 'Alex', role: 'Project Manager', status: 'busy', queueDepth: 2 },
+        { name: 'Nova', role: 'Frontend Developer', status: 'idle', queueDepth: 0 }
+      ]
+    };
+    const taskQueue = {
+      getStatistics: () => ({
+        queued: 4, running: 1, completed: 6, scheduled: 0, failed: 2,
+        byPriority: { high: 1, normal: 5, low: 0 }, averageDuration: 1500, totalCost: 0.42
+      })
+    };
+    const providerLimits = {
+      snapshot: () => ({
+        'openai:sk-abcde': { inFlight: 1, maxConcurrent: 3, rpm: 60, recent: 5 },
+        'openai:env': { inFlight: 2, maxConcurrent: 3, rpm: 60, recent: 7 }
+      })
+    };
+    const metrics = new Metrics({ orchestrator, taskQueue, providerLimits });
+
+    metrics.recordProviderRequest({ provider: 'openai', success: true, latencyMs: 800, tokens: { input: 120, output: 30 }, cost: 0.002 });
+    metrics.recordProviderRequest({ provider: 'openai', success: false, latencyMs: 30000 });
+    metrics.recordTask({ agent: 'Nova', status: 'completed', durationMs: 42000 });
+
+    const text = await metrics.render();
+    expect(text).toContain('shellcompany_workflows{status="executing"} 1');
+    expect(text).toContain('shellcompany_workflows{status="blocked_pending_ceo_approval"} 1');
+    expect(text).toContain('shellcompany_orchestrator_queued_tasks 1');
+    expect(text).toContain('shellcompany_agent_queue_depth{agent="Alex",role="Project Manager"} 2');
+    expect(text).toContain('shellcompany_agent_busy{agent="Alex"} 1');
+    expect(text).toContain('shellcompany_agent_task_duration_seconds_bucket{agent="Nova",status="completed",le="60"} 1');
+    expect(text).toContain('shellcompany_agent_task_duration_seconds_sum{agent="Nova",status="completed"} 42');
+    expect(text).toContain('shellcompany_provider_requests_total{provider="openai",outcome="success"} 1');
+    expect(text).toContain('shellcompany_provider_requests_total{provider="openai",outcome="error"} 1');
+    expect(text).toContain('shellcompany_provider_request_duration_seconds_bucket{provider="openai",le="1"} 1');
+    expect(text).toContain('shellcompany_provider_tokens_total{provider="openai",direction="input"} 120');
+    expect(text).toContain('shellcompany_provider_cost_usd_total{provider="openai"} 0.002');
+    expect(text).toContain('shellcompany_provider_in_flight_requests{provider="openai"} 3');
+    expect(text).toContain('shellcompany_provider_max_concurrent_requests{provider="openai"} 3');
+    expect(text).toContain('shellcompany_provider_requests_last_minute{provider="openai"} 12');
+    expect(text).not.toContain('sk-abcde');
+    expect(text).toContain('shellcompany_task_queue_tasks{state="queued"} 4');
+    expect(text).toContain('shellcompany_task_queue_average_duration_seconds 1.5');
+    expect(metrics.workflowCounts()).toMatchObject({ total: 3, active: 2 });
+
+    // Finished workflows dropped from the orchestrator disappear from the next scrape
+    orchestrator.workflows.delete('wf-3');
+    expect(await metrics.render()).not.toContain('blocked_pending_ceo_approval');
+  });
+
+  test('serves scrapes with the Prometheus content type and an optional bearer token', async () => {
+    const metrics = new Metrics({ taskQueue: null, providerLimits: { snapshot: () => ({}) } });
+    const app = express();
+    app.get('/metrics', metrics.handler());
+
+    const open = await request(app).get('/metrics');
+    expect(open.status).toBe(200);
+    expect(open.headers['content-type']).toMatch(/^text\/plain;/);
+    expect(open.headers['content-type']).toContain('version=0.0.4');
+    expect(open.text).toContain('# TYPE shellcompany_process_uptime_seconds gauge');
+
+    process.env.METRICS_TOKEN = 'scrape-me';
+    expect((await request(app).get('/metrics')).status).toBe(401);
+    expect((await request(app).get('/metrics').set('Authorization', 'Bearer scrape-me')).status).toBe(200);
+  });
+});
@@ -0,0 +1,136 @@
+const RealProviderEngine = require('../services/real-provider-engine');
+const providerMonitor = require('../services/provider-monitor');
+const bus = require('../services/bus');
+
+const PROVIDER_ENV = ['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'GOOGLE_API_KEY', 'OLLAMA_ENABLED'];
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+const ndjson = (lines) => new Response(lines.map(l => JSON.stringify(l)).join('\n') + '\n', { headers: { 'content-type': 'application/x-ndjson' } });
+
+const TAGS = { models: [{ name: 'qwen2.5-coder:7b' }, { name: 'llama3.1:8b' }] };
+
+describe('Ollama as a RealProviderEngine provider', () => {
+  const savedEnv = {};
+  const realFetch = global.fetch;
+  let engine;
+
+  beforeAll(() => {
+    // The constructor would otherwise validate every provider over the network
+    jest.spyOn(RealProviderEngine.prototype, 'initialize').mockResolvedValue();
+  });
+
+  beforeEach(() => {
+    for (const key of PROVIDER_ENV) {
+      savedEnv[key] = process.env[key];
+      delete process.env[key];
+    }
+    engine = new RealProviderEngine();
+    engine.providers.ollama.baseUrl = 'http://ollama.test';
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+    for (const key of PROVIDER_ENV) {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    }
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('is only routable once the local server has answered a probe', async () => {
+    expect(engine.isProviderEnabled('ollama')).toBe(true);
+    expect(engine.isProviderConfigured('ollama')).toBe(false);
+
+    global.fetch = jest.fn(async () => { throw new Error('connect ECONNREFUSED'); });
+    expect(await engine.testProviderConnection('ollama', null)).toBe(false);
+    expect(engine.isProviderConfigured('ollama')).toBe(false);
+
+    global.fetch = jest.fn(async () => json(TAGS));
+    expect(await engine.testProviderConnection('ollama', null)).toBe(true);
+    await engine.discoverModels(['ollama']);
+
+    expect(global.fetch).toHaveBeenCalledWith('http://ollama.test/api/tags', expect.any(Object));
+    expect(engine.isProviderConfigured('ollama')).toBe(true);
+    expect(engine.providers.ollama.availableModels).toEqual(['qwen2.5-coder:7b', 'llama3.1:8b']);
+    expect(engine.getActiveModel('ollama')).toBe('qwen2.5-coder:7b');
+
+    process.env.OLLAMA_ENABLED = 'false';
+    expect(engine.isProviderConfigured('ollama')).toBe(false);
+  });
+
+  test('streams chat output at zero cost', async () => {
+    engine.providers.ollama.reachable = true;
+    engine.providers.ollama.availableModels = ['llama3.1:8b'];
+    engine.activeModels.set('ollama', 'llama3.1:8b');
+
+    const events = [];
+    const listener = evt => events.push(evt);
+    bus.on('provider_stream', listener);
+
+    global.fetch = jest.fn(async () => ndjson([
+      { model: 'llama3.1:8b', message: { role: 'assistant', content: 'Local ' }, done: false },
+      { model: 'llama3.1:8b', message: { role: 'assistant', content: 'answer' }, done: false },
+      { model: 'llama3.1:8b', message: { role: 'assistant', content: '' }, done: true, prompt_eval_count: 11, eval_count: 2 }
+    ]));
+
+    try {
+      const result = await engine.makeRequest('ollama', 'Say something', { context: { workflowId: 'wf-9', agent: 'Nova' } });
+      expect(result).toMatchObject({ content: 'Local answer', provider: 'ollama', model: 'llama3.1:8b', usage: { input: 11, output: 2 }, cost: 0 });
+    } finally {
+      bus.off('provider_stream', listener);
+    }
+
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://ollama.test/api/chat');
+    expect(JSON.parse(init.body)).toMatchObject({ model: 'llama3.1:8b', stream: true, options: { num_predict: 1000 } });
+    expect(events.map(e => e.type)).toEqual(['start', 'delta', 'end']);
+    expect(events[0]).toMatchObject({ provider: 'ollama', workflowId: 'wf-9', agent: 'Nova' });
+  });
+
+  test('takes over when the cloud provider fails', async () => {
+    process.env.ANTHROPIC_API_KEY = 'test-key';
+    engine.providers.anthropic.availableModels = ['claude-3-5-haiku-20241022'];
+    engine.activeModels.set('anthropic', 'claude-3-5-haiku-20241022');
+    engine.providers.ollama.reachable = true;
+    engine.providers.ollama.availableModels = ['llama3.1:8b'];
+
+    global.fetch = jest.fn(async (url) => {
+      if (String(url).startsWith('http://ollama.test')) {
+        return json({ message: { role: 'assistant', content: 'offline plan' }, done: true, prompt_eval_count: 5, eval_count: 3 });
+      }
+      return json({ error: { type: 'overloaded_error', message: 'Overloaded' } }, 529);
+    });
+
+    const switched = [];
+    engine.on('providerSwitched', evt => switched.push(evt));
+
+    const result = await engine.makeRequest('anthropic', 'Plan the work', { stream: false });
+    expect(result).toMatchObject({ provider: 'ollama', content: 'offline plan', cost: 0 });
+    expect(switched).toEqual([{ from: 'anthropic', to: 'ollama', reason: 'automatic_fallback' }]);
+  });
+});
+
+describe('Ollama in ProviderMonitor', () => {
+  const realFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = realFetch;
+    delete process.env.OLLAMA_ENABLED;
+  });
+
+  test('needs no key, has a free cost tier and discovers pulled models', async () => {
+    expect(providerMonitor.hasKey('ollama')).toBe(true);
+    process.env.OLLAMA_ENABLED = 'false';
+    expect(providerMonitor.hasKey('ollama')).toBe(false);
+    delete process.env.OLLAMA_ENABLED;
+
+    expect(providerMonitor.classifyCostTier('ollama', 'llama3.1:8b')).toBe('free');
+
+    global.fetch = jest.fn(async () => json({ models: [{ name: 'mistral:7b' }, { name: 'llama3:8b' }] }));
+    const { candidates } = await providerMonitor.discoverModels('ollama');
+    expect(candidates).toEqual(['llama3:8b', 'mistral:7b']);
+    expect(global.fetch.mock.calls[0][0]).toMatch(/\/api\/tags$/);
+  });
+});
@@ -0,0 +1,146 @@
+const { EventEmitter } = require('events');
+const { readSSE, createAccumulator, collectStream, TokenStream } = require('../services/provider-stream');
+
+// Body split at arbitrary byte offsets, the way a network read delivers it
+function chunkedBody(text, size = 7) {
+  const bytes = new TextEncoder().encode(text);
+  return new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += size) controller.enqueue(bytes.slice(i, i + size));
+      controller.close();
+    }
+  });
+}
+
+const sse = (events) => events.map(e => `${e.event ? `event: ${e.event}\n` : ''}data: ${JSON.stringify(e.data)}\n\n`).join('');
+
+async function collectEvents(body) {
+  const events = [];
+  for await (const event of readSSE(body)) events.push(event);
+  return events;
+}
+
+describe('readSSE', () => {
+  test('reassembles events across chunk boundaries, CRLF and multi-line data', async () => {
+    const body = chunkedBody(': keep-alive\r\nevent: ping\r\ndata: {"a":1}\r\n\r\ndata: line one\ndata: line two\n\ndata: [DONE]', 3);
+    expect(await collectEvents(body)).toEqual([
+      { event: 'ping', data: '{"a":1}' },
+      { event: 'message', data: 'line one\nline two' },
+      { event: 'message', data: '[DONE]' }
+    ]);
+  });
+});
+
+describe('provider stream accumulators', () => {
+  const feed = (provider, payloads) => {
+    const accumulator = createAccumulator(provider);
+    const text = payloads.map(p => accumulator.push(p)).join('');
+    return { text, result: accumulator.result() };
+  };
+
+  test('anthropic rebuilds text and tool_use blocks with usage', () => {
+    const { text, result } = feed('claude', [
+      { type: 'message_start', message: { usage: { input_tokens: 12, output_tokens: 1 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hello' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: ' world' } },
+      { type: 'content_block_stop', index: 0 },
+      { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'database', input: {} } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"operation":' } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"schema"}' } },
+      { type: 'content_block_stop', index: 1 },
+      { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 30 } }
+    ]);
+
+    expect(text).toBe('Hello world');
+    expect(result.content).toEqual([
+      { type: 'text', text: 'Hello world' },
+      { type: 'tool_use', id: 'toolu_1', name: 'database', input: { operation: 'schema' } }
+    ]);
+    expect(result.usage).toEqual({ input_tokens: 12, output_tokens: 30 });
+  });
+
+  test('openai merges content and indexed tool call fragments', () => {
+    const { text, result } = feed('openai', [
+      { choices: [{ index: 0, delta: { role: 'assistant', content: 'Hi' } }] },
+      { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'database', arguments: '{"op' } }] } }] },
+      { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: 'eration":"schema"}' } }] } }] },
+      { choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] },
+      { choices: [], usage: { prompt_tokens: 9, completion_tokens: 4 } }
+    ]);
+
+    expect(text).toBe('Hi');
+    expect(result.choices[0].message).toEqual({
+      role: 'assistant',
+      content: 'Hi',
+      tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'database', arguments: '{"operation":"schema"}' } }]
+    });
+    expect(result.usage).toEqual({ prompt_tokens: 9, completion_tokens: 4 });
+  });
+
+  test('gemini concatenates text parts and keeps the last usage metadata', () => {
+    const { text, result } = feed('gemini', [
+      { candidates: [{ content: { parts: [{ text: 'Par' }] } }], usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 1 } },
+      { candidates: [{ content: { parts: [{ text: 'tial' }] } }], usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 2 } },
+      { candidates: [{ content: { parts: [{ functionCall: { name: 'database', args: {} } }] } }] }
+    ]);
+
+    expect(text).toBe('Partial');
+    expect(result.candidates[0].content.parts).toEqual([{ text: 'Partial' }, { functionCall: { name: 'database', args: {} } }]);
+    expect(result.usageMetadata).toEqual({ promptTokenCount: 5, candidatesTokenCount: 2 });
+  });
+});
+
+describe('collectStream', () => {
+  test('publishes tagged start, delta and end events and returns the response body', async () => {
+    const emitter = new EventEmitter();
+    const events = [];
+    emitter.on('provider_stream', evt => events.push(evt));
+
+    const response = new Response(chunkedBody(sse([
+      { event: 'message_start', data: { type: 'message_start', message: { usage: { input_tokens: 3 } } } },
+      { event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'abc' } } },
+      { event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'def' } } },
+      { event: 'message_delta', data: { type: 'message_delta', delta: {}, usage: { output_tokens: 2 } } }
+    ])), { headers: { 'content-type': 'text/event-stream' } });
+
+    const data = await collectStream(response, {
+      provider: 'anthropic',
+      model: 'claude-test',
+      context: { workflowId: 'wf-1', taskId: 'task-1', agent: 'Nova' },
+      emitter
+    });
+
+    expect(data.content[0].text).toBe('abcdef');
+    expect(events.map(e => e.type)).toEqual(['start', 'delta', 'end']);
+    expect(events[1]).toMatchObject({ text: 'abcdef', workflowId: 'wf-1', taskId: 'task-1', agent: 'Nova', provider: 'anthropic' });
+    expect(events[2]).toMatchObject({ length: 6, usage: { input_tokens: 3, output_tokens: 2 } });
+    expect(new Set(events.map(e => e.streamId)).size).toBe(1);
+  });
+
+  test('emits an error event when the provider reports a stream error', async () => {
+    const emitter = new EventEmitter();
+    const types = [];
+    emitter.on('provider_stream', evt => types.push(evt.type));
+    const response = new Response(chunkedBody(sse([{ data: { type: 'error', error: { message: 'overloaded' } } }])));
+
+    await expect(collectStream(response, { provider: 'claude', emitter })).rejects.toThrow('overloaded');
+    expect(types).toEqual(['start', 'error']);
+  });
+});
+
+describe('TokenStream', () => {
+  test('flushes once the batch size is reached', () => {
+    const emitter = new EventEmitter();
+    const deltas = [];
+    emitter.on('provider_stream', evt => evt.type === 'delta' && deltas.push(evt.text));
+
+    const stream = new TokenStream({ provider: 'openai', emitter, flushChars: 4, flushMs: 60000 });
+    stream.write('ab');
+    expect(deltas).toEqual([]);
+    stream.write('cd');
+    stream.write('e');
+    stream.end();
+    expect(deltas).toEqual(['abcd', 'e']);
+  });
+});
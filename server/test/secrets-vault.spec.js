@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const CryptoJS = require('crypto-js');
+const { Sequelize } = require('sequelize');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-'));
+process.env.VAULT_KEYRING_FILE = path.join(dir, 'keyring.json');
+process.env.ENCRYPTION_KEY = 'legacy-test-key';
+delete process.env.VAULT_MASTER_KEY;
+
+const keyring = require('../services/vault-keyring');
+const { VaultKeyring } = keyring;
+const { SecretsVault } = require('../services/secrets-vault');
+
+describe('Secrets vault key management', () => {
+  let sequelize;
+  let models;
+
+  beforeAll(async () => {
+    // Environments and users are not needed here; don't enforce their foreign keys
+    sequelize = new Sequelize('sqlite::memory:', { logging: false, foreignKeys: false, define: { timestamps: true, underscored: true } });
+    models = {
+      EnvVar: require('../models/EnvVar')(sequelize),
+      Connection: require('../models/Connection')(sequelize),
+      Audit: require('../models/Audit')(sequelize)
+    };
+    await sequelize.sync();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keyring KEKs are wrapped by the master key, rotate and can be retired', () => {
+    const ring = new VaultKeyring({ file: path.join(dir, 'protected.json'), masterKey: 'correct horse' });
+    const first = ring.encrypt('s3cret', 'env_vars:1:value_encrypted');
+    expect(first).toMatch(/^sv2:kek-1:/);
+    expect(fs.statSync(ring.file).mode & 0o777).toBe(0o600);
+    const stored = JSON.parse(fs.readFileSync(ring.file, 'utf8'));
+    expect(stored.keys[0]).toMatchObject({ id: 'kek-1', wrapped: true });
+
+    expect(() => new VaultKeyring({ file: ring.file, masterKey: 'wrong' }).load()).toThrow(expect.objectContaining({ code: 'MASTER_KEY_MISMATCH' }));
+    expect(() => new VaultKeyring({ file: ring.file, masterKey: null }).load()).toThrow(expect.objectContaining({ code: 'MASTER_KEY_REQUIRED' }));
+    // The value is bound to its row and column
+    expect(() => ring.decrypt(first, 'env_vars:2:value_encrypted')).toThrow(expect.objectContaining({ code: 'DECRYPT_FAILED' }));
+
+    expect(ring.addKey()).toMatchObject({ id: 'kek-2', status: 'active' });
+    expect(ring.status().rotation.rewrapPending).toBe(true);
+    const rewrapped = ring.rewrap(first);
+    expect(rewrapped).toMatch(/^sv2:kek-2:/);
+    expect(rewrapped.split(':')[3]).toBe(first.split(':')[3]);
+    expect(ring.decrypt(rewrapped, 'env_vars:1:value_encrypted')).toBe('s3cret');
+
+    // A second process (e.g. the CLI) sees the new key
+    const other = new VaultKeyring({ file: ring.file, masterKey: 'correct horse' });
+    expect(other.decrypt(rewrapped, 'env_vars:1:value_encrypted')).toBe('s3cret');
+
+    expect(() => ring.retireKey('kek-2')).toThrow(expect.objectContaining({ code: 'KEY_ACTIVE' }));
+    expect(ring.retireKey('kek-1')).toMatchObject({ status: 'retired' });
+    expect(() => ring.decrypt(first, 'env_vars:1:value_encrypted')).toThrow(expect.objectContaining({ code: 'KEY_UNAVAILABLE' }));
+    expect(() => ring.activateKey('kek-1')).toThrow(expect.objectContaining({ code: 'KEY_RETIRED' }));
+    expect(JSON.parse(fs.readFileSync(ring.file, 'utf8')).keys[0].material).toBeNull();
+  });
+
+  test('rewraps EnvVars and Connection tokens in batches, migrating legacy values', async () => {
+    const vault = new SecretsVault({ models, batchSize: 2 });
+    const envIds = [];
+    for (let i = 0; i < 3; i++) {
+      const envVar = models.EnvVar.build({ environment_id: crypto.randomUUID(), key: `KEY_${i}` });
+      envVar.setValue(`value-${i}`);
+      await envVar.save();
+      envIds.push(envVar.id);
+    }
+    // Written before the vault used envelopes
+    await models.EnvVar.create({
+      environment_id: crypto.randomUUID(),
+      key: 'LEGACY',
+      value_encrypted: CryptoJS.AES.encrypt('old-value', 'legacy-test-key').toString()
+    });
+    const connection = models.Connection.build({ user_id: crypto.randomUUID(), provider: 'github' });
+    connection.setToken('gho_token');
+    connection.setRefreshToken('ghr_refresh');
+    await connection.save();
+
+    expect(await vault.keyUsage()).toEqual({ 'kek-1': 5, legacy: 1 });
+    await vault.addKey(null);
+    await expect(vault.retireKey(null, 'kek-1')).rejects.toMatchObject({ code: 'KEY_IN_USE' });
+
+    const report = await vault.rewrapSecrets(null);
+    expect(report).toMatchObject({ activeKeyId: 'kek-2', scanned: 6, rewrapped: 5, migrated: 1, skipped: 0, failed: [] });
+    expect(report.batches).toBe(3);
+    expect(vault.keyStatus().rotation.rewrapPending).toBe(false);
+
+    const verify = await vault.verifySecrets(null);
+    expect(verify).toMatchObject({ checked: 6, ok: 6, healthy: true, keys: { 'kek-2': 6 } });
+    const legacy = await models.EnvVar.findOne({ where: { key: 'LEGACY' } });
+    expect(legacy.getValue()).toBe('old-value');
+    expect((await models.Connection.findByPk(connection.id)).getToken()).toBe('gho_token');
+
+    await expect(vault.retireKey(null, 'kek-1')).resolves.toMatchObject({ status: 'retired' });
+    const audits = await models.Audit.findAll({ where: { target: 'vault' } });
+    expect(audits.map(a => a.action)).toEqual(expect.arrayContaining(['VAULT_ADD_KEY', 'VAULT_REWRAP', 'VAULT_VERIFY', 'VAULT_RETIRE_KEY']));
+  });
+
+  test('verify reports secrets that no longer decrypt and rotation runs on schedule', async () => {
+    const vault = new SecretsVault({ models, rotationIntervalMs: 24 * 60 * 60 * 1000 });
+    const broken = await models.EnvVar.create({ environment_id: crypto.randomUUID(), key: 'BROKEN', value_encrypted: 'not-a-ciphertext' });
+
+    const verify = await vault.verifySecrets(null);
+    expect(verify.healthy).toBe(false);
+    expect(verify.failed).toEqual([expect.objectContaining({ table: 'env_vars', id: broken.id, keyId: 'legacy' })]);
+    await broken.destroy();
+
+    expect(await vault.runScheduledRotation(Date.now())).toBeNull();
+    const rotated = await vault.runScheduledRotation(Date.now() + 2 * 24 * 60 * 60 * 1000);
+    expect(rotated).toMatchObject({ success: true, key_id: 'kek-3', rotated_count: 6 });
+    expect(await vault.keyUsage()).toEqual({ 'kek-3': 6 });
+  });
+
+  test('placeholder tokens left by older versions do not block a rewrap or fail verify', async () => {
+    const vault = new SecretsVault({ models });
+    const stale = await models.Connection.create({ user_id: crypto.randomUUID(), provider: 'vercel', token_encrypted: 'placeholder' });
+
+    await vault.addKey(null);
+    const report = await vault.rewrapSecrets(null);
+    expect(report).toMatchObject({ activeKeyId: 'kek-4', scanned: 6, failed: [] });
+    expect(vault.keyStatus().rotation.rewrapPending).toBe(false);
+    expect(await vault.verifySecrets(null)).toMatchObject({ checked: 6, healthy: true });
+    expect(await vault.keyUsage()).toEqual({ 'kek-4': 6 });
+    await stale.destroy();
+  });
+});
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const { Logger } = require('../services/logger');
+const LogStore = require('../services/log-store');
+const RotatingLogFile = require('../services/log-file');
+const { parseTag } = require('../services/console-logger');
+
+describe('Structured logging', () => {
+  let sequelize;
+  let models;
+
+  beforeAll(async () => {
+    sequelize = new Sequelize('sqlite::memory:', { logging: false, define: { timestamps: true, underscored: true } });
+    models = { sequelize, LogEntry: require('../models/LogEntry')(sequelize) };
+    await sequelize.sync();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const entryAt = (logger, offsetMs, level, message, fields) => {
+    const entry = logger.createEntry(level, message, fields);
+    entry.timestamp = new Date(Date.parse('2026-10-01T12:00:00Z') + offsetMs).toISOString();
+    return entry;
+  };
+
+  test('stores entries and queries them by level, agent, workflow, text and time with cursors', async () => {
+    const logger = new Logger();
+    const store = new LogStore({ models, retentionMs: 1000 });
+    const wf = logger.child({ source: 'WORKFLOW', workflowId: 'wf-1' });
+    expect(wf.child({ agent: 'Nova' }).info('Task finished', { durationMs: 1200 })).toMatchObject({
+      source: 'WORKFLOW', workflowId: 'wf-1', agent: 'Nova', fields: { durationMs: 1200 }
+    });
+
+    for (let i = 0; i < 5; i++) {
+      store.add(entryAt(logger, i * 1000, 'info', `Nova step ${i}`, { source: 'WORKFLOW', agent: 'Nova', workflowId: 'wf-1', taskId: `t-${i}` }));
+    }
+    store.add(entryAt(logger, 5000, 'error', 'Sage hit a 100% CPU spike', { source: 'WORKFLOW', agent: 'Sage', workflowId: 'wf-2' }));
+    store.add(entryAt(logger, 6000, 'warn', 'Plain console warning'));
+
+    const first = await store.query({ agent: 'Nova', limit: 2 });
+    expect(first.logs.map(log => log.message)).toEqual(['Nova step 3', 'Nova step 4']);
+    const second = await store.query({ agent: 'Nova', limit: 2, cursor: first.nextCursor });
+    expect(second.logs.map(log => log.message)).toEqual(['Nova step 1', 'Nova step 2']);
+    const last = await store.query({ agent: 'Nova', limit: 2, cursor: second.nextCursor });
+    expect(last).toEqual({ logs: [expect.objectContaining({ message: 'Nova step 0', taskId: 't-0' })], nextCursor: null });
+
+    expect((await store.query({ level: 'warn,error' })).logs.map(log => log.level)).toEqual(['error', 'warn']);
+    expect((await store.query({ workflowId: 'wf-2' })).logs).toHaveLength(1);
+    // Text search is a case-insensitive substring match; % is not a wildcard
+    expect((await store.query({ q: '100% cpu' })).logs.map(log => log.agent)).toEqual(['Sage']);
+    expect((await store.query({ q: '%' })).logs).toHaveLength(1);
+    expect((await store.query({ since: '2026-10-01T12:00:02Z', until: '2026-10-01T12:00:04Z' })).logs).toHaveLength(3);
+    await expect(store.query({ cursor: 'not-a-cursor' })).rejects.toMatchObject({ code: 'INVALID_QUERY' });
+
+    expect(await store.prune(Date.parse('2026-10-01T12:00:04Z'))).toEqual({ deleted: 3 });
+  });
+
+  test('answers queries from memory until started, with the same filters', async () => {
+    const logger = new Logger({ store: new LogStore({ models }) });
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    try {
+      logger.info('Deploy started', { source: 'DEPLOY', workflowId: 'wf-9' });
+      logger.debug('Dropped below the default level');
+      logger.info('Unrelated');
+    } finally {
+      write.mockRestore();
+    }
+
+    expect(logger.recentEntries()).toHaveLength(2);
+    const { logs, nextCursor } = await logger.query({ workflowId: 'wf-9' });
+    expect(logs).toEqual([expect.objectContaining({ source: 'DEPLOY', message: 'Deploy started' })]);
+    expect(nextCursor).toBeNull();
+    expect(parseTag('[WORKFLOW:abc123] Task done')).toEqual({ source: 'WORKFLOW', workflowId: 'abc123' });
+    expect(parseTag('[WEBHOOK] Delivery processed')).toEqual({ source: 'WEBHOOK' });
+    expect(parseTag('plain message')).toEqual({});
+  });
+
+  test('rotates JSONL files by size and keeps the newest files', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-file-'));
+    const file = new RotatingLogFile({ dir, maxBytes: 100, maxFiles: 2 });
+    const line = `${JSON.stringify({ message: 'x'.repeat(60) })}\n`;
+    const day = new Date('2026-10-01T08:00:00Z');
+
+    for (let i = 0; i < 4; i++) file.write(line, day);
+    await file.close();
+
+    expect(fs.readdirSync(dir).sort()).toEqual(['shellcompany-2026-10-01.2.jsonl', 'shellcompany-2026-10-01.3.jsonl']);
+    expect(fs.readFileSync(path.join(dir, 'shellcompany-2026-10-01.3.jsonl'), 'utf8')).toBe(line);
+
+    // A new day starts a new file
+    file.write(line, new Date('2026-10-02T00:00:01Z'));
+    await file.close();
+    expect(fs.existsSync(path.join(dir, 'shellcompany-2026-10-02.jsonl'))).toBe(true);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,234 @@
+// Mock 'uuid' to avoid ESM-only uuid package parsing inside Jest runtime
+jest.mock('uuid', () => ({ v4: () => `test-uuid-${Date.now()}-${Math.random().toString(36).slice(2,8)}` }));
+// No provider is called; skip the engine's network validation on construction
+jest.mock('../services/real-provider-engine', () => jest.fn().mockImplementation(() => ({})));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+const express = require('express');
+const { EventEmitter } = require('events');
+const { Sequelize } = require('sequelize');
+const leases = require('../services/task-leases');
+const { TaskLeaseManager } = require('../services/task-leases');
+const WorkflowOrchestrator = require('../services/workflow-orchestrator');
+const redaction = require('../services/secret-redaction');
+
+const RUNNER = path.join(__dirname, '..', 'workers', 'runner.js');
+
+const waitFor = async (check, timeoutMs = 10000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+};
+
+describe('Task leases', () => {
+  let sequelize;
+  let models;
+  let dir;
+
+  beforeAll(async () => {
+    sequelize = new Sequelize('sqlite::memory:', { logging: false, define: { timestamps: true, underscored: true } });
+    models = { Worker: require('../models/Worker')(sequelize) };
+    await sequelize.sync();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-leases-'));
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const task = (title, agent, extra = {}) => ({ workflowId: 'wf-1', taskId: title, title, agent, commands: ['echo hi'], cwd: dir, root: dir, env: {}, ...extra });
+
+  test('leases tasks to one worker at a time and re-queues them when the lease runs out', async () => {
+    const manager = new TaskLeaseManager({ models, bus: new EventEmitter(), leaseMs: 1000, maxAttempts: 2 });
+    const build = manager.offer(task('Build', 'Nova'));
+    const plan = manager.offer(task('Plan', 'Alex'));
+
+    // Workers only take tasks for the agents they serve
+    const first = await manager.claim('runner-a', { agents: ['alex'], pid: 4242 });
+    expect(first).toMatchObject({ attempt: 1, task: { title: 'Plan', agent: 'Alex', commands: ['echo hi'] } });
+    expect(await models.Worker.findByPk('runner-a')).toMatchObject({ status: 'busy', pid: 4242, current_command: 'Plan' });
+    expect(await manager.claim('runner-a', { agents: ['Alex'] })).toBeNull();
+    await expect(manager.heartbeat('runner-b', first.leaseId)).rejects.toMatchObject({ code: 'NOT_LEASE_OWNER' });
+    const renewed = await manager.heartbeat('runner-a', first.leaseId, { progress: { step: 1, of: 1, command: 'echo hi' } });
+    expect(renewed.cancelled).toBe(false);
+    expect(manager.status().leased).toEqual([expect.objectContaining({ title: 'Plan', workerId: 'runner-a', progress: { step: 1, of: 1, command: 'echo hi' } })]);
+
+    // runner-a goes quiet: its lease lapses and runner-b gets the task
+    expect(manager.sweep(Date.now() + 1500)).toBe(1);
+    expect(await waitFor(async () => (await models.Worker.findByPk('runner-a')).status === 'offline')).toBe(true);
+    const second = await manager.claim('runner-b');
+    expect(second).toMatchObject({ attempt: 2, task: { title: 'Plan' } });
+    await expect(manager.complete('runner-a', first.leaseId, { status: 'completed' })).rejects.toMatchObject({ code: 'LEASE_LOST' });
+    expect(await manager.complete('runner-b', second.leaseId, { status: 'completed', steps: [{ command: 'echo hi', exitCode: 0, stdout: 'hi\n' }] })).toEqual({ accepted: true });
+    expect(await plan).toMatchObject({ status: 'completed', attempts: 2, workerId: 'runner-b', steps: [{ stdout: 'hi\n' }] });
+
+    // A task whose every claim lapsed fails instead of bouncing forever
+    await manager.claim('runner-b');
+    manager.sweep(Date.now() + 1500);
+    await manager.claim('runner-c');
+    manager.sweep(Date.now() + 1500);
+    expect(await build).toMatchObject({ status: 'failed', attempts: 2, error: 'Lease held by runner-c expired (after 2 attempt(s))' });
+    expect(manager.status()).toEqual({ queued: [], leased: [] });
+  });
+
+  test('a runner process that dies mid-task loses its lease to another runner', async () => {
+    const app = express();
+    app.use('/api/workers/:id/leases', require('../routes/worker-leases-api'));
+    const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    Object.assign(leases, { leaseMs: 800, bus: new EventEmitter() });
+    Object.assign(leases.options, { models, runnerToken: 'runner-token' });
+    const workspace = path.join(dir, 'nova-workspace');
+    fs.mkdirSync(workspace);
+
+    const runners = [];
+    const startRunner = (id) => {
+      const child = fork(RUNNER, [], {
+        env: { PATH: process.env.PATH, WORKER_API_URL: `http://127.0.0.1:${server.address().port}`, WORKER_ID: id, WORKER_TOKEN: 'runner-token', WORKER_POLL_MS: '100' },
+        stdio: ['ignore', 'ignore', 'ignore', 'ipc']
+      });
+      runners.push(child);
+      return child;
+    };
+    const exited = (child) => new Promise(resolve => (child.exitCode !== null || child.signalCode ? resolve() : child.once('exit', resolve)));
+
+    try {
+      // Only a worker token opens the lease routes; any other bearer is refused
+      const claimUrl = `http://127.0.0.1:${server.address().port}/api/workers/intruder/leases/claim`;
+      expect((await fetch(claimUrl, { method: 'POST' })).status).toBe(401);
+      expect((await fetch(claimUrl, { method: 'POST', headers: { Authorization: 'Bearer user-session' } })).status).toBe(401);
+
+      const site = leases.offer(task('Build site', 'Nova', {
+        cwd: workspace,
+        root: dir,
+        commands: ['mkdir -p site && echo "<h1>Shell</h1>" > site/index.html', 'sleep 2', 'echo built']
+      }));
+      const doomed = startRunner('runner-doomed');
+      await waitFor(() => leases.status().leased.some(lease => lease.workerId === 'runner-doomed'));
+      process.kill(doomed.pid, 'SIGKILL');
+      await exited(doomed);
+
+      // Two healthy runners: one picks up the orphaned task, the other a new one in parallel
+      startRunner('runner-1');
+      startRunner('runner-2');
+      await waitFor(() => leases.status().leased.some(lease => lease.title === 'Build site' && lease.attempts === 2));
+      const notes = leases.offer(task('Write notes', 'Alex', { cwd: path.join(dir, 'alex-workspace'), root: dir, commands: ['echo "# Notes" > NOTES.md'] }));
+      const [built, written] = await Promise.all([site, notes]);
+
+      expect(built).toMatchObject({ status: 'completed', attempts: 2 });
+      expect(built.steps.map(step => [step.command, step.exitCode])).toEqual([
+        ['mkdir -p site && echo "<h1>Shell</h1>" > site/index.html', 0],
+        ['sleep 2', 0],
+        ['echo built', 0]
+      ]);
+      expect(built.artifacts).toEqual([expect.objectContaining({ relativePath: 'site/index.html', content: '<h1>Shell</h1>\n', size: 15 })]);
+      expect(written).toMatchObject({ status: 'completed', attempts: 1 });
+      expect(written.workerId).not.toBe(built.workerId);
+      expect([built.workerId, written.workerId].sort()).toEqual(['runner-1', 'runner-2']);
+      expect(await models.Worker.findByPk('runner-doomed')).toMatchObject({ status: 'offline', pid: null });
+    } finally {
+      for (const child of runners) {
+        if (child.exitCode === null && !child.signalCode) child.kill('SIGTERM');
+        await exited(child);
+      }
+      delete leases.options.runnerToken;
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('secret-bearing tasks go only to the runner whose own token is bound to the agent', async () => {
+    const app = express();
+    app.use('/api/workers/:id/leases', require('../routes/worker-leases-api'));
+    const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    Object.assign(leases, { bus: new EventEmitter() });
+    Object.assign(leases.options, { models, runnerToken: 'shared-token', workerTokens: { 'runner-nova': { token: 'nova-token', agents: ['Nova'] } } });
+    const claim = (workerId, token, agents) => fetch(`http://127.0.0.1:${server.address().port}/api/workers/${workerId}/leases/claim`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ agents })
+    });
+
+    try {
+      const deploy = leases.offer(task('Deploy', 'Nova', { env: { DEPLOY_TOKEN: 'tok-123456' } }));
+      // Declaring the agent with the shared token is not enough
+      expect((await claim('runner-any', 'shared-token', ['Nova'])).status).toBe(204);
+      // A runner's token only works for its own id, and the shared token cannot act for that id
+      expect((await claim('runner-any', 'nova-token', ['Nova'])).status).toBe(401);
+      expect((await claim('runner-nova', 'shared-token', ['Nova'])).status).toBe(401);
+
+      // The bound agents apply whatever the runner declares
+      const response = await claim('runner-nova', 'nova-token', ['Alex']);
+      expect(response.status).toBe(200);
+      const { lease } = await response.json();
+      expect(lease.task).toMatchObject({ title: 'Deploy', agent: 'Nova', env: { DEPLOY_TOKEN: 'tok-123456' } });
+      await leases.complete('runner-nova', lease.leaseId, { status: 'completed' });
+      expect(await deploy).toMatchObject({ status: 'completed', workerId: 'runner-nova' });
+    } finally {
+      delete leases.options.runnerToken;
+      delete leases.options.workerTokens;
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('the orchestrator hands task commands to the lease queue and stops waiting on cancel', async () => {
+    const manager = new TaskLeaseManager({ models, bus: new EventEmitter() });
+    const workflowStore = { async saveWorkflow() { return true; }, async saveTasks(workflow, tasks) { return tasks.length; } };
+    const orchestrator = new WorkflowOrchestrator(path.join(dir, 'workspaces'), null, { autoStart: false, workflowStore, taskLeases: manager });
+    const release = redaction.register({ DEPLOY_TOKEN: 'tok-123456' });
+    try {
+      const nova = orchestrator.agents.get('Nova');
+      const tasks = [
+        { id: 'l1', workflowId: 'wf-leased', title: 'Build', description: 'Build', assignedAgent: 'Nova', status: 'running', commands: ['npm run build'] },
+        { id: 'l2', workflowId: 'wf-leased', title: 'Ship', description: 'Ship', assignedAgent: 'Nova', status: 'running', commands: ['sleep 30'] }
+      ];
+      const workflow = { id: 'wf-leased', directive: 'Build', status: 'executing', startTime: Date.now(), tasks, artifacts: [], metadata: {} };
+      orchestrator.workflows.set(workflow.id, workflow);
+
+      const running = orchestrator.executeRealTask(tasks[0], nova, workflow, { env: { DEPLOY_TOKEN: 'tok-123456' } });
+      await waitFor(() => manager.status().queued.length === 1);
+      // A task carrying secrets only goes to a worker bound to its agent
+      expect(await manager.claim('runner-x')).toBeNull();
+      expect(await manager.claim('runner-x', { agents: ['Nova'] })).toBeNull();
+      expect(await manager.claim('runner-x', { agents: ['Alex'], allowSecrets: true })).toBeNull();
+      const lease = await manager.claim('runner-x', { agents: ['Nova'], allowSecrets: true });
+      expect(lease.task).toMatchObject({ workflowId: 'wf-leased', taskId: 'l1', agent: 'Nova', commands: ['npm run build'], env: { DEPLOY_TOKEN: 'tok-123456' } });
+      expect(lease.task.cwd.endsWith(path.join('agent-workspaces', 'nova-workspace'))).toBe(true);
+      await manager.complete('runner-x', lease.leaseId, {
+        status: 'completed',
+        steps: [{ step: 1, command: 'npm run build', exitCode: 0, success: true, stdout: 'using tok-123456' }],
+        artifacts: [
+          { relativePath: 'dist/index.html', content: '<p>tok-123456</p>' },
+          { relativePath: '../../server.js', content: 'outside the workspace' }
+        ]
+      });
+      const result = await running;
+      expect(result.status).toBe('completed');
+      expect(result.steps).toEqual([expect.objectContaining({ commandId: 'cmd-l1-0', stdout: 'using [REDACTED:DEPLOY_TOKEN]' })]);
+      expect(result.artifacts).toHaveLength(1);
+      expect(result.artifacts[0]).toMatchObject({
+        name: 'dist/index.html',
+        content: '<p>[REDACTED:DEPLOY_TOKEN]</p>',
+        absolutePath: path.join(lease.task.cwd, 'dist', 'index.html'),
+        checksum: orchestrator.generateChecksum('<p>[REDACTED:DEPLOY_TOKEN]</p>')
+      });
+
+      // Cancelling the workflow tells the runner holding the task to stop
+      const shipping = orchestrator.executeRealTask(tasks[1], nova, workflow);
+      const shipLease = await waitFor(() => manager.claim('runner-x'));
+      await orchestrator.cancelWorkflow('wf-leased', 'Stopped');
+      expect(await shipping).toMatchObject({ status: 'failed', error: 'Workflow cancelled' });
+      expect(await manager.heartbeat('runner-x', shipLease.leaseId)).toEqual({ leaseId: shipLease.leaseId, cancelled: true });
+      expect(manager.status()).toEqual({ queued: [], leased: [] });
+    } finally {
+      release();
+      await orchestrator.shutdown();
+    }
+  });
+});
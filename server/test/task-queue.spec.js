@@ -0,0 +1,180 @@
+const { Sequelize } = require('sequelize');
+const CronExpression = require('../services/cron-expression');
+const { TaskQueue } = require('../services/task-queue');
+
+const USER_ID = '00000000-0000-0000-0000-000000000001';
+const PROJECT_ID = 'project-1';
+
+describe('CronExpression', () => {
+  const from = new Date(2026, 0, 31, 10, 7, 30); // Sat 31 Jan 2026 10:07:30 local
+
+  test.each([
+    ['*/15 * * * *', new Date(2026, 0, 31, 10, 15)],
+    ['0 9 * * MON-FRI', new Date(2026, 1, 2, 9, 0)],
+    ['@monthly', new Date(2026, 1, 1, 0, 0)],
+    ['5/20 */6 * jan,JUL *', new Date(2026, 0, 31, 12, 5)],
+    ['0 0 29 2 *', new Date(2028, 1, 29, 0, 0)],
+    // Day-of-month and day-of-week both restricted: either one matches (Sun 1 Feb)
+    ['30 2 1,15 * 5', new Date(2026, 1, 1, 2, 30)],
+    ['0 12 * * 7', new Date(2026, 1, 1, 12, 0)]
+  ])('%s fires next at %s', (expression, expected) => {
+    expect(new CronExpression(expression).next(from)).toEqual(expected);
+  });
+
+  test('lists occurrences in a window', () => {
+    const runs = new CronExpression('0 * * * *').between(from, new Date(2026, 0, 31, 13, 0));
+    expect(runs).toEqual([11, 12, 13].map(h => new Date(2026, 0, 31, h, 0)));
+  });
+
+  test('rejects malformed expressions', () => {
+    expect(() => new CronExpression('61 * * * *')).toThrow('minute value 61 out of range 0-59');
+    expect(() => new CronExpression('* * * *')).toThrow('Expected 5 fields but got 4');
+    expect(() => new CronExpression('*/0 * * * *')).toThrow(CronExpression.CronParseError);
+    expect(() => new CronExpression('@fortnightly')).toThrow("Unknown cron macro '@fortnightly'");
+    expect(() => new CronExpression('0 0 31 2 *').next(from)).toThrow('No upcoming occurrence');
+  });
+});
+
+describe('TaskQueue persistence and schedules', () => {
+  let sequelize;
+  let models;
+  let queue;
+
+  beforeAll(async () => {
+    sequelize = new Sequelize('sqlite::memory:', { logging: false, define: { timestamps: true, underscored: true } });
+    models = {
+      QueuedTask: require('../models/QueuedTask')(sequelize),
+      TaskSchedule: require('../models/TaskSchedule')(sequelize),
+      User: { findByPk: async (id) => (id === USER_ID ? { id } : null) },
+      Project: { findOne: async ({ where }) => (where.id === PROJECT_ID && where.owner_id === USER_ID ? { id: PROJECT_ID } : null) },
+      Audit: { create: jest.fn(async () => ({})) }
+    };
+    await sequelize.sync();
+  });
+
+  beforeEach(async () => {
+    await models.QueuedTask.destroy({ where: {} });
+    await models.TaskSchedule.destroy({ where: {} });
+    queue = new TaskQueue({ models, maxCatchUpRuns: 3 });
+  });
+
+  afterEach(async () => {
+    await queue.shutdown();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const queuedTasks = (q) => Array.from(q.queues.values()).flat();
+
+  test('stores recurring schedules from cron strings and legacy shapes', async () => {
+    const schedule = await queue.createRecurringTask(
+      { userId: USER_ID, projectId: PROJECT_ID, prompt: 'Nightly dependency audit' },
+      '30 2 * * *',
+      { name: 'nightly-audit', catchUp: 'skip' }
+    );
+
+    expect(schedule).toMatchObject({ cron: '30 2 * * *', status: 'active', catchUp: 'skip', name: 'nightly-audit' });
+    expect(schedule.nextRunAt).toEqual(new CronExpression('30 2 * * *').next(new Date()));
+    expect(queuedTasks(queue)).toHaveLength(0);
+
+    const weekly = await queue.createRecurringTask(
+      { userId: USER_ID, projectId: PROJECT_ID, prompt: 'Weekly report' },
+      { type: 'weekly', dayOfWeek: 1, hour: 9 }
+    );
+    expect(weekly.cron).toBe('0 9 * * 1');
+
+    await expect(queue.createRecurringTask({ userId: USER_ID, projectId: PROJECT_ID, prompt: 'x' }, '0 25 * * *'))
+      .rejects.toThrow('hour value 25 out of range 0-23');
+    await expect(queue.createRecurringTask({ userId: USER_ID, projectId: 'other', prompt: 'x' }, '@daily'))
+      .rejects.toThrow('Project not found or access denied');
+  });
+
+  test('applies each catch-up policy to runs missed while the server was down', async () => {
+    const now = new Date(2026, 5, 10, 12, 30);
+    const base = {
+      user_id: USER_ID,
+      project_id: PROJECT_ID,
+      cron: '0 * * * *',
+      task_template: { prompt: 'Hourly sync', tools: ['git'] },
+      status: 'active',
+      next_run_at: new Date(2026, 5, 10, 8, 0) // 08:00 through 12:00 were missed
+    };
+    await models.TaskSchedule.bulkCreate([
+      { ...base, id: 'skip', catch_up: 'skip' },
+      { ...base, id: 'once', catch_up: 'once' },
+      { ...base, id: 'all', catch_up: 'all' },
+      { ...base, id: 'paused', catch_up: 'all', status: 'paused' }
+    ]);
+
+    const summary = await queue.recover({ now, armTimers: false });
+
+    expect(summary).toMatchObject({ schedules: 3, catchUpRuns: 4 });
+    const runs = queuedTasks(queue);
+    expect(runs.filter(t => t.scheduleId === 'skip')).toHaveLength(0);
+    expect(runs.filter(t => t.scheduleId === 'once').map(t => t.metadata))
+      .toEqual([expect.objectContaining({ catchUp: true, missedRuns: 5, scheduledFor: new Date(2026, 5, 10, 8, 0).toISOString() })]);
+    expect(runs.filter(t => t.scheduleId === 'all')).toHaveLength(3);
+    expect(runs.filter(t => t.scheduleId === 'paused')).toHaveLength(0);
+
+    const rows = await models.TaskSchedule.findAll({ order: [['id', 'ASC']] });
+    const byId = Object.fromEntries(rows.map(r => [r.id, r]));
+    expect(byId.skip.missed_runs).toBe(5);
+    expect(byId.once.missed_runs).toBe(4);
+    expect(byId.all.missed_runs).toBe(2);
+    for (const id of ['skip', 'once', 'all']) {
+      expect(byId[id].next_run_at).toEqual(new Date(2026, 5, 10, 13, 0));
+    }
+    expect(byId.paused.next_run_at).toEqual(base.next_run_at);
+
+    const persisted = await models.QueuedTask.count({ where: { schedule_id: 'all', status: 'queued' } });
+    expect(persisted).toBe(3);
+  });
+
+  test('restores queued, scheduled and interrupted tasks from the database', async () => {
+    const now = new Date();
+    const row = { user_id: USER_ID, project_id: PROJECT_ID, prompt: 'p', tools: ['git'] };
+    await models.QueuedTask.bulkCreate([
+      { ...row, id: 'queued', status: 'queued' },
+      { ...row, id: 'later', status: 'scheduled', scheduled_for: new Date(now.getTime() + 3600000) },
+      { ...row, id: 'overdue', status: 'scheduled', scheduled_for: new Date(now.getTime() - 1000) },
+      { ...row, id: 'running', status: 'running', retry_count: 0 },
+      { ...row, id: 'exhausted', status: 'running', retry_count: 3 },
+      { ...row, id: 'done', status: 'completed' }
+    ]);
+
+    const summary = await queue.recover({ now, armTimers: false });
+
+    expect(summary).toMatchObject({ requeued: 3, scheduled: 1, interrupted: 2 });
+    expect(queuedTasks(queue).map(t => t.id).sort()).toEqual(['overdue', 'queued', 'running']);
+
+    const statuses = Object.fromEntries((await models.QueuedTask.findAll()).map(r => [r.id, r.status]));
+    expect(statuses).toEqual({ queued: 'queued', later: 'scheduled', overdue: 'queued', running: 'queued', exhausted: 'failed', done: 'completed' });
+    expect((await queue.getTask('running', USER_ID)).retryCount).toBe(1);
+  });
+
+  test('pauses, resumes and deletes schedules', async () => {
+    const { id } = await queue.createRecurringTask(
+      { userId: USER_ID, projectId: PROJECT_ID, prompt: 'Every five minutes' },
+      '*/5 * * * *'
+    );
+
+    const paused = await queue.pauseSchedule(id);
+    expect(paused).toMatchObject({ status: 'paused', nextRunAt: null });
+    expect(await queue.runDueSchedules(new Date(Date.now() + 3600000))).toBe(0);
+
+    const resumeAt = new Date(2030, 0, 1, 8, 2);
+    const resumed = await queue.resumeSchedule(id, USER_ID, resumeAt);
+    expect(resumed.nextRunAt).toEqual(new Date(2030, 0, 1, 8, 5));
+
+    expect(await queue.runDueSchedules(new Date(2030, 0, 1, 8, 6))).toBe(1);
+    const [schedule] = await queue.listSchedules({ userId: USER_ID });
+    expect(schedule).toMatchObject({ runCount: 1, nextRunAt: new Date(2030, 0, 1, 8, 10) });
+
+    await expect(queue.pauseSchedule(id, 'someone-else')).rejects.toThrow('Access denied');
+    await queue.deleteSchedule(id, USER_ID);
+    await expect(queue.getSchedule(id)).rejects.toThrow('Schedule not found');
+    expect(models.Audit.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'DELETE_SCHEDULE', target_id: id }));
+  });
+});
@@ -0,0 +1,153 @@
+// Mock 'uuid' to avoid ESM-only uuid package parsing inside Jest runtime
+jest.mock('uuid', () => ({ v4: () => `test-uuid-${Date.now()}-${Math.random().toString(36).slice(2,8)}` }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Sequelize } = require('sequelize');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-secrets-'));
+process.env.VAULT_KEYRING_FILE = path.join(dir, 'keyring.json');
+
+const { SecretsVault } = require('../services/secrets-vault');
+const TaskSecrets = require('../services/task-secrets');
+const ExecutionSandbox = require('../services/execution-sandbox');
+const AgentExecutor = require('../services/agent-executor');
+const ArtifactGenerator = require('../services/artifact-generator');
+const redaction = require('../services/secret-redaction');
+const logger = require('../services/logger');
+
+const TOKEN = 'tok_live_8f3a9c2d71';
+
+describe('Task secret injection', () => {
+  let sequelize;
+  let models;
+  let taskSecrets;
+  let projectId;
+  let sandbox;
+
+  beforeAll(async () => {
+    sequelize = new Sequelize('sqlite::memory:', { logging: false, foreignKeys: false, define: { timestamps: true, underscored: true } });
+    models = {
+      Environment: require('../models/Environment')(sequelize),
+      EnvVar: require('../models/EnvVar')(sequelize),
+      Audit: require('../models/Audit')(sequelize)
+    };
+    await sequelize.sync();
+
+    projectId = crypto.randomUUID();
+    const environment = await models.Environment.create({ project_id: projectId, name: 'development' });
+    for (const [key, value] of [['API_TOKEN', TOKEN], ['DB_PASSWORD', 'hunter2-db'], ['API_PIN', '12']]) {
+      const envVar = models.EnvVar.build({ environment_id: environment.id, key });
+      envVar.setValue(value);
+      await envVar.save();
+    }
+
+    // default allows API_* keys; cipher is not allowed any secret
+    const policyDir = path.join(dir, 'policies');
+    fs.mkdirSync(policyDir);
+    fs.writeFileSync(path.join(policyDir, 'default.json'), JSON.stringify({
+      allowedBinaries: ['bash', 'sh', 'echo', 'printf', 'base64', 'cat'],
+      secrets: { allow: ['API_*'] }
+    }));
+    fs.writeFileSync(path.join(policyDir, 'cipher.json'), JSON.stringify({ secrets: { allow: [] } }));
+    sandbox = new ExecutionSandbox({ policyDir });
+    taskSecrets = new TaskSecrets({ sandbox, vault: new SecretsVault({ models }) });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const auditActions = async () => (await models.Audit.findAll({ order: [['created_at', 'ASC']] }))
+    .map(row => `${row.action}:${row.metadata.key}:${row.metadata.reason || ''}`);
+
+  test('refuses keys the policy, the project or redaction cannot support, and audits each decision', async () => {
+    const request = { agentName: 'Nova', projectId, workflowId: 'wf-1', taskId: 'task-1' };
+    await expect(taskSecrets.grant({ ...request, keys: [] })).resolves.toBeNull();
+    await expect(taskSecrets.grant({ ...request, keys: ['DB_PASSWORD'] })).rejects.toMatchObject({ code: 'SECRET_NOT_ALLOWED' });
+    await expect(taskSecrets.grant({ ...request, agentName: 'Cipher', keys: ['API_TOKEN'] })).rejects.toMatchObject({ code: 'SECRET_NOT_ALLOWED' });
+    await expect(taskSecrets.grant({ ...request, keys: ['PATH'] })).rejects.toMatchObject({ code: 'SECRET_INVALID_KEY' });
+    await expect(taskSecrets.grant({ ...request, keys: ['API_MISSING'] })).rejects.toMatchObject({ code: 'SECRET_NOT_FOUND' });
+    await expect(taskSecrets.grant({ ...request, keys: ['API_PIN'] })).rejects.toMatchObject({ code: 'SECRET_TOO_SHORT' });
+    await expect(taskSecrets.grant({ ...request, projectId: null, keys: ['API_TOKEN'] })).rejects.toMatchObject({ code: 'SECRET_NO_PROJECT' });
+    expect(redaction.isActive()).toBe(false);
+
+    const grant = await taskSecrets.grant({ ...request, keys: ['API_TOKEN'] });
+    expect(grant.env).toEqual({ API_TOKEN: TOKEN });
+    grant.release();
+
+    expect(await auditActions()).toEqual([
+      'SECRET_ACCESS_DENIED:DB_PASSWORD:SECRET_NOT_ALLOWED',
+      'SECRET_ACCESS_DENIED:API_TOKEN:SECRET_NOT_ALLOWED',
+      'SECRET_ACCESS_DENIED:PATH:SECRET_INVALID_KEY',
+      'SECRET_ACCESS_DENIED:API_MISSING:SECRET_NOT_FOUND',
+      'SECRET_ACCESS_DENIED:API_PIN:SECRET_TOO_SHORT',
+      'SECRET_ACCESS_DENIED:API_TOKEN:SECRET_NO_PROJECT',
+      'INJECT_SECRET:API_TOKEN:'
+    ]);
+    const injected = await models.Audit.findOne({ where: { action: 'INJECT_SECRET' } });
+    expect(injected.metadata).toMatchObject({ agent: 'Nova', workflow_id: 'wf-1', task_id: 'task-1', environment: 'development' });
+    expect(JSON.stringify(injected.metadata)).not.toContain(TOKEN);
+  });
+
+  test('commands see granted secrets but their output, files and logs only see redactions', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'task-secrets-ws-'));
+    const grant = await taskSecrets.grant({ agentName: 'Nova', projectId, keys: ['API_TOKEN'] });
+    try {
+      const result = await sandbox.run({
+        command: 'echo "token=$API_TOKEN"; printf %s "$API_TOKEN" | base64; cat "missing-$API_TOKEN" || true',
+        root,
+        agentName: 'Nova',
+        env: grant.env
+      });
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toBe('token=[REDACTED:API_TOKEN]\n[REDACTED:API_TOKEN]\n');
+      expect(result.stderr).toContain('missing-[REDACTED:API_TOKEN]');
+
+      // The executor runs in the sandbox too: the server's own credentials stay out of the task
+      process.env.SERVER_API_KEY = 'server-only-key';
+      const executor = new AgentExecutor('Nova', root, null, { sandbox });
+      const run = await executor.executeTask('task-2', 'Use the token', ['echo "$API_TOKEN"', 'echo "${SERVER_API_KEY:-unset}"'], { env: grant.env });
+      delete process.env.SERVER_API_KEY;
+      expect(run.steps[0].stdout).toBe('[REDACTED:API_TOKEN]\n');
+      expect(run.steps[1].stdout).toBe('unset\n');
+      await executor.createFile('notes.txt', `token: ${TOKEN}`);
+      expect(fs.readFileSync(path.join(root, 'notes.txt'), 'utf8')).toBe('token: [REDACTED:API_TOKEN]');
+
+      logger.log('info', `Calling API with ${TOKEN}`, { source: 'TEST', header: `Bearer ${encodeURIComponent(TOKEN)}` });
+      const entry = logger.recentEntries().pop();
+      expect(entry.message).toBe('Calling API with [REDACTED:API_TOKEN]');
+      expect(entry.fields.header).toBe('Bearer [REDACTED:API_TOKEN]');
+    } finally {
+      grant.release();
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+    expect(redaction.redact(`after ${TOKEN}`)).toBe(`after ${TOKEN}`);
+  });
+
+  test('provider prompts are redacted while a secret is injected', async () => {
+    const makeRequest = jest.fn(async () => ({ content: 'done', usage: { input: 1, output: 1 } }));
+    const generator = new ArtifactGenerator({
+      providerEngine: { providers: { openai: {} }, isProviderConfigured: () => true, makeRequest },
+      models: { Agent: { findOne: async () => null } }
+    });
+    const grant = await taskSecrets.grant({ agentName: 'Nova', projectId, keys: ['API_TOKEN'] });
+    const { generation } = await generator.generate({
+      artifactName: 'config.md',
+      agentName: 'Nova',
+      task: { title: 'Document the API', description: `Our token is ${TOKEN}` },
+      directive: 'Write docs',
+      upstreamArtifacts: [{ name: 'env.txt', content: `API_TOKEN=${TOKEN}` }]
+    });
+    grant.release();
+
+    const prompt = makeRequest.mock.calls[0][1];
+    expect(prompt).toContain('Our token is [REDACTED:API_TOKEN]');
+    expect(prompt).toContain('API_TOKEN=[REDACTED:API_TOKEN]');
+    expect(prompt).not.toContain(TOKEN);
+    expect(generation.prompt).not.toContain(TOKEN);
+  });
+});
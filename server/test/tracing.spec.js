@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Tracer, parseTraceparent } = require('../services/tracing');
+const TraceExporter = require('../services/trace-exporter');
+const ExecutionSandbox = require('../services/execution-sandbox');
+
+describe('Workflow tracing', () => {
+  test('propagates the active span through awaits and timers and keeps traces in memory', async () => {
+    const tracer = new Tracer({ maxTraces: 2 });
+    const workflow = tracer.startSpan('workflow', { attributes: { 'workflow.id': 'wf-1', skipped: undefined } });
+
+    await tracer.withSpan(workflow, async () => {
+      await tracer.startActiveSpan('planner.plan', {}, async () => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        tracer.startSpan('manager.select').end();
+      });
+      await expect(tracer.startActiveSpan('provider.request', { kind: 'client' }, async () => {
+        throw new Error('rate limited');
+      })).rejects.toThrow('rate limited');
+    });
+    // Tasks run later, outside the workflow's async context, with an explicit parent
+    tracer.startSpan('task.execute', { parent: workflow.context() }).end();
+    workflow.end();
+
+    const spans = tracer.getTrace(workflow.traceId);
+    const byName = Object.fromEntries(spans.map(span => [span.name, span]));
+    expect(spans.map(span => span.name)).toEqual(['workflow', 'planner.plan', 'manager.select', 'provider.request', 'task.execute']);
+    expect(byName['planner.plan'].parentSpanId).toBe(workflow.spanId);
+    expect(byName['manager.select'].parentSpanId).toBe(byName['planner.plan'].spanId);
+    expect(byName['task.execute'].parentSpanId).toBe(workflow.spanId);
+    expect(byName['provider.request']).toMatchObject({ kind: 'client', status: { code: 'error', message: 'rate limited' } });
+    expect(byName['provider.request'].events[0]).toMatchObject({ name: 'exception', attributes: { 'exception.message': 'rate limited' } });
+    expect(byName.workflow.attributes).toEqual({ 'workflow.id': 'wf-1' });
+    expect(tracer.activeSpan()).toBeNull();
+
+    expect(parseTraceparent(workflow.traceparent())).toEqual(workflow.context());
+    expect(parseTraceparent('00-00000000000000000000000000000000-0000000000000000-01')).toBeNull();
+    expect(parseTraceparent('garbage')).toBeNull();
+
+    // Oldest traces are evicted first
+    tracer.startSpan('other', { parent: null }).end();
+    tracer.startSpan('another', { parent: null }).end();
+    expect(tracer.getTrace(workflow.traceId)).toBeNull();
+  });
+
+  test('exports finished spans as OTLP/JSON to a file and a collector', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'traces-'));
+    const file = path.join(dir, 'traces.jsonl');
+    const fetch = jest.fn(async () => ({ ok: true, status: 200 }));
+    const exporter = new TraceExporter({ file, endpoint: 'http://collector:4318/v1/traces', fetch, serviceName: 'shellcompany-test', headers: { authorization: 'Bearer t' } });
+    const tracer = new Tracer({ exporter });
+
+    const root = tracer.startSpan('workflow', { attributes: { 'workflow.id': 'wf-2', 'workflow.tasks': 3, 'cost.usd': 0.25, cached: false } });
+    const child = tracer.startSpan('command.exec', { parent: root });
+    child.setStatus('error', 'Exited with code 1');
+    child.end();
+    root.end();
+    await exporter.flush();
+
+    const [request] = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    const { resource, scopeSpans } = request.resourceSpans[0];
+    expect(resource.attributes).toContainEqual({ key: 'service.name', value: { stringValue: 'shellcompany-test' } });
+    const [command, workflow] = scopeSpans[0].spans;
+    expect(workflow).toMatchObject({ traceId: root.traceId, spanId: root.spanId, name: 'workflow', kind: 1, status: { code: 0 } });
+    expect(workflow.parentSpanId).toBeUndefined();
+    expect(workflow.attributes).toEqual([
+      { key: 'workflow.id', value: { stringValue: 'wf-2' } },
+      { key: 'workflow.tasks', value: { intValue: '3' } },
+      { key: 'cost.usd', value: { doubleValue: 0.25 } },
+      { key: 'cached', value: { boolValue: false } }
+    ]);
+    expect(BigInt(workflow.endTimeUnixNano) >= BigInt(workflow.startTimeUnixNano)).toBe(true);
+    expect(workflow.startTimeUnixNano).toMatch(/^\d{19}$/);
+    expect(command).toMatchObject({ parentSpanId: root.spanId, status: { code: 2, message: 'Exited with code 1' } });
+
+    expect(fetch).toHaveBeenCalledWith('http://collector:4318/v1/traces', expect.objectContaining({
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', authorization: 'Bearer t' }
+    }));
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual(request);
+
+    expect(TraceExporter.fromEnv({ TRACE_EXPORT: 'false' })).toBeNull();
+    expect(TraceExporter.fromEnv({ OTEL_EXPORTER_OTLP_ENDPOINT: 'http://otel:4318/' })).toMatchObject({ endpoint: 'http://otel:4318/v1/traces', file: null });
+    expect(TraceExporter.fromEnv({ LOG_DIR: dir })).toMatchObject({ endpoint: null, file: path.join(dir, 'traces.jsonl') });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('sandboxed commands run in a child span and see it as TRACEPARENT', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-sandbox-'));
+    const tracer = require('../services/tracing');
+    const sandbox = new ExecutionSandbox();
+
+    const task = tracer.startSpan('task.execute', { parent: null });
+    const result = await tracer.withSpan(task, () => sandbox.run({ command: 'echo "$TRACEPARENT"', root }));
+    task.end();
+
+    const command = tracer.getTrace(task.traceId).find(span => span.name === 'command.exec');
+    expect(command).toMatchObject({ parentSpanId: task.spanId, attributes: { 'process.exit_code': 0 }, status: { code: 'unset' } });
+    expect(parseTraceparent(result.stdout)).toEqual({ traceId: task.traceId, spanId: command.spanId });
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+});
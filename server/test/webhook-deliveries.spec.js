@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { Sequelize } = require('sequelize');
+const { WebhookHandler } = require('../services/webhook-handler');
+const { WebhookRules } = require('../services/webhook-rules');
+
+describe('WebhookHandler delivery log', () => {
+  let sequelize;
+  let models;
+  let handler;
+  let pushHandler;
+
+  beforeAll(async () => {
+    sequelize = new Sequelize('sqlite::memory:', { logging: false, define: { timestamps: true, underscored: true } });
+    models = {
+      sequelize,
+      Audit: require('../models/Audit')(sequelize),
+      WebhookDelivery: require('../models/WebhookDelivery')(sequelize),
+      WebhookRule: require('../models/WebhookRule')(sequelize)
+    };
+    await sequelize.sync();
+  });
+
+  beforeEach(async () => {
+    await models.WebhookDelivery.destroy({ where: {} });
+    handler = new WebhookHandler({ models, rules: new WebhookRules({ models }) });
+    pushHandler = jest.fn(async () => ({ processed: true, actionsTaken: ['Created CI/CD task'] }));
+    handler.handlers.set('github.push', pushHandler);
+  });
+
+  afterEach(() => {
+    delete process.env.GITHUB_WEBHOOK_SECRET;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const headers = (delivery, extra = {}) => ({
+    'x-github-event': 'push',
+    'x-github-delivery': delivery,
+    authorization: 'Bearer secret-token',
+    ...extra
+  });
+
+  test('logs each delivery and acknowledges redeliveries without re-running the handler', async () => {
+    const payload = { ref: 'refs/heads/main' };
+    const first = await handler.processWebhook('github', 'push', payload, undefined, headers('d-1'));
+    const again = await handler.processWebhook('github', 'push', payload, undefined, headers('d-1'));
+
+    expect(first).toMatchObject({ processed: true, actionsTaken: ['Created CI/CD task'] });
+    expect(again).toMatchObject({ processed: false, duplicate: true, deliveryId: first.deliveryId, status: 'processed' });
+    expect(pushHandler).toHaveBeenCalledTimes(1);
+
+    const delivery = await handler.getDelivery(first.deliveryId);
+    expect(delivery).toMatchObject({
+      provider: 'github',
+      eventType: 'push',
+      deliveryId: 'd-1',
+      status: 'processed',
+      signatureValid: true,
+      attempts: 1,
+      duplicates: 1,
+      payload,
+      actionsTaken: ['Created CI/CD task']
+    });
+    expect(delivery.headers.authorization).toBe('[redacted]');
+    expect(typeof delivery.durationMs).toBe('number');
+
+    // Without a provider id, identical payloads for the same event are one delivery
+    expect(handler.deliveryIdFor('netlify', 'deploy-building', { id: 'x' }))
+      .toBe(handler.deliveryIdFor('netlify', 'deploy-building', { id: 'x' }));
+    expect(handler.deliveryIdFor('netlify', 'deploy-building', { id: 'x' }))
+      .not.toBe(handler.deliveryIdFor('netlify', 'deploy-succeeded', { id: 'x' }));
+  });
+
+  test('replays failed deliveries with the stored payload', async () => {
+    pushHandler.mockRejectedValueOnce(new Error('queue unavailable'));
+    await expect(handler.processWebhook('github', 'push', { ref: 'refs/heads/main' }, undefined, headers('d-2')))
+      .rejects.toThrow('queue unavailable');
+
+    const [failed] = await handler.listDeliveries({ provider: 'github', status: 'failed' });
+    expect(failed).toMatchObject({ deliveryId: 'd-2', error: 'queue unavailable', attempts: 1 });
+    expect(await handler.summarizeDeliveries()).toEqual({ github: { failed: 1 } });
+
+    const replayed = await handler.replayDelivery(failed.id);
+    expect(replayed).toMatchObject({ processed: true, deliveryId: failed.id });
+    expect(pushHandler).toHaveBeenLastCalledWith({ ref: 'refs/heads/main' }, expect.objectContaining({ 'x-github-delivery': 'd-2' }));
+    expect(await handler.getDelivery(failed.id)).toMatchObject({ status: 'processed', attempts: 2, error: null });
+
+    await expect(handler.replayDelivery(failed.id)).rejects.toMatchObject({ code: 'NOT_REPLAYABLE' });
+    await expect(handler.replayDelivery(crypto.randomUUID())).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  test('rejects bad signatures but processes a correctly signed redelivery', async () => {
+    process.env.GITHUB_WEBHOOK_SECRET = 'shh';
+    const payload = { ref: 'refs/heads/main' };
+    const signature = 'sha256=' + crypto.createHmac('sha256', 'shh').update(JSON.stringify(payload)).digest('hex');
+
+    await expect(handler.processWebhook('github', 'push', payload, 'sha256=bad', headers('d-3')))
+      .rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+    const [rejected] = await handler.listDeliveries({ status: 'rejected' });
+    expect(rejected).toMatchObject({ deliveryId: 'd-3', signatureValid: false });
+    expect(pushHandler).not.toHaveBeenCalled();
+
+    const result = await handler.processWebhook('github', 'push', payload, signature, headers('d-3'));
+    expect(result).toMatchObject({ processed: true, deliveryId: rejected.id });
+    expect(await handler.getDelivery(rejected.id)).toMatchObject({ status: 'processed', signatureValid: true, attempts: 2 });
+  });
+
+  test('runs the verified redelivery, not a forged payload logged under the same id', async () => {
+    process.env.GITHUB_WEBHOOK_SECRET = 'shh';
+    const forged = { ref: 'refs/heads/main', forged: true };
+    await expect(handler.processWebhook('github', 'push', forged, 'sha256=bad', headers('d-4', { 'x-forged': '1' })))
+      .rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+
+    // Signed over the bytes as sent, which differ from JSON.stringify of the parsed payload
+    const genuine = { ref: 'refs/heads/main' };
+    const raw = Buffer.from('{ "ref": "refs/heads/main" }');
+    const signature = 'sha256=' + crypto.createHmac('sha256', 'shh').update(raw).digest('hex');
+    await handler.processWebhook('github', 'push', genuine, signature, headers('d-4'), raw);
+
+    expect(pushHandler).toHaveBeenCalledTimes(1);
+    expect(pushHandler).toHaveBeenCalledWith(genuine, expect.not.objectContaining({ 'x-forged': '1' }));
+    const [delivery] = await handler.listDeliveries({ provider: 'github' });
+    expect(await handler.getDelivery(delivery.id)).toMatchObject({ status: 'processed', signatureValid: true, payload: genuine });
+    expect((await handler.getDelivery(delivery.id)).headers['x-forged']).toBeUndefined();
+  });
+
+  test('keeps a bounded number of rejected deliveries', async () => {
+    process.env.GITHUB_WEBHOOK_SECRET = 'shh';
+    for (let i = 0; i < 102; i++) {
+      await expect(handler.processWebhook('github', 'push', { n: i }, 'sha256=bad', headers(`spam-${i}`)))
+        .rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+    }
+    expect(await models.WebhookDelivery.count({ where: { status: 'rejected' } })).toBe(100);
+    expect(await models.WebhookDelivery.count({ where: { delivery_id: 'spam-101' } })).toBe(1);
+  });
+});
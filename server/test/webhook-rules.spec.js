@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { Sequelize } = require('sequelize');
+const MatchExpression = require('../services/webhook-match');
+const { WebhookHandler } = require('../services/webhook-handler');
+const { WebhookRules, renderDirective } = require('../services/webhook-rules');
+
+describe('Webhook rules', () => {
+  let sequelize;
+  let models;
+  let orchestrator;
+  let rules;
+  let handler;
+
+  beforeAll(async () => {
+    sequelize = new Sequelize('sqlite::memory:', { logging: false, define: { timestamps: true, underscored: true } });
+    models = {
+      sequelize,
+      Audit: require('../models/Audit')(sequelize),
+      Repository: require('../models/Repository')(sequelize),
+      WebhookDelivery: require('../models/WebhookDelivery')(sequelize),
+      WebhookRule: require('../models/WebhookRule')(sequelize)
+    };
+    await sequelize.sync();
+  });
+
+  beforeEach(async () => {
+    await models.WebhookRule.destroy({ where: {} });
+    await models.Repository.destroy({ where: {} });
+    let next = 0;
+    orchestrator = { startTriggeredWorkflow: jest.fn(async () => ({ workflowId: `wf-${++next}` })) };
+    rules = new WebhookRules({ models, orchestrator });
+    handler = new WebhookHandler({ models, rules });
+    handler.handlers.set('github.issues', async () => ({ processed: true, actionsTaken: [] }));
+  });
+
+  afterEach(() => {
+    delete process.env.GITHUB_WEBHOOK_SECRET;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const sign = (payload) => 'sha256=' + crypto.createHmac('sha256', 'shh').update(JSON.stringify(payload)).digest('hex');
+
+  const issueEvent = (label, repo = 'acme/site') => ({
+    action: 'labeled',
+    label: { name: label },
+    issue: { number: 7, title: 'Add pricing page', body: 'We need a pricing page', labels: [{ name: label }] },
+    repository: { full_name: repo }
+  });
+
+  test('starts a workflow for matching events and links it to the delivery', async () => {
+    const projectId = '11111111-1111-4111-8111-111111111111';
+    const rule = await rules.createRule(projectId, {
+      name: 'Agent issues',
+      event: 'issues',
+      match: 'action == "labeled" && label.name == "agent"',
+      directive: 'Issue #{{ issue.number }} ({{issue.title}}): {{ issue.body }}',
+      manager: 'Alex'
+    });
+
+    process.env.GITHUB_WEBHOOK_SECRET = 'shh';
+    const result = await handler.processWebhook('github', 'issues', issueEvent('agent'), sign(issueEvent('agent')), { 'x-github-delivery': 'gh-1' });
+    expect(result.workflows).toEqual([{ ruleId: rule.id, ruleName: 'Agent issues', projectId, workflowId: 'wf-1' }]);
+    expect(result.actionsTaken).toEqual(['Started workflow wf-1 (rule "Agent issues")']);
+    expect(orchestrator.startTriggeredWorkflow).toHaveBeenCalledWith({
+      directive: 'Issue #7 (Add pricing page): We need a pricing page',
+      projectId,
+      manager: 'Alex',
+      trigger: expect.objectContaining({
+        type: 'webhook',
+        provider: 'github',
+        event: 'issues',
+        webhookDeliveryId: result.deliveryId,
+        providerDeliveryId: 'gh-1',
+        ruleId: rule.id
+      })
+    });
+    expect(await rules.getRule(rule.id)).toMatchObject({ triggerCount: 1, lastTriggeredAt: expect.any(Date) });
+
+    // Other labels, and redeliveries, start nothing
+    await handler.processWebhook('github', 'issues', issueEvent('bug'), sign(issueEvent('bug')), { 'x-github-delivery': 'gh-2' });
+    await handler.processWebhook('github', 'issues', issueEvent('agent'), sign(issueEvent('agent')), { 'x-github-delivery': 'gh-1' });
+    expect(orchestrator.startTriggeredWorkflow).toHaveBeenCalledTimes(1);
+
+    // Without a configured secret nothing authenticates the payload, so the rule is refused
+    delete process.env.GITHUB_WEBHOOK_SECRET;
+    const unsigned = await handler.processWebhook('github', 'issues', issueEvent('agent'), undefined, { 'x-github-delivery': 'gh-4' });
+    expect(unsigned.workflows).toEqual([expect.objectContaining({ ruleId: rule.id, error: expect.stringContaining('Unverified github delivery') })]);
+    expect(orchestrator.startTriggeredWorkflow).toHaveBeenCalledTimes(1);
+  });
+
+  test('only considers events from the project\'s linked repositories', async () => {
+    const projectId = '22222222-2222-4222-8222-222222222222';
+    await models.Repository.create({ project_id: projectId, owner: 'acme', name: 'site', url: 'https://github.com/acme/site' });
+    const rule = await rules.createRule(projectId, { name: 'Any issue', event: 'issues', directive: '{{issue.body}}' });
+
+    expect(await rules.testRule(rule.id, issueEvent('x', 'ACME/Site'))).toEqual({ matched: true, directive: 'We need a pricing page' });
+    expect(await rules.testRule(rule.id, issueEvent('x', 'other/repo'))).toEqual({ matched: false, directive: null });
+
+    // Without a handler or a matching rule the delivery is ignored
+    const ignored = await handler.processWebhook('github', 'issue_comment', issueEvent('x'), undefined, { 'x-github-delivery': 'gh-3' });
+    expect(ignored).toMatchObject({ processed: false, reason: 'No handler found' });
+  });
+
+  test('rejects invalid rules', async () => {
+    await expect(rules.createRule('p', { name: 'x', event: 'issues' })).rejects.toMatchObject({ code: 'INVALID_RULE', message: 'directive is required' });
+    await expect(rules.createRule('p', { name: 'x', event: 'issues', directive: 'd', match: 'action == ' }))
+      .rejects.toThrow('Invalid match expression: Expected a value but the expression ended');
+    await expect(rules.updateRule('00000000-0000-4000-8000-000000000000', { enabled: false })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  test('match expressions cover paths, lists, regexes and boolean logic', () => {
+    const payload = {
+      action: 'completed',
+      workflow_run: { name: 'CI', conclusion: 'failure', run_attempt: 2 },
+      labels: [{ name: 'bug' }, { name: 'agent' }],
+      'detail-type': 'ECS Task State Change'
+    };
+    const test = (source) => new MatchExpression(source).test(payload);
+
+    expect(test('workflow_run.conclusion in ["failure", "timed_out"] && workflow_run.run_attempt >= 2')).toBe(true);
+    expect(test('labels[].name contains "agent" and not draft')).toBe(true);
+    expect(test('labels[].name == "bug"')).toBe(true);
+    expect(test('labels[].name != "bug"')).toBe(false);
+    expect(test('labels[1].name == "agent"')).toBe(true);
+    expect(test('workflow_run.name matches "^C" || missing.field == 1')).toBe(true);
+    expect(test('missing.field == null')).toBe(true);
+    expect(test('detail-type == \'ECS Task State Change\'')).toBe(true);
+    expect(() => new MatchExpression('action = "x"')).toThrow(/Unexpected character '='/);
+    expect(() => new MatchExpression('name matches "("')).toThrow(MatchExpression.MatchParseError);
+    expect(renderDirective('Diagnose {{workflow_run.name}} ({{ labels[].name }}){{nope}}', payload)).toBe('Diagnose CI (bug, agent)');
+  });
+});
@@ -0,0 +1,137 @@
+// Mock 'uuid' to avoid ESM-only uuid package parsing inside Jest runtime
+jest.mock('uuid', () => ({ v4: () => `test-uuid-${Date.now()}-${Math.random().toString(36).slice(2,8)}` }));
+// Workspace history never calls a provider; skip the engine's network validation on construction
+jest.mock('../services/real-provider-engine', () => jest.fn().mockImplementation(() => ({})));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkspaceGit = require('../services/workspace-git');
+const WorkflowOrchestrator = require('../services/workflow-orchestrator');
+
+describe('WorkspaceGit', () => {
+  let workspace;
+  let git;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(workspace, file)), { recursive: true });
+    fs.writeFileSync(path.join(workspace, file), content);
+  };
+
+  beforeEach(async () => {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-git-'));
+    write('notes.md', '# Notes\n');
+    git = new WorkspaceGit({ enabled: true });
+    await git.ensureRepo(workspace, 'nova');
+  });
+
+  afterEach(() => {
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  test('commits each task with its ids and reports the diff', async () => {
+    write('site/index.html', '<h1>Hello</h1>\n');
+    fs.appendFileSync(path.join(workspace, 'notes.md'), '- built the landing page\n');
+    write('WORKSPACE_INFO.json', '{}');
+
+    const commit = await git.commitTask(workspace, { taskId: 't-1', workflowId: 'wf-1', agentName: 'Nova', title: 'Build page' });
+
+    expect(commit.files).toEqual([
+      { path: 'notes.md', status: 'modified', additions: 1, deletions: 0 },
+      { path: 'site/index.html', status: 'added', additions: 1, deletions: 0 }
+    ]);
+    expect(await git.commitTask(workspace, { taskId: 't-2', title: 'No-op' })).toBeNull();
+
+    const diff = await git.taskDiff(workspace, 't-1');
+    expect(diff.commits).toHaveLength(1);
+    expect(diff.commits[0]).toMatchObject({ sha: commit.sha, subject: 'Build page (completed)', taskId: 't-1', workflowId: 'wf-1', agent: 'Nova' });
+    expect(diff.diff).toContain('+<h1>Hello</h1>');
+    await expect(git.taskDiff(workspace, 't-404')).rejects.toMatchObject({ code: 'TASK_NOT_FOUND' });
+  });
+
+  test('lists the tasks that touched a file', async () => {
+    write('app.js', 'v1\n');
+    await git.commitTask(workspace, { taskId: 't-1', workflowId: 'wf-1', title: 'Scaffold' });
+    write('app.js', 'v2\n');
+    await git.commitTask(workspace, { taskId: 't-2', workflowId: 'wf-1', title: 'Refine' });
+
+    const history = await git.fileHistory(workspace, 'app.js');
+    expect(history.map(entry => entry.taskId)).toEqual(['t-2', 't-1']);
+    await expect(git.fileHistory(workspace, '../outside.txt')).rejects.toMatchObject({ code: 'OUTSIDE_WORKSPACE' });
+  });
+
+  test('reverts a task and refuses to revert over uncommitted changes', async () => {
+    write('app.js', 'v1\n');
+    await git.commitTask(workspace, { taskId: 't-1', title: 'Scaffold' });
+    write('styles.css', 'body {}\n');
+    await git.commitTask(workspace, { taskId: 't-2', title: 'Style' });
+
+    write('scratch.txt', 'uncommitted');
+    await expect(git.revertTask(workspace, 't-2')).rejects.toMatchObject({ code: 'DIRTY_WORKSPACE' });
+    fs.unlinkSync(path.join(workspace, 'scratch.txt'));
+
+    const revert = await git.revertTask(workspace, 't-2', { reason: 'Wrong palette' });
+    expect(revert.files).toEqual([{ path: 'styles.css', status: 'deleted', additions: 0, deletions: 1 }]);
+    expect(fs.existsSync(path.join(workspace, 'styles.css'))).toBe(false);
+    expect(fs.readFileSync(path.join(workspace, 'app.js'), 'utf8')).toBe('v1\n');
+
+    const [latest] = await git.fileHistory(workspace, 'styles.css');
+    expect(latest).toMatchObject({ sha: revert.sha, revertsTaskId: 't-2' });
+  });
+
+  test('stays out of the way when disabled', async () => {
+    const disabled = new WorkspaceGit({ enabled: false });
+    const plain = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-plain-'));
+    try {
+      expect(await disabled.ensureRepo(plain)).toBe(false);
+      expect(await disabled.commitTask(plain, { taskId: 't-1' })).toBeNull();
+      expect(fs.existsSync(path.join(plain, '.git'))).toBe(false);
+      await expect(disabled.taskDiff(plain, 't-1')).rejects.toMatchObject({ code: 'DISABLED' });
+    } finally {
+      fs.rmSync(plain, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Orchestrator task commits', () => {
+  let workspaceRoot;
+  let orchestrator;
+
+  beforeEach(() => {
+    workspaceRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-git-'));
+    orchestrator = new WorkflowOrchestrator(workspaceRoot, null, {
+      autoStart: false,
+      planners: [],
+      workspaceGit: new WorkspaceGit({ enabled: true }),
+      workflowStore: { saveWorkflow: jest.fn(async () => true), saveTasks: jest.fn(async () => 0) }
+    });
+  });
+
+  afterEach(async () => {
+    await orchestrator.shutdown();
+    fs.rmSync(workspaceRoot, { recursive: true, force: true });
+  });
+
+  test('commits a finished task and serves its diff and revert by workflow', async () => {
+    const task = { id: 't-style', workflowId: 'wf-git', title: 'Style the page', assignedAgent: 'Pixel' };
+    orchestrator.workflows.set('wf-git', { id: 'wf-git', tasks: [task] });
+
+    const workspace = orchestrator.getAgentWorkspacePath('Pixel');
+    expect(await orchestrator.prepareTaskWorkspace('Pixel')).toBe(true);
+    fs.writeFileSync(path.join(workspace, 'styles.css'), 'body { color: teal; }\n');
+
+    const commit = await orchestrator.commitTaskWorkspace(task, orchestrator.agents.get('Pixel'), 'completed');
+    expect(commit.files.map(f => f.path)).toEqual(['styles.css']);
+
+    const diff = await orchestrator.getTaskDiff('wf-git', 't-style');
+    expect(diff).toMatchObject({ workflowId: 'wf-git', agent: 'Pixel', taskId: 't-style' });
+    expect(diff.diff).toContain('+body { color: teal; }');
+
+    const revert = await orchestrator.revertTask('wf-git', 't-style');
+    expect(revert.revertedCommits).toEqual([commit.sha]);
+    expect(task.revertCommit).toBe(revert.sha);
+    expect(fs.existsSync(path.join(workspace, 'styles.css'))).toBe(false);
+
+    await expect(orchestrator.getTaskDiff('wf-git', 'missing')).rejects.toMatchObject({ code: 'TASK_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Worker process for one agent of a company run.
+ *
+ * Forked by services/company-run.js. It registers with the API through
+ * POST /api/workers/:id/register, then heartbeats every WORKER_HEARTBEAT_MS
+ * with its pid, queue depth and the task its agent is working on. The parent
+ * sends `{ type: 'progress', current_command, queue_depth }` as the run
+ * advances and `{ type: 'stop' }` when it ends.
+ *
+ * Environment: WORKER_API_URL, WORKER_ID, WORKER_NAME, WORKER_ROLE,
+ * WORKER_TOKEN (bearer token the API checks), WORKER_HEARTBEAT_MS.
+ */
+const apiUrl = (process.env.WORKER_API_URL || 'http://127.0.0.1:3001').replace(/\/$/, '');
+const workerId = process.env.WORKER_ID;
+const heartbeatMs = parseInt(process.env.WORKER_HEARTBEAT_MS, 10) || 3000;
+const REGISTER_ATTEMPTS = 5;
+
+const state = { current_command: null, queue_depth: 0 };
+let timer = null;
+let stopping = false;
+
+async function post(route, body) {
+  const response = await fetch(`${apiUrl}/api/workers/${encodeURIComponent(workerId)}/${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${process.env.WORKER_TOKEN || ''}` },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) throw new Error(`${route} returned ${response.status}`);
+  return response.json();
+}
+
+async function register() {
+  for (let attempt = 1; attempt <= REGISTER_ATTEMPTS; attempt++) {
+    try {
+      return await post('register', {
+        name: process.env.WORKER_NAME || workerId,
+        role: process.env.WORKER_ROLE || 'worker',
+        pid: process.pid,
+        cwd: process.cwd()
+      });
+    } catch (error) {
+      if (stopping) return null;
+      console.warn(`[WORKER:${workerId}] Register attempt ${attempt} failed: ${error.message}`);
+      await new Promise(resolve => setTimeout(resolve, Math.min(heartbeatMs, 1000) * attempt));
+    }
+  }
+  throw new Error(`Could not register with ${apiUrl}`);
+}
+
+async function heartbeat() {
+  try {
+    await post('heartbeat', { pid: process.pid, queue_depth: state.queue_depth, current_command: state.current_command });
+  } catch (error) {
+    console.warn(`[WORKER:${workerId}] Heartbeat failed: ${error.message}`);
+  }
+}
+
+function stop(code = 0) {
+  if (stopping) return;
+  stopping = true;
+  if (timer) clearInterval(timer);
+  process.exit(code);
+}
+
+process.on('message', (message) => {
+  if (!message || typeof message !== 'object') return;
+  if (message.type === 'stop') return stop(0);
+  if (message.type === 'progress') {
+    const changed = message.current_command !== state.current_command || message.queue_depth !== state.queue_depth;
+    state.current_command = message.current_command || null;
+    state.queue_depth = Number(message.queue_depth) || 0;
+    // Report a new task straight away rather than on the next beat
+    if (changed && timer) heartbeat();
+  }
+});
+// The run is gone with its parent
+process.on('disconnect', () => stop(0));
+process.on('SIGTERM', () => stop(0));
+
+if (!workerId) {
+  console.error('[WORKER] WORKER_ID is required');
+  process.exit(1);
+}
+
+register()
+  .then(() => {
+    if (stopping) return;
+    timer = setInterval(heartbeat, heartbeatMs);
+    return heartbeat();
+  })
+  .catch((error) => {
+    console.error(`[WORKER:${workerId}] ${error.message}`);
+    stop(1);
+  });
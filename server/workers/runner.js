@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * Standalone task runner: `npm run worker` (or `node workers/runner.js`).
+ *
+ * Claims tasks the orchestrator leases out (TASK_EXECUTION=workers on the
+ * API), runs their commands in the execution sandbox of this process and
+ * sends back the output and the files the commands wrote. A lease is renewed
+ * while its commands run; if this process dies the lease expires and the
+ * API hands the task to another worker. Runners share nothing but the API,
+ * so several can run side by side, on the same machine as the agent
+ * workspaces.
+ *
+ * Environment:
+ *   WORKER_API_URL      API base URL (default http://127.0.0.1:3001)
+ *   WORKER_ID           worker row id (default runner-<host>-<pid>)
+ *   WORKER_TOKEN        bearer token: this runner's entry in the API's
+ *                       WORKER_TOKENS, or the shared WORKER_AUTH_TOKEN
+ *   WORKER_AGENTS       comma-separated agents to take tasks for (default any);
+ *                       ignored with a WORKER_TOKENS token, which fixes the
+ *                       agents. Tasks with secrets only go to runners whose
+ *                       WORKER_TOKENS entry names their agent
+ *   WORKER_CONCURRENCY  tasks run at once (default 1)
+ *   WORKER_POLL_MS      wait between claims while idle (default 1000)
+ *   WORKER_LEASE_MS     lease length asked for (default: the API's)
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExecutionSandbox = require('../services/execution-sandbox');
+
+const apiUrl = (process.env.WORKER_API_URL || 'http://127.0.0.1:3001').replace(/\/$/, '');
+const workerId = process.env.WORKER_ID || `runner-${os.hostname()}-${process.pid}`;
+const agents = (process.env.WORKER_AGENTS || '').split(',').map(agent => agent.trim()).filter(Boolean);
+const concurrency = Math.max(1, parseInt(process.env.WORKER_CONCURRENCY, 10) || 1);
+const pollMs = parseInt(process.env.WORKER_POLL_MS, 10) || 1000;
+const leaseMs = parseInt(process.env.WORKER_LEASE_MS, 10) || null;
+
+// Files a task wrote are returned as artifacts within these bounds
+const SKIPPED_ENTRIES = new Set(['.git', 'node_modules']);
+const MAX_ARTIFACTS = 40;
+const MAX_ARTIFACT_BYTES = 128 * 1024;
+
+const sandbox = new ExecutionSandbox();
+const running = new Set();
+let stopping = false;
+
+class LeaseLostError extends Error {}
+
+async function post(route, body) {
+  const response = await fetch(`${apiUrl}/api/workers/${encodeURIComponent(workerId)}/leases/${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${process.env.WORKER_TOKEN || ''}` },
+    body: JSON.stringify(body)
+  });
+  if (response.status === 204) return null;
+  const payload = await response.json().catch(() => ({}));
+  if (response.status === 409 || response.status === 403) throw new LeaseLostError(payload.error || `Lease lost (${response.status})`);
+  if (!response.ok) throw new Error(payload.error || `${route} returned ${response.status}`);
+  return payload;
+}
+
+// path -> "mtime:size" for every file under dir
+async function snapshot(dir, base = dir, files = new Map()) {
+  let entries;
+  try { entries = await fs.promises.readdir(dir, { withFileTypes: true }); } catch (error) { return files; }
+  for (const entry of entries) {
+    if (SKIPPED_ENTRIES.has(entry.name)) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      await snapshot(full, base, files);
+    } else if (entry.isFile()) {
+      const stat = await fs.promises.stat(full);
+      files.set(path.relative(base, full).split(path.sep).join('/'), `${stat.mtimeMs}:${stat.size}`);
+    }
+  }
+  return files;
+}
+
+// Text files the task created or changed, with their content
+async function collectArtifacts(cwd, before) {
+  const after = await snapshot(cwd);
+  const artifacts = [];
+  for (const [relativePath, signature] of after) {
+    if (before.get(relativePath) === signature) continue;
+    if (artifacts.length >= MAX_ARTIFACTS) {
+      console.warn(`[RUNNER:${workerId}] More than ${MAX_ARTIFACTS} files changed; the rest are not returned`);
+      break;
+    }
+    const buffer = await fs.promises.readFile(path.join(cwd, relativePath));
+    if (buffer.length > MAX_ARTIFACT_BYTES || buffer.includes(0)) continue;
+    artifacts.push({
+      relativePath,
+      content: buffer.toString('utf8'),
+      size: buffer.length,
+      checksum: crypto.createHash('sha256').update(buffer).digest('hex')
+    });
+  }
+  return artifacts;
+}
+
+async function runLease(lease) {
+  const { task } = lease;
+  const controller = new AbortController();
+  const progress = { step: 0, of: task.commands.length, command: null };
+  let lost = false;
+
+  // Renew well before the lease runs out; a cancelled task or a lost lease stops the command
+  const renewEvery = Math.max(200, Math.floor((new Date(lease.expiresAt).getTime() - Date.now()) / 3));
+  const renew = setInterval(async () => {
+    try {
+      const answer = await post(`${lease.leaseId}/heartbeat`, { progress, pid: process.pid });
+      if (answer.cancelled) controller.abort();
+    } catch (error) {
+      if (error instanceof LeaseLostError) {
+        lost = true;
+        controller.abort();
+      }
+      console.warn(`[RUNNER:${workerId}] Heartbeat for "${task.title}" failed: ${error.message}`);
+    }
+  }, renewEvery);
+
+  try {
+    console.log(`[RUNNER:${workerId}] Running "${task.title}" for ${task.agent} (attempt ${lease.attempt})`);
+    const before = await snapshot(task.cwd);
+    const steps = [];
+    for (let i = 0; i < task.commands.length && !controller.signal.aborted; i++) {
+      const command = task.commands[i];
+      Object.assign(progress, { step: i + 1, command });
+      let result;
+      try {
+        result = await sandbox.run({ command, cwd: task.cwd, root: task.root, agentName: task.agent, env: task.env || {}, signal: controller.signal });
+      } catch (error) {
+        // Policy refusals are reported like a failed command, as in the API process
+        const now = Date.now();
+        result = { exitCode: 126, stdout: '', stderr: error.message, startTime: now, endTime: now, duration: 0 };
+      }
+      steps.push({
+        step: i + 1,
+        command,
+        exitCode: result.exitCode,
+        success: result.exitCode === 0,
+        stdout: result.stdout,
+        stderr: result.stderr,
+        startTime: result.startTime,
+        endTime: result.endTime,
+        duration: result.duration
+      });
+      if (result.exitCode !== 0) break;
+    }
+    if (lost || controller.signal.aborted) return;
+
+    const artifacts = await collectArtifacts(task.cwd, before);
+    const failed = steps.some(step => !step.success);
+    await post(`${lease.leaseId}/complete`, { status: failed ? 'failed' : 'completed', steps, artifacts });
+    console.log(`[RUNNER:${workerId}] ${failed ? 'Failed' : 'Finished'} "${task.title}" (${artifacts.length} file(s))`);
+  } catch (error) {
+    if (error instanceof LeaseLostError) return;
+    console.error(`[RUNNER:${workerId}] "${task.title}" crashed: ${error.message}`);
+    await post(`${lease.leaseId}/fail`, { error: error.message, retryable: true }).catch(() => {});
+  } finally {
+    clearInterval(renew);
+  }
+}
+
+async function loop() {
+  while (!stopping) {
+    if (running.size >= concurrency) {
+      await Promise.race(running);
+      continue;
+    }
+    let claimed = null;
+    try {
+      claimed = await post('claim', { agents, pid: process.pid, lease_ms: leaseMs });
+    } catch (error) {
+      console.warn(`[RUNNER:${workerId}] Claim failed: ${error.message}`);
+    }
+    if (!claimed) {
+      await new Promise(resolve => setTimeout(resolve, pollMs));
+      continue;
+    }
+    const job = runLease(claimed.lease).finally(() => running.delete(job));
+    running.add(job);
+  }
+}
+
+function stop() {
+  if (stopping) return;
+  stopping = true;
+  console.log(`[RUNNER:${workerId}] Stopping after ${running.size} running task(s)`);
+  // Tasks still running finish and report; their leases would otherwise expire and be re-queued
+  Promise.allSettled([...running]).then(() => process.exit(0));
+}
+
+process.on('SIGINT', stop);
+process.on('SIGTERM', stop);
+
+console.log(`[RUNNER:${workerId}] Claiming tasks from ${apiUrl}${agents.length ? ` for ${agents.join(', ')}` : ''}`);
+loop().catch((error) => {
+  console.error(`[RUNNER:${workerId}] ${error.message}`);
+  process.exit(1);
+});